@@ -13,6 +13,7 @@ import Login from './components/auth/Login';
 import Register from './components/auth/Register';
 import ProtectedRoute from './components/auth/ProtectedRoute';
 import ForcedPasswordChangeDialog from './components/auth/ForcedPasswordChangeDialog';
+import ForcedTotpSetupDialog from './components/auth/ForcedTotpSetupDialog';
 
 // Dashboard
 import Dashboard from './components/dashboard/Dashboard';
@@ -38,10 +39,22 @@ import SpecimenList from './components/specimens/SpecimenList';
 import SpecimenDetail from './components/specimens/SpecimenDetail';
 import SpecimenForm from './components/specimens/SpecimenForm';
 import BulkImport from './components/specimens/BulkImport';
+import SpecimenReceiving from './components/specimens/SpecimenReceiving';
+import ReceivingSession from './components/specimens/ReceivingSession';
+
+// Storage Components
+import StorageBrowser from './components/storage/StorageBrowser';
+import BoxGrid from './components/storage/BoxGrid';
+
+// Shipment Components
+import ShipmentList from './components/shipments/ShipmentList';
+import ShipmentForm from './components/shipments/ShipmentForm';
+import ShipmentDetail from './components/shipments/ShipmentDetail';
 
 // Inventory Components
 import InventoryList from './components/inventory/InventoryList';
 import InventoryForm from './components/inventory/InventoryForm';
+import InventoryDetail from './components/inventory/InventoryDetail';
 
 // Protocol Components
 import ProtocolList from './components/protocols/ProtocolList';
@@ -53,6 +66,9 @@ import DocumentLibrary from './components/protocols/DocumentLibrary';
 import ExperimentList from './components/experiments/ExperimentList';
 import ExperimentForm from './components/experiments/ExperimentForm';
 import ExperimentView from './components/experiments/ExperimentView';
+import ExperimentExecution from './components/experiments/ExperimentExecution';
+import ExperimentCalendar from './components/experiments/ExperimentCalendar';
+import ExperimentTemplates from './components/experiments/ExperimentTemplates';
 
 // Import Components
 import ComprehensiveImport from './components/import/ComprehensiveImport';
@@ -71,6 +87,8 @@ import UserSettings from './components/settings/UserSettings';
 
 // Admin Components
 import UserManagement from './components/admin/UserManagement';
+import PermissionMatrix from './components/admin/PermissionMatrix';
+import AuditExplorer from './components/admin/AuditExplorer';
 
 // Sequencing Components
 import SequencingImport from './components/sequencing/SequencingImport';
@@ -134,7 +152,10 @@ function App() {
     loading, 
     currentUser, 
     showPasswordChangeDialog, 
-    handlePasswordChanged 
+    handlePasswordChanged,
+    showTotpSetupDialog,
+    handleTotpEnabled,
+    logout
   } = useAuth();
 
   // Debug: Rendering App component
@@ -216,12 +237,27 @@ function App() {
             <Route index element={<SpecimenList />} />
             <Route path="new" element={<SpecimenForm />} />
             <Route path="import" element={<BulkImport />} />
+            <Route path="receiving" element={<SpecimenReceiving />} />
+            <Route path="receiving/:id" element={<ReceivingSession />} />
             <Route path="comprehensive-import" element={<ComprehensiveImport />} />
             <Route path="migration-import" element={<MigrationImport />} />
             <Route path="edit/:id" element={<SpecimenForm />} />
             <Route path=":id" element={<SpecimenDetail />} />
           </Route>
           
+          {/* Storage Routes */}
+          <Route path="storage">
+            <Route index element={<StorageBrowser />} />
+            <Route path="boxes/:id" element={<BoxGrid />} />
+          </Route>
+          
+          {/* Shipment Routes */}
+          <Route path="shipments">
+            <Route index element={<ShipmentList />} />
+            <Route path="new" element={<ShipmentForm />} />
+            <Route path=":id" element={<ShipmentDetail />} />
+          </Route>
+          
           {/* Metadata Routes */}
           <Route path="metadata">
             <Route index element={<MetadataList />} />
@@ -234,6 +270,7 @@ function App() {
             <Route index element={<InventoryList />} />
             <Route path="new" element={<InventoryForm />} />
             <Route path="edit/:id" element={<InventoryForm />} />
+            <Route path=":id" element={<InventoryDetail />} />
           </Route>
           
           {/* Protocol Routes */}
@@ -253,8 +290,11 @@ function App() {
           <Route path="experiments">
             <Route index element={<ExperimentList />} />
             <Route path="new" element={<ExperimentForm />} />
+            <Route path="calendar" element={<ExperimentCalendar />} />
+            <Route path="templates" element={<ExperimentTemplates />} />
             <Route path=":id" element={<ExperimentView />} />
             <Route path=":id/edit" element={<ExperimentForm />} />
+            <Route path=":id/run" element={<ExperimentExecution />} />
           </Route>
           
           {/* Label Routes */}
@@ -276,6 +316,8 @@ function App() {
           {/* Admin Routes */}
           <Route path="admin">
             <Route path="users" element={<UserManagement />} />
+            <Route path="permissions" element={<PermissionMatrix />} />
+            <Route path="audit" element={<AuditExplorer />} />
           </Route>
         </Route>
         </Routes>
@@ -291,6 +333,14 @@ function App() {
             console.error('Password change failed:', error);
           }}
         />
+
+        {/* Two-factor setup for roles that require it, after any password change */}
+        <ForcedTotpSetupDialog
+          open={isAuthenticated && showTotpSetupDialog && !showPasswordChangeDialog}
+          username={currentUser?.username}
+          onDone={handleTotpEnabled}
+          onLogout={logout}
+        />
         </LoadingProvider>
       </DemoProvider>
     </ThemeProvider>
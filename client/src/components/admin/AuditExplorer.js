@@ -0,0 +1,338 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Grid,
+  Chip,
+  Alert,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import {
+  FileDownload as ExportIcon,
+  VerifiedUser as VerifyIcon,
+  Clear as ClearIcon,
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { auditAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
+import RecordHistory, { ACTION_COLORS, formatAuditValue } from '../common/RecordHistory';
+
+const EMPTY_FILTERS = { user_id: '', table_name: '', action: '', from: '', to: '' };
+
+// Empty filters are left out; the date inputs are local time and the API wants ISO timestamps
+const toParams = (filters) => Object.fromEntries(
+  Object.entries(filters)
+    .filter(([, value]) => value)
+    .map(([key, value]) => [key, key === 'from' || key === 'to' ? new Date(value).toISOString() : value])
+);
+
+/**
+ * Search the whole audit trail by user, table, action and date, export it, and check its hash chain
+ */
+const AuditExplorer = () => {
+  const { currentUser } = useAuth();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [options, setOptions] = useState({ users: [], tables: [], actions: [] });
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [selected, setSelected] = useState(null);
+
+  const canView = hasPermission(currentUser, 'audit:view');
+
+  useEffect(() => {
+    if (!canView) return;
+    auditAPI.getFilterOptions()
+      .then(response => setOptions(response.data))
+      .catch(err => console.error('Error fetching audit filter options', err));
+  }, [canView]);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await auditAPI.getEntries({ ...toParams(filters), page: page + 1, limit: rowsPerPage });
+      setEntries(response.data.entries);
+      setTotal(response.data.pagination.total);
+    } catch (err) {
+      console.error('Error fetching audit entries', err);
+      toast.error(err.response?.data?.msg || 'Failed to load audit entries');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, rowsPerPage]);
+
+  useEffect(() => {
+    if (!canView) return;
+    fetchEntries();
+  }, [canView, fetchEntries]);
+
+  const handleFilterChange = (e) => {
+    setFilters(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    setPage(0);
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(0);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await auditAPI.exportCSV(toParams(filters));
+      const blob = new Blob([response.data], { type: 'text/csv' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `audit_log_${new Date().toISOString().split('T')[0]}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting audit log', err);
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    try {
+      const response = await auditAPI.verify();
+      setVerification(response.data);
+    } catch (err) {
+      console.error('Error verifying audit chain', err);
+      toast.error(err.response?.data?.msg || 'Failed to verify the audit trail');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  if (!canView) {
+    return (
+      <Box className="page-container">
+        <Alert severity="error">
+          You don't have permission to view the audit log.
+        </Alert>
+      </Box>
+    );
+  }
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <Box className="page-container">
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Audit Log
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="outlined"
+            startIcon={<VerifyIcon />}
+            onClick={handleVerify}
+            disabled={verifying}
+          >
+            Verify Chain
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<ExportIcon />}
+            onClick={handleExport}
+            disabled={exporting || total === 0}
+          >
+            Export CSV
+          </Button>
+        </Box>
+      </Box>
+
+      {verification && (
+        <Alert
+          severity={verification.valid ? 'success' : 'error'}
+          onClose={() => setVerification(null)}
+          sx={{ mb: 3 }}
+        >
+          {verification.valid
+            ? `All ${verification.entries} entries are intact.`
+            : `${verification.problem_count} problem${verification.problem_count === 1 ? '' : 's'} found in ${verification.entries} entries: `
+              + verification.problems.map(problem => `#${problem.sequence} ${problem.problem.replace(/_/g, ' ')}`).join(', ')}
+          {verification.head && (
+            <Typography variant="caption" component="div" sx={{ mt: 0.5, wordBreak: 'break-all' }}>
+              Head: #{verification.head.sequence} {verification.head.hash}
+            </Typography>
+          )}
+          {verification.unsealed > 0 && (
+            <Typography variant="caption" component="div">
+              {verification.unsealed} newer entr{verification.unsealed === 1 ? 'y is' : 'ies are'} not sealed into the chain yet and will be checked next time.
+            </Typography>
+          )}
+        </Alert>
+      )}
+
+      <Paper elevation={2} sx={{ p: 2, mb: 3 }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} sm={6} md={2}>
+            <TextField select fullWidth size="small" label="User" name="user_id" value={filters.user_id} onChange={handleFilterChange}>
+              <MenuItem value="">All users</MenuItem>
+              {options.users.map(user => (
+                <MenuItem key={user.id} value={user.id}>{user.username}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6} md={2}>
+            <TextField select fullWidth size="small" label="Table" name="table_name" value={filters.table_name} onChange={handleFilterChange}>
+              <MenuItem value="">All tables</MenuItem>
+              {options.tables.map(table => (
+                <MenuItem key={table} value={table}>{table}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6} md={2}>
+            <TextField select fullWidth size="small" label="Action" name="action" value={filters.action} onChange={handleFilterChange}>
+              <MenuItem value="">All actions</MenuItem>
+              {options.actions.map(action => (
+                <MenuItem key={action} value={action}>{action}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6} md={2.5}>
+            <TextField
+              type="datetime-local"
+              fullWidth
+              size="small"
+              label="From"
+              name="from"
+              value={filters.from}
+              onChange={handleFilterChange}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={2.5}>
+            <TextField
+              type="datetime-local"
+              fullWidth
+              size="small"
+              label="To"
+              name="to"
+              value={filters.to}
+              onChange={handleFilterChange}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={1}>
+            <Button startIcon={<ClearIcon />} onClick={handleClearFilters} disabled={!hasFilters}>
+              Clear
+            </Button>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      <Paper elevation={2}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>#</TableCell>
+                <TableCell>When</TableCell>
+                <TableCell>User</TableCell>
+                <TableCell>Action</TableCell>
+                <TableCell>Table</TableCell>
+                <TableCell>Record</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">
+                    <CircularProgress size={24} />
+                  </TableCell>
+                </TableRow>
+              ) : entries.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">
+                    No audit entries match these filters
+                  </TableCell>
+                </TableRow>
+              ) : (
+                entries.map(entry => (
+                  <TableRow key={entry.id} hover sx={{ cursor: 'pointer' }} onClick={() => setSelected(entry)}>
+                    <TableCell>{entry.sequence_number ?? '…'}</TableCell>
+                    <TableCell>{new Date(entry.timestamp).toLocaleString()}</TableCell>
+                    <TableCell>{entry.username || 'System'}</TableCell>
+                    <TableCell>
+                      <Chip label={entry.action} color={ACTION_COLORS[entry.action] || 'default'} size="small" />
+                    </TableCell>
+                    <TableCell>{entry.table_name}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>{entry.record_id}</TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(e, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[25, 50, 100]}
+        />
+      </Paper>
+
+      <Dialog open={Boolean(selected)} onClose={() => setSelected(null)} maxWidth="md" fullWidth>
+        {selected && (
+          <>
+            <DialogTitle>
+              {selected.action} on {selected.table_name}{selected.sequence_number ? ` #${selected.sequence_number}` : ''}
+            </DialogTitle>
+            <DialogContent dividers>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                {selected.username || 'System'} · {new Date(selected.timestamp).toLocaleString()} · {selected.record_id}
+              </Typography>
+              <Box
+                component="pre"
+                sx={{ bgcolor: 'grey.100', p: 2, borderRadius: 1, overflow: 'auto', fontSize: '0.8rem', mb: 3 }}
+              >
+                {selected.changed_fields ? JSON.stringify(selected.changed_fields, null, 2) : formatAuditValue(null)}
+              </Box>
+              <RecordHistory table={selected.table_name} recordId={selected.record_id} />
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setSelected(null)}>Close</Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Box>
+  );
+};
+
+export default AuditExplorer;
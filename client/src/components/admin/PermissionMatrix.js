@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Checkbox,
+  Alert,
+  Tooltip,
+  CircularProgress
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  Save as SaveIcon,
+  Restore as RestoreIcon
+} from '@mui/icons-material';
+import { useAuth } from '../../context/AuthContext';
+import { canManagePermissions } from '../../utils/roleUtils';
+import { permissionAPI } from '../../services/api';
+
+const ROLE_NAMES = {
+  admin: 'System Admin',
+  lab_manager: 'Lab Manager',
+  lab_technician: 'Lab Technician',
+  bioinformatician: 'Bioinformatician',
+  researcher: 'Researcher'
+};
+
+// Admins always keep this one, so the matrix can't lock everyone out
+const LOCKED = { permission: 'permission:manage', role: 'admin' };
+
+const sameRoles = (a, b) => a.length === b.length && a.every(role => b.includes(role));
+
+/**
+ * Which roles hold each permission; admins tick roles per permission and save
+ */
+const PermissionMatrix = () => {
+  const { currentUser, refreshUser } = useAuth();
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [draft, setDraft] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const canManage = canManagePermissions(currentUser);
+
+  const applyMatrix = (data) => {
+    setRoles(data.roles);
+    setPermissions(data.permissions);
+    setDraft(Object.fromEntries(data.permissions.map(permission => [permission.key, permission.roles])));
+  };
+
+  const loadMatrix = async () => {
+    try {
+      setLoading(true);
+      const response = await permissionAPI.getMatrix();
+      applyMatrix(response.data);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load permissions: ' + (err.response?.data?.msg || err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!canManage) return;
+    loadMatrix();
+  }, [canManage]);
+
+  const changedKeys = permissions
+    .filter(permission => draft[permission.key] && !sameRoles(draft[permission.key], permission.roles))
+    .map(permission => permission.key);
+
+  const toggle = (key, role) => {
+    setDraft(prev => ({
+      ...prev,
+      [key]: prev[key].includes(role)
+        ? prev[key].filter(r => r !== role)
+        : roles.filter(r => r === role || prev[key].includes(r))
+    }));
+    setSuccess(null);
+  };
+
+  const restoreDefaults = () => {
+    setDraft(Object.fromEntries(permissions.map(permission => [permission.key, permission.default_roles])));
+    setSuccess(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const changes = Object.fromEntries(changedKeys.map(key => [key, draft[key]]));
+      const response = await permissionAPI.updateMatrix(changes);
+      applyMatrix(response.data);
+      setSuccess(`Updated ${changedKeys.length} permission${changedKeys.length === 1 ? '' : 's'}`);
+      setError(null);
+      refreshUser();
+    } catch (err) {
+      setError('Failed to save permissions: ' + (err.response?.data?.msg || err.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <Box className="page-container">
+        <Alert severity="error">
+          You don't have permission to change role permissions.
+        </Alert>
+      </Box>
+    );
+  }
+
+  const groups = [...new Set(permissions.map(permission => permission.group))];
+
+  return (
+    <Box className="page-container">
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Permissions
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="outlined"
+            startIcon={<RefreshIcon />}
+            onClick={loadMatrix}
+            disabled={loading || saving}
+          >
+            Refresh
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<RestoreIcon />}
+            onClick={restoreDefaults}
+            disabled={loading || saving}
+          >
+            Restore Defaults
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<SaveIcon />}
+            onClick={handleSave}
+            disabled={saving || changedKeys.length === 0}
+          >
+            Save Changes
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      <Alert severity="info" sx={{ mb: 2 }}>
+        Changes apply to every user with the role. Project membership still limits which projects'
+        data a user can see or change.
+      </Alert>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" my={4}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>Permission</TableCell>
+                {roles.map(role => (
+                  <TableCell key={role} align="center">{ROLE_NAMES[role] || role}</TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {groups.map(group => (
+                <React.Fragment key={group}>
+                  <TableRow>
+                    <TableCell colSpan={roles.length + 1} sx={{ bgcolor: 'action.hover' }}>
+                      <Typography variant="subtitle2">{group}</Typography>
+                    </TableCell>
+                  </TableRow>
+                  {permissions.filter(permission => permission.group === group).map(permission => (
+                    <TableRow
+                      key={permission.key}
+                      hover
+                      selected={changedKeys.includes(permission.key)}
+                    >
+                      <TableCell>
+                        <Typography variant="body2">{permission.description}</Typography>
+                        <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+                          {permission.key}
+                        </Typography>
+                      </TableCell>
+                      {roles.map(role => {
+                        const locked = permission.key === LOCKED.permission && role === LOCKED.role;
+                        return (
+                          <TableCell key={role} align="center" padding="checkbox">
+                            <Tooltip title={locked ? 'Admins always keep this permission' : ''}>
+                              <span>
+                                <Checkbox
+                                  size="small"
+                                  checked={(draft[permission.key] || []).includes(role)}
+                                  onChange={() => toggle(permission.key, role)}
+                                  disabled={locked || saving}
+                                />
+                              </span>
+                            </Tooltip>
+                          </TableCell>
+                        );
+                      })}
+                    </TableRow>
+                  ))}
+                </React.Fragment>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default PermissionMatrix;
@@ -36,6 +36,7 @@ import {
   VpnKey as VpnKeyIcon
 } from '@mui/icons-material';
 import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
 import axios from 'axios';
 import { formatDistanceToNow } from 'date-fns';
 import UserCreateDialog from './UserCreateDialog';
@@ -54,13 +55,13 @@ const UserManagement = () => {
   const [selectedUser, setSelectedUser] = useState(null);
   const [menuAnchor, setMenuAnchor] = useState(null);
 
-  // Check if current user can manage users
-  const canManageUsers = currentUser?.role === 'admin' || currentUser?.role === 'lab_manager';
+  // Check if current user can see user accounts
+  const canViewUsers = hasPermission(currentUser, 'user:view');
 
   useEffect(() => {
-    if (!canManageUsers) return;
+    if (!canViewUsers) return;
     loadUsers();
-  }, [canManageUsers]);
+  }, [canViewUsers]);
 
   const loadUsers = async () => {
     try {
@@ -104,6 +105,19 @@ const UserManagement = () => {
     setMenuAnchor(null);
   };
 
+  const handleResetTotp = async (user) => {
+    if (window.confirm(`Reset two-factor authentication for ${user.username}? Their authenticator app and recovery codes stop working.`)) {
+      try {
+        await axios.post(`/api/users/${user.id}/reset-totp`);
+        setSuccess(`Two-factor authentication reset for ${user.username}`);
+        loadUsers();
+      } catch (err) {
+        setError('Failed to reset two-factor authentication: ' + (err.response?.data?.msg || err.message));
+      }
+    }
+    setMenuAnchor(null);
+  };
+
   const handleToggleActive = async (user) => {
     try {
       await axios.put(`/api/users/${user.id}`, {
@@ -155,11 +169,11 @@ const UserManagement = () => {
     setSelectedUser(null);
   };
 
-  if (!canManageUsers) {
+  if (!canViewUsers) {
     return (
       <Box className="page-container">
         <Alert severity="error">
-          You don't have permission to manage users. Only Lab Managers and Administrators can access this feature.
+          You don't have permission to view user accounts.
         </Alert>
       </Box>
     );
@@ -259,6 +273,12 @@ const UserManagement = () => {
                       color={getRoleChipColor(user.role)}
                       size="small"
                     />
+                    {user.sso_linked && (
+                      <Chip label="SSO" size="small" variant="outlined" sx={{ ml: 0.5 }} />
+                    )}
+                    {user.totp_enabled && (
+                      <Chip label="2FA" size="small" variant="outlined" color="success" sx={{ ml: 0.5 }} />
+                    )}
                   </TableCell>
                   <TableCell>
                     <Chip
@@ -315,6 +335,14 @@ const UserManagement = () => {
           </ListItemIcon>
           <ListItemText>Reset Password</ListItemText>
         </MenuItem>
+        {selectedUser?.totp_enabled && (
+          <MenuItem onClick={() => handleResetTotp(selectedUser)}>
+            <ListItemIcon>
+              <SecurityIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>Reset Two-Factor</ListItemText>
+          </MenuItem>
+        )}
         <MenuItem onClick={() => handleToggleActive(selectedUser)}>
           <ListItemIcon>
             {selectedUser?.active ? <LockIcon fontSize="small" /> : <UnlockIcon fontSize="small" />}
@@ -323,7 +351,7 @@ const UserManagement = () => {
             {selectedUser?.active ? 'Deactivate' : 'Activate'} User
           </ListItemText>
         </MenuItem>
-        {currentUser?.role === 'admin' && (
+        {hasPermission(currentUser, 'user:delete') && (
           <MenuItem onClick={() => handleDeactivateUser(selectedUser)} sx={{ color: 'error.main' }}>
             <ListItemIcon>
               <DeleteIcon fontSize="small" color="error" />
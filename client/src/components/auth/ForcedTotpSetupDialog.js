@@ -0,0 +1,31 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert
+} from '@mui/material';
+import TotpEnrollment from '../settings/TotpEnrollment';
+
+/**
+ * Blocking enrollment for users whose role requires two-factor authentication. Until it is
+ * done their session can only reach the auth endpoints.
+ */
+const ForcedTotpSetupDialog = ({ open, username, onDone, onLogout }) => (
+  <Dialog open={open} maxWidth="sm" fullWidth disableEscapeKeyDown>
+    <DialogTitle>Set Up Two-Factor Authentication</DialogTitle>
+    <DialogContent>
+      <Alert severity="info" sx={{ mb: 2 }}>
+        Your role requires two-factor authentication. Set it up to continue.
+      </Alert>
+      {open && <TotpEnrollment username={username} onDone={onDone} />}
+    </DialogContent>
+    <DialogActions>
+      <Button onClick={onLogout}>Log Out</Button>
+    </DialogActions>
+  </Dialog>
+);
+
+export default ForcedTotpSetupDialog;
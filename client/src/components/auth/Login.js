@@ -8,10 +8,13 @@ import {
   Paper,
   Link,
   Alert,
-  CircularProgress
+  CircularProgress,
+  Divider
 } from '@mui/material';
+import { Login as SsoIcon } from '@mui/icons-material';
 import { Link as RouterLink } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../services/api';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -21,7 +24,32 @@ const Login = () => {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [autoLoggingIn, setAutoLoggingIn] = useState(false);
-  const { login } = useAuth();
+  const [sso, setSso] = useState({ enabled: false });
+  const [ssoRedirecting, setSsoRedirecting] = useState(false);
+  // Set after the password or single sign-on step when the account has two-factor authentication
+  const [totpToken, setTotpToken] = useState(null);
+  const [totpCode, setTotpCode] = useState('');
+  const { login, loginWithToken, verifyTotp } = useAuth();
+
+  // Single sign-on: show the button when configured, and pick up the result of the
+  // provider callback, which returns here with the token or an error in the URL fragment
+  useEffect(() => {
+    authAPI.getSsoConfig()
+      .then(res => setSso(res.data))
+      .catch(() => setSso({ enabled: false }));
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (params.has('sso_token') || params.has('sso_totp_token') || params.has('sso_error')) {
+      window.history.replaceState(null, '', window.location.pathname);
+      if (params.get('sso_token')) {
+        loginWithToken(params.get('sso_token'), params.get('sso_refresh_token'));
+      } else if (params.get('sso_totp_token')) {
+        setTotpToken(params.get('sso_totp_token'));
+      } else {
+        setError(params.get('sso_error'));
+      }
+    }
+  }, [loginWithToken]);
 
   // Auto-login for demo mode
   useEffect(() => {
@@ -57,7 +85,10 @@ const Login = () => {
 
     try {
       // Debug: Attempting login
-      await login(username, password);
+      const result = await login(username, password);
+      if (result.totpRequired) {
+        setTotpToken(result.totpToken);
+      }
       // Debug: Login successful
     } catch (err) {
       console.error('Login error:', err);
@@ -67,6 +98,36 @@ const Login = () => {
     }
   };
 
+  const onTotpSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await verifyTotp(totpToken, totpCode);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Verification failed');
+      setTotpCode('');
+      if (typeof err === 'string' && err.includes('expired')) {
+        setTotpToken(null);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onSsoLogin = async () => {
+    setError('');
+    setSsoRedirecting(true);
+    try {
+      const res = await authAPI.startSso();
+      window.location.assign(res.data.url);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Could not start single sign-on');
+      setSsoRedirecting(false);
+    }
+  };
+
   if (autoLoggingIn) {
     return (
       <Box
@@ -97,42 +158,91 @@ const Login = () => {
           </Typography>
           
           {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
-          
-          <form onSubmit={onSubmit}>
-            <TextField
-              label="Username"
-              variant="outlined"
-              fullWidth
-              name="username"
-              value={username}
-              onChange={onChange}
-              margin="normal"
-              required
-            />
-            <TextField
-              label="Password"
-              variant="outlined"
-              fullWidth
-              name="password"
-              type="password"
-              value={password}
-              onChange={onChange}
-              margin="normal"
-              required
-            />
+
+          {totpToken ? (
+            <form onSubmit={onTotpSubmit}>
+              <Typography variant="body2" color="text.secondary">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </Typography>
+              <TextField
+                label="Authentication code"
+                variant="outlined"
+                fullWidth
+                value={totpCode}
+                onChange={(e) => setTotpCode(e.target.value)}
+                margin="normal"
+                inputProps={{ autoComplete: 'one-time-code' }}
+                autoFocus
+                required
+              />
+              <Button
+                type="submit"
+                variant="contained"
+                color="primary"
+                fullWidth
+                size="large"
+                className="auth-submit"
+                disabled={loading}
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </Button>
+              <Button fullWidth sx={{ mt: 1 }} onClick={() => { setTotpToken(null); setTotpCode(''); setError(''); }}>
+                Back
+              </Button>
+            </form>
+          ) : (
+            <form onSubmit={onSubmit}>
+              <TextField
+                label="Username"
+                variant="outlined"
+                fullWidth
+                name="username"
+                value={username}
+                onChange={onChange}
+                margin="normal"
+                required
+              />
+              <TextField
+                label="Password"
+                variant="outlined"
+                fullWidth
+                name="password"
+                type="password"
+                value={password}
+                onChange={onChange}
+                margin="normal"
+                required
+              />
             
-            <Button
-              type="submit"
-              variant="contained"
-              color="primary"
-              fullWidth
-              size="large"
-              className="auth-submit"
-              disabled={loading}
-            >
-              {loading ? 'Logging in...' : 'Login'}
-            </Button>
-          </form>
+              <Button
+                type="submit"
+                variant="contained"
+                color="primary"
+                fullWidth
+                size="large"
+                className="auth-submit"
+                disabled={loading}
+              >
+                {loading ? 'Logging in...' : 'Login'}
+              </Button>
+            </form>
+          )}
+
+          {sso.enabled && !totpToken && (
+            <>
+              <Divider sx={{ my: 2 }}>or</Divider>
+              <Button
+                variant="outlined"
+                fullWidth
+                size="large"
+                startIcon={<SsoIcon />}
+                onClick={onSsoLogin}
+                disabled={ssoRedirecting}
+              >
+                {ssoRedirecting ? 'Redirecting...' : sso.label}
+              </Button>
+            </>
+          )}
           
           <Box className="auth-link">
             <Typography variant="body2" color="text.secondary">
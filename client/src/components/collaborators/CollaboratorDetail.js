@@ -30,7 +30,7 @@ import { collaboratorAPI } from '../../services/api';
 import { formatDate } from '../../utils/helpers';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
-import { canEditLabData } from '../../utils/roleUtils';
+import { canEditLabData, hasPermission } from '../../utils/roleUtils';
 
 const CollaboratorDetail = () => {
   const { id } = useParams();
@@ -41,7 +41,7 @@ const CollaboratorDetail = () => {
   const [error, setError] = useState('');
   const navigate = useNavigate();
   const { currentUser } = useAuth();
-  const isAdmin = currentUser?.role === 'admin';
+  const canDelete = hasPermission(currentUser, 'collaborator:delete');
   const canEdit = canEditLabData(currentUser);
 
   useEffect(() => {
@@ -164,7 +164,7 @@ const CollaboratorDetail = () => {
               >
                 Edit
               </Button>
-              {isAdmin && (
+              {canDelete && (
                 <Button
                   variant="outlined"
                   color="error"
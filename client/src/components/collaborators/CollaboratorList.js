@@ -34,6 +34,7 @@ import { Link } from 'react-router-dom';
 import { collaboratorAPI } from '../../services/api';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
 
 // Custom hook for debouncing values
 const useDebounce = (value, delay) => {
@@ -69,10 +70,8 @@ const CollaboratorList = () => {
   const [isExporting, setIsExporting] = useState(false);
   
   const { currentUser } = useAuth();
-  const isAdmin = currentUser?.role === 'admin';
-  const isLabManager = currentUser?.role === 'lab_manager';
-  const isLabTechnician = currentUser?.role === 'lab_technician';
-  const canEdit = isAdmin || isLabManager || isLabTechnician;
+  const canEdit = hasPermission(currentUser, 'collaborator:edit');
+  const canDelete = hasPermission(currentUser, 'collaborator:delete');
 
   // Pagination component
   const PaginationControls = ({ className = '' }) => {
@@ -412,7 +411,7 @@ const CollaboratorList = () => {
                           >
                             <EditIcon fontSize="small" />
                           </IconButton>
-                          {isAdmin && (
+                          {canDelete && (
                             <IconButton
                               size="small"
                               onClick={() => handleDeleteCollaborator(collaborator.id)}
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Alert,
+  TextField,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { useAuth } from '../../context/AuthContext';
+import { canOverrideConsent } from '../../utils/roleUtils';
+
+/**
+ * Lists specimens refused because of patient consent (the API's consentBlocked list).
+ * Admins can go ahead anyway by giving a reason, which is passed to onOverride.
+ */
+const ConsentBlockedDialog = ({ open, message, blocked = [], onClose, onOverride }) => {
+  const { currentUser } = useAuth();
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    if (open) setReason('');
+  }, [open]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Blocked by Patient Consent</DialogTitle>
+      <DialogContent>
+        <Alert severity="error" sx={{ mb: 2 }}>{message}</Alert>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Specimen</TableCell>
+              <TableCell>Tube ID</TableCell>
+              <TableCell>Patient</TableCell>
+              <TableCell>Reason</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {blocked.map(specimen => (
+              <TableRow key={specimen.specimen_id}>
+                <TableCell>{specimen.specimen_number || '—'}</TableCell>
+                <TableCell>{specimen.tube_id || '—'}</TableCell>
+                <TableCell>{specimen.patient_external_id || '—'}</TableCell>
+                <TableCell>{specimen.reason}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        {canOverrideConsent(currentUser) ? (
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Override reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            helperText="Overrides are recorded in the audit log"
+            multiline
+            rows={2}
+          />
+        ) : (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            Remove these specimens, or ask an administrator to override.
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        {canOverrideConsent(currentUser) && (
+          <Button
+            variant="contained"
+            color="warning"
+            onClick={() => onOverride(reason.trim())}
+            disabled={!reason.trim()}
+          >
+            Override and Continue
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ConsentBlockedDialog;
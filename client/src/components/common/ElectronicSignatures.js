@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Divider,
+  Chip,
+  Alert,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Tooltip,
+} from '@mui/material';
+import {
+  Draw as SignIcon,
+  LockOpen as RevisionIcon,
+  Lock as LockIcon,
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
+
+const MEANING_COLORS = {
+  authored: 'default',
+  reviewed: 'info',
+  approved: 'success',
+};
+
+const MEANING_DESCRIPTIONS = {
+  authored: 'I wrote this record and it is complete',
+  reviewed: 'I reviewed this record and found it correct',
+  approved: 'I approve this record for use',
+};
+
+const EMPTY_SIGNATURE = { meaning: '', password: '', comment: '' };
+
+/**
+ * Electronic signatures on a protocol or experiment, with signing and starting a new revision
+ * @param {Object} api - protocolAPI or experimentsAPI
+ * @param {string} recordId - the record's UUID
+ * @param {string} recordName - 'protocol' or 'experiment', for messages
+ * @param {boolean} canEdit - whether the user may change the record (and sign as its author)
+ * @param {Function} onStatusChange - called with { revision, locked } whenever it is loaded
+ */
+const ElectronicSignatures = ({ api, recordId, recordName, canEdit, onStatusChange }) => {
+  const { currentUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [signing, setSigning] = useState(false);
+  const [signature, setSignature] = useState(EMPTY_SIGNATURE);
+  const [revising, setRevising] = useState(false);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchSignatures = useCallback(async () => {
+    try {
+      const response = await api.getSignatures(recordId);
+      setStatus(response.data);
+      if (onStatusChange) onStatusChange(response.data);
+    } catch (err) {
+      console.error('Error fetching signatures', err);
+      toast.error('Failed to load signatures');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, recordId, onStatusChange]);
+
+  useEffect(() => {
+    fetchSignatures();
+  }, [fetchSignatures]);
+
+  const allowedMeanings = [
+    ...(canEdit ? ['authored'] : []),
+    ...(hasPermission(currentUser, 'esign:review') ? ['reviewed'] : []),
+    ...(hasPermission(currentUser, 'esign:approve') ? ['approved'] : []),
+  ];
+
+  const closeSigning = () => {
+    setSigning(false);
+    setSignature(EMPTY_SIGNATURE);
+    setError(null);
+  };
+
+  const handleSign = async () => {
+    setSaving(true);
+    try {
+      await api.sign(recordId, signature);
+      toast.success(`Signed revision ${status.revision} as ${signature.meaning}`);
+      closeSigning();
+      fetchSignatures();
+    } catch (err) {
+      setError(err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg || 'Failed to sign');
+      setSignature(prev => ({ ...prev, password: '' }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStartRevision = async () => {
+    setSaving(true);
+    try {
+      const response = await api.startRevision(recordId, reason || undefined);
+      toast.success(`Started revision ${response.data.revision}`);
+      setRevising(false);
+      setReason('');
+      fetchSignatures();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to start a new revision');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" my={2}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (!status) return null;
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={1}>
+        <Box display="flex" alignItems="center" gap={1}>
+          <Typography variant="h6">Signatures</Typography>
+          <Chip label={`Revision ${status.revision}`} size="small" variant="outlined" />
+          {status.locked && <Chip icon={<LockIcon />} label="Signed, read-only" size="small" color="warning" />}
+        </Box>
+        <Box display="flex" gap={1}>
+          {status.locked && canEdit && (
+            <Button size="small" startIcon={<RevisionIcon />} onClick={() => setRevising(true)}>
+              New Revision
+            </Button>
+          )}
+          {allowedMeanings.length > 0 && (
+            <Button size="small" variant="contained" startIcon={<SignIcon />} onClick={() => setSigning(true)}>
+              Sign
+            </Button>
+          )}
+        </Box>
+      </Box>
+      <Divider sx={{ my: 2 }} />
+
+      {status.signatures.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          This {recordName} has not been signed.
+        </Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Signed By</TableCell>
+                <TableCell>Meaning</TableCell>
+                <TableCell>Revision</TableCell>
+                <TableCell>Signed At</TableCell>
+                <TableCell>Comment</TableCell>
+                <TableCell>Content</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {status.signatures.map(s => (
+                <TableRow key={s.id}>
+                  <TableCell>
+                    {s.signer_name}
+                    {s.username && (
+                      <Typography variant="caption" color="text.secondary" display="block">@{s.username}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Chip label={s.meaning} size="small" color={MEANING_COLORS[s.meaning]} sx={{ textTransform: 'capitalize' }} />
+                  </TableCell>
+                  <TableCell>{s.revision}</TableCell>
+                  <TableCell>{new Date(s.signed_at).toLocaleString()}</TableCell>
+                  <TableCell>{s.comment || '—'}</TableCell>
+                  <TableCell>
+                    <Tooltip title={`SHA-256 ${s.content_hash}`}>
+                      {!s.intact ? (
+                        <Chip label="Signature record altered" size="small" color="error" />
+                      ) : s.current ? (
+                        <Chip label="Matches current" size="small" color="success" variant="outlined" />
+                      ) : (
+                        <Chip label="Earlier content" size="small" variant="outlined" />
+                      )}
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={signing} onClose={() => !saving && closeSigning()} maxWidth="xs" fullWidth>
+        <DialogTitle>Sign Revision {status.revision}</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <TextField
+            select
+            fullWidth
+            margin="normal"
+            label="Meaning"
+            value={signature.meaning}
+            onChange={(e) => setSignature(prev => ({ ...prev, meaning: e.target.value }))}
+            helperText={MEANING_DESCRIPTIONS[signature.meaning] || ' '}
+          >
+            {allowedMeanings.map(meaning => (
+              <MenuItem key={meaning} value={meaning} sx={{ textTransform: 'capitalize' }}>{meaning}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Comment (optional)"
+            value={signature.comment}
+            onChange={(e) => setSignature(prev => ({ ...prev, comment: e.target.value }))}
+            multiline
+            minRows={2}
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            type="password"
+            label="Password"
+            autoComplete="current-password"
+            value={signature.password}
+            onChange={(e) => setSignature(prev => ({ ...prev, password: e.target.value }))}
+            helperText="Re-enter your password to sign. Your signature is legally binding."
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeSigning} disabled={saving}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSign}
+            disabled={saving || !signature.meaning || !signature.password}
+          >
+            Sign
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={revising} onClose={() => !saving && setRevising(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Start Revision {status.revision + 1}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" paragraph>
+            The {recordName} can be edited again once the new revision is started. Signatures on
+            revision {status.revision} are kept, but no longer cover the {recordName} as it will be.
+          </Typography>
+          <TextField
+            fullWidth
+            label="Reason for the revision"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            multiline
+            minRows={2}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRevising(false)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleStartRevision} disabled={saving}>
+            Start Revision
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default ElectronicSignatures;
@@ -122,6 +122,16 @@ const COLUMN_GROUPS = {
       { key: 'diagnosis', label: 'Diagnosis', required: false }
     ]
   },
+  visit: {
+    label: 'Visit / Timepoint',
+    description: 'Longitudinal visit the specimen was collected at',
+    priority: 'low',
+    columns: [
+      { key: 'visit_label', label: 'Visit', required: false },
+      { key: 'visit_date', label: 'Visit Date', required: false },
+      { key: 'days_from_baseline', label: 'Days From Baseline', required: false }
+    ]
+  },
   project: {
     label: 'Project Information',
     description: 'Research project and study details',
@@ -441,6 +451,10 @@ const EnhancedExportDialog = ({ open, onClose, initialFilters = {} }) => {
       window.URL.revokeObjectURL(url);
       
       toast.success(`${filters.format.toUpperCase()} export completed successfully! ${estimatedCount ? `${estimatedCount} records` : ''}`);
+      const consentExcluded = Number(response.headers['x-consent-excluded'] || 0);
+      if (consentExcluded > 0) {
+        toast.warning(`${consentExcluded} specimens left out because patient consent does not allow export`);
+      }
       
       // Auto-close after successful export
       setTimeout(() => {
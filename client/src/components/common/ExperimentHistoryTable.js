@@ -31,6 +31,7 @@ const ExperimentHistoryTable = ({
   loading = false, 
   showProtocolColumn = true,
   showSpecimenColumn = true,
+  showPlateColumn = false,
   emptyMessage = "No experiments found"
 }) => {
   const navigate = useNavigate();
@@ -81,6 +82,7 @@ const ExperimentHistoryTable = ({
             <TableCell>Experiment</TableCell>
             {showProtocolColumn && <TableCell>Protocol</TableCell>}
             {showSpecimenColumn && <TableCell>Specimens</TableCell>}
+            {showPlateColumn && <TableCell>Plate / Well</TableCell>}
             <TableCell>Date Performed</TableCell>
             <TableCell>Status</TableCell>
             <TableCell>Performed By</TableCell>
@@ -112,9 +114,9 @@ const ExperimentHistoryTable = ({
                   >
                     {experiment.protocol_name || 'Unknown Protocol'}
                   </MuiLink>
-                  {experiment.protocol_version && (
+                  {(experiment.protocol_version_number || experiment.protocol_version) && (
                     <Typography variant="caption" color="textSecondary" display="block">
-                      v{experiment.protocol_version}
+                      {experiment.protocol_version_number ? `Version ${experiment.protocol_version_number}` : `v${experiment.protocol_version}`}
                     </Typography>
                   )}
                 </TableCell>
@@ -147,6 +149,26 @@ const ExperimentHistoryTable = ({
                 </TableCell>
               )}
               
+              {showPlateColumn && (
+                <TableCell>
+                  {experiment.plate_wells && experiment.plate_wells.length > 0 ? (
+                    experiment.plate_wells.map(placement => (
+                      <Chip
+                        key={`${placement.plate_id}-${placement.well}`}
+                        label={`${placement.plate_name} · ${placement.well}`}
+                        size="small"
+                        variant="outlined"
+                        sx={{ mr: 0.5, mb: 0.5 }}
+                      />
+                    ))
+                  ) : (
+                    <Typography variant="caption" color="textSecondary">
+                      Not plated
+                    </Typography>
+                  )}
+                </TableCell>
+              )}
+
               <TableCell>
                 {experiment.date_performed ? (
                   formatDate(experiment.date_performed)
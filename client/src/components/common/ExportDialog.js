@@ -22,6 +22,7 @@ import {
   FormControlLabel,
   FormGroup,
   Chip,
+  Autocomplete,
 } from '@mui/material';
 import {
   ExpandMore as ExpandMoreIcon,
@@ -33,6 +34,8 @@ import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { exportAPI, collaboratorAPI, projectAPI } from '../../services/api';
 import { toast } from 'react-toastify';
+import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
 
 // Column configuration for export
 const COLUMN_GROUPS = {
@@ -86,6 +89,15 @@ const COLUMN_GROUPS = {
       { key: 'diagnosis', label: 'Diagnosis' }
     ]
   },
+  visit: {
+    label: 'Visit / Timepoint',
+    description: 'Longitudinal visit the specimen was collected at',
+    columns: [
+      { key: 'visit_label', label: 'Visit' },
+      { key: 'visit_date', label: 'Visit Date' },
+      { key: 'days_from_baseline', label: 'Days From Baseline' }
+    ]
+  },
   project: {
     label: 'Project Information',
     description: 'Research project and study details',
@@ -140,6 +152,10 @@ const ExportDialog = ({
 }) => {
   // Quick mode simplifies the interface for bulk search exports
   const isQuickMode = exportMode === 'quick';
+  const { currentUser } = useAuth();
+  const canRelease = hasPermission(currentUser, 'export:phi') && !isQuickMode;
+  const [release, setRelease] = useState({ enabled: false, recipient: '', purpose: '' });
+  const [recipients, setRecipients] = useState([]);
   
   const [filters, setFilters] = useState({
     format: 'csv',
@@ -155,6 +171,14 @@ const ExportDialog = ({
     return saved ? JSON.parse(saved) : getDefaultSelectedColumns();
   });
 
+  useEffect(() => {
+    if (open && canRelease) {
+      exportAPI.getDeidentifiedRecipients()
+        .then(response => setRecipients(response.data.map(recipient => recipient.name)))
+        .catch(err => console.error('Error fetching release recipients', err));
+    }
+  }, [open, canRelease]);
+
   // Save column preferences to localStorage whenever they change
   useEffect(() => {
     localStorage.setItem('export_column_preferences', JSON.stringify(selectedColumns));
@@ -221,6 +245,12 @@ const ExportDialog = ({
       return;
     }
 
+    if (release.enabled && !release.recipient.trim()) {
+      setError('Enter who the de-identified release is for.');
+      setLoading(false);
+      return;
+    }
+
     try {
       // Export parameters including search term and bulk IDs
       const exportParams = {
@@ -229,7 +259,10 @@ const ExportDialog = ({
         searchTerm: searchTerm && searchTerm.trim() ? searchTerm.trim() : null,
         bulkIdText: bulkIdText && bulkIdText.trim() ? bulkIdText.trim() : null,
         format: filters.format,
-        limit: filters.limit
+        limit: filters.limit,
+        deidentify: release.enabled,
+        recipient: release.recipient.trim(),
+        purpose: release.purpose.trim()
       };
 
       // Choose export function based on format
@@ -250,7 +283,7 @@ const ExportDialog = ({
       
       // Generate filename with timestamp
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      link.download = `specimens_export_${timestamp}.${fileExtension}`;
+      link.download = `specimens_${release.enabled ? 'deidentified' : 'export'}_${timestamp}.${fileExtension}`;
       
       document.body.appendChild(link);
       link.click();
@@ -258,10 +291,18 @@ const ExportDialog = ({
       window.URL.revokeObjectURL(url);
       
       toast.success(`${filters.format.toUpperCase()} export completed successfully!`);
+      const consentExcluded = Number(response.headers['x-consent-excluded'] || 0);
+      if (consentExcluded > 0) {
+        toast.warning(`${consentExcluded} specimens left out because patient consent does not allow export`);
+      }
       onClose();
     } catch (err) {
       console.error('Export error:', err);
-      setError('Export failed. Please try again.');
+      // Error bodies arrive as blobs because of the download response type
+      const message = err.response?.data instanceof Blob
+        ? await err.response.data.text().then(text => JSON.parse(text).msg).catch(() => null)
+        : null;
+      setError(message || 'Export failed. Please try again.');
       toast.error('Export failed. Please try again.');
     } finally {
       setLoading(false);
@@ -273,6 +314,7 @@ const ExportDialog = ({
       format: 'csv',
       limit: 10000
     });
+    setRelease({ enabled: false, recipient: '', purpose: '' });
     setSelectedColumns(getDefaultSelectedColumns());
   };
 
@@ -363,6 +405,7 @@ const ExportDialog = ({
                     value={filters.format}
                     label="Export Format"
                     onChange={(e) => handleFilterChange('format', e.target.value)}
+                    disabled={release.enabled}
                   >
                     <MenuItem value="csv">CSV (Comma Separated Values)</MenuItem>
                     <MenuItem value="excel">Excel (XLSX with formatting)</MenuItem>
@@ -385,6 +428,54 @@ const ExportDialog = ({
             </>
           )}
 
+          {canRelease && (
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={release.enabled}
+                    onChange={(e) => {
+                      setRelease(prev => ({ ...prev, enabled: e.target.checked }));
+                      if (e.target.checked) handleFilterChange('format', 'excel');
+                    }}
+                  />
+                }
+                label="De-identified release for an external recipient (Excel)"
+              />
+              {release.enabled && (
+                <>
+                  <Alert severity="info" sx={{ mb: 2 }}>
+                    Patient names and free-text comments are left out, patient IDs become pseudonyms,
+                    dates are shifted per patient and date of birth becomes an age band.
+                    The same recipient always gets the same pseudonyms, so use their existing name.
+                  </Alert>
+                  <Grid container spacing={2}>
+                    <Grid item xs={12} md={6}>
+                      <Autocomplete
+                        freeSolo
+                        options={recipients}
+                        inputValue={release.recipient}
+                        onInputChange={(e, value) => setRelease(prev => ({ ...prev, recipient: value }))}
+                        renderInput={(params) => (
+                          <TextField {...params} label="Recipient *" size="small" />
+                        )}
+                      />
+                    </Grid>
+                    <Grid item xs={12} md={6}>
+                      <TextField
+                        fullWidth
+                        label="Purpose"
+                        value={release.purpose}
+                        onChange={(e) => setRelease(prev => ({ ...prev, purpose: e.target.value }))}
+                        size="small"
+                      />
+                    </Grid>
+                  </Grid>
+                </>
+              )}
+            </Grid>
+          )}
+
           {/* Column Selection - Simplified in quick mode */}
           {isQuickMode ? (
             <Grid item xs={12}>
@@ -30,6 +30,7 @@ import { projectAPI, collaboratorAPI } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
 import { toast } from 'react-toastify';
 import { formatProjectDisplay, sortProjects, filterProjects } from '../../utils/projectUtils';
+import { canEditLabData, hasGlobalProjectAccess } from '../../utils/roleUtils';
 
 // Custom hook for debouncing values
 const useDebounce = (value, delay) => {
@@ -82,7 +83,7 @@ const ProjectSelector = ({
   });
   
   const { currentUser } = useAuth();
-  const isEditor = currentUser?.role === 'editor' || currentUser?.role === 'admin';
+  const isEditor = canEditLabData(currentUser);
 
   useEffect(() => {
     fetchProjects();
@@ -101,7 +102,8 @@ const ProjectSelector = ({
   const fetchProjects = async () => {
     try {
       setLoading(true);
-      // For project selector, we want all projects (no pagination)
+      // For project selector, we want all projects (no pagination); the API only returns
+      // the projects the user is a member of
       const response = await projectAPI.getAll('?limit=1000');
       
       // Handle both old and new API response formats
@@ -512,7 +514,9 @@ const ProjectSelector = ({
           });
         }}
         noOptionsText={
-          projects.length === 0 ? "No projects available" : 
+          projects.length === 0 ? (hasGlobalProjectAccess(currentUser)
+            ? "No projects available"
+            : "You are not a member of any project yet") : 
           filteredProjects.length === 0 ? "No projects match your search" : 
           "No options"
         }
@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Divider,
+  Chip,
+  Alert,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+} from '@mui/material';
+import { History as HistoryIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { auditAPI } from '../../services/api';
+
+export const ACTION_COLORS = {
+  CREATE: 'success',
+  UPDATE: 'info',
+  DELETE: 'error',
+};
+
+/**
+ * Audit values are JSON; show them the way a person would type them
+ */
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString();
+
+const fieldLabel = (field) => field.replace(/_/g, ' ');
+
+const FieldChanges = ({ changes }) => (
+  <Table size="small">
+    <TableBody>
+      {changes.map(change => (
+        <TableRow key={change.field}>
+          <TableCell sx={{ width: '25%', textTransform: 'capitalize', color: 'text.secondary', border: 0, py: 0.25 }}>
+            {fieldLabel(change.field)}
+          </TableCell>
+          <TableCell sx={{ border: 0, py: 0.25, wordBreak: 'break-word' }}>
+            <Box component="span" sx={{ color: 'error.main', textDecoration: change.old === null ? 'none' : 'line-through' }}>
+              {formatAuditValue(change.old)}
+            </Box>
+            {' → '}
+            <Box component="span" sx={{ color: 'success.main' }}>
+              {formatAuditValue(change.new)}
+            </Box>
+          </TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+/**
+ * Who changed what on a record, field by field, and the record as it was at any point in time
+ * @param {string} table - audit_log table_name, e.g. 'specimens'
+ * @param {string} recordId - the record's UUID
+ */
+const RecordHistory = ({ table, recordId }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [asOf, setAsOf] = useState('');
+  const [snapshot, setSnapshot] = useState(null);
+  const [loadingSnapshot, setLoadingSnapshot] = useState(false);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const response = await auditAPI.getByRecord(table, recordId);
+      // Newest first reads better; the API returns the order the changes happened in
+      setEntries([...response.data].reverse());
+    } catch (err) {
+      console.error('Error fetching record history', err);
+      toast.error('Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [table, recordId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const handleShowAsOf = async () => {
+    setLoadingSnapshot(true);
+    try {
+      const response = await auditAPI.getRecordAsOf(table, recordId, new Date(asOf).toISOString());
+      setSnapshot(response.data);
+    } catch (err) {
+      console.error('Error reconstructing record', err);
+      toast.error(err.response?.data?.msg || 'Failed to reconstruct the record');
+    } finally {
+      setLoadingSnapshot(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" my={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Record As Of
+        </Typography>
+        <Divider sx={{ mb: 2 }} />
+        <Box display="flex" gap={2} alignItems="center" flexWrap="wrap">
+          <TextField
+            type="datetime-local"
+            size="small"
+            label="Date and time"
+            value={asOf}
+            onChange={(e) => setAsOf(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <Button variant="outlined" onClick={handleShowAsOf} disabled={!asOf || loadingSnapshot}>
+            Show
+          </Button>
+          {snapshot && (
+            <Button onClick={() => setSnapshot(null)}>Clear</Button>
+          )}
+        </Box>
+
+        {snapshot && (
+          <Box mt={2}>
+            {snapshot.exists ? (
+              <TableContainer sx={{ maxHeight: 400 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Field</TableCell>
+                      <TableCell>Value on {formatTimestamp(snapshot.as_of)}</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {Object.entries(snapshot.record).map(([field, value]) => (
+                      <TableRow key={field}>
+                        <TableCell sx={{ textTransform: 'capitalize', color: 'text.secondary' }}>{fieldLabel(field)}</TableCell>
+                        <TableCell sx={{ wordBreak: 'break-word' }}>{formatAuditValue(value)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            ) : (
+              <Alert severity="info">The record did not exist on {formatTimestamp(snapshot.as_of)}.</Alert>
+            )}
+          </Box>
+        )}
+      </Paper>
+
+      <Paper elevation={2} sx={{ p: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Change History ({entries.length})
+        </Typography>
+        <Divider sx={{ mb: 2 }} />
+
+        {entries.length === 0 ? (
+          <Alert severity="info" icon={<HistoryIcon />}>
+            No changes have been recorded for this record.
+          </Alert>
+        ) : (
+          entries.map(entry => (
+            <Box key={entry.id} sx={{ mb: 2, pb: 2, borderBottom: 1, borderColor: 'divider' }}>
+              <Box display="flex" alignItems="center" gap={1} mb={1} flexWrap="wrap">
+                <Chip label={entry.action} color={ACTION_COLORS[entry.action] || 'default'} size="small" />
+                <Typography variant="body2">
+                  {entry.username || 'System'}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {formatTimestamp(entry.timestamp)}
+                </Typography>
+              </Box>
+              {entry.changes ? (
+                entry.changes.length > 0
+                  ? <FieldChanges changes={entry.changes} />
+                  : <Typography variant="body2" color="text.secondary">No field values changed</Typography>
+              ) : (
+                entry.changed_fields && (
+                  <Typography variant="body2" color="text.secondary" sx={{ wordBreak: 'break-word' }}>
+                    {formatAuditValue(entry.changed_fields)}
+                  </Typography>
+                )
+              )}
+            </Box>
+          ))
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default RecordHistory;
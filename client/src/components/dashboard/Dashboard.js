@@ -26,6 +26,7 @@ import {
 import axios from 'axios';
 import { format } from 'date-fns';
 import { useAuth } from '../../context/AuthContext';
+import { canViewAudit } from '../../utils/roleUtils';
 import BarcodeSearch from '../common/BarcodeSearch';
 import { inventoryAPI } from '../../services/api';
 import { useNavigate } from 'react-router-dom';
@@ -83,9 +84,9 @@ const Dashboard = () => {
           axios.get('/api/specimens?limit=10&sortBy=created_at&sortOrder=desc')
         ];
 
-        // Add audit data only for admin/lab_manager roles
-        if (currentUser.role === 'admin' || currentUser.role === 'lab_manager') {
-          basicRequests.push(axios.get('/api/audit'));
+        // Add audit data only for users who can view the audit log
+        if (canViewAudit(currentUser)) {
+          basicRequests.push(axios.get('/api/audit?limit=10'));
         }
 
         const responses = await Promise.all(basicRequests);
@@ -114,7 +115,7 @@ const Dashboard = () => {
         console.log('Dashboard stats updated:', newStats);
         setStats(newStats);
 
-        setRecentActivity(activityRes?.data?.slice(0, 10) || []); // Get only the 10 most recent activities
+        setRecentActivity(activityRes?.data?.entries || []);
         setRecentSpecimens(recentSpecimensRes.data.specimens || []);
         
         // Fetch inventory alerts
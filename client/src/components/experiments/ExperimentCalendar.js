@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Chip,
+  Tooltip,
+  IconButton,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormControlLabel,
+  Switch,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import {
+  ChevronLeft as PreviousIcon,
+  ChevronRight as NextIcon,
+  Warning as WarningIcon,
+  ContentCopy as TemplateIcon,
+} from '@mui/icons-material';
+import { Link } from 'react-router-dom';
+import { experimentsAPI } from '../../services/api';
+import { describeConflict } from '../../utils/helpers';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const STATUS_COLORS = {
+  planned: 'info',
+  in_progress: 'warning',
+  completed: 'success',
+  failed: 'error',
+};
+
+const toDay = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// The days of a month's grid, Monday first, padded with blanks to whole weeks
+const monthCells = (month) => {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const cells = Array((first.getDay() + 6) % 7).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(new Date(month.getFullYear(), month.getMonth(), day));
+  }
+  while (cells.length % 7 !== 0) cells.push(null);
+  return cells;
+};
+
+const personName = (experiment) => (
+  experiment.performed_by_first_name
+    ? `${experiment.performed_by_first_name} ${experiment.performed_by_last_name || ''}`.trim()
+    : experiment.performed_by_username
+);
+
+/**
+ * Month calendar of planned experiments by their date performed, per user or per instrument,
+ * flagging double-booked people, instruments and specimens
+ */
+const ExperimentCalendar = () => {
+  const [month, setMonth] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  });
+  const [experiments, setExperiments] = useState([]);
+  const [userId, setUserId] = useState('');
+  const [instrumentId, setInstrumentId] = useState('');
+  const [includeFinished, setIncludeFinished] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const cells = useMemo(() => monthCells(month), [month]);
+
+  useEffect(() => {
+    const fetchCalendar = async () => {
+      setLoading(true);
+      try {
+        const response = await experimentsAPI.getCalendar({
+          from: toDay(month),
+          to: toDay(new Date(month.getFullYear(), month.getMonth() + 1, 0)),
+          include_finished: includeFinished
+        });
+        setExperiments(response.data || []);
+        setError('');
+      } catch (err) {
+        console.error('Error fetching experiment calendar:', err);
+        setError(err.response?.data?.msg || 'Failed to load the experiment calendar');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchCalendar();
+  }, [month, includeFinished]);
+
+  // Filter choices come from the month's experiments
+  const users = useMemo(() => {
+    const byId = new Map(experiments.filter(e => e.user_id).map(e => [e.user_id, personName(e)]));
+    return [...byId.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+  }, [experiments]);
+  const instruments = useMemo(() => {
+    const byId = new Map(experiments.filter(e => e.instrument_id).map(e => [e.instrument_id, e.instrument_name]));
+    return [...byId.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+  }, [experiments]);
+
+  const byDay = useMemo(() => {
+    const days = new Map();
+    experiments
+      .filter(e => !userId || e.user_id === userId)
+      .filter(e => !instrumentId || e.instrument_id === instrumentId)
+      .forEach(e => days.set(e.date_performed, [...(days.get(e.date_performed) || []), e]));
+    return days;
+  }, [experiments, userId, instrumentId]);
+
+  const conflictCount = [...byDay.values()].flat().filter(e => e.conflicts.length > 0).length;
+  const today = toDay(new Date());
+
+  const shiftMonth = (months) => setMonth(new Date(month.getFullYear(), month.getMonth() + months, 1));
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Experiment Calendar
+        </Typography>
+        <Button component={Link} to="/experiments/templates" variant="outlined" startIcon={<TemplateIcon />}>
+          Templates
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+          <IconButton onClick={() => shiftMonth(-1)} aria-label="Previous month"><PreviousIcon /></IconButton>
+          <Typography variant="h6" sx={{ minWidth: 180, textAlign: 'center' }}>
+            {month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+          </Typography>
+          <IconButton onClick={() => shiftMonth(1)} aria-label="Next month"><NextIcon /></IconButton>
+
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>User</InputLabel>
+            <Select value={userId} label="User" onChange={(e) => setUserId(e.target.value)}>
+              <MenuItem value=""><em>Everyone</em></MenuItem>
+              {users.map(([id, name]) => <MenuItem key={id} value={id}>{name}</MenuItem>)}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Instrument</InputLabel>
+            <Select value={instrumentId} label="Instrument" onChange={(e) => setInstrumentId(e.target.value)}>
+              <MenuItem value=""><em>All instruments</em></MenuItem>
+              {instruments.map(([id, name]) => <MenuItem key={id} value={id}>{name}</MenuItem>)}
+            </Select>
+          </FormControl>
+          <FormControlLabel
+            control={<Switch checked={includeFinished} onChange={(e) => setIncludeFinished(e.target.checked)} />}
+            label="Show finished"
+          />
+          {loading && <CircularProgress size={24} />}
+        </Box>
+      </Paper>
+
+      {conflictCount > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {conflictCount} experiment{conflictCount === 1 ? ' is' : 's are'} double-booked this month.
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 1 }}>
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: 0.5 }}>
+          {WEEKDAYS.map(day => (
+            <Typography key={day} variant="subtitle2" align="center" color="text.secondary">{day}</Typography>
+          ))}
+          {cells.map((date, index) => {
+            if (!date) return <Box key={`blank-${index}`} />;
+            const day = toDay(date);
+            return (
+              <Box
+                key={day}
+                sx={{
+                  minHeight: 110,
+                  p: 0.5,
+                  border: 1,
+                  borderColor: day === today ? 'primary.main' : 'divider',
+                  borderRadius: 1,
+                  overflow: 'hidden'
+                }}
+              >
+                <Typography variant="caption" color="text.secondary">{date.getDate()}</Typography>
+                {(byDay.get(day) || []).map(experiment => (
+                  <Tooltip
+                    key={experiment.id}
+                    title={
+                      <Box>
+                        <div>{experiment.protocol_name}</div>
+                        <div>{personName(experiment)}{experiment.instrument_name ? ` · ${experiment.instrument_name}` : ''}</div>
+                        {experiment.template_name && <div>Template: {experiment.template_name}</div>}
+                        {experiment.conflicts.map((conflict, i) => <div key={i}>⚠ {describeConflict(conflict)}</div>)}
+                      </Box>
+                    }
+                  >
+                    <Chip
+                      component={Link}
+                      to={`/experiments/${experiment.id}`}
+                      clickable
+                      size="small"
+                      color={experiment.conflicts.length > 0 ? 'error' : STATUS_COLORS[experiment.status] || 'default'}
+                      variant={experiment.status === 'planned' ? 'outlined' : 'filled'}
+                      icon={experiment.conflicts.length > 0 ? <WarningIcon /> : undefined}
+                      label={`#${experiment.experiment_id} ${experiment.protocol_name || ''}`}
+                      sx={{ display: 'flex', justifyContent: 'flex-start', mb: 0.5, maxWidth: '100%' }}
+                    />
+                  </Tooltip>
+                ))}
+              </Box>
+            );
+          })}
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default ExperimentCalendar;
@@ -0,0 +1,374 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Card,
+  CardContent,
+  Chip,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+  Grid,
+  TextField,
+  Checkbox,
+  FormControlLabel,
+} from '@mui/material';
+import {
+  ArrowBack as BackIcon,
+  PlayArrow as StartIcon,
+  Timer as TimerIcon,
+  SkipNext as SkipIcon,
+  Save as SaveIcon,
+  CheckCircle as FinishIcon,
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
+import { experimentsAPI } from '../../services/api';
+
+const STATUS_COLORS = {
+  pending: 'default',
+  in_progress: 'info',
+  done: 'success',
+  skipped: 'warning',
+};
+
+const FINISHED = ['done', 'skipped'];
+
+const formatClock = (seconds) => {
+  const sign = seconds < 0 ? '-' : '';
+  const total = Math.abs(Math.round(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${sign}${h > 0 ? `${h}:${pad(m)}` : m}:${pad(s)}`;
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleTimeString() : '—');
+
+// Time left on a running step with a duration, or time elapsed if it has none
+const StepTimer = ({ step, now }) => {
+  if (!step.started_at) return null;
+  const end = step.completed_at ? new Date(step.completed_at) : now;
+  const elapsed = (end - new Date(step.started_at)) / 1000;
+
+  if (!step.duration_minutes) {
+    return <Chip icon={<TimerIcon />} label={formatClock(elapsed)} size="small" variant="outlined" />;
+  }
+  const remaining = step.duration_minutes * 60 - elapsed;
+  const running = step.status === 'in_progress';
+  return (
+    <Chip
+      icon={<TimerIcon />}
+      label={running ? (remaining >= 0 ? `${formatClock(remaining)} left` : `${formatClock(-remaining)} over`) : formatClock(elapsed)}
+      size="small"
+      color={running && remaining < 0 ? 'error' : running ? 'primary' : 'default'}
+      variant={running ? 'filled' : 'outlined'}
+    />
+  );
+};
+
+/**
+ * Bench view for running an experiment: check off each protocol step, with timers,
+ * recorded values and deviations
+ */
+const ExperimentExecution = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const [experiment, setExperiment] = useState(null);
+  const [execution, setExecution] = useState(null);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+  const [now, setNow] = useState(new Date());
+
+  const loadExecution = useCallback((data) => {
+    setExecution(data);
+    setDrafts(Object.fromEntries(data.steps.map(step => [step.step_number, {
+      actual_values: step.actual_values || {},
+      deviation: step.deviation || '',
+      notes: step.notes || '',
+    }])));
+  }, []);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [experimentResponse, executionResponse] = await Promise.all([
+          experimentsAPI.getById(id),
+          experimentsAPI.getExecution(id),
+        ]);
+        setExperiment(experimentResponse.data);
+        loadExecution(executionResponse.data);
+      } catch (err) {
+        console.error('Error loading experiment execution', err);
+        toast.error('Failed to load experiment');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [id, loadExecution]);
+
+  const running = execution?.steps.some(step => step.status === 'in_progress');
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  const canRecord = experiment && (experiment.user_id === currentUser?.id || hasPermission(currentUser, 'experiment:edit_any'));
+  const completed = Boolean(execution?.completed_at);
+  const editable = canRecord && execution?.started_at && !completed;
+
+  const handleStart = async () => {
+    setSaving('start');
+    try {
+      const response = await experimentsAPI.startExecution(id);
+      loadExecution(response.data);
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to start the experiment');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const updateDraft = (stepNumber, changes) => {
+    setDrafts(prev => ({ ...prev, [stepNumber]: { ...prev[stepNumber], ...changes } }));
+  };
+
+  const saveStep = async (step, status = step.status) => {
+    setSaving(step.step_number);
+    try {
+      const response = await experimentsAPI.updateExecutionStep(id, step.step_number, { status, ...drafts[step.step_number] });
+      const saved = response.data;
+      setExecution(prev => ({
+        ...prev,
+        steps: prev.steps.map(s => (s.step_number === saved.step_number ? { ...s, ...saved } : s)),
+      }));
+      setNow(new Date());
+    } catch (err) {
+      toast.error(err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg || 'Failed to save step');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleFinish = async () => {
+    setSaving('finish');
+    try {
+      await experimentsAPI.completeExecution(id);
+      toast.success('Experiment completed');
+      navigate(`/experiments/${id}`);
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to complete the experiment');
+      setSaving(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="300px">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!experiment || !execution) {
+    return (
+      <Box sx={{ p: 3 }}>
+        <Alert severity="error">Experiment not found</Alert>
+      </Box>
+    );
+  }
+
+  const finishedCount = execution.steps.filter(step => FINISHED.includes(step.status)).length;
+  const currentStep = execution.steps.find(step => !FINISHED.includes(step.status));
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 960, mx: 'auto' }}>
+      <Button component={Link} to={`/experiments/${id}`} startIcon={<BackIcon />} sx={{ mb: 2 }}>
+        Back to Experiment
+      </Button>
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h5">
+          EXP-{experiment.experiment_id}: {experiment.protocol_name}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {experiment.protocol_version_number ? `Protocol version ${experiment.protocol_version_number}` : ''}
+          {execution.started_at && ` · Started ${new Date(execution.started_at).toLocaleString()}`}
+          {completed && ` · Completed ${new Date(execution.completed_at).toLocaleString()}`}
+        </Typography>
+        {execution.started_at && (
+          <Box sx={{ mt: 2 }}>
+            <LinearProgress
+              variant="determinate"
+              value={execution.steps.length ? (finishedCount / execution.steps.length) * 100 : 0}
+              sx={{ height: 8, borderRadius: 4 }}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {finishedCount} of {execution.steps.length} steps finished
+            </Typography>
+          </Box>
+        )}
+      </Paper>
+
+      {!execution.started_at && (
+        <Paper sx={{ p: 3, textAlign: 'center' }}>
+          <Typography paragraph>
+            The steps of the protocol version this experiment uses will be laid out here to check off
+            one by one. Each step is time-stamped as you go.
+          </Typography>
+          {canRecord ? (
+            <Button variant="contained" size="large" startIcon={<StartIcon />} onClick={handleStart} disabled={saving === 'start'}>
+              Start Experiment
+            </Button>
+          ) : (
+            <Alert severity="info">Only the experiment's owner can run it.</Alert>
+          )}
+        </Paper>
+      )}
+
+      {execution.steps.map(step => {
+        const draft = drafts[step.step_number] || { actual_values: {}, deviation: '', notes: '' };
+        const isCurrent = currentStep?.step_number === step.step_number;
+        const finished = FINISHED.includes(step.status);
+        const busy = saving === step.step_number;
+        return (
+          <Card
+            key={step.step_number}
+            variant="outlined"
+            sx={{ mb: 2, borderColor: isCurrent && editable ? 'primary.main' : 'divider', borderWidth: isCurrent && editable ? 2 : 1 }}
+          >
+            <CardContent>
+              <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                <FormControlLabel
+                  sx={{ flexGrow: 1, mr: 0 }}
+                  control={
+                    <Checkbox
+                      checked={step.status === 'done'}
+                      disabled={!editable || busy || step.status === 'skipped'}
+                      onChange={(e) => saveStep(step, e.target.checked ? 'done' : 'in_progress')}
+                    />
+                  }
+                  label={
+                    <Typography variant="h6" sx={{ textDecoration: finished ? 'line-through' : 'none' }}>
+                      {step.step_number}. {step.title}
+                    </Typography>
+                  }
+                />
+                {step.duration_minutes && !step.started_at && (
+                  <Chip icon={<TimerIcon />} label={`${step.duration_minutes} min`} size="small" variant="outlined" />
+                )}
+                <StepTimer step={step} now={now} />
+                <Chip label={step.status.replace('_', ' ')} size="small" color={STATUS_COLORS[step.status]} sx={{ textTransform: 'capitalize' }} />
+              </Box>
+
+              {step.instructions && (
+                <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap', mt: 1, ml: 4 }}>
+                  {step.instructions}
+                </Typography>
+              )}
+
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ ml: 4, mt: 1 }}>
+                Started {formatTime(step.started_at)} · Finished {formatTime(step.completed_at)}
+                {step.completed_by_username && ` by ${step.completed_by_username}`}
+              </Typography>
+
+              {(isCurrent || finished || step.status === 'in_progress') && (
+                <Box sx={{ ml: 4, mt: 2 }}>
+                  {step.parameters.length > 0 && (
+                    <Grid container spacing={2} sx={{ mb: 2 }}>
+                      {step.parameters.map(parameter => (
+                        <Grid item xs={12} sm={6} md={4} key={parameter.name}>
+                          <TextField
+                            fullWidth
+                            size="small"
+                            label={parameter.unit ? `${parameter.name} (${parameter.unit})` : parameter.name}
+                            helperText={parameter.target ? `Target ${parameter.target}` : ' '}
+                            value={draft.actual_values[parameter.name] ?? ''}
+                            onChange={(e) => updateDraft(step.step_number, {
+                              actual_values: { ...draft.actual_values, [parameter.name]: e.target.value },
+                            })}
+                            disabled={!editable || busy}
+                          />
+                        </Grid>
+                      ))}
+                    </Grid>
+                  )}
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Deviation from the protocol"
+                    value={draft.deviation}
+                    onChange={(e) => updateDraft(step.step_number, { deviation: e.target.value })}
+                    disabled={!editable || busy}
+                    sx={{ mb: 2 }}
+                  />
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Notes"
+                    value={draft.notes}
+                    onChange={(e) => updateDraft(step.step_number, { notes: e.target.value })}
+                    disabled={!editable || busy}
+                  />
+                  {editable && (
+                    <Box display="flex" gap={1} mt={2} flexWrap="wrap">
+                      {step.status === 'pending' && (
+                        <Button variant="contained" startIcon={<StartIcon />} onClick={() => saveStep(step, 'in_progress')} disabled={busy}>
+                          Start Step
+                        </Button>
+                      )}
+                      <Button startIcon={<SaveIcon />} onClick={() => saveStep(step)} disabled={busy}>
+                        Save
+                      </Button>
+                      {!finished && (
+                        <Button
+                          color="warning"
+                          startIcon={<SkipIcon />}
+                          onClick={() => saveStep(step, 'skipped')}
+                          disabled={busy || !draft.deviation.trim()}
+                        >
+                          Skip (needs deviation)
+                        </Button>
+                      )}
+                      {step.status === 'skipped' && (
+                        <Button onClick={() => saveStep(step, 'in_progress')} disabled={busy}>
+                          Undo Skip
+                        </Button>
+                      )}
+                    </Box>
+                  )}
+                </Box>
+              )}
+            </CardContent>
+          </Card>
+        );
+      })}
+
+      {editable && execution.steps.length > 0 && (
+        <Box display="flex" justifyContent="flex-end" mt={2}>
+          <Button
+            variant="contained"
+            color="success"
+            size="large"
+            startIcon={<FinishIcon />}
+            onClick={handleFinish}
+            disabled={finishedCount < execution.steps.length || saving === 'finish'}
+          >
+            Finish Experiment
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ExperimentExecution;
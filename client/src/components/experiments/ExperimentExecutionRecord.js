@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import {
+  PlaylistAddCheck as ExecutionIcon,
+  PlayArrow as BenchIcon,
+} from '@mui/icons-material';
+import { experimentsAPI } from '../../services/api';
+
+const STATUS_COLORS = {
+  pending: 'default',
+  in_progress: 'info',
+  done: 'success',
+  skipped: 'warning',
+};
+
+const actualMinutes = (step) => (step.started_at && step.completed_at
+  ? Math.round((new Date(step.completed_at) - new Date(step.started_at)) / 6000) / 10
+  : null);
+
+/**
+ * What happened at the bench for each protocol step of an experiment
+ * @param {boolean} canRun - whether the user may run the experiment (shows the bench view link)
+ */
+const ExperimentExecutionRecord = ({ experimentId, canRun }) => {
+  const [execution, setExecution] = useState(null);
+
+  useEffect(() => {
+    experimentsAPI.getExecution(experimentId)
+      .then(response => setExecution(response.data))
+      .catch(err => console.error('Error fetching execution record', err));
+  }, [experimentId]);
+
+  if (!execution) return null;
+  const started = Boolean(execution.started_at);
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" alignItems="center" gap={1} mb={2}>
+          <ExecutionIcon color="primary" />
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>Execution Record</Typography>
+          {canRun && !execution.completed_at && (
+            <Button component={Link} to={`/experiments/${experimentId}/run`} size="small" variant="outlined" startIcon={<BenchIcon />}>
+              {started ? 'Continue at the Bench' : 'Run at the Bench'}
+            </Button>
+          )}
+        </Box>
+
+        {!started ? (
+          <Typography variant="body2" color="text.secondary">
+            This experiment was not run step by step at the bench.
+          </Typography>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Started {new Date(execution.started_at).toLocaleString()}
+              {execution.completed_at ? ` · Completed ${new Date(execution.completed_at).toLocaleString()}` : ' · In progress'}
+            </Typography>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>#</TableCell>
+                    <TableCell>Step</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Started</TableCell>
+                    <TableCell>Finished</TableCell>
+                    <TableCell align="right">Minutes (expected)</TableCell>
+                    <TableCell>Recorded Values</TableCell>
+                    <TableCell>Deviation / Notes</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {execution.steps.map(step => {
+                    const minutes = actualMinutes(step);
+                    const values = Object.entries(step.actual_values || {}).filter(([, value]) => value !== '' && value !== null);
+                    return (
+                      <TableRow key={step.id}>
+                        <TableCell>{step.step_number}</TableCell>
+                        <TableCell>{step.title}</TableCell>
+                        <TableCell>
+                          <Chip label={step.status.replace('_', ' ')} size="small" color={STATUS_COLORS[step.status]} sx={{ textTransform: 'capitalize' }} />
+                        </TableCell>
+                        <TableCell>{step.started_at ? new Date(step.started_at).toLocaleTimeString() : '—'}</TableCell>
+                        <TableCell>
+                          {step.completed_at ? new Date(step.completed_at).toLocaleTimeString() : '—'}
+                          {step.completed_by_username && (
+                            <Typography variant="caption" color="text.secondary" display="block">@{step.completed_by_username}</Typography>
+                          )}
+                        </TableCell>
+                        <TableCell align="right">
+                          {minutes ?? '—'}{step.duration_minutes ? ` (${step.duration_minutes})` : ''}
+                        </TableCell>
+                        <TableCell>
+                          {values.length > 0 ? values.map(([name, value]) => {
+                            const parameter = step.parameters.find(p => p.name === name);
+                            return (
+                              <Typography key={name} variant="body2">
+                                {name}: {value}{parameter?.unit ? ` ${parameter.unit}` : ''}
+                              </Typography>
+                            );
+                          }) : '—'}
+                        </TableCell>
+                        <TableCell>
+                          {step.deviation && (
+                            <Typography variant="body2" color="warning.main">{step.deviation}</Typography>
+                          )}
+                          {step.notes && <Typography variant="body2">{step.notes}</Typography>}
+                          {!step.deviation && !step.notes && '—'}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ExperimentExecutionRecord;
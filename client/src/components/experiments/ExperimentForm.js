@@ -9,6 +9,7 @@ import {
   Alert,
   Grid,
   FormControl,
+  FormHelperText,
   InputLabel,
   Select,
   MenuItem,
@@ -39,14 +40,18 @@ import {
   Science as ScienceIcon,
   Inventory as InventoryIcon,
   Assignment as AssignmentIcon,
+  PlayArrow as BenchIcon,
 } from '@mui/icons-material';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { protocolAPI, specimenAPI, experimentsAPI, projectAPI } from '../../services/api';
+import { protocolAPI, specimenAPI, experimentsAPI, projectAPI, experimentTemplatesAPI, inventoryAPI } from '../../services/api';
+import { hasPermission } from '../../utils/roleUtils';
+import { describeConflict } from '../../utils/helpers';
 import { toast } from 'react-toastify';
+import ConsentBlockedDialog from '../common/ConsentBlockedDialog';
 
 const ExperimentForm = () => {
   const { id } = useParams();
@@ -55,6 +60,7 @@ const ExperimentForm = () => {
   const { currentUser } = useAuth();
   const isEdit = Boolean(id);
   const preselectedProtocol = searchParams.get('protocol');
+  const preselectedTemplate = searchParams.get('template');
 
   // Wizard state
   const [activeStep, setActiveStep] = useState(0);
@@ -67,6 +73,8 @@ const ExperimentForm = () => {
     actual_reagents_used: [],
     notes: '',
     status: 'completed',
+    instrument_id: '',
+    template_id: null,
   });
 
   // Data states
@@ -76,6 +84,12 @@ const ExperimentForm = () => {
   const [selectedProtocol, setSelectedProtocol] = useState(null);
   const [selectedProject, setSelectedProject] = useState(null);
   const [selectedSamples, setSelectedSamples] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplate, setSelectedTemplate] = useState(null);
+  const [instruments, setInstruments] = useState([]);
+  // Volume drawn from each sample, keyed by specimen id; recorded in the specimen ledger
+  const [sampleVolumes, setSampleVolumes] = useState({});
+  const [volumeForAll, setVolumeForAll] = useState('');
   
   // Range selection states
   const [rangeStart, setRangeStart] = useState('');
@@ -96,6 +110,7 @@ const ExperimentForm = () => {
   const [loading, setLoading] = useState(false);
   const [calculatingReagents, setCalculatingReagents] = useState(false);
   const [error, setError] = useState('');
+  const [consentBlock, setConsentBlock] = useState(null);
 
   const steps = [
     { label: 'Select Protocol', icon: <AssignmentIcon /> },
@@ -107,13 +122,24 @@ const ExperimentForm = () => {
   useEffect(() => {
     fetchProtocols();
     fetchProjects();
+    fetchInstruments();
     // Always load all specimens for unified mode
     fetchSpecimens(); 
     if (isEdit) {
       fetchExperiment();
+    } else {
+      fetchTemplates();
     }
   }, [id, isEdit]);
 
+  // Start from the template in the link once templates and protocols are loaded
+  useEffect(() => {
+    if (preselectedTemplate && !formData.template_id && protocols.length > 0) {
+      const template = templates.find(t => t.id === preselectedTemplate);
+      if (template) applyTemplate(template);
+    }
+  }, [preselectedTemplate, templates, protocols]);
+
   // Auto-calculate reagents when protocol and samples are selected
   useEffect(() => {
     if (formData.protocol_id && selectedSamples.length > 0) {
@@ -138,6 +164,25 @@ const ExperimentForm = () => {
     }
   };
 
+  const fetchTemplates = async () => {
+    try {
+      const response = await experimentTemplatesAPI.getAll();
+      setTemplates(response.data || []);
+    } catch (err) {
+      console.error('Error fetching experiment templates:', err);
+    }
+  };
+
+  // Instruments are the equipment items in inventory
+  const fetchInstruments = async () => {
+    try {
+      const response = await inventoryAPI.getAll('?category=equipment&limit=500');
+      setInstruments(response.data.inventory || []);
+    } catch (err) {
+      console.error('Error fetching instruments:', err);
+    }
+  };
+
   const fetchProjects = async () => {
     try {
       const response = await projectAPI.getAll('?limit=1000');
@@ -213,6 +258,21 @@ const ExperimentForm = () => {
     }
   };
 
+  const applyTemplate = (template) => {
+    setSelectedTemplate(template);
+    if (!template) {
+      setFormData(prev => ({ ...prev, template_id: null }));
+      return;
+    }
+    handleProtocolSelection(template.protocol_id);
+    setFormData(prev => ({
+      ...prev,
+      template_id: template.id,
+      instrument_id: template.instrument_id || '',
+      notes: prev.notes || template.notes || '',
+    }));
+  };
+
   const handleProtocolSelection = (protocolId) => {
     const protocol = protocols.find(p => p.id === protocolId);
     setSelectedProtocol(protocol);
@@ -362,8 +422,16 @@ const ExperimentForm = () => {
         actual_reagents_used: experiment.actual_reagents_used || [],
         notes: experiment.notes || '',
         status: experiment.status || 'completed',
+        instrument_id: experiment.instrument_id || '',
+        template_id: experiment.template_id || null,
       });
 
+      const volumes = {};
+      (experiment.sample_volumes || []).forEach(entry => {
+        volumes[entry.specimen_id] = String(entry.volume);
+      });
+      setSampleVolumes(volumes);
+
       // Set selected samples based on experiment data
       if (experiment.sample_ids) {
         const experimentSamples = specimens.filter(s => experiment.sample_ids.includes(s.id));
@@ -377,6 +445,19 @@ const ExperimentForm = () => {
     }
   };
 
+  const handleVolumeChange = (specimenId, value) => {
+    setSampleVolumes(prev => ({ ...prev, [specimenId]: value }));
+  };
+
+  const applyVolumeToAll = () => {
+    if (volumeForAll === '') return;
+    const volumes = { ...sampleVolumes };
+    selectedSamples.forEach(s => {
+      volumes[s.id] = volumeForAll;
+    });
+    setSampleVolumes(volumes);
+  };
+
   const handleProjectSelect = async (event, newValue) => {
     setSelectedProject(newValue);
     
@@ -392,7 +473,8 @@ const ExperimentForm = () => {
     }
   };
 
-  const handleSubmit = async () => {
+  // atBench: create the experiment in progress and open the bench view to run it step by step
+  const handleSubmit = async (consentOverrideReason = null, atBench = false) => {
     if (!formData.protocol_id || selectedSamples.length === 0) {
       toast.error('Please complete all steps before executing the experiment');
       return;
@@ -410,8 +492,15 @@ const ExperimentForm = () => {
 
     setLoading(true);
     try {
-      // Build inventory requirements for automatic deduction
-      const inventoryRequirements = reagentCalculation?.calculated_reagents?.map(r => {
+      // Build inventory requirements for automatic deduction; a template's default reagents replace the calculation
+      const inventoryRequirements = selectedTemplate?.default_reagents?.length > 0
+        ? selectedTemplate.default_reagents.map(reagent => ({
+          inventory_id: reagent.inventory_id,
+          quantity: Math.round(reagent.quantity_per_sample * selectedSamples.length * 1000) / 1000,
+          reagent_name: reagent.reagent_name,
+          unit: reagent.unit
+        }))
+        : reagentCalculation?.calculated_reagents?.map(r => {
         // For each reagent, find the best matching inventory item(s)
         const sortedItems = r.matching_inventory_items?.sort((a, b) => {
           // Prioritize non-expired, then by expiration date, then by quantity
@@ -457,15 +546,35 @@ const ExperimentForm = () => {
         ...formData,
         date_performed: formData.date_performed.toISOString().split('T')[0],
         sample_ids: selectedSamples.map(s => s.id),
+        sample_volumes: selectedSamples
+          .filter(s => sampleVolumes[s.id] !== undefined && sampleVolumes[s.id] !== '')
+          .map(s => ({ specimen_id: s.id, volume: parseFloat(sampleVolumes[s.id]) })),
         actual_reagents_used: actualReagentsUsed,
-        inventory_requirements: inventoryRequirements // Pass requirements for automatic deduction
+        inventory_requirements: inventoryRequirements, // Pass requirements for automatic deduction
+        instrument_id: formData.instrument_id || null
       };
+      if (!isEdit && selectedTemplate?.assignee_id && hasPermission(currentUser, 'experiment:schedule')) {
+        experimentData.user_id = selectedTemplate.assignee_id;
+      }
+      if (atBench) {
+        experimentData.status = 'in_progress';
+      }
+
+      if (consentOverrideReason) {
+        experimentData.consent_override = true;
+        experimentData.consent_override_reason = consentOverrideReason;
+      }
 
       if (isEdit) {
-        await experimentsAPI.update(id, experimentData);
+        const response = await experimentsAPI.update(id, experimentData);
         toast.success('Experiment updated successfully');
+        warnConflicts(response.data.conflicts);
       } else {
         const response = await experimentsAPI.create(experimentData);
+        warnConflicts(response.data.conflicts);
+        if (response.data.unplaced_sample_ids?.length > 0) {
+          toast.warning(`${response.data.unplaced_sample_ids.length} sample(s) did not fit on the template's plate`);
+        }
         
         // Debug: Log the response structure
         console.log('Experiment creation response:', response.data);
@@ -506,15 +615,17 @@ const ExperimentForm = () => {
               });
             }
           });
-        } else {
+        } else if (!atBench) {
           toast.success('Experiment executed successfully - inventory automatically updated');
         }
         
-        navigate('/experiments');
+        navigate(atBench ? `/experiments/${response.data.id}/run` : '/experiments');
       }
     } catch (err) {
       console.error('Error saving experiment:', err);
-      if (err.response?.data?.msg?.includes('Inventory reservation failed')) {
+      if (err.response?.data?.consentBlocked) {
+        setConsentBlock({ message: err.response.data.msg, blocked: err.response.data.consentBlocked, atBench });
+      } else if (err.response?.data?.msg?.includes('Inventory reservation failed')) {
         toast.error('Failed to process inventory - please check system logs');
       } else if (err.response?.data?.msg) {
         toast.error(`Error: ${err.response.data.msg}`);
@@ -526,6 +637,12 @@ const ExperimentForm = () => {
     }
   };
 
+  const warnConflicts = (conflicts = []) => {
+    conflicts.forEach(conflict => {
+      toast.warning(`Double-booked: ${describeConflict(conflict)}`, { autoClose: 10000 });
+    });
+  };
+
   const renderStepContent = (step) => {
     switch (step) {
       case 0:
@@ -539,6 +656,39 @@ const ExperimentForm = () => {
                 Select the laboratory protocol you want to execute
               </Typography>
               
+              {!isEdit && templates.length > 0 && (
+                <FormControl fullWidth sx={{ mt: 2 }}>
+                  <InputLabel>Start from a Template (Optional)</InputLabel>
+                  <Select
+                    value={selectedTemplate?.id || ''}
+                    label="Start from a Template (Optional)"
+                    onChange={(e) => applyTemplate(templates.find(t => t.id === e.target.value) || null)}
+                    disabled={loading}
+                  >
+                    <MenuItem value=""><em>None</em></MenuItem>
+                    {templates.map(template => (
+                      <MenuItem key={template.id} value={template.id}>
+                        {template.name} — {template.protocol_name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
+
+              {selectedTemplate && (
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  {selectedTemplate.default_reagents?.length > 0
+                    ? `The template's ${selectedTemplate.default_reagents.length} default reagent(s) are reserved per sample instead of the protocol's calculated reagents. `
+                    : ''}
+                  {selectedTemplate.plate_layout
+                    ? `Samples are placed on a ${selectedTemplate.plate_layout.plate_format}-well plate around its controls. `
+                    : ''}
+                  {selectedTemplate.assignee_id && hasPermission(currentUser, 'experiment:schedule')
+                    ? `Assigned to ${selectedTemplate.assignee_username}.`
+                    : ''}
+                </Alert>
+              )}
+
               <FormControl fullWidth required sx={{ mt: 2 }}>
                 <InputLabel>Protocol</InputLabel>
                 <Select
@@ -561,6 +711,24 @@ const ExperimentForm = () => {
                 </Select>
               </FormControl>
 
+              <FormControl fullWidth sx={{ mt: 2 }}>
+                <InputLabel>Instrument (Optional)</InputLabel>
+                <Select
+                  value={formData.instrument_id}
+                  label="Instrument (Optional)"
+                  onChange={(e) => setFormData(prev => ({ ...prev, instrument_id: e.target.value }))}
+                  disabled={loading}
+                >
+                  <MenuItem value=""><em>None</em></MenuItem>
+                  {instruments.map(instrument => (
+                    <MenuItem key={instrument.id} value={instrument.id}>
+                      {instrument.name}{instrument.storage_location ? ` (${instrument.storage_location})` : ''}
+                    </MenuItem>
+                  ))}
+                </Select>
+                <FormHelperText>Equipment from inventory; shown on the experiment calendar</FormHelperText>
+              </FormControl>
+
               {selectedProtocol && (
                 <Box sx={{ mt: 2, p: 2, bgcolor: 'background.paper', border: 1, borderColor: 'divider' }}>
                   <Typography variant="subtitle2" gutterBottom>
@@ -868,6 +1036,59 @@ const ExperimentForm = () => {
                         })
                       )}
                     </Box>
+
+                    <Typography variant="subtitle2" sx={{ mt: 3 }} gutterBottom>
+                      Volume Used per Sample (optional)
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" paragraph>
+                      Recorded volumes are withdrawn from each specimen's remaining quantity
+                    </Typography>
+                    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 1 }}>
+                      <TextField
+                        size="small"
+                        type="number"
+                        label="Volume for all"
+                        value={volumeForAll}
+                        onChange={(e) => setVolumeForAll(e.target.value)}
+                        inputProps={{ min: 0, step: 'any' }}
+                      />
+                      <Button size="small" variant="outlined" onClick={applyVolumeToAll}>
+                        Apply to All
+                      </Button>
+                    </Box>
+                    <TableContainer sx={{ maxHeight: 300 }}>
+                      <Table size="small" stickyHeader>
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>Sample</TableCell>
+                            <TableCell align="right">Remaining</TableCell>
+                            <TableCell align="right">Volume Used</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {selectedSamples.map((specimen) => (
+                            <TableRow key={specimen.id}>
+                              <TableCell>
+                                {showSpecimenNumbers
+                                  ? (specimen.specimen_number || 'No Number')
+                                  : (specimen.tube_id || 'No ID')}
+                              </TableCell>
+                              <TableCell align="right">{specimen.remaining_quantity ?? '—'}</TableCell>
+                              <TableCell align="right">
+                                <TextField
+                                  size="small"
+                                  type="number"
+                                  value={sampleVolumes[specimen.id] ?? ''}
+                                  onChange={(e) => handleVolumeChange(specimen.id, e.target.value)}
+                                  inputProps={{ min: 0, step: 'any' }}
+                                  sx={{ width: 110 }}
+                                />
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
                   </Box>
                 )}
               </Box>
@@ -1019,16 +1240,21 @@ const ExperimentForm = () => {
                 </Grid>
                 
                 <Grid item xs={12} md={6}>
-                  <FormControl fullWidth>
+                  <FormControl fullWidth disabled={isEdit}>
                     <InputLabel>Status</InputLabel>
                     <Select
                       value={formData.status}
                       onChange={(e) => setFormData(prev => ({ ...prev, status: e.target.value }))}
                     >
+                      <MenuItem value="planned">Planned</MenuItem>
                       <MenuItem value="completed">Completed</MenuItem>
                       <MenuItem value="in_progress">In Progress</MenuItem>
                       <MenuItem value="failed">Failed</MenuItem>
+                      {isEdit && <MenuItem value="cancelled">Cancelled</MenuItem>}
                     </Select>
+                    {isEdit && (
+                      <FormHelperText>Change the status from the experiment page</FormHelperText>
+                    )}
                   </FormControl>
                 </Grid>
 
@@ -1147,13 +1373,23 @@ const ExperimentForm = () => {
                     ) : (
                       <Button
                         variant="contained"
-                        onClick={handleSubmit}
+                        onClick={() => handleSubmit()}
                         disabled={loading || !canProceedToNextStep()}
                         startIcon={loading ? <CircularProgress size={16} /> : <SaveIcon />}
                       >
                         {loading ? 'Saving...' : isEdit ? 'Update' : 'Execute Experiment'}
                       </Button>
                     )}
+                    {activeStep === steps.length - 1 && !isEdit && (
+                      <Button
+                        variant="outlined"
+                        onClick={() => handleSubmit(null, true)}
+                        disabled={loading || !canProceedToNextStep()}
+                        startIcon={<BenchIcon />}
+                      >
+                        Start at the Bench
+                      </Button>
+                    )}
                   </Box>
                 </StepContent>
               </Step>
@@ -1161,6 +1397,17 @@ const ExperimentForm = () => {
           </Stepper>
         </Paper>
       </Box>
+
+      <ConsentBlockedDialog
+        open={Boolean(consentBlock)}
+        message={consentBlock?.message}
+        blocked={consentBlock?.blocked}
+        onClose={() => setConsentBlock(null)}
+        onOverride={(reason) => {
+          setConsentBlock(null);
+          handleSubmit(reason, consentBlock?.atBench);
+        }}
+      />
     </LocalizationProvider>
   );
 };
@@ -27,9 +27,12 @@ import {
   Visibility as ViewIcon,
   Edit as EditIcon,
   Delete as DeleteIcon,
+  CalendarMonth as CalendarIcon,
+  ContentCopy as TemplateIcon,
 } from '@mui/icons-material';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
 import { formatDate } from '../../utils/helpers';
 
 const ExperimentList = () => {
@@ -42,8 +45,7 @@ const ExperimentList = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const navigate = useNavigate();
   const { currentUser } = useAuth();
-  const isAdmin = currentUser?.role === 'admin';
-  const isEditor = currentUser?.role === 'editor' || isAdmin;
+  const canEditAny = hasPermission(currentUser, 'experiment:edit_any');
 
   const fetchExperiments = async () => {
     setLoading(true);
@@ -107,14 +109,22 @@ const ExperimentList = () => {
         <Typography variant="h4" component="h1">
           Experiment Log
         </Typography>
-        <Button
-          component={Link}
-          to="/experiments/new"
-          variant="contained"
-          startIcon={<AddIcon />}
-        >
-          Log Experiment
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button component={Link} to="/experiments/calendar" variant="outlined" startIcon={<CalendarIcon />}>
+            Calendar
+          </Button>
+          <Button component={Link} to="/experiments/templates" variant="outlined" startIcon={<TemplateIcon />}>
+            Templates
+          </Button>
+          <Button
+            component={Link}
+            to="/experiments/new"
+            variant="contained"
+            startIcon={<AddIcon />}
+          >
+            Log Experiment
+          </Button>
+        </Box>
       </Box>
 
       {error && (
@@ -181,7 +191,7 @@ const ExperimentList = () => {
                         {experiment.protocol_name}
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
-                        v{experiment.protocol_version}
+                        {experiment.protocol_version_number ? `Version ${experiment.protocol_version_number}` : `v${experiment.protocol_version}`}
                       </Typography>
                     </TableCell>
                     <TableCell>
@@ -225,7 +235,7 @@ const ExperimentList = () => {
                             <ViewIcon fontSize="small" />
                           </IconButton>
                         </Tooltip>
-                        {(isEditor || experiment.user_id === currentUser?.id) && (
+                        {(canEditAny || experiment.user_id === currentUser?.id) && (
                           <Tooltip title="Edit">
                             <IconButton
                               component={Link}
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  Tabs,
+  Tab,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import {
+  GridOn as PlateIcon,
+  Add as AddIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { experimentsAPI } from '../../services/api';
+import PlateLayoutDesigner from './PlateLayoutDesigner';
+
+const PLATE_FORMATS = [24, 48, 96, 384];
+
+/**
+ * The plates an experiment ran in, one tab per plate
+ * @param {Array} samples - the experiment's specimens as { id, specimen_number }
+ */
+const ExperimentPlates = ({ experimentId, samples, canEdit }) => {
+  const [plates, setPlates] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [newPlate, setNewPlate] = useState({ name: '', plate_format: 96 });
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    experimentsAPI.getPlates(experimentId)
+      .then(response => setPlates(response.data))
+      .catch(err => console.error('Error fetching plates', err));
+  }, [experimentId]);
+
+  const openDialog = () => {
+    setNewPlate({ name: `Plate ${plates.length + 1}`, plate_format: 96 });
+    setDialogOpen(true);
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const response = await experimentsAPI.createPlate(experimentId, newPlate);
+      setPlates([...plates, response.data]);
+      setActiveIndex(plates.length);
+      setDialogOpen(false);
+    } catch (err) {
+      console.error('Error creating plate', err);
+      toast.error(err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg || 'Failed to create plate');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleDelete = async (plate) => {
+    if (!window.confirm(`Remove ${plate.name} and its layout?`)) return;
+    try {
+      await experimentsAPI.deletePlate(experimentId, plate.id);
+      setPlates(plates.filter(p => p.id !== plate.id));
+      setActiveIndex(0);
+      toast.success(`${plate.name} removed`);
+    } catch (err) {
+      console.error('Error deleting plate', err);
+      toast.error(err.response?.data?.msg || 'Failed to remove plate');
+    }
+  };
+
+  const handleSaved = (saved) => {
+    setPlates(plates.map(plate => (plate.id === saved.id ? saved : plate)));
+  };
+
+  const activePlate = plates[activeIndex];
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" alignItems="center" gap={1} mb={1}>
+          <PlateIcon color="primary" />
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>Plate Layouts</Typography>
+          {canEdit && activePlate && (
+            <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={() => handleDelete(activePlate)}>
+              Remove Plate
+            </Button>
+          )}
+          {canEdit && (
+            <Button size="small" variant="outlined" startIcon={<AddIcon />} onClick={openDialog}>
+              Add Plate
+            </Button>
+          )}
+        </Box>
+
+        {plates.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No plates. Add one to lay out this experiment's specimens, controls and blanks by well.
+          </Typography>
+        ) : (
+          <>
+            <Tabs
+              value={Math.min(activeIndex, plates.length - 1)}
+              onChange={(event, index) => setActiveIndex(index)}
+              variant="scrollable"
+              sx={{ mb: 2 }}
+            >
+              {plates.map(plate => <Tab key={plate.id} label={plate.name} />)}
+            </Tabs>
+            {activePlate && (
+              <PlateLayoutDesigner
+                experimentId={experimentId}
+                plate={activePlate}
+                samples={samples}
+                canEdit={canEdit}
+                onSaved={handleSaved}
+              />
+            )}
+          </>
+        )}
+      </CardContent>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Add Plate</DialogTitle>
+        <DialogContent>
+          <TextField
+            label="Name"
+            fullWidth
+            margin="normal"
+            value={newPlate.name}
+            onChange={(e) => setNewPlate({ ...newPlate, name: e.target.value })}
+            inputProps={{ maxLength: 100 }}
+          />
+          <TextField
+            select
+            label="Format"
+            fullWidth
+            margin="normal"
+            value={newPlate.plate_format}
+            onChange={(e) => setNewPlate({ ...newPlate, plate_format: e.target.value })}
+          >
+            {PLATE_FORMATS.map(format => (
+              <MenuItem key={format} value={format}>{format}-well</MenuItem>
+            ))}
+          </TextField>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={creating || !newPlate.name.trim()}>
+            Add
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default ExperimentPlates;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { Science as ReagentIcon } from '@mui/icons-material';
+import { experimentsAPI } from '../../services/api';
+
+const formatQuantity = (value, unit) => (value === null || value === undefined ? '—' : `${value}${unit ? ` ${unit}` : ''}`);
+
+// Over-use in red, under-use in green
+export const VarianceCell = ({ value, percent, unit }) => (
+  <TableCell
+    align="right"
+    sx={{ color: value > 0 ? 'error.main' : value < 0 ? 'success.main' : undefined }}
+  >
+    {value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${formatQuantity(value, unit)}`}
+    {percent !== null && percent !== undefined && (
+      <Typography variant="caption" display="block">{percent > 0 ? '+' : ''}{percent}%</Typography>
+    )}
+  </TableCell>
+);
+
+/**
+ * Reagents an experiment's protocol called for against what was reserved and consumed, per lot
+ * @param {string} status - the experiment's status; the report is reloaded when it changes
+ */
+const ExperimentReagentReconciliation = ({ experimentId, status }) => {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    experimentsAPI.getReagentReconciliation(experimentId)
+      .then(response => setReport(response.data))
+      .catch(err => console.error('Error fetching reagent reconciliation', err));
+  }, [experimentId, status]);
+
+  if (!report || report.reagents.length === 0) return null;
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" alignItems="center" gap={1} mb={1}>
+          <ReagentIcon color="primary" />
+          <Typography variant="h6">Reagent Reconciliation</Typography>
+        </Box>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Calculated for {report.sample_count} sample{report.sample_count === 1 ? '' : 's'}
+          {report.experiment.protocol_version_number ? ` from protocol version ${report.experiment.protocol_version_number}` : ''}.
+          {!report.consumption_recorded && ' Consumption is recorded when the experiment is completed or failed.'}
+        </Typography>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Reagent / Lot</TableCell>
+                <TableCell align="right">Calculated</TableCell>
+                <TableCell align="right">Reserved</TableCell>
+                <TableCell align="right">Consumed</TableCell>
+                <TableCell align="right">Variance</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {report.reagents.map(reagent => (
+                <React.Fragment key={reagent.name}>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 'bold' }}>
+                      {reagent.name}
+                      {!reagent.planned && <Chip label="Not in protocol" size="small" color="warning" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell align="right">{formatQuantity(reagent.calculated, reagent.unit)}</TableCell>
+                    <TableCell align="right">{formatQuantity(reagent.reserved, reagent.unit)}</TableCell>
+                    <TableCell align="right">{report.consumption_recorded ? formatQuantity(reagent.consumed, reagent.unit) : '—'}</TableCell>
+                    <VarianceCell value={reagent.variance} percent={reagent.variance_percent} unit={reagent.unit} />
+                  </TableRow>
+                  {reagent.lots.map(lot => (
+                    <TableRow key={`${reagent.name}-${lot.inventory_id}-${lot.status}`}>
+                      <TableCell sx={{ pl: 4 }}>
+                        <Typography variant="body2">
+                          {lot.inventory_number} · Lot {lot.lot_number || '—'}
+                          {lot.unit_mismatch && <Chip label="Unit mismatch" size="small" sx={{ ml: 1 }} />}
+                        </Typography>
+                      </TableCell>
+                      <TableCell />
+                      <TableCell align="right">{formatQuantity(lot.reserved, reagent.unit)}</TableCell>
+                      <TableCell align="right">{report.consumption_recorded ? formatQuantity(lot.consumed, reagent.unit) : '—'}</TableCell>
+                      <VarianceCell value={lot.variance} unit={reagent.unit} />
+                    </TableRow>
+                  ))}
+                </React.Fragment>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ExperimentReagentReconciliation;
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Typography,
+  InputAdornment,
+} from '@mui/material';
+import {
+  PlayArrow as StartIcon,
+  CheckCircle as CompleteIcon,
+  Error as FailIcon,
+  Cancel as CancelIcon,
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { experimentsAPI } from '../../services/api';
+
+// How each transition is offered, and what it does to the experiment's reserved inventory
+const TRANSITION_ACTIONS = {
+  in_progress: { label: 'Start', icon: <StartIcon />, color: 'primary' },
+  completed: {
+    label: 'Complete',
+    icon: <CompleteIcon />,
+    color: 'success',
+    effect: 'The reagents reserved for this experiment will be recorded as used.',
+    recordsUsage: true,
+  },
+  failed: {
+    label: 'Mark Failed',
+    icon: <FailIcon />,
+    color: 'error',
+    effect: 'The reagents reserved for this experiment will be recorded as used.',
+    needsReason: true,
+    recordsUsage: true,
+  },
+  cancelled: {
+    label: 'Cancel Experiment',
+    icon: <CancelIcon />,
+    color: 'warning',
+    effect: 'The reagents reserved for this experiment will be returned to inventory.',
+    needsReason: true,
+  },
+};
+
+// One entry per reserved inventory item, prefilled with the amount reserved
+const reservedUsage = (report) => {
+  const usage = {};
+  report.reagents.forEach(reagent => {
+    reagent.lots.filter(lot => lot.status === 'reserved' && !lot.unit_mismatch).forEach(lot => {
+      const entry = usage[lot.inventory_id] || {
+        inventory_id: lot.inventory_id,
+        reagent_name: reagent.planned ? reagent.name : null,
+        label: `${reagent.name} · ${lot.inventory_number}${lot.lot_number ? ` (Lot ${lot.lot_number})` : ''}`,
+        unit: reagent.unit,
+        reserved: 0,
+      };
+      entry.reserved = Math.round((entry.reserved + lot.reserved) * 1000) / 1000;
+      usage[lot.inventory_id] = entry;
+    });
+  });
+  return Object.values(usage).map(entry => ({ ...entry, quantity: String(entry.reserved) }));
+};
+
+/**
+ * Buttons for the status transitions an experiment allows next, confirming each one
+ */
+const ExperimentStatusActions = ({ experiment, onTransition }) => {
+  const [pending, setPending] = useState(null);
+  const [reason, setReason] = useState('');
+  const [usage, setUsage] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const transitions = (experiment.allowed_transitions || []).filter(status => TRANSITION_ACTIONS[status]);
+  if (transitions.length === 0) return null;
+
+  const openDialog = async (status) => {
+    setPending(status);
+    setReason('');
+    setUsage([]);
+    if (TRANSITION_ACTIONS[status].recordsUsage) {
+      try {
+        const response = await experimentsAPI.getReagentReconciliation(experiment.id);
+        setUsage(reservedUsage(response.data));
+      } catch (err) {
+        console.error('Error fetching reserved reagents', err);
+      }
+    }
+  };
+
+  const updateUsage = (inventoryId, quantity) => {
+    setUsage(prev => prev.map(entry => (entry.inventory_id === inventoryId ? { ...entry, quantity } : entry)));
+  };
+
+  const usageInvalid = usage.some(entry => entry.quantity === '' || Number(entry.quantity) < 0);
+
+  const handleConfirm = async () => {
+    setSubmitting(true);
+    try {
+      // Only amounts that differ from the reservation need recording
+      const actualUsage = usage
+        .filter(entry => Number(entry.quantity) !== entry.reserved)
+        .map(({ inventory_id, reagent_name, quantity, unit }) => ({ inventory_id, reagent_name, quantity: Number(quantity), unit }));
+      const response = await experimentsAPI.transition(
+        experiment.id,
+        pending,
+        reason || null,
+        actualUsage.length > 0 ? actualUsage : null
+      );
+      toast.success(`Experiment ${pending.replace('_', ' ')}`);
+      setPending(null);
+      onTransition(response.data);
+    } catch (err) {
+      console.error('Error changing experiment status', err);
+      toast.error(err.response?.data?.msg || 'Failed to change experiment status');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const action = pending ? TRANSITION_ACTIONS[pending] : null;
+
+  return (
+    <Box display="flex" gap={1}>
+      {transitions.map(status => (
+        <Button
+          key={status}
+          variant="outlined"
+          color={TRANSITION_ACTIONS[status].color}
+          startIcon={TRANSITION_ACTIONS[status].icon}
+          onClick={() => openDialog(status)}
+        >
+          {TRANSITION_ACTIONS[status].label}
+        </Button>
+      ))}
+
+      <Dialog open={Boolean(pending)} onClose={() => setPending(null)} maxWidth="sm" fullWidth>
+        {action && (
+          <>
+            <DialogTitle>{action.label} — Experiment #{experiment.experiment_id}</DialogTitle>
+            <DialogContent>
+              {action.effect && <DialogContentText sx={{ mb: 2 }}>{action.effect}</DialogContentText>}
+              {action.recordsUsage && usage.length > 0 && (
+                <Box sx={{ mb: 2 }}>
+                  <Typography variant="subtitle2" gutterBottom>Actual amounts used</Typography>
+                  {usage.map(entry => (
+                    <TextField
+                      key={entry.inventory_id}
+                      label={entry.label}
+                      type="number"
+                      size="small"
+                      fullWidth
+                      sx={{ mb: 1 }}
+                      value={entry.quantity}
+                      onChange={(e) => updateUsage(entry.inventory_id, e.target.value)}
+                      helperText={`Reserved ${entry.reserved}${entry.unit ? ` ${entry.unit}` : ''}`}
+                      inputProps={{ min: 0, step: 'any' }}
+                      InputProps={entry.unit ? { endAdornment: <InputAdornment position="end">{entry.unit}</InputAdornment> } : undefined}
+                    />
+                  ))}
+                </Box>
+              )}
+              <TextField
+                label={action.needsReason ? 'Reason' : 'Reason (optional)'}
+                fullWidth
+                multiline
+                minRows={2}
+                required={action.needsReason}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                inputProps={{ maxLength: 1000 }}
+              />
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setPending(null)}>Back</Button>
+              <Button
+                variant="contained"
+                color={action.color}
+                onClick={handleConfirm}
+                disabled={submitting || usageInvalid || (action.needsReason && !reason.trim())}
+              >
+                {action.label}
+              </Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ExperimentStatusActions;
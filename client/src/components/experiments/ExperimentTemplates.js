@@ -0,0 +1,635 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Tooltip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormControlLabel,
+  Checkbox,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert,
+  CircularProgress,
+  Divider,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Event as ScheduleIcon,
+  PlayArrow as UseIcon,
+  CalendarMonth as CalendarIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+import { Link, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
+import { describeConflict, formatDate } from '../../utils/helpers';
+import { experimentTemplatesAPI, protocolAPI, inventoryAPI } from '../../services/api';
+
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 7, label: 'Sun' },
+];
+
+const PLATE_FORMATS = [24, 48, 96, 384];
+
+const CONTROL_TYPES = [
+  { value: 'positive_control', label: 'Positive control' },
+  { value: 'negative_control', label: 'Negative control' },
+  { value: 'blank', label: 'Blank' },
+];
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  description: '',
+  protocol_id: '',
+  assignee_id: '',
+  instrument_id: '',
+  default_reagents: [],
+  plate_layout: null,
+  recurrence: null,
+  notes: '',
+};
+
+const describeRecurrence = (recurrence) => {
+  if (!recurrence) return '—';
+  const days = recurrence.weekdays.map(day => WEEKDAYS[day - 1].label).join(', ');
+  const every = recurrence.every_weeks > 1 ? `every ${recurrence.every_weeks} weeks` : 'weekly';
+  return `${days}, ${every} from ${formatDate(recurrence.starts_on)}${recurrence.ends_on ? ` to ${formatDate(recurrence.ends_on)}` : ''}`;
+};
+
+/**
+ * Saved experiment templates: protocol, default reagents, plate layout, assignee, instrument and
+ * recurrence. Templates start new experiments and schedule their recurring runs.
+ */
+const ExperimentTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [protocols, setProtocols] = useState([]);
+  const [inventory, setInventory] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_TEMPLATE);
+  const [saving, setSaving] = useState(false);
+  const [scheduling, setScheduling] = useState(null);
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [scheduleResult, setScheduleResult] = useState(null);
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const canSchedule = hasPermission(currentUser, 'experiment:schedule');
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await experimentTemplatesAPI.getAll();
+      setTemplates(response.data || []);
+    } catch (err) {
+      console.error('Error fetching experiment templates:', err);
+      toast.error('Failed to load experiment templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTemplates();
+    if (!canSchedule) return;
+    protocolAPI.getAll('?is_active=true')
+      .then(response => setProtocols(response.data.protocols || []))
+      .catch(err => console.error('Error fetching protocols:', err));
+    inventoryAPI.getAll('?limit=1000')
+      .then(response => setInventory(response.data.inventory || []))
+      .catch(err => console.error('Error fetching inventory:', err));
+    axios.get('/api/users')
+      .then(response => setUsers((response.data || []).filter(user => user.active !== false)))
+      .catch(err => console.error('Error fetching users:', err));
+  }, []);
+
+  const instruments = inventory.filter(item => item.category === 'equipment');
+
+  const openEditor = (template = null) => {
+    setEditing(template || {});
+    setFormData(template ? {
+      ...EMPTY_TEMPLATE,
+      ...template,
+      description: template.description || '',
+      assignee_id: template.assignee_id || '',
+      instrument_id: template.instrument_id || '',
+      notes: template.notes || '',
+    } : EMPTY_TEMPLATE);
+  };
+
+  const setField = (field, value) => setFormData(prev => ({ ...prev, [field]: value }));
+
+  const updateReagent = (index, changes) => setField(
+    'default_reagents',
+    formData.default_reagents.map((reagent, i) => (i === index ? { ...reagent, ...changes } : reagent))
+  );
+
+  const selectReagentItem = (index, inventoryId) => {
+    const item = inventory.find(i => i.id === inventoryId);
+    updateReagent(index, { inventory_id: inventoryId, reagent_name: item?.name || '', unit: item?.unit_of_measure || '' });
+  };
+
+  const updateControl = (index, changes) => setField('plate_layout', {
+    ...formData.plate_layout,
+    wells: formData.plate_layout.wells.map((well, i) => (i === index ? { ...well, ...changes } : well))
+  });
+
+  const handleSave = async () => {
+    setSaving(true);
+    const payload = {
+      ...formData,
+      assignee_id: formData.assignee_id || null,
+      instrument_id: formData.instrument_id || null,
+      default_reagents: formData.default_reagents.map(reagent => ({
+        ...reagent,
+        quantity_per_sample: parseFloat(reagent.quantity_per_sample)
+      })),
+      plate_layout: formData.plate_layout && {
+        ...formData.plate_layout,
+        wells: formData.plate_layout.wells.filter(well => well.well.trim())
+      },
+      recurrence: formData.recurrence && {
+        ...formData.recurrence,
+        ends_on: formData.recurrence.ends_on || null
+      }
+    };
+    try {
+      if (editing.id) {
+        await experimentTemplatesAPI.update(editing.id, payload);
+        toast.success('Template updated');
+      } else {
+        await experimentTemplatesAPI.create(payload);
+        toast.success('Template saved');
+      }
+      setEditing(null);
+      fetchTemplates();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg || 'Failed to save the template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Experiments planned from it are kept.`)) return;
+    try {
+      await experimentTemplatesAPI.delete(template.id);
+      toast.success('Template deleted');
+      fetchTemplates();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to delete the template');
+    }
+  };
+
+  const openScheduler = (template) => {
+    setScheduling(template);
+    setScheduleResult(null);
+    setRange({ from: template.recurrence.starts_on, to: template.recurrence.ends_on || '' });
+  };
+
+  const handleSchedule = async () => {
+    setSaving(true);
+    try {
+      const response = await experimentTemplatesAPI.schedule(scheduling.id, range.from, range.to);
+      setScheduleResult(response.data);
+      toast.success(`${response.data.scheduled.length} experiment(s) planned`);
+    } catch (err) {
+      toast.error(err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg || 'Failed to schedule the template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="300px">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Experiment Templates
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button component={Link} to="/experiments/calendar" variant="outlined" startIcon={<CalendarIcon />}>
+            Calendar
+          </Button>
+          {canSchedule && (
+            <Button variant="contained" startIcon={<AddIcon />} onClick={() => openEditor()}>
+              New Template
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Protocol</TableCell>
+              <TableCell>Assignee</TableCell>
+              <TableCell>Instrument</TableCell>
+              <TableCell>Defaults</TableCell>
+              <TableCell>Recurrence</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {templates.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  <Typography color="text.secondary">No experiment templates yet</Typography>
+                </TableCell>
+              </TableRow>
+            ) : templates.map(template => (
+              <TableRow key={template.id} hover>
+                <TableCell>
+                  <Typography variant="subtitle2">{template.name}</Typography>
+                  {template.description && (
+                    <Typography variant="caption" color="text.secondary">{template.description}</Typography>
+                  )}
+                </TableCell>
+                <TableCell>
+                  {template.protocol_name}
+                  {!template.protocol_active && <Chip label="Inactive" size="small" sx={{ ml: 1 }} />}
+                </TableCell>
+                <TableCell>{template.assignee_username || '—'}</TableCell>
+                <TableCell>{template.instrument_name || '—'}</TableCell>
+                <TableCell>
+                  <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                    {template.default_reagents.length > 0 && (
+                      <Chip label={`${template.default_reagents.length} reagent(s)`} size="small" />
+                    )}
+                    {template.plate_layout && (
+                      <Chip label={`${template.plate_layout.plate_format}-well plate`} size="small" />
+                    )}
+                  </Box>
+                </TableCell>
+                <TableCell>{describeRecurrence(template.recurrence)}</TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Start an experiment from this template">
+                    <span>
+                      <IconButton
+                        size="small"
+                        disabled={!template.protocol_active}
+                        onClick={() => navigate(`/experiments/new?template=${template.id}`)}
+                      >
+                        <UseIcon />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  {canSchedule && (
+                    <>
+                      <Tooltip title="Schedule recurring runs">
+                        <span>
+                          <IconButton size="small" disabled={!template.recurrence} onClick={() => openScheduler(template)}>
+                            <ScheduleIcon />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Edit">
+                        <IconButton size="small" onClick={() => openEditor(template)}>
+                          <EditIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete">
+                        <IconButton size="small" onClick={() => handleDelete(template)}>
+                          <DeleteIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{editing?.id ? 'Edit Template' : 'New Template'}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <TextField label="Name" required value={formData.name} onChange={(e) => setField('name', e.target.value)} />
+            <TextField
+              label="Description"
+              value={formData.description}
+              onChange={(e) => setField('description', e.target.value)}
+            />
+            <FormControl required>
+              <InputLabel>Protocol</InputLabel>
+              <Select value={formData.protocol_id} label="Protocol" onChange={(e) => setField('protocol_id', e.target.value)}>
+                {protocols.map(protocol => (
+                  <MenuItem key={protocol.id} value={protocol.id}>{protocol.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <FormControl fullWidth>
+                <InputLabel>Assignee</InputLabel>
+                <Select value={formData.assignee_id} label="Assignee" onChange={(e) => setField('assignee_id', e.target.value)}>
+                  <MenuItem value=""><em>Whoever uses the template</em></MenuItem>
+                  {users.map(user => (
+                    <MenuItem key={user.id} value={user.id}>
+                      {user.first_name ? `${user.first_name} ${user.last_name || ''}`.trim() : user.username}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl fullWidth>
+                <InputLabel>Instrument</InputLabel>
+                <Select value={formData.instrument_id} label="Instrument" onChange={(e) => setField('instrument_id', e.target.value)}>
+                  <MenuItem value=""><em>None</em></MenuItem>
+                  {instruments.map(item => <MenuItem key={item.id} value={item.id}>{item.name}</MenuItem>)}
+                </Select>
+              </FormControl>
+            </Box>
+
+            <Divider />
+            <Typography variant="subtitle1">Default Reagents (per sample)</Typography>
+            {formData.default_reagents.map((reagent, index) => (
+              <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                <FormControl size="small" sx={{ flex: 2 }}>
+                  <InputLabel>Inventory item</InputLabel>
+                  <Select
+                    value={reagent.inventory_id}
+                    label="Inventory item"
+                    onChange={(e) => selectReagentItem(index, e.target.value)}
+                  >
+                    {inventory.map(item => (
+                      <MenuItem key={item.id} value={item.id}>
+                        {item.name}{item.lot_number ? ` (lot ${item.lot_number})` : ''}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <TextField
+                  size="small"
+                  type="number"
+                  label="Per sample"
+                  value={reagent.quantity_per_sample}
+                  onChange={(e) => updateReagent(index, { quantity_per_sample: e.target.value })}
+                  inputProps={{ min: 0, step: 'any' }}
+                  sx={{ flex: 1 }}
+                />
+                <TextField
+                  size="small"
+                  label="Unit"
+                  value={reagent.unit || ''}
+                  onChange={(e) => updateReagent(index, { unit: e.target.value })}
+                  sx={{ flex: 1 }}
+                />
+                <IconButton
+                  size="small"
+                  onClick={() => setField('default_reagents', formData.default_reagents.filter((_, i) => i !== index))}
+                >
+                  <DeleteIcon />
+                </IconButton>
+              </Box>
+            ))}
+            <Box>
+              <Button
+                size="small"
+                startIcon={<AddIcon />}
+                onClick={() => setField('default_reagents', [
+                  ...formData.default_reagents,
+                  { inventory_id: '', reagent_name: '', quantity_per_sample: '', unit: '' }
+                ])}
+              >
+                Add Reagent
+              </Button>
+            </Box>
+
+            <Divider />
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={Boolean(formData.plate_layout)}
+                  onChange={(e) => setField('plate_layout', e.target.checked ? { name: 'Plate 1', plate_format: 96, wells: [] } : null)}
+                />
+              }
+              label="Default plate layout"
+            />
+            {formData.plate_layout && (
+              <>
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    size="small"
+                    label="Plate name"
+                    value={formData.plate_layout.name}
+                    onChange={(e) => setField('plate_layout', { ...formData.plate_layout, name: e.target.value })}
+                  />
+                  <FormControl size="small" sx={{ minWidth: 140 }}>
+                    <InputLabel>Format</InputLabel>
+                    <Select
+                      value={formData.plate_layout.plate_format}
+                      label="Format"
+                      onChange={(e) => setField('plate_layout', { ...formData.plate_layout, plate_format: e.target.value })}
+                    >
+                      {PLATE_FORMATS.map(format => <MenuItem key={format} value={format}>{format}-well</MenuItem>)}
+                    </Select>
+                  </FormControl>
+                </Box>
+                <Typography variant="body2" color="text.secondary">
+                  Controls and blanks keep their wells; samples fill the rest column by column.
+                </Typography>
+                {formData.plate_layout.wells.map((well, index) => (
+                  <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                    <TextField
+                      size="small"
+                      label="Well"
+                      placeholder="A1"
+                      value={well.well}
+                      onChange={(e) => updateControl(index, { well: e.target.value.toUpperCase() })}
+                      sx={{ width: 100 }}
+                    />
+                    <FormControl size="small" sx={{ minWidth: 180 }}>
+                      <InputLabel>Type</InputLabel>
+                      <Select value={well.well_type} label="Type" onChange={(e) => updateControl(index, { well_type: e.target.value })}>
+                        {CONTROL_TYPES.map(type => <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>)}
+                      </Select>
+                    </FormControl>
+                    <TextField
+                      size="small"
+                      label="Label"
+                      value={well.label || ''}
+                      onChange={(e) => updateControl(index, { label: e.target.value })}
+                      sx={{ flex: 1 }}
+                    />
+                    <IconButton
+                      size="small"
+                      onClick={() => setField('plate_layout', {
+                        ...formData.plate_layout,
+                        wells: formData.plate_layout.wells.filter((_, i) => i !== index)
+                      })}
+                    >
+                      <DeleteIcon />
+                    </IconButton>
+                  </Box>
+                ))}
+                <Box>
+                  <Button
+                    size="small"
+                    startIcon={<AddIcon />}
+                    onClick={() => setField('plate_layout', {
+                      ...formData.plate_layout,
+                      wells: [...formData.plate_layout.wells, { well: '', well_type: 'positive_control', label: '' }]
+                    })}
+                  >
+                    Add Control Well
+                  </Button>
+                </Box>
+              </>
+            )}
+
+            <Divider />
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={Boolean(formData.recurrence)}
+                  onChange={(e) => setField('recurrence', e.target.checked
+                    ? { weekdays: [1], every_weeks: 1, starts_on: new Date().toISOString().slice(0, 10), ends_on: '' }
+                    : null)}
+                />
+              }
+              label="Recurring schedule"
+            />
+            {formData.recurrence && (
+              <>
+                <ToggleButtonGroup
+                  size="small"
+                  value={formData.recurrence.weekdays}
+                  onChange={(e, weekdays) => setField('recurrence', { ...formData.recurrence, weekdays })}
+                >
+                  {WEEKDAYS.map(day => <ToggleButton key={day.value} value={day.value}>{day.label}</ToggleButton>)}
+                </ToggleButtonGroup>
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    size="small"
+                    type="number"
+                    label="Every (weeks)"
+                    value={formData.recurrence.every_weeks}
+                    onChange={(e) => setField('recurrence', { ...formData.recurrence, every_weeks: parseInt(e.target.value, 10) || '' })}
+                    inputProps={{ min: 1, max: 52 }}
+                  />
+                  <TextField
+                    size="small"
+                    type="date"
+                    label="Starts on"
+                    value={formData.recurrence.starts_on}
+                    onChange={(e) => setField('recurrence', { ...formData.recurrence, starts_on: e.target.value })}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                  <TextField
+                    size="small"
+                    type="date"
+                    label="Ends on"
+                    value={formData.recurrence.ends_on || ''}
+                    onChange={(e) => setField('recurrence', { ...formData.recurrence, ends_on: e.target.value })}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                </Box>
+              </>
+            )}
+
+            <Divider />
+            <TextField
+              label="Notes"
+              multiline
+              rows={2}
+              value={formData.notes}
+              onChange={(e) => setField('notes', e.target.value)}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !formData.name.trim() || !formData.protocol_id}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(scheduling)} onClose={() => setScheduling(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Schedule {scheduling?.name}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {describeRecurrence(scheduling?.recurrence)}. Dates already planned from this template are skipped.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+            <TextField
+              type="date"
+              label="From"
+              value={range.from}
+              onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+            <TextField
+              type="date"
+              label="To"
+              value={range.to}
+              onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+          </Box>
+          {scheduleResult && (
+            <>
+              <Alert severity="success" sx={{ mb: 1 }}>
+                Planned {scheduleResult.scheduled.length} experiment(s)
+                {scheduleResult.skipped.length > 0 && `; skipped ${scheduleResult.skipped.length} date(s) already planned`}.
+              </Alert>
+              {scheduleResult.scheduled.filter(run => run.conflicts.length > 0).map(run => (
+                <Alert key={run.experiment.id} severity="warning" sx={{ mb: 1 }}>
+                  <Link to={`/experiments/${run.experiment.id}`}>#{run.experiment.experiment_id}</Link>
+                  {' '}on {formatDate(run.experiment.date_performed)}:{' '}
+                  {run.conflicts.map(describeConflict).join('; ')}
+                </Alert>
+              ))}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setScheduling(null)}>Close</Button>
+          <Button variant="contained" onClick={handleSchedule} disabled={saving || !range.from || !range.to}>
+            {saving ? 'Scheduling...' : 'Schedule'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ExperimentTemplates;
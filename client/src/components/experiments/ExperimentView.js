@@ -33,6 +33,14 @@ import {
 } from '@mui/icons-material';
 import axios from 'axios';
 import { formatDate } from '../../utils/helpers';
+import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
+import { experimentsAPI } from '../../services/api';
+import ElectronicSignatures from '../common/ElectronicSignatures';
+import ExperimentExecutionRecord from './ExperimentExecutionRecord';
+import ExperimentPlates from './ExperimentPlates';
+import ExperimentStatusActions from './ExperimentStatusActions';
+import ExperimentReagentReconciliation from './ExperimentReagentReconciliation';
 
 const ExperimentView = () => {
   const { id } = useParams();
@@ -41,6 +49,8 @@ const ExperimentView = () => {
   const [inventoryTransactions, setInventoryTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [signatureStatus, setSignatureStatus] = useState(null);
+  const { currentUser } = useAuth();
 
   useEffect(() => {
     fetchExperiment();
@@ -77,8 +87,10 @@ const ExperimentView = () => {
         return 'primary';
       case 'completed':
         return 'success';
-      case 'cancelled':
+      case 'failed':
         return 'error';
+      case 'cancelled':
+        return 'warning';
       default:
         return 'default';
     }
@@ -111,6 +123,8 @@ const ExperimentView = () => {
     <Alert severity="info" sx={{ m: 2 }}>Experiment not found</Alert>
   );
 
+  const canEdit = experiment.user_id === currentUser?.id || hasPermission(currentUser, 'experiment:edit_any');
+
   return (
     <Box sx={{ p: 3 }}>
       <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
@@ -131,14 +145,19 @@ const ExperimentView = () => {
             size="medium"
           />
         </Box>
-        <Button
-          component={Link}
-          to={`/experiments/${id}/edit`}
-          variant="contained"
-          startIcon={<EditIcon />}
-        >
-          Edit
-        </Button>
+        {!signatureStatus?.locked && (
+          <Box display="flex" gap={1}>
+            {canEdit && <ExperimentStatusActions experiment={experiment} onTransition={fetchExperiment} />}
+            <Button
+              component={Link}
+              to={`/experiments/${id}/edit`}
+              variant="contained"
+              startIcon={<EditIcon />}
+            >
+              Edit
+            </Button>
+          </Box>
+        )}
       </Box>
 
       <Grid container spacing={3}>
@@ -198,7 +217,17 @@ const ExperimentView = () => {
                 <ListItem>
                   <ListItemText 
                     primary="Protocol Version"
-                    secondary={experiment.protocol_version || 'N/A'}
+                    secondary={experiment.protocol_version_number ? (
+                      <>
+                        Version {experiment.protocol_version_number}
+                        {experiment.protocol_version && ` (label ${experiment.protocol_version})`}
+                        {experiment.protocol_current_version > experiment.protocol_version_number && (
+                          <Typography component="span" variant="caption" color="warning.main" display="block">
+                            The protocol has changed since; this experiment used version {experiment.protocol_version_number}
+                          </Typography>
+                        )}
+                      </>
+                    ) : (experiment.protocol_version || 'N/A')}
                   />
                 </ListItem>
               </List>
@@ -221,6 +250,16 @@ const ExperimentView = () => {
                     secondary={formatDate(experiment.date_performed)}
                   />
                 </ListItem>
+                {experiment.instrument_name && (
+                  <ListItem>
+                    <ListItemText primary="Instrument" secondary={experiment.instrument_name} />
+                  </ListItem>
+                )}
+                {experiment.template_name && (
+                  <ListItem>
+                    <ListItemText primary="Planned From Template" secondary={experiment.template_name} />
+                  </ListItem>
+                )}
                 <ListItem>
                   <ListItemText 
                     primary="Created At"
@@ -263,6 +302,25 @@ const ExperimentView = () => {
           </Card>
         </Grid>
 
+        <Grid item xs={12}>
+          <ExperimentExecutionRecord experimentId={id} canRun={canEdit && !signatureStatus?.locked} />
+        </Grid>
+
+        <Grid item xs={12}>
+          <ExperimentPlates
+            experimentId={id}
+            samples={(experiment.sample_ids || []).map((sampleId, index) => ({
+              id: sampleId,
+              specimen_number: experiment.specimen_numbers?.[index] ?? sampleId,
+            }))}
+            canEdit={canEdit && !signatureStatus?.locked}
+          />
+        </Grid>
+
+        <Grid item xs={12}>
+          <ExperimentReagentReconciliation experimentId={id} status={experiment.status} />
+        </Grid>
+
         {/* Inventory Transactions */}
         <Grid item xs={12}>
           <Card>
@@ -305,6 +363,16 @@ const ExperimentView = () => {
             </CardContent>
           </Card>
         </Grid>
+
+        <Grid item xs={12}>
+          <ElectronicSignatures
+            api={experimentsAPI}
+            recordId={id}
+            recordName="experiment"
+            canEdit={canEdit}
+            onStatusChange={setSignatureStatus}
+          />
+        </Grid>
       </Grid>
     </Box>
   );
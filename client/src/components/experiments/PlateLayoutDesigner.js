@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Chip,
+  Grid,
+  TextField,
+  Tooltip,
+  Menu,
+  MenuItem,
+} from '@mui/material';
+import {
+  Save as SaveIcon,
+  Download as DownloadIcon,
+  ViewColumn as ByColumnIcon,
+  TableRows as ByRowIcon,
+  Clear as ClearIcon,
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { experimentsAPI } from '../../services/api';
+
+const WELL_STYLES = {
+  specimen: { bgcolor: 'primary.light', borderColor: 'primary.main', name: 'Specimen' },
+  positive_control: { bgcolor: 'success.light', borderColor: 'success.main', name: 'Positive Control', code: 'POS' },
+  negative_control: { bgcolor: 'error.light', borderColor: 'error.main', name: 'Negative Control', code: 'NEG' },
+  blank: { bgcolor: 'grey.300', borderColor: 'grey.500', name: 'Blank', code: 'BLANK' },
+};
+
+const CONTROL_TYPES = ['positive_control', 'negative_control', 'blank'];
+
+const rowName = (row) => String.fromCharCode(65 + row);
+
+/**
+ * Wells in the order auto-fill visits them: down each column (A1, B1, ...) or along each row (A1, A2, ...)
+ */
+const fillOrder = (plate, byColumn) => {
+  const wells = [];
+  const [outer, inner] = byColumn ? [plate.num_columns, plate.num_rows] : [plate.num_rows, plate.num_columns];
+  for (let i = 0; i < outer; i += 1) {
+    for (let j = 0; j < inner; j += 1) {
+      wells.push(byColumn ? `${rowName(j)}${i + 1}` : `${rowName(i)}${j + 1}`);
+    }
+  }
+  return wells;
+};
+
+const layoutFromPlate = (plate) => Object.fromEntries(plate.wells.map(well => [
+  well.well,
+  { well_type: well.well_type, specimen_id: well.specimen_id, label: well.label || '' },
+]));
+
+/**
+ * Drag-and-drop editor for one plate's layout. Specimens of the experiment and controls are
+ * dragged from the palette onto wells, filled wells are dragged to move or swap them, and
+ * auto-fill places the remaining specimens by column or row starting at the selected well.
+ */
+const PlateLayoutDesigner = ({ experimentId, plate, samples, canEdit, onSaved }) => {
+  const [layout, setLayout] = useState(() => layoutFromPlate(plate));
+  const [selected, setSelected] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [exportAnchor, setExportAnchor] = useState(null);
+
+  useEffect(() => {
+    setLayout(layoutFromPlate(plate));
+    setSelected(null);
+    setDirty(false);
+  }, [plate]);
+
+  const samplesById = useMemo(() => Object.fromEntries(samples.map(sample => [sample.id, sample])), [samples]);
+  const unplaced = samples.filter(sample =>
+    !Object.values(layout).some(content => content.specimen_id === sample.id));
+
+  const changeLayout = (next) => {
+    setLayout(next);
+    setDirty(true);
+  };
+
+  const wellText = (content) => {
+    if (content.well_type === 'specimen') {
+      return samplesById[content.specimen_id]?.specimen_number ?? '?';
+    }
+    return content.label || WELL_STYLES[content.well_type].code;
+  };
+
+  const handleDragStart = (event, payload) => {
+    event.dataTransfer.setData('application/json', JSON.stringify(payload));
+    event.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDrop = (event, target) => {
+    event.preventDefault();
+    let payload;
+    try {
+      payload = JSON.parse(event.dataTransfer.getData('application/json'));
+    } catch {
+      return;
+    }
+
+    const next = { ...layout };
+    if (payload.from) {
+      if (payload.from === target) return;
+      // Dropping a well on a filled well swaps the two
+      const moved = next[payload.from];
+      if (next[target]) {
+        next[payload.from] = next[target];
+      } else {
+        delete next[payload.from];
+      }
+      next[target] = moved;
+    } else {
+      next[target] = { well_type: payload.well_type, specimen_id: payload.specimen_id || null, label: '' };
+    }
+    changeLayout(next);
+    setSelected(target);
+  };
+
+  const autoFill = (byColumn) => {
+    const queue = unplaced.map(sample => sample.id);
+    let order = fillOrder(plate, byColumn);
+    if (selected) {
+      order = order.slice(order.indexOf(selected));
+    }
+
+    const next = { ...layout };
+    order.forEach(well => {
+      if (queue.length > 0 && !next[well]) {
+        next[well] = { well_type: 'specimen', specimen_id: queue.shift(), label: '' };
+      }
+    });
+    changeLayout(next);
+
+    if (queue.length > 0) {
+      toast.warning(`${queue.length} specimen(s) did not fit on the plate`);
+    }
+  };
+
+  const clearWell = (well) => {
+    const next = { ...layout };
+    delete next[well];
+    changeLayout(next);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const wells = Object.entries(layout).map(([well, content]) => ({ well, ...content }));
+      const response = await experimentsAPI.updatePlate(experimentId, plate.id, { wells });
+      toast.success(`Plate ${plate.name} saved`);
+      onSaved(response.data);
+    } catch (err) {
+      console.error('Error saving plate layout', err);
+      toast.error(err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg || 'Failed to save plate layout');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    setExportAnchor(null);
+    try {
+      const response = await experimentsAPI.exportPlateMap(experimentId, plate.id, format);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${plate.name.replace(/[^A-Za-z0-9_-]+/g, '_')}_plate_map_${format}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting plate map', err);
+      toast.error('Failed to export plate map');
+    }
+  };
+
+  const wellSize = plate.num_columns > 12 ? 22 : 36;
+  const selectedContent = selected ? layout[selected] : null;
+
+  const renderWell = (well) => {
+    const content = layout[well];
+    const style = content ? WELL_STYLES[content.well_type] : null;
+    const sample = content?.specimen_id ? samplesById[content.specimen_id] : null;
+
+    return (
+      <Tooltip
+        key={well}
+        title={content ? `${well}: ${sample ? `WUID ${sample.specimen_number}` : style.name}${content.label ? ` · ${content.label}` : ''}` : well}
+      >
+        <Box
+          draggable={canEdit && Boolean(content)}
+          onDragStart={(event) => handleDragStart(event, { from: well })}
+          onDragOver={canEdit ? (event) => event.preventDefault() : undefined}
+          onDrop={canEdit ? (event) => handleDrop(event, well) : undefined}
+          onClick={() => setSelected(well === selected ? null : well)}
+          sx={{
+            width: wellSize,
+            height: wellSize,
+            m: '1px',
+            borderRadius: '50%',
+            border: '2px solid',
+            borderColor: well === selected ? 'secondary.main' : style ? style.borderColor : 'grey.300',
+            bgcolor: style ? style.bgcolor : 'background.paper',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            fontSize: '0.55rem',
+            overflow: 'hidden',
+            cursor: canEdit && content ? 'grab' : 'pointer',
+            boxShadow: well === selected ? 3 : 0,
+          }}
+        >
+          {content && wellSize > 30 ? wellText(content) : ''}
+        </Box>
+      </Tooltip>
+    );
+  };
+
+  return (
+    <Grid container spacing={2}>
+      <Grid item xs={12} md={canEdit ? 9 : 12}>
+        <Box display="flex" alignItems="center" gap={1} mb={1} flexWrap="wrap">
+          <Chip size="small" label={`${plate.plate_format}-well (${plate.num_rows} x ${plate.num_columns})`} />
+          <Chip size="small" variant="outlined" label={`${Object.keys(layout).length} filled`} />
+          <Box sx={{ flexGrow: 1 }} />
+          <Button size="small" startIcon={<DownloadIcon />} onClick={(event) => setExportAnchor(event.currentTarget)} disabled={dirty}>
+            Export CSV
+          </Button>
+          <Menu anchorEl={exportAnchor} open={Boolean(exportAnchor)} onClose={() => setExportAnchor(null)}>
+            <MenuItem onClick={() => handleExport('list')}>One line per well</MenuItem>
+            <MenuItem onClick={() => handleExport('grid')}>Plate grid</MenuItem>
+          </Menu>
+          {canEdit && (
+            <Button size="small" variant="contained" startIcon={<SaveIcon />} onClick={handleSave} disabled={!dirty || saving}>
+              {saving ? 'Saving...' : 'Save Layout'}
+            </Button>
+          )}
+        </Box>
+
+        <Paper variant="outlined" sx={{ p: 2, overflowX: 'auto' }}>
+          <Box sx={{ display: 'inline-block' }}>
+            <Box sx={{ display: 'flex', pl: 3 }}>
+              {Array.from({ length: plate.num_columns }, (_, column) => (
+                <Box key={column} sx={{ width: wellSize + 2, textAlign: 'center' }}>
+                  <Typography variant="caption" color="text.secondary">{column + 1}</Typography>
+                </Box>
+              ))}
+            </Box>
+            {Array.from({ length: plate.num_rows }, (_, row) => (
+              <Box key={row} sx={{ display: 'flex', alignItems: 'center' }}>
+                <Box sx={{ width: 24 }}>
+                  <Typography variant="caption" color="text.secondary">{rowName(row)}</Typography>
+                </Box>
+                {Array.from({ length: plate.num_columns }, (_, column) => renderWell(`${rowName(row)}${column + 1}`))}
+              </Box>
+            ))}
+          </Box>
+        </Paper>
+
+        {selectedContent && (
+          <Box display="flex" alignItems="center" gap={2} mt={2}>
+            <Typography variant="body2">
+              <strong>{selected}</strong>: {WELL_STYLES[selectedContent.well_type].name}
+              {selectedContent.specimen_id && ` WUID ${samplesById[selectedContent.specimen_id]?.specimen_number ?? '?'}`}
+            </Typography>
+            {canEdit && selectedContent.well_type !== 'specimen' && (
+              <TextField
+                size="small"
+                label="Label"
+                placeholder="e.g. NTC"
+                value={selectedContent.label}
+                onChange={(e) => changeLayout({ ...layout, [selected]: { ...selectedContent, label: e.target.value } })}
+                inputProps={{ maxLength: 100 }}
+              />
+            )}
+            {canEdit && (
+              <Button size="small" color="error" startIcon={<ClearIcon />} onClick={() => clearWell(selected)}>
+                Empty Well
+              </Button>
+            )}
+          </Box>
+        )}
+      </Grid>
+
+      {canEdit && (
+        <Grid item xs={12} md={3}>
+          <Typography variant="subtitle2" gutterBottom>Controls</Typography>
+          <Box display="flex" flexWrap="wrap" gap={0.5} mb={2}>
+            {CONTROL_TYPES.map(type => (
+              <Chip
+                key={type}
+                label={WELL_STYLES[type].name}
+                size="small"
+                draggable
+                onDragStart={(event) => handleDragStart(event, { well_type: type })}
+                sx={{ bgcolor: WELL_STYLES[type].bgcolor, cursor: 'grab' }}
+              />
+            ))}
+          </Box>
+
+          <Typography variant="subtitle2" gutterBottom>
+            Unplaced Specimens ({unplaced.length})
+          </Typography>
+          <Box display="flex" flexWrap="wrap" gap={0.5} mb={2} sx={{ maxHeight: 240, overflowY: 'auto' }}>
+            {unplaced.length === 0 ? (
+              <Typography variant="caption" color="text.secondary">
+                Every specimen is on this plate.
+              </Typography>
+            ) : unplaced.map(sample => (
+              <Chip
+                key={sample.id}
+                label={`#${sample.specimen_number}`}
+                size="small"
+                color="primary"
+                variant="outlined"
+                draggable
+                onDragStart={(event) => handleDragStart(event, { well_type: 'specimen', specimen_id: sample.id })}
+                sx={{ cursor: 'grab' }}
+              />
+            ))}
+          </Box>
+
+          <Typography variant="subtitle2" gutterBottom>Auto-fill</Typography>
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+            Places unplaced specimens in empty wells{selected ? `, starting at ${selected}` : ''}.
+          </Typography>
+          <Box display="flex" gap={1}>
+            <Button size="small" variant="outlined" startIcon={<ByColumnIcon />} onClick={() => autoFill(true)} disabled={unplaced.length === 0}>
+              By Column
+            </Button>
+            <Button size="small" variant="outlined" startIcon={<ByRowIcon />} onClick={() => autoFill(false)} disabled={unplaced.length === 0}>
+              By Row
+            </Button>
+          </Box>
+        </Grid>
+      )}
+    </Grid>
+  );
+};
+
+export default PlateLayoutDesigner;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Grid,
+  Divider,
+  Chip,
+  CircularProgress,
+  Alert,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tabs,
+  Tab,
+} from '@mui/material';
+import {
+  Edit as EditIcon,
+  ArrowBack as ArrowBackIcon,
+} from '@mui/icons-material';
+import { useParams, Link } from 'react-router-dom';
+import { inventoryAPI } from '../../services/api';
+import { formatDate } from '../../utils/helpers';
+import { useAuth } from '../../context/AuthContext';
+import { canEditLabData, canViewAudit } from '../../utils/roleUtils';
+import RecordHistory from '../common/RecordHistory';
+
+const Field = ({ label, children }) => (
+  <Grid item xs={12} sm={6} md={4}>
+    <Typography variant="subtitle2" color="text.secondary">{label}</Typography>
+    <Typography variant="body1">{children || '—'}</Typography>
+  </Grid>
+);
+
+/**
+ * One inventory item with its stock transactions and, for auditors, its change history
+ */
+const InventoryDetail = () => {
+  const { id } = useParams();
+  const [item, setItem] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [tab, setTab] = useState('details');
+  const { currentUser } = useAuth();
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [itemResponse, transactionsResponse] = await Promise.all([
+          inventoryAPI.getById(id),
+          inventoryAPI.getTransactions(id)
+        ]);
+        setItem(itemResponse.data);
+        setTransactions(transactionsResponse.data);
+      } catch (err) {
+        console.error('Error fetching inventory item', err);
+        setError(err.response?.status === 404 ? 'Inventory item not found' : 'Failed to load inventory item');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" my={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Box my={4}>
+        <Alert severity="error">{error}</Alert>
+        <Button
+          component={Link}
+          to="/inventory"
+          startIcon={<ArrowBackIcon />}
+          sx={{ mt: 2 }}
+        >
+          Back to Inventory
+        </Button>
+      </Box>
+    );
+  }
+
+  const unit = item.unit_of_measure || '';
+
+  return (
+    <Box className="inventory-detail page-container">
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Box display="flex" alignItems="center">
+          <IconButton
+            component={Link}
+            to="/inventory"
+            sx={{ mr: 1 }}
+          >
+            <ArrowBackIcon />
+          </IconButton>
+          <Typography variant="h4" component="h1">
+            {item.name}
+          </Typography>
+          {item.is_expired && <Chip label="Expired" color="error" size="small" sx={{ ml: 2 }} />}
+          {item.is_low_stock && <Chip label="Low stock" color="warning" size="small" sx={{ ml: 2 }} />}
+        </Box>
+        {canEditLabData(currentUser) && (
+          <Button
+            component={Link}
+            to={`/inventory/edit/${id}`}
+            variant="outlined"
+            startIcon={<EditIcon />}
+          >
+            Edit
+          </Button>
+        )}
+      </Box>
+
+      {canViewAudit(currentUser) && (
+        <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}>
+          <Tab label="Details" value="details" />
+          <Tab label="History" value="history" />
+        </Tabs>
+      )}
+
+      {tab === 'history' && <RecordHistory table="inventory" recordId={id} />}
+
+      {tab === 'details' && (
+        <Grid container spacing={3}>
+          <Grid item xs={12}>
+            <Paper elevation={2} sx={{ p: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Item Information
+              </Typography>
+              <Divider sx={{ mb: 2 }} />
+              <Grid container spacing={2}>
+                <Field label="Inventory ID">{item.inventory_id && `LAB-${String(item.inventory_id).padStart(3, '0')}`}</Field>
+                <Field label="Category">{item.category}</Field>
+                <Field label="Quantity">{`${item.current_quantity} ${unit}`}</Field>
+                <Field label="Minimum Stock Level">{item.minimum_stock_level > 0 && `${item.minimum_stock_level} ${unit}`}</Field>
+                <Field label="Supplier">{item.supplier}</Field>
+                <Field label="Catalog Number">{item.catalog_number}</Field>
+                <Field label="Lot Number">{item.lot_number}</Field>
+                <Field label="Expiration Date">{item.expiration_date && formatDate(item.expiration_date)}</Field>
+                <Field label="Storage Location">{item.storage_location}</Field>
+                <Field label="Storage Conditions">{item.storage_conditions}</Field>
+                <Field label="Barcode">{item.barcode}</Field>
+                <Field label="Cost per Unit">{item.cost_per_unit && `$${item.cost_per_unit}`}</Field>
+              </Grid>
+              {(item.description || item.notes) && (
+                <Box mt={2}>
+                  {item.description && <Typography variant="body2" paragraph>{item.description}</Typography>}
+                  {item.notes && <Typography variant="body2" color="text.secondary">{item.notes}</Typography>}
+                </Box>
+              )}
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12}>
+            <Paper elevation={2} sx={{ p: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Transactions ({transactions.length})
+              </Typography>
+              <Divider sx={{ mb: 2 }} />
+              {transactions.length === 0 ? (
+                <Alert severity="info">No stock transactions have been recorded for this item.</Alert>
+              ) : (
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Date</TableCell>
+                        <TableCell>Type</TableCell>
+                        <TableCell align="right">Change</TableCell>
+                        <TableCell align="right">After</TableCell>
+                        <TableCell>Reason</TableCell>
+                        <TableCell>By</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {transactions.map(transaction => (
+                        <TableRow key={transaction.id}>
+                          <TableCell>{formatDate(transaction.transaction_date)}</TableCell>
+                          <TableCell sx={{ textTransform: 'capitalize' }}>{transaction.transaction_type}</TableCell>
+                          <TableCell align="right">{transaction.quantity_change}</TableCell>
+                          <TableCell align="right">{transaction.quantity_after}</TableCell>
+                          <TableCell>{transaction.reason || '—'}</TableCell>
+                          <TableCell>{transaction.performed_by_username || '—'}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </Paper>
+          </Grid>
+        </Grid>
+      )}
+    </Box>
+  );
+};
+
+export default InventoryDetail;
@@ -33,6 +33,7 @@ import { inventoryAPI } from '../../services/api';
 import useAutoGeneratedId from '../../hooks/useAutoGeneratedId';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
 import InventoryBarcodeSearch from '../common/InventoryBarcodeSearch';
 import { parseCommercialBarcode, generateLabBarcode } from '../../utils/barcode';
 
@@ -85,7 +86,7 @@ const InventoryForm = () => {
   const [showBarcodeScanner, setShowBarcodeScanner] = useState(false);
   
   const { currentUser } = useAuth();
-  const isEditor = currentUser?.role === 'editor' || currentUser?.role === 'admin';
+  const isEditor = hasPermission(currentUser, 'inventory:edit');
   
   // Auto-generated ID hook
   const { 
@@ -43,7 +43,7 @@ import { formatDate, formatCurrency } from '../../utils/helpers';
 import { generateBarcodeDataURL } from '../../utils/barcode';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
-import { canEditLabData } from '../../utils/roleUtils';
+import { canEditLabData, hasPermission } from '../../utils/roleUtils';
 
 // Custom hook for debouncing values
 const useDebounce = (value, delay) => {
@@ -85,7 +85,7 @@ const InventoryList = () => {
   });
   
   const { currentUser } = useAuth();
-  const isAdmin = currentUser?.role === 'admin';
+  const canDelete = hasPermission(currentUser, 'inventory:delete');
   const canEdit = canEditLabData(currentUser);
   
   // Debounce search term to avoid too many API calls
@@ -558,7 +558,7 @@ const InventoryList = () => {
                         </IconButton>
                       </Tooltip>
                       
-                      {isAdmin && (
+                      {canDelete && (
                         <Tooltip title="Delete">
                           <IconButton
                             size="small"
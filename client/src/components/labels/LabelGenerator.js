@@ -33,6 +33,7 @@ import { getLocationString, formatDate } from '../../utils/helpers';
 import { toast } from 'react-toastify';
 import PrintableLabel from './PrintableLabel';
 import Barcode from '../common/Barcode';
+import ConsentBlockedDialog from '../common/ConsentBlockedDialog';
 
 const LabelGenerator = () => {
   const [tabValue, setTabValue] = useState(0);
@@ -48,6 +49,7 @@ const LabelGenerator = () => {
   const [showLabelContent, setShowLabelContent] = useState(false);
   const [labelSize, setLabelSize] = useState('standard');
   const [showBarcodePreview, setShowBarcodePreview] = useState(false);
+  const [consentBlock, setConsentBlock] = useState(null);
 
   useEffect(() => {
     const fetchProjects = async () => {
@@ -117,7 +119,9 @@ const LabelGenerator = () => {
   };
 
 
-  const generateLabelsForSpecimens = async () => {
+  const consentOptions = (reason) => (reason ? { consent_override: true, consent_override_reason: reason } : {});
+
+  const generateLabelsForSpecimens = async (consentOverrideReason = null) => {
     if (selectedSpecimens.length === 0) {
       toast.error('Please select at least one specimen');
       return;
@@ -125,7 +129,7 @@ const LabelGenerator = () => {
 
     setLoading(true);
     try {
-      const response = await labelAPI.generateLabels(selectedSpecimens);
+      const response = await labelAPI.generateLabels(selectedSpecimens, consentOptions(consentOverrideReason));
       console.log('Label generation response:', response.data);
 
       // Immediately download the file
@@ -157,6 +161,10 @@ const LabelGenerator = () => {
       }
     } catch (err) {
       console.error('Error generating labels', err);
+      if (err.response?.data?.consentBlocked) {
+        setConsentBlock({ ...err.response.data, retry: generateLabelsForSpecimens });
+        return;
+      }
       setError('Failed to generate labels');
       toast.error('Failed to generate labels');
     } finally {
@@ -175,10 +183,13 @@ const LabelGenerator = () => {
       const response = await labelAPI.generateProjectLabels(selectedProject);
       setLabelFile(response.data);
       toast.success(`Labels generated for project`);
+      if (response.data.consentExcluded > 0) {
+        toast.warning(`${response.data.consentExcluded} specimens skipped because of patient consent`);
+      }
       setShowLabelContent(true);
     } catch (err) {
       console.error('Error generating project labels', err);
-      setError('Failed to generate labels for project');
+      setError(err.response?.status === 403 ? err.response.data.msg : 'Failed to generate labels for project');
     } finally {
       setLoading(false);
     }
@@ -218,7 +229,7 @@ const LabelGenerator = () => {
     }
   };
 
-  const generatePDFLabels = async () => {
+  const generatePDFLabels = async (consentOverrideReason = null) => {
     if (selectedSpecimens.length === 0) {
       toast.error('Please select at least one specimen');
       return;
@@ -226,7 +237,7 @@ const LabelGenerator = () => {
 
     setLoading(true);
     try {
-      const response = await labelAPI.generatePDF(selectedSpecimens);
+      const response = await labelAPI.generatePDF(selectedSpecimens, consentOptions(consentOverrideReason));
       
       // Download the PDF immediately
       const downloadResponse = await labelAPI.downloadPDF(response.data.filename);
@@ -257,6 +268,10 @@ const LabelGenerator = () => {
       toast.success(`PDF labels downloaded for ${selectedSpecimens.length} specimens`);
     } catch (err) {
       console.error('Error generating PDF labels', err);
+      if (err.response?.data?.consentBlocked) {
+        setConsentBlock({ ...err.response.data, retry: generatePDFLabels });
+        return;
+      }
       setError('Failed to generate PDF labels');
       toast.error('Failed to generate PDF labels');
     } finally {
@@ -462,7 +477,7 @@ const LabelGenerator = () => {
                     <Button
                       variant="outlined"
                       startIcon={<DownloadIcon />}
-                      onClick={generatePDFLabels}
+                      onClick={() => generatePDFLabels()}
                       disabled={selectedSpecimens.length === 0 || loading}
                       fullWidth
                     >
@@ -550,7 +565,7 @@ const LabelGenerator = () => {
               variant="contained"
               color="primary"
               startIcon={<PrintIcon />}
-              onClick={generateLabelsForSpecimens}
+              onClick={() => generateLabelsForSpecimens()}
               disabled={selectedSpecimens.length === 0 || loading}
             >
               Generate Labels
@@ -666,6 +681,18 @@ const LabelGenerator = () => {
           </Box>
         </Paper>
       )}
+
+      <ConsentBlockedDialog
+        open={Boolean(consentBlock)}
+        message={consentBlock?.msg}
+        blocked={consentBlock?.consentBlocked}
+        onClose={() => setConsentBlock(null)}
+        onOverride={(reason) => {
+          const { retry } = consentBlock;
+          setConsentBlock(null);
+          retry(reason);
+        }}
+      />
     </Box>
   );
 };
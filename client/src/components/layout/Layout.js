@@ -37,10 +37,15 @@ import {
   Description as DocumentIcon,
   AdminPanelSettings as AdminIcon,
   Dns as SequencingIcon,
-  BarChart as AnalyticsIcon
+  BarChart as AnalyticsIcon,
+  AcUnit as StorageIcon,
+  LocalShipping as ShipmentIcon,
+  Security as PermissionsIcon,
+  History as AuditIcon
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { hasPermission, canManagePermissions } from '../../utils/roleUtils';
 import { useDemo } from '../../context/DemoContext';
 import useKeyboardShortcuts from '../../hooks/useKeyboardShortcuts';
 import { useKeyboardShortcutsHelp } from '../common/KeyboardShortcutsHelp';
@@ -85,8 +90,17 @@ const Layout = () => {
     showHelp();
   };
 
-  // Check if user can manage users
-  const canManageUsers = currentUser?.role === 'admin' || currentUser?.role === 'lab_manager';
+  const adminItems = [
+    ...(hasPermission(currentUser, 'user:view')
+      ? [{ text: 'User Management', icon: <AdminIcon />, path: '/admin/users' }]
+      : []),
+    ...(canManagePermissions(currentUser)
+      ? [{ text: 'Permissions', icon: <PermissionsIcon />, path: '/admin/permissions' }]
+      : []),
+    ...(hasPermission(currentUser, 'audit:view')
+      ? [{ text: 'Audit Log', icon: <AuditIcon />, path: '/admin/audit' }]
+      : [])
+  ];
 
   const menuSections = [
     {
@@ -103,6 +117,8 @@ const Layout = () => {
         { text: 'Projects', icon: <FolderIcon />, path: '/projects' },
         { text: 'Patients', icon: <PersonIcon />, path: '/patients' },
         { text: 'Specimens', icon: <ScienceIcon />, path: '/specimens' },
+        { text: 'Storage', icon: <StorageIcon />, path: '/storage' },
+        { text: 'Shipments', icon: <ShipmentIcon />, path: '/shipments' },
         { text: 'Metadata', icon: <MetadataIcon />, path: '/metadata' },
         { text: 'Labels', icon: <LabelIcon />, path: '/labels' }
       ]
@@ -122,11 +138,9 @@ const Layout = () => {
         { text: 'Sequencing', icon: <SequencingIcon />, path: '/sequencing' }
       ]
     },
-    ...(canManageUsers ? [{
+    ...(adminItems.length > 0 ? [{
       title: 'Administration',
-      items: [
-        { text: 'User Management', icon: <AdminIcon />, path: '/admin/users' }
-      ]
+      items: adminItems
     }] : [])
   ];
 
@@ -44,6 +44,7 @@ import { useNavigate } from 'react-router-dom';
 import { projectAPI, specimenAPI } from '../../services/api';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import { canImportData } from '../../utils/roleUtils';
 import MetadataUpload from './MetadataUpload';
 import EnhancedExportDialog from '../common/EnhancedExportDialog';
 import MetadataAnalytics from './MetadataAnalytics';
@@ -60,7 +61,7 @@ const MetadataList = () => {
   
   const navigate = useNavigate();
   const { currentUser } = useAuth();
-  const isEditor = currentUser?.role === 'editor' || currentUser?.role === 'admin';
+  const isEditor = canImportData(currentUser);
 
   useEffect(() => {
     fetchProjects();
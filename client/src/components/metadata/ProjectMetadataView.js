@@ -47,6 +47,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { projectAPI, specimenAPI } from '../../services/api';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import { canImportData } from '../../utils/roleUtils';
 import ProjectMetadataUpload from '../projects/ProjectMetadataUpload';
 import EnhancedExportDialog from '../common/EnhancedExportDialog';
 
@@ -54,7 +55,7 @@ const ProjectMetadataView = () => {
   const { projectId } = useParams();
   const navigate = useNavigate();
   const { currentUser } = useAuth();
-  const isEditor = currentUser?.role === 'editor' || currentUser?.role === 'admin';
+  const isEditor = canImportData(currentUser);
 
   const [project, setProject] = useState(null);
   const [specimens, setSpecimens] = useState([]);
@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Alert,
+  Divider,
+  CircularProgress,
+  IconButton,
+  Tooltip,
+  TextField,
+  FormControlLabel,
+  Checkbox,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { Add as AddIcon, Edit as EditIcon, Block as WithdrawIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { patientAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { canManageConsents } from '../../utils/roleUtils';
+import { formatDate } from '../../utils/helpers';
+
+const SCOPES = [
+  { key: 'future_research', label: 'Future research' },
+  { key: 'genetic_testing', label: 'Genetic testing' },
+  { key: 'data_sharing', label: 'Data sharing' },
+];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyConsent = () => ({
+  consent_form_version: '',
+  consent_date: today(),
+  future_research: false,
+  genetic_testing: false,
+  data_sharing: false,
+  notes: '',
+});
+
+/**
+ * Consent banner and records for the patient page
+ */
+const PatientConsents = ({ patientId }) => {
+  const { currentUser } = useAuth();
+  const canManage = canManageConsents(currentUser);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyConsent());
+  const [withdrawing, setWithdrawing] = useState(null);
+  const [withdrawal, setWithdrawal] = useState({ withdrawal_date: today(), withdrawal_reason: '' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchConsents = useCallback(async () => {
+    try {
+      const response = await patientAPI.getConsents(patientId);
+      setData(response.data);
+    } catch (err) {
+      console.error('Error fetching consents', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [patientId]);
+
+  useEffect(() => {
+    fetchConsents();
+  }, [fetchConsents]);
+
+  const openConsentDialog = (consent = null) => {
+    setForm(consent ? {
+      consent_form_version: consent.consent_form_version,
+      consent_date: consent.consent_date.split('T')[0],
+      future_research: consent.future_research,
+      genetic_testing: consent.genetic_testing,
+      data_sharing: consent.data_sharing,
+      notes: consent.notes || '',
+    } : emptyConsent());
+    setEditing(consent || {});
+  };
+
+  const handleSaveConsent = async () => {
+    setSaving(true);
+    try {
+      if (editing.id) {
+        await patientAPI.updateConsent(patientId, editing.id, form);
+        toast.success('Consent updated');
+      } else {
+        await patientAPI.addConsent(patientId, form);
+        toast.success('Consent recorded');
+      }
+      setEditing(null);
+      fetchConsents();
+    } catch (err) {
+      console.error('Error saving consent', err);
+      toast.error(err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg || 'Failed to save consent');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    setSaving(true);
+    try {
+      await patientAPI.withdrawConsent(patientId, withdrawing.id, withdrawal);
+      toast.success('Consent withdrawal recorded');
+      setWithdrawing(null);
+      fetchConsents();
+    } catch (err) {
+      console.error('Error withdrawing consent', err);
+      toast.error(err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg || 'Failed to withdraw consent');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" my={2}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (!data) return null;
+
+  const { status, consents } = data;
+  const specimenNote = status.specimen_count > 0 ? ` (${status.specimen_count} specimens affected)` : '';
+
+  return (
+    <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center">
+        <Typography variant="h6">Consent</Typography>
+        {canManage && (
+          <Button size="small" startIcon={<AddIcon />} onClick={() => openConsentDialog()}>
+            Record Consent
+          </Button>
+        )}
+      </Box>
+      <Divider sx={{ my: 2 }} />
+
+      {!status.current ? (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          No consent on file. Specimens from this patient are not restricted until a consent is recorded.
+        </Alert>
+      ) : status.current.withdrawal_date ? (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          Consent withdrawn on {formatDate(status.current.withdrawal_date)}. Specimens cannot be used in
+          experiments, printed on labels or exported{specimenNote}.
+        </Alert>
+      ) : status.blocked_uses.length > 0 ? (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Current consent does not allow {status.blocked_uses.map(entry => entry.label).join(' or ')}{specimenNote}.
+          {status.blocked_uses.map(entry => (
+            <div key={entry.use}>{entry.reason}</div>
+          ))}
+        </Alert>
+      ) : null}
+
+      {consents.length > 0 && (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Form Version</TableCell>
+                <TableCell>Consent Date</TableCell>
+                <TableCell>Scope</TableCell>
+                <TableCell>Withdrawn</TableCell>
+                <TableCell>Recorded By</TableCell>
+                {canManage && <TableCell align="right">Actions</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {consents.map(consent => (
+                <TableRow key={consent.id}>
+                  <TableCell>{consent.consent_form_version}</TableCell>
+                  <TableCell>{formatDate(consent.consent_date)}</TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                      {SCOPES.map(scope => (
+                        <Chip
+                          key={scope.key}
+                          size="small"
+                          label={scope.label}
+                          color={consent[scope.key] ? 'success' : 'default'}
+                          variant={consent[scope.key] ? 'filled' : 'outlined'}
+                        />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    {consent.withdrawal_date ? (
+                      <Tooltip title={consent.withdrawal_reason || ''}>
+                        <span>{formatDate(consent.withdrawal_date)}</span>
+                      </Tooltip>
+                    ) : '—'}
+                  </TableCell>
+                  <TableCell>{consent.recorded_by_username || '—'}</TableCell>
+                  {canManage && (
+                    <TableCell align="right">
+                      <Tooltip title="Edit">
+                        <IconButton size="small" onClick={() => openConsentDialog(consent)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      {!consent.withdrawal_date && (
+                        <Tooltip title="Record withdrawal">
+                          <IconButton
+                            size="small"
+                            color="error"
+                            onClick={() => {
+                              setWithdrawal({ withdrawal_date: today(), withdrawal_reason: '' });
+                              setWithdrawing(consent);
+                            }}
+                          >
+                            <WithdrawIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing?.id ? 'Edit Consent' : 'Record Consent'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Consent Form Version"
+            value={form.consent_form_version}
+            onChange={(e) => setForm({ ...form, consent_form_version: e.target.value })}
+            required
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            type="date"
+            label="Consent Date"
+            value={form.consent_date}
+            onChange={(e) => setForm({ ...form, consent_date: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+            required
+          />
+          <Box sx={{ mt: 1 }}>
+            {SCOPES.map(scope => (
+              <FormControlLabel
+                key={scope.key}
+                control={
+                  <Checkbox
+                    checked={form[scope.key]}
+                    onChange={(e) => setForm({ ...form, [scope.key]: e.target.checked })}
+                  />
+                }
+                label={scope.label}
+              />
+            ))}
+          </Box>
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Notes"
+            value={form.notes}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+            multiline
+            rows={2}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSaveConsent}
+            disabled={saving || !form.consent_form_version.trim() || !form.consent_date}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(withdrawing)} onClose={() => setWithdrawing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Record Consent Withdrawal</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 1 }}>
+            Once withdrawn, this patient's specimens are blocked from experiments, labels and exports.
+          </Alert>
+          <TextField
+            fullWidth
+            margin="normal"
+            type="date"
+            label="Withdrawal Date"
+            value={withdrawal.withdrawal_date}
+            onChange={(e) => setWithdrawal({ ...withdrawal, withdrawal_date: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+            required
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Reason"
+            value={withdrawal.withdrawal_reason}
+            onChange={(e) => setWithdrawal({ ...withdrawal, withdrawal_reason: e.target.value })}
+            multiline
+            rows={2}
+            required
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setWithdrawing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color="error"
+            onClick={handleWithdraw}
+            disabled={saving || !withdrawal.withdrawal_date || !withdrawal.withdrawal_reason.trim()}
+          >
+            Record Withdrawal
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default PatientConsents;
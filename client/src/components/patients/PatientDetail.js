@@ -15,6 +15,8 @@ import {
   TableContainer,
   TableHead,
   TableRow,
+  Tabs,
+  Tab,
 } from '@mui/material';
 import {
   Edit as EditIcon,
@@ -27,6 +29,10 @@ import { patientAPI } from '../../services/api';
 import { formatDate, getLocationString } from '../../utils/helpers';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import { hasPermission, canViewAudit } from '../../utils/roleUtils';
+import RecordHistory from '../common/RecordHistory';
+import PatientConsents from './PatientConsents';
+import PatientVisits from './PatientVisits';
 
 const PatientDetail = () => {
   const { id } = useParams();
@@ -37,8 +43,9 @@ const PatientDetail = () => {
   const [error, setError] = useState('');
   const navigate = useNavigate();
   const { currentUser } = useAuth();
-  const isAdmin = currentUser?.role === 'admin';
-  const isEditor = currentUser?.role === 'editor' || isAdmin;
+  const [tab, setTab] = useState('details');
+  const canDelete = hasPermission(currentUser, 'patient:delete');
+  const isEditor = hasPermission(currentUser, 'patient:edit');
 
   useEffect(() => {
     const fetchPatient = async () => {
@@ -140,7 +147,9 @@ const PatientDetail = () => {
             <ArrowBackIcon />
           </IconButton>
           <Typography variant="h4" component="h1">
-            {patient.external_id ? 
+            {patient.external_id && patient.phi_masked ?
+              patient.external_id :
+            patient.external_id ? 
               `${patient.external_id} (${patient.first_name || ''} ${patient.last_name || ''})`.trim() : 
               `${patient.first_name || ''} ${patient.last_name || ''}`.trim() || 'Unnamed Patient'}
           </Typography>
@@ -157,7 +166,7 @@ const PatientDetail = () => {
               >
                 Edit
               </Button>
-              {isAdmin && (
+              {canDelete && (
                 <Button
                   variant="outlined"
                   color="error"
@@ -172,7 +181,18 @@ const PatientDetail = () => {
         </Box>
       </Box>
 
-      <Grid container spacing={3}>
+      {canViewAudit(currentUser) && (
+        <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}>
+          <Tab label="Details" value="details" />
+          <Tab label="History" value="history" />
+        </Tabs>
+      )}
+
+      {tab === 'history' && <RecordHistory table="patients" recordId={id} />}
+
+      {tab === 'details' && <PatientConsents patientId={id} />}
+
+      <Grid container spacing={3} sx={{ display: tab === 'details' ? undefined : 'none' }}>
         <Grid item xs={12} md={6}>
           <Paper elevation={2} sx={{ p: 3 }}>
             <Typography variant="h6" gutterBottom>
@@ -197,7 +217,9 @@ const PatientDetail = () => {
               
               <Grid item xs={12} sm={6}>
                 <Typography variant="subtitle2" color="text.secondary">Date of Birth</Typography>
-                <Typography variant="body1" gutterBottom>{formatDate(patient.date_of_birth) || '—'}</Typography>
+                <Typography variant="body1" gutterBottom>
+                  {patient.phi_masked ? patient.date_of_birth || '—' : formatDate(patient.date_of_birth) || '—'}
+                </Typography>
               </Grid>
               
               <Grid item xs={12} sm={6}>
@@ -247,6 +269,7 @@ const PatientDetail = () => {
                       <TableCell>Tube ID</TableCell>
                       <TableCell>Location</TableCell>
                       <TableCell>Project</TableCell>
+                      <TableCell>Visit</TableCell>
                       <TableCell>Date Collected</TableCell>
                       <TableCell>Actions</TableCell>
                     </TableRow>
@@ -261,6 +284,7 @@ const PatientDetail = () => {
                             {specimen.disease || 'Unnamed Project'}
                           </Link>
                         </TableCell>
+                        <TableCell>{specimen.visit_label || '—'}</TableCell>
                         <TableCell>{formatDate(specimen.date_collected) || '—'}</TableCell>
                         <TableCell>
                           <IconButton
@@ -280,6 +304,13 @@ const PatientDetail = () => {
             )}
           </Paper>
         </Grid>
+
+        <Grid item xs={12}>
+          <PatientVisits
+            patientId={id}
+            unlinkedSpecimens={specimens.filter(specimen => !specimen.visit_id).length}
+          />
+        </Grid>
       </Grid>
     </Box>
   );
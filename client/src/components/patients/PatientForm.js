@@ -41,6 +41,8 @@ const PatientForm = () => {
   const [fetchingData, setFetchingData] = useState(isEditing);
   const [error, setError] = useState('');
   const navigate = useNavigate();
+  const phiMasked = Boolean(formData.phi_masked);
+  const phiHelperText = 'Only admins and lab managers can view or change patient identifiers';
   
   // Hook for auto-generated ID
   const { 
@@ -59,8 +61,8 @@ const PatientForm = () => {
           const response = await patientAPI.getById(id);
           const patientData = response.data;
           
-          // Format dates for form inputs
-          if (patientData.date_of_birth) {
+          // Format dates for form inputs; masked PHI stays as returned
+          if (patientData.date_of_birth && !patientData.phi_masked) {
             patientData.date_of_birth = new Date(patientData.date_of_birth);
           }
           
@@ -198,9 +200,10 @@ const PatientForm = () => {
                 fullWidth
                 label="First Name"
                 name="first_name"
-                value={formData.first_name}
+                value={formData.first_name || ''}
                 onChange={handleChange}
-                helperText="Enter the patient's first name"
+                disabled={phiMasked}
+                helperText={phiMasked ? phiHelperText : "Enter the patient's first name"}
               />
             </Grid>
             
@@ -209,26 +212,37 @@ const PatientForm = () => {
                 fullWidth
                 label="Last Name"
                 name="last_name"
-                value={formData.last_name}
+                value={formData.last_name || ''}
                 onChange={handleChange}
-                helperText="Enter the patient's last name"
+                disabled={phiMasked}
+                helperText={phiMasked ? phiHelperText : "Enter the patient's last name"}
               />
             </Grid>
             
             <Grid item xs={12} md={6}>
-              <LocalizationProvider dateAdapter={AdapterDateFns}>
-                <DatePicker
+              {phiMasked ? (
+                <TextField
+                  fullWidth
                   label="Date of Birth"
-                  value={formData.date_of_birth}
-                  onChange={handleDateChange}
-                  slotProps={{
-                    textField: {
-                      fullWidth: true,
-                      helperText: 'Enter the patient\'s date of birth'
-                    }
-                  }}
+                  value={formData.date_of_birth || ''}
+                  disabled
+                  helperText={phiHelperText}
                 />
-              </LocalizationProvider>
+              ) : (
+                <LocalizationProvider dateAdapter={AdapterDateFns}>
+                  <DatePicker
+                    label="Date of Birth"
+                    value={formData.date_of_birth}
+                    onChange={handleDateChange}
+                    slotProps={{
+                      textField: {
+                        fullWidth: true,
+                        helperText: 'Enter the patient\'s date of birth'
+                      }
+                    }}
+                  />
+                </LocalizationProvider>
+              )}
             </Grid>
             
             <Grid item xs={12} md={6}>
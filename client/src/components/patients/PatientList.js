@@ -29,7 +29,7 @@ import { patientAPI } from '../../services/api';
 import { formatDate } from '../../utils/helpers';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
-import { canEditLabData } from '../../utils/roleUtils';
+import { canEditLabData, hasPermission } from '../../utils/roleUtils';
 
 // Custom hook for debouncing values
 const useDebounce = (value, delay) => {
@@ -64,7 +64,7 @@ const PatientList = () => {
   });
   
   const { currentUser } = useAuth();
-  const isAdmin = currentUser?.role === 'admin';
+  const canDelete = hasPermission(currentUser, 'patient:delete');
   const canEdit = canEditLabData(currentUser);
 
   // Pagination component
@@ -298,7 +298,7 @@ const PatientList = () => {
                         >
                           <EditIcon fontSize="small" />
                         </IconButton>
-                        {isAdmin && (
+                        {canDelete && (
                           <IconButton
                             size="small"
                             onClick={() => handleDeletePatient(patient.id)}
@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Divider,
+  CircularProgress,
+  IconButton,
+  Tooltip,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import {
+  Timeline,
+  TimelineItem,
+  TimelineSeparator,
+  TimelineConnector,
+  TimelineContent,
+  TimelineDot,
+  TimelineOppositeContent,
+} from '@mui/lab';
+import { Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { patientAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { canEditLabData, hasPermission } from '../../utils/roleUtils';
+import { formatDate } from '../../utils/helpers';
+
+const emptyVisit = () => ({ visit_label: '', visit_date: '', notes: '' });
+
+/**
+ * Longitudinal timeline of a patient's visits and the specimens collected at each
+ */
+const PatientVisits = ({ patientId, unlinkedSpecimens = 0 }) => {
+  const { currentUser } = useAuth();
+  const canEdit = canEditLabData(currentUser);
+  const canDelete = hasPermission(currentUser, 'visit:delete');
+  const [visits, setVisits] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyVisit());
+  const [saving, setSaving] = useState(false);
+
+  const fetchVisits = useCallback(async () => {
+    try {
+      const response = await patientAPI.getVisits(patientId);
+      setVisits(response.data);
+    } catch (err) {
+      console.error('Error fetching visits', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [patientId]);
+
+  useEffect(() => {
+    fetchVisits();
+  }, [fetchVisits]);
+
+  const openDialog = (visit = null) => {
+    setForm(visit ? {
+      visit_label: visit.visit_label,
+      visit_date: visit.visit_date ? visit.visit_date.split('T')[0] : '',
+      notes: visit.notes || '',
+    } : emptyVisit());
+    setEditing(visit || {});
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      if (editing.id) {
+        await patientAPI.updateVisit(patientId, editing.id, form);
+        toast.success('Visit updated');
+      } else {
+        await patientAPI.addVisit(patientId, form);
+        toast.success('Visit added');
+      }
+      setEditing(null);
+      fetchVisits();
+    } catch (err) {
+      console.error('Error saving visit', err);
+      toast.error(err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg || 'Failed to save visit');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (visit) => {
+    const prompt = visit.specimens.length > 0
+      ? `Delete visit ${visit.visit_label}? Its ${visit.specimens.length} specimens will be kept but unlinked.`
+      : `Delete visit ${visit.visit_label}?`;
+    if (!window.confirm(prompt)) return;
+
+    try {
+      await patientAPI.deleteVisit(patientId, visit.id);
+      toast.success('Visit deleted');
+      fetchVisits();
+    } catch (err) {
+      console.error('Error deleting visit', err);
+      toast.error(err.response?.data?.msg || 'Failed to delete visit');
+    }
+  };
+
+  return (
+    <Paper elevation={2} sx={{ p: 3 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center">
+        <Typography variant="h6">Visits</Typography>
+        {canEdit && (
+          <Button size="small" startIcon={<AddIcon />} onClick={() => openDialog()}>
+            Add Visit
+          </Button>
+        )}
+      </Box>
+      <Divider sx={{ my: 2 }} />
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" my={2}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : visits.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No visits recorded. Add baseline and follow-up visits to link specimens to timepoints.
+        </Typography>
+      ) : (
+        <Timeline position="right" sx={{ p: 0, m: 0 }}>
+          {visits.map((visit, index) => (
+            <TimelineItem key={visit.id}>
+              <TimelineOppositeContent sx={{ flex: 0.25 }} color="text.secondary">
+                <Typography variant="body2">{visit.visit_date ? formatDate(visit.visit_date) : 'No date'}</Typography>
+                {visit.days_from_baseline !== null && (
+                  <Typography variant="caption">
+                    {visit.days_from_baseline === 0 ? 'Baseline' : `Day ${visit.days_from_baseline}`}
+                  </Typography>
+                )}
+              </TimelineOppositeContent>
+              <TimelineSeparator>
+                <TimelineDot color={visit.specimens.length > 0 ? 'primary' : 'grey'} />
+                {index < visits.length - 1 && <TimelineConnector />}
+              </TimelineSeparator>
+              <TimelineContent>
+                <Box display="flex" alignItems="center" gap={1}>
+                  <Typography variant="subtitle1">{visit.visit_label}</Typography>
+                  {canEdit && (
+                    <Tooltip title="Edit visit">
+                      <IconButton size="small" onClick={() => openDialog(visit)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  {canDelete && (
+                    <Tooltip title="Delete visit">
+                      <IconButton size="small" onClick={() => handleDelete(visit)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </Box>
+                {visit.notes && (
+                  <Typography variant="body2" color="text.secondary">{visit.notes}</Typography>
+                )}
+                <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}>
+                  {visit.specimens.length === 0 ? (
+                    <Typography variant="caption" color="text.secondary">No specimens linked</Typography>
+                  ) : visit.specimens.map(specimen => (
+                    <Chip
+                      key={specimen.id}
+                      size="small"
+                      clickable
+                      component={Link}
+                      to={`/specimens/${specimen.id}`}
+                      label={`${specimen.tube_id || specimen.specimen_number}${specimen.specimen_type ? ` · ${specimen.specimen_type}` : ''}`}
+                    />
+                  ))}
+                </Box>
+              </TimelineContent>
+            </TimelineItem>
+          ))}
+        </Timeline>
+      )}
+
+      {!loading && unlinkedSpecimens > 0 && visits.length > 0 && (
+        <Typography variant="caption" color="text.secondary">
+          {unlinkedSpecimens} specimens are not linked to a visit; set the visit when editing the specimen.
+        </Typography>
+      )}
+
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{editing?.id ? 'Edit Visit' : 'Add Visit'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Visit Label"
+            value={form.visit_label}
+            onChange={(e) => setForm({ ...form, visit_label: e.target.value })}
+            placeholder="e.g. Baseline, 6M, 12M"
+            required
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            type="date"
+            label="Visit Date"
+            value={form.visit_date}
+            onChange={(e) => setForm({ ...form, visit_date: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+            helperText="Days from baseline are counted from the earliest dated visit"
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Notes"
+            value={form.notes}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+            multiline
+            rows={2}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !form.visit_label.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default PatientVisits;
@@ -16,6 +16,8 @@ import {
   TableHead,
   TableRow,
   Chip,
+  Tabs,
+  Tab,
 } from '@mui/material';
 import {
   Edit as EditIcon,
@@ -25,12 +27,17 @@ import {
   Visibility as ViewIcon,
   Print as PrintIcon,
   Storage as MetadataIcon,
+  MoveToInbox as ReceiveIcon,
 } from '@mui/icons-material';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { projectAPI, labelAPI, specimenAPI } from '../../services/api';
+import { projectAPI, labelAPI, specimenAPI, receivingAPI } from '../../services/api';
 import { formatDate } from '../../utils/helpers';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import { RECEIPT_STATUS_COLORS, ReceiptDiscrepancies } from '../specimens/SpecimenReceiving';
+import { canEditLabData, hasPermission, canViewAudit } from '../../utils/roleUtils';
+import RecordHistory from '../common/RecordHistory';
+import ProjectMembers from './ProjectMembers';
 
 const ProjectDetail = () => {
   const { id } = useParams();
@@ -41,10 +48,13 @@ const ProjectDetail = () => {
   const [error, setError] = useState('');
   const [metadataFields, setMetadataFields] = useState([]);
   const [metadataLoading, setMetadataLoading] = useState(false);
+  const [receipts, setReceipts] = useState([]);
   const navigate = useNavigate();
   const { currentUser } = useAuth();
-  const isAdmin = currentUser?.role === 'admin';
-  const isEditor = currentUser?.role === 'editor' || isAdmin;
+  const [tab, setTab] = useState('details');
+  const canDelete = hasPermission(currentUser, 'project:delete');
+  // my_role is the user's role on this project; admins and lab managers count as owners
+  const isEditor = canEditLabData(currentUser) && ['owner', 'editor'].includes(project?.my_role);
 
   useEffect(() => {
     const fetchProject = async () => {
@@ -53,7 +63,7 @@ const ProjectDetail = () => {
         setProject(response.data);
       } catch (err) {
         console.error('Error fetching project', err);
-        setError('Failed to load project details');
+        setError(err.response?.status === 403 ? err.response.data.msg : 'Failed to load project details');
       } finally {
         setLoading(false);
       }
@@ -71,8 +81,18 @@ const ProjectDetail = () => {
       }
     };
 
+    const fetchReceipts = async () => {
+      try {
+        const response = await receivingAPI.getAll(`?project_id=${id}`);
+        setReceipts(response.data.receipts);
+      } catch (err) {
+        console.error('Error fetching receipts', err);
+      }
+    };
+
     fetchProject();
     fetchSpecimens();
+    fetchReceipts();
     fetchProjectMetadata();
   }, [id]);
 
@@ -125,12 +145,15 @@ const ProjectDetail = () => {
     try {
       const response = await labelAPI.generateProjectLabels(id);
       toast.success(`Labels generated for project specimens`);
+      if (response.data.consentExcluded > 0) {
+        toast.warning(`${response.data.consentExcluded} specimens skipped because of patient consent`);
+      }
       console.log('Label content:', response.data.content);
       
       // You could trigger a download here or other actions
     } catch (err) {
       console.error('Error generating labels', err);
-      toast.error('Failed to generate labels');
+      toast.error(err.response?.status === 403 ? err.response.data.msg : 'Failed to generate labels');
     }
   };
 
@@ -210,7 +233,7 @@ const ProjectDetail = () => {
               >
                 Edit
               </Button>
-              {isAdmin && (
+              {canDelete && (
                 <Button
                   variant="outlined"
                   color="error"
@@ -225,7 +248,16 @@ const ProjectDetail = () => {
         </Box>
       </Box>
 
-      <Grid container spacing={3}>
+      {canViewAudit(currentUser) && (
+        <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}>
+          <Tab label="Details" value="details" />
+          <Tab label="History" value="history" />
+        </Tabs>
+      )}
+
+      {tab === 'history' && <RecordHistory table="projects" recordId={id} />}
+
+      <Grid container spacing={3} sx={{ display: tab === 'details' ? undefined : 'none' }}>
         <Grid item xs={12} md={6}>
           <Paper elevation={2} sx={{ p: 3 }}>
             <Typography variant="h6" gutterBottom>
@@ -352,6 +384,56 @@ const ProjectDetail = () => {
           </Paper>
         </Grid>
 
+        {/* Receiving history: what arrived from the collaborator and what did not match the manifest */}
+        {receipts.length > 0 && (
+          <Grid item xs={12}>
+            <Paper elevation={2} sx={{ p: 3 }}>
+              <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <ReceiveIcon />
+                Receiving
+              </Typography>
+              <Divider sx={{ my: 2 }} />
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Date Received</TableCell>
+                      <TableCell>Manifest</TableCell>
+                      <TableCell>Status</TableCell>
+                      <TableCell align="right">Checked In</TableCell>
+                      <TableCell>Discrepancies</TableCell>
+                      <TableCell>Actions</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {receipts.map((receipt) => (
+                      <TableRow key={receipt.id} hover>
+                        <TableCell>{formatDate(receipt.date_received)}</TableCell>
+                        <TableCell>{receipt.manifest_filename || '—'}</TableCell>
+                        <TableCell>
+                          <Chip size="small" label={receipt.status} color={RECEIPT_STATUS_COLORS[receipt.status]} />
+                        </TableCell>
+                        <TableCell align="right">{receipt.checked_in} / {receipt.expected}</TableCell>
+                        <TableCell><ReceiptDiscrepancies receipt={receipt} /></TableCell>
+                        <TableCell>
+                          <IconButton
+                            size="small"
+                            component={Link}
+                            to={`/specimens/receiving/${receipt.id}`}
+                            title="View"
+                          >
+                            <ViewIcon fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Paper>
+          </Grid>
+        )}
+
         {/* Project Metadata Section */}
         <Grid item xs={12}>
           <Paper elevation={2} sx={{ p: 3 }}>
@@ -411,6 +493,10 @@ const ProjectDetail = () => {
             )}
           </Paper>
         </Grid>
+
+        <Grid item xs={12}>
+          <ProjectMembers projectId={id} canManage={project.my_role === 'owner'} />
+        </Grid>
       </Grid>
 
     </Box>
@@ -35,7 +35,7 @@ import { projectAPI } from '../../services/api';
 import { formatDate } from '../../utils/helpers';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
-import { canEditLabData } from '../../utils/roleUtils';
+import { canEditLabData, hasPermission } from '../../utils/roleUtils';
 import ProjectMetadataUpload from './ProjectMetadataUpload';
 
 // Custom hook for debouncing values
@@ -77,7 +77,7 @@ const ProjectList = () => {
   const [selectedProject, setSelectedProject] = useState(null);
   
   const { currentUser } = useAuth();
-  const isAdmin = currentUser?.role === 'admin';
+  const canDelete = hasPermission(currentUser, 'project:delete');
   const canEdit = canEditLabData(currentUser);
 
   // Pagination component
@@ -431,7 +431,7 @@ const ProjectList = () => {
                         >
                           <UploadIcon fontSize="small" />
                         </IconButton>
-                        {isAdmin && (
+                        {canDelete && (
                           <IconButton
                             size="small"
                             onClick={() => handleDeleteProject(project.id)}
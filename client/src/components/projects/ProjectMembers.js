@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Divider,
+  CircularProgress,
+  IconButton,
+  Tooltip,
+  TextField,
+  Select,
+  MenuItem,
+  Autocomplete,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { PersonAdd as PersonAddIcon, Delete as DeleteIcon, Group as GroupIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { projectAPI } from '../../services/api';
+
+const PROJECT_ROLES = [
+  { value: 'owner', label: 'Owner' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'viewer', label: 'Viewer' },
+];
+
+const userLabel = (user) => {
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  return name ? `${name} (${user.username})` : user.username;
+};
+
+/**
+ * Who can see (viewer), change (editor) and manage (owner) a project's data
+ */
+const ProjectMembers = ({ projectId, canManage }) => {
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState(false);
+  const [candidates, setCandidates] = useState([]);
+  const [newMember, setNewMember] = useState({ user: null, role: 'viewer' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchMembers = useCallback(async () => {
+    try {
+      const response = await projectAPI.getMembers(projectId);
+      setMembers(response.data);
+    } catch (err) {
+      console.error('Error fetching project members', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  const openAddDialog = async () => {
+    setNewMember({ user: null, role: 'viewer' });
+    setAdding(true);
+    try {
+      const response = await projectAPI.getMemberCandidates(projectId);
+      setCandidates(response.data);
+    } catch (err) {
+      console.error('Error fetching users', err);
+      toast.error('Failed to load users');
+    }
+  };
+
+  const handleAdd = async () => {
+    setSaving(true);
+    try {
+      await projectAPI.addMember(projectId, { user_id: newMember.user.id, role: newMember.role });
+      toast.success(`${newMember.user.username} added to the project`);
+      setAdding(false);
+      fetchMembers();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to add member');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await projectAPI.updateMember(projectId, member.user_id, { role });
+      fetchMembers();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to change role');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.username} from this project? They will no longer see its specimens.`)) {
+      return;
+    }
+    try {
+      await projectAPI.removeMember(projectId, member.user_id);
+      toast.success('Member removed');
+      fetchMembers();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to remove member');
+    }
+  };
+
+  return (
+    <Paper elevation={2} sx={{ p: 3 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <GroupIcon />
+          Members
+        </Typography>
+        {canManage && (
+          <Button size="small" startIcon={<PersonAddIcon />} onClick={openAddDialog}>
+            Add Member
+          </Button>
+        )}
+      </Box>
+      <Divider sx={{ mb: 2 }} />
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" my={2}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : members.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No members yet. Only admins and lab managers can see this project.
+        </Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>User</TableCell>
+                <TableCell>Email</TableCell>
+                <TableCell>Project Role</TableCell>
+                {canManage && <TableCell>Actions</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {members.map((member) => (
+                <TableRow key={member.id} hover>
+                  <TableCell>{userLabel(member)}</TableCell>
+                  <TableCell>{member.email}</TableCell>
+                  <TableCell>
+                    {canManage ? (
+                      <Select
+                        size="small"
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                      >
+                        {PROJECT_ROLES.map(role => (
+                          <MenuItem key={role.value} value={role.value}>{role.label}</MenuItem>
+                        ))}
+                      </Select>
+                    ) : (
+                      PROJECT_ROLES.find(role => role.value === member.role)?.label
+                    )}
+                  </TableCell>
+                  {canManage && (
+                    <TableCell>
+                      <Tooltip title="Remove from project">
+                        <IconButton size="small" onClick={() => handleRemove(member)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={adding} onClose={() => !saving && setAdding(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Add Project Member</DialogTitle>
+        <DialogContent>
+          <Autocomplete
+            options={candidates}
+            getOptionLabel={userLabel}
+            value={newMember.user}
+            onChange={(e, user) => setNewMember(prev => ({ ...prev, user }))}
+            renderInput={(params) => <TextField {...params} label="User" margin="normal" required />}
+          />
+          <TextField
+            select
+            fullWidth
+            margin="normal"
+            label="Project Role"
+            value={newMember.role}
+            onChange={(e) => setNewMember(prev => ({ ...prev, role: e.target.value }))}
+            helperText="Viewers see the project's data, editors can change it, owners also manage members"
+          >
+            {PROJECT_ROLES.map(role => (
+              <MenuItem key={role.value} value={role.value}>{role.label}</MenuItem>
+            ))}
+          </TextField>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAdding(false)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleAdd} disabled={saving || !newMember.user}>
+            Add
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default ProjectMembers;
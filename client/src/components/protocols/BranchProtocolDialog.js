@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { protocolAPI } from '../../services/api';
+
+/**
+ * Start a new protocol from a version of an existing one, then open it for editing
+ * @param {Object} protocol - the protocol to branch from ({ id, name, current_version })
+ * @param {number} version - version number to branch from; the current version if omitted
+ */
+const BranchProtocolDialog = ({ open, protocol, version, onClose }) => {
+  const navigate = useNavigate();
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const sourceVersion = version || protocol?.current_version;
+
+  useEffect(() => {
+    if (open && protocol) {
+      setName(`${protocol.name} (Branch)`);
+    }
+  }, [open, protocol]);
+
+  const handleBranch = async () => {
+    setSaving(true);
+    try {
+      const response = await protocolAPI.branch(protocol.id, { version: sourceVersion, name: name.trim() || undefined });
+      toast.success(`Branched from version ${sourceVersion}`);
+      onClose();
+      navigate(`/protocols/${response.data.id}/edit`);
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to branch protocol');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !saving && onClose()} maxWidth="xs" fullWidth>
+      <DialogTitle>Branch from Version {sourceVersion}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" paragraph>
+          The new protocol starts with the steps and reagents of {protocol?.name} version {sourceVersion},
+          and keeps a link back to it. The original is not changed.
+        </Typography>
+        <TextField
+          fullWidth
+          label="New protocol name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button variant="contained" onClick={handleBranch} disabled={saving || !sourceVersion}>
+          Branch
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BranchProtocolDialog;
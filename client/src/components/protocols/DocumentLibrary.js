@@ -52,6 +52,7 @@ import {
 } from '@mui/icons-material';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
 import DocumentUpload from './DocumentUpload';
 
 const DocumentLibrary = ({ protocolId = null, showProtocolFilter = true }) => {
@@ -238,7 +239,7 @@ const DocumentLibrary = ({ protocolId = null, showProtocolFilter = true }) => {
   };
 
   const canDeleteDocument = (document) => {
-    return document.uploaded_by === currentUser?.id || ['admin', 'editor'].includes(currentUser?.role);
+    return document.uploaded_by === currentUser?.id || hasPermission(currentUser, 'protocol:delete');
   };
 
   const handleUploadSuccess = () => {
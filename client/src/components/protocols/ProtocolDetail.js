@@ -25,23 +25,29 @@ import {
 } from '@mui/material';
 import {
   Edit as EditIcon,
-  ContentCopy as DuplicateIcon,
+  CallSplit as BranchIcon,
   ArrowBack as BackIcon,
   Science as ExperimentIcon,
   Description as DocumentIcon,
   GetApp as DownloadIcon,
   Visibility as PreviewIcon,
   Close as CloseIcon,
+  Timer as TimerIcon,
 } from '@mui/icons-material';
-import { Link, useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
 import { formatDate } from '../../utils/helpers';
 import { toast } from 'react-toastify';
 import ExperimentHistoryTable from '../common/ExperimentHistoryTable';
+import ElectronicSignatures from '../common/ElectronicSignatures';
+import ProtocolVersionHistory from './ProtocolVersionHistory';
+import BranchProtocolDialog from './BranchProtocolDialog';
+import ProtocolReagentReconciliation from './ProtocolReagentReconciliation';
+import { protocolAPI } from '../../services/api';
 
 const ProtocolDetail = () => {
   const { id } = useParams();
-  const navigate = useNavigate();
   const { currentUser } = useAuth();
   const [protocol, setProtocol] = useState(null);
   const [experiments, setExperiments] = useState([]);
@@ -52,8 +58,10 @@ const ProtocolDetail = () => {
   const [previewDocument, setPreviewDocument] = useState(null);
   const [previewContent, setPreviewContent] = useState('');
   const [previewLoading, setPreviewLoading] = useState(false);
+  const [signatureStatus, setSignatureStatus] = useState(null);
+  const [branching, setBranching] = useState(false);
 
-  const isEditor = currentUser?.role === 'editor' || currentUser?.role === 'admin';
+  const isEditor = hasPermission(currentUser, 'protocol:edit');
 
   useEffect(() => {
     fetchProtocol();
@@ -191,32 +199,6 @@ const ProtocolDetail = () => {
     }
   };
 
-  const handleDuplicate = async () => {
-    try {
-      const response = await fetch(`/api/protocols/${id}/duplicate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-        },
-        body: JSON.stringify({
-          name: `${protocol.name} (Copy)`,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to duplicate protocol');
-      }
-
-      const duplicatedProtocol = await response.json();
-      toast.success('Protocol duplicated successfully');
-      navigate(`/protocols/${duplicatedProtocol.id}/edit`);
-    } catch (err) {
-      console.error('Error duplicating protocol:', err);
-      toast.error('Failed to duplicate protocol');
-    }
-  };
-
   if (loading) {
     return (
       <Box display="flex" justifyContent="center" alignItems="center" minHeight="300px">
@@ -252,20 +234,22 @@ const ProtocolDetail = () => {
         <Box sx={{ display: 'flex', gap: 1 }}>
           {isEditor && (
             <>
-              <Button
-                component={Link}
-                to={`/protocols/${id}/edit`}
-                variant="outlined"
-                startIcon={<EditIcon />}
-              >
-                Edit
-              </Button>
+              {!signatureStatus?.locked && (
+                <Button
+                  component={Link}
+                  to={`/protocols/${id}/edit`}
+                  variant="outlined"
+                  startIcon={<EditIcon />}
+                >
+                  Edit
+                </Button>
+              )}
               <Button
                 variant="outlined"
-                startIcon={<DuplicateIcon />}
-                onClick={handleDuplicate}
+                startIcon={<BranchIcon />}
+                onClick={() => setBranching(true)}
               >
-                Duplicate
+                Branch
               </Button>
             </>
           )}
@@ -288,6 +272,17 @@ const ProtocolDetail = () => {
             </Typography>
             
             <Grid container spacing={2}>
+              <Grid item xs={6}>
+                <Typography variant="subtitle2" color="text.secondary">
+                  Version
+                </Typography>
+                <Typography variant="body1">
+                  {protocol.current_version}
+                  {protocol.version && (
+                    <Typography component="span" variant="body2" color="text.secondary"> (label {protocol.version})</Typography>
+                  )}
+                </Typography>
+              </Grid>
               <Grid item xs={6}>
                 <Typography variant="subtitle2" color="text.secondary">
                   Last Updated
@@ -339,7 +334,36 @@ const ProtocolDetail = () => {
               </>
             )}
 
-            {protocol.basic_steps && (
+            {protocol.steps?.length > 0 ? (
+              <>
+                <Divider sx={{ my: 2 }} />
+                <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                  Protocol Steps
+                </Typography>
+                {protocol.steps.map((step, index) => (
+                  <Box key={index} sx={{ mb: 1.5 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Typography variant="body1" fontWeight="bold">
+                        {index + 1}. {step.title}
+                      </Typography>
+                      {step.duration_minutes && (
+                        <Chip icon={<TimerIcon />} label={`${step.duration_minutes} min`} size="small" variant="outlined" />
+                      )}
+                    </Box>
+                    {step.instructions && (
+                      <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', ml: 2.5 }}>
+                        {step.instructions}
+                      </Typography>
+                    )}
+                    {step.parameters?.length > 0 && (
+                      <Typography variant="caption" color="text.secondary" sx={{ ml: 2.5 }} display="block">
+                        Record: {step.parameters.map(p => [p.name, p.unit && `(${p.unit})`, p.target && `target ${p.target}`].filter(Boolean).join(' ')).join('; ')}
+                      </Typography>
+                    )}
+                  </Box>
+                ))}
+              </>
+            ) : protocol.basic_steps && (
               <>
                 <Divider sx={{ my: 2 }} />
                 <Typography variant="subtitle2" color="text.secondary" gutterBottom>
@@ -467,6 +491,24 @@ const ProtocolDetail = () => {
           </Card>
         </Grid>
 
+        <Grid item xs={12}>
+          <ElectronicSignatures
+            api={protocolAPI}
+            recordId={id}
+            recordName="protocol"
+            canEdit={isEditor}
+            onStatusChange={setSignatureStatus}
+          />
+        </Grid>
+
+        <Grid item xs={12}>
+          <ProtocolVersionHistory protocol={protocol} canBranch={isEditor} />
+        </Grid>
+
+        <Grid item xs={12}>
+          <ProtocolReagentReconciliation protocolId={id} />
+        </Grid>
+
         {/* Usage History - Specimens */}
         <Grid item xs={12}>
           <Paper sx={{ p: 3 }}>
@@ -516,6 +558,12 @@ const ProtocolDetail = () => {
         </Grid>
       </Grid>
 
+      <BranchProtocolDialog
+        open={branching}
+        protocol={protocol}
+        onClose={() => setBranching(false)}
+      />
+
       {/* Document Preview Dialog */}
       <Dialog
         open={Boolean(previewDocument)}
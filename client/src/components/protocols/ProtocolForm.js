@@ -47,6 +47,7 @@ import { toast } from 'react-toastify';
 import ProtocolReagentCSVUpload from './ProtocolReagentCSVUpload';
 import DocumentLibrary from './DocumentLibrary';
 import DocumentUpload from './DocumentUpload';
+import ProtocolStepsEditor, { editableSteps } from './ProtocolStepsEditor';
 
 const ProtocolForm = () => {
   const { id } = useParams();
@@ -57,10 +58,13 @@ const ProtocolForm = () => {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
+    version: '1.0',
     required_reagents: [],
     is_active: true,
+    change_summary: '',
   });
 
+  const [steps, setSteps] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [reagentDialogOpen, setReagentDialogOpen] = useState(false);
@@ -104,8 +108,11 @@ const ProtocolForm = () => {
       setFormData({
         name: protocol.name || '',
         description: protocol.description || '',
+        version: protocol.version || '',
         is_active: protocol.is_active !== false,
+        change_summary: '',
       });
+      setSteps(editableSteps(protocol));
       
       // Separate reagents into manual reagents (for editing)
       setManualReagents(protocol.required_reagents || []);
@@ -208,7 +215,12 @@ const ProtocolForm = () => {
 
       const payload = {
         ...formData,
-        required_reagents: getAllReagents()
+        required_reagents: getAllReagents(),
+        steps: steps.map(step => ({
+          ...step,
+          duration_minutes: step.duration_minutes === '' ? null : Number(step.duration_minutes),
+        })),
+        basic_steps: '',
       };
 
       // Include document_id if available from AI extraction
@@ -348,6 +360,16 @@ const ProtocolForm = () => {
               disabled={loading}
             />
           </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              label="Version Label"
+              fullWidth
+              value={formData.version}
+              onChange={(e) => handleInputChange('version', e.target.value)}
+              disabled={loading}
+              helperText="Your own label, e.g. 2.1; version numbers are kept automatically"
+            />
+          </Grid>
           <Grid item xs={12}>
             <TextField
               label="Description"
@@ -360,6 +382,19 @@ const ProtocolForm = () => {
             />
           </Grid>
           
+          {isEdit && (
+            <Grid item xs={12}>
+              <TextField
+                label="Summary of Changes"
+                fullWidth
+                value={formData.change_summary}
+                onChange={(e) => handleInputChange('change_summary', e.target.value)}
+                disabled={loading}
+                helperText="Saved with the new version; experiments already run keep the version they used"
+              />
+            </Grid>
+          )}
+
           {isEdit && (
             <Grid item xs={12}>
               <FormControlLabel
@@ -376,6 +411,11 @@ const ProtocolForm = () => {
           )}
         </Grid>
 
+        <Box sx={{ mt: 4 }}>
+          <Typography variant="h6" sx={{ mb: 2 }}>Protocol Steps</Typography>
+          <ProtocolStepsEditor steps={steps} onChange={setSteps} disabled={loading} />
+        </Box>
+
         <Box sx={{ mt: 4 }}>
           <Typography variant="h6" sx={{ mb: 2 }}>Required Reagents</Typography>
           
@@ -33,14 +33,15 @@ import {
   Visibility as ViewIcon,
   Edit as EditIcon,
   Delete as DeleteIcon,
-  ContentCopy as DuplicateIcon,
+  CallSplit as BranchIcon,
   Assessment as StatsIcon,
 } from '@mui/icons-material';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { canEditLabData } from '../../utils/roleUtils';
+import { canEditLabData, hasPermission } from '../../utils/roleUtils';
 import { formatDate } from '../../utils/helpers';
 import { toast } from 'react-toastify';
+import BranchProtocolDialog from './BranchProtocolDialog';
 
 const ProtocolList = () => {
   const [protocols, setProtocols] = useState([]);
@@ -53,9 +54,9 @@ const ProtocolList = () => {
   const [showInactive, setShowInactive] = useState(false);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [protocolToDelete, setProtocolToDelete] = useState(null);
-  const navigate = useNavigate();
+  const [protocolToBranch, setProtocolToBranch] = useState(null);
   const { currentUser } = useAuth();
-  const isAdmin = currentUser?.role === 'admin';
+  const canDelete = hasPermission(currentUser, 'protocol:delete');
   const canEdit = canEditLabData(currentUser);
 
   const fetchProtocols = async () => {
@@ -139,32 +140,6 @@ const ProtocolList = () => {
     }
   };
 
-  const handleDuplicate = async (protocol) => {
-    try {
-      const response = await fetch(`/api/protocols/${protocol.id}/duplicate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-        },
-        body: JSON.stringify({
-          name: `${protocol.name} (Copy)`,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to duplicate protocol');
-      }
-
-      const duplicatedProtocol = await response.json();
-      toast.success('Protocol duplicated successfully');
-      navigate(`/protocols/${duplicatedProtocol.id}/edit`);
-    } catch (err) {
-      console.error('Error duplicating protocol:', err);
-      toast.error('Failed to duplicate protocol');
-    }
-  };
-
   if (loading && protocols.length === 0) {
     return (
       <Box display="flex" justifyContent="center" alignItems="center" minHeight="300px">
@@ -328,17 +303,17 @@ const ProtocolList = () => {
                                 <EditIcon fontSize="small" />
                               </IconButton>
                             </Tooltip>
-                            <Tooltip title="Duplicate">
+                            <Tooltip title="Branch from current version">
                               <IconButton
-                                onClick={() => handleDuplicate(protocol)}
+                                onClick={() => setProtocolToBranch(protocol)}
                                 size="small"
                               >
-                                <DuplicateIcon fontSize="small" />
+                                <BranchIcon fontSize="small" />
                               </IconButton>
                             </Tooltip>
                           </>
                         )}
-                        {isAdmin && (
+                        {canDelete && (
                           <Tooltip title="Delete">
                             <IconButton
                               onClick={() => handleDeleteClick(protocol)}
@@ -396,6 +371,12 @@ const ProtocolList = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <BranchProtocolDialog
+        open={Boolean(protocolToBranch)}
+        protocol={protocolToBranch}
+        onClose={() => setProtocolToBranch(null)}
+      />
     </Box>
   );
 };
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Divider,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { protocolAPI } from '../../services/api';
+import { VarianceCell } from '../experiments/ExperimentReagentReconciliation';
+
+const formatQuantity = (value, unit) => (value === null || value === undefined ? '—' : `${value}${unit ? ` ${unit}` : ''}`);
+
+const Suggestion = ({ suggestion, unit, minRuns }) => {
+  if (suggestion.runs_needed > 0) {
+    return (
+      <TableCell colSpan={3}>
+        <Typography variant="body2" color="text.secondary">
+          {suggestion.runs_needed} more run{suggestion.runs_needed === 1 ? '' : 's'} needed (minimum {minRuns})
+        </Typography>
+      </TableCell>
+    );
+  }
+  return (
+    <>
+      <TableCell align="right">×{suggestion.overage_factor}</TableCell>
+      <TableCell align="right">
+        {suggestion.dead_volume === null ? (
+          <Tooltip title="Needs runs with different sample counts">
+            <span>—</span>
+          </Tooltip>
+        ) : formatQuantity(suggestion.dead_volume, unit)}
+      </TableCell>
+      <TableCell align="right">{formatQuantity(suggestion.quantity_per_sample, unit)}</TableCell>
+    </>
+  );
+};
+
+/**
+ * How a protocol's reagents were really used across its completed and failed experiments,
+ * per reagent and lot, with the overage factor and dead volume that would have covered them
+ */
+const ProtocolReagentReconciliation = ({ protocolId }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await protocolAPI.getReagentReconciliation(protocolId, {
+        date_from: dateFrom || undefined,
+        date_to: dateTo || undefined,
+      });
+      setReport(response.data);
+    } catch (err) {
+      console.error('Error fetching reagent reconciliation', err);
+      toast.error('Failed to load reagent reconciliation');
+    } finally {
+      setLoading(false);
+    }
+  }, [protocolId, dateFrom, dateTo]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box display="flex" alignItems="center" gap={2} flexWrap="wrap">
+        <Typography variant="h6" sx={{ color: 'primary.main', fontWeight: 'bold', flexGrow: 1 }}>
+          Reagent Reconciliation{report ? ` (${report.experiment_count} experiments)` : ''}
+        </Typography>
+        <TextField
+          label="From"
+          type="date"
+          size="small"
+          value={dateFrom}
+          onChange={(e) => setDateFrom(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="To"
+          type="date"
+          size="small"
+          value={dateTo}
+          onChange={(e) => setDateTo(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+      </Box>
+      <Divider sx={{ my: 2 }} />
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" p={2}><CircularProgress size={24} /></Box>
+      ) : !report || report.experiment_count === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No completed or failed experiments have used this protocol{dateFrom || dateTo ? ' in this period' : ''}.
+        </Typography>
+      ) : (
+        <>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Totals compare what the protocol calculated for each run with what was consumed. The suggested
+            overage factor would have covered 90% of runs; dead volume is the fixed amount used per run
+            regardless of sample count.
+          </Typography>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Reagent / Lot</TableCell>
+                  <TableCell align="right">Runs</TableCell>
+                  <TableCell align="right">Calculated</TableCell>
+                  <TableCell align="right">Reserved</TableCell>
+                  <TableCell align="right">Consumed</TableCell>
+                  <TableCell align="right">Variance</TableCell>
+                  <TableCell align="right">Overage Factor</TableCell>
+                  <TableCell align="right">Dead Volume</TableCell>
+                  <TableCell align="right">Suggested / Sample</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {report.reagents.map(reagent => (
+                  <React.Fragment key={reagent.name}>
+                    <TableRow>
+                      <TableCell sx={{ fontWeight: 'bold' }}>
+                        {reagent.name}
+                        {!reagent.in_current_version && (
+                          <Typography variant="caption" color="text.secondary" display="block">Not in the current version</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{reagent.runs.length}</TableCell>
+                      <TableCell align="right">{formatQuantity(reagent.calculated, reagent.unit)}</TableCell>
+                      <TableCell align="right">{formatQuantity(reagent.reserved, reagent.unit)}</TableCell>
+                      <TableCell align="right">{formatQuantity(reagent.consumed, reagent.unit)}</TableCell>
+                      <VarianceCell value={reagent.variance} percent={reagent.variance_percent} unit={reagent.unit} />
+                      <Suggestion suggestion={reagent.suggestion} unit={reagent.unit} minRuns={report.min_runs_for_suggestions} />
+                    </TableRow>
+                    {reagent.lots.map(lot => (
+                      <TableRow key={`${reagent.name}-${lot.inventory_id}`}>
+                        <TableCell sx={{ pl: 4 }}>{lot.inventory_number} · Lot {lot.lot_number || '—'}</TableCell>
+                        <TableCell align="right">{lot.experiments}</TableCell>
+                        <TableCell />
+                        <TableCell align="right">{formatQuantity(lot.reserved, reagent.unit)}</TableCell>
+                        <TableCell align="right">{formatQuantity(lot.consumed, reagent.unit)}</TableCell>
+                        <VarianceCell value={lot.variance} unit={reagent.unit} />
+                        <TableCell colSpan={3} />
+                      </TableRow>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default ProtocolReagentReconciliation;
@@ -0,0 +1,201 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  TextField,
+  Grid,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  ArrowUpward as UpIcon,
+  ArrowDownward as DownIcon,
+} from '@mui/icons-material';
+
+const EMPTY_STEP = { title: '', instructions: '', duration_minutes: '', parameters: [] };
+const EMPTY_PARAMETER = { name: '', unit: '', target: '' };
+
+/**
+ * Steps for the editor: a protocol's structured steps, or its text steps one per line
+ */
+export const editableSteps = (protocol) => {
+  if (Array.isArray(protocol.steps) && protocol.steps.length > 0) {
+    return protocol.steps.map(step => ({
+      title: step.title || '',
+      instructions: step.instructions || '',
+      duration_minutes: step.duration_minutes ?? '',
+      parameters: (step.parameters || []).map(p => ({ name: p.name || '', unit: p.unit || '', target: p.target || '' })),
+    }));
+  }
+  return (protocol.basic_steps || '')
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/^(step\s*)?\d+\s*[.):-]\s*|^[-*•]\s*/i, '').trim())
+    .filter(Boolean)
+    .map(title => ({ ...EMPTY_STEP, title }));
+};
+
+/**
+ * Ordered protocol steps with expected durations (shown as timers at the bench) and the
+ * parameters a technician records at each step
+ */
+const ProtocolStepsEditor = ({ steps, onChange, disabled }) => {
+  const updateStep = (index, changes) => {
+    onChange(steps.map((step, i) => (i === index ? { ...step, ...changes } : step)));
+  };
+
+  const moveStep = (index, offset) => {
+    const reordered = [...steps];
+    const [step] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, step);
+    onChange(reordered);
+  };
+
+  const updateParameter = (stepIndex, parameterIndex, changes) => {
+    updateStep(stepIndex, {
+      parameters: steps[stepIndex].parameters.map((p, i) => (i === parameterIndex ? { ...p, ...changes } : p)),
+    });
+  };
+
+  return (
+    <Box>
+      {steps.length === 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          No steps yet. Steps are what technicians check off when they run the protocol at the bench.
+        </Typography>
+      )}
+
+      {steps.map((step, index) => (
+        <Paper key={index} variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Box display="flex" alignItems="center" gap={1} mb={1}>
+            <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>Step {index + 1}</Typography>
+            <IconButton size="small" onClick={() => moveStep(index, -1)} disabled={disabled || index === 0}>
+              <UpIcon fontSize="small" />
+            </IconButton>
+            <IconButton size="small" onClick={() => moveStep(index, 1)} disabled={disabled || index === steps.length - 1}>
+              <DownIcon fontSize="small" />
+            </IconButton>
+            <Tooltip title="Remove step">
+              <IconButton
+                size="small"
+                color="error"
+                onClick={() => onChange(steps.filter((_, i) => i !== index))}
+                disabled={disabled}
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </Box>
+
+          <Grid container spacing={2}>
+            <Grid item xs={12} md={9}>
+              <TextField
+                label="Title"
+                fullWidth
+                required
+                size="small"
+                value={step.title}
+                onChange={(e) => updateStep(index, { title: e.target.value })}
+                disabled={disabled}
+              />
+            </Grid>
+            <Grid item xs={12} md={3}>
+              <TextField
+                label="Duration (min)"
+                type="number"
+                fullWidth
+                size="small"
+                value={step.duration_minutes}
+                onChange={(e) => updateStep(index, { duration_minutes: e.target.value })}
+                inputProps={{ min: 0, step: 'any' }}
+                helperText="Starts a timer at the bench"
+                disabled={disabled}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                label="Instructions"
+                fullWidth
+                multiline
+                minRows={2}
+                size="small"
+                value={step.instructions}
+                onChange={(e) => updateStep(index, { instructions: e.target.value })}
+                disabled={disabled}
+              />
+            </Grid>
+          </Grid>
+
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 2, mb: 1 }}>
+            Parameters to record
+          </Typography>
+          {step.parameters.map((parameter, parameterIndex) => (
+            <Grid container spacing={1} key={parameterIndex} sx={{ mb: 1 }} alignItems="center">
+              <Grid item xs={5}>
+                <TextField
+                  label="Name"
+                  fullWidth
+                  size="small"
+                  value={parameter.name}
+                  onChange={(e) => updateParameter(index, parameterIndex, { name: e.target.value })}
+                  disabled={disabled}
+                />
+              </Grid>
+              <Grid item xs={3}>
+                <TextField
+                  label="Unit"
+                  fullWidth
+                  size="small"
+                  value={parameter.unit}
+                  onChange={(e) => updateParameter(index, parameterIndex, { unit: e.target.value })}
+                  disabled={disabled}
+                />
+              </Grid>
+              <Grid item xs={3}>
+                <TextField
+                  label="Target"
+                  fullWidth
+                  size="small"
+                  value={parameter.target}
+                  onChange={(e) => updateParameter(index, parameterIndex, { target: e.target.value })}
+                  disabled={disabled}
+                />
+              </Grid>
+              <Grid item xs={1}>
+                <IconButton
+                  size="small"
+                  onClick={() => updateStep(index, { parameters: step.parameters.filter((_, i) => i !== parameterIndex) })}
+                  disabled={disabled}
+                >
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Grid>
+            </Grid>
+          ))}
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => updateStep(index, { parameters: [...step.parameters, { ...EMPTY_PARAMETER }] })}
+            disabled={disabled}
+          >
+            Add Parameter
+          </Button>
+        </Paper>
+      ))}
+
+      <Button
+        variant="outlined"
+        startIcon={<AddIcon />}
+        onClick={() => onChange([...steps, { ...EMPTY_STEP, parameters: [] }])}
+        disabled={disabled}
+      >
+        Add Step
+      </Button>
+    </Box>
+  );
+};
+
+export default ProtocolStepsEditor;
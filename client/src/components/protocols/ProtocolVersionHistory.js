@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Divider,
+  Chip,
+  CircularProgress,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import {
+  CallSplit as BranchIcon,
+  CompareArrows as CompareIcon,
+} from '@mui/icons-material';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { protocolAPI } from '../../services/api';
+import BranchProtocolDialog from './BranchProtocolDialog';
+
+const DIFF_COLORS = {
+  removed: '#fdecea',
+  added: '#e8f5e9',
+  changed: '#fff8e1',
+};
+
+const FIELD_LABELS = {
+  name: 'Name',
+  version_label: 'Version label',
+  description: 'Description',
+};
+
+const REAGENT_STATUS_COLORS = {
+  added: 'success',
+  removed: 'error',
+  changed: 'warning',
+  same: 'default',
+};
+
+const formatReagent = (reagent) => (reagent ? `${reagent.quantity_per_sample} ${reagent.unit || ''}`.trim() : '—');
+
+// One side of a steps diff row; blank where the other side has a line this one doesn't
+const DiffCell = ({ text, type, side }) => {
+  const highlighted = type !== 'same' && text !== null;
+  return (
+    <Box
+      sx={{
+        px: 1,
+        py: 0.25,
+        minHeight: '1.5em',
+        fontFamily: 'monospace',
+        fontSize: '0.85rem',
+        whiteSpace: 'pre-wrap',
+        bgcolor: highlighted ? DIFF_COLORS[type === 'changed' ? 'changed' : side === 'left' ? 'removed' : 'added'] : 'transparent',
+      }}
+    >
+      {text ?? ''}
+    </Box>
+  );
+};
+
+/**
+ * Version history of a protocol, with a side-by-side comparison of any two versions and
+ * branching a new protocol from one of them
+ * @param {Object} protocol - the protocol ({ id, name, current_version })
+ * @param {boolean} canBranch - whether the user may create protocols
+ */
+const ProtocolVersionHistory = ({ protocol, canBranch }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [compare, setCompare] = useState({ from: '', to: '' });
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [branchVersion, setBranchVersion] = useState(null);
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      const response = await protocolAPI.getVersions(protocol.id);
+      setVersions(response.data);
+      if (response.data.length > 1) {
+        setCompare({ from: response.data[1].version_number, to: response.data[0].version_number });
+      }
+    } catch (err) {
+      console.error('Error fetching protocol versions', err);
+      toast.error('Failed to load version history');
+    } finally {
+      setLoading(false);
+    }
+  }, [protocol.id]);
+
+  useEffect(() => {
+    setDiff(null);
+    fetchVersions();
+  }, [fetchVersions, protocol.current_version]);
+
+  const handleCompare = async (from = compare.from, to = compare.to) => {
+    setCompare({ from, to });
+    setDiffLoading(true);
+    try {
+      const response = await protocolAPI.diffVersions(protocol.id, from, to);
+      setDiff(response.data);
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to compare versions');
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" my={2}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  const changedReagents = diff ? diff.reagents.filter(r => r.status !== 'same') : [];
+  const stepsChanged = diff ? diff.steps.some(row => row.type !== 'same') : false;
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box display="flex" alignItems="center" gap={1}>
+        <Typography variant="h6">Version History</Typography>
+        <Chip label={`Current: version ${protocol.current_version}`} size="small" variant="outlined" />
+      </Box>
+      <Divider sx={{ my: 2 }} />
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Version</TableCell>
+              <TableCell>Changes</TableCell>
+              <TableCell>By</TableCell>
+              <TableCell>Date</TableCell>
+              <TableCell align="right">Experiments</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {versions.map((v, index) => (
+              <TableRow key={v.id} selected={v.version_number === protocol.current_version}>
+                <TableCell>
+                  <Typography variant="body2" fontWeight="bold">{v.version_number}</Typography>
+                  {v.version_label && (
+                    <Typography variant="caption" color="text.secondary">label {v.version_label}</Typography>
+                  )}
+                </TableCell>
+                <TableCell>
+                  {v.change_summary || '—'}
+                  {v.branched_from_protocol_id && (
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      Branched from{' '}
+                      <Link to={`/protocols/${v.branched_from_protocol_id}`}>
+                        {v.branched_from_protocol_name} version {v.branched_from_version_number}
+                      </Link>
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>
+                  {[v.created_by_first_name, v.created_by_last_name].filter(Boolean).join(' ') || v.created_by_username || '—'}
+                </TableCell>
+                <TableCell>{new Date(v.created_at).toLocaleString()}</TableCell>
+                <TableCell align="right">{v.experiment_count}</TableCell>
+                <TableCell align="right">
+                  {index < versions.length - 1 && (
+                    <Tooltip title={`Compare with version ${versions[index + 1].version_number}`}>
+                      <IconButton size="small" onClick={() => handleCompare(versions[index + 1].version_number, v.version_number)}>
+                        <CompareIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  {canBranch && (
+                    <Tooltip title="Branch a new protocol from this version">
+                      <IconButton size="small" onClick={() => setBranchVersion(v.version_number)}>
+                        <BranchIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {versions.length > 1 && (
+        <Box display="flex" alignItems="center" gap={2} mt={3} flexWrap="wrap">
+          {['from', 'to'].map(side => (
+            <TextField
+              key={side}
+              select
+              size="small"
+              label={side === 'from' ? 'Compare version' : 'With version'}
+              value={compare[side]}
+              onChange={(e) => setCompare(prev => ({ ...prev, [side]: e.target.value }))}
+              sx={{ minWidth: 160 }}
+            >
+              {versions.map(v => (
+                <MenuItem key={v.id} value={v.version_number}>
+                  Version {v.version_number}{v.version_label ? ` (${v.version_label})` : ''}
+                </MenuItem>
+              ))}
+            </TextField>
+          ))}
+          <Button
+            variant="outlined"
+            startIcon={<CompareIcon />}
+            onClick={() => handleCompare()}
+            disabled={diffLoading || !compare.from || !compare.to || compare.from === compare.to}
+          >
+            Compare
+          </Button>
+        </Box>
+      )}
+
+      {diffLoading && (
+        <Box display="flex" justifyContent="center" my={2}>
+          <CircularProgress size={24} />
+        </Box>
+      )}
+
+      {diff && !diffLoading && (
+        <Box mt={3}>
+          <Typography variant="subtitle1" gutterBottom>
+            Version {diff.from.version_number} → version {diff.to.version_number}
+          </Typography>
+
+          {diff.fields.length > 0 && (
+            <Box mb={2}>
+              {diff.fields.map(({ field, before, after }) => (
+                <Typography key={field} variant="body2">
+                  <strong>{FIELD_LABELS[field]}:</strong> {before || '—'} → {after || '—'}
+                </Typography>
+              ))}
+            </Box>
+          )}
+
+          <Typography variant="subtitle2" color="text.secondary" gutterBottom>Reagents</Typography>
+          {changedReagents.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" paragraph>No reagent changes</Typography>
+          ) : (
+            <TableContainer sx={{ mb: 2 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Reagent</TableCell>
+                    <TableCell>Change</TableCell>
+                    <TableCell>Version {diff.from.version_number}</TableCell>
+                    <TableCell>Version {diff.to.version_number}</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {changedReagents.map(r => (
+                    <TableRow key={`${r.status}-${r.name}`}>
+                      <TableCell>{r.name}</TableCell>
+                      <TableCell>
+                        <Chip label={r.status} size="small" color={REAGENT_STATUS_COLORS[r.status]} sx={{ textTransform: 'capitalize' }} />
+                      </TableCell>
+                      <TableCell sx={{ bgcolor: r.before ? 'transparent' : 'grey.50' }}>{formatReagent(r.before)}</TableCell>
+                      <TableCell sx={{ bgcolor: r.after ? 'transparent' : 'grey.50' }}>{formatReagent(r.after)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+
+          <Typography variant="subtitle2" color="text.secondary" gutterBottom>Steps</Typography>
+          {!stepsChanged ? (
+            <Typography variant="body2" color="text.secondary">No step changes</Typography>
+          ) : (
+            <Paper variant="outlined">
+              <Grid container>
+                <Grid item xs={6} sx={{ borderRight: 1, borderColor: 'divider', px: 1, py: 0.5 }}>
+                  <Typography variant="caption" color="text.secondary">Version {diff.from.version_number}</Typography>
+                </Grid>
+                <Grid item xs={6} sx={{ px: 1, py: 0.5 }}>
+                  <Typography variant="caption" color="text.secondary">Version {diff.to.version_number}</Typography>
+                </Grid>
+                {diff.steps.map((row, index) => (
+                  <React.Fragment key={index}>
+                    <Grid item xs={6} sx={{ borderRight: 1, borderColor: 'divider' }}>
+                      <DiffCell text={row.left} type={row.type} side="left" />
+                    </Grid>
+                    <Grid item xs={6}>
+                      <DiffCell text={row.right} type={row.type} side="right" />
+                    </Grid>
+                  </React.Fragment>
+                ))}
+              </Grid>
+            </Paper>
+          )}
+        </Box>
+      )}
+
+      <BranchProtocolDialog
+        open={branchVersion !== null}
+        protocol={protocol}
+        version={branchVersion}
+        onClose={() => setBranchVersion(null)}
+      />
+    </Paper>
+  );
+};
+
+export default ProtocolVersionHistory;
@@ -17,12 +17,15 @@ import {
 } from '@mui/material';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import { useAuth } from '../../context/AuthContext';
+import { canImportSequencing } from '../../utils/roleUtils';
 
 const SequencingDashboard = () => {
   const [runs, setRuns] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const navigate = useNavigate();
+  const { currentUser } = useAuth();
 
   useEffect(() => {
     fetchRuns();
@@ -78,13 +81,15 @@ const SequencingDashboard = () => {
           <Typography variant="h4">
             Sequencing Runs
           </Typography>
-          <Button
-            variant="contained"
-            color="primary"
-            onClick={() => navigate('/sequencing/import')}
-          >
-            Import Sequencing Data
-          </Button>
+          {canImportSequencing(currentUser) && (
+            <Button
+              variant="contained"
+              color="primary"
+              onClick={() => navigate('/sequencing/import')}
+            >
+              Import Sequencing Data
+            </Button>
+          )}
         </Box>
 
         {runs.length === 0 ? (
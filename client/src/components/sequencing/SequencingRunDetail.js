@@ -28,9 +28,12 @@ import {
 import { useNavigate, useParams } from 'react-router-dom';
 import { ArrowBack, Delete } from '@mui/icons-material';
 import axios from 'axios';
+import { useAuth } from '../../context/AuthContext';
+import { canImportSequencing } from '../../utils/roleUtils';
 
 const SequencingRunDetail = () => {
   const { id } = useParams();
+  const { currentUser } = useAuth();
   const [run, setRun] = useState(null);
   const [samples, setSamples] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -133,14 +136,16 @@ const SequencingRunDetail = () => {
         <Typography variant="h4" sx={{ flexGrow: 1 }}>
           Sequencing Run: {runIdentifier}
         </Typography>
-        <Button
-          variant="outlined"
-          color="error"
-          startIcon={<Delete />}
-          onClick={() => setDeleteDialogOpen(true)}
-        >
-          Delete Run
-        </Button>
+        {canImportSequencing(currentUser) && (
+          <Button
+            variant="outlined"
+            color="error"
+            startIcon={<Delete />}
+            onClick={() => setDeleteDialogOpen(true)}
+          >
+            Delete Run
+          </Button>
+        )}
       </Box>
 
       {/* Run Summary Cards */}
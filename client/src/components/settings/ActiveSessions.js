@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  Chip,
+  CircularProgress,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip
+} from '@mui/material';
+import { Devices as DevicesIcon, Logout as SignOutIcon } from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'react-toastify';
+import { sessionAPI } from '../../services/api';
+
+// Rough browser and platform from a user agent string, for telling sessions apart
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(`${name}/`));
+  const platform = ['Windows', 'Mac OS', 'Android', 'iPhone', 'iPad', 'Linux'].find(name => userAgent.includes(name));
+  if (!browser && !platform) return userAgent.slice(0, 40);
+  return [browser === 'Edg' ? 'Edge' : browser, platform].filter(Boolean).join(' on ');
+};
+
+/**
+ * Browsers signed in as the current user; any of them can be signed out
+ */
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await sessionAPI.getAll();
+      setSessions(response.data);
+    } catch (err) {
+      console.error('Error fetching sessions', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    try {
+      await sessionAPI.revoke(session.id);
+      toast.success('Session signed out');
+      fetchSessions();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to sign out session');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out everywhere except this browser?')) {
+      return;
+    }
+    try {
+      const response = await sessionAPI.revokeOthers();
+      toast.success(`Signed out ${response.data.revoked} other session(s)`);
+      fetchSessions();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to sign out other sessions');
+    }
+  };
+
+  const hasOthers = sessions.some(session => !session.current);
+
+  return (
+    <Card>
+      <CardHeader
+        avatar={<DevicesIcon color="primary" />}
+        title="Active Sessions"
+        subheader="Where you are signed in"
+        action={hasOthers && (
+          <Button color="error" onClick={handleRevokeOthers} sx={{ mt: 1, mr: 1 }}>
+            Sign Out Other Sessions
+          </Button>
+        )}
+      />
+      <CardContent>
+        {loading ? (
+          <Box display="flex" justifyContent="center" my={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Device</TableCell>
+                  <TableCell>IP Address</TableCell>
+                  <TableCell>Signed In</TableCell>
+                  <TableCell>Last Active</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {sessions.map(session => (
+                  <TableRow key={session.id} hover>
+                    <TableCell>
+                      <Tooltip title={session.user_agent || ''}>
+                        <span>{describeDevice(session.user_agent)}</span>
+                      </Tooltip>
+                      {session.current && <Chip label="This browser" color="primary" size="small" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{session.ip_address || '—'}</TableCell>
+                    <TableCell>{new Date(session.created_at).toLocaleString()}</TableCell>
+                    <TableCell>{formatDistanceToNow(new Date(session.last_used_at), { addSuffix: true })}</TableCell>
+                    <TableCell>
+                      {!session.current && (
+                        <Tooltip title="Sign out">
+                          <IconButton size="small" onClick={() => handleRevoke(session)}>
+                            <SignOutIcon fontSize="small" color="error" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,93 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  CircularProgress
+} from '@mui/material';
+import { Key as KeyIcon, Add as AddIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
+import { tokenAPI } from '../../services/api';
+import TokenTable from './TokenTable';
+import CreateTokenDialog from './CreateTokenDialog';
+
+/**
+ * The current user's personal access tokens for scripts
+ */
+const ApiTokens = () => {
+  const { currentUser } = useAuth();
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const response = await tokenAPI.getMine();
+      setTokens(response.data);
+    } catch (err) {
+      console.error('Error fetching API tokens', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  const handleCreate = async (options) => {
+    const response = await tokenAPI.create(options);
+    fetchTokens();
+    return response.data;
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+    try {
+      await tokenAPI.revoke(token.id);
+      toast.success('Token revoked');
+      fetchTokens();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to revoke token');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader
+        avatar={<KeyIcon color="primary" />}
+        title="API Tokens"
+        subheader="Personal access tokens act as you when scripts call the API"
+        action={hasPermission(currentUser, 'token:create') && (
+          <Button startIcon={<AddIcon />} onClick={() => setCreating(true)}>
+            New Token
+          </Button>
+        )}
+      />
+      <CardContent>
+        {loading ? (
+          <Box display="flex" justifyContent="center" my={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <TokenTable tokens={tokens} onRevoke={handleRevoke} />
+        )}
+      </CardContent>
+
+      <CreateTokenDialog
+        open={creating}
+        onClose={() => setCreating(false)}
+        onCreate={handleCreate}
+        availableScopes={currentUser?.permissions || []}
+      />
+    </Card>
+  );
+};
+
+export default ApiTokens;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  Autocomplete,
+  FormControlLabel,
+  Switch,
+  IconButton,
+  InputAdornment,
+  Tooltip
+} from '@mui/material';
+import { ContentCopy as CopyIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+
+const MAX_LIFETIME_DAYS = 365;
+
+/**
+ * Create an API token and show its value once. onCreate({ name, expires_in_days, scopes })
+ * resolves to the created token.
+ */
+const CreateTokenDialog = ({ open, onClose, onCreate, availableScopes, title = 'Create API Token' }) => {
+  const [form, setForm] = useState({ name: '', days: 90, limitScopes: false, scopes: [] });
+  const [token, setToken] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setForm({ name: '', days: 90, limitScopes: false, scopes: [] });
+      setToken(null);
+      setError(null);
+    }
+  }, [open]);
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await onCreate({
+        name: form.name,
+        expires_in_days: Number(form.days),
+        scopes: form.limitScopes ? form.scopes : null
+      });
+      setToken(created.token);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to create token');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(token);
+    toast.success('Token copied');
+  };
+
+  const days = Number(form.days);
+  const valid = form.name.trim() && Number.isInteger(days) && days >= 1 && days <= MAX_LIFETIME_DAYS &&
+    (!form.limitScopes || form.scopes.length > 0);
+
+  return (
+    <Dialog open={open} onClose={() => !saving && onClose()} maxWidth="sm" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        {token ? (
+          <Box>
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Copy this token now. It won't be shown again.
+            </Alert>
+            <TextField
+              fullWidth
+              value={token}
+              InputProps={{
+                readOnly: true,
+                sx: { fontFamily: 'monospace' },
+                endAdornment: (
+                  <InputAdornment position="end">
+                    <Tooltip title="Copy">
+                      <IconButton onClick={handleCopy} edge="end">
+                        <CopyIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </InputAdornment>
+                )
+              }}
+              helperText="Send it as 'Authorization: Bearer <token>'"
+            />
+          </Box>
+        ) : (
+          <Box>
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Name"
+              required
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              helperText="What the token is for, e.g. 'sequencing QC script'"
+              inputProps={{ maxLength: 100 }}
+            />
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Expires after (days)"
+              type="number"
+              value={form.days}
+              onChange={(e) => setForm(prev => ({ ...prev, days: e.target.value }))}
+              inputProps={{ min: 1, max: MAX_LIFETIME_DAYS }}
+              helperText={`1 to ${MAX_LIFETIME_DAYS} days`}
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={form.limitScopes}
+                  onChange={(e) => setForm(prev => ({ ...prev, limitScopes: e.target.checked }))}
+                />
+              }
+              label="Limit to selected permissions"
+            />
+            {form.limitScopes && (
+              <Autocomplete
+                multiple
+                options={availableScopes}
+                value={form.scopes}
+                onChange={(e, scopes) => setForm(prev => ({ ...prev, scopes }))}
+                renderInput={(params) => <TextField {...params} label="Scopes" margin="normal" />}
+              />
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {token ? (
+          <Button variant="contained" onClick={onClose}>Done</Button>
+        ) : (
+          <>
+            <Button onClick={onClose} disabled={saving}>Cancel</Button>
+            <Button variant="contained" onClick={handleCreate} disabled={saving || !valid}>
+              Create
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CreateTokenDialog;
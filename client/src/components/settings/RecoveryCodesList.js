@@ -0,0 +1,55 @@
+import React from 'react';
+import { Box, Button, Alert, Typography } from '@mui/material';
+import { ContentCopy as CopyIcon, Download as DownloadIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+
+/**
+ * One-time recovery codes, shown once after they are generated
+ */
+const RecoveryCodesList = ({ codes, username }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(text);
+    toast.success('Recovery codes copied');
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`LabLIMS recovery codes for ${username}\n\n${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'lablims-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Box>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app. They won't be shown again.
+      </Alert>
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(2, 1fr)',
+          gap: 1,
+          p: 2,
+          mb: 2,
+          bgcolor: 'grey.100',
+          borderRadius: 1
+        }}
+      >
+        {codes.map(code => (
+          <Typography key={code} sx={{ fontFamily: 'monospace' }}>{code}</Typography>
+        ))}
+      </Box>
+      <Box display="flex" gap={1}>
+        <Button size="small" startIcon={<CopyIcon />} onClick={handleCopy}>Copy</Button>
+        <Button size="small" startIcon={<DownloadIcon />} onClick={handleDownload}>Download</Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default RecoveryCodesList;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  CircularProgress,
+  Chip,
+  Divider,
+  Typography,
+  TextField,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { SmartToy as ServiceAccountIcon, Add as AddIcon, Key as KeyIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { tokenAPI } from '../../services/api';
+import TokenTable from './TokenTable';
+import CreateTokenDialog from './CreateTokenDialog';
+
+const ROLES = [
+  { value: 'admin', label: 'System Admin' },
+  { value: 'lab_manager', label: 'Lab Manager' },
+  { value: 'lab_technician', label: 'Lab Technician' },
+  { value: 'bioinformatician', label: 'Bioinformatician' },
+  { value: 'researcher', label: 'Researcher' }
+];
+
+const EMPTY_ACCOUNT = { username: '', description: '', role: 'bioinformatician' };
+
+/**
+ * Non-human accounts for pipelines, and the tokens issued to them
+ */
+const ServiceAccounts = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newAccount, setNewAccount] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [issuingFor, setIssuingFor] = useState(null);
+
+  const fetchAccounts = useCallback(async () => {
+    try {
+      const response = await tokenAPI.getServiceAccounts();
+      setAccounts(response.data);
+    } catch (err) {
+      console.error('Error fetching service accounts', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [fetchAccounts]);
+
+  const handleCreateAccount = async () => {
+    setSaving(true);
+    try {
+      await tokenAPI.createServiceAccount(newAccount);
+      toast.success(`Service account ${newAccount.username} created`);
+      setNewAccount(null);
+      fetchAccounts();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to create service account');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (account) => {
+    if (account.active && !window.confirm(`Deactivate ${account.username}? All of its tokens stop working.`)) {
+      return;
+    }
+    try {
+      await tokenAPI.updateServiceAccount(account.id, { active: !account.active });
+      fetchAccounts();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to update service account');
+    }
+  };
+
+  const handleIssueToken = async (options) => {
+    const response = await tokenAPI.createServiceAccountToken(issuingFor.id, options);
+    fetchAccounts();
+    return response.data;
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Pipelines using it will stop working.`)) {
+      return;
+    }
+    try {
+      await tokenAPI.revoke(token.id);
+      toast.success('Token revoked');
+      fetchAccounts();
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to revoke token');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader
+        avatar={<ServiceAccountIcon color="primary" />}
+        title="Service Accounts"
+        subheader="Accounts for pipelines; they can't sign in and act only through their tokens"
+        action={
+          <Button startIcon={<AddIcon />} onClick={() => setNewAccount(EMPTY_ACCOUNT)}>
+            New Service Account
+          </Button>
+        }
+      />
+      <CardContent>
+        {loading ? (
+          <Box display="flex" justifyContent="center" my={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : accounts.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No service accounts yet
+          </Typography>
+        ) : (
+          accounts.map((account, index) => (
+            <Box key={account.id} sx={{ mb: 2 }}>
+              {index > 0 && <Divider sx={{ mb: 2 }} />}
+              <Box display="flex" alignItems="center" gap={1} mb={1}>
+                <Typography variant="subtitle1" fontWeight="bold">{account.username}</Typography>
+                <Chip label={ROLES.find(role => role.value === account.role)?.label || account.role} size="small" />
+                {!account.active && <Chip label="Inactive" size="small" />}
+                <Box flexGrow={1} />
+                <Button
+                  size="small"
+                  startIcon={<KeyIcon />}
+                  onClick={() => setIssuingFor(account)}
+                  disabled={!account.active}
+                >
+                  Issue Token
+                </Button>
+                <Button size="small" color={account.active ? 'error' : 'primary'} onClick={() => handleToggleActive(account)}>
+                  {account.active ? 'Deactivate' : 'Activate'}
+                </Button>
+              </Box>
+              {account.description && (
+                <Typography variant="body2" color="text.secondary" mb={1}>{account.description}</Typography>
+              )}
+              <TokenTable tokens={account.tokens} onRevoke={handleRevoke} emptyText="No tokens issued" />
+            </Box>
+          ))
+        )}
+      </CardContent>
+
+      <Dialog open={Boolean(newAccount)} onClose={() => !saving && setNewAccount(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>New Service Account</DialogTitle>
+        {newAccount && (
+          <DialogContent>
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Username"
+              required
+              value={newAccount.username}
+              onChange={(e) => setNewAccount(prev => ({ ...prev, username: e.target.value }))}
+              helperText="e.g. sequencing-pipeline"
+            />
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Description"
+              value={newAccount.description}
+              onChange={(e) => setNewAccount(prev => ({ ...prev, description: e.target.value }))}
+            />
+            <TextField
+              select
+              fullWidth
+              margin="normal"
+              label="Role"
+              value={newAccount.role}
+              onChange={(e) => setNewAccount(prev => ({ ...prev, role: e.target.value }))}
+              helperText="Add the account to projects to give it access to their data"
+            >
+              {ROLES.map(role => (
+                <MenuItem key={role.value} value={role.value}>{role.label}</MenuItem>
+              ))}
+            </TextField>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setNewAccount(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreateAccount} disabled={saving || !newAccount?.username.trim()}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <CreateTokenDialog
+        open={Boolean(issuingFor)}
+        onClose={() => setIssuingFor(null)}
+        onCreate={handleIssueToken}
+        availableScopes={issuingFor?.permissions || []}
+        title={issuingFor ? `Issue Token to ${issuingFor.username}` : ''}
+      />
+    </Card>
+  );
+};
+
+export default ServiceAccounts;
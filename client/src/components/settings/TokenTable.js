@@ -0,0 +1,92 @@
+import React from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  IconButton,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Block as RevokeIcon } from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+
+const tokenStatus = (token) => {
+  if (token.revoked_at) return { label: 'Revoked', color: 'default' };
+  if (new Date(token.expires_at) <= new Date()) return { label: 'Expired', color: 'warning' };
+  return { label: 'Active', color: 'success' };
+};
+
+/**
+ * API tokens with their scopes, expiry and last use; active tokens can be revoked
+ */
+const TokenTable = ({ tokens, onRevoke, emptyText = 'No tokens yet' }) => {
+  if (tokens.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        {emptyText}
+      </Typography>
+    );
+  }
+
+  return (
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Name</TableCell>
+            <TableCell>Token</TableCell>
+            <TableCell>Scopes</TableCell>
+            <TableCell>Expires</TableCell>
+            <TableCell>Last Used</TableCell>
+            <TableCell>Status</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {tokens.map(token => {
+            const status = tokenStatus(token);
+            return (
+              <TableRow key={token.id} hover>
+                <TableCell>{token.name}</TableCell>
+                <TableCell sx={{ fontFamily: 'monospace' }}>{token.token_prefix}…</TableCell>
+                <TableCell>
+                  {token.scopes
+                    ? token.scopes.map(scope => <Chip key={scope} label={scope} size="small" sx={{ mr: 0.5, mb: 0.5 }} />)
+                    : 'Full access'}
+                </TableCell>
+                <TableCell>{new Date(token.expires_at).toLocaleDateString()}</TableCell>
+                <TableCell>
+                  {token.last_used_at
+                    ? (
+                      <Tooltip title={token.last_used_ip || ''}>
+                        <span>{formatDistanceToNow(new Date(token.last_used_at), { addSuffix: true })}</span>
+                      </Tooltip>
+                    )
+                    : 'Never'}
+                </TableCell>
+                <TableCell>
+                  <Chip label={status.label} color={status.color} size="small" />
+                </TableCell>
+                <TableCell>
+                  {status.label === 'Active' && (
+                    <Tooltip title="Revoke">
+                      <IconButton size="small" onClick={() => onRevoke(token)}>
+                        <RevokeIcon fontSize="small" color="error" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default TokenTable;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Typography,
+  CircularProgress
+} from '@mui/material';
+import { twoFactorAPI } from '../../services/api';
+import RecoveryCodesList from './RecoveryCodesList';
+
+/**
+ * Authenticator app enrollment: scan the QR code, confirm with a code, save the recovery
+ * codes. onDone(token) receives the new session token issued when 2FA was turned on.
+ */
+const TotpEnrollment = ({ username, onDone, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    twoFactorAPI.setup()
+      .then(response => setSetup(response.data))
+      .catch(err => setError(err.response?.data?.msg || 'Failed to start two-factor setup'));
+  }, []);
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await twoFactorAPI.enable(code);
+      setResult(response.data);
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to turn on two-factor authentication');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <Box>
+        <RecoveryCodesList codes={result.recovery_codes} username={username} />
+        <Box display="flex" justifyContent="flex-end" mt={2}>
+          <Button variant="contained" onClick={() => onDone(result.token)}>
+            I've saved my recovery codes
+          </Button>
+        </Box>
+      </Box>
+    );
+  }
+
+  if (!setup) {
+    return error ? <Alert severity="error">{error}</Alert> : (
+      <Box display="flex" justifyContent="center" my={2}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  return (
+    <form onSubmit={handleConfirm}>
+      <Typography variant="body2" gutterBottom>
+        Scan this QR code with an authenticator app (such as Google Authenticator, Microsoft
+        Authenticator or 1Password), then enter the 6-digit code it shows.
+      </Typography>
+      <Box display="flex" justifyContent="center" my={2}>
+        <img src={setup.qr_code} alt="Two-factor authentication QR code" width={200} height={200} />
+      </Box>
+      <Typography variant="caption" color="text.secondary" component="p" textAlign="center">
+        Can't scan it? Enter this key instead:
+      </Typography>
+      <Typography sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }} textAlign="center" mb={2}>
+        {setup.secret}
+      </Typography>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      <TextField
+        fullWidth
+        label="6-digit code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code', maxLength: 6 }}
+        autoFocus
+      />
+      <Box display="flex" justifyContent="flex-end" gap={1} mt={2}>
+        {onCancel && <Button onClick={onCancel} disabled={saving}>Cancel</Button>}
+        <Button type="submit" variant="contained" disabled={saving || code.trim().length !== 6}>
+          Turn On
+        </Button>
+      </Box>
+    </form>
+  );
+};
+
+export default TotpEnrollment;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  Typography
+} from '@mui/material';
+import { PhonelinkLock as TwoFactorIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../context/AuthContext';
+import { twoFactorAPI } from '../../services/api';
+import TotpEnrollment from './TotpEnrollment';
+import RecoveryCodesList from './RecoveryCodesList';
+
+/**
+ * Set up, manage or turn off the current user's authenticator app
+ */
+const TwoFactorSettings = () => {
+  const { currentUser, handleTotpEnabled } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
+  // 'regenerate' or 'disable' while asking for a current code
+  const [codeAction, setCodeAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [newCodes, setNewCodes] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await twoFactorAPI.getStatus();
+      setStatus(response.data);
+    } catch (err) {
+      console.error('Error fetching two-factor status', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const handleEnrolled = (token) => {
+    setEnrolling(false);
+    handleTotpEnabled(token);
+    toast.success('Two-factor authentication is on');
+    fetchStatus();
+  };
+
+  const openCodeAction = (action) => {
+    setCodeAction(action);
+    setCode('');
+    setNewCodes(null);
+    setError(null);
+  };
+
+  const handleCodeAction = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      if (codeAction === 'disable') {
+        await twoFactorAPI.disable(code);
+        toast.success('Two-factor authentication turned off');
+        setCodeAction(null);
+      } else {
+        const response = await twoFactorAPI.regenerateRecoveryCodes(code);
+        setNewCodes(response.data.recovery_codes);
+      }
+      fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.msg || 'That code is not correct');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader
+        avatar={<TwoFactorIcon color="primary" />}
+        title="Two-Factor Authentication"
+        subheader="Ask for a code from your authenticator app when you log in with your password"
+        action={status && (
+          <Chip
+            label={status.enabled ? 'On' : 'Off'}
+            color={status.enabled ? 'success' : 'default'}
+            size="small"
+            sx={{ mt: 1, mr: 1 }}
+          />
+        )}
+      />
+      <CardContent>
+        {!status ? (
+          <Box display="flex" justifyContent="center" my={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : enrolling ? (
+          <TotpEnrollment
+            username={currentUser?.username}
+            onDone={handleEnrolled}
+            onCancel={() => setEnrolling(false)}
+          />
+        ) : status.enabled ? (
+          <Box>
+            <Typography variant="body2" color="text.secondary" mb={2}>
+              {status.recovery_codes_remaining} of your recovery codes are unused.
+              {status.required && ' Two-factor authentication is required for your role.'}
+            </Typography>
+            <Box display="flex" gap={1}>
+              <Button variant="outlined" onClick={() => openCodeAction('regenerate')}>
+                New Recovery Codes
+              </Button>
+              {!status.required && (
+                <Button color="error" onClick={() => openCodeAction('disable')}>
+                  Turn Off
+                </Button>
+              )}
+            </Box>
+          </Box>
+        ) : (
+          <Box>
+            {status.required && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Two-factor authentication is required for your role.
+              </Alert>
+            )}
+            <Button variant="contained" onClick={() => setEnrolling(true)}>
+              Set Up Authenticator App
+            </Button>
+          </Box>
+        )}
+      </CardContent>
+
+      <Dialog open={Boolean(codeAction)} onClose={() => !saving && setCodeAction(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {codeAction === 'disable' ? 'Turn Off Two-Factor Authentication' : 'New Recovery Codes'}
+        </DialogTitle>
+        <DialogContent>
+          {newCodes ? (
+            <RecoveryCodesList codes={newCodes} username={currentUser?.username} />
+          ) : (
+            <Box>
+              <Typography variant="body2" gutterBottom>
+                {codeAction === 'disable'
+                  ? 'Enter a code from your authenticator app to turn off two-factor authentication.'
+                  : 'Enter a code from your authenticator app. Your current recovery codes will stop working.'}
+              </Typography>
+              {error && <Alert severity="error" sx={{ my: 1 }}>{error}</Alert>}
+              <TextField
+                fullWidth
+                margin="normal"
+                label="Code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputProps={{ autoComplete: 'one-time-code' }}
+                autoFocus
+              />
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {newCodes ? (
+            <Button variant="contained" onClick={() => setCodeAction(null)}>Done</Button>
+          ) : (
+            <>
+              <Button onClick={() => setCodeAction(null)} disabled={saving}>Cancel</Button>
+              <Button
+                variant="contained"
+                color={codeAction === 'disable' ? 'error' : 'primary'}
+                onClick={handleCodeAction}
+                disabled={saving || !code.trim()}
+              >
+                {codeAction === 'disable' ? 'Turn Off' : 'Generate'}
+              </Button>
+            </>
+          )}
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
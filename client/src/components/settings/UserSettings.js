@@ -14,7 +14,12 @@ import {
 } from '@mui/material';
 import { VpnKey as PasswordIcon, Person as PersonIcon } from '@mui/icons-material';
 import { useAuth } from '../../context/AuthContext';
+import { hasPermission } from '../../utils/roleUtils';
 import axios from 'axios';
+import ApiTokens from './ApiTokens';
+import TwoFactorSettings from './TwoFactorSettings';
+import ActiveSessions from './ActiveSessions';
+import ServiceAccounts from './ServiceAccounts';
 
 const UserSettings = () => {
   const { currentUser } = useAuth();
@@ -179,6 +184,25 @@ const UserSettings = () => {
             </CardContent>
           </Card>
         </Grid>
+
+        <Grid item xs={12}>
+          <TwoFactorSettings />
+        </Grid>
+
+        <Grid item xs={12}>
+          <ActiveSessions />
+        </Grid>
+
+        {/* API Tokens Card */}
+        <Grid item xs={12}>
+          <ApiTokens />
+        </Grid>
+
+        {hasPermission(currentUser, 'service_account:manage') && (
+          <Grid item xs={12}>
+            <ServiceAccounts />
+          </Grid>
+        )}
       </Grid>
     </Box>
   );
@@ -0,0 +1,362 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Button,
+  Chip,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import {
+  PictureAsPdf as PdfIcon,
+  LocalShipping as ShipIcon,
+  MoveToInbox as ReceivedIcon,
+  Cancel as CancelIcon,
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { shipmentAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { canEditLabData } from '../../utils/roleUtils';
+import { formatDate, getLocationString } from '../../utils/helpers';
+import {
+  TEMPERATURE_CONDITIONS,
+  SHIPMENT_STATUS_COLORS,
+  getTemperatureLabel,
+} from '../../utils/shipmentUtils';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const DetailItem = ({ label, children }) => (
+  <Grid item xs={12} sm={6} md={4}>
+    <Typography variant="subtitle2" color="text.secondary">{label}</Typography>
+    <Typography variant="body1">{children || '—'}</Typography>
+  </Grid>
+);
+
+const ShipmentDetail = () => {
+  const { id } = useParams();
+  const { currentUser } = useAuth();
+  const [shipment, setShipment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [shipDialogOpen, setShipDialogOpen] = useState(false);
+  const [receiveDialogOpen, setReceiveDialogOpen] = useState(false);
+  const [shipForm, setShipForm] = useState({});
+  const [receivedDate, setReceivedDate] = useState(today());
+  const [saving, setSaving] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+
+  const canEdit = canEditLabData(currentUser);
+
+  const fetchShipment = useCallback(async () => {
+    try {
+      const response = await shipmentAPI.getById(id);
+      setShipment(response.data);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching shipment', err);
+      setError(err.response?.data?.msg || 'Failed to load shipment');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchShipment();
+  }, [fetchShipment]);
+
+  const handleDownloadManifest = async () => {
+    setDownloading(true);
+    try {
+      const response = await shipmentAPI.downloadManifest(id);
+      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `shipment_${shipment.shipment_number}_manifest.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading manifest', err);
+      toast.error('Failed to generate manifest');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const openShipDialog = () => {
+    setShipForm({
+      ship_date: shipment.ship_date ? shipment.ship_date.split('T')[0] : today(),
+      carrier: shipment.carrier || '',
+      tracking_number: shipment.tracking_number || '',
+      temperature_condition: shipment.temperature_condition || '',
+    });
+    setShipDialogOpen(true);
+  };
+
+  const handleShip = async () => {
+    setSaving(true);
+    try {
+      await shipmentAPI.update(id, {
+        carrier: shipForm.carrier,
+        tracking_number: shipForm.tracking_number,
+        temperature_condition: shipForm.temperature_condition,
+      });
+      await shipmentAPI.ship(id, { ship_date: shipForm.ship_date });
+      toast.success('Shipment marked as shipped');
+      setShipDialogOpen(false);
+      fetchShipment();
+    } catch (err) {
+      console.error('Error shipping', err);
+      toast.error(err.response?.data?.msg || 'Failed to mark shipment as shipped');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReceived = async () => {
+    setSaving(true);
+    try {
+      await shipmentAPI.update(id, { received_date: receivedDate });
+      toast.success('Receipt recorded');
+      setReceiveDialogOpen(false);
+      fetchShipment();
+    } catch (err) {
+      console.error('Error recording receipt', err);
+      toast.error(err.response?.data?.msg || 'Failed to record receipt');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm(`Cancel shipment #${shipment.shipment_number}?`)) return;
+    try {
+      await shipmentAPI.cancel(id);
+      toast.success('Shipment cancelled');
+      fetchShipment();
+    } catch (err) {
+      console.error('Error cancelling shipment', err);
+      toast.error(err.response?.data?.msg || 'Failed to cancel shipment');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error || !shipment) {
+    return <Alert severity="error">{error || 'Shipment not found'}</Alert>;
+  }
+
+  const shipped = shipment.status === 'shipped' || shipment.status === 'received';
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, flexWrap: 'wrap', gap: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <Typography variant="h4" component="h1">
+            Shipment #{shipment.shipment_number}
+          </Typography>
+          <Chip label={shipment.status} color={SHIPMENT_STATUS_COLORS[shipment.status]} />
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="outlined"
+            startIcon={<PdfIcon />}
+            onClick={handleDownloadManifest}
+            disabled={downloading}
+          >
+            {downloading ? 'Generating...' : 'Manifest'}
+          </Button>
+          {canEdit && shipment.status === 'preparing' && (
+            <>
+              <Button variant="contained" startIcon={<ShipIcon />} onClick={openShipDialog}>
+                Mark Shipped
+              </Button>
+              <Button color="error" startIcon={<CancelIcon />} onClick={handleCancel}>
+                Cancel Shipment
+              </Button>
+            </>
+          )}
+          {canEdit && shipment.status === 'shipped' && (
+            <Button variant="contained" startIcon={<ReceivedIcon />} onClick={() => setReceiveDialogOpen(true)}>
+              Record Received
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Grid container spacing={2}>
+          <DetailItem label="Collaborator">
+            <Link to={`/collaborators/${shipment.collaborator_id}`}>
+              {shipment.pi_name}, {shipment.pi_institute}
+            </Link>
+          </DetailItem>
+          <DetailItem label="Project">
+            {shipment.project_id && (
+              <Link to={`/projects/${shipment.project_id}`}>
+                {shipment.project_number} - {shipment.disease || 'Unnamed Project'}
+              </Link>
+            )}
+          </DetailItem>
+          <DetailItem label="Recipient">{shipment.recipient_name}</DetailItem>
+          <DetailItem label="Carrier">{shipment.carrier}</DetailItem>
+          <DetailItem label="Tracking Number">{shipment.tracking_number}</DetailItem>
+          <DetailItem label="Temperature">{getTemperatureLabel(shipment.temperature_condition)}</DetailItem>
+          <DetailItem label="Ship Date">{formatDate(shipment.ship_date)}</DetailItem>
+          <DetailItem label="Received Date">{formatDate(shipment.received_date)}</DetailItem>
+          <DetailItem label="Shipped By">{shipment.shipped_by_username}</DetailItem>
+          <Grid item xs={12}>
+            <Typography variant="subtitle2" color="text.secondary">Destination Address</Typography>
+            <Typography variant="body1" sx={{ whiteSpace: 'pre-line' }}>
+              {shipment.destination_address || '—'}
+            </Typography>
+          </Grid>
+          {shipment.notes && (
+            <Grid item xs={12}>
+              <Typography variant="subtitle2" color="text.secondary">Notes</Typography>
+              <Typography variant="body1">{shipment.notes}</Typography>
+            </Grid>
+          )}
+        </Grid>
+      </Paper>
+
+      <Typography variant="h6" gutterBottom>
+        Specimens ({shipment.specimens.length})
+      </Typography>
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>WUID</TableCell>
+              <TableCell>Tube ID</TableCell>
+              <TableCell>Patient</TableCell>
+              <TableCell>Collected</TableCell>
+              <TableCell>Quantity</TableCell>
+              <TableCell>{shipped ? 'Shipped From' : 'Location'}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {shipment.specimens.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center">No specimens in this shipment</TableCell>
+              </TableRow>
+            ) : (
+              shipment.specimens.map(specimen => (
+                <TableRow key={specimen.id} hover>
+                  <TableCell>
+                    <Link to={`/specimens/${specimen.id}`}>{specimen.specimen_number}</Link>
+                  </TableCell>
+                  <TableCell>{specimen.tube_id || '—'}</TableCell>
+                  <TableCell>{specimen.patient_external_id || '—'}</TableCell>
+                  <TableCell>{formatDate(specimen.date_collected) || '—'}</TableCell>
+                  <TableCell>{specimen.remaining_quantity ?? '—'}</TableCell>
+                  <TableCell>
+                    {shipped ? specimen.storage_location || '—' : getLocationString(specimen)}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={shipDialogOpen} onClose={() => setShipDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Mark Shipment as Shipped</DialogTitle>
+        <DialogContent>
+          <Alert severity="info" sx={{ mb: 2, mt: 1 }}>
+            The {shipment.specimens.length} specimen(s) will be marked as shipped and removed from their storage positions.
+          </Alert>
+          <TextField
+            fullWidth
+            type="date"
+            label="Ship Date"
+            value={shipForm.ship_date || ''}
+            onChange={(e) => setShipForm(prev => ({ ...prev, ship_date: e.target.value }))}
+            InputLabelProps={{ shrink: true }}
+            margin="normal"
+          />
+          <TextField
+            fullWidth
+            label="Carrier"
+            value={shipForm.carrier || ''}
+            onChange={(e) => setShipForm(prev => ({ ...prev, carrier: e.target.value }))}
+            margin="normal"
+          />
+          <TextField
+            fullWidth
+            label="Tracking Number"
+            value={shipForm.tracking_number || ''}
+            onChange={(e) => setShipForm(prev => ({ ...prev, tracking_number: e.target.value }))}
+            margin="normal"
+          />
+          <TextField
+            select
+            fullWidth
+            label="Temperature Condition"
+            value={shipForm.temperature_condition || ''}
+            onChange={(e) => setShipForm(prev => ({ ...prev, temperature_condition: e.target.value }))}
+            margin="normal"
+          >
+            <MenuItem value="">Not specified</MenuItem>
+            {TEMPERATURE_CONDITIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setShipDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleShip} disabled={saving}>
+            {saving ? 'Saving...' : 'Mark Shipped'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={receiveDialogOpen} onClose={() => setReceiveDialogOpen(false)}>
+        <DialogTitle>Record Receipt</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            type="date"
+            label="Received Date"
+            value={receivedDate}
+            onChange={(e) => setReceivedDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            margin="normal"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReceiveDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleReceived} disabled={saving || !receivedDate}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ShipmentDetail;
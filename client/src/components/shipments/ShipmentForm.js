@@ -0,0 +1,349 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  Autocomplete,
+  CircularProgress,
+  Alert,
+  Checkbox,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { shipmentAPI, collaboratorAPI, projectAPI } from '../../services/api';
+import { formatDate, getLocationString } from '../../utils/helpers';
+import { TEMPERATURE_CONDITIONS } from '../../utils/shipmentUtils';
+
+const ShipmentForm = () => {
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({
+    collaborator_id: '',
+    project_id: '',
+    carrier: '',
+    tracking_number: '',
+    ship_date: '',
+    temperature_condition: '',
+    recipient_name: '',
+    destination_address: '',
+    notes: '',
+  });
+  const [selectedCollaborator, setSelectedCollaborator] = useState(null);
+  const [collaboratorOptions, setCollaboratorOptions] = useState([]);
+  const [collaboratorLoading, setCollaboratorLoading] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [specimens, setSpecimens] = useState([]);
+  const [specimensLoading, setSpecimensLoading] = useState(false);
+  const [selectedSpecimens, setSelectedSpecimens] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const searchCollaborators = async (searchTerm) => {
+    if (!searchTerm || searchTerm.length < 2) {
+      setCollaboratorOptions([]);
+      return;
+    }
+
+    setCollaboratorLoading(true);
+    try {
+      const response = await collaboratorAPI.getAll(`?search=${encodeURIComponent(searchTerm)}&limit=20`);
+      setCollaboratorOptions(Array.isArray(response.data.collaborators) ? response.data.collaborators : []);
+    } catch (err) {
+      console.error('Error searching collaborators', err);
+      setCollaboratorOptions([]);
+    } finally {
+      setCollaboratorLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setProjects([]);
+    if (!formData.collaborator_id) return;
+
+    collaboratorAPI.getProjects(formData.collaborator_id)
+      .then(response => setProjects(response.data))
+      .catch(err => {
+        console.error('Error fetching collaborator projects', err);
+        toast.error('Failed to load projects for this collaborator');
+      });
+  }, [formData.collaborator_id]);
+
+  useEffect(() => {
+    setSpecimens([]);
+    setSelectedSpecimens([]);
+    if (!formData.project_id) return;
+
+    setSpecimensLoading(true);
+    projectAPI.getSpecimens(formData.project_id)
+      .then(response => setSpecimens(response.data.filter(s => s.activity_status !== 'shipped')))
+      .catch(err => {
+        console.error('Error fetching project specimens', err);
+        toast.error('Failed to load specimens for this project');
+      })
+      .finally(() => setSpecimensLoading(false));
+  }, [formData.project_id]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleSpecimen = (id) => {
+    setSelectedSpecimens(prev =>
+      prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]
+    );
+  };
+
+  const toggleAll = () => {
+    setSelectedSpecimens(prev =>
+      prev.length === specimens.length ? [] : specimens.map(s => s.id)
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!formData.collaborator_id) {
+      setError('Select the collaborator receiving this shipment');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await shipmentAPI.create({
+        ...formData,
+        specimen_ids: selectedSpecimens,
+      });
+      toast.success(`Shipment #${response.data.shipment_number} created`);
+      navigate(`/shipments/${response.data.id}`);
+    } catch (err) {
+      console.error('Error creating shipment', err);
+      setError(err.response?.data?.msg || 'Failed to create shipment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h1" gutterBottom>
+        New Shipment
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Paper component="form" onSubmit={handleSubmit} sx={{ p: 3 }}>
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={6}>
+            <Autocomplete
+              fullWidth
+              options={collaboratorOptions}
+              getOptionLabel={(option) => `#${option.collaborator_number} - ${option.pi_name}, ${option.pi_institute}`}
+              value={selectedCollaborator}
+              onChange={(event, newValue) => {
+                setSelectedCollaborator(newValue);
+                setFormData(prev => ({
+                  ...prev,
+                  collaborator_id: newValue ? newValue.id : '',
+                  project_id: '',
+                  recipient_name: prev.recipient_name || (newValue ? newValue.pi_name : ''),
+                }));
+              }}
+              onInputChange={(event, newInputValue) => {
+                searchCollaborators(newInputValue);
+              }}
+              loading={collaboratorLoading}
+              renderInput={(params) => (
+                <TextField
+                  {...params}
+                  label="Collaborator *"
+                  required
+                  placeholder="Type to search collaborators..."
+                  InputProps={{
+                    ...params.InputProps,
+                    endAdornment: (
+                      <>
+                        {collaboratorLoading ? <CircularProgress color="inherit" size={20} /> : null}
+                        {params.InputProps.endAdornment}
+                      </>
+                    ),
+                  }}
+                />
+              )}
+              noOptionsText="Type to search collaborators..."
+              filterOptions={(x) => x}
+            />
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <TextField
+              select
+              fullWidth
+              label="Project"
+              name="project_id"
+              value={formData.project_id}
+              onChange={handleChange}
+              disabled={!formData.collaborator_id}
+              helperText="Specimens are picked from the selected project"
+            >
+              <MenuItem value="">None</MenuItem>
+              {projects.map(project => (
+                <MenuItem key={project.id} value={project.id}>
+                  {project.project_number} - {project.disease || 'Unnamed Project'}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              label="Carrier"
+              name="carrier"
+              value={formData.carrier}
+              onChange={handleChange}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              label="Tracking Number"
+              name="tracking_number"
+              value={formData.tracking_number}
+              onChange={handleChange}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              type="date"
+              label="Planned Ship Date"
+              name="ship_date"
+              value={formData.ship_date}
+              onChange={handleChange}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <TextField
+              select
+              fullWidth
+              label="Temperature Condition"
+              name="temperature_condition"
+              value={formData.temperature_condition}
+              onChange={handleChange}
+            >
+              <MenuItem value="">Not specified</MenuItem>
+              {TEMPERATURE_CONDITIONS.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              label="Recipient Name"
+              name="recipient_name"
+              value={formData.recipient_name}
+              onChange={handleChange}
+            />
+          </Grid>
+
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              multiline
+              rows={3}
+              label="Destination Address"
+              name="destination_address"
+              value={formData.destination_address}
+              onChange={handleChange}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              multiline
+              rows={2}
+              label="Notes"
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+            />
+          </Grid>
+
+          {formData.project_id && (
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom>
+                Specimens ({selectedSpecimens.length} selected)
+              </Typography>
+              {specimensLoading ? (
+                <CircularProgress size={24} />
+              ) : specimens.length === 0 ? (
+                <Typography color="text.secondary">No specimens available to ship in this project</Typography>
+              ) : (
+                <TableContainer sx={{ maxHeight: 400 }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell padding="checkbox">
+                          <Checkbox
+                            checked={selectedSpecimens.length === specimens.length}
+                            indeterminate={selectedSpecimens.length > 0 && selectedSpecimens.length < specimens.length}
+                            onChange={toggleAll}
+                          />
+                        </TableCell>
+                        <TableCell>WUID</TableCell>
+                        <TableCell>Tube ID</TableCell>
+                        <TableCell>Collected</TableCell>
+                        <TableCell>Location</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {specimens.map(specimen => (
+                        <TableRow
+                          key={specimen.id}
+                          hover
+                          onClick={() => toggleSpecimen(specimen.id)}
+                          sx={{ cursor: 'pointer' }}
+                        >
+                          <TableCell padding="checkbox">
+                            <Checkbox checked={selectedSpecimens.includes(specimen.id)} />
+                          </TableCell>
+                          <TableCell>{specimen.specimen_number}</TableCell>
+                          <TableCell>{specimen.tube_id || '—'}</TableCell>
+                          <TableCell>{formatDate(specimen.date_collected) || '—'}</TableCell>
+                          <TableCell>{getLocationString(specimen)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </Grid>
+          )}
+
+          <Grid item xs={12} sx={{ display: 'flex', justifyContent: 'flex-end', gap: 2 }}>
+            <Button onClick={() => navigate('/shipments')}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={submitting}>
+              {submitting ? 'Creating...' : 'Create Shipment'}
+            </Button>
+          </Grid>
+        </Grid>
+      </Paper>
+    </Box>
+  );
+};
+
+export default ShipmentForm;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Chip,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import { Add as AddIcon } from '@mui/icons-material';
+import { Link, useNavigate } from 'react-router-dom';
+import { shipmentAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { canEditLabData } from '../../utils/roleUtils';
+import { formatDate } from '../../utils/helpers';
+import { SHIPMENT_STATUS_COLORS, getTemperatureLabel } from '../../utils/shipmentUtils';
+
+const ShipmentList = () => {
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [shipments, setShipments] = useState([]);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchShipments = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await shipmentAPI.getAll(status ? `?status=${status}` : '');
+      setShipments(response.data.shipments);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching shipments', err);
+      setError('Failed to load shipments');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchShipments();
+  }, [fetchShipments]);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Shipments
+        </Typography>
+        {canEditLabData(currentUser) && (
+          <Button variant="contained" startIcon={<AddIcon />} component={Link} to="/shipments/new">
+            New Shipment
+          </Button>
+        )}
+      </Box>
+
+      <TextField
+        select
+        size="small"
+        label="Status"
+        value={status}
+        onChange={(e) => setStatus(e.target.value)}
+        sx={{ mb: 2, minWidth: 180 }}
+      >
+        <MenuItem value="">All</MenuItem>
+        {Object.keys(SHIPMENT_STATUS_COLORS).map(value => (
+          <MenuItem key={value} value={value} sx={{ textTransform: 'capitalize' }}>{value}</MenuItem>
+        ))}
+      </TextField>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Shipment #</TableCell>
+              <TableCell>Collaborator</TableCell>
+              <TableCell>Project</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Carrier / Tracking</TableCell>
+              <TableCell>Temperature</TableCell>
+              <TableCell>Shipped</TableCell>
+              <TableCell>Received</TableCell>
+              <TableCell align="right">Specimens</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={9} align="center">
+                  <CircularProgress size={24} />
+                </TableCell>
+              </TableRow>
+            ) : shipments.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={9} align="center">
+                  No shipments found
+                </TableCell>
+              </TableRow>
+            ) : (
+              shipments.map(shipment => (
+                <TableRow
+                  key={shipment.id}
+                  hover
+                  sx={{ cursor: 'pointer' }}
+                  onClick={() => navigate(`/shipments/${shipment.id}`)}
+                >
+                  <TableCell>{shipment.shipment_number}</TableCell>
+                  <TableCell>{shipment.pi_name}, {shipment.pi_institute}</TableCell>
+                  <TableCell>
+                    {shipment.project_number ? `${shipment.project_number} - ${shipment.disease || 'Unnamed Project'}` : '—'}
+                  </TableCell>
+                  <TableCell>
+                    <Chip size="small" label={shipment.status} color={SHIPMENT_STATUS_COLORS[shipment.status]} />
+                  </TableCell>
+                  <TableCell>
+                    {[shipment.carrier, shipment.tracking_number].filter(Boolean).join(' / ') || '—'}
+                  </TableCell>
+                  <TableCell>{getTemperatureLabel(shipment.temperature_condition)}</TableCell>
+                  <TableCell>{formatDate(shipment.ship_date) || '—'}</TableCell>
+                  <TableCell>{formatDate(shipment.received_date) || '—'}</TableCell>
+                  <TableCell align="right">{shipment.specimen_count}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default ShipmentList;
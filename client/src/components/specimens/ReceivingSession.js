@@ -0,0 +1,302 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  FormControlLabel,
+  Checkbox,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import {
+  QrCodeScanner as ScanIcon,
+  Undo as UndoIcon,
+  ReportProblem as DamagedIcon,
+  CheckCircle as CommitIcon,
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { receivingAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { canEditLabData } from '../../utils/roleUtils';
+import { formatDate } from '../../utils/helpers';
+import { RECEIPT_STATUS_COLORS, ReceiptDiscrepancies } from './SpecimenReceiving';
+
+const ITEM_STATUS = {
+  expected: { label: 'Not scanned', color: 'default' },
+  checked_in: { label: 'Checked in', color: 'success' },
+  missing: { label: 'Missing', color: 'error' },
+  extra: { label: 'Extra', color: 'warning' },
+};
+
+const ReceivingSession = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const scanInputRef = useRef(null);
+  const [receipt, setReceipt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [scan, setScan] = useState('');
+  const [damaged, setDamaged] = useState(false);
+  const [lastScan, setLastScan] = useState(null);
+  const [committing, setCommitting] = useState(false);
+
+  const fetchReceipt = useCallback(async () => {
+    try {
+      const response = await receivingAPI.getById(id);
+      setReceipt(response.data);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching receipt', err);
+      setError(err.response?.data?.msg || 'Failed to load receipt');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchReceipt();
+  }, [fetchReceipt]);
+
+  const canEdit = canEditLabData(currentUser) && receipt?.status === 'open';
+
+  const handleScan = async (e) => {
+    e.preventDefault();
+    const tubeId = scan.trim();
+    if (!tubeId) return;
+
+    try {
+      const response = await receivingAPI.checkIn(id, { tube_id: tubeId, damaged });
+      const item = response.data;
+      setLastScan({
+        severity: item.status === 'extra' || item.damaged ? 'warning' : 'success',
+        message: item.status === 'extra'
+          ? `${tubeId} is not on the manifest - logged as an extra tube`
+          : `${tubeId} checked in${item.damaged ? ' (damaged)' : ''}`,
+      });
+      fetchReceipt();
+    } catch (err) {
+      setLastScan({ severity: 'error', message: err.response?.data?.msg || `Failed to check in ${tubeId}` });
+    } finally {
+      setScan('');
+      setDamaged(false);
+      scanInputRef.current?.focus();
+    }
+  };
+
+  const handleItemUpdate = async (item, data) => {
+    try {
+      await receivingAPI.updateItem(id, item.id, data);
+      fetchReceipt();
+    } catch (err) {
+      console.error('Error updating receipt item', err);
+      toast.error(err.response?.data?.msg || 'Failed to update tube');
+    }
+  };
+
+  const handleCommit = async () => {
+    const { summary } = receipt;
+    const warnings = [];
+    if (summary.outstanding > 0) warnings.push(`${summary.outstanding} tubes not scanned will be recorded as missing`);
+    if (summary.damaged > 0) warnings.push(`${summary.damaged} damaged tubes will not be imported`);
+    if (summary.extra > 0) warnings.push(`${summary.extra} extra tubes will not be imported`);
+    const prompt = [`Create specimens for the checked-in tubes?`, ...warnings].join('\n');
+    if (!window.confirm(prompt)) return;
+
+    setCommitting(true);
+    try {
+      const response = await receivingAPI.commit(id);
+      toast.success(response.data.message);
+      if (response.data.unplaced.length > 0) {
+        toast.warning(`${response.data.unplaced.length} specimens were created without a storage position`);
+      }
+      fetchReceipt();
+    } catch (err) {
+      console.error('Error committing receipt', err);
+      toast.error(err.response?.data?.msg || 'Failed to commit receipt');
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this receipt? Nothing will be imported.')) return;
+    try {
+      await receivingAPI.cancel(id);
+      toast.success('Receipt cancelled');
+      navigate('/specimens/receiving');
+    } catch (err) {
+      console.error('Error cancelling receipt', err);
+      toast.error(err.response?.data?.msg || 'Failed to cancel receipt');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error || !receipt) {
+    return <Alert severity="error">{error || 'Receipt not found'}</Alert>;
+  }
+
+  const { summary } = receipt;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+        <Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Typography variant="h4" component="h1">
+              Receiving
+            </Typography>
+            <Chip label={receipt.status} color={RECEIPT_STATUS_COLORS[receipt.status]} />
+          </Box>
+          <Typography variant="body2" color="text.secondary">
+            <Link to={`/projects/${receipt.project_id}`}>
+              Project {receipt.project_number} - {receipt.disease || 'Unnamed Project'}
+            </Link>
+            {' · '}Received {formatDate(receipt.date_received)}
+            {receipt.manifest_filename && ` · ${receipt.manifest_filename}`}
+          </Typography>
+        </Box>
+        {canEdit && (
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button color="error" onClick={handleCancel}>
+              Cancel Receipt
+            </Button>
+            <Button
+              variant="contained"
+              startIcon={<CommitIcon />}
+              onClick={handleCommit}
+              disabled={committing || summary.checked_in === 0}
+            >
+              {committing ? 'Committing...' : 'Commit Checked-In Tubes'}
+            </Button>
+          </Box>
+        )}
+      </Box>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', alignItems: 'center' }}>
+          <Typography variant="body1">
+            <strong>{summary.checked_in}</strong> of <strong>{summary.expected}</strong> manifest tubes checked in
+          </Typography>
+          <ReceiptDiscrepancies receipt={{ ...summary, status: receipt.status }} />
+        </Box>
+        {receipt.notes && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            {receipt.notes}
+          </Typography>
+        )}
+        {receipt.status === 'committed' && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            Committed by {receipt.committed_by_username} on {formatDate(receipt.committed_at)}
+          </Typography>
+        )}
+      </Paper>
+
+      {canEdit && (
+        <Paper component="form" onSubmit={handleScan} sx={{ p: 2, mb: 3 }}>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+            <TextField
+              inputRef={scanInputRef}
+              autoFocus
+              label="Scan tube barcode"
+              value={scan}
+              onChange={(e) => setScan(e.target.value)}
+              sx={{ flexGrow: 1, minWidth: 240 }}
+              InputProps={{ startAdornment: <ScanIcon sx={{ mr: 1, color: 'text.secondary' }} /> }}
+            />
+            <FormControlLabel
+              control={<Checkbox checked={damaged} onChange={(e) => setDamaged(e.target.checked)} />}
+              label="Damaged"
+            />
+            <Button type="submit" variant="outlined" disabled={!scan.trim()}>
+              Check In
+            </Button>
+          </Box>
+          {lastScan && (
+            <Alert severity={lastScan.severity} sx={{ mt: 2 }}>
+              {lastScan.message}
+            </Alert>
+          )}
+        </Paper>
+      )}
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Row</TableCell>
+              <TableCell>Tube ID</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Condition</TableCell>
+              <TableCell>Checked In</TableCell>
+              <TableCell>Specimen</TableCell>
+              {canEdit && <TableCell align="right">Actions</TableCell>}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {receipt.items.map(item => (
+              <TableRow key={item.id}>
+                <TableCell>{item.manifest_row || '—'}</TableCell>
+                <TableCell>{item.tube_id}</TableCell>
+                <TableCell>
+                  <Chip size="small" label={ITEM_STATUS[item.status].label} color={ITEM_STATUS[item.status].color} />
+                </TableCell>
+                <TableCell>
+                  {item.damaged && <Chip size="small" color="warning" icon={<DamagedIcon />} label="Damaged" sx={{ mr: 1 }} />}
+                  {item.condition_notes}
+                </TableCell>
+                <TableCell>
+                  {item.checked_in_at ? `${item.checked_in_by_username || ''} ${formatDate(item.checked_in_at)}` : '—'}
+                </TableCell>
+                <TableCell>
+                  {item.specimen_id ? (
+                    <Link to={`/specimens/${item.specimen_id}`}>{item.specimen_number}</Link>
+                  ) : '—'}
+                </TableCell>
+                {canEdit && (
+                  <TableCell align="right">
+                    {item.status !== 'expected' && (
+                      <>
+                        <Tooltip title={item.damaged ? 'Clear damaged flag' : 'Flag as damaged'}>
+                          <IconButton size="small" onClick={() => handleItemUpdate(item, { damaged: !item.damaged })}>
+                            <DamagedIcon fontSize="small" color={item.damaged ? 'warning' : 'inherit'} />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title={item.status === 'extra' ? 'Remove extra tube' : 'Undo check-in'}>
+                          <IconButton size="small" onClick={() => handleItemUpdate(item, { undo: true })}>
+                            <UndoIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </>
+                    )}
+                  </TableCell>
+                )}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default ReceivingSession;
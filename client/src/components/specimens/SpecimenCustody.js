@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Divider,
+  Chip,
+  Alert,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControlLabel,
+  Checkbox,
+} from '@mui/material';
+import {
+  Logout as CheckoutIcon,
+  Login as ReturnIcon,
+  AcUnit as ThawIcon,
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { specimenAPI } from '../../services/api';
+import { formatDate } from '../../utils/helpers';
+
+const EVENT_COLORS = {
+  checkout: 'warning',
+  return: 'success',
+  thaw: 'info',
+  transfer: 'default',
+  shipment: 'secondary',
+};
+
+const DIALOG_TITLES = {
+  checkout: 'Check out specimen',
+  return: 'Return specimen to storage',
+  thaw: 'Record freeze-thaw cycle',
+};
+
+/**
+ * Chain of custody for a specimen: who has it, how often it has been thawed, and the event log
+ */
+const SpecimenCustody = ({ specimen, canEdit, onChange }) => {
+  const [custody, setCustody] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [action, setAction] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [thawed, setThawed] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchCustody = useCallback(async () => {
+    try {
+      const response = await specimenAPI.getCustody(specimen.id);
+      setCustody(response.data);
+    } catch (err) {
+      console.error('Error fetching custody log', err);
+      setCustody({ status: { thaw_count: 0 }, events: [] });
+    } finally {
+      setLoading(false);
+    }
+  }, [specimen.id]);
+
+  useEffect(() => {
+    fetchCustody();
+  }, [fetchCustody]);
+
+  const openDialog = (nextAction) => {
+    setAction(nextAction);
+    setNotes('');
+    setThawed(true);
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    try {
+      let response;
+      if (action === 'checkout') {
+        response = await specimenAPI.checkout(specimen.id, { notes, thawed });
+      } else if (action === 'return') {
+        response = await specimenAPI.returnToStorage(specimen.id, { notes });
+      } else {
+        response = await specimenAPI.recordThaw(specimen.id, { notes });
+      }
+
+      if (response.data.warning) {
+        toast.warning(response.data.warning);
+      } else {
+        toast.success('Custody log updated');
+      }
+      setAction(null);
+      fetchCustody();
+      if (onChange) onChange(response.data.status);
+    } catch (err) {
+      const message = err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg;
+      toast.error(message || 'Failed to update custody');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const status = custody?.status || {};
+  const isCheckedOut = Boolean(status.checked_out_to);
+
+  return (
+    <Paper elevation={2} sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6" gutterBottom>
+          Chain of Custody
+        </Typography>
+        {canEdit && custody && (
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            {isCheckedOut ? (
+              <Button size="small" startIcon={<ReturnIcon />} onClick={() => openDialog('return')}>
+                Return
+              </Button>
+            ) : (
+              <Button size="small" startIcon={<CheckoutIcon />} onClick={() => openDialog('checkout')}>
+                Check Out
+              </Button>
+            )}
+            <Button size="small" startIcon={<ThawIcon />} onClick={() => openDialog('thaw')}>
+              Record Thaw
+            </Button>
+          </Box>
+        )}
+      </Box>
+      <Divider sx={{ mb: 2 }} />
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : (
+        <>
+          {status.over_thaw_limit && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Thawed {status.thaw_count} times, over the limit of {status.thaw_limit}
+            </Alert>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 4, mb: 2 }}>
+            <Box>
+              <Typography variant="subtitle2" color="text.secondary">Current Holder</Typography>
+              <Typography variant="body1">
+                {isCheckedOut
+                  ? `${status.checked_out_to_username} (since ${formatDate(status.checked_out_at)})`
+                  : 'In storage'}
+              </Typography>
+            </Box>
+            <Box>
+              <Typography variant="subtitle2" color="text.secondary">Freeze-Thaw Cycles</Typography>
+              <Typography variant="body1">
+                {status.thaw_count}{status.thaw_limit !== undefined ? ` / ${status.thaw_limit}` : ''}
+              </Typography>
+            </Box>
+          </Box>
+
+          {custody.events.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">No custody events recorded</Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Date</TableCell>
+                    <TableCell>Event</TableCell>
+                    <TableCell>Holder</TableCell>
+                    <TableCell>From</TableCell>
+                    <TableCell>To</TableCell>
+                    <TableCell>Notes</TableCell>
+                    <TableCell>By</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {custody.events.map(event => (
+                    <TableRow key={event.id}>
+                      <TableCell>{formatDate(event.event_time)}</TableCell>
+                      <TableCell>
+                        <Chip size="small" label={event.event_type} color={EVENT_COLORS[event.event_type]} variant="outlined" />
+                      </TableCell>
+                      <TableCell>{event.custodian_username || '—'}</TableCell>
+                      <TableCell>{event.from_location || '—'}</TableCell>
+                      <TableCell>{event.to_location || '—'}</TableCell>
+                      <TableCell>{event.notes || '—'}</TableCell>
+                      <TableCell>{event.performed_by_username || '—'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </>
+      )}
+
+      <Dialog open={Boolean(action)} onClose={() => setAction(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{DIALOG_TITLES[action]}</DialogTitle>
+        <DialogContent>
+          {action === 'checkout' && (
+            <FormControlLabel
+              control={<Checkbox checked={thawed} onChange={(e) => setThawed(e.target.checked)} />}
+              label="Specimen will be thawed"
+            />
+          )}
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Notes"
+            multiline
+            rows={2}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAction(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSubmit} disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default SpecimenCustody;
@@ -10,6 +10,8 @@ import {
   CircularProgress,
   Alert,
   IconButton,
+  Tabs,
+  Tab,
 } from '@mui/material';
 import {
   Edit as EditIcon,
@@ -25,6 +27,11 @@ import { useAuth } from '../../context/AuthContext';
 import Barcode from '../common/Barcode';
 import PrintableLabel from '../labels/PrintableLabel';
 import ExperimentHistoryTable from '../common/ExperimentHistoryTable';
+import SpecimenLineage from './SpecimenLineage';
+import SpecimenQuantityLedger from './SpecimenQuantityLedger';
+import SpecimenCustody from './SpecimenCustody';
+import { canEditLabData, hasPermission, canViewAudit } from '../../utils/roleUtils';
+import RecordHistory from '../common/RecordHistory';
 
 const SpecimenDetail = () => {
   const { id } = useParams();
@@ -37,8 +44,9 @@ const SpecimenDetail = () => {
   const [error, setError] = useState('');
   const navigate = useNavigate();
   const { currentUser } = useAuth();
-  const isAdmin = currentUser?.role === 'admin';
-  const isEditor = currentUser?.role === 'editor' || isAdmin
+  const [tab, setTab] = useState('details');
+  const canDelete = hasPermission(currentUser, 'specimen:delete');
+  const isEditor = canEditLabData(currentUser);
 
   useEffect(() => {
     const fetchData = async () => {
@@ -121,7 +129,7 @@ const SpecimenDetail = () => {
       console.log('Label content:', response.data.content);
     } catch (err) {
       console.error('Error generating label', err);
-      toast.error('Failed to generate label');
+      toast.error(err.response?.data?.consentBlocked ? err.response.data.consentBlocked[0].reason : 'Failed to generate label');
     }
   };
 
@@ -200,7 +208,7 @@ const SpecimenDetail = () => {
               >
                 Edit
               </Button>
-              {isAdmin && (
+              {canDelete && (
                 <Button
                   variant="outlined"
                   color="error"
@@ -215,7 +223,16 @@ const SpecimenDetail = () => {
         </Box>
       </Box>
 
-      <Grid container spacing={3}>
+      {canViewAudit(currentUser) && (
+        <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}>
+          <Tab label="Details" value="details" />
+          <Tab label="History" value="history" />
+        </Tabs>
+      )}
+
+      {tab === 'history' && <RecordHistory table="specimens" recordId={id} />}
+
+      <Grid container spacing={3} sx={{ display: tab === 'details' ? undefined : 'none' }}>
         {/* Main specimen information */}
         <Grid item xs={12} md={6}>
           <Paper elevation={2} sx={{ p: 3, height: '100%' }}>
@@ -259,6 +276,10 @@ const SpecimenDetail = () => {
                 <Typography variant="subtitle2" color="text.secondary">Initial Quantity</Typography>
                 <Typography variant="body1">{specimen.initial_quantity || '—'}</Typography>
               </Grid>
+              <Grid item xs={6}>
+                <Typography variant="subtitle2" color="text.secondary">Remaining Quantity</Typography>
+                <Typography variant="body1">{specimen.remaining_quantity ?? '—'}</Typography>
+              </Grid>
               <Grid item xs={6}>
                 <Typography variant="subtitle2" color="text.secondary">Specimen Site</Typography>
                 <Typography variant="body1">{specimen.specimen_site || '—'}</Typography>
@@ -429,7 +450,17 @@ const SpecimenDetail = () => {
               </Grid>
               <Grid item xs={6}>
                 <Typography variant="subtitle2" color="text.secondary">Box</Typography>
-                <Typography variant="body1">{specimen.position_box || '—'}</Typography>
+                {specimen.storage_box_id ? (
+                  <Typography
+                    variant="body1"
+                    component={Link}
+                    to={`/storage/boxes/${specimen.storage_box_id}?highlight=${specimen.id}`}
+                  >
+                    {specimen.position_box}
+                  </Typography>
+                ) : (
+                  <Typography variant="body1">{specimen.position_box || '—'}</Typography>
+                )}
               </Grid>
               <Grid item xs={6}>
                 <Typography variant="subtitle2" color="text.secondary">Position</Typography>
@@ -458,6 +489,17 @@ const SpecimenDetail = () => {
                 </Link>
               ) : '—'}
             </Typography>
+
+            {specimen.visit_label && (
+              <>
+                <Typography variant="subtitle2" color="text.secondary" sx={{ mt: 2 }}>Visit</Typography>
+                <Typography variant="body1" gutterBottom>
+                  {specimen.visit_label}
+                  {specimen.visit_date && ` · ${formatDate(specimen.visit_date)}`}
+                  {specimen.days_from_baseline !== null && ` · day ${specimen.days_from_baseline}`}
+                </Typography>
+              </>
+            )}
             
             <Typography variant="subtitle2" color="text.secondary" sx={{ mt: 2 }}>Project</Typography>
             <Typography variant="body1" gutterBottom>
@@ -579,6 +621,46 @@ const SpecimenDetail = () => {
           </Paper>
         </Grid>
 
+        {/* Aliquots and derivatives */}
+        <Grid item xs={12}>
+          <SpecimenLineage
+            specimen={specimen}
+            canEdit={canEditLabData(currentUser)}
+            onSplit={(parent) => setSpecimen(prev => ({
+              ...prev,
+              remaining_quantity: parent.remaining_quantity,
+              used_up: parent.used_up
+            }))}
+          />
+        </Grid>
+
+        {/* Quantity ledger */}
+        <Grid item xs={12}>
+          <SpecimenQuantityLedger
+            specimen={specimen}
+            canEdit={canEditLabData(currentUser)}
+            onChange={(updated) => setSpecimen(prev => ({
+              ...prev,
+              remaining_quantity: updated.remaining_quantity,
+              used_up: updated.used_up
+            }))}
+          />
+        </Grid>
+
+        {/* Chain of custody */}
+        <Grid item xs={12}>
+          <SpecimenCustody
+            specimen={specimen}
+            canEdit={canEditLabData(currentUser)}
+            onChange={(status) => setSpecimen(prev => ({
+              ...prev,
+              thaw_count: status.thaw_count,
+              checked_out_to: status.checked_out_to,
+              checked_out_to_username: status.checked_out_to_username
+            }))}
+          />
+        </Grid>
+
         {/* Protocols Performed */}
         <Grid item xs={12}>
           <Paper elevation={2} sx={{ p: 3 }}>
@@ -592,6 +674,7 @@ const SpecimenDetail = () => {
               loading={experimentsLoading}
               showProtocolColumn={true}
               showSpecimenColumn={false}
+              showPlateColumn={true}
               emptyMessage="No protocols have been performed on this specimen"
             />
           </Paper>
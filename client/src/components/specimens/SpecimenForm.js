@@ -47,6 +47,7 @@ const SpecimenForm = () => {
   const [formData, setFormData] = useState({
     project_id: '',
     patient_id: '',
+    visit_id: '',
     tube_id: '',
     extracted: false,
     initial_quantity: '',
@@ -77,6 +78,7 @@ const SpecimenForm = () => {
   const [patients, setPatients] = useState([]);
   const [searchingPatient, setSearchingPatient] = useState(false);
   const [patientSearchTerm, setPatientSearchTerm] = useState('');
+  const [visits, setVisits] = useState([]);
   const [metadataExpanded, setMetadataExpanded] = useState(false);
   const [metadataSuggestions, setMetadataSuggestions] = useState([]);
   const [newMetadataKey, setNewMetadataKey] = useState('');
@@ -262,9 +264,21 @@ const SpecimenForm = () => {
     setFormData({
       ...formData,
       patient_id: newValue ? newValue.id : '',
+      visit_id: '',
     });
   };
 
+  // Visits belong to a patient, so reload them whenever the patient changes
+  useEffect(() => {
+    if (!formData.patient_id) {
+      setVisits([]);
+      return;
+    }
+    patientAPI.getVisits(formData.patient_id)
+      .then(response => setVisits(response.data))
+      .catch(err => console.error('Error fetching visits', err));
+  }, [formData.patient_id]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -397,6 +411,34 @@ const SpecimenForm = () => {
                 )}
               />
             </Grid>
+
+            <Grid item xs={12} md={6}>
+              <TextField
+                select
+                fullWidth
+                label="Visit"
+                name="visit_id"
+                value={formData.visit_id || ''}
+                onChange={handleChange}
+                disabled={!formData.patient_id}
+                helperText={
+                  !formData.patient_id
+                    ? 'Select a patient first'
+                    : visits.length === 0
+                      ? 'No visits recorded for this patient - add them on the patient page'
+                      : 'Timepoint this specimen was collected at'
+                }
+              >
+                <MenuItem value="">
+                  <em>None</em>
+                </MenuItem>
+                {visits.map(visit => (
+                  <MenuItem key={visit.id} value={visit.id}>
+                    {visit.visit_label}{visit.visit_date ? ` (${formatDate(visit.visit_date)})` : ''}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
             
             <Grid item xs={12} md={6}>
               <TextField
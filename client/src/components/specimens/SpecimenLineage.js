@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Divider,
+  Chip,
+  CircularProgress,
+  Breadcrumbs,
+  Link as MuiLink,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import { CallSplit as SplitIcon } from '@mui/icons-material';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { specimenAPI } from '../../services/api';
+
+const DERIVATION_TYPES = [
+  { value: 'aliquot', label: 'Aliquot' },
+  { value: 'extract', label: 'Extract (DNA/RNA)' },
+  { value: 'library', label: 'Library' },
+];
+
+const specimenLabel = (node) => `WUID ${node.specimen_number ?? '—'}${node.tube_id ? ` (${node.tube_id})` : ''}`;
+
+/**
+ * Nested list of descendants, built from the flat rows the lineage endpoint returns
+ */
+const DescendantTree = ({ nodes, parentId }) => {
+  const children = nodes.filter(node => node.parent_specimen_id === parentId);
+  if (children.length === 0) return null;
+
+  return (
+    <Box component="ul" sx={{ listStyle: 'none', pl: 2, my: 0, borderLeft: '1px solid', borderColor: 'divider' }}>
+      {children.map(child => (
+        <Box component="li" key={`${parentId}-${child.id}`} sx={{ py: 0.5 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <MuiLink component={Link} to={`/specimens/${child.id}`}>
+              {specimenLabel(child)}
+            </MuiLink>
+            <Chip size="small" label={child.derivation_type} variant="outlined" />
+            {child.initial_quantity !== null && (
+              <Typography variant="caption" color="text.secondary">qty {child.initial_quantity}</Typography>
+            )}
+            {child.used_up && <Chip size="small" label="Used up" color="default" />}
+          </Box>
+          <DescendantTree nodes={nodes} parentId={child.id} />
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+const SpecimenLineage = ({ specimen, canEdit, onSplit }) => {
+  const [lineage, setLineage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({ count: 2, derivation_type: 'aliquot', quantity_per_child: '' });
+
+  const fetchLineage = useCallback(async () => {
+    try {
+      const response = await specimenAPI.getLineage(specimen.id);
+      setLineage(response.data);
+    } catch (err) {
+      console.error('Error fetching specimen lineage', err);
+      setLineage({ ancestors: [], descendants: [] });
+    } finally {
+      setLoading(false);
+    }
+  }, [specimen.id]);
+
+  useEffect(() => {
+    fetchLineage();
+  }, [fetchLineage]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSplit = async () => {
+    setSaving(true);
+    try {
+      const response = await specimenAPI.createAliquots(specimen.id, {
+        count: parseInt(form.count, 10),
+        derivation_type: form.derivation_type,
+        quantity_per_child: form.quantity_per_child ? parseFloat(form.quantity_per_child) : null,
+      });
+      toast.success(`Created ${response.data.children.length} ${form.derivation_type}(s)`);
+      setDialogOpen(false);
+      fetchLineage();
+      if (onSplit) onSplit(response.data.parent);
+    } catch (err) {
+      const message = err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg;
+      toast.error(message || 'Failed to create aliquots');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Ancestors arrive root-first; the direct parents are the ones at depth 1
+  const directParents = lineage?.ancestors.filter(node => node.depth === 1) || [];
+  const rootPath = lineage?.ancestors.filter(node => node.depth > 1) || [];
+
+  return (
+    <Paper elevation={2} sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6" gutterBottom>
+          Lineage
+        </Typography>
+        {canEdit && !specimen.used_up && (
+          <Button size="small" startIcon={<SplitIcon />} onClick={() => setDialogOpen(true)}>
+            Split / Derive
+          </Button>
+        )}
+      </Box>
+      <Divider sx={{ mb: 2 }} />
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : (
+        <>
+          <Typography variant="subtitle2" color="text.secondary">Derived from</Typography>
+          {directParents.length === 0 ? (
+            <Typography variant="body2" sx={{ mb: 2 }}>Primary specimen</Typography>
+          ) : (
+            <Breadcrumbs sx={{ mb: 2 }}>
+              {rootPath.map(node => (
+                <MuiLink key={`${node.id}-${node.depth}`} component={Link} to={`/specimens/${node.id}`}>
+                  {specimenLabel(node)}
+                </MuiLink>
+              ))}
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                {directParents.map(node => (
+                  <MuiLink key={node.id} component={Link} to={`/specimens/${node.id}`}>
+                    {specimenLabel(node)}
+                  </MuiLink>
+                ))}
+              </Box>
+              <Typography color="text.primary">
+                {specimenLabel(specimen)} ({directParents[0].derivation_type})
+              </Typography>
+            </Breadcrumbs>
+          )}
+
+          <Typography variant="subtitle2" color="text.secondary">
+            Derivatives ({lineage.descendants.length})
+          </Typography>
+          {lineage.descendants.length === 0 ? (
+            <Typography variant="body2">None</Typography>
+          ) : (
+            <DescendantTree nodes={lineage.descendants} parentId={specimen.id} />
+          )}
+        </>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Split specimen {specimen.specimen_number}</DialogTitle>
+        <DialogContent>
+          <TextField
+            select
+            fullWidth
+            margin="dense"
+            label="Derivation type"
+            name="derivation_type"
+            value={form.derivation_type}
+            onChange={handleChange}
+          >
+            {DERIVATION_TYPES.map(type => (
+              <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            fullWidth
+            margin="dense"
+            type="number"
+            label="Number of children"
+            name="count"
+            inputProps={{ min: 1, max: 96 }}
+            value={form.count}
+            onChange={handleChange}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            type="number"
+            label="Quantity per child"
+            name="quantity_per_child"
+            value={form.quantity_per_child}
+            onChange={handleChange}
+            helperText={
+              specimen.remaining_quantity !== null && specimen.remaining_quantity !== undefined
+                ? `Leave blank to split the remaining ${specimen.remaining_quantity} evenly`
+                : 'Parent has no recorded quantity'
+            }
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSplit} disabled={saving || !form.count}>
+            {saving ? 'Creating...' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default SpecimenLineage;
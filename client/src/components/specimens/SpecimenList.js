@@ -42,6 +42,7 @@ import {
   Search as SearchIcon,
   GetApp as ExportIcon,
   Upload as ImportIcon,
+  MoveToInbox as ReceiveIcon,
   Print as PrintIcon,
   Visibility as ViewIcon,
   Edit as EditIcon,
@@ -51,6 +52,7 @@ import {
   Clear as ClearIcon,
   CloudUpload as FileUploadIcon,
   Description as FileIcon,
+  AcUnit as ThawIcon,
 } from '@mui/icons-material';
 import { Link, useNavigate } from 'react-router-dom';
 import { specimenAPI, labelAPI, collaboratorAPI, projectAPI } from '../../services/api';
@@ -154,6 +156,7 @@ const FILTER_COLUMNS = {
 const SpecimenList = () => {
   const [specimens, setSpecimens] = useState([]);
   const [totalCount, setTotalCount] = useState(0);
+  const [thawLimit, setThawLimit] = useState(null);
   const [page, setPage] = useState(1);
   const [limit] = useState(50);
   const [loading, setLoading] = useState(true);
@@ -331,6 +334,7 @@ const SpecimenList = () => {
           } else {
             // Regular paginated response format
             setTotalCount(response.data.totalCount);
+            setThawLimit(response.data.thawLimit ?? null);
             console.log('✅ Data loaded - page:', page, 'showing:', response.data.specimens.length, 'total found:', response.data.totalCount);
           }
         } else {
@@ -420,7 +424,7 @@ const SpecimenList = () => {
       }
     } catch (err) {
       console.error('Error generating labels', err);
-      toast.error('Failed to generate labels');
+      toast.error(err.response?.data?.consentBlocked ? err.response.data.msg : 'Failed to generate labels');
     }
   };
 
@@ -641,6 +645,15 @@ const SpecimenList = () => {
               >
                 Import
               </Button>
+              <Button
+                component={Link}
+                to="/specimens/receiving"
+                variant="outlined"
+                startIcon={<ReceiveIcon />}
+                sx={{ mr: 1 }}
+              >
+                Receive
+              </Button>
               <Button
                 component={Link}
                 to="/specimens/new"
@@ -1137,6 +1150,7 @@ const SpecimenList = () => {
               <TableCell>WUID</TableCell>
               <TableCell>Tube ID</TableCell>
               <TableCell>Location</TableCell>
+              <TableCell>Custody</TableCell>
               <TableCell>Type</TableCell>
               <TableCell>Date Collected</TableCell>
               <TableCell>Project</TableCell>
@@ -1146,13 +1160,13 @@ const SpecimenList = () => {
           <TableBody>
             {loading ? (
               <TableRow>
-                <TableCell colSpan={7} align="center">
+                <TableCell colSpan={9} align="center">
                   <CircularProgress size={24} />
                 </TableCell>
               </TableRow>
             ) : specimens.length === 0 ? (
               <TableRow>
-                <TableCell colSpan={7} align="center">
+                <TableCell colSpan={9} align="center">
                   No specimens found
                 </TableCell>
               </TableRow>
@@ -1169,6 +1183,22 @@ const SpecimenList = () => {
                   <TableCell>{specimen.specimen_number || '—'}</TableCell>
                   <TableCell>{specimen.tube_id || '—'}</TableCell>
                   <TableCell>{getLocationString(specimen) || '—'}</TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                      {specimen.checked_out_to ? (
+                        <Tooltip title={`Checked out ${formatDate(specimen.checked_out_at)}`}>
+                          <Chip size="small" color="warning" label={`Out: ${specimen.checked_out_to_username || 'unknown'}`} />
+                        </Tooltip>
+                      ) : (
+                        <Typography variant="body2" color="text.secondary">In storage</Typography>
+                      )}
+                      {thawLimit !== null && specimen.thaw_count > thawLimit && (
+                        <Tooltip title={`Thawed ${specimen.thaw_count} times (limit ${thawLimit})`}>
+                          <ThawIcon fontSize="small" color="error" />
+                        </Tooltip>
+                      )}
+                    </Box>
+                  </TableCell>
                   <TableCell>{specimen.specimen_type || '—'}</TableCell>
                   <TableCell>{formatDate(specimen.date_collected) || '—'}</TableCell>
                   <TableCell>
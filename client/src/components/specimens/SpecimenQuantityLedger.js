@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Divider,
+  Chip,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Link as MuiLink,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import { Add as AddIcon } from '@mui/icons-material';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { specimenAPI } from '../../services/api';
+import { formatDate } from '../../utils/helpers';
+
+const TRANSACTION_TYPES = [
+  { value: 'withdrawal', label: 'Withdrawal' },
+  { value: 'return', label: 'Return' },
+  { value: 'correction', label: 'Correction (set remaining)' },
+];
+
+const TYPE_COLORS = {
+  withdrawal: 'warning',
+  aliquot: 'info',
+  return: 'success',
+  correction: 'default',
+};
+
+const EMPTY_FORM = { transaction_type: 'withdrawal', quantity: '', reason: '' };
+
+const formatChange = (value) => {
+  const amount = parseFloat(value);
+  return amount > 0 ? `+${amount}` : `${amount}`;
+};
+
+/**
+ * Remaining quantity and the withdrawal/return/aliquot history for a specimen
+ */
+const SpecimenQuantityLedger = ({ specimen, canEdit, onChange }) => {
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  // Refetch when the remainder changes elsewhere on the page (e.g. after a split)
+  const fetchTransactions = useCallback(async () => {
+    try {
+      const response = await specimenAPI.getTransactions(specimen.id);
+      setTransactions(response.data.transactions);
+    } catch (err) {
+      console.error('Error fetching specimen transactions', err);
+      setTransactions([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [specimen.id, specimen.remaining_quantity]);
+
+  useEffect(() => {
+    fetchTransactions();
+  }, [fetchTransactions]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleClose = () => {
+    setDialogOpen(false);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    try {
+      const response = await specimenAPI.recordTransaction(specimen.id, {
+        transaction_type: form.transaction_type,
+        quantity: parseFloat(form.quantity),
+        reason: form.reason,
+      });
+      toast.success('Quantity updated');
+      handleClose();
+      if (onChange) {
+        onChange(response.data.specimen);
+      } else {
+        fetchTransactions();
+      }
+    } catch (err) {
+      const message = err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg;
+      toast.error(message || 'Failed to record transaction');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const hasQuantity = specimen.remaining_quantity !== null && specimen.remaining_quantity !== undefined;
+
+  return (
+    <Paper elevation={2} sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6" gutterBottom>
+          Quantity
+        </Typography>
+        {canEdit && (
+          <Button size="small" startIcon={<AddIcon />} onClick={() => setDialogOpen(true)}>
+            Record Use
+          </Button>
+        )}
+      </Box>
+      <Divider sx={{ mb: 2 }} />
+
+      <Box sx={{ display: 'flex', gap: 4, mb: 2 }}>
+        <Box>
+          <Typography variant="subtitle2" color="text.secondary">Initial</Typography>
+          <Typography variant="body1">{specimen.initial_quantity ?? '—'}</Typography>
+        </Box>
+        <Box>
+          <Typography variant="subtitle2" color="text.secondary">Remaining</Typography>
+          <Typography variant="body1">{hasQuantity ? specimen.remaining_quantity : '—'}</Typography>
+        </Box>
+        {specimen.used_up && <Chip label="Used up" size="small" sx={{ alignSelf: 'center' }} />}
+      </Box>
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : transactions.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">No withdrawals recorded</Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Date</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell align="right">Change</TableCell>
+                <TableCell align="right">Remaining</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell>By</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {transactions.map(tx => (
+                <TableRow key={tx.id}>
+                  <TableCell>{formatDate(tx.transaction_date)}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={tx.transaction_type} color={TYPE_COLORS[tx.transaction_type]} variant="outlined" />
+                  </TableCell>
+                  <TableCell align="right">{formatChange(tx.quantity_change)}</TableCell>
+                  <TableCell align="right">{parseFloat(tx.quantity_after)}</TableCell>
+                  <TableCell>
+                    {tx.experiment_id && tx.experiment_number ? (
+                      <MuiLink component={Link} to={`/experiments/${tx.experiment_id}`}>
+                        {tx.reason}
+                      </MuiLink>
+                    ) : tx.related_specimen_id ? (
+                      <MuiLink component={Link} to={`/specimens/${tx.related_specimen_id}`}>
+                        {tx.reason}
+                      </MuiLink>
+                    ) : (
+                      tx.reason || '—'
+                    )}
+                  </TableCell>
+                  <TableCell>{tx.performed_by_username || '—'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={dialogOpen} onClose={handleClose} maxWidth="xs" fullWidth>
+        <DialogTitle>Record quantity change</DialogTitle>
+        <DialogContent>
+          <TextField
+            select
+            fullWidth
+            margin="dense"
+            label="Type"
+            name="transaction_type"
+            value={form.transaction_type}
+            onChange={handleChange}
+          >
+            {TRANSACTION_TYPES.map(type => (
+              <MenuItem key={type.value} value={type.value} disabled={!hasQuantity && type.value !== 'correction'}>
+                {type.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            fullWidth
+            margin="dense"
+            type="number"
+            label={form.transaction_type === 'correction' ? 'Remaining quantity' : 'Quantity'}
+            name="quantity"
+            inputProps={{ min: 0, step: 'any' }}
+            value={form.quantity}
+            onChange={handleChange}
+            helperText={hasQuantity ? `Currently ${specimen.remaining_quantity} remaining` : 'No quantity recorded yet'}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Reason"
+            name="reason"
+            value={form.reason}
+            onChange={handleChange}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSubmit}
+            disabled={saving || form.quantity === '' || !form.reason.trim()}
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default SpecimenQuantityLedger;
@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  TextField,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { CloudUpload, MoveToInbox as ReceiveIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import ProjectSelector from '../common/ProjectSelector';
+import { receivingAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { canEditLabData } from '../../utils/roleUtils';
+import { formatDate } from '../../utils/helpers';
+
+export const RECEIPT_STATUS_COLORS = {
+  open: 'info',
+  committed: 'success',
+  cancelled: 'default',
+};
+
+/**
+ * Discrepancy chips for a receipt row; open receipts show what is still outstanding instead of missing
+ */
+export const ReceiptDiscrepancies = ({ receipt }) => {
+  const chips = [];
+  if (receipt.status === 'open' && receipt.outstanding > 0) {
+    chips.push(<Chip key="outstanding" size="small" label={`${receipt.outstanding} not scanned`} />);
+  }
+  if (receipt.missing > 0) {
+    chips.push(<Chip key="missing" size="small" color="error" label={`${receipt.missing} missing`} />);
+  }
+  if (receipt.extra > 0) {
+    chips.push(<Chip key="extra" size="small" color="warning" label={`${receipt.extra} extra`} />);
+  }
+  if (receipt.damaged > 0) {
+    chips.push(<Chip key="damaged" size="small" color="warning" label={`${receipt.damaged} damaged`} />);
+  }
+
+  if (chips.length === 0) {
+    return <Typography variant="body2" color="text.secondary">None</Typography>;
+  }
+  return <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>{chips}</Box>;
+};
+
+const SpecimenReceiving = () => {
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const [receipts, setReceipts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedProject, setSelectedProject] = useState(null);
+  const [dateReceived, setDateReceived] = useState(new Date().toISOString().split('T')[0]);
+  const [notes, setNotes] = useState('');
+  const [file, setFile] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState([]);
+
+  const fetchReceipts = useCallback(async () => {
+    try {
+      const response = await receivingAPI.getAll();
+      setReceipts(response.data.receipts);
+    } catch (err) {
+      console.error('Error fetching receipts', err);
+      toast.error('Failed to load receipts');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchReceipts();
+  }, [fetchReceipts]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setErrorDetails([]);
+
+    if (!selectedProject || !file) {
+      setError('Select a project and the collaborator manifest');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('projectId', selectedProject.id);
+    formData.append('date_received', dateReceived);
+    if (notes) formData.append('notes', notes);
+
+    setSubmitting(true);
+    try {
+      const response = await receivingAPI.create(formData);
+      toast.success('Manifest loaded - scan tubes to check them in');
+      navigate(`/specimens/receiving/${response.data.id}`);
+    } catch (err) {
+      console.error('Error starting receipt', err);
+      setError(err.response?.data?.msg || err.response?.data?.message || 'Failed to load manifest');
+      setErrorDetails(err.response?.data?.errors || []);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Specimen Receiving
+      </Typography>
+
+      {canEditLabData(currentUser) && (
+        <Paper component="form" onSubmit={handleSubmit} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Receive a Box
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Upload the collaborator's manifest, then scan each tube to check it in.
+            Specimens are only created for the tubes that were checked in.
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+              {errorDetails.slice(0, 10).map(detail => (
+                <div key={detail}>{detail}</div>
+              ))}
+            </Alert>
+          )}
+
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <ProjectSelector
+                selectedProject={selectedProject}
+                onProjectChange={setSelectedProject}
+                label="Project"
+                required
+                simplified={true}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                type="date"
+                label="Date Received"
+                value={dateReceived}
+                onChange={(e) => setDateReceived(e.target.value)}
+                InputLabelProps={{ shrink: true }}
+                required
+              />
+            </Grid>
+            <Grid item xs={12} md={8}>
+              <TextField
+                fullWidth
+                label="Notes"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Courier, box condition, temperature on arrival..."
+              />
+            </Grid>
+            <Grid item xs={12} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+              <Button variant="outlined" component="label" startIcon={<CloudUpload />}>
+                Choose Manifest
+                <input
+                  type="file"
+                  hidden
+                  accept=".csv,.xlsx,.xls"
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                />
+              </Button>
+              <Typography variant="body2" color="text.secondary">
+                {file ? file.name : 'CSV or Excel, one row per tube with a tube ID column'}
+              </Typography>
+              <Box sx={{ flexGrow: 1 }} />
+              <Button
+                type="submit"
+                variant="contained"
+                startIcon={<ReceiveIcon />}
+                disabled={submitting || !file || !selectedProject}
+              >
+                {submitting ? 'Loading...' : 'Start Receiving'}
+              </Button>
+            </Grid>
+          </Grid>
+        </Paper>
+      )}
+
+      <Typography variant="h6" gutterBottom>
+        Receipts
+      </Typography>
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Date Received</TableCell>
+              <TableCell>Project</TableCell>
+              <TableCell>Manifest</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Checked In</TableCell>
+              <TableCell>Discrepancies</TableCell>
+              <TableCell>Received By</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center"><CircularProgress size={24} /></TableCell>
+              </TableRow>
+            ) : receipts.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} align="center">No receipts yet</TableCell>
+              </TableRow>
+            ) : (
+              receipts.map(receipt => (
+                <TableRow
+                  key={receipt.id}
+                  hover
+                  sx={{ cursor: 'pointer' }}
+                  onClick={() => navigate(`/specimens/receiving/${receipt.id}`)}
+                >
+                  <TableCell>{formatDate(receipt.date_received)}</TableCell>
+                  <TableCell>{receipt.project_number} - {receipt.disease || 'Unnamed Project'}</TableCell>
+                  <TableCell>{receipt.manifest_filename || '—'}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={receipt.status} color={RECEIPT_STATUS_COLORS[receipt.status]} />
+                  </TableCell>
+                  <TableCell align="right">{receipt.checked_in} / {receipt.expected}</TableCell>
+                  <TableCell><ReceiptDiscrepancies receipt={receipt} /></TableCell>
+                  <TableCell>{receipt.received_by_username || '—'}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default SpecimenReceiving;
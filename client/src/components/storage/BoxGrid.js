@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Chip,
+  CircularProgress,
+  Alert,
+  Tooltip,
+  Breadcrumbs,
+  Link as MuiLink,
+} from '@mui/material';
+import { ArrowBack as ArrowBackIcon } from '@mui/icons-material';
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { storageAPI } from '../../services/api';
+
+const WELL_SIZE = 44;
+
+const BoxGrid = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const highlightId = searchParams.get('highlight');
+
+  const [grid, setGrid] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchGrid = async () => {
+      setLoading(true);
+      try {
+        const response = await storageAPI.getBoxGrid(id);
+        setGrid(response.data);
+        setError('');
+      } catch (err) {
+        console.error('Error fetching box grid', err);
+        setError(err.response?.status === 404 ? 'Box not found' : 'Failed to load box');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchGrid();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  const { box, wells, unplaced, capacity, occupied } = grid;
+  const columnHeaders = Array.from({ length: box.num_columns }, (_, i) => i + 1);
+  const rows = Array.from({ length: box.num_rows }, (_, i) =>
+    wells.slice(i * box.num_columns, (i + 1) * box.num_columns)
+  );
+
+  const renderWell = (well) => {
+    const { specimen } = well;
+    const highlighted = specimen && specimen.id === highlightId;
+
+    const cell = (
+      <Box
+        onClick={specimen ? () => navigate(`/specimens/${specimen.id}`) : undefined}
+        sx={{
+          width: WELL_SIZE,
+          height: WELL_SIZE,
+          borderRadius: '50%',
+          border: '2px solid',
+          borderColor: highlighted ? 'secondary.main' : specimen ? 'primary.main' : 'grey.300',
+          bgcolor: specimen ? (specimen.used_up ? 'grey.400' : 'primary.light') : 'background.paper',
+          color: specimen ? 'primary.contrastText' : 'text.disabled',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          fontSize: '0.65rem',
+          cursor: specimen ? 'pointer' : 'default',
+          boxShadow: highlighted ? 3 : 0,
+        }}
+      >
+        {specimen ? specimen.specimen_number || '•' : well.label}
+      </Box>
+    );
+
+    if (!specimen) return <Box key={well.label} sx={{ p: 0.25 }}>{cell}</Box>;
+
+    return (
+      <Tooltip
+        key={well.label}
+        title={`${well.label}: WUID ${specimen.specimen_number ?? '—'}${specimen.tube_id ? ` · ${specimen.tube_id}` : ''}`}
+      >
+        <Box sx={{ p: 0.25 }}>{cell}</Box>
+      </Tooltip>
+    );
+  };
+
+  return (
+    <Box>
+      <Button startIcon={<ArrowBackIcon />} component={Link} to="/storage" sx={{ mb: 2 }}>
+        Back to Storage
+      </Button>
+
+      <Breadcrumbs sx={{ mb: 1 }}>
+        <MuiLink component={Link} to="/storage" underline="hover" color="inherit">
+          {box.freezer_name}
+        </MuiLink>
+        {box.shelf_name && <Typography color="text.secondary">Shelf {box.shelf_name}</Typography>}
+        <Typography color="text.secondary">Rack {box.rack_name}</Typography>
+        <Typography color="text.primary">Box {box.name}</Typography>
+      </Breadcrumbs>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Box {box.name}
+        </Typography>
+        <Chip label={`${box.num_rows} x ${box.num_columns}`} />
+        <Chip color="primary" variant="outlined" label={`${occupied} filled`} />
+        <Chip variant="outlined" label={`${capacity - occupied} empty`} />
+      </Box>
+
+      <Paper sx={{ p: 3, overflowX: 'auto' }}>
+        <Box sx={{ display: 'inline-block' }}>
+          <Box sx={{ display: 'flex', pl: 4 }}>
+            {columnHeaders.map(column => (
+              <Box key={column} sx={{ width: WELL_SIZE + 4, textAlign: 'center' }}>
+                <Typography variant="caption" color="text.secondary">{column}</Typography>
+              </Box>
+            ))}
+          </Box>
+          {rows.map((rowWells, index) => (
+            <Box key={index} sx={{ display: 'flex', alignItems: 'center' }}>
+              <Box sx={{ width: 32 }}>
+                <Typography variant="caption" color="text.secondary">
+                  {String.fromCharCode(65 + index)}
+                </Typography>
+              </Box>
+              {rowWells.map(renderWell)}
+            </Box>
+          ))}
+        </Box>
+      </Paper>
+
+      {unplaced.length > 0 && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          {unplaced.length} specimen(s) are assigned to this box without a well:{' '}
+          {unplaced.map((specimen, index) => (
+            <React.Fragment key={specimen.id}>
+              {index > 0 && ', '}
+              <MuiLink component={Link} to={`/specimens/${specimen.id}`}>
+                {specimen.specimen_number || specimen.tube_id}
+              </MuiLink>
+            </React.Fragment>
+          ))}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default BoxGrid;
@@ -0,0 +1,364 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Grid,
+  List,
+  ListItemButton,
+  ListItemText,
+  Chip,
+  CircularProgress,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  LinearProgress,
+  Divider,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  AcUnit as FreezerIcon,
+  GridOn as BoxIcon,
+} from '@mui/icons-material';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { storageAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { canManageStorage } from '../../utils/roleUtils';
+
+const LEVEL_LABELS = {
+  freezers: 'Freezer',
+  shelves: 'Shelf',
+  racks: 'Rack',
+  boxes: 'Box',
+};
+
+const StorageBrowser = () => {
+  const { currentUser } = useAuth();
+  const canManage = canManageStorage(currentUser);
+
+  const [freezers, setFreezers] = useState([]);
+  const [selectedFreezerId, setSelectedFreezerId] = useState(null);
+  const [tree, setTree] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [treeLoading, setTreeLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [dialog, setDialog] = useState(null);
+
+  const fetchFreezers = useCallback(async () => {
+    try {
+      const response = await storageAPI.getFreezers();
+      setFreezers(response.data);
+      setSelectedFreezerId(current => current || response.data[0]?.id || null);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching freezers', err);
+      setError('Failed to load freezers');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchTree = useCallback(async (freezerId) => {
+    if (!freezerId) {
+      setTree(null);
+      return;
+    }
+    setTreeLoading(true);
+    try {
+      const response = await storageAPI.getFreezerTree(freezerId);
+      setTree(response.data);
+    } catch (err) {
+      console.error('Error fetching freezer contents', err);
+      toast.error('Failed to load freezer contents');
+    } finally {
+      setTreeLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFreezers();
+  }, [fetchFreezers]);
+
+  useEffect(() => {
+    fetchTree(selectedFreezerId);
+  }, [selectedFreezerId, fetchTree]);
+
+  const openDialog = (level, parent = {}) => {
+    setDialog({ level, parent, values: { name: '', num_rows: 9, num_columns: 9 } });
+  };
+
+  const handleDialogChange = (e) => {
+    const { name, value } = e.target;
+    setDialog(prev => ({ ...prev, values: { ...prev.values, [name]: value } }));
+  };
+
+  const handleCreate = async () => {
+    const { level, parent, values } = dialog;
+    const payload = { name: values.name, ...parent };
+    if (level === 'freezers') {
+      payload.location = values.location;
+      payload.temperature = values.temperature;
+    }
+    if (level === 'boxes') {
+      payload.num_rows = parseInt(values.num_rows, 10);
+      payload.num_columns = parseInt(values.num_columns, 10);
+    }
+
+    try {
+      const response = await storageAPI.create(level, payload);
+      toast.success(`${LEVEL_LABELS[level]} created`);
+      setDialog(null);
+      if (level === 'freezers') {
+        setSelectedFreezerId(response.data.id);
+        fetchFreezers();
+      } else {
+        fetchTree(selectedFreezerId);
+      }
+    } catch (err) {
+      const message = err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg;
+      toast.error(message || `Failed to create ${LEVEL_LABELS[level].toLowerCase()}`);
+    }
+  };
+
+  const renderRack = (rack) => (
+    <Box key={rack.id} sx={{ mb: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="subtitle1">Rack {rack.name}</Typography>
+        {canManage && (
+          <Button size="small" startIcon={<AddIcon />} onClick={() => openDialog('boxes', { rack_id: rack.id })}>
+            Box
+          </Button>
+        )}
+      </Box>
+      {rack.boxes.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">No boxes</Typography>
+      ) : (
+        <Grid container spacing={1}>
+          {rack.boxes.map(box => {
+            const occupied = parseInt(box.occupied, 10);
+            const capacity = parseInt(box.capacity, 10);
+            return (
+              <Grid item xs={12} sm={6} md={4} key={box.id}>
+                <Paper
+                  variant="outlined"
+                  component={Link}
+                  to={`/storage/boxes/${box.id}`}
+                  sx={{ p: 1.5, display: 'block', textDecoration: 'none', color: 'inherit' }}
+                >
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <BoxIcon fontSize="small" color="action" />
+                    <Typography variant="body1">{box.name}</Typography>
+                    <Chip size="small" label={`${box.num_rows} x ${box.num_columns}`} sx={{ ml: 'auto' }} />
+                  </Box>
+                  <LinearProgress
+                    variant="determinate"
+                    value={capacity ? (occupied / capacity) * 100 : 0}
+                    sx={{ mt: 1 }}
+                  />
+                  <Typography variant="caption" color="text.secondary">
+                    {occupied} / {capacity} wells filled
+                  </Typography>
+                </Paper>
+              </Grid>
+            );
+          })}
+        </Grid>
+      )}
+    </Box>
+  );
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Storage
+        </Typography>
+        {canManage && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog('freezers')}>
+            New Freezer
+          </Button>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={3}>
+          <Paper>
+            {freezers.length === 0 ? (
+              <Typography sx={{ p: 2 }} color="text.secondary">No freezers defined yet</Typography>
+            ) : (
+              <List dense>
+                {freezers.map(freezer => (
+                  <ListItemButton
+                    key={freezer.id}
+                    selected={freezer.id === selectedFreezerId}
+                    onClick={() => setSelectedFreezerId(freezer.id)}
+                  >
+                    <FreezerIcon fontSize="small" color="primary" sx={{ mr: 1 }} />
+                    <ListItemText
+                      primary={freezer.name}
+                      secondary={`${freezer.specimen_count} specimens · ${freezer.box_count} boxes`}
+                    />
+                  </ListItemButton>
+                ))}
+              </List>
+            )}
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={9}>
+          <Paper sx={{ p: 3 }}>
+            {treeLoading && <LinearProgress sx={{ mb: 2 }} />}
+            {tree ? (
+              <>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                  <Box>
+                    <Typography variant="h6">{tree.name}</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {[tree.location, tree.temperature].filter(Boolean).join(' · ')}
+                    </Typography>
+                  </Box>
+                  {canManage && (
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                      <Button size="small" startIcon={<AddIcon />} onClick={() => openDialog('shelves', { freezer_id: tree.id })}>
+                        Shelf
+                      </Button>
+                      <Button size="small" startIcon={<AddIcon />} onClick={() => openDialog('racks', { freezer_id: tree.id })}>
+                        Rack
+                      </Button>
+                    </Box>
+                  )}
+                </Box>
+
+                {tree.shelves.map(shelf => (
+                  <Box key={shelf.id} sx={{ mb: 3 }}>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                      <Typography variant="subtitle2" color="text.secondary">Shelf {shelf.name}</Typography>
+                      {canManage && (
+                        <Button
+                          size="small"
+                          startIcon={<AddIcon />}
+                          onClick={() => openDialog('racks', { freezer_id: tree.id, shelf_id: shelf.id })}
+                        >
+                          Rack
+                        </Button>
+                      )}
+                    </Box>
+                    <Divider sx={{ mb: 1 }} />
+                    {shelf.racks.length === 0 ? (
+                      <Typography variant="body2" color="text.secondary">No racks on this shelf</Typography>
+                    ) : (
+                      shelf.racks.map(renderRack)
+                    )}
+                  </Box>
+                ))}
+
+                {tree.unshelved_racks.length > 0 && (
+                  <Box>
+                    {tree.shelves.length > 0 && (
+                      <>
+                        <Typography variant="subtitle2" color="text.secondary">Not on a shelf</Typography>
+                        <Divider sx={{ mb: 1 }} />
+                      </>
+                    )}
+                    {tree.unshelved_racks.map(renderRack)}
+                  </Box>
+                )}
+
+                {tree.shelves.length === 0 && tree.unshelved_racks.length === 0 && (
+                  <Typography color="text.secondary">This freezer is empty</Typography>
+                )}
+              </>
+            ) : (
+              <Typography color="text.secondary">Select a freezer to see its racks and boxes</Typography>
+            )}
+          </Paper>
+        </Grid>
+      </Grid>
+
+      <Dialog open={!!dialog} onClose={() => setDialog(null)} maxWidth="xs" fullWidth>
+        {dialog && (
+          <>
+            <DialogTitle>New {LEVEL_LABELS[dialog.level]}</DialogTitle>
+            <DialogContent>
+              <TextField
+                autoFocus
+                fullWidth
+                margin="dense"
+                label="Name"
+                name="name"
+                value={dialog.values.name}
+                onChange={handleDialogChange}
+              />
+              {dialog.level === 'freezers' && (
+                <>
+                  <TextField
+                    fullWidth
+                    margin="dense"
+                    label="Location"
+                    name="location"
+                    value={dialog.values.location || ''}
+                    onChange={handleDialogChange}
+                  />
+                  <TextField
+                    fullWidth
+                    margin="dense"
+                    label="Temperature"
+                    name="temperature"
+                    placeholder="-80°C"
+                    value={dialog.values.temperature || ''}
+                    onChange={handleDialogChange}
+                  />
+                </>
+              )}
+              {dialog.level === 'boxes' && (
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    margin="dense"
+                    type="number"
+                    label="Rows"
+                    name="num_rows"
+                    inputProps={{ min: 1, max: 26 }}
+                    value={dialog.values.num_rows}
+                    onChange={handleDialogChange}
+                  />
+                  <TextField
+                    margin="dense"
+                    type="number"
+                    label="Columns"
+                    name="num_columns"
+                    inputProps={{ min: 1, max: 48 }}
+                    value={dialog.values.num_columns}
+                    onChange={handleDialogChange}
+                  />
+                </Box>
+              )}
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setDialog(null)}>Cancel</Button>
+              <Button variant="contained" onClick={handleCreate} disabled={!dialog.values.name.trim()}>
+                Create
+              </Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Box>
+  );
+};
+
+export default StorageBrowser;
@@ -1,7 +1,7 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
-import { setAuthToken } from '../services/api';
+import { setAuthToken, refreshAccessToken, onTokenRefreshed } from '../services/api';
 import logger from '../utils/logger';
 
 const AuthContext = createContext();
@@ -16,6 +16,7 @@ export function AuthProvider({ children }) {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [loading, setLoading] = useState(true);
   const [showPasswordChangeDialog, setShowPasswordChangeDialog] = useState(false);
+  const [showTotpSetupDialog, setShowTotpSetupDialog] = useState(false);
   const navigate = useNavigate();
 
   // Set up axios defaults
@@ -23,6 +24,26 @@ export function AuthProvider({ children }) {
     setAuthToken(token);
   }, [token]);
 
+  // Pick up access tokens renewed by the API layer after a 401
+  useEffect(() => onTokenRefreshed(setToken), []);
+
+  // Renew the short-lived access token a minute before it expires
+  useEffect(() => {
+    if (!token || !localStorage.getItem('refreshToken')) return undefined;
+
+    let expiresAt;
+    try {
+      expiresAt = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'))).exp * 1000;
+    } catch (err) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      refreshAccessToken().catch(err => logger.error('Token refresh failed', { error: err.message }));
+    }, Math.max(expiresAt - Date.now() - 60000, 0));
+    return () => clearTimeout(timer);
+  }, [token]);
+
   // Load user from token
   useEffect(() => {
     const loadUser = async () => {
@@ -40,6 +61,7 @@ export function AuthProvider({ children }) {
         if (res.data.force_password_change) {
           setShowPasswordChangeDialog(true);
         }
+        setShowTotpSetupDialog(Boolean(res.data.totp_setup_required));
       } catch (err) {
         logger.error('Failed to load user', { error: err.message });
         if (err.response) {
@@ -49,6 +71,7 @@ export function AuthProvider({ children }) {
           });
         }
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         setToken(null);
       } finally {
         setLoading(false);
@@ -58,21 +81,32 @@ export function AuthProvider({ children }) {
     loadUser();
   }, [token]);
 
-  // Login function
+  // Start the session from a successful login response
+  const startSession = (data) => {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refresh_token);
+    setToken(data.token);
+    setCurrentUser(data.user);
+    setIsAuthenticated(true);
+
+    // Check if user needs to change password
+    if (data.user.force_password_change) {
+      setShowPasswordChangeDialog(true);
+    }
+    setShowTotpSetupDialog(Boolean(data.user.totp_setup_required));
+  };
+
+  // Login function. Resolves to true, or to { totpRequired, totpToken } when the
+  // account has two-factor authentication and a code is needed next (verifyTotp).
   const login = async (username, password) => {
     try {
       const res = await axios.post('/api/auth/login', { username, password });
-      
-      localStorage.setItem('token', res.data.token);
-      setToken(res.data.token);
-      setCurrentUser(res.data.user);
-      setIsAuthenticated(true);
-      
-      // Check if user needs to change password
-      if (res.data.user.force_password_change) {
-        setShowPasswordChangeDialog(true);
+
+      if (res.data.totp_required) {
+        return { totpRequired: true, totpToken: res.data.totp_token };
       }
-      
+
+      startSession(res.data);
       return true;
     } catch (err) {
       logger.error('Login failed', { error: err.message });
@@ -83,11 +117,39 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Second login step: authenticator or recovery code
+  const verifyTotp = async (totpToken, code) => {
+    try {
+      const res = await axios.post('/api/auth/login/totp', { totp_token: totpToken, code });
+      startSession(res.data);
+      return true;
+    } catch (err) {
+      logger.error('Two-factor verification failed', { status: err.response?.status });
+      throw err.response?.data?.msg || err.response?.data?.errors?.[0]?.msg || 'Verification failed';
+    }
+  };
+
+  // Enabling 2FA returns a new token without the setup-only restriction
+  const handleTotpEnabled = (newToken) => {
+    localStorage.setItem('token', newToken);
+    setToken(newToken);
+    setShowTotpSetupDialog(false);
+  };
+
+  // Sign in with a token issued by the single sign-on callback; the user loads from it
+  const loginWithToken = useCallback((newToken, refreshToken) => {
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    setLoading(true);
+    setToken(newToken);
+  }, []);
+
   // Register function
   const register = async (userData) => {
     try {
       const res = await axios.post('/api/auth/register', userData);
       localStorage.setItem('token', res.data.token);
+      localStorage.setItem('refreshToken', res.data.refresh_token);
       setToken(res.data.token);
       return true;
     } catch (err) {
@@ -98,12 +160,16 @@ export function AuthProvider({ children }) {
 
   // Logout function
   const logout = () => {
+    // End the session on the server too; signing out locally doesn't wait for it
+    axios.post('/api/auth/logout').catch(() => {});
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     setToken(null);
     setAuthToken(null); // Clear axios headers
     setCurrentUser(null);
     setIsAuthenticated(false);
     setShowPasswordChangeDialog(false);
+    setShowTotpSetupDialog(false);
     navigate('/login');
   };
 
@@ -130,7 +196,12 @@ export function AuthProvider({ children }) {
     loading,
     showPasswordChangeDialog,
     handlePasswordChanged,
+    showTotpSetupDialog,
+    handleTotpEnabled,
+    refreshUser: loadUserData,
     login,
+    loginWithToken,
+    verifyTotp,
     register,
     logout
   };
@@ -18,13 +18,69 @@ const setAuthToken = (token) => {
   }
 };
 
+// Access tokens are short-lived; the refresh token gets a new pair. One refresh runs at a
+// time and every request that hit a 401 meanwhile waits for it.
+let refreshPromise = null;
+const refreshListeners = new Set();
+
+const onTokenRefreshed = (listener) => {
+  refreshListeners.add(listener);
+  return () => refreshListeners.delete(listener);
+};
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios.post('/api/auth/refresh', { refresh_token: refreshToken })
+      .then(res => {
+        localStorage.setItem('token', res.data.token);
+        localStorage.setItem('refreshToken', res.data.refresh_token);
+        return res.data.token;
+      })
+      .catch(err => {
+        // Another tab may have refreshed with the same token first
+        if (localStorage.getItem('refreshToken') !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw err;
+      })
+      .then(token => {
+        setAuthToken(token);
+        refreshListeners.forEach(listener => listener(token));
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const NO_REFRESH_URLS = ['/api/auth/login', '/api/auth/refresh', '/api/auth/logout'];
+
 // Response interceptor to handle authentication errors
 axios.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid - clear stored token and redirect
+  async (error) => {
+    const config = error.config || {};
+    const canRefresh = error.response?.status === 401 && !config._retried &&
+      localStorage.getItem('refreshToken') && !NO_REFRESH_URLS.some(url => config.url?.startsWith(url));
+
+    if (canRefresh) {
+      try {
+        const token = await refreshAccessToken();
+        config._retried = true;
+        config.headers['x-auth-token'] = token;
+        return axios(config);
+      } catch (refreshError) {
+        // Fall through to sign out
+      }
+    }
+
+    if (error.response?.status === 401 && !NO_REFRESH_URLS.some(url => config.url?.startsWith(url))) {
+      // Session ended - clear stored tokens and redirect
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       delete axios.defaults.headers.common['x-auth-token'];
       
       // Redirect to login if not already there
@@ -57,6 +113,11 @@ const projectAPI = {
   delete: (id) => axios.delete(`/api/projects/${id}`),
   getSpecimens: (id) => axios.get(`/api/projects/${id}/specimens`),
   bulkImport: (data) => axios.post('/api/projects/bulk-import', data),
+  getMembers: (id) => axios.get(`/api/projects/${id}/members`),
+  getMemberCandidates: (id) => axios.get(`/api/projects/${id}/members/candidates`),
+  addMember: (id, data) => axios.post(`/api/projects/${id}/members`, data),
+  updateMember: (id, userId, data) => axios.put(`/api/projects/${id}/members/${userId}`, data),
+  removeMember: (id, userId) => axios.delete(`/api/projects/${id}/members/${userId}`),
 };
 
 // Patients API
@@ -68,6 +129,14 @@ const patientAPI = {
   update: (id, patientData) => axios.put(`/api/patients/${id}`, patientData),
   delete: (id) => axios.delete(`/api/patients/${id}`),
   getSpecimens: (id) => axios.get(`/api/patients/${id}/specimens`),
+  getVisits: (id) => axios.get(`/api/patients/${id}/visits`),
+  addVisit: (id, data) => axios.post(`/api/patients/${id}/visits`, data),
+  updateVisit: (id, visitId, data) => axios.put(`/api/patients/${id}/visits/${visitId}`, data),
+  deleteVisit: (id, visitId) => axios.delete(`/api/patients/${id}/visits/${visitId}`),
+  getConsents: (id) => axios.get(`/api/patients/${id}/consents`),
+  addConsent: (id, data) => axios.post(`/api/patients/${id}/consents`, data),
+  updateConsent: (id, consentId, data) => axios.put(`/api/patients/${id}/consents/${consentId}`, data),
+  withdrawConsent: (id, consentId, data) => axios.post(`/api/patients/${id}/consents/${consentId}/withdraw`, data),
   bulkImport: (data) => axios.post('/api/patients/bulk-import', data),
 };
 
@@ -92,6 +161,17 @@ const specimenAPI = {
   update: (id, specimenData) => axios.put(`/api/specimens/${id}`, specimenData),
   delete: (id) => axios.delete(`/api/specimens/${id}`),
   bulkImport: (data) => axios.post('/api/specimens/bulk-import', data),
+  // Lineage operations
+  createAliquots: (id, data) => axios.post(`/api/specimens/${id}/aliquot`, data),
+  getLineage: (id) => axios.get(`/api/specimens/${id}/lineage`),
+  // Quantity ledger
+  getTransactions: (id) => axios.get(`/api/specimens/${id}/transactions`),
+  recordTransaction: (id, data) => axios.post(`/api/specimens/${id}/transactions`, data),
+  // Chain of custody
+  getCustody: (id) => axios.get(`/api/specimens/${id}/custody`),
+  checkout: (id, data) => axios.post(`/api/specimens/${id}/checkout`, data),
+  returnToStorage: (id, data) => axios.post(`/api/specimens/${id}/return`, data),
+  recordThaw: (id, data) => axios.post(`/api/specimens/${id}/thaw`, data),
   // Metadata operations
   getMetadataFields: (projectId) => axios.get(`/api/specimens/metadata-fields/${projectId}`),
   getMetadataSummary: (projectId) => axios.get(`/api/specimens/metadata-summary/${projectId}`),
@@ -102,12 +182,49 @@ const specimenAPI = {
   bulkUpdateMetadata: (data) => axios.post('/api/specimens/bulk-metadata-update', data),
 };
 
+// Specimen receiving API
+const receivingAPI = {
+  getAll: (params = '') => axios.get(`/api/specimens/import/receiving${params}`),
+  getById: (id) => axios.get(`/api/specimens/import/receiving/${id}`),
+  create: (formData) => axios.post('/api/specimens/import/receiving', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data'
+    }
+  }),
+  checkIn: (id, data) => axios.post(`/api/specimens/import/receiving/${id}/check-in`, data),
+  updateItem: (id, itemId, data) => axios.put(`/api/specimens/import/receiving/${id}/items/${itemId}`, data),
+  commit: (id) => axios.post(`/api/specimens/import/receiving/${id}/commit`),
+  cancel: (id) => axios.post(`/api/specimens/import/receiving/${id}/cancel`),
+};
+
+// Storage API
+const storageAPI = {
+  getFreezers: () => axios.get('/api/storage/freezers'),
+  getFreezerTree: (id) => axios.get(`/api/storage/freezers/${id}/tree`),
+  getBoxGrid: (id) => axios.get(`/api/storage/boxes/${id}/grid`),
+  validatePosition: (position) => axios.post('/api/storage/validate-position', position),
+  create: (level, data) => axios.post(`/api/storage/${level}`, data),
+  update: (level, id, data) => axios.put(`/api/storage/${level}/${id}`, data),
+  delete: (level, id) => axios.delete(`/api/storage/${level}/${id}`),
+};
+
+// Shipments API
+const shipmentAPI = {
+  getAll: (params = '') => axios.get(`/api/shipments${params}`),
+  getById: (id) => axios.get(`/api/shipments/${id}`),
+  create: (shipmentData) => axios.post('/api/shipments', shipmentData),
+  update: (id, shipmentData) => axios.put(`/api/shipments/${id}`, shipmentData),
+  ship: (id, data) => axios.post(`/api/shipments/${id}/ship`, data),
+  cancel: (id) => axios.post(`/api/shipments/${id}/cancel`),
+  downloadManifest: (id) => axios.get(`/api/shipments/${id}/manifest`, { responseType: 'blob' }),
+};
+
 // Labels API
 const labelAPI = {
-  generateLabels: (specimen_ids) => axios.post('/api/labels/generate', { specimen_ids }),
-  generateProjectLabels: (project_id) => axios.post(`/api/labels/project/${project_id}`),
+  generateLabels: (specimen_ids, options = {}) => axios.post('/api/labels/generate', { specimen_ids, ...options }),
+  generateProjectLabels: (project_id, options = {}) => axios.post(`/api/labels/project/${project_id}`, options),
   downloadLabel: (filename) => axios.get(`/api/labels/download/${filename}`),
-  generatePDF: (specimen_ids) => axios.post('/api/labels/generate-pdf', { specimen_ids }),
+  generatePDF: (specimen_ids, options = {}) => axios.post('/api/labels/generate-pdf', { specimen_ids, ...options }),
   downloadPDF: (filename) => axios.get(`/api/labels/download-pdf/${filename}`, { responseType: 'blob' }),
 };
 
@@ -116,13 +233,52 @@ const authAPI = {
   login: (credentials) => axios.post('/api/auth/login', credentials),
   register: (userData) => axios.post('/api/auth/register', userData),
   getUser: () => axios.get('/api/auth/user'),
+  getSsoConfig: () => axios.get('/api/auth/oidc/config'),
+  startSso: () => axios.get('/api/auth/oidc/login'),
 };
 
 // Audit API
 const auditAPI = {
-  getRecent: () => axios.get('/api/audit'),
+  getEntries: (params = {}) => axios.get('/api/audit', { params }),
+  getFilterOptions: () => axios.get('/api/audit/options'),
+  exportCSV: (params = {}) => axios.get('/api/audit/export', { params, responseType: 'blob' }),
+  verify: () => axios.get('/api/audit/verify'),
   getByUser: (userId) => axios.get(`/api/audit/user/${userId}`),
   getByRecord: (table, recordId) => axios.get(`/api/audit/${table}/${recordId}`),
+  getRecordAsOf: (table, recordId, at) => axios.get(`/api/audit/${table}/${recordId}/as-of`, { params: { at } }),
+};
+
+// Permissions API
+const permissionAPI = {
+  getMatrix: () => axios.get('/api/permissions'),
+  updateMatrix: (permissions) => axios.put('/api/permissions', { permissions }),
+};
+
+// API tokens API
+const tokenAPI = {
+  getMine: () => axios.get('/api/tokens'),
+  create: (tokenData) => axios.post('/api/tokens', tokenData),
+  revoke: (id) => axios.delete(`/api/tokens/${id}`),
+  getServiceAccounts: () => axios.get('/api/tokens/service-accounts'),
+  createServiceAccount: (accountData) => axios.post('/api/tokens/service-accounts', accountData),
+  updateServiceAccount: (id, accountData) => axios.put(`/api/tokens/service-accounts/${id}`, accountData),
+  createServiceAccountToken: (id, tokenData) => axios.post(`/api/tokens/service-accounts/${id}/tokens`, tokenData),
+};
+
+// Two-factor authentication API
+const twoFactorAPI = {
+  getStatus: () => axios.get('/api/auth/totp'),
+  setup: () => axios.post('/api/auth/totp/setup'),
+  enable: (code) => axios.post('/api/auth/totp/enable', { code }),
+  regenerateRecoveryCodes: (code) => axios.post('/api/auth/totp/recovery-codes', { code }),
+  disable: (code) => axios.post('/api/auth/totp/disable', { code }),
+};
+
+// Login sessions of the current user
+const sessionAPI = {
+  getAll: () => axios.get('/api/auth/sessions'),
+  revoke: (id) => axios.delete(`/api/auth/sessions/${id}`),
+  revokeOthers: () => axios.delete('/api/auth/sessions'),
 };
 
 // Export API
@@ -164,11 +320,19 @@ const exportAPI = {
     if (filters.selectedColumns) params.append('selectedColumns', filters.selectedColumns);
     if (filters.selectedSpecimens) params.append('selectedSpecimens', filters.selectedSpecimens);
     if (filters.bulkIdText) params.append('bulkIdText', filters.bulkIdText);
+    if (filters.deidentify) {
+      params.append('deidentify', 'true');
+      params.append('recipient', filters.recipient);
+      if (filters.purpose) params.append('purpose', filters.purpose);
+    }
     
     return axios.get(`/api/export/specimens/excel?${params.toString()}`, {
       responseType: 'blob'
     });
   },
+  getDeidentifiedRecipients: () => axios.get('/api/export/deidentified/recipients'),
+  getDeidentifiedReleases: (recipientId) =>
+    axios.get('/api/export/deidentified/releases', { params: recipientId ? { recipientId } : {} }),
 };
 
 // Metadata API
@@ -242,8 +406,15 @@ const protocolAPI = {
   delete: (id) => axios.delete(`/api/protocols/${id}`),
   search: (term) => axios.get(`/api/protocols/search?term=${term}`),
   getUsageStats: () => axios.get('/api/protocols/usage-stats'),
-  duplicate: (id, data) => axios.post(`/api/protocols/${id}/duplicate`, data),
-  calculateReagents: (id, sampleCount) => axios.post(`/api/protocols/${id}/calculate-reagents`, { sample_count: sampleCount })
+  branch: (id, data) => axios.post(`/api/protocols/${id}/duplicate`, data),
+  getVersions: (id) => axios.get(`/api/protocols/${id}/versions`),
+  getVersion: (id, version) => axios.get(`/api/protocols/${id}/versions/${version}`),
+  diffVersions: (id, from, to) => axios.get(`/api/protocols/${id}/versions/diff`, { params: { from, to } }),
+  calculateReagents: (id, sampleCount) => axios.post(`/api/protocols/${id}/calculate-reagents`, { sample_count: sampleCount }),
+  getReagentReconciliation: (id, params = {}) => axios.get(`/api/protocols/${id}/reagent-reconciliation`, { params }),
+  getSignatures: (id) => axios.get(`/api/protocols/${id}/signatures`),
+  sign: (id, signatureData) => axios.post(`/api/protocols/${id}/signatures`, signatureData),
+  startRevision: (id, reason) => axios.post(`/api/protocols/${id}/revisions`, { reason })
 };
 
 // Experiments API
@@ -253,22 +424,64 @@ const experimentsAPI = {
   create: (experimentData) => axios.post('/api/experiments', experimentData),
   update: (id, experimentData) => axios.put(`/api/experiments/${id}`, experimentData),
   delete: (id) => axios.delete(`/api/experiments/${id}`),
-  search: (term) => axios.get(`/api/experiments/search?term=${term}`)
+  search: (term) => axios.get(`/api/experiments/search?term=${term}`),
+  getSignatures: (id) => axios.get(`/api/experiments/${id}/signatures`),
+  sign: (id, signatureData) => axios.post(`/api/experiments/${id}/signatures`, signatureData),
+  startRevision: (id, reason) => axios.post(`/api/experiments/${id}/revisions`, { reason }),
+  transition: (id, status, reason, actualReagentsUsed = null) => axios.post(`/api/experiments/${id}/transition`, {
+    status,
+    reason,
+    actual_reagents_used: actualReagentsUsed
+  }),
+  getReagentReconciliation: (id) => axios.get(`/api/experiments/${id}/reagent-reconciliation`),
+  getCalendar: (params) => axios.get('/api/experiments/calendar', { params }),
+  getExecution: (id) => axios.get(`/api/experiments/${id}/execution`),
+  startExecution: (id) => axios.post(`/api/experiments/${id}/execution`),
+  updateExecutionStep: (id, stepNumber, stepData) => axios.put(`/api/experiments/${id}/execution/steps/${stepNumber}`, stepData),
+  completeExecution: (id) => axios.post(`/api/experiments/${id}/execution/complete`),
+  getPlates: (id) => axios.get(`/api/experiments/${id}/plates`),
+  createPlate: (id, plateData) => axios.post(`/api/experiments/${id}/plates`, plateData),
+  updatePlate: (id, plateId, plateData) => axios.put(`/api/experiments/${id}/plates/${plateId}`, plateData),
+  deletePlate: (id, plateId) => axios.delete(`/api/experiments/${id}/plates/${plateId}`),
+  exportPlateMap: (id, plateId, layout = 'list') => axios.get(`/api/experiments/${id}/plates/${plateId}/export`, {
+    params: { layout },
+    responseType: 'blob'
+  })
+};
+
+// Experiment templates API
+const experimentTemplatesAPI = {
+  getAll: () => axios.get('/api/experiment-templates'),
+  getById: (id) => axios.get(`/api/experiment-templates/${id}`),
+  create: (templateData) => axios.post('/api/experiment-templates', templateData),
+  update: (id, templateData) => axios.put(`/api/experiment-templates/${id}`, templateData),
+  delete: (id) => axios.delete(`/api/experiment-templates/${id}`),
+  schedule: (id, from, to) => axios.post(`/api/experiment-templates/${id}/schedule`, { from, to })
 };
 
 export {
   setAuthToken,
+  refreshAccessToken,
+  onTokenRefreshed,
   collaboratorAPI,
   projectAPI,
   patientAPI,
   specimenAPI,
+  receivingAPI,
+  storageAPI,
+  shipmentAPI,
   labelAPI,
   authAPI,
   auditAPI,
+  permissionAPI,
+  tokenAPI,
+  twoFactorAPI,
+  sessionAPI,
   exportAPI,
   metadataAPI,
   inventoryAPI,
   protocolAPI,
   experimentsAPI,
+  experimentTemplatesAPI,
   idsAPI,
 };
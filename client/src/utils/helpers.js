@@ -14,6 +14,22 @@ export const formatDate = (dateString) => {
   }).format(date);
 };
 
+/**
+ * Describe a scheduling conflict returned with an experiment
+ * @param {Object} conflict - { type: 'user' | 'instrument' | 'specimen', experiment_number, specimen_ids }
+ * @returns {string} e.g. "Same person as experiment #12"
+ */
+export const describeConflict = (conflict) => {
+  switch (conflict.type) {
+    case 'user':
+      return `Same person as experiment #${conflict.experiment_number}`;
+    case 'instrument':
+      return `Same instrument as experiment #${conflict.experiment_number}`;
+    default:
+      return `${conflict.specimen_ids?.length || 1} specimen(s) also in experiment #${conflict.experiment_number}`;
+  }
+};
+
 /**
  * Generate location string for a specimen
  * @param {Object} specimen - Specimen object
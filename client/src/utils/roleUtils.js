@@ -1,22 +1,24 @@
 /**
- * Role utility functions for frontend permission checks
+ * Role utility functions for frontend permission checks. The permissions held by the
+ * user's role come from the server's permission registry with the user record.
  */
 
 /**
- * Check if user can edit lab data (specimens, protocols, inventory, etc.)
+ * Check if the user's role holds a permission, e.g. 'specimen:delete'
  */
-export const canEditLabData = (user) => {
-  if (!user?.role) return false;
-  return ['admin', 'lab_manager', 'lab_technician'].includes(user.role);
+export const hasPermission = (user, permission) => {
+  return Boolean(user?.permissions?.includes(permission));
 };
 
+/**
+ * Check if user can edit lab data (specimens, protocols, inventory, etc.)
+ */
+export const canEditLabData = (user) => hasPermission(user, 'specimen:edit');
+
 /**
  * Check if user can manage users and system settings
  */
-export const canManageUsers = (user) => {
-  if (!user?.role) return false;
-  return ['admin', 'lab_manager'].includes(user.role);
-};
+export const canManageUsers = (user) => hasPermission(user, 'user:manage');
 
 /**
  * Check if user has admin privileges
@@ -28,15 +30,46 @@ export const isAdmin = (user) => {
 /**
  * Check if user can view audit logs
  */
-export const canViewAudit = (user) => {
-  if (!user?.role) return false;
-  return ['admin', 'lab_manager'].includes(user.role);
-};
+export const canViewAudit = (user) => hasPermission(user, 'audit:view');
 
 /**
  * Check if user can perform data imports
  */
-export const canImportData = (user) => {
-  if (!user?.role) return false;
-  return ['admin', 'lab_manager', 'lab_technician'].includes(user.role);
-};
\ No newline at end of file
+export const canImportData = (user) => hasPermission(user, 'import:run');
+
+/**
+ * Check if user can create, rename or remove freezers, racks and boxes
+ */
+export const canManageStorage = (user) => hasPermission(user, 'storage:manage');
+
+/**
+ * Check if user can record, correct or withdraw patient consents
+ */
+export const canManageConsents = (user) => hasPermission(user, 'consent:manage');
+
+/**
+ * Check if user can use specimens despite missing consent
+ */
+export const canOverrideConsent = (user) => hasPermission(user, 'consent:override');
+
+/**
+ * Check if user can see patient identifiers in cleartext
+ */
+export const canViewPhi = (user) => hasPermission(user, 'phi:view');
+
+/**
+ * Check if user sees every project without being a member
+ */
+export const hasGlobalProjectAccess = (user) => hasPermission(user, 'project:view_all');
+
+/**
+ * Check if user can import and delete sequencing runs, which link specimens across projects
+ */
+export const canImportSequencing = (user) => {
+  return hasGlobalProjectAccess(user) && hasPermission(user, 'sequencing:import');
+};
+
+/**
+ * Check if user can change which roles hold each permission
+ */
+export const canManagePermissions = (user) => hasPermission(user, 'permission:manage');
@@ -0,0 +1,24 @@
+/**
+ * Shared labels for shipment screens
+ */
+
+export const TEMPERATURE_CONDITIONS = [
+  { value: 'ambient', label: 'Ambient' },
+  { value: 'refrigerated', label: 'Refrigerated (2-8 °C)' },
+  { value: 'dry_ice', label: 'Frozen on dry ice' },
+  { value: 'liquid_nitrogen', label: 'Liquid nitrogen dry shipper' },
+];
+
+export const SHIPMENT_STATUS_COLORS = {
+  preparing: 'default',
+  shipped: 'info',
+  received: 'success',
+  cancelled: 'error',
+};
+
+/**
+ * @param {string} value - temperature_condition stored on the shipment
+ * @returns {string} Display label, or an em dash when unset
+ */
+export const getTemperatureLabel = (value) =>
+  TEMPERATURE_CONDITIONS.find(option => option.value === value)?.label || '—';
@@ -37,6 +37,71 @@ module.exports = {
     EXPIRES_IN: '24h' // 24 hours for development
   },
 
+  // Specimen handling (thaw_limit in system_options overrides the default)
+  SPECIMEN: {
+    DEFAULT_THAW_LIMIT: 3
+  },
+
+  // Consent scopes each kind of specimen use needs from the patient's current consent.
+  // A withdrawn consent blocks every use; patients with no consent on file are not gated.
+  CONSENT: {
+    SCOPES: ['future_research', 'genetic_testing', 'data_sharing'],
+    USE_REQUIREMENTS: {
+      experiment: ['future_research', 'genetic_testing'],
+      label: [],
+      export: ['data_sharing']
+    }
+  },
+
+  // Per-project membership roles, lowest to highest. Users with the project:view_all
+  // permission see every project without being a member.
+  PROJECT_ACCESS: {
+    ROLES: ['viewer', 'editor', 'owner']
+  },
+
+  // Personal access tokens and service account tokens for scripted API access
+  API_TOKENS: {
+    PREFIX: 'lims_',
+    DEFAULT_LIFETIME_DAYS: 90,
+    MAX_LIFETIME_DAYS: 365
+  },
+
+  // Failed password attempts (at login or when signing records) before the account is locked
+  LOGIN: {
+    MAX_FAILED_ATTEMPTS: 5,
+    LOCKOUT_DURATION_MINUTES: 15
+  },
+
+  // Electronic signatures on protocols and experiments. Each meaning other than 'authored'
+  // needs its permission; authors sign with the right to edit the record.
+  ESIGNATURES: {
+    MEANINGS: ['authored', 'reviewed', 'approved'],
+    MEANING_PERMISSIONS: { reviewed: 'esign:review', approved: 'esign:approve' }
+  },
+
+  // Login sessions: short-lived access tokens, renewed with a rotating refresh token
+  SESSIONS: {
+    ACCESS_TOKEN_LIFETIME: '15m',
+    REFRESH_TOKEN_LIFETIME_DAYS: 30
+  },
+
+  // Two-factor authentication (authenticator app codes)
+  TOTP: {
+    ISSUER: 'LabLIMS',
+    STEP_SECONDS: 30,
+    DIGITS: 6,
+    DRIFT_STEPS: 1, // accept the previous and next code for clock skew
+    RECOVERY_CODE_COUNT: 10,
+    LOGIN_CHALLENGE_MINUTES: 5, // time to enter the code after the password
+    DEFAULT_REQUIRED_ROLES: ['admin', 'lab_manager']
+  },
+
+  // Audit entries are written unsealed and chained afterwards by a periodic sealing run
+  AUDIT: {
+    SEAL_INTERVAL_SECONDS: 10,
+    SEAL_BATCH_SIZE: 1000
+  },
+
   // Export/Import Configuration
   EXPORT: {
     MAX_RECORDS: 10000,
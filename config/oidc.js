@@ -0,0 +1,53 @@
+// OpenID Connect single sign-on settings, read from the environment (see .env.example).
+// SSO is enabled once an issuer, client ID and redirect URI are set.
+
+const { ROLES } = require('./permissions');
+
+const parseRoleMapping = (value) => {
+  if (!value) return {};
+  let mapping;
+  try {
+    mapping = JSON.parse(value);
+  } catch (err) {
+    throw new Error('OIDC_ROLE_MAPPING must be a JSON object of group name to role');
+  }
+  Object.entries(mapping).forEach(([group, role]) => {
+    if (!ROLES.includes(role)) {
+      throw new Error(`OIDC_ROLE_MAPPING maps "${group}" to unknown role "${role}"`);
+    }
+  });
+  return mapping;
+};
+
+/**
+ * Current SSO configuration. Read on each call so tests and restarts pick up changes.
+ * @returns {Object} settings, with enabled false when SSO isn't configured
+ */
+const getOidcConfig = () => {
+  const env = process.env;
+  const defaultRole = env.OIDC_DEFAULT_ROLE || null;
+  if (defaultRole && !ROLES.includes(defaultRole)) {
+    throw new Error(`OIDC_DEFAULT_ROLE "${defaultRole}" is not a role`);
+  }
+
+  return {
+    enabled: Boolean(env.OIDC_ISSUER && env.OIDC_CLIENT_ID && env.OIDC_REDIRECT_URI),
+    issuer: (env.OIDC_ISSUER || '').replace(/\/$/, ''),
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET || null,
+    redirectUri: env.OIDC_REDIRECT_URI,
+    scopes: env.OIDC_SCOPES || 'openid profile email',
+    groupsClaim: env.OIDC_GROUPS_CLAIM || 'groups',
+    roleMapping: parseRoleMapping(env.OIDC_ROLE_MAPPING),
+    defaultRole,
+    disableLocalPasswords: env.OIDC_DISABLE_LOCAL_PASSWORDS === 'true',
+    label: env.OIDC_LABEL || 'Single Sign-On',
+    clientUrl: (env.CLIENT_URL || '').replace(/\/$/, '')
+  };
+};
+
+module.exports = {
+  getOidcConfig,
+  // Logins must come back from the identity provider within this time
+  LOGIN_STATE_TTL_MINUTES: 10
+};
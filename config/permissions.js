@@ -0,0 +1,97 @@
+// Permission registry: every action that is limited by user role, with the roles that
+// hold it on a fresh install. Admins can change the mapping at runtime (role_permissions
+// table); these defaults seed it and apply until it has been loaded.
+
+const ADMIN = ['admin'];
+const MANAGERS = ['admin', 'lab_manager'];
+const LAB_STAFF = ['admin', 'lab_manager', 'lab_technician'];
+
+// Keep in sync with the users.role CHECK constraint
+const ROLES = ['admin', 'lab_manager', 'lab_technician', 'bioinformatician', 'researcher'];
+
+const PERMISSIONS = [
+  { key: 'specimen:edit', group: 'Specimens', roles: LAB_STAFF,
+    description: 'Create and edit specimens, aliquot them and record checkouts, returns and thaws' },
+  { key: 'specimen:delete', group: 'Specimens', roles: LAB_STAFF,
+    description: 'Delete specimens' },
+  { key: 'specimen:receive', group: 'Specimens', roles: LAB_STAFF,
+    description: 'Receive incoming specimen manifests and check them in' },
+  { key: 'patient:edit', group: 'Patients', roles: LAB_STAFF,
+    description: 'Register and edit patients and their visits' },
+  { key: 'patient:delete', group: 'Patients', roles: ADMIN,
+    description: 'Delete patients' },
+  { key: 'visit:delete', group: 'Patients', roles: MANAGERS,
+    description: 'Delete patient visits' },
+  { key: 'consent:manage', group: 'Patients', roles: MANAGERS,
+    description: 'Record, correct and withdraw patient consents' },
+  { key: 'consent:override', group: 'Patients', roles: ADMIN,
+    description: 'Use specimens despite missing consent, with a recorded reason' },
+  { key: 'phi:view', group: 'Patients', roles: MANAGERS,
+    description: 'See patient names and dates of birth in cleartext' },
+  { key: 'project:edit', group: 'Projects', roles: LAB_STAFF,
+    description: 'Create and edit projects' },
+  { key: 'project:delete', group: 'Projects', roles: ADMIN,
+    description: 'Delete projects' },
+  { key: 'project:view_all', group: 'Projects', roles: MANAGERS,
+    description: 'See and change every project without being a member' },
+  { key: 'collaborator:edit', group: 'Projects', roles: LAB_STAFF,
+    description: 'Create and edit collaborators' },
+  { key: 'collaborator:delete', group: 'Projects', roles: ADMIN,
+    description: 'Delete collaborators' },
+  { key: 'protocol:edit', group: 'Protocols & Experiments', roles: LAB_STAFF,
+    description: 'Create, edit, duplicate and extract protocols' },
+  { key: 'protocol:delete', group: 'Protocols & Experiments', roles: ADMIN,
+    description: 'Delete protocols, and protocol documents uploaded by others' },
+  { key: 'experiment:edit_any', group: 'Protocols & Experiments', roles: MANAGERS,
+    description: 'Edit experiments and cancel reservations of experiments created by others' },
+  { key: 'experiment:delete_any', group: 'Protocols & Experiments', roles: ADMIN,
+    description: 'Delete experiments created by others' },
+  { key: 'experiment:schedule', group: 'Protocols & Experiments', roles: MANAGERS,
+    description: 'Manage experiment templates and their schedules, and plan experiments for other users' },
+  { key: 'esign:review', group: 'Protocols & Experiments', roles: LAB_STAFF,
+    description: 'Sign protocols and experiments as reviewed' },
+  { key: 'esign:approve', group: 'Protocols & Experiments', roles: MANAGERS,
+    description: 'Sign protocols and experiments as approved' },
+  { key: 'inventory:edit', group: 'Inventory & Storage', roles: LAB_STAFF,
+    description: 'Add and edit inventory items and record transactions' },
+  { key: 'inventory:adjust', group: 'Inventory & Storage', roles: LAB_STAFF,
+    description: 'Set inventory quantities directly' },
+  { key: 'inventory:delete', group: 'Inventory & Storage', roles: ADMIN,
+    description: 'Delete inventory items' },
+  { key: 'storage:manage', group: 'Inventory & Storage', roles: MANAGERS,
+    description: 'Create, rename and remove freezers, racks and boxes' },
+  { key: 'shipment:edit', group: 'Inventory & Storage', roles: LAB_STAFF,
+    description: 'Create, ship and cancel outgoing shipments' },
+  { key: 'import:run', group: 'Import & Export', roles: LAB_STAFF,
+    description: 'Import specimens, inventory and metadata from files' },
+  { key: 'import:legacy', group: 'Import & Export', roles: ADMIN,
+    description: 'Bulk-import legacy data and run migration imports' },
+  { key: 'export:data', group: 'Import & Export', roles: LAB_STAFF,
+    description: 'Export specimens, inventory, projects and collaborators' },
+  { key: 'export:phi', group: 'Import & Export', roles: MANAGERS,
+    description: 'Create de-identified releases and review past releases' },
+  { key: 'sequencing:import', group: 'Import & Export', roles: MANAGERS,
+    description: 'Import and delete sequencing runs' },
+  { key: 'audit:view', group: 'Administration', roles: MANAGERS,
+    description: 'View the audit log' },
+  { key: 'user:view', group: 'Administration', roles: MANAGERS,
+    description: 'View user accounts' },
+  { key: 'user:manage', group: 'Administration', roles: MANAGERS,
+    description: 'Create and edit user accounts and reset passwords' },
+  { key: 'user:delete', group: 'Administration', roles: ADMIN,
+    description: 'Deactivate user accounts' },
+  { key: 'system:configure', group: 'Administration', roles: ADMIN,
+    description: 'Edit system dropdown options' },
+  { key: 'permission:manage', group: 'Administration', roles: ADMIN,
+    description: 'Change which roles hold each permission' },
+  { key: 'token:create', group: 'Administration', roles: ROLES,
+    description: 'Create personal API tokens for scripts' },
+  { key: 'service_account:manage', group: 'Administration', roles: ADMIN,
+    description: 'Create service accounts and issue or revoke their API tokens' }
+];
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  PERMISSION_KEYS: PERMISSIONS.map(permission => permission.key)
+};
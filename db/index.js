@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const { DATABASE } = require('../config/constants');
+const { currentUserId } = require('../utils/requestContext');
 require('dotenv').config();
 
 const pool = new Pool({
@@ -7,12 +8,49 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+// The audit triggers record the user in this setting as the one making the change.
+const setActingUser = (client, userId) =>
+  client.query("SELECT set_config('app.current_user_id', $1, false)", [userId]);
+
+const clearActingUser = (client) =>
+  client.query('RESET app.current_user_id').catch(() => {});
+
+// Statements that can fire a trigger; anything else runs without the setting. A false match
+// (SELECT ... FOR UPDATE) only costs the extra round-trips.
+const WRITE_STATEMENT = /\b(INSERT|UPDATE|DELETE|MERGE|CALL)\b/i;
+
+const isWrite = (text) => WRITE_STATEMENT.test(typeof text === 'string' ? text : text?.text || '');
+
 module.exports = {
-  query: (text, params) => pool.query(text, params),
+  query: async (text, params) => {
+    const userId = currentUserId();
+    if (!userId || !isWrite(text)) {
+      return pool.query(text, params);
+    }
+
+    const client = await pool.connect();
+    try {
+      await setActingUser(client, userId);
+      return await client.query(text, params);
+    } finally {
+      clearActingUser(client);
+      client.release();
+    }
+  },
   getClient: async () => {
     const client = await pool.connect();
     const query = client.query;
     const release = client.release;
+    const userId = currentUserId();
+
+    if (userId) {
+      try {
+        await setActingUser(client, userId);
+      } catch (err) {
+        client.release();
+        throw err;
+      }
+    }
     
     // Set a timeout of 30 seconds, after which we will log this client's last query (only in development)
     const timeout = setTimeout(() => {
@@ -33,6 +71,10 @@ module.exports = {
       clearTimeout(timeout);
       // Set the methods back to their old implementation
       client.query = query;
+      if (userId) {
+        // Queued ahead of whatever the next borrower runs
+        clearActingUser(client);
+      }
       client.release = release;
       return release.apply(client);
     };
@@ -0,0 +1,34 @@
+-- Migration: Add API tokens and service accounts
+-- Description: Long-lived, revocable tokens for scripted API access. Tokens belong to a user,
+-- either a person (personal access tokens) or a service account, which is a user that can't
+-- log in with a password. Only a SHA-256 hash of each token is stored. Scopes, when set,
+-- narrow the token to some of its owner's permissions.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_service_account BOOLEAN DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  token_prefix VARCHAR(20) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  scopes TEXT[],
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(45),
+  revoked_at TIMESTAMP,
+  revoked_by UUID REFERENCES users(id),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'token:create'),
+  ('lab_manager', 'token:create'),
+  ('lab_technician', 'token:create'),
+  ('bioinformatician', 'token:create'),
+  ('researcher', 'token:create'),
+  ('admin', 'service_account:manage')
+ON CONFLICT (role, permission) DO NOTHING;
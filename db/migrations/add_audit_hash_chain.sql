@@ -0,0 +1,182 @@
+-- Migration: Trigger-based, hash-chained audit trail
+-- Description: Inserts, updates and deletes on the core tables are written to audit_log by a
+-- trigger, with before/after values and the acting user (app.current_user_id, set by the db
+-- module for each request). Every entry carries the hash of the entry before it, so an edited
+-- or deleted entry breaks the chain; GET /api/audit/verify checks it. Entries are chained
+-- ("sealed") after they commit by seal_audit_log(), which the server runs periodically.
+
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS sequence_number BIGINT;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS previous_hash CHAR(64);
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS entry_hash CHAR(64);
+
+-- Hash of one entry's contents and the hash of the entry before it
+CREATE OR REPLACE FUNCTION audit_entry_hash(
+  entry_id UUID,
+  previous_hash TEXT,
+  entry_sequence BIGINT,
+  user_id UUID,
+  action TEXT,
+  table_name TEXT,
+  record_id UUID,
+  changed_fields JSONB,
+  entry_timestamp TIMESTAMP
+)
+RETURNS TEXT AS $$
+  SELECT encode(sha256(convert_to(concat_ws('|',
+    entry_id::text,
+    COALESCE(previous_hash, ''),
+    entry_sequence::text,
+    COALESCE(user_id::text, ''),
+    action,
+    table_name,
+    record_id::text,
+    COALESCE(changed_fields::text, ''),
+    COALESCE(to_char(entry_timestamp, 'YYYY-MM-DD"T"HH24:MI:SS.US'), '')
+  ), 'UTF8')), 'hex');
+$$ LANGUAGE sql STABLE;
+
+-- Give unsealed entries (sequence_number still NULL) their place in the chain, oldest first,
+-- after the last sealed entry; at most batch_size of them, or all when it is NULL. Row writes
+-- insert their entries unsealed and never wait on the chain: only sealers take the advisory
+-- lock, and one that finds it taken returns 0 and leaves the work to the sealer holding it.
+-- Entries of transactions still in flight are invisible here and get sealed by a later run.
+CREATE OR REPLACE FUNCTION seal_audit_log(batch_size INTEGER DEFAULT 1000)
+RETURNS INTEGER AS $$
+DECLARE
+  entry RECORD;
+  last_sequence BIGINT;
+  last_hash TEXT;
+  sealed INTEGER := 0;
+BEGIN
+  IF NOT pg_try_advisory_xact_lock(hashtext('audit_log_chain')) THEN
+    RETURN 0;
+  END IF;
+
+  SELECT sequence_number, entry_hash INTO last_sequence, last_hash
+  FROM audit_log
+  WHERE sequence_number IS NOT NULL
+  ORDER BY sequence_number DESC
+  LIMIT 1;
+  last_sequence := COALESCE(last_sequence, 0);
+
+  FOR entry IN
+    SELECT * FROM audit_log WHERE sequence_number IS NULL ORDER BY timestamp, id LIMIT batch_size
+  LOOP
+    last_sequence := last_sequence + 1;
+    UPDATE audit_log
+    SET sequence_number = last_sequence,
+        previous_hash = last_hash,
+        entry_hash = audit_entry_hash(entry.id, last_hash, last_sequence, entry.user_id, entry.action,
+          entry.table_name, entry.record_id, entry.changed_fields, entry.timestamp)
+    WHERE id = entry.id
+    RETURNING audit_log.entry_hash INTO last_hash;
+    sealed := sealed + 1;
+  END LOOP;
+
+  RETURN sealed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Entries used to be chained by a BEFORE INSERT trigger holding that lock until commit
+DROP TRIGGER IF EXISTS chain_audit_entry ON audit_log;
+DROP FUNCTION IF EXISTS chain_audit_entry();
+ALTER TABLE audit_log ALTER COLUMN sequence_number DROP NOT NULL;
+ALTER TABLE audit_log ALTER COLUMN entry_hash DROP NOT NULL;
+
+-- Seal the entries written before this migration
+SELECT seal_audit_log(NULL);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_log_sequence ON audit_log(sequence_number);
+CREATE INDEX IF NOT EXISTS idx_audit_log_unsealed ON audit_log(timestamp, id) WHERE sequence_number IS NULL;
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log(table_name, record_id);
+
+-- CREATE / UPDATE / DELETE entry for a row change. Updates record only the columns that
+-- changed; secrets (including de-identification pseudonym keys) are masked and login/usage
+-- bookkeeping is ignored.
+CREATE OR REPLACE FUNCTION audit_row_change()
+RETURNS TRIGGER AS $$
+DECLARE
+  secret_columns TEXT[] := ARRAY['password', 'totp_secret', 'token_hash', 'code_hash', 'refresh_token_hash', 'previous_token_hash', 'pseudonym_key'];
+  ignored_columns TEXT[] := ARRAY['updated_at', 'last_login', 'failed_login_attempts', 'last_used_at', 'last_used_ip', 'totp_last_step'];
+  old_row JSONB;
+  new_row JSONB;
+  before_values JSONB;
+  after_values JSONB;
+  col TEXT;
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    old_row := to_jsonb(OLD);
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    new_row := to_jsonb(NEW);
+  END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    before_values := '{}'::jsonb;
+    after_values := '{}'::jsonb;
+    FOR col IN
+      SELECT key FROM jsonb_object_keys(new_row) AS key
+      WHERE key <> ALL(ignored_columns) AND new_row -> key IS DISTINCT FROM old_row -> key
+    LOOP
+      before_values := before_values || jsonb_build_object(col, old_row -> col);
+      after_values := after_values || jsonb_build_object(col, new_row -> col);
+    END LOOP;
+
+    IF before_values = '{}'::jsonb THEN
+      RETURN NULL;
+    END IF;
+  ELSE
+    before_values := old_row;
+    after_values := new_row;
+  END IF;
+
+  FOREACH col IN ARRAY secret_columns LOOP
+    IF before_values ? col THEN
+      before_values := before_values || jsonb_build_object(col, '[redacted]'::text);
+    END IF;
+    IF after_values ? col THEN
+      after_values := after_values || jsonb_build_object(col, '[redacted]'::text);
+    END IF;
+  END LOOP;
+
+  INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+  VALUES (
+    NULLIF(current_setting('app.current_user_id', true), '')::uuid,
+    CASE TG_OP WHEN 'INSERT' THEN 'CREATE' ELSE TG_OP END,
+    TG_TABLE_NAME,
+    (COALESCE(new_row, old_row) ->> 'id')::uuid,
+    CASE TG_OP
+      WHEN 'INSERT' THEN jsonb_build_object('after', after_values)
+      WHEN 'DELETE' THEN jsonb_build_object('before', before_values)
+      ELSE jsonb_build_object('before', before_values, 'after', after_values)
+    END
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The specimen metadata trigger is covered by the row trigger on specimens
+DROP TRIGGER IF EXISTS log_specimen_metadata_changes ON specimens;
+DROP FUNCTION IF EXISTS log_specimen_metadata_changes();
+
+DO $$
+DECLARE
+  audited_table TEXT;
+BEGIN
+  FOREACH audited_table IN ARRAY ARRAY[
+    'users', 'collaborators', 'projects', 'project_members', 'patients', 'patient_consents',
+    'patient_visits', 'deidentification_recipients', 'deidentified_releases',
+    'storage_freezers', 'storage_shelves', 'storage_racks', 'storage_boxes',
+    'specimens', 'specimen_lineage', 'specimen_transactions', 'specimen_custody_events',
+    'specimen_receipts', 'specimen_receipt_items', 'shipments', 'shipment_specimens',
+    'protocols', 'protocol_documents', 'extracted_protocol_data',
+    'inventory_categories', 'inventory', 'inventory_transactions', 'experiments',
+    'sequencing_runs', 'sequencing_samples', 'system_options', 'api_tokens'
+  ] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS audit_%1$s ON %1$I', audited_table);
+    EXECUTE format(
+      'CREATE TRIGGER audit_%1$s AFTER INSERT OR UPDATE OR DELETE ON %1$I FOR EACH ROW EXECUTE FUNCTION audit_row_change()',
+      audited_table
+    );
+  END LOOP;
+END $$;
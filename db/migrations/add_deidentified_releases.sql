@@ -0,0 +1,28 @@
+-- Migration: Add de-identified dataset releases
+-- Description: Named recipients of de-identified exports, each with its own pseudonym key so
+-- the same recipient always receives the same patient pseudonyms and date shifts, plus a
+-- record of every release made to them.
+
+CREATE TABLE IF NOT EXISTS deidentification_recipients (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  pseudonym_key VARCHAR(64) NOT NULL,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS deidentified_releases (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  recipient_id UUID NOT NULL REFERENCES deidentification_recipients(id),
+  purpose TEXT,
+  specimen_count INTEGER NOT NULL,
+  patient_count INTEGER NOT NULL,
+  columns JSONB,
+  filter_criteria JSONB,
+  filename VARCHAR(255),
+  released_by UUID REFERENCES users(id),
+  released_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deidentification_recipients_name ON deidentification_recipients(LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_deidentified_releases_recipient ON deidentified_releases(recipient_id, released_at DESC);
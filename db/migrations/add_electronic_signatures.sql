@@ -0,0 +1,75 @@
+-- Migration: Electronic signatures on protocols and experiments
+-- Description: A signature records who signed, with what meaning (authored, reviewed,
+-- approved), and the SHA-256 of the record's content at that moment, with the content
+-- itself. Signatures can't be changed or removed. A record signed at its current revision is
+-- read-only until someone starts a new revision.
+
+ALTER TABLE protocols ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS electronic_signatures (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  table_name VARCHAR(50) NOT NULL CHECK (table_name IN ('protocols', 'experiments')),
+  record_id UUID NOT NULL,
+  revision INTEGER NOT NULL,
+  meaning VARCHAR(20) NOT NULL CHECK (meaning IN ('authored', 'reviewed', 'approved')),
+  content_hash CHAR(64) NOT NULL,
+  signed_content JSONB NOT NULL,
+  comment TEXT,
+  signed_by UUID NOT NULL REFERENCES users(id),
+  signer_name VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(64),
+  signed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (table_name, record_id, revision, meaning, signed_by)
+);
+
+CREATE INDEX IF NOT EXISTS idx_electronic_signatures_record ON electronic_signatures(table_name, record_id);
+
+CREATE OR REPLACE FUNCTION prevent_signature_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Electronic signatures cannot be changed or removed';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_signature_change ON electronic_signatures;
+CREATE TRIGGER prevent_signature_change BEFORE UPDATE OR DELETE ON electronic_signatures
+  FOR EACH ROW EXECUTE FUNCTION prevent_signature_change();
+
+DROP TRIGGER IF EXISTS audit_electronic_signatures ON electronic_signatures;
+CREATE TRIGGER audit_electronic_signatures AFTER INSERT OR UPDATE OR DELETE ON electronic_signatures
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- New columns can only go at the end of a replaced view
+CREATE OR REPLACE VIEW experiments_with_details AS
+SELECT
+  e.id,
+  e.experiment_id,
+  e.protocol_id,
+  e.user_id,
+  e.date_performed,
+  e.status,
+  e.sample_ids,
+  e.actual_reagents_used,
+  e.notes,
+  e.created_at,
+  e.updated_at,
+  p.name AS protocol_name,
+  p.description AS protocol_description,
+  p.version AS protocol_version,
+  u.username AS performed_by_username,
+  u.first_name AS performed_by_first_name,
+  u.last_name AS performed_by_last_name,
+  jsonb_array_length(e.sample_ids) AS sample_count,
+  e.revision
+FROM experiments e
+LEFT JOIN protocols p ON e.protocol_id = p.id
+LEFT JOIN users u ON e.user_id = u.id;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'esign:review'),
+  ('lab_manager', 'esign:review'),
+  ('lab_technician', 'esign:review'),
+  ('admin', 'esign:approve'),
+  ('lab_manager', 'esign:approve')
+ON CONFLICT (role, permission) DO NOTHING;
@@ -0,0 +1,77 @@
+-- Migration: Step-by-step protocol execution
+-- Description: Protocols hold structured steps (title, instructions, expected duration,
+-- parameters to record) alongside the basic_steps text, and both are versioned. Running an
+-- experiment at the bench copies the steps of its protocol version into
+-- experiment_step_records, where each step's status, timestamps, actual values and
+-- deviations are kept.
+
+ALTER TABLE protocols ADD COLUMN IF NOT EXISTS steps JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE protocol_versions ADD COLUMN IF NOT EXISTS steps JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS execution_started_at TIMESTAMP;
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS execution_completed_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS experiment_step_records (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  experiment_id UUID NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+  step_number INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  instructions TEXT,
+  duration_minutes NUMERIC,
+  parameters JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'in_progress', 'done', 'skipped')),
+  actual_values JSONB NOT NULL DEFAULT '{}'::jsonb,
+  deviation TEXT,
+  notes TEXT,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  completed_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (experiment_id, step_number)
+);
+
+DROP TRIGGER IF EXISTS update_experiment_step_record_timestamp ON experiment_step_records;
+CREATE TRIGGER update_experiment_step_record_timestamp BEFORE UPDATE ON experiment_step_records
+  FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+
+DROP TRIGGER IF EXISTS audit_experiment_step_records ON experiment_step_records;
+CREATE TRIGGER audit_experiment_step_records AFTER INSERT OR UPDATE OR DELETE ON experiment_step_records
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- Structured steps are protocol content: changing them makes a new version
+CREATE OR REPLACE FUNCTION number_protocol_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    NEW.current_version := 1;
+  ELSIF (NEW.name, NEW.description, NEW.version, NEW.required_reagents, NEW.basic_steps, NEW.steps)
+        IS DISTINCT FROM (OLD.name, OLD.description, OLD.version, OLD.required_reagents, OLD.basic_steps, OLD.steps) THEN
+    NEW.current_version := OLD.current_version + 1;
+  ELSE
+    NEW.current_version := OLD.current_version;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION record_protocol_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.current_version = OLD.current_version THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO protocol_versions
+    (protocol_id, version_number, version_label, name, description, required_reagents, basic_steps, steps,
+     change_summary, branched_from_version_id, created_by)
+  VALUES (
+    NEW.id, NEW.current_version, NEW.version, NEW.name, NEW.description, NEW.required_reagents, NEW.basic_steps, NEW.steps,
+    NULLIF(current_setting('app.protocol_change_summary', true), ''),
+    NULLIF(current_setting('app.protocol_branched_from', true), '')::uuid,
+    COALESCE(NULLIF(current_setting('app.current_user_id', true), '')::uuid, NEW.created_by)
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
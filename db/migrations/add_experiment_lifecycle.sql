@@ -0,0 +1,43 @@
+-- Migration: Experiment status lifecycle
+-- Description: Experiments move planned -> in_progress -> completed, failed or cancelled
+-- through POST /api/experiments/:id/transition, which runs each transition's inventory side
+-- effect and audits it. Free-text statuses already stored are mapped onto the lifecycle and
+-- the column is constrained to it.
+
+UPDATE experiments SET status = LOWER(TRIM(status))
+WHERE status IS DISTINCT FROM LOWER(TRIM(status));
+
+UPDATE experiments SET status = 'in_progress'
+WHERE status IN ('in progress', 'in-progress', 'running', 'started');
+
+UPDATE experiments SET status = 'cancelled'
+WHERE status IN ('canceled', 'aborted');
+
+DO $$
+DECLARE
+  unknown_count INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO unknown_count
+  FROM experiments
+  WHERE status IS NULL OR status NOT IN ('planned', 'in_progress', 'completed', 'failed', 'cancelled');
+
+  IF unknown_count > 0 THEN
+    RAISE NOTICE '% experiment(s) had an unknown status and were marked completed', unknown_count;
+    UPDATE experiments SET status = 'completed'
+    WHERE status IS NULL OR status NOT IN ('planned', 'in_progress', 'completed', 'failed', 'cancelled');
+  END IF;
+END $$;
+
+ALTER TABLE experiments ALTER COLUMN status SET DEFAULT 'planned';
+ALTER TABLE experiments ALTER COLUMN status SET NOT NULL;
+ALTER TABLE experiments DROP CONSTRAINT IF EXISTS experiments_status_check;
+ALTER TABLE experiments ADD CONSTRAINT experiments_status_check
+  CHECK (status IN ('planned', 'in_progress', 'completed', 'failed', 'cancelled'));
+
+-- The status options follow the lifecycle: there is no on-hold state
+UPDATE system_options SET is_active = false
+WHERE category = 'experiment_status' AND option_key = 'on_hold';
+
+INSERT INTO system_options (category, option_key, option_value, display_order, description) VALUES
+('experiment_status', 'cancelled', 'Cancelled', 5, 'Experiment called off; its reserved inventory was released')
+ON CONFLICT (category, option_key) DO NOTHING;
@@ -0,0 +1,52 @@
+-- Migration: Plate layouts for experiments
+-- Description: Extractions and library preps run in 24- to 384-well plates. Each plate belongs
+-- to an experiment and its wells hold one of the experiment's specimens, a positive or
+-- negative control, or a blank, so a specimen can be traced to the plate and well it ran in.
+-- experiments.sample_ids stays the list of specimens in the experiment.
+
+CREATE TABLE IF NOT EXISTS experiment_plates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  experiment_id UUID NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  plate_format INTEGER NOT NULL DEFAULT 96 CHECK (plate_format IN (24, 48, 96, 384)),
+  num_rows INTEGER NOT NULL CHECK (num_rows BETWEEN 1 AND 16),
+  num_columns INTEGER NOT NULL CHECK (num_columns BETWEEN 1 AND 24),
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_experiment_plates_name ON experiment_plates (experiment_id, LOWER(TRIM(name)));
+
+-- Filled wells only; an empty well has no row
+CREATE TABLE IF NOT EXISTS experiment_plate_wells (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  plate_id UUID NOT NULL REFERENCES experiment_plates(id) ON DELETE CASCADE,
+  well_row INTEGER NOT NULL CHECK (well_row >= 1),
+  well_column INTEGER NOT NULL CHECK (well_column >= 1),
+  well_type VARCHAR(20) NOT NULL
+    CHECK (well_type IN ('specimen', 'positive_control', 'negative_control', 'blank')),
+  specimen_id UUID REFERENCES specimens(id) ON DELETE CASCADE,
+  label VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (plate_id, well_row, well_column),
+  CHECK ((well_type = 'specimen') = (specimen_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiment_plate_wells_specimen ON experiment_plate_wells (specimen_id);
+
+COMMENT ON COLUMN experiment_plate_wells.well_row IS '1-based row within the plate (A = 1)';
+COMMENT ON COLUMN experiment_plate_wells.label IS 'Control or blank name, e.g. "NTC" or "PC-1"';
+
+DROP TRIGGER IF EXISTS update_experiment_plate_timestamp ON experiment_plates;
+CREATE TRIGGER update_experiment_plate_timestamp BEFORE UPDATE ON experiment_plates
+  FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+
+DROP TRIGGER IF EXISTS audit_experiment_plates ON experiment_plates;
+CREATE TRIGGER audit_experiment_plates AFTER INSERT OR UPDATE OR DELETE ON experiment_plates
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_experiment_plate_wells ON experiment_plate_wells;
+CREATE TRIGGER audit_experiment_plate_wells AFTER INSERT OR UPDATE OR DELETE ON experiment_plate_wells
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
@@ -0,0 +1,80 @@
+-- Migration: Experiment templates and scheduling
+-- Description: Saved experiment templates (protocol, default reagents, default plate layout,
+-- assignee, instrument and an optional weekly recurrence), and the instrument and template
+-- each experiment was planned with. Instruments are inventory items in the equipment category.
+
+CREATE TABLE IF NOT EXISTS experiment_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  protocol_id UUID NOT NULL REFERENCES protocols(id),
+  assignee_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  instrument_id UUID REFERENCES inventory(id) ON DELETE SET NULL,
+  default_reagents JSONB NOT NULL DEFAULT '[]'::jsonb,
+  plate_layout JSONB,
+  recurrence JSONB,
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_experiment_templates_name ON experiment_templates (LOWER(TRIM(name)));
+
+COMMENT ON COLUMN experiment_templates.default_reagents IS 'Inventory drawn per sample: [{inventory_id, reagent_name, quantity_per_sample, unit}]';
+COMMENT ON COLUMN experiment_templates.plate_layout IS 'Plate format and control/blank wells: {name, plate_format, wells: [{well, well_type, label}]}';
+COMMENT ON COLUMN experiment_templates.recurrence IS 'Weekly schedule: {weekdays: [1-7, Monday = 1], every_weeks, starts_on, ends_on}';
+
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS instrument_id UUID REFERENCES inventory(id) ON DELETE SET NULL;
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES experiment_templates(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_experiments_date_performed ON experiments (date_performed);
+CREATE INDEX IF NOT EXISTS idx_experiments_template_date ON experiments (template_id, date_performed);
+
+DROP TRIGGER IF EXISTS update_experiment_template_timestamp ON experiment_templates;
+CREATE TRIGGER update_experiment_template_timestamp BEFORE UPDATE ON experiment_templates
+  FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+
+DROP TRIGGER IF EXISTS audit_experiment_templates ON experiment_templates;
+CREATE TRIGGER audit_experiment_templates AFTER INSERT OR UPDATE OR DELETE ON experiment_templates
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+CREATE OR REPLACE VIEW experiments_with_details AS
+SELECT
+  e.id,
+  e.experiment_id,
+  e.protocol_id,
+  e.user_id,
+  e.date_performed,
+  e.status,
+  e.sample_ids,
+  e.actual_reagents_used,
+  e.notes,
+  e.created_at,
+  e.updated_at,
+  p.name AS protocol_name,
+  p.description AS protocol_description,
+  COALESCE(pv.version_label, p.version) AS protocol_version,
+  u.username AS performed_by_username,
+  u.first_name AS performed_by_first_name,
+  u.last_name AS performed_by_last_name,
+  jsonb_array_length(e.sample_ids) AS sample_count,
+  e.revision,
+  e.protocol_version_id,
+  pv.version_number AS protocol_version_number,
+  p.current_version AS protocol_current_version,
+  e.instrument_id,
+  i.name AS instrument_name,
+  e.template_id,
+  t.name AS template_name
+FROM experiments e
+LEFT JOIN protocols p ON e.protocol_id = p.id
+LEFT JOIN protocol_versions pv ON e.protocol_version_id = pv.id
+LEFT JOIN users u ON e.user_id = u.id
+LEFT JOIN inventory i ON e.instrument_id = i.id
+LEFT JOIN experiment_templates t ON e.template_id = t.id;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'experiment:schedule'),
+  ('lab_manager', 'experiment:schedule')
+ON CONFLICT (role, permission) DO NOTHING;
@@ -0,0 +1,17 @@
+-- Migration: Add OpenID Connect single sign-on
+-- Description: Links users to their identity provider account (issuer + subject), so SSO
+-- logins find the same user every time, and keeps the state of logins in progress
+-- (authorization code flow with PKCE) between the redirect to the provider and its callback.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_issuer VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_subject VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_identity ON users(oidc_issuer, oidc_subject)
+  WHERE oidc_subject IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS oidc_login_states (
+  state VARCHAR(64) PRIMARY KEY,
+  code_verifier VARCHAR(128) NOT NULL,
+  nonce VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
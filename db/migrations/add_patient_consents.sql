@@ -0,0 +1,34 @@
+-- Migration: Add patient consent tracking
+-- Description: Consent records per patient (form version, scope, dates, withdrawal).
+-- The most recent consent decides whether a patient's specimens may be used in experiments,
+-- printed on labels or exported; see CONSENT.USE_REQUIREMENTS in config/constants.js.
+
+CREATE TABLE IF NOT EXISTS patient_consents (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+  consent_form_version VARCHAR(50) NOT NULL,
+  consent_date DATE NOT NULL,
+  future_research BOOLEAN NOT NULL DEFAULT FALSE,
+  genetic_testing BOOLEAN NOT NULL DEFAULT FALSE,
+  data_sharing BOOLEAN NOT NULL DEFAULT FALSE,
+  withdrawal_date DATE,
+  withdrawal_reason TEXT,
+  notes TEXT,
+  recorded_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (withdrawal_date IS NULL OR withdrawal_date >= consent_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_consents_patient ON patient_consents(patient_id, consent_date DESC);
+
+DROP TRIGGER IF EXISTS update_patient_consent_timestamp ON patient_consents;
+CREATE TRIGGER update_patient_consent_timestamp
+  BEFORE UPDATE ON patient_consents
+  FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+
+-- Current consent per patient: the latest one signed
+CREATE OR REPLACE VIEW patient_current_consent AS
+SELECT DISTINCT ON (patient_id) *
+FROM patient_consents
+ORDER BY patient_id, consent_date DESC, created_at DESC;
@@ -0,0 +1,15 @@
+-- Migration: Encrypt patient PHI at rest
+-- Description: first_name, last_name and date_of_birth now hold AES-GCM ciphertext written
+-- by the API (see utils/phiEncryption.js), so the columns become TEXT. Names get keyed-hash
+-- blind indexes for exact-match search. Existing plaintext rows keep working and are
+-- converted by scripts/encrypt-patient-phi.js.
+
+ALTER TABLE patients ALTER COLUMN first_name TYPE TEXT;
+ALTER TABLE patients ALTER COLUMN last_name TYPE TEXT;
+ALTER TABLE patients ALTER COLUMN date_of_birth TYPE TEXT;
+
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS first_name_index VARCHAR(64);
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS last_name_index VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_patients_first_name_index ON patients(first_name_index);
+CREATE INDEX IF NOT EXISTS idx_patients_last_name_index ON patients(last_name_index);
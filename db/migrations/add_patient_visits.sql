@@ -0,0 +1,29 @@
+-- Migration: Add longitudinal patient visits
+-- Description: A visit (baseline, 6M, 12M...) per patient with its date and days from the
+-- patient's baseline, and a link from specimens to the visit they were collected at, so
+-- timepoints no longer have to be parsed out of sample names or metadata.
+
+CREATE TABLE IF NOT EXISTS patient_visits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+  visit_label VARCHAR(50) NOT NULL,
+  visit_date DATE,
+  days_from_baseline INTEGER,
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (patient_id, visit_label)
+);
+
+ALTER TABLE specimens ADD COLUMN IF NOT EXISTS visit_id UUID REFERENCES patient_visits(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_patient_visits_patient ON patient_visits(patient_id, visit_date);
+CREATE INDEX IF NOT EXISTS idx_specimens_visit_id ON specimens(visit_id);
+
+DROP TRIGGER IF EXISTS update_patient_visit_timestamp ON patient_visits;
+CREATE TRIGGER update_patient_visit_timestamp
+  BEFORE UPDATE ON patient_visits
+  FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+
+COMMENT ON COLUMN patient_visits.days_from_baseline IS 'Days since the patient''s earliest dated visit; maintained by the API';
@@ -0,0 +1,18 @@
+-- Migration: Add project membership
+-- Description: Per-project roles (owner, editor, viewer) that limit which projects, and which
+-- of their specimens and patients, a user can see or change. Admins and lab managers keep
+-- access to every project. Existing projects start with no members, so other users need to
+-- be added to the projects they work on after this runs.
+
+CREATE TABLE IF NOT EXISTS project_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  added_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (project_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_members_user ON project_members(user_id, project_id);
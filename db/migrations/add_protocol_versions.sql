@@ -0,0 +1,168 @@
+-- Migration: Immutable protocol versions
+-- Description: Every change to a protocol's content (name, description, version label,
+-- reagents, steps) is kept as a numbered, read-only row in protocol_versions, and experiments
+-- pin the version they were run with. Triggers do the numbering and pinning, so protocols
+-- written by imports or demo data are versioned like edits made in the app.
+
+ALTER TABLE protocols ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS protocol_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  protocol_id UUID NOT NULL REFERENCES protocols(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  version_label VARCHAR(50),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  required_reagents JSONB DEFAULT '[]'::jsonb,
+  basic_steps TEXT,
+  change_summary TEXT,
+  branched_from_version_id UUID REFERENCES protocol_versions(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (protocol_id, version_number)
+);
+
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS protocol_version_id UUID REFERENCES protocol_versions(id);
+CREATE INDEX IF NOT EXISTS idx_experiments_protocol_version ON experiments(protocol_version_id);
+
+-- What each protocol says now becomes its version 1, and existing experiments are pinned to
+-- it; earlier edits were made in place and can't be recovered
+INSERT INTO protocol_versions
+  (protocol_id, version_number, version_label, name, description, required_reagents, basic_steps,
+   change_summary, created_by, created_at)
+SELECT p.id, 1, p.version, p.name, p.description, p.required_reagents, p.basic_steps,
+       'Content when versioning was introduced', p.created_by, COALESCE(p.updated_at, p.created_at)
+FROM protocols p
+WHERE NOT EXISTS (SELECT 1 FROM protocol_versions pv WHERE pv.protocol_id = p.id);
+
+UPDATE protocols SET current_version = 1
+WHERE current_version IS DISTINCT FROM 1
+  AND NOT EXISTS (SELECT 1 FROM protocol_versions pv WHERE pv.protocol_id = protocols.id AND pv.version_number > 1);
+
+UPDATE experiments e
+SET protocol_version_id = pv.id
+FROM protocol_versions pv
+WHERE pv.protocol_id = e.protocol_id AND pv.version_number = 1 AND e.protocol_version_id IS NULL;
+
+-- Versions never change. The one exception is losing the link to a deleted protocol's
+-- version they were branched from.
+CREATE OR REPLACE FUNCTION prevent_protocol_version_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.branched_from_version_id IS NULL
+     AND to_jsonb(NEW) - 'branched_from_version_id' = to_jsonb(OLD) - 'branched_from_version_id' THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'Protocol versions cannot be changed';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_protocol_version_change ON protocol_versions;
+CREATE TRIGGER prevent_protocol_version_change BEFORE UPDATE ON protocol_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_protocol_version_change();
+
+-- A new protocol is version 1; each change to its content is the next version
+CREATE OR REPLACE FUNCTION number_protocol_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    NEW.current_version := 1;
+  ELSIF (NEW.name, NEW.description, NEW.version, NEW.required_reagents, NEW.basic_steps)
+        IS DISTINCT FROM (OLD.name, OLD.description, OLD.version, OLD.required_reagents, OLD.basic_steps) THEN
+    NEW.current_version := OLD.current_version + 1;
+  ELSE
+    NEW.current_version := OLD.current_version;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Keep each numbered version. The app describes the change in transaction-local settings
+-- (see services/protocolVersionService.js); the author comes from app.current_user_id.
+CREATE OR REPLACE FUNCTION record_protocol_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.current_version = OLD.current_version THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO protocol_versions
+    (protocol_id, version_number, version_label, name, description, required_reagents, basic_steps,
+     change_summary, branched_from_version_id, created_by)
+  VALUES (
+    NEW.id, NEW.current_version, NEW.version, NEW.name, NEW.description, NEW.required_reagents, NEW.basic_steps,
+    NULLIF(current_setting('app.protocol_change_summary', true), ''),
+    NULLIF(current_setting('app.protocol_branched_from', true), '')::uuid,
+    COALESCE(NULLIF(current_setting('app.current_user_id', true), '')::uuid, NEW.created_by)
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS number_protocol_version ON protocols;
+CREATE TRIGGER number_protocol_version BEFORE INSERT OR UPDATE ON protocols
+  FOR EACH ROW EXECUTE FUNCTION number_protocol_version();
+
+DROP TRIGGER IF EXISTS record_protocol_version ON protocols;
+CREATE TRIGGER record_protocol_version AFTER INSERT OR UPDATE ON protocols
+  FOR EACH ROW EXECUTE FUNCTION record_protocol_version();
+
+-- Experiments use the protocol's current version unless they name one; changing an
+-- experiment's protocol moves it to that protocol's current version
+CREATE OR REPLACE FUNCTION pin_experiment_protocol_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.protocol_id IS NULL THEN
+    NEW.protocol_version_id := NULL;
+  ELSIF NEW.protocol_version_id IS NULL
+        OR (TG_OP = 'UPDATE' AND NEW.protocol_id IS DISTINCT FROM OLD.protocol_id
+            AND NEW.protocol_version_id IS NOT DISTINCT FROM OLD.protocol_version_id) THEN
+    SELECT pv.id INTO NEW.protocol_version_id
+    FROM protocols p
+    JOIN protocol_versions pv ON pv.protocol_id = p.id AND pv.version_number = p.current_version
+    WHERE p.id = NEW.protocol_id;
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM protocol_versions WHERE id = NEW.protocol_version_id AND protocol_id = NEW.protocol_id
+  ) THEN
+    RAISE EXCEPTION 'Protocol version % is not a version of protocol %', NEW.protocol_version_id, NEW.protocol_id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS pin_experiment_protocol_version ON experiments;
+CREATE TRIGGER pin_experiment_protocol_version BEFORE INSERT OR UPDATE ON experiments
+  FOR EACH ROW EXECUTE FUNCTION pin_experiment_protocol_version();
+
+-- The protocol version shown for an experiment is the one it was run with
+DROP VIEW IF EXISTS experiments_with_details;
+CREATE VIEW experiments_with_details AS
+SELECT
+  e.id,
+  e.experiment_id,
+  e.protocol_id,
+  e.user_id,
+  e.date_performed,
+  e.status,
+  e.sample_ids,
+  e.actual_reagents_used,
+  e.notes,
+  e.created_at,
+  e.updated_at,
+  p.name AS protocol_name,
+  p.description AS protocol_description,
+  COALESCE(pv.version_label, p.version) AS protocol_version,
+  u.username AS performed_by_username,
+  u.first_name AS performed_by_first_name,
+  u.last_name AS performed_by_last_name,
+  jsonb_array_length(e.sample_ids) AS sample_count,
+  e.revision,
+  e.protocol_version_id,
+  pv.version_number AS protocol_version_number,
+  p.current_version AS protocol_current_version
+FROM experiments e
+LEFT JOIN protocols p ON e.protocol_id = p.id
+LEFT JOIN protocol_versions pv ON e.protocol_version_id = pv.id
+LEFT JOIN users u ON e.user_id = u.id;
+
+GRANT SELECT ON experiments_with_details TO PUBLIC;
@@ -0,0 +1,82 @@
+-- Migration: Reagent reconciliation
+-- Description: Consumption now honours the actual usage recorded when an experiment is
+-- completed or failed, and keeps the reserved amount on each consumed transaction, so
+-- calculated requirements, reservations and consumption can be compared per reagent and lot.
+
+ALTER TABLE inventory_transactions ADD COLUMN IF NOT EXISTS reserved_quantity DECIMAL(10,2);
+ALTER TABLE inventory_transactions ADD COLUMN IF NOT EXISTS reserved_unit VARCHAR(20);
+
+COMMENT ON COLUMN inventory_transactions.reserved_quantity IS 'Amount reserved before consumption replaced quantity_change with the actual usage';
+
+-- Quantity in inventory stock units (mL for liquids), converting the way reservations do
+CREATE OR REPLACE FUNCTION reagent_stock_quantity(p_quantity DECIMAL, p_unit TEXT)
+RETURNS DECIMAL AS $$
+BEGIN
+  IF p_unit IN ('µL', 'μL', 'ul', 'uL') THEN
+    RETURN p_quantity / 1000.0;
+  END IF;
+  RETURN p_quantity;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Consume reserved inventory for experiment. Where p_actual_usage ([{inventory_id, quantity, unit}])
+-- gives what was really used, the difference from the reservation goes back to (or comes out of)
+-- stock; the reserved amount is kept on the transaction for reconciliation.
+CREATE OR REPLACE FUNCTION consume_reserved_inventory(p_experiment_id UUID, p_actual_usage JSONB DEFAULT NULL)
+RETURNS BOOLEAN AS $$
+DECLARE
+  reservation RECORD;
+  usage JSONB;
+  used_quantity DECIMAL(10,2);
+  used_unit TEXT;
+  applied UUID[] := '{}';
+BEGIN
+  FOR reservation IN
+    SELECT * FROM inventory_transactions
+    WHERE experiment_id = p_experiment_id
+      AND transaction_status = 'reserved'
+    ORDER BY transaction_date, id
+  LOOP
+    usage := NULL;
+    -- Actual usage is applied once per inventory item, to its first reservation
+    IF p_actual_usage IS NOT NULL AND jsonb_typeof(p_actual_usage) = 'array'
+       AND NOT (reservation.inventory_id = ANY(applied)) THEN
+      SELECT item INTO usage
+      FROM jsonb_array_elements(p_actual_usage) AS item
+      WHERE item->>'inventory_id' = reservation.inventory_id::TEXT
+        AND item->>'quantity' ~ '^[0-9]*\.?[0-9]+$'
+      LIMIT 1;
+    END IF;
+
+    IF usage IS NULL THEN
+      UPDATE inventory_transactions
+      SET transaction_status = 'consumed',
+          reason = 'Used in experiment',
+          reserved_quantity = ABS(quantity_change),
+          reserved_unit = transaction_unit
+      WHERE id = reservation.id;
+    ELSE
+      applied := applied || reservation.inventory_id;
+      used_quantity := (usage->>'quantity')::DECIMAL;
+      used_unit := COALESCE(NULLIF(usage->>'unit', ''), reservation.transaction_unit);
+
+      UPDATE inventory
+      SET current_quantity = current_quantity
+        + reagent_stock_quantity(ABS(reservation.quantity_change), reservation.transaction_unit)
+        - reagent_stock_quantity(used_quantity, used_unit)
+      WHERE id = reservation.inventory_id;
+
+      UPDATE inventory_transactions
+      SET transaction_status = 'consumed',
+          reason = 'Used in experiment',
+          reserved_quantity = ABS(quantity_change),
+          reserved_unit = transaction_unit,
+          quantity_change = -used_quantity,
+          transaction_unit = used_unit
+      WHERE id = reservation.id;
+    END IF;
+  END LOOP;
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,85 @@
+-- Migration: Add role permission matrix
+-- Description: Which roles hold each permission in config/permissions.js. Seeded with the
+-- access the hard-coded role lists used to grant; admins change it from the Permissions
+-- screen. Lab managers can now also edit and cancel reservations of other users'
+-- experiments, which was meant for an "editor" role that never existed.
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'lab_manager', 'lab_technician', 'bioinformatician', 'researcher')),
+  permission VARCHAR(100) NOT NULL,
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (role, permission)
+);
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'specimen:edit'),
+  ('lab_manager', 'specimen:edit'),
+  ('lab_technician', 'specimen:edit'),
+  ('admin', 'specimen:delete'),
+  ('lab_manager', 'specimen:delete'),
+  ('lab_technician', 'specimen:delete'),
+  ('admin', 'specimen:receive'),
+  ('lab_manager', 'specimen:receive'),
+  ('lab_technician', 'specimen:receive'),
+  ('admin', 'patient:edit'),
+  ('lab_manager', 'patient:edit'),
+  ('lab_technician', 'patient:edit'),
+  ('admin', 'patient:delete'),
+  ('admin', 'visit:delete'),
+  ('lab_manager', 'visit:delete'),
+  ('admin', 'consent:manage'),
+  ('lab_manager', 'consent:manage'),
+  ('admin', 'consent:override'),
+  ('admin', 'phi:view'),
+  ('lab_manager', 'phi:view'),
+  ('admin', 'project:edit'),
+  ('lab_manager', 'project:edit'),
+  ('lab_technician', 'project:edit'),
+  ('admin', 'project:delete'),
+  ('admin', 'project:view_all'),
+  ('lab_manager', 'project:view_all'),
+  ('admin', 'collaborator:edit'),
+  ('lab_manager', 'collaborator:edit'),
+  ('lab_technician', 'collaborator:edit'),
+  ('admin', 'collaborator:delete'),
+  ('admin', 'protocol:edit'),
+  ('lab_manager', 'protocol:edit'),
+  ('lab_technician', 'protocol:edit'),
+  ('admin', 'protocol:delete'),
+  ('admin', 'experiment:edit_any'),
+  ('lab_manager', 'experiment:edit_any'),
+  ('admin', 'experiment:delete_any'),
+  ('admin', 'inventory:edit'),
+  ('lab_manager', 'inventory:edit'),
+  ('lab_technician', 'inventory:edit'),
+  ('admin', 'inventory:adjust'),
+  ('lab_manager', 'inventory:adjust'),
+  ('lab_technician', 'inventory:adjust'),
+  ('admin', 'inventory:delete'),
+  ('admin', 'storage:manage'),
+  ('lab_manager', 'storage:manage'),
+  ('admin', 'shipment:edit'),
+  ('lab_manager', 'shipment:edit'),
+  ('lab_technician', 'shipment:edit'),
+  ('admin', 'import:run'),
+  ('lab_manager', 'import:run'),
+  ('lab_technician', 'import:run'),
+  ('admin', 'import:legacy'),
+  ('admin', 'export:data'),
+  ('lab_manager', 'export:data'),
+  ('lab_technician', 'export:data'),
+  ('admin', 'export:phi'),
+  ('lab_manager', 'export:phi'),
+  ('admin', 'sequencing:import'),
+  ('lab_manager', 'sequencing:import'),
+  ('admin', 'audit:view'),
+  ('lab_manager', 'audit:view'),
+  ('admin', 'user:view'),
+  ('lab_manager', 'user:view'),
+  ('admin', 'user:manage'),
+  ('lab_manager', 'user:manage'),
+  ('admin', 'user:delete'),
+  ('admin', 'system:configure'),
+  ('admin', 'permission:manage')
+ON CONFLICT (role, permission) DO NOTHING;
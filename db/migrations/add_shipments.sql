@@ -0,0 +1,52 @@
+-- Migration: Add outbound shipments
+-- Description: Shipments of specimens back to collaborators, replacing the tracking spreadsheets.
+-- Shipping a specimen marks it 'shipped' and frees its storage position; the position it left
+-- is kept on shipment_specimens so the manifest can show where each tube came from.
+
+CREATE SEQUENCE IF NOT EXISTS shipment_number_seq;
+
+CREATE TABLE IF NOT EXISTS shipments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shipment_number INTEGER UNIQUE NOT NULL DEFAULT nextval('shipment_number_seq'),
+  collaborator_id UUID NOT NULL REFERENCES collaborators(id),
+  project_id UUID REFERENCES projects(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'preparing'
+    CHECK (status IN ('preparing', 'shipped', 'received', 'cancelled')),
+  carrier VARCHAR(100),
+  tracking_number VARCHAR(100),
+  ship_date DATE,
+  received_date DATE,
+  temperature_condition VARCHAR(30)
+    CHECK (temperature_condition IN ('ambient', 'refrigerated', 'dry_ice', 'liquid_nitrogen')),
+  recipient_name VARCHAR(255),
+  destination_address TEXT,
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  shipped_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (received_date IS NULL OR ship_date IS NULL OR received_date >= ship_date)
+);
+
+CREATE TABLE IF NOT EXISTS shipment_specimens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+  specimen_id UUID NOT NULL REFERENCES specimens(id) ON DELETE CASCADE,
+  storage_location TEXT,
+  UNIQUE (shipment_id, specimen_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipments_collaborator ON shipments(collaborator_id);
+CREATE INDEX IF NOT EXISTS idx_shipments_status ON shipments(status);
+CREATE INDEX IF NOT EXISTS idx_shipment_specimens_specimen ON shipment_specimens(specimen_id);
+
+COMMENT ON COLUMN shipment_specimens.storage_location IS 'Where the specimen was stored when it was packed';
+
+DROP TRIGGER IF EXISTS update_shipment_timestamp ON shipments;
+CREATE TRIGGER update_shipment_timestamp
+  BEFORE UPDATE ON shipments
+  FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+
+INSERT INTO system_options (category, option_key, option_value, display_order, description) VALUES
+('activity_status', 'shipped', 'Shipped', 6, 'Specimen has been shipped out of the lab')
+ON CONFLICT (category, option_key) DO NOTHING;
@@ -0,0 +1,50 @@
+-- Migration: Add specimen chain-of-custody log
+-- Description: One row per checkout, return, thaw, freezer transfer or shipment of a specimen.
+-- Thaw counts and the current holder are derived from the log via specimen_custody_status
+-- rather than stored on specimens.
+
+CREATE TABLE IF NOT EXISTS specimen_custody_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  specimen_id UUID NOT NULL REFERENCES specimens(id) ON DELETE CASCADE,
+  event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('checkout', 'return', 'thaw', 'transfer', 'shipment')),
+  custodian_id UUID REFERENCES users(id),
+  from_location TEXT,
+  to_location TEXT,
+  notes TEXT,
+  performed_by UUID REFERENCES users(id),
+  event_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_specimen_custody_events_specimen ON specimen_custody_events(specimen_id, event_time);
+CREATE INDEX IF NOT EXISTS idx_specimen_custody_events_custodian ON specimen_custody_events(custodian_id)
+  WHERE event_type = 'checkout';
+
+COMMENT ON COLUMN specimen_custody_events.custodian_id IS 'Person holding the specimen after a checkout';
+
+-- A specimen is checked out when its latest checkout/return event is a checkout
+CREATE OR REPLACE VIEW specimen_custody_status AS
+WITH counts AS (
+  SELECT specimen_id,
+         COUNT(*) FILTER (WHERE event_type = 'thaw') AS thaw_count,
+         MAX(event_time) FILTER (WHERE event_type = 'thaw') AS last_thawed_at
+  FROM specimen_custody_events
+  GROUP BY specimen_id
+),
+latest AS (
+  SELECT DISTINCT ON (specimen_id) specimen_id, event_type, custodian_id, event_time
+  FROM specimen_custody_events
+  WHERE event_type IN ('checkout', 'return')
+  ORDER BY specimen_id, event_time DESC
+)
+SELECT counts.specimen_id,
+       counts.thaw_count::integer AS thaw_count,
+       counts.last_thawed_at,
+       CASE WHEN latest.event_type = 'checkout' THEN latest.custodian_id END AS checked_out_to,
+       CASE WHEN latest.event_type = 'checkout' THEN latest.event_time END AS checked_out_at
+FROM counts
+LEFT JOIN latest ON latest.specimen_id = counts.specimen_id;
+
+-- Admin-editable limit; specimens thawed more often than this are flagged
+INSERT INTO system_options (category, option_key, option_value, display_order, description) VALUES
+('specimen_limits', 'thaw_limit', '3', 1, 'Freeze-thaw cycles before a specimen is flagged')
+ON CONFLICT (category, option_key) DO NOTHING;
@@ -0,0 +1,21 @@
+-- Migration: Add specimen lineage (aliquots and derivatives)
+-- Description: Records which specimen(s) a specimen was split or derived from. A link table
+-- is used rather than a parent column so that pools can have several parents.
+
+CREATE TABLE IF NOT EXISTS specimen_lineage (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  parent_specimen_id UUID NOT NULL REFERENCES specimens(id) ON DELETE CASCADE,
+  child_specimen_id UUID NOT NULL REFERENCES specimens(id) ON DELETE CASCADE,
+  derivation_type VARCHAR(20) NOT NULL CHECK (derivation_type IN ('aliquot', 'extract', 'pool', 'library')),
+  quantity_used DECIMAL(10, 2),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (parent_specimen_id, child_specimen_id),
+  CHECK (parent_specimen_id <> child_specimen_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_specimen_lineage_parent ON specimen_lineage(parent_specimen_id);
+CREATE INDEX IF NOT EXISTS idx_specimen_lineage_child ON specimen_lineage(child_specimen_id);
+
+COMMENT ON TABLE specimen_lineage IS 'Parent/child links between specimens; pools have one row per contributing parent';
+COMMENT ON COLUMN specimen_lineage.quantity_used IS 'Amount of the parent consumed to make this child';
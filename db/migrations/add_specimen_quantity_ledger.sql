@@ -0,0 +1,62 @@
+-- Migration: Add specimen quantity ledger
+-- Description: Tracks how much of each specimen is left. initial_quantity stays as collected;
+-- remaining_quantity moves with every withdrawal, return, aliquot and correction recorded in
+-- specimen_transactions (modeled on inventory_transactions).
+
+ALTER TABLE specimens ADD COLUMN IF NOT EXISTS remaining_quantity DECIMAL(10, 2);
+
+COMMENT ON COLUMN specimens.remaining_quantity IS 'Current amount left; maintained through specimen_transactions';
+
+CREATE TABLE IF NOT EXISTS specimen_transactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  specimen_id UUID NOT NULL REFERENCES specimens(id) ON DELETE CASCADE,
+  transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('withdrawal', 'return', 'aliquot', 'correction')),
+  quantity_change DECIMAL(10, 2) NOT NULL,
+  quantity_after DECIMAL(10, 2) NOT NULL CHECK (quantity_after >= 0),
+  reason TEXT,
+  performed_by UUID REFERENCES users(id),
+  transaction_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  experiment_id UUID,
+  related_specimen_id UUID REFERENCES specimens(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_specimen_transactions_specimen ON specimen_transactions(specimen_id, transaction_date);
+CREATE INDEX IF NOT EXISTS idx_specimen_transactions_experiment ON specimen_transactions(experiment_id);
+
+COMMENT ON COLUMN specimen_transactions.related_specimen_id IS 'Child specimen created by an aliquot transaction';
+
+-- New specimens start with their full quantity; edits to initial_quantity carry over until the
+-- ledger has entries; used_up is set once nothing is left
+CREATE OR REPLACE FUNCTION sync_specimen_remaining_quantity()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.remaining_quantity IS NULL THEN
+      NEW.remaining_quantity := NEW.initial_quantity;
+    END IF;
+  ELSIF NEW.initial_quantity IS DISTINCT FROM OLD.initial_quantity
+        AND NEW.remaining_quantity IS NOT DISTINCT FROM OLD.remaining_quantity
+        AND NOT EXISTS (SELECT 1 FROM specimen_transactions WHERE specimen_id = NEW.id) THEN
+    NEW.remaining_quantity := NEW.initial_quantity;
+  END IF;
+
+  IF NEW.remaining_quantity IS NOT NULL AND NEW.remaining_quantity <= 0 THEN
+    NEW.used_up := TRUE;
+  ELSIF TG_OP = 'UPDATE' AND OLD.remaining_quantity IS NOT NULL AND OLD.remaining_quantity <= 0
+        AND NEW.remaining_quantity > 0 THEN
+    NEW.used_up := FALSE;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_specimen_remaining_quantity ON specimens;
+CREATE TRIGGER sync_specimen_remaining_quantity
+  BEFORE INSERT OR UPDATE ON specimens
+  FOR EACH ROW EXECUTE PROCEDURE sync_specimen_remaining_quantity();
+
+-- Backfill: specimens already marked used up have nothing left
+UPDATE specimens
+SET remaining_quantity = CASE WHEN used_up THEN 0 ELSE initial_quantity END
+WHERE remaining_quantity IS NULL AND initial_quantity IS NOT NULL;
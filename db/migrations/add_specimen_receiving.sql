@@ -0,0 +1,46 @@
+-- Migration: Add inbound specimen receiving
+-- Description: Accession step between a collaborator's manifest and the specimen import.
+-- Each manifest row becomes a receipt item that is checked in by scanning its tube barcode;
+-- missing, extra and damaged tubes stay on the receipt as the project's discrepancy record.
+
+CREATE TABLE IF NOT EXISTS specimen_receipts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  date_received DATE NOT NULL DEFAULT CURRENT_DATE,
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'committed', 'cancelled')),
+  manifest_filename VARCHAR(255),
+  notes TEXT,
+  received_by UUID REFERENCES users(id),
+  committed_by UUID REFERENCES users(id),
+  committed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS specimen_receipt_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  receipt_id UUID NOT NULL REFERENCES specimen_receipts(id) ON DELETE CASCADE,
+  tube_id VARCHAR(255) NOT NULL,
+  manifest_row INTEGER,
+  manifest_data JSONB,
+  status VARCHAR(20) NOT NULL DEFAULT 'expected'
+    CHECK (status IN ('expected', 'checked_in', 'missing', 'extra')),
+  damaged BOOLEAN NOT NULL DEFAULT FALSE,
+  condition_notes TEXT,
+  checked_in_by UUID REFERENCES users(id),
+  checked_in_at TIMESTAMP,
+  specimen_id UUID REFERENCES specimens(id) ON DELETE SET NULL,
+  UNIQUE (receipt_id, tube_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_specimen_receipts_project ON specimen_receipts(project_id, date_received);
+CREATE INDEX IF NOT EXISTS idx_specimen_receipt_items_receipt ON specimen_receipt_items(receipt_id, status);
+
+COMMENT ON COLUMN specimen_receipt_items.manifest_data IS 'Parsed manifest row; NULL for extra tubes that were not on the manifest';
+COMMENT ON COLUMN specimen_receipt_items.specimen_id IS 'Specimen created when the receipt was committed';
+
+DROP TRIGGER IF EXISTS update_specimen_receipt_timestamp ON specimen_receipts;
+CREATE TRIGGER update_specimen_receipt_timestamp
+  BEFORE UPDATE ON specimen_receipts
+  FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
@@ -0,0 +1,224 @@
+-- Migration: Add structured storage hierarchy (freezer -> shelf -> rack -> box)
+-- Description: Replaces free-text specimen locations with real storage entities so that
+-- positions can be validated and double-booked wells rejected. The legacy position_*
+-- columns are kept as the display copy of the location and are backfilled below.
+
+-- Freezers
+CREATE TABLE IF NOT EXISTS storage_freezers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(100) NOT NULL,
+  location VARCHAR(255),
+  temperature VARCHAR(50),
+  description TEXT,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Shelves inside a freezer
+CREATE TABLE IF NOT EXISTS storage_shelves (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  freezer_id UUID NOT NULL REFERENCES storage_freezers(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  display_order INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Racks (rack names are unique per freezer so free-text positions can be resolved without a shelf)
+CREATE TABLE IF NOT EXISTS storage_racks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  freezer_id UUID NOT NULL REFERENCES storage_freezers(id) ON DELETE CASCADE,
+  shelf_id UUID REFERENCES storage_shelves(id) ON DELETE SET NULL,
+  name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Boxes with a configurable well grid
+CREATE TABLE IF NOT EXISTS storage_boxes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  rack_id UUID NOT NULL REFERENCES storage_racks(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  box_type VARCHAR(100),
+  num_rows INTEGER NOT NULL DEFAULT 9 CHECK (num_rows BETWEEN 1 AND 26),
+  num_columns INTEGER NOT NULL DEFAULT 9 CHECK (num_columns BETWEEN 1 AND 48),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Names are matched case-insensitively and without surrounding whitespace
+CREATE UNIQUE INDEX IF NOT EXISTS idx_storage_freezers_name ON storage_freezers (LOWER(TRIM(name)));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_storage_shelves_name ON storage_shelves (freezer_id, LOWER(TRIM(name)));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_storage_racks_name ON storage_racks (freezer_id, LOWER(TRIM(name)));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_storage_boxes_name ON storage_boxes (rack_id, LOWER(TRIM(name)));
+CREATE INDEX IF NOT EXISTS idx_storage_racks_shelf ON storage_racks (shelf_id);
+
+-- Link specimens to a box well
+ALTER TABLE specimens ADD COLUMN IF NOT EXISTS storage_box_id UUID REFERENCES storage_boxes(id) ON DELETE SET NULL;
+ALTER TABLE specimens ADD COLUMN IF NOT EXISTS storage_row INTEGER;
+ALTER TABLE specimens ADD COLUMN IF NOT EXISTS storage_column INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_specimens_storage_box ON specimens (storage_box_id);
+
+COMMENT ON COLUMN specimens.storage_box_id IS 'Storage box holding this specimen; position_freezer/rack/box mirror its names';
+COMMENT ON COLUMN specimens.storage_row IS '1-based row within the box (A = 1)';
+COMMENT ON COLUMN specimens.storage_column IS '1-based column within the box';
+
+-- Timestamp triggers
+CREATE TRIGGER update_storage_freezer_timestamp BEFORE UPDATE ON storage_freezers FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_storage_shelf_timestamp BEFORE UPDATE ON storage_shelves FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_storage_rack_timestamp BEFORE UPDATE ON storage_racks FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_storage_box_timestamp BEFORE UPDATE ON storage_boxes FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+
+-- Convert a free-text well coordinate ('A', 'b', '3') to a 1-based index; 0 is not a well
+-- (matches parseWellCoordinate in services/storageService.js)
+CREATE OR REPLACE FUNCTION parse_well_coordinate(coordinate VARCHAR)
+RETURNS INTEGER AS $$
+DECLARE
+  cleaned VARCHAR := UPPER(TRIM(coordinate));
+BEGIN
+  IF cleaned IS NULL OR cleaned = '' THEN
+    RETURN NULL;
+  ELSIF cleaned ~ '^[A-Z]$' THEN
+    RETURN ASCII(cleaned) - 64;
+  ELSIF cleaned ~ '^[0-9]{1,3}$' THEN
+    RETURN NULLIF(cleaned::INTEGER, 0);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- ================================================================================
+-- BACKFILL FROM FREE-TEXT POSITIONS
+-- ================================================================================
+
+-- Wells that can't be placed (half a coordinate, unreadable, or beyond the largest box) would
+-- fail validation the next time the specimen is saved. Clear them, keeping the original text
+-- in the specimen's comments.
+UPDATE specimens
+SET comments = CONCAT_WS(E'\n', NULLIF(TRIM(comments), ''),
+      'Legacy well position: ' || CONCAT_WS(' / ', NULLIF(TRIM(position_dimension_one), ''), NULLIF(TRIM(position_dimension_two), ''))),
+    position_dimension_one = NULL,
+    position_dimension_two = NULL
+WHERE TRIM(COALESCE(position_dimension_one, '') || COALESCE(position_dimension_two, '')) <> ''
+  AND (parse_well_coordinate(position_dimension_one) IS NULL
+       OR parse_well_coordinate(position_dimension_two) IS NULL
+       OR parse_well_coordinate(position_dimension_one) > 26
+       OR parse_well_coordinate(position_dimension_two) > 48);
+
+-- Positions that skip a level (a rack without a freezer, a box without a rack, a well
+-- without a box) would fail validation the same way. File them under an "Unassigned"
+-- placeholder at the missing level so they can be saved and moved later.
+UPDATE specimens
+SET position_freezer = 'Unassigned'
+WHERE TRIM(COALESCE(position_freezer, '')) = ''
+  AND TRIM(COALESCE(position_rack, '') || COALESCE(position_box, '') ||
+           COALESCE(position_dimension_one, '') || COALESCE(position_dimension_two, '')) <> '';
+
+UPDATE specimens
+SET position_rack = 'Unassigned'
+WHERE TRIM(COALESCE(position_rack, '')) = ''
+  AND TRIM(COALESCE(position_box, '') ||
+           COALESCE(position_dimension_one, '') || COALESCE(position_dimension_two, '')) <> '';
+
+UPDATE specimens
+SET position_box = 'Unassigned'
+WHERE TRIM(COALESCE(position_box, '')) = ''
+  AND TRIM(COALESCE(position_dimension_one, '') || COALESCE(position_dimension_two, '')) <> '';
+
+-- Freezers: one per distinct trimmed name
+INSERT INTO storage_freezers (name)
+SELECT DISTINCT ON (LOWER(TRIM(position_freezer))) TRIM(position_freezer)
+FROM specimens
+WHERE TRIM(COALESCE(position_freezer, '')) <> ''
+ORDER BY LOWER(TRIM(position_freezer)), TRIM(position_freezer)
+ON CONFLICT DO NOTHING;
+
+-- Racks: one per freezer/rack pair (no shelf information exists in the legacy data)
+INSERT INTO storage_racks (freezer_id, name)
+SELECT DISTINCT ON (f.id, LOWER(TRIM(s.position_rack))) f.id, TRIM(s.position_rack)
+FROM specimens s
+JOIN storage_freezers f ON LOWER(TRIM(f.name)) = LOWER(TRIM(s.position_freezer))
+WHERE TRIM(COALESCE(s.position_rack, '')) <> ''
+ORDER BY f.id, LOWER(TRIM(s.position_rack)), TRIM(s.position_rack)
+ON CONFLICT DO NOTHING;
+
+-- Boxes: sized to fit the largest coordinates already in use (minimum 9 x 9)
+INSERT INTO storage_boxes (rack_id, name, num_rows, num_columns)
+SELECT
+  r.id,
+  MIN(TRIM(s.position_box)),
+  LEAST(26, GREATEST(9, COALESCE(MAX(parse_well_coordinate(s.position_dimension_one)), 0))),
+  LEAST(48, GREATEST(9, COALESCE(MAX(parse_well_coordinate(s.position_dimension_two)), 0)))
+FROM specimens s
+JOIN storage_freezers f ON LOWER(TRIM(f.name)) = LOWER(TRIM(s.position_freezer))
+JOIN storage_racks r ON r.freezer_id = f.id AND LOWER(TRIM(r.name)) = LOWER(TRIM(s.position_rack))
+WHERE TRIM(COALESCE(s.position_box, '')) <> ''
+GROUP BY r.id, LOWER(TRIM(s.position_box))
+ON CONFLICT DO NOTHING;
+
+-- Link specimens to their box and normalize the display names
+UPDATE specimens s
+SET storage_box_id = b.id,
+    position_freezer = f.name,
+    position_rack = r.name,
+    position_box = b.name
+FROM storage_freezers f
+JOIN storage_racks r ON r.freezer_id = f.id
+JOIN storage_boxes b ON b.rack_id = r.id
+WHERE LOWER(TRIM(f.name)) = LOWER(TRIM(s.position_freezer))
+  AND LOWER(TRIM(r.name)) = LOWER(TRIM(s.position_rack))
+  AND LOWER(TRIM(b.name)) = LOWER(TRIM(s.position_box))
+  AND s.storage_box_id IS NULL;
+
+-- Assign wells; when legacy data double-books a well, the lowest specimen number keeps it
+WITH ranked AS (
+  SELECT
+    id,
+    parse_well_coordinate(position_dimension_one) AS well_row,
+    parse_well_coordinate(position_dimension_two) AS well_column,
+    ROW_NUMBER() OVER (
+      PARTITION BY storage_box_id,
+                   parse_well_coordinate(position_dimension_one),
+                   parse_well_coordinate(position_dimension_two)
+      ORDER BY specimen_number NULLS LAST, created_at
+    ) AS claim_order
+  FROM specimens
+  WHERE storage_box_id IS NOT NULL
+    AND parse_well_coordinate(position_dimension_one) IS NOT NULL
+    AND parse_well_coordinate(position_dimension_two) IS NOT NULL
+)
+UPDATE specimens s
+SET storage_row = ranked.well_row,
+    storage_column = ranked.well_column
+FROM ranked
+WHERE s.id = ranked.id
+  AND ranked.claim_order = 1;
+
+-- The other claimants would fail validation against the taken well the next time they are
+-- saved. Clear their wells too, keeping the original text in the comments.
+DO $$
+DECLARE
+  conflict_count INTEGER;
+BEGIN
+  UPDATE specimens
+  SET comments = CONCAT_WS(E'\n', NULLIF(TRIM(comments), ''),
+        'Legacy well position (already occupied): ' || TRIM(position_dimension_one) || ' / ' || TRIM(position_dimension_two)),
+      position_dimension_one = NULL,
+      position_dimension_two = NULL
+  WHERE storage_box_id IS NOT NULL
+    AND storage_row IS NULL
+    AND parse_well_coordinate(position_dimension_one) IS NOT NULL
+    AND parse_well_coordinate(position_dimension_two) IS NOT NULL;
+  GET DIAGNOSTICS conflict_count = ROW_COUNT;
+
+  IF conflict_count > 0 THEN
+    RAISE NOTICE '% specimen(s) claimed an already occupied well; their wells were moved to comments', conflict_count;
+  END IF;
+END $$;
+
+-- One specimen per well
+CREATE UNIQUE INDEX IF NOT EXISTS idx_specimens_storage_well
+  ON specimens (storage_box_id, storage_row, storage_column)
+  WHERE storage_box_id IS NOT NULL AND storage_row IS NOT NULL AND storage_column IS NOT NULL;
@@ -0,0 +1,22 @@
+-- Migration: Add server-side login sessions
+-- Description: Every login creates a session holding a SHA-256 hash of its refresh token.
+-- Access tokens are short-lived and name their session, so revoking the session (logout,
+-- deactivation, password or role change) ends access right away. Refresh tokens rotate on
+-- every use; the previous hash is kept so a replayed old token revokes the session.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  previous_token_hash VARCHAR(64),
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
@@ -24,6 +24,12 @@ CREATE TABLE IF NOT EXISTS users (
   locked_until TIMESTAMP NULL,
   last_login TIMESTAMP NULL,
   password_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  is_service_account BOOLEAN DEFAULT FALSE,
+  oidc_issuer VARCHAR(255),
+  oidc_subject VARCHAR(255),
+  totp_secret TEXT,
+  totp_enabled BOOLEAN DEFAULT FALSE,
+  totp_last_step BIGINT,
   created_by UUID REFERENCES users(id) ON DELETE SET NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -65,9 +71,12 @@ CREATE TABLE IF NOT EXISTS patients (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   patient_number INTEGER UNIQUE,
   external_id VARCHAR(255),
-  first_name VARCHAR(255),
-  last_name VARCHAR(255),
-  date_of_birth VARCHAR(255),
+  -- first_name, last_name and date_of_birth hold ciphertext (utils/phiEncryption.js)
+  first_name TEXT,
+  last_name TEXT,
+  date_of_birth TEXT,
+  first_name_index VARCHAR(64),
+  last_name_index VARCHAR(64),
   diagnosis VARCHAR(255),
   physician_first_name VARCHAR(255),
   physician_last_name VARCHAR(255),
@@ -76,20 +85,132 @@ CREATE TABLE IF NOT EXISTS patients (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Consent records per patient; the latest one governs how their specimens may be used
+CREATE TABLE IF NOT EXISTS patient_consents (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+  consent_form_version VARCHAR(50) NOT NULL,
+  consent_date DATE NOT NULL,
+  future_research BOOLEAN NOT NULL DEFAULT FALSE,
+  genetic_testing BOOLEAN NOT NULL DEFAULT FALSE,
+  data_sharing BOOLEAN NOT NULL DEFAULT FALSE,
+  withdrawal_date DATE,
+  withdrawal_reason TEXT,
+  notes TEXT,
+  recorded_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (withdrawal_date IS NULL OR withdrawal_date >= consent_date)
+);
+
+-- Longitudinal visits (baseline, 6M, 12M...); days_from_baseline is kept up to date by the API
+CREATE TABLE IF NOT EXISTS patient_visits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+  visit_label VARCHAR(50) NOT NULL,
+  visit_date DATE,
+  days_from_baseline INTEGER,
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (patient_id, visit_label)
+);
+
+-- Per-project membership; admins and lab managers see all projects without it
+CREATE TABLE IF NOT EXISTS project_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  added_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (project_id, user_id)
+);
+
+-- Recipients of de-identified exports; pseudonym_key keeps their pseudonyms stable across releases
+CREATE TABLE IF NOT EXISTS deidentification_recipients (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  pseudonym_key VARCHAR(64) NOT NULL,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS deidentified_releases (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  recipient_id UUID NOT NULL REFERENCES deidentification_recipients(id),
+  purpose TEXT,
+  specimen_count INTEGER NOT NULL,
+  patient_count INTEGER NOT NULL,
+  columns JSONB,
+  filter_criteria JSONB,
+  filename VARCHAR(255),
+  released_by UUID REFERENCES users(id),
+  released_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Storage hierarchy: freezer -> shelf -> rack -> box
+CREATE TABLE IF NOT EXISTS storage_freezers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(100) NOT NULL,
+  location VARCHAR(255),
+  temperature VARCHAR(50),
+  description TEXT,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS storage_shelves (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  freezer_id UUID NOT NULL REFERENCES storage_freezers(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  display_order INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS storage_racks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  freezer_id UUID NOT NULL REFERENCES storage_freezers(id) ON DELETE CASCADE,
+  shelf_id UUID REFERENCES storage_shelves(id) ON DELETE SET NULL,
+  name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS storage_boxes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  rack_id UUID NOT NULL REFERENCES storage_racks(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  box_type VARCHAR(100),
+  num_rows INTEGER NOT NULL DEFAULT 9 CHECK (num_rows BETWEEN 1 AND 26),
+  num_columns INTEGER NOT NULL DEFAULT 9 CHECK (num_columns BETWEEN 1 AND 48),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Specimen table with ALL functionality
 CREATE TABLE IF NOT EXISTS specimens (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   specimen_number INTEGER UNIQUE,
   project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
   patient_id UUID REFERENCES patients(id) ON DELETE CASCADE,
+  visit_id UUID REFERENCES patient_visits(id) ON DELETE SET NULL,
   tube_id VARCHAR(255),
   extracted BOOLEAN DEFAULT FALSE,
   initial_quantity DECIMAL(10, 2),
+  remaining_quantity DECIMAL(10, 2),
   position_freezer VARCHAR(100),
   position_rack VARCHAR(100),
   position_box VARCHAR(100),
   position_dimension_one VARCHAR(10),
   position_dimension_two VARCHAR(10),
+  storage_box_id UUID REFERENCES storage_boxes(id) ON DELETE SET NULL,
+  storage_row INTEGER,
+  storage_column INTEGER,
   activity_status VARCHAR(50),
   date_collected DATE,
   collection_category VARCHAR(255),
@@ -108,6 +229,46 @@ CREATE TABLE IF NOT EXISTS specimens (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Specimen lineage: aliquots and derivatives (pools have one row per parent)
+CREATE TABLE IF NOT EXISTS specimen_lineage (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  parent_specimen_id UUID NOT NULL REFERENCES specimens(id) ON DELETE CASCADE,
+  child_specimen_id UUID NOT NULL REFERENCES specimens(id) ON DELETE CASCADE,
+  derivation_type VARCHAR(20) NOT NULL CHECK (derivation_type IN ('aliquot', 'extract', 'pool', 'library')),
+  quantity_used DECIMAL(10, 2),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (parent_specimen_id, child_specimen_id),
+  CHECK (parent_specimen_id <> child_specimen_id)
+);
+
+-- Specimen quantity ledger (remaining_quantity moves only through these rows)
+CREATE TABLE IF NOT EXISTS specimen_transactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  specimen_id UUID NOT NULL REFERENCES specimens(id) ON DELETE CASCADE,
+  transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('withdrawal', 'return', 'aliquot', 'correction')),
+  quantity_change DECIMAL(10, 2) NOT NULL,
+  quantity_after DECIMAL(10, 2) NOT NULL CHECK (quantity_after >= 0),
+  reason TEXT,
+  performed_by UUID REFERENCES users(id),
+  transaction_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  experiment_id UUID,
+  related_specimen_id UUID REFERENCES specimens(id) ON DELETE SET NULL
+);
+
+-- Chain of custody: checkouts, returns, thaws, freezer transfers and shipments
+CREATE TABLE IF NOT EXISTS specimen_custody_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  specimen_id UUID NOT NULL REFERENCES specimens(id) ON DELETE CASCADE,
+  event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('checkout', 'return', 'thaw', 'transfer', 'shipment')),
+  custodian_id UUID REFERENCES users(id),
+  from_location TEXT,
+  to_location TEXT,
+  notes TEXT,
+  performed_by UUID REFERENCES users(id),
+  event_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Protocols table for lab procedures
 CREATE TABLE IF NOT EXISTS protocols (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -117,12 +278,33 @@ CREATE TABLE IF NOT EXISTS protocols (
   version VARCHAR(50) DEFAULT '1.0',
   required_reagents JSONB DEFAULT '[]'::jsonb,
   basic_steps TEXT,
+  steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+  revision INTEGER NOT NULL DEFAULT 1,
+  current_version INTEGER NOT NULL DEFAULT 1,
   is_active BOOLEAN DEFAULT true,
   created_by UUID REFERENCES users(id),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Every version of a protocol's content, numbered and read-only; written by trigger
+CREATE TABLE IF NOT EXISTS protocol_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  protocol_id UUID NOT NULL REFERENCES protocols(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  version_label VARCHAR(50),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  required_reagents JSONB DEFAULT '[]'::jsonb,
+  basic_steps TEXT,
+  steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+  change_summary TEXT,
+  branched_from_version_id UUID REFERENCES protocol_versions(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (protocol_id, version_number)
+);
+
 -- Protocol documents management
 CREATE TABLE IF NOT EXISTS protocol_documents (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -215,28 +397,200 @@ CREATE TABLE IF NOT EXISTS inventory_transactions (
   transaction_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   experiment_id UUID,
   transaction_status VARCHAR(50) DEFAULT 'completed',
-  transaction_unit VARCHAR(20)
+  transaction_unit VARCHAR(20),
+  reserved_quantity DECIMAL(10,2),
+  reserved_unit VARCHAR(20)
 );
 
 -- ================================================================================
 -- EXPERIMENT MANAGEMENT SYSTEM  
 -- ================================================================================
 
+-- Saved experiment set-ups: protocol, reagents drawn per sample, plate layout, assignee,
+-- instrument (an equipment inventory item) and an optional weekly recurrence
+CREATE TABLE IF NOT EXISTS experiment_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  protocol_id UUID NOT NULL REFERENCES protocols(id),
+  assignee_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  instrument_id UUID REFERENCES inventory(id) ON DELETE SET NULL,
+  default_reagents JSONB NOT NULL DEFAULT '[]'::jsonb,
+  plate_layout JSONB,
+  recurrence JSONB,
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Experiments table
 CREATE TABLE IF NOT EXISTS experiments (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   experiment_id INTEGER UNIQUE NOT NULL,
   protocol_id UUID REFERENCES protocols(id),
+  protocol_version_id UUID REFERENCES protocol_versions(id),
   user_id UUID REFERENCES users(id),
   date_performed DATE,
-  status VARCHAR(50) DEFAULT 'planned',
+  status VARCHAR(50) NOT NULL DEFAULT 'planned'
+    CHECK (status IN ('planned', 'in_progress', 'completed', 'failed', 'cancelled')),
   sample_ids JSONB DEFAULT '[]'::jsonb,
   actual_reagents_used JSONB DEFAULT '[]'::jsonb,
   notes TEXT,
+  revision INTEGER NOT NULL DEFAULT 1,
+  execution_started_at TIMESTAMP,
+  execution_completed_at TIMESTAMP,
+  instrument_id UUID REFERENCES inventory(id) ON DELETE SET NULL,
+  template_id UUID REFERENCES experiment_templates(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bench execution record: the protocol version's steps, copied when the experiment is
+-- started, with what happened at each
+CREATE TABLE IF NOT EXISTS experiment_step_records (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  experiment_id UUID NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+  step_number INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  instructions TEXT,
+  duration_minutes NUMERIC,
+  parameters JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'in_progress', 'done', 'skipped')),
+  actual_values JSONB NOT NULL DEFAULT '{}'::jsonb,
+  deviation TEXT,
+  notes TEXT,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  completed_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (experiment_id, step_number)
+);
+
+-- Plates an experiment ran in (24 to 384 wells) and what was placed in each filled well
+CREATE TABLE IF NOT EXISTS experiment_plates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  experiment_id UUID NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  plate_format INTEGER NOT NULL DEFAULT 96 CHECK (plate_format IN (24, 48, 96, 384)),
+  num_rows INTEGER NOT NULL CHECK (num_rows BETWEEN 1 AND 16),
+  num_columns INTEGER NOT NULL CHECK (num_columns BETWEEN 1 AND 24),
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE IF NOT EXISTS experiment_plate_wells (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  plate_id UUID NOT NULL REFERENCES experiment_plates(id) ON DELETE CASCADE,
+  well_row INTEGER NOT NULL CHECK (well_row >= 1),
+  well_column INTEGER NOT NULL CHECK (well_column >= 1),
+  well_type VARCHAR(20) NOT NULL
+    CHECK (well_type IN ('specimen', 'positive_control', 'negative_control', 'blank')),
+  specimen_id UUID REFERENCES specimens(id) ON DELETE CASCADE,
+  label VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (plate_id, well_row, well_column),
+  CHECK ((well_type = 'specimen') = (specimen_id IS NOT NULL))
+);
+
+-- Electronic signatures on protocols and experiments, bound to a hash of the signed content.
+-- A record signed at its current revision is read-only until a new revision is started.
+CREATE TABLE IF NOT EXISTS electronic_signatures (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  table_name VARCHAR(50) NOT NULL CHECK (table_name IN ('protocols', 'experiments')),
+  record_id UUID NOT NULL,
+  revision INTEGER NOT NULL,
+  meaning VARCHAR(20) NOT NULL CHECK (meaning IN ('authored', 'reviewed', 'approved')),
+  content_hash CHAR(64) NOT NULL,
+  signed_content JSONB NOT NULL,
+  comment TEXT,
+  signed_by UUID NOT NULL REFERENCES users(id),
+  signer_name VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(64),
+  signed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (table_name, record_id, revision, meaning, signed_by)
+);
+
+-- ================================================================================
+-- SHIPMENTS
+-- ================================================================================
+
+CREATE SEQUENCE IF NOT EXISTS shipment_number_seq;
+
+-- Outbound shipments of specimens to collaborators
+CREATE TABLE IF NOT EXISTS shipments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shipment_number INTEGER UNIQUE NOT NULL DEFAULT nextval('shipment_number_seq'),
+  collaborator_id UUID NOT NULL REFERENCES collaborators(id),
+  project_id UUID REFERENCES projects(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'preparing'
+    CHECK (status IN ('preparing', 'shipped', 'received', 'cancelled')),
+  carrier VARCHAR(100),
+  tracking_number VARCHAR(100),
+  ship_date DATE,
+  received_date DATE,
+  temperature_condition VARCHAR(30)
+    CHECK (temperature_condition IN ('ambient', 'refrigerated', 'dry_ice', 'liquid_nitrogen')),
+  recipient_name VARCHAR(255),
+  destination_address TEXT,
+  notes TEXT,
+  created_by UUID REFERENCES users(id),
+  shipped_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (received_date IS NULL OR ship_date IS NULL OR received_date >= ship_date)
+);
+
+-- Specimens packed in a shipment, with the storage position each one left
+CREATE TABLE IF NOT EXISTS shipment_specimens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+  specimen_id UUID NOT NULL REFERENCES specimens(id) ON DELETE CASCADE,
+  storage_location TEXT,
+  UNIQUE (shipment_id, specimen_id)
+);
+
+-- ================================================================================
+-- SPECIMEN RECEIVING
+-- ================================================================================
+
+-- Inbound boxes checked against the collaborator's manifest before import
+CREATE TABLE IF NOT EXISTS specimen_receipts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  date_received DATE NOT NULL DEFAULT CURRENT_DATE,
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'committed', 'cancelled')),
+  manifest_filename VARCHAR(255),
+  notes TEXT,
+  received_by UUID REFERENCES users(id),
+  committed_by UUID REFERENCES users(id),
+  committed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per manifest tube, plus extra tubes scanned that were not on the manifest
+CREATE TABLE IF NOT EXISTS specimen_receipt_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  receipt_id UUID NOT NULL REFERENCES specimen_receipts(id) ON DELETE CASCADE,
+  tube_id VARCHAR(255) NOT NULL,
+  manifest_row INTEGER,
+  manifest_data JSONB,
+  status VARCHAR(20) NOT NULL DEFAULT 'expected'
+    CHECK (status IN ('expected', 'checked_in', 'missing', 'extra')),
+  damaged BOOLEAN NOT NULL DEFAULT FALSE,
+  condition_notes TEXT,
+  checked_in_by UUID REFERENCES users(id),
+  checked_in_at TIMESTAMP,
+  specimen_id UUID REFERENCES specimens(id) ON DELETE SET NULL,
+  UNIQUE (receipt_id, tube_id)
+);
+
 -- ================================================================================
 -- SYSTEM CONFIGURATION
 -- ================================================================================
@@ -254,6 +608,64 @@ CREATE TABLE IF NOT EXISTS system_options (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Which roles hold each permission in config/permissions.js; edited by admins
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'lab_manager', 'lab_technician', 'bioinformatician', 'researcher')),
+  permission VARCHAR(100) NOT NULL,
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (role, permission)
+);
+
+-- API tokens for scripts, owned by a person or a service account; only the hash is stored
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  token_prefix VARCHAR(20) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  scopes TEXT[],
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(45),
+  revoked_at TIMESTAMP,
+  revoked_by UUID REFERENCES users(id),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One-time recovery codes for TOTP two-factor authentication (SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Login sessions; access tokens name their session so revoking it ends access at once
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  previous_token_hash VARCHAR(64),
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50)
+);
+
+-- SSO logins in progress, between the redirect to the identity provider and its callback
+CREATE TABLE IF NOT EXISTS oidc_login_states (
+  state VARCHAR(64) PRIMARY KEY,
+  code_verifier VARCHAR(128) NOT NULL,
+  nonce VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ================================================================================
 -- AUDIT AND MIGRATION SUPPORT
 -- ================================================================================
@@ -266,7 +678,11 @@ CREATE TABLE IF NOT EXISTS audit_log (
   table_name VARCHAR(50) NOT NULL,
   record_id UUID NOT NULL,
   changed_fields JSONB,
-  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  -- Hash chain, filled in after commit by seal_audit_log(); NULL until then
+  sequence_number BIGINT,
+  previous_hash CHAR(64),
+  entry_hash CHAR(64)
 );
 
 -- ID generation logging
@@ -692,24 +1108,75 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Consume reserved inventory for experiment
+-- Quantity in inventory stock units (mL for liquids), converting the way reservations do
+CREATE OR REPLACE FUNCTION reagent_stock_quantity(p_quantity DECIMAL, p_unit TEXT)
+RETURNS DECIMAL AS $$
+BEGIN
+  IF p_unit IN ('µL', 'μL', 'ul', 'uL') THEN
+    RETURN p_quantity / 1000.0;
+  END IF;
+  RETURN p_quantity;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Consume reserved inventory for experiment. Where p_actual_usage ([{inventory_id, quantity, unit}])
+-- gives what was really used, the difference from the reservation goes back to (or comes out of)
+-- stock; the reserved amount is kept on the transaction for reconciliation.
 CREATE OR REPLACE FUNCTION consume_reserved_inventory(p_experiment_id UUID, p_actual_usage JSONB DEFAULT NULL)
 RETURNS BOOLEAN AS $$
 DECLARE
   reservation RECORD;
+  usage JSONB;
+  used_quantity DECIMAL(10,2);
+  used_unit TEXT;
+  applied UUID[] := '{}';
 BEGIN
-  FOR reservation IN 
+  FOR reservation IN
     SELECT * FROM inventory_transactions
     WHERE experiment_id = p_experiment_id
       AND transaction_status = 'reserved'
+    ORDER BY transaction_date, id
   LOOP
-    -- Mark reservation as consumed
-    UPDATE inventory_transactions
-    SET transaction_status = 'consumed',
-        reason = 'Used in experiment'
-    WHERE id = reservation.id;
+    usage := NULL;
+    -- Actual usage is applied once per inventory item, to its first reservation
+    IF p_actual_usage IS NOT NULL AND jsonb_typeof(p_actual_usage) = 'array'
+       AND NOT (reservation.inventory_id = ANY(applied)) THEN
+      SELECT item INTO usage
+      FROM jsonb_array_elements(p_actual_usage) AS item
+      WHERE item->>'inventory_id' = reservation.inventory_id::TEXT
+        AND item->>'quantity' ~ '^[0-9]*\.?[0-9]+$'
+      LIMIT 1;
+    END IF;
+
+    IF usage IS NULL THEN
+      UPDATE inventory_transactions
+      SET transaction_status = 'consumed',
+          reason = 'Used in experiment',
+          reserved_quantity = ABS(quantity_change),
+          reserved_unit = transaction_unit
+      WHERE id = reservation.id;
+    ELSE
+      applied := applied || reservation.inventory_id;
+      used_quantity := (usage->>'quantity')::DECIMAL;
+      used_unit := COALESCE(NULLIF(usage->>'unit', ''), reservation.transaction_unit);
+
+      UPDATE inventory
+      SET current_quantity = current_quantity
+        + reagent_stock_quantity(ABS(reservation.quantity_change), reservation.transaction_unit)
+        - reagent_stock_quantity(used_quantity, used_unit)
+      WHERE id = reservation.inventory_id;
+
+      UPDATE inventory_transactions
+      SET transaction_status = 'consumed',
+          reason = 'Used in experiment',
+          reserved_quantity = ABS(quantity_change),
+          reserved_unit = transaction_unit,
+          quantity_change = -used_quantity,
+          transaction_unit = used_unit
+      WHERE id = reservation.id;
+    END IF;
   END LOOP;
-  
+
   RETURN TRUE;
 END;
 $$ LANGUAGE plpgsql;
@@ -749,39 +1216,312 @@ CREATE TRIGGER update_protocol_timestamp BEFORE UPDATE ON protocols FOR EACH ROW
 CREATE TRIGGER update_inventory_timestamp BEFORE UPDATE ON inventory FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
 CREATE TRIGGER update_experiments_timestamp BEFORE UPDATE ON experiments FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
 CREATE TRIGGER update_system_options_timestamp BEFORE UPDATE ON system_options FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_storage_freezer_timestamp BEFORE UPDATE ON storage_freezers FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_storage_shelf_timestamp BEFORE UPDATE ON storage_shelves FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_storage_rack_timestamp BEFORE UPDATE ON storage_racks FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_storage_box_timestamp BEFORE UPDATE ON storage_boxes FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_shipment_timestamp BEFORE UPDATE ON shipments FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_specimen_receipt_timestamp BEFORE UPDATE ON specimen_receipts FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_patient_consent_timestamp BEFORE UPDATE ON patient_consents FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_patient_visit_timestamp BEFORE UPDATE ON patient_visits FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_experiment_step_record_timestamp BEFORE UPDATE ON experiment_step_records FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_experiment_plate_timestamp BEFORE UPDATE ON experiment_plates FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+CREATE TRIGGER update_experiment_template_timestamp BEFORE UPDATE ON experiment_templates FOR EACH ROW EXECUTE PROCEDURE update_modified_column();
+
+-- Hash of one entry's contents and the hash of the entry before it
+CREATE OR REPLACE FUNCTION audit_entry_hash(
+  entry_id UUID,
+  previous_hash TEXT,
+  entry_sequence BIGINT,
+  user_id UUID,
+  action TEXT,
+  table_name TEXT,
+  record_id UUID,
+  changed_fields JSONB,
+  entry_timestamp TIMESTAMP
+)
+RETURNS TEXT AS $$
+  SELECT encode(sha256(convert_to(concat_ws('|',
+    entry_id::text,
+    COALESCE(previous_hash, ''),
+    entry_sequence::text,
+    COALESCE(user_id::text, ''),
+    action,
+    table_name,
+    record_id::text,
+    COALESCE(changed_fields::text, ''),
+    COALESCE(to_char(entry_timestamp, 'YYYY-MM-DD"T"HH24:MI:SS.US'), '')
+  ), 'UTF8')), 'hex');
+$$ LANGUAGE sql STABLE;
+
+-- Give unsealed entries (sequence_number still NULL) their place in the chain, oldest first,
+-- after the last sealed entry; at most batch_size of them, or all when it is NULL. Row writes
+-- insert their entries unsealed and never wait on the chain: only sealers take the advisory
+-- lock, and one that finds it taken returns 0 and leaves the work to the sealer holding it.
+-- Entries of transactions still in flight are invisible here and get sealed by a later run.
+CREATE OR REPLACE FUNCTION seal_audit_log(batch_size INTEGER DEFAULT 1000)
+RETURNS INTEGER AS $$
+DECLARE
+  entry RECORD;
+  last_sequence BIGINT;
+  last_hash TEXT;
+  sealed INTEGER := 0;
+BEGIN
+  IF NOT pg_try_advisory_xact_lock(hashtext('audit_log_chain')) THEN
+    RETURN 0;
+  END IF;
+
+  SELECT sequence_number, entry_hash INTO last_sequence, last_hash
+  FROM audit_log
+  WHERE sequence_number IS NOT NULL
+  ORDER BY sequence_number DESC
+  LIMIT 1;
+  last_sequence := COALESCE(last_sequence, 0);
+
+  FOR entry IN
+    SELECT * FROM audit_log WHERE sequence_number IS NULL ORDER BY timestamp, id LIMIT batch_size
+  LOOP
+    last_sequence := last_sequence + 1;
+    UPDATE audit_log
+    SET sequence_number = last_sequence,
+        previous_hash = last_hash,
+        entry_hash = audit_entry_hash(entry.id, last_hash, last_sequence, entry.user_id, entry.action,
+          entry.table_name, entry.record_id, entry.changed_fields, entry.timestamp)
+    WHERE id = entry.id
+    RETURNING audit_log.entry_hash INTO last_hash;
+    sealed := sealed + 1;
+  END LOOP;
 
--- Metadata change logging function
-CREATE OR REPLACE FUNCTION log_specimen_metadata_changes()
+  RETURN sealed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- CREATE / UPDATE / DELETE entry for a row change. Updates record only the columns that
+-- changed; secrets (including de-identification pseudonym keys) are masked and login/usage
+-- bookkeeping is ignored.
+CREATE OR REPLACE FUNCTION audit_row_change()
 RETURNS TRIGGER AS $$
+DECLARE
+  secret_columns TEXT[] := ARRAY['password', 'totp_secret', 'token_hash', 'code_hash', 'refresh_token_hash', 'previous_token_hash', 'pseudonym_key'];
+  ignored_columns TEXT[] := ARRAY['updated_at', 'last_login', 'failed_login_attempts', 'last_used_at', 'last_used_ip', 'totp_last_step'];
+  old_row JSONB;
+  new_row JSONB;
+  before_values JSONB;
+  after_values JSONB;
+  col TEXT;
 BEGIN
-  IF TG_OP = 'UPDATE' AND OLD.metadata IS DISTINCT FROM NEW.metadata THEN
-    INSERT INTO audit_log (
-      user_id, 
-      action, 
-      table_name, 
-      record_id, 
-      changed_fields
-    ) VALUES (
-      NULL,  -- Use NULL for system-triggered changes
-      'UPDATE_METADATA',
-      'specimens',
-      NEW.id,
-      jsonb_build_object(
-        'old_metadata', OLD.metadata,
-        'new_metadata', NEW.metadata
-      )
-    );
+  IF TG_OP <> 'INSERT' THEN
+    old_row := to_jsonb(OLD);
   END IF;
-  
-  RETURN COALESCE(NEW, OLD);
+  IF TG_OP <> 'DELETE' THEN
+    new_row := to_jsonb(NEW);
+  END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    before_values := '{}'::jsonb;
+    after_values := '{}'::jsonb;
+    FOR col IN
+      SELECT key FROM jsonb_object_keys(new_row) AS key
+      WHERE key <> ALL(ignored_columns) AND new_row -> key IS DISTINCT FROM old_row -> key
+    LOOP
+      before_values := before_values || jsonb_build_object(col, old_row -> col);
+      after_values := after_values || jsonb_build_object(col, new_row -> col);
+    END LOOP;
+
+    IF before_values = '{}'::jsonb THEN
+      RETURN NULL;
+    END IF;
+  ELSE
+    before_values := old_row;
+    after_values := new_row;
+  END IF;
+
+  FOREACH col IN ARRAY secret_columns LOOP
+    IF before_values ? col THEN
+      before_values := before_values || jsonb_build_object(col, '[redacted]'::text);
+    END IF;
+    IF after_values ? col THEN
+      after_values := after_values || jsonb_build_object(col, '[redacted]'::text);
+    END IF;
+  END LOOP;
+
+  INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+  VALUES (
+    NULLIF(current_setting('app.current_user_id', true), '')::uuid,
+    CASE TG_OP WHEN 'INSERT' THEN 'CREATE' ELSE TG_OP END,
+    TG_TABLE_NAME,
+    (COALESCE(new_row, old_row) ->> 'id')::uuid,
+    CASE TG_OP
+      WHEN 'INSERT' THEN jsonb_build_object('after', after_values)
+      WHEN 'DELETE' THEN jsonb_build_object('before', before_values)
+      ELSE jsonb_build_object('before', before_values, 'after', after_values)
+    END
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_users AFTER INSERT OR UPDATE OR DELETE ON users FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_collaborators AFTER INSERT OR UPDATE OR DELETE ON collaborators FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_projects AFTER INSERT OR UPDATE OR DELETE ON projects FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_project_members AFTER INSERT OR UPDATE OR DELETE ON project_members FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_patients AFTER INSERT OR UPDATE OR DELETE ON patients FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_patient_consents AFTER INSERT OR UPDATE OR DELETE ON patient_consents FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_patient_visits AFTER INSERT OR UPDATE OR DELETE ON patient_visits FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_deidentification_recipients AFTER INSERT OR UPDATE OR DELETE ON deidentification_recipients FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_deidentified_releases AFTER INSERT OR UPDATE OR DELETE ON deidentified_releases FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_storage_freezers AFTER INSERT OR UPDATE OR DELETE ON storage_freezers FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_storage_shelves AFTER INSERT OR UPDATE OR DELETE ON storage_shelves FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_storage_racks AFTER INSERT OR UPDATE OR DELETE ON storage_racks FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_storage_boxes AFTER INSERT OR UPDATE OR DELETE ON storage_boxes FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_specimens AFTER INSERT OR UPDATE OR DELETE ON specimens FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_specimen_lineage AFTER INSERT OR UPDATE OR DELETE ON specimen_lineage FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_specimen_transactions AFTER INSERT OR UPDATE OR DELETE ON specimen_transactions FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_specimen_custody_events AFTER INSERT OR UPDATE OR DELETE ON specimen_custody_events FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_specimen_receipts AFTER INSERT OR UPDATE OR DELETE ON specimen_receipts FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_specimen_receipt_items AFTER INSERT OR UPDATE OR DELETE ON specimen_receipt_items FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_shipments AFTER INSERT OR UPDATE OR DELETE ON shipments FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_shipment_specimens AFTER INSERT OR UPDATE OR DELETE ON shipment_specimens FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_protocols AFTER INSERT OR UPDATE OR DELETE ON protocols FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_protocol_documents AFTER INSERT OR UPDATE OR DELETE ON protocol_documents FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_extracted_protocol_data AFTER INSERT OR UPDATE OR DELETE ON extracted_protocol_data FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_inventory_categories AFTER INSERT OR UPDATE OR DELETE ON inventory_categories FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_inventory AFTER INSERT OR UPDATE OR DELETE ON inventory FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_inventory_transactions AFTER INSERT OR UPDATE OR DELETE ON inventory_transactions FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_experiments AFTER INSERT OR UPDATE OR DELETE ON experiments FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_system_options AFTER INSERT OR UPDATE OR DELETE ON system_options FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_api_tokens AFTER INSERT OR UPDATE OR DELETE ON api_tokens FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_electronic_signatures AFTER INSERT OR UPDATE OR DELETE ON electronic_signatures FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_experiment_step_records AFTER INSERT OR UPDATE OR DELETE ON experiment_step_records FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_experiment_plates AFTER INSERT OR UPDATE OR DELETE ON experiment_plates FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_experiment_plate_wells AFTER INSERT OR UPDATE OR DELETE ON experiment_plate_wells FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_experiment_templates AFTER INSERT OR UPDATE OR DELETE ON experiment_templates FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- Signatures are permanent
+CREATE OR REPLACE FUNCTION prevent_signature_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Electronic signatures cannot be changed or removed';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER prevent_signature_change BEFORE UPDATE OR DELETE ON electronic_signatures
+  FOR EACH ROW EXECUTE FUNCTION prevent_signature_change();
+
+-- Protocol versions never change, apart from losing the link to a deleted protocol's
+-- version they were branched from
+CREATE OR REPLACE FUNCTION prevent_protocol_version_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.branched_from_version_id IS NULL
+     AND to_jsonb(NEW) - 'branched_from_version_id' = to_jsonb(OLD) - 'branched_from_version_id' THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'Protocol versions cannot be changed';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER prevent_protocol_version_change BEFORE UPDATE ON protocol_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_protocol_version_change();
+
+-- A new protocol is version 1; each change to its content is the next version
+CREATE OR REPLACE FUNCTION number_protocol_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    NEW.current_version := 1;
+  ELSIF (NEW.name, NEW.description, NEW.version, NEW.required_reagents, NEW.basic_steps, NEW.steps)
+        IS DISTINCT FROM (OLD.name, OLD.description, OLD.version, OLD.required_reagents, OLD.basic_steps, OLD.steps) THEN
+    NEW.current_version := OLD.current_version + 1;
+  ELSE
+    NEW.current_version := OLD.current_version;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Keep each numbered version. The app describes the change in transaction-local settings
+-- (see services/protocolVersionService.js); the author comes from app.current_user_id.
+CREATE OR REPLACE FUNCTION record_protocol_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.current_version = OLD.current_version THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO protocol_versions
+    (protocol_id, version_number, version_label, name, description, required_reagents, basic_steps, steps,
+     change_summary, branched_from_version_id, created_by)
+  VALUES (
+    NEW.id, NEW.current_version, NEW.version, NEW.name, NEW.description, NEW.required_reagents, NEW.basic_steps, NEW.steps,
+    NULLIF(current_setting('app.protocol_change_summary', true), ''),
+    NULLIF(current_setting('app.protocol_branched_from', true), '')::uuid,
+    COALESCE(NULLIF(current_setting('app.current_user_id', true), '')::uuid, NEW.created_by)
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER number_protocol_version BEFORE INSERT OR UPDATE ON protocols
+  FOR EACH ROW EXECUTE FUNCTION number_protocol_version();
+CREATE TRIGGER record_protocol_version AFTER INSERT OR UPDATE ON protocols
+  FOR EACH ROW EXECUTE FUNCTION record_protocol_version();
+
+-- Experiments use the protocol's current version unless they name one; changing an
+-- experiment's protocol moves it to that protocol's current version
+CREATE OR REPLACE FUNCTION pin_experiment_protocol_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.protocol_id IS NULL THEN
+    NEW.protocol_version_id := NULL;
+  ELSIF NEW.protocol_version_id IS NULL
+        OR (TG_OP = 'UPDATE' AND NEW.protocol_id IS DISTINCT FROM OLD.protocol_id
+            AND NEW.protocol_version_id IS NOT DISTINCT FROM OLD.protocol_version_id) THEN
+    SELECT pv.id INTO NEW.protocol_version_id
+    FROM protocols p
+    JOIN protocol_versions pv ON pv.protocol_id = p.id AND pv.version_number = p.current_version
+    WHERE p.id = NEW.protocol_id;
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM protocol_versions WHERE id = NEW.protocol_version_id AND protocol_id = NEW.protocol_id
+  ) THEN
+    RAISE EXCEPTION 'Protocol version % is not a version of protocol %', NEW.protocol_version_id, NEW.protocol_id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER pin_experiment_protocol_version BEFORE INSERT OR UPDATE ON experiments
+  FOR EACH ROW EXECUTE FUNCTION pin_experiment_protocol_version();
+
+-- Remaining quantity: starts at initial_quantity, follows edits until the ledger is used,
+-- and marks the specimen used up once nothing is left
+CREATE OR REPLACE FUNCTION sync_specimen_remaining_quantity()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.remaining_quantity IS NULL THEN
+      NEW.remaining_quantity := NEW.initial_quantity;
+    END IF;
+  ELSIF NEW.initial_quantity IS DISTINCT FROM OLD.initial_quantity
+        AND NEW.remaining_quantity IS NOT DISTINCT FROM OLD.remaining_quantity
+        AND NOT EXISTS (SELECT 1 FROM specimen_transactions WHERE specimen_id = NEW.id) THEN
+    NEW.remaining_quantity := NEW.initial_quantity;
+  END IF;
+
+  IF NEW.remaining_quantity IS NOT NULL AND NEW.remaining_quantity <= 0 THEN
+    NEW.used_up := TRUE;
+  ELSIF TG_OP = 'UPDATE' AND OLD.remaining_quantity IS NOT NULL AND OLD.remaining_quantity <= 0
+        AND NEW.remaining_quantity > 0 THEN
+    NEW.used_up := FALSE;
+  END IF;
+
+  RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
--- Metadata change trigger
-CREATE TRIGGER log_specimen_metadata_changes 
-  AFTER UPDATE ON specimens 
-  FOR EACH ROW 
-  EXECUTE FUNCTION log_specimen_metadata_changes();
+CREATE TRIGGER sync_specimen_remaining_quantity
+  BEFORE INSERT OR UPDATE ON specimens
+  FOR EACH ROW EXECUTE PROCEDURE sync_specimen_remaining_quantity();
 
 -- ================================================================================
 -- INDEXES FOR PERFORMANCE
@@ -798,6 +1538,13 @@ CREATE INDEX IF NOT EXISTS idx_protocols_id ON protocols(protocol_id);
 CREATE INDEX IF NOT EXISTS idx_specimens_metadata_gin ON specimens USING GIN (metadata);
 CREATE INDEX IF NOT EXISTS idx_protocols_required_reagents_gin ON protocols USING GIN (required_reagents);
 CREATE INDEX IF NOT EXISTS idx_experiments_sample_ids_gin ON experiments USING GIN (sample_ids);
+CREATE INDEX IF NOT EXISTS idx_electronic_signatures_record ON electronic_signatures(table_name, record_id);
+CREATE INDEX IF NOT EXISTS idx_experiments_protocol_version ON experiments(protocol_version_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_experiment_plates_name ON experiment_plates (experiment_id, LOWER(TRIM(name)));
+CREATE INDEX IF NOT EXISTS idx_experiment_plate_wells_specimen ON experiment_plate_wells (specimen_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_experiment_templates_name ON experiment_templates (LOWER(TRIM(name)));
+CREATE INDEX IF NOT EXISTS idx_experiments_date_performed ON experiments (date_performed);
+CREATE INDEX IF NOT EXISTS idx_experiments_template_date ON experiments (template_id, date_performed);
 
 -- Inventory indexes
 CREATE INDEX IF NOT EXISTS idx_inventory_id ON inventory(inventory_id);
@@ -845,6 +1592,50 @@ CREATE INDEX IF NOT EXISTS idx_specimens_position_freezer ON specimens(position_
 CREATE INDEX IF NOT EXISTS idx_specimens_position_rack ON specimens(position_rack);
 CREATE INDEX IF NOT EXISTS idx_specimens_position_box ON specimens(position_box);
 
+-- Storage hierarchy: names match case-insensitively, one specimen per well
+CREATE UNIQUE INDEX IF NOT EXISTS idx_storage_freezers_name ON storage_freezers (LOWER(TRIM(name)));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_storage_shelves_name ON storage_shelves (freezer_id, LOWER(TRIM(name)));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_storage_racks_name ON storage_racks (freezer_id, LOWER(TRIM(name)));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_storage_boxes_name ON storage_boxes (rack_id, LOWER(TRIM(name)));
+CREATE INDEX IF NOT EXISTS idx_storage_racks_shelf ON storage_racks(shelf_id);
+CREATE INDEX IF NOT EXISTS idx_specimens_storage_box ON specimens(storage_box_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_specimens_storage_well
+  ON specimens (storage_box_id, storage_row, storage_column)
+  WHERE storage_box_id IS NOT NULL AND storage_row IS NOT NULL AND storage_column IS NOT NULL;
+
+-- Specimen lineage indexes
+CREATE INDEX IF NOT EXISTS idx_specimen_lineage_parent ON specimen_lineage(parent_specimen_id);
+CREATE INDEX IF NOT EXISTS idx_specimen_lineage_child ON specimen_lineage(child_specimen_id);
+
+-- Specimen quantity ledger indexes
+CREATE INDEX IF NOT EXISTS idx_specimen_transactions_specimen ON specimen_transactions(specimen_id, transaction_date);
+CREATE INDEX IF NOT EXISTS idx_specimen_transactions_experiment ON specimen_transactions(experiment_id);
+CREATE INDEX IF NOT EXISTS idx_specimen_custody_events_specimen ON specimen_custody_events(specimen_id, event_time);
+CREATE INDEX IF NOT EXISTS idx_specimen_custody_events_custodian ON specimen_custody_events(custodian_id)
+  WHERE event_type = 'checkout';
+CREATE INDEX IF NOT EXISTS idx_shipments_collaborator ON shipments(collaborator_id);
+CREATE INDEX IF NOT EXISTS idx_shipments_status ON shipments(status);
+CREATE INDEX IF NOT EXISTS idx_shipment_specimens_specimen ON shipment_specimens(specimen_id);
+CREATE INDEX IF NOT EXISTS idx_specimen_receipts_project ON specimen_receipts(project_id, date_received);
+CREATE INDEX IF NOT EXISTS idx_specimen_receipt_items_receipt ON specimen_receipt_items(receipt_id, status);
+CREATE INDEX IF NOT EXISTS idx_patient_consents_patient ON patient_consents(patient_id, consent_date DESC);
+CREATE INDEX IF NOT EXISTS idx_patient_visits_patient ON patient_visits(patient_id, visit_date);
+CREATE INDEX IF NOT EXISTS idx_specimens_visit_id ON specimens(visit_id);
+CREATE INDEX IF NOT EXISTS idx_patients_first_name_index ON patients(first_name_index);
+CREATE INDEX IF NOT EXISTS idx_patients_last_name_index ON patients(last_name_index);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deidentification_recipients_name ON deidentification_recipients(LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_deidentified_releases_recipient ON deidentified_releases(recipient_id, released_at DESC);
+CREATE INDEX IF NOT EXISTS idx_project_members_user ON project_members(user_id, project_id);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_log_sequence ON audit_log(sequence_number);
+CREATE INDEX IF NOT EXISTS idx_audit_log_unsealed ON audit_log(timestamp, id) WHERE sequence_number IS NULL;
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log(table_name, record_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_identity ON users(oidc_issuer, oidc_subject)
+  WHERE oidc_subject IS NOT NULL;
+
 -- Sequencing search indexes (columns will be added in future sequencing module)
 -- CREATE INDEX IF NOT EXISTS idx_specimens_sequencing_run_id ON specimens(sequencing_run_id);
 -- CREATE INDEX IF NOT EXISTS idx_specimens_analysis_status ON specimens(analysis_status);
@@ -891,14 +1682,54 @@ SELECT
   e.updated_at,
   p.name AS protocol_name,
   p.description AS protocol_description,
-  p.version AS protocol_version,
+  COALESCE(pv.version_label, p.version) AS protocol_version,
   u.username AS performed_by_username,
   u.first_name AS performed_by_first_name,
   u.last_name AS performed_by_last_name,
-  jsonb_array_length(e.sample_ids) AS sample_count
+  jsonb_array_length(e.sample_ids) AS sample_count,
+  e.revision,
+  e.protocol_version_id,
+  pv.version_number AS protocol_version_number,
+  p.current_version AS protocol_current_version,
+  e.instrument_id,
+  i.name AS instrument_name,
+  e.template_id,
+  t.name AS template_name
 FROM experiments e
 LEFT JOIN protocols p ON e.protocol_id = p.id
-LEFT JOIN users u ON e.user_id = u.id;
+LEFT JOIN protocol_versions pv ON e.protocol_version_id = pv.id
+LEFT JOIN users u ON e.user_id = u.id
+LEFT JOIN inventory i ON e.instrument_id = i.id
+LEFT JOIN experiment_templates t ON e.template_id = t.id;
+
+-- Thaw count and current holder per specimen, derived from the custody log
+CREATE OR REPLACE VIEW specimen_custody_status AS
+WITH counts AS (
+  SELECT specimen_id,
+         COUNT(*) FILTER (WHERE event_type = 'thaw') AS thaw_count,
+         MAX(event_time) FILTER (WHERE event_type = 'thaw') AS last_thawed_at
+  FROM specimen_custody_events
+  GROUP BY specimen_id
+),
+latest AS (
+  SELECT DISTINCT ON (specimen_id) specimen_id, event_type, custodian_id, event_time
+  FROM specimen_custody_events
+  WHERE event_type IN ('checkout', 'return')
+  ORDER BY specimen_id, event_time DESC
+)
+SELECT counts.specimen_id,
+       counts.thaw_count::integer AS thaw_count,
+       counts.last_thawed_at,
+       CASE WHEN latest.event_type = 'checkout' THEN latest.custodian_id END AS checked_out_to,
+       CASE WHEN latest.event_type = 'checkout' THEN latest.event_time END AS checked_out_at
+FROM counts
+LEFT JOIN latest ON latest.specimen_id = counts.specimen_id;
+
+-- Current consent per patient: the latest one signed
+CREATE OR REPLACE VIEW patient_current_consent AS
+SELECT DISTINCT ON (patient_id) *
+FROM patient_consents
+ORDER BY patient_id, consent_date DESC, created_at DESC;
 
 -- ================================================================================
 -- DEFAULT DATA
@@ -945,6 +1776,7 @@ INSERT INTO system_options (category, option_key, option_value, display_order, d
 ('activity_status', 'qc_failed', 'QC Failed', 3, 'Specimen failed quality control'),
 ('activity_status', 'consumed', 'Consumed', 4, 'Specimen has been fully consumed'),
 ('activity_status', 'archived', 'Archived', 5, 'Specimen is archived for long-term storage'),
+('activity_status', 'shipped', 'Shipped', 6, 'Specimen has been shipped out of the lab'),
 
 ('collection_category', 'clinical', 'Clinical Sample', 1, 'Sample collected for clinical purposes'),
 ('collection_category', 'research', 'Research Sample', 2, 'Sample collected for research purposes'), 
@@ -968,7 +1800,9 @@ INSERT INTO system_options (category, option_key, option_value, display_order, d
 ('experiment_status', 'in_progress', 'In Progress', 2, 'Experiment is currently running'),
 ('experiment_status', 'completed', 'Completed', 3, 'Experiment completed successfully'),
 ('experiment_status', 'failed', 'Failed', 4, 'Experiment failed or was terminated'),
-('experiment_status', 'on_hold', 'On Hold', 5, 'Experiment temporarily paused')
+('experiment_status', 'cancelled', 'Cancelled', 5, 'Experiment called off; its reserved inventory was released'),
+
+('specimen_limits', 'thaw_limit', '3', 1, 'Freeze-thaw cycles before a specimen is flagged')
 
 ON CONFLICT (category, option_key) DO NOTHING;
 
@@ -984,6 +1818,92 @@ INSERT INTO inventory_categories (category_name, description, default_unit) VALU
   ('other', 'Miscellaneous lab supplies', 'pieces')
 ON CONFLICT (category_name) DO NOTHING;
 
+-- Default role permissions
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'specimen:edit'),
+  ('lab_manager', 'specimen:edit'),
+  ('lab_technician', 'specimen:edit'),
+  ('admin', 'specimen:delete'),
+  ('lab_manager', 'specimen:delete'),
+  ('lab_technician', 'specimen:delete'),
+  ('admin', 'specimen:receive'),
+  ('lab_manager', 'specimen:receive'),
+  ('lab_technician', 'specimen:receive'),
+  ('admin', 'patient:edit'),
+  ('lab_manager', 'patient:edit'),
+  ('lab_technician', 'patient:edit'),
+  ('admin', 'patient:delete'),
+  ('admin', 'visit:delete'),
+  ('lab_manager', 'visit:delete'),
+  ('admin', 'consent:manage'),
+  ('lab_manager', 'consent:manage'),
+  ('admin', 'consent:override'),
+  ('admin', 'phi:view'),
+  ('lab_manager', 'phi:view'),
+  ('admin', 'project:edit'),
+  ('lab_manager', 'project:edit'),
+  ('lab_technician', 'project:edit'),
+  ('admin', 'project:delete'),
+  ('admin', 'project:view_all'),
+  ('lab_manager', 'project:view_all'),
+  ('admin', 'collaborator:edit'),
+  ('lab_manager', 'collaborator:edit'),
+  ('lab_technician', 'collaborator:edit'),
+  ('admin', 'collaborator:delete'),
+  ('admin', 'protocol:edit'),
+  ('lab_manager', 'protocol:edit'),
+  ('lab_technician', 'protocol:edit'),
+  ('admin', 'protocol:delete'),
+  ('admin', 'experiment:edit_any'),
+  ('lab_manager', 'experiment:edit_any'),
+  ('admin', 'experiment:delete_any'),
+  ('admin', 'experiment:schedule'),
+  ('lab_manager', 'experiment:schedule'),
+  ('admin', 'esign:review'),
+  ('lab_manager', 'esign:review'),
+  ('lab_technician', 'esign:review'),
+  ('admin', 'esign:approve'),
+  ('lab_manager', 'esign:approve'),
+  ('admin', 'inventory:edit'),
+  ('lab_manager', 'inventory:edit'),
+  ('lab_technician', 'inventory:edit'),
+  ('admin', 'inventory:adjust'),
+  ('lab_manager', 'inventory:adjust'),
+  ('lab_technician', 'inventory:adjust'),
+  ('admin', 'inventory:delete'),
+  ('admin', 'storage:manage'),
+  ('lab_manager', 'storage:manage'),
+  ('admin', 'shipment:edit'),
+  ('lab_manager', 'shipment:edit'),
+  ('lab_technician', 'shipment:edit'),
+  ('admin', 'import:run'),
+  ('lab_manager', 'import:run'),
+  ('lab_technician', 'import:run'),
+  ('admin', 'import:legacy'),
+  ('admin', 'export:data'),
+  ('lab_manager', 'export:data'),
+  ('lab_technician', 'export:data'),
+  ('admin', 'export:phi'),
+  ('lab_manager', 'export:phi'),
+  ('admin', 'sequencing:import'),
+  ('lab_manager', 'sequencing:import'),
+  ('admin', 'audit:view'),
+  ('lab_manager', 'audit:view'),
+  ('admin', 'user:view'),
+  ('lab_manager', 'user:view'),
+  ('admin', 'user:manage'),
+  ('lab_manager', 'user:manage'),
+  ('admin', 'user:delete'),
+  ('admin', 'system:configure'),
+  ('admin', 'permission:manage'),
+  ('admin', 'token:create'),
+  ('lab_manager', 'token:create'),
+  ('lab_technician', 'token:create'),
+  ('bioinformatician', 'token:create'),
+  ('researcher', 'token:create'),
+  ('admin', 'service_account:manage')
+ON CONFLICT (role, permission) DO NOTHING;
+
 -- ================================================================================
 -- SEQUENCING DATA INTEGRATION
 -- ================================================================================
@@ -1069,6 +1989,10 @@ CREATE INDEX IF NOT EXISTS idx_sequencing_samples_wuid ON sequencing_samples(wui
 CREATE INDEX IF NOT EXISTS idx_sequencing_samples_link_status ON sequencing_samples(link_status);
 CREATE INDEX IF NOT EXISTS idx_sequencing_samples_library_id ON sequencing_samples(library_id);
 
+-- Audit trail (audit_row_change is defined with the other triggers above)
+CREATE TRIGGER audit_sequencing_runs AFTER INSERT OR UPDATE OR DELETE ON sequencing_runs FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_sequencing_samples AFTER INSERT OR UPDATE OR DELETE ON sequencing_samples FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
 -- ================================================================================
 -- UNKNOWN ENTITIES FOR MIGRATION IMPORTS
 -- ================================================================================
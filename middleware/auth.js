@@ -1,10 +1,14 @@
 const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { isApiToken, authenticateToken, recordTokenUse } = require('../services/apiTokenService');
+const { isSessionActive } = require('../services/sessionService');
+const { runAsUser } = require('../utils/requestContext');
 require('dotenv').config();
 
 module.exports = function(req, res, next) {
   // Get token from header (support both x-auth-token and Authorization Bearer)
   let token = req.header('x-auth-token');
-  
+
   // If no x-auth-token, check for Authorization Bearer header
   if (!token) {
     const authHeader = req.header('Authorization');
@@ -18,12 +22,59 @@ module.exports = function(req, res, next) {
     return res.status(401).json({ msg: 'No token, authorization denied' });
   }
 
+  // Personal access tokens and service account tokens are looked up in the database
+  if (isApiToken(token)) {
+    return authenticateToken(token)
+      .then(user => {
+        if (!user) {
+          return res.status(401).json({ msg: 'Token is not valid' });
+        }
+
+        req.user = user;
+        res.on('finish', () => recordTokenUse(user, {
+          method: req.method,
+          path: req.originalUrl.split('?')[0], // Query strings may carry search terms
+          status: res.statusCode,
+          ip: req.ip
+        }));
+        runAsUser(req, user.id, next);
+      })
+      .catch(err => {
+        logger.error('API token authentication failed:', err.message);
+        res.status(500).send('Server error');
+      });
+  }
+
   // Verify token
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded.user;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
-    res.status(401).json({ msg: 'Token is not valid' });
+    return res.status(401).json({ msg: 'Token is not valid' });
   }
+
+  // Access tokens belong to a login session; anything else (e.g. the token from the password
+  // step of a two-factor login) is not a session
+  if (!decoded.user || !decoded.user.sid) {
+    return res.status(401).json({ msg: 'Token is not valid' });
+  }
+
+  // Users whose role requires two-factor authentication can only set it up until they have
+  if (decoded.user.totp_setup_only && !req.originalUrl.startsWith('/api/auth/')) {
+    return res.status(403).json({ msg: 'Set up two-factor authentication to continue', totp_setup_required: true });
+  }
+
+  // The session may have been revoked since the token was issued (logout, deactivation, ...)
+  isSessionActive(decoded.user.sid, decoded.user.id)
+    .then(active => {
+      if (!active) {
+        return res.status(401).json({ msg: 'Session has ended' });
+      }
+      req.user = decoded.user;
+      runAsUser(req, req.user.id, next);
+    })
+    .catch(err => {
+      logger.error('Session check failed:', err.message);
+      res.status(500).send('Server error');
+    });
 };
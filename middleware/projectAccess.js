@@ -0,0 +1,29 @@
+// Middleware to check per-project access for the record named in a route param
+
+const db = require('../db');
+const logger = require('../utils/logger');
+const {
+  assertProjectAccess,
+  assertSpecimenAccess,
+  assertPatientAccess
+} = require('../services/projectAccessService');
+
+const guard = (assertAccess) => (minRole = 'viewer', param = 'id') =>
+  async function(req, res, next) {
+    try {
+      await assertAccess(db, req.user, req.params[param], minRole);
+      next();
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      logger.error('Project access check failed:', err.message);
+      res.status(500).send('Server error');
+    }
+  };
+
+module.exports = {
+  projectAccess: guard(assertProjectAccess),
+  specimenAccess: guard(assertSpecimenAccess),
+  patientAccess: guard(assertPatientAccess)
+};
@@ -0,0 +1,19 @@
+// Middleware to check that the user's role holds a permission from config/permissions.js
+
+const { PERMISSION_KEYS } = require('../config/permissions');
+const { can } = require('../services/permissionService');
+
+module.exports = function(permission) {
+  // Fail when the routes load rather than on the first request
+  if (!PERMISSION_KEYS.includes(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return function(req, res, next) {
+    if (!can(req.user, permission)) {
+      return res.status(403).json({ msg: 'Access denied: insufficient permissions' });
+    }
+
+    next();
+  };
+};
@@ -3,21 +3,26 @@ const router = express.Router();
 const auth = require('../middleware/auth');
 const db = require('../db');
 const logger = require('../utils/logger');
+const { projectScope } = require('../services/projectAccessService');
+
+// Every figure is computed over the projects the requesting user can see
 
 // @route   GET api/analytics/overview
 // @desc    Get overview statistics
 // @access  Private
 router.get('/overview', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 'project_id', 1);
+    const projectIdScope = projectScope(req.user, 'id', 1).condition;
     const result = await db.query(`
       SELECT
-        (SELECT COUNT(*) FROM specimens) as total_specimens,
-        (SELECT COUNT(*) FROM projects) as total_projects,
-        (SELECT COUNT(*) FROM collaborators) as total_collaborators,
-        (SELECT COUNT(*) FROM specimens WHERE created_at >= NOW() - INTERVAL '30 days') as specimens_last_30_days,
-        (SELECT COUNT(*) FROM specimens WHERE extracted = true) as specimens_extracted,
-        (SELECT COUNT(*) FROM specimens WHERE used_up = true) as specimens_used_up
-    `);
+        (SELECT COUNT(*) FROM specimens WHERE ${scope.condition}) as total_specimens,
+        (SELECT COUNT(*) FROM projects WHERE ${projectIdScope}) as total_projects,
+        (SELECT COUNT(DISTINCT collaborator_id) FROM projects WHERE ${projectIdScope}) as total_collaborators,
+        (SELECT COUNT(*) FROM specimens WHERE created_at >= NOW() - INTERVAL '30 days' AND ${scope.condition}) as specimens_last_30_days,
+        (SELECT COUNT(*) FROM specimens WHERE extracted = true AND ${scope.condition}) as specimens_extracted,
+        (SELECT COUNT(*) FROM specimens WHERE used_up = true AND ${scope.condition}) as specimens_used_up
+    `, scope.params);
 
     res.json(result.rows[0]);
   } catch (err) {
@@ -31,16 +36,18 @@ router.get('/overview', auth, async (req, res) => {
 // @access  Private
 router.get('/specimens-by-site', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 's.project_id', 1);
     const result = await db.query(`
       SELECT
         COALESCE(NULLIF(p.specimen_type, ''), 'Not Specified') as name,
         COUNT(*) as value
       FROM specimens s
       LEFT JOIN projects p ON s.project_id = p.id
+      WHERE ${scope.condition}
       GROUP BY p.specimen_type
       ORDER BY COUNT(*) DESC
       LIMIT 20
-    `);
+    `, scope.params);
 
     res.json(result.rows);
   } catch (err) {
@@ -54,6 +61,7 @@ router.get('/specimens-by-site', auth, async (req, res) => {
 // @access  Private
 router.get('/specimens-by-disease', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 's.project_id', 1);
     const result = await db.query(`
       SELECT
         COALESCE(p.disease, 'Not Specified') as name,
@@ -61,10 +69,11 @@ router.get('/specimens-by-disease', auth, async (req, res) => {
       FROM specimens s
       JOIN projects p ON s.project_id = p.id
       WHERE p.disease IS NOT NULL AND p.disease != ''
+        AND ${scope.condition}
       GROUP BY p.disease
       ORDER BY COUNT(s.id) DESC
       LIMIT 20
-    `);
+    `, scope.params);
 
     res.json(result.rows);
   } catch (err) {
@@ -78,6 +87,7 @@ router.get('/specimens-by-disease', auth, async (req, res) => {
 // @access  Private
 router.get('/specimens-by-institution', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 's.project_id', 1);
     const result = await db.query(`
       SELECT
         COALESCE(c.pi_institute, 'Not Specified') as name,
@@ -86,10 +96,11 @@ router.get('/specimens-by-institution', auth, async (req, res) => {
       JOIN projects p ON s.project_id = p.id
       JOIN collaborators c ON p.collaborator_id = c.id
       WHERE c.pi_institute IS NOT NULL AND c.pi_institute != ''
+        AND ${scope.condition}
       GROUP BY c.pi_institute
       ORDER BY COUNT(s.id) DESC
       LIMIT 20
-    `);
+    `, scope.params);
 
     res.json(result.rows);
   } catch (err) {
@@ -103,14 +114,16 @@ router.get('/specimens-by-institution', auth, async (req, res) => {
 // @access  Private
 router.get('/specimens-by-status', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 'project_id', 1);
     const result = await db.query(`
       SELECT
         COALESCE(activity_status, 'Not Specified') as name,
         COUNT(*) as value
       FROM specimens
+      WHERE ${scope.condition}
       GROUP BY activity_status
       ORDER BY COUNT(*) DESC
-    `);
+    `, scope.params);
 
     res.json(result.rows);
   } catch (err) {
@@ -124,15 +137,17 @@ router.get('/specimens-by-status', auth, async (req, res) => {
 // @access  Private
 router.get('/specimens-timeline', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 'project_id', 1);
     const result = await db.query(`
       SELECT
         TO_CHAR(date_collected, 'YYYY-MM') as month,
         COUNT(*) as count
       FROM specimens
       WHERE date_collected IS NOT NULL
+        AND ${scope.condition}
       GROUP BY TO_CHAR(date_collected, 'YYYY-MM')
       ORDER BY month ASC
-    `);
+    `, scope.params);
 
     res.json(result.rows);
   } catch (err) {
@@ -146,16 +161,18 @@ router.get('/specimens-timeline', auth, async (req, res) => {
 // @access  Private
 router.get('/storage-distribution', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 'project_id', 1);
     const result = await db.query(`
       SELECT
         COALESCE(position_freezer, 'Not Specified') as name,
         COUNT(*) as value
       FROM specimens
       WHERE position_freezer IS NOT NULL AND position_freezer != ''
+        AND ${scope.condition}
       GROUP BY position_freezer
       ORDER BY COUNT(*) DESC
       LIMIT 15
-    `);
+    `, scope.params);
 
     res.json(result.rows);
   } catch (err) {
@@ -169,6 +186,7 @@ router.get('/storage-distribution', auth, async (req, res) => {
 // @access  Private
 router.get('/project-volumes', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 'p.id', 1);
     const result = await db.query(`
       SELECT
         p.project_number,
@@ -178,11 +196,12 @@ router.get('/project-volumes', auth, async (req, res) => {
       FROM projects p
       LEFT JOIN specimens s ON s.project_id = p.id
       LEFT JOIN collaborators c ON p.collaborator_id = c.id
+      WHERE ${scope.condition}
       GROUP BY p.project_number, p.disease, c.pi_name
       HAVING COUNT(s.id) > 0
       ORDER BY COUNT(s.id) DESC
       LIMIT 20
-    `);
+    `, scope.params);
 
     res.json(result.rows);
   } catch (err) {
@@ -196,6 +215,7 @@ router.get('/project-volumes', auth, async (req, res) => {
 // @access  Private
 router.get('/extraction-status', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 'project_id', 1);
     const result = await db.query(`
       SELECT
         CASE
@@ -204,9 +224,10 @@ router.get('/extraction-status', auth, async (req, res) => {
         END as name,
         COUNT(*) as value
       FROM specimens
+      WHERE ${scope.condition}
       GROUP BY extracted
       ORDER BY value DESC
-    `);
+    `, scope.params);
 
     res.json(result.rows);
   } catch (err) {
@@ -220,6 +241,7 @@ router.get('/extraction-status', auth, async (req, res) => {
 // @access  Private
 router.get('/availability-status', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 'project_id', 1);
     const result = await db.query(`
       SELECT
         CASE
@@ -228,9 +250,10 @@ router.get('/availability-status', auth, async (req, res) => {
         END as name,
         COUNT(*) as value
       FROM specimens
+      WHERE ${scope.condition}
       GROUP BY used_up
       ORDER BY value DESC
-    `);
+    `, scope.params);
 
     res.json(result.rows);
   } catch (err) {
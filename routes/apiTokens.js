@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const db = require('../db');
+const logger = require('../utils/logger');
+const { can, permissionsForRole } = require('../services/permissionService');
+const apiTokenService = require('../services/apiTokenService');
+
+// Tokens are managed from a browser session, so a leaked token can't be used to mint more
+const sessionOnly = (req, res, next) => {
+  if (req.user.apiTokenId) {
+    return res.status(403).json({ msg: 'API tokens cannot be managed with an API token' });
+  }
+  next();
+};
+
+const tokenRouteError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Token options from a request body
+const tokenOptions = (body) => ({
+  name: body.name,
+  expiresInDays: body.expires_in_days,
+  scopes: body.scopes
+});
+
+const manageServiceAccounts = [auth, sessionOnly, requirePermission('service_account:manage')];
+
+/**
+ * Run fn(client) in a transaction and answer with its result, or the error's status
+ */
+const inTransaction = async (res, fn, successStatus = 200) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    res.status(successStatus).json(result);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('API token error:', err.message);
+    res.status(500).send('Server error');
+  } finally {
+    client.release();
+  }
+};
+
+// @route   GET api/tokens
+// @desc    Get the current user's personal access tokens
+// @access  Private
+router.get('/', [auth, sessionOnly], async (req, res) => {
+  try {
+    res.json(await apiTokenService.listTokens(db, req.user.id));
+  } catch (err) {
+    logger.error('Error fetching API tokens:', err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/tokens
+// @desc    Create a personal access token (name, expires_in_days, scopes); the token value is only returned here
+// @access  Private (token:create)
+router.post('/', [auth, sessionOnly, requirePermission('token:create')], (req, res) =>
+  inTransaction(res, client => apiTokenService.createToken(client, req.user, tokenOptions(req.body), req.user.id), 201)
+);
+
+// @route   DELETE api/tokens/:id
+// @desc    Revoke a personal token, or a service account token
+// @access  Private (own tokens, or service_account:manage)
+router.delete('/:id', [auth, sessionOnly], (req, res) =>
+  inTransaction(res, client => apiTokenService.revokeToken(client, req.params.id, req.user, {
+    canManageServiceAccounts: can(req.user, 'service_account:manage')
+  }))
+);
+
+// @route   GET api/tokens/service-accounts
+// @desc    Get service accounts with their tokens and the permissions their role holds
+// @access  Private (service_account:manage)
+router.get('/service-accounts', manageServiceAccounts, async (req, res) => {
+  try {
+    const accounts = await db.query(
+      `SELECT u.id, u.username, u.first_name AS description, u.role, u.active, u.created_at,
+              creator.username AS created_by_username
+       FROM users u
+       LEFT JOIN users creator ON u.created_by = creator.id
+       WHERE u.is_service_account = TRUE
+       ORDER BY u.username`
+    );
+
+    const result = [];
+    for (const account of accounts.rows) {
+      result.push({
+        ...account,
+        permissions: permissionsForRole(account.role),
+        tokens: await apiTokenService.listTokens(db, account.id)
+      });
+    }
+    res.json(result);
+  } catch (err) {
+    logger.error('Error fetching service accounts:', err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/tokens/service-accounts
+// @desc    Create a service account (username, description, role)
+// @access  Private (service_account:manage)
+router.post('/service-accounts', manageServiceAccounts, (req, res) =>
+  inTransaction(res, client => apiTokenService.createServiceAccount(client, req.body, req.user.id), 201)
+);
+
+// @route   POST api/tokens/service-accounts/:id/tokens
+// @desc    Issue a token to a service account; the token value is only returned here
+// @access  Private (service_account:manage)
+router.post('/service-accounts/:id/tokens', manageServiceAccounts, (req, res) =>
+  inTransaction(res, async client => {
+    const account = await client.query(
+      'SELECT id, role, active FROM users WHERE id = $1 AND is_service_account = TRUE',
+      [req.params.id]
+    );
+    if (account.rows.length === 0) {
+      throw tokenRouteError('Service account not found', 404);
+    }
+    if (!account.rows[0].active) {
+      throw tokenRouteError('Service account is deactivated');
+    }
+    return apiTokenService.createToken(client, account.rows[0], tokenOptions(req.body), req.user.id);
+  }, 201)
+);
+
+// @route   PUT api/tokens/service-accounts/:id
+// @desc    Activate or deactivate a service account; deactivated accounts' tokens stop working
+// @access  Private (service_account:manage)
+router.put('/service-accounts/:id', manageServiceAccounts, (req, res) =>
+  inTransaction(res, async client => {
+    const active = req.body.active === true;
+    const result = await client.query(
+      `UPDATE users SET active = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND is_service_account = TRUE
+       RETURNING id, username, role, active`,
+      [req.params.id, active]
+    );
+    if (result.rows.length === 0) {
+      throw tokenRouteError('Service account not found', 404);
+    }
+
+    await client.query(
+      `INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [req.user.id, active ? 'ACTIVATE_SERVICE_ACCOUNT' : 'DEACTIVATE_SERVICE_ACCOUNT', 'users', req.params.id,
+        JSON.stringify({ active })]
+    );
+    return result.rows[0];
+  })
+);
+
+module.exports = router;
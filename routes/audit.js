@@ -1,34 +1,173 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
+const { query, validationResult } = require('express-validator');
 const db = require('../db');
 const logger = require('../utils/logger');
+const auditService = require('../services/auditService');
+const { stringify } = require('csv-stringify/sync');
+const { PAGINATION, EXPORT } = require('../config/constants');
+
+// Explorer filters, shared by the list and the CSV export
+const filterChecks = [
+  query('user_id').optional().isUUID(),
+  query('record_id').optional().isUUID(),
+  query('table_name').optional().isString().isLength({ max: 50 }),
+  query('action').optional().isString().isLength({ max: 50 }),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+];
+
+const pickFilters = (q) => {
+  const { user_id, record_id, table_name, action, from, to } = q;
+  return { user_id, record_id, table_name, action, from, to };
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return true;
+  }
+  return false;
+};
 
 // @route   GET api/audit
-// @desc    Get recent audit logs
+// @desc    Audit entries, newest first, filtered by user, table, action, record and date range
 // @access  Private (admin and lab_manager)
-router.get('/', [auth, roleCheck(['admin', 'lab_manager'])], async (req, res) => {
+router.get('/', [auth, requirePermission('audit:view'), ...filterChecks], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
   try {
-    const result = await db.query(
-      `SELECT a.*, u.username
-       FROM audit_log a
-       LEFT JOIN users u ON a.user_id = u.id
-       ORDER BY a.timestamp DESC
-       LIMIT 50`
-    );
-    
-    res.json(result.rows);
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, PAGINATION.MAX_LIMIT);
+    const { entries, total } = await auditService.listEntries(db, pickFilters(req.query), {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    });
   } catch (err) {
     logger.error('Audit log error', { error: err.message, stack: err.stack });
     res.status(500).send('Server error');
   }
 });
 
+// @route   GET api/audit/options
+// @desc    Users, tables and actions present in the audit log, for filter menus
+// @access  Private (admin and lab_manager)
+router.get('/options', [auth, requirePermission('audit:view')], async (req, res) => {
+  try {
+    res.json(await auditService.listFilterOptions(db));
+  } catch (err) {
+    logger.error('Audit log error', { error: err.message, stack: err.stack });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/audit/export
+// @desc    Filtered audit entries as CSV
+// @access  Private (admin and lab_manager)
+router.get('/export', [auth, requirePermission('audit:view'), ...filterChecks], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const filters = pickFilters(req.query);
+    const { entries, total } = await auditService.listEntries(db, filters, {
+      limit: EXPORT.MAX_RECORDS,
+      offset: 0
+    });
+
+    const csv = stringify(entries.map(entry => ({
+      sequence: entry.sequence_number,
+      timestamp: new Date(entry.timestamp).toISOString(),
+      username: entry.username || '',
+      action: entry.action,
+      table_name: entry.table_name,
+      record_id: entry.record_id,
+      changed_fields: entry.changed_fields ? JSON.stringify(entry.changed_fields) : ''
+    })), {
+      header: true,
+      columns: ['sequence', 'timestamp', 'username', 'action', 'table_name', 'record_id', 'changed_fields']
+    });
+
+    // Copying the audit trail out is itself worth recording
+    await db.query(
+      `INSERT INTO audit_log
+      (user_id, action, table_name, record_id, changed_fields)
+      VALUES ($1, $2, $3, $4, $5)`,
+      [
+        req.user.id,
+        'EXPORT_CSV',
+        'audit_log',
+        '00000000-0000-0000-0000-000000000000',
+        JSON.stringify({ filter_criteria: filters, record_count: entries.length, total })
+      ]
+    );
+
+    const filename = `audit_log_${new Date().toISOString().split('T')[0]}.csv`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (err) {
+    logger.error('Audit export error', { error: err.message, stack: err.stack });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/audit/verify
+// @desc    Check that no audit entry was edited or deleted; anchor_sequence and anchor_hash
+//          (a head from an earlier check) also catch deleted recent entries
+// @access  Private (admin and lab_manager)
+router.get(
+  '/verify',
+  [
+    auth,
+    requirePermission('audit:view'),
+    query('anchor_sequence').optional().isInt({ min: 1 }).toInt(),
+    query('anchor_hash').optional().isHexadecimal().isLength({ min: 64, max: 64 })
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const { anchor_sequence: sequence, anchor_hash: hash } = req.query;
+    if (Boolean(sequence) !== Boolean(hash)) {
+      return res.status(400).json({ msg: 'anchor_sequence and anchor_hash go together' });
+    }
+
+    try {
+      await auditService.sealEntries(db);
+      const result = await auditService.verifyChain(db, sequence ? { sequence, hash: hash.toLowerCase() } : null);
+      if (!result.valid) {
+        logger.warn('Audit trail verification failed', {
+          problemCount: result.problem_count,
+          anchorValid: result.anchor_valid,
+          username: req.user.username
+        });
+      }
+      res.json({ ...result, verified_at: new Date().toISOString() });
+    } catch (err) {
+      logger.error('Audit verification error', { error: err.message, stack: err.stack });
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 // @route   GET api/audit/user/:id
 // @desc    Get audit logs for a specific user
 // @access  Private (admin and lab_manager)
-router.get('/user/:id', [auth, roleCheck(['admin', 'lab_manager'])], async (req, res) => {
+router.get('/user/:id', [auth, requirePermission('audit:view')], async (req, res) => {
   try {
     const result = await db.query(
       `SELECT a.*, u.username
@@ -47,24 +186,37 @@ router.get('/user/:id', [auth, roleCheck(['admin', 'lab_manager'])], async (req,
 });
 
 // @route   GET api/audit/:table/:id
-// @desc    Get audit logs for a specific record
+// @desc    History of one record, oldest first, with field-level changes
 // @access  Private (admin and lab_manager)
-router.get('/:table/:id', [auth, roleCheck(['admin', 'lab_manager'])], async (req, res) => {
+router.get('/:table/:id', [auth, requirePermission('audit:view')], async (req, res) => {
   try {
-    const result = await db.query(
-      `SELECT a.*, u.username
-       FROM audit_log a
-       LEFT JOIN users u ON a.user_id = u.id
-       WHERE a.table_name = $1 AND a.record_id = $2
-       ORDER BY a.timestamp DESC`,
-      [req.params.table, req.params.id]
-    );
-    
-    res.json(result.rows);
+    res.json(await auditService.recordHistory(db, req.params.table, req.params.id, req.user));
   } catch (err) {
     logger.error('Audit log error', { error: err.message, stack: err.stack });
     res.status(500).send('Server error');
   }
 });
 
+// @route   GET api/audit/:table/:id/as-of
+// @desc    The record as it was at ?at=<timestamp>, rebuilt from its history
+// @access  Private (admin and lab_manager)
+router.get(
+  '/:table/:id/as-of',
+  [auth, requirePermission('audit:view'), query('at', 'A valid timestamp is required').isISO8601()],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const result = await auditService.reconstructRecord(db, req.params.table, req.params.id, req.query.at, req.user);
+      res.json({ ...result, as_of: req.query.at });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      logger.error('Audit reconstruction error', { error: err.message, stack: err.stack });
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -1,16 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
 const db = require('../db');
 const logger = require('../utils/logger');
+const { permissionsForUser } = require('../services/permissionService');
+const oidcService = require('../services/oidcService');
+const totpService = require('../services/totpService');
+const { getOidcConfig } = require('../config/oidc');
+const sessionService = require('../services/sessionService');
+const { signSessionToken, signTotpChallenge, verifyTotpChallenge } = require('../utils/sessionToken');
 require('dotenv').config();
 
 // Security configuration
-const LOCKOUT_DURATION_MINUTES = 15; // Account lockout duration
-const MAX_FAILED_ATTEMPTS = 5; // Maximum failed login attempts before lockout
+const { LOCKOUT_DURATION_MINUTES, MAX_FAILED_ATTEMPTS } = require('../config/constants').LOGIN;
 
 // Helper function to validate password complexity
 function validatePasswordComplexity(password) {
@@ -89,6 +93,36 @@ async function resetFailedAttempts(userId) {
   `, [userId]);
 }
 
+const totpSetupRequired = (user) => !user.totp_enabled && totpService.isRequiredForRole(user.role);
+
+// Start a session for a completed login; answer with its tokens and the user's profile
+async function sendSession(req, res, user) {
+  const { sessionId, refreshToken } = await sessionService.createSession(db, user.id, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+  const token = await signSessionToken(user, { sessionId, totpSetupOnly: totpSetupRequired(user) });
+
+  logger.info('Successful login', { username: user.username, role: user.role });
+
+  res.json({
+    token,
+    refresh_token: refreshToken,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      email: user.email,
+      force_password_change: user.force_password_change,
+      totp_enabled: Boolean(user.totp_enabled),
+      totp_setup_required: totpSetupRequired(user),
+      permissions: permissionsForUser(user)
+    }
+  });
+}
+
 // @route   POST api/auth/register
 // @desc    Register a user - DISABLED IN PRODUCTION
 // @access  Disabled
@@ -145,33 +179,7 @@ router.post(
         RETURNING id, username, email, role, active, force_password_change
       `, [username, email, hashedPassword, first_name, last_name, role]);
 
-      // Create JWT payload
-      const payload = {
-        user: {
-          id: newUser.rows[0].id,
-          username: newUser.rows[0].username,
-          role: newUser.rows[0].role
-        }
-      };
-
-      // Sign token
-      jwt.sign(
-        payload,
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' },
-        (err, token) => {
-          if (err) throw err;
-          res.json({ 
-            token,
-            user: {
-              id: newUser.rows[0].id,
-              username: newUser.rows[0].username,
-              role: newUser.rows[0].role,
-              force_password_change: newUser.rows[0].force_password_change
-            }
-          });
-        }
-      );
+      await sendSession(req, res, newUser.rows[0]);
     } catch (err) {
       logger.error('Registration error:', err.message);
       res.status(500).send('Server error');
@@ -200,7 +208,8 @@ router.post(
       // Check if user exists and get security fields
       const userRes = await db.query(`
         SELECT id, username, password, role, active, force_password_change, 
-               failed_login_attempts, locked_until, first_name, last_name, email
+               failed_login_attempts, locked_until, first_name, last_name, email,
+               is_service_account, oidc_subject, totp_enabled
         FROM users 
         WHERE username = $1
       `, [username]);
@@ -217,6 +226,16 @@ router.post(
         return res.status(400).json({ msg: 'Account is deactivated. Please contact your lab manager.' });
       }
 
+      // Service accounts have no usable password; they authenticate with API tokens
+      if (user.is_service_account) {
+        logger.warn('Password login attempt on service account', { username });
+        return res.status(400).json({ msg: 'Invalid credentials' });
+      }
+
+      if (oidcService.localPasswordDisabled(user)) {
+        return res.status(400).json({ msg: 'This account signs in with single sign-on' });
+      }
+
       // Check if account is locked
       if (isAccountLocked(user)) {
         const lockUntil = new Date(user.locked_until);
@@ -252,49 +271,223 @@ router.post(
         }
       }
 
+      // Password is right, but with 2FA on the failed attempts are only reset once the
+      // code is, so the lockout also limits guessing codes
+      if (user.totp_enabled) {
+        return res.json({ totp_required: true, totp_token: await signTotpChallenge(user.id) });
+      }
+
       // Successful login - reset failed attempts
       await resetFailedAttempts(user.id);
 
-      // Create JWT payload
-      const payload = {
-        user: {
-          id: user.id,
-          username: user.username,
-          role: user.role
-        }
-      };
-
-      // Sign token
-      jwt.sign(
-        payload,
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' },
-        (err, token) => {
-          if (err) throw err;
-          
-          logger.info('Successful login', { username: user.username, role: user.role });
-          
-          res.json({ 
-            token,
-            user: {
-              id: user.id,
-              username: user.username,
-              role: user.role,
-              first_name: user.first_name,
-              last_name: user.last_name,
-              email: user.email,
-              force_password_change: user.force_password_change
-            }
+      await sendSession(req, res, user);
+    } catch (err) {
+      logger.error('Login error:', err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/auth/login/totp
+// @desc    Second login step: exchange the password step's token and a TOTP or recovery code for a session
+// @access  Public
+router.post(
+  '/login/totp',
+  [
+    check('totp_token', 'Login token is required').not().isEmpty(),
+    check('code', 'Code is required').not().isEmpty().trim().isLength({ max: 20 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = verifyTotpChallenge(req.body.totp_token);
+    if (!userId) {
+      return res.status(401).json({ msg: 'Your login has expired. Please sign in again.' });
+    }
+
+    try {
+      const userRes = await db.query(`
+        SELECT id, username, role, active, force_password_change, locked_until,
+               first_name, last_name, email, totp_enabled, totp_secret, totp_last_step
+        FROM users
+        WHERE id = $1
+      `, [userId]);
+      const user = userRes.rows[0];
+
+      if (!user || !user.active || !user.totp_enabled) {
+        return res.status(401).json({ msg: 'Your login has expired. Please sign in again.' });
+      }
+
+      if (isAccountLocked(user)) {
+        const remainingMinutes = Math.ceil((new Date(user.locked_until) - new Date()) / 60000);
+        logger.warn('TOTP attempt on locked account', { username: user.username, remainingMinutes });
+        return res.status(400).json({ 
+          msg: `Account is locked due to multiple failed login attempts. Try again in ${remainingMinutes} minutes.` 
+        });
+      }
+
+      const factor = await totpService.verifySecondFactor(db, user, req.body.code);
+      if (!factor) {
+        const attempts = await incrementFailedAttempts(user.id);
+        const remainingAttempts = MAX_FAILED_ATTEMPTS - attempts;
+
+        logger.warn('Failed TOTP attempt', { username: user.username, attempts });
+
+        if (remainingAttempts <= 0) {
+          return res.status(400).json({ 
+            msg: `Account locked due to ${MAX_FAILED_ATTEMPTS} failed login attempts. Try again in ${LOCKOUT_DURATION_MINUTES} minutes.` 
           });
         }
-      );
+        return res.status(400).json({ 
+          msg: `Invalid code. ${remainingAttempts} attempts remaining before account lockout.` 
+        });
+      }
+
+      if (factor === 'recovery_code') {
+        logger.warn('Login with recovery code', { username: user.username });
+      }
+
+      await resetFailedAttempts(user.id);
+      await sendSession(req, res, user);
     } catch (err) {
-      logger.error('Login error:', err.message);
+      logger.error('TOTP login error:', err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post(
+  '/refresh',
+  [check('refresh_token', 'Refresh token is required').not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const refreshed = await sessionService.refreshSession(client, req.body.refresh_token, { ip: req.ip });
+      await client.query('COMMIT');
+
+      if (!refreshed) {
+        return res.status(401).json({ msg: 'Session has expired. Please log in again.' });
+      }
+
+      const { sessionId, refreshToken, user } = refreshed;
+      const token = await signSessionToken(user, { sessionId, totpSetupOnly: totpSetupRequired(user) });
+      res.json({ token, refresh_token: refreshToken });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      logger.error('Token refresh error:', err.message);
       res.status(500).send('Server error');
+    } finally {
+      client.release();
     }
   }
 );
 
+// @route   POST api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await sessionService.revokeSession(db, req.user.id, req.user.sid, 'logout');
+    }
+    res.json({ msg: 'Logged out' });
+  } catch (err) {
+    if (err.status) {
+      return res.json({ msg: 'Logged out' });
+    }
+    logger.error('Logout error:', err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/auth/oidc/config
+// @desc    Whether single sign-on is available, for the login page
+// @access  Public
+router.get('/oidc/config', (req, res) => {
+  try {
+    const config = getOidcConfig();
+    res.json({ enabled: config.enabled, label: config.label });
+  } catch (err) {
+    logger.error('OIDC configuration error:', err.message);
+    res.json({ enabled: false });
+  }
+});
+
+// @route   GET api/auth/oidc/login
+// @desc    Start a single sign-on login; returns the identity provider URL to send the browser to
+// @access  Public
+router.get('/oidc/login', async (req, res) => {
+  try {
+    const url = await oidcService.startLogin(db);
+    res.json({ url });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('OIDC login start error:', err.message);
+    res.status(502).json({ msg: 'Could not reach the single sign-on provider' });
+  }
+});
+
+// @route   GET api/auth/oidc/callback
+// @desc    Identity provider redirect target; signs the user in and returns them to the client
+// @access  Public
+router.get('/oidc/callback', async (req, res) => {
+  let clientUrl = '';
+  // The token travels in the fragment so it never reaches server logs or Referer headers
+  const redirectToClient = (fragment) => res.redirect(`${clientUrl}/login#${new URLSearchParams(fragment)}`);
+
+  const client = await db.getClient();
+  try {
+    clientUrl = getOidcConfig().clientUrl;
+    if (req.query.error) {
+      logger.warn('OIDC provider returned an error', { error: req.query.error });
+      return redirectToClient({ sso_error: req.query.error_description || 'Sign-in was cancelled' });
+    }
+
+    await client.query('BEGIN');
+    const user = await oidcService.completeLogin(client, { code: req.query.code, state: req.query.state });
+    await client.query('COMMIT');
+
+    // Two-factor rules are the same as for password logins: a code when 2FA is on (the
+    // login page finishes with /login/totp), and a setup-only session when the role needs it
+    if (user.totp_enabled) {
+      return redirectToClient({ sso_totp_token: await signTotpChallenge(user.id) });
+    }
+    await resetFailedAttempts(user.id);
+
+    const { sessionId, refreshToken } = await sessionService.createSession(db, user.id, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    const token = await signSessionToken(user, { sessionId, totpSetupOnly: totpSetupRequired(user) });
+    logger.info('Successful SSO login', { username: user.username, role: user.role });
+    redirectToClient({ sso_token: token, sso_refresh_token: refreshToken });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      logger.warn('SSO login refused', { msg: err.message });
+      return redirectToClient({ sso_error: err.message });
+    }
+    logger.error('OIDC callback error:', err.message);
+    redirectToClient({ sso_error: 'Single sign-on failed. Please try again.' });
+  } finally {
+    client.release();
+  }
+});
+
 // @route   GET api/auth/user
 // @desc    Get authenticated user
 // @access  Private
@@ -302,12 +495,21 @@ router.get('/user', auth, async (req, res) => {
   try {
     const userRes = await db.query(`
       SELECT id, username, email, first_name, last_name, role, 
-             force_password_change, last_login, password_changed_at
+             force_password_change, last_login, password_changed_at, totp_enabled
       FROM users 
       WHERE id = $1
     `, [req.user.id]);
 
-    res.json(userRes.rows[0]);
+    const user = userRes.rows[0];
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    res.json({
+      ...user,
+      totp_setup_required: Boolean(req.user.totp_setup_only),
+      permissions: permissionsForUser({ ...user, scopes: req.user.scopes })
+    });
   } catch (err) {
     logger.error('Get user error:', err.message);
     res.status(500).send('Server error');
@@ -341,7 +543,7 @@ router.post(
 
       // Get current user data
       const userRes = await db.query(
-        'SELECT password FROM users WHERE id = $1',
+        'SELECT password, oidc_subject FROM users WHERE id = $1',
         [req.user.id]
       );
 
@@ -349,6 +551,10 @@ router.post(
         return res.status(404).json({ msg: 'User not found' });
       }
 
+      if (oidcService.localPasswordDisabled(userRes.rows[0])) {
+        return res.status(400).json({ msg: 'Your password is managed by your single sign-on provider' });
+      }
+
       // Verify current password
       const isMatch = await bcrypt.compare(currentPassword, userRes.rows[0].password);
       if (!isMatch) {
@@ -375,6 +581,9 @@ router.post(
         WHERE id = $2
       `, [hashedPassword, req.user.id]);
 
+      // Sign out everywhere else; the session that changed the password stays
+      await sessionService.revokeAllSessions(db, req.user.id, 'password_change', { exceptSessionId: req.user.sid });
+
       logger.info('Password changed', { userId: req.user.id, username: req.user.username });
 
       res.json({ msg: 'Password changed successfully' });
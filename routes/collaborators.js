@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const { check, validationResult } = require('express-validator');
 const db = require('../db');
 const logger = require('../utils/logger');
@@ -145,7 +145,7 @@ router.post(
   '/',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('collaborator:edit'),
     [
       check('pi_name', 'PI name is required (1-255 chars)').not().isEmpty().isLength({ min: 1, max: 255 }).trim(),
       check('pi_institute', 'PI institute is required (1-255 chars)').not().isEmpty().isLength({ min: 1, max: 255 }).trim(),
@@ -184,20 +184,6 @@ router.post(
         [irb_id, pi_name, pi_institute, pi_email, pi_phone, pi_fax, internal_contact, comments]
       );
 
-      // Log the action in audit trail
-      await db.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'CREATE',
-          'collaborators',
-          result.rows[0].id,
-          JSON.stringify(req.body)
-        ]
-      );
-
       res.json(result.rows[0]);
     } catch (err) {
       logger.error('Database error in collaborators GET', { error: err.message, stack: err.stack });
@@ -213,7 +199,7 @@ router.put(
   '/:id',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('collaborator:edit'),
     [
       check('pi_name', 'PI name is required').not().isEmpty(),
       check('pi_institute', 'PI institute is required').not().isEmpty()
@@ -247,8 +233,6 @@ router.put(
         return res.status(404).json({ msg: 'Collaborator not found' });
       }
 
-      const oldData = checkResult.rows[0];
-
       // Update the collaborator
       const result = await db.query(
         `UPDATE collaborators
@@ -269,23 +253,6 @@ router.put(
         ]
       );
 
-      // Log the action in audit trail
-      await db.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'UPDATE',
-          'collaborators',
-          req.params.id,
-          JSON.stringify({
-            old: oldData,
-            new: result.rows[0]
-          })
-        ]
-      );
-
       res.json(result.rows[0]);
     } catch (err) {
       logger.error('Database error in collaborators GET', { error: err.message, stack: err.stack });
@@ -297,7 +264,7 @@ router.put(
 // @route   DELETE api/collaborators/:id
 // @desc    Delete a collaborator
 // @access  Private (admin only)
-router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('collaborator:delete')], async (req, res) => {
   try {
     // First check if collaborator exists
     const checkResult = await db.query(
@@ -309,25 +276,9 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
       return res.status(404).json({ msg: 'Collaborator not found' });
     }
 
-    const oldData = checkResult.rows[0];
-
     // Delete the collaborator (cascades to projects and specimens)
     await db.query('DELETE FROM collaborators WHERE id = $1', [req.params.id]);
 
-    // Log the action in audit trail
-    await db.query(
-      `INSERT INTO audit_log 
-      (user_id, action, table_name, record_id, changed_fields) 
-      VALUES ($1, $2, $3, $4, $5)`,
-      [
-        req.user.id,
-        'DELETE',
-        'collaborators',
-        req.params.id,
-        JSON.stringify(oldData)
-      ]
-    );
-
     res.json({ msg: 'Collaborator removed' });
   } catch (err) {
     logger.error('Database error in collaborators GET', { error: err.message, stack: err.stack });
@@ -365,7 +316,7 @@ router.get('/:id/projects', auth, async (req, res) => {
 // @route   POST api/collaborators/bulk-import
 // @desc    Bulk import collaborators
 // @access  Private (admin only)
-router.post('/bulk-import', [auth, roleCheck(['admin'])], async (req, res) => {
+router.post('/bulk-import', [auth, requirePermission('import:legacy')], async (req, res) => {
   try {
     const { collaborators } = req.body;
     
@@ -417,20 +368,6 @@ router.post('/bulk-import', [auth, roleCheck(['admin'])], async (req, res) => {
           ]
         );
         
-        // Log collaborator creation
-        await client.query(
-          `INSERT INTO audit_log 
-          (user_id, action, table_name, record_id, changed_fields) 
-          VALUES ($1, $2, $3, $4, $5)`,
-          [
-            req.user.id,
-            'CREATE',
-            'collaborators',
-            result.rows[0].id,
-            JSON.stringify(collaborator)
-          ]
-        );
-        
         results.push(result.rows[0]);
       }
       
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const db = require('../db');
 const multer = require('multer');
 const XLSX = require('xlsx');
@@ -31,7 +31,7 @@ const upload = multer({
 // @route   POST api/import/comprehensive/preview
 // @desc    Preview comprehensive import data
 // @access  Private (admin/editor only)
-router.post('/preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], upload.single('file'), async (req, res) => {
+router.post('/preview', [auth, requirePermission('import:run')], upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ msg: 'No file uploaded' });
@@ -176,7 +176,7 @@ router.post('/preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
 // @route   POST api/import/comprehensive/execute
 // @desc    Execute comprehensive import
 // @access  Private (admin/editor only)
-router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], upload.single('file'), async (req, res) => {
+router.post('/execute', [auth, requirePermission('import:run')], upload.single('file'), async (req, res) => {
   const client = await db.getClient();
   
   try {
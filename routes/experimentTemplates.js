@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { check, validationResult } = require('express-validator');
+const db = require('../db');
+const logger = require('../utils/logger');
+const templateService = require('../services/experimentTemplateService');
+
+const templateValidation = [
+  check('name', 'Template name is required (1-255 chars)').trim().isLength({ min: 1, max: 255 }),
+  check('protocol_id', 'Protocol is required').not().isEmpty(),
+  check('assignee_id').optional({ nullable: true }).isUUID(),
+  check('instrument_id').optional({ nullable: true }).isUUID(),
+  check('default_reagents', 'Default reagents must be an array').optional().isArray(),
+  check('plate_layout', 'Plate layout must be an object').optional({ nullable: true }).isObject(),
+  check('recurrence', 'Recurrence must be an object').optional({ nullable: true }).isObject()
+];
+
+// Runs one template change in a transaction and answers with its result or its error
+const templateChange = (action, describe) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await action(client, req);
+    await client.query('COMMIT');
+    res.json(result);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error(`${describe} failed:`, { error: err.message, userId: req.user?.id, templateId: req.params.id });
+    res.status(500).send('Server error');
+  } finally {
+    client.release();
+  }
+};
+
+// @route   GET api/experiment-templates
+// @desc    Saved experiment templates with their protocol, assignee and instrument
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    res.json(await templateService.listTemplates(db));
+  } catch (err) {
+    logger.error('Failed to load experiment templates:', { error: err.message });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/experiment-templates/:id
+// @desc    One experiment template
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    res.json(await templateService.getTemplate(db, req.params.id));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Failed to load experiment template:', { error: err.message, templateId: req.params.id });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/experiment-templates
+// @desc    Save a template: protocol, default reagents per sample, plate layout, assignee,
+//          instrument and an optional weekly recurrence
+// @access  Private (experiment:schedule)
+router.post(
+  '/',
+  [auth, requirePermission('experiment:schedule'), templateValidation],
+  templateChange((client, req) => templateService.createTemplate(client, req.body, req.user), 'Creating experiment template')
+);
+
+// @route   PUT api/experiment-templates/:id
+// @desc    Replace a template; experiments already planned from it are unchanged
+// @access  Private (experiment:schedule)
+router.put(
+  '/:id',
+  [auth, requirePermission('experiment:schedule'), templateValidation],
+  templateChange((client, req) => templateService.updateTemplate(client, req.params.id, req.body), 'Updating experiment template')
+);
+
+// @route   DELETE api/experiment-templates/:id
+// @desc    Delete a template; experiments planned from it are kept
+// @access  Private (experiment:schedule)
+router.delete(
+  '/:id',
+  [auth, requirePermission('experiment:schedule')],
+  templateChange(async (client, req) => {
+    const template = await templateService.deleteTemplate(client, req.params.id);
+    return { msg: `Template "${template.name}" deleted` };
+  }, 'Deleting experiment template')
+);
+
+// @route   POST api/experiment-templates/:id/schedule
+// @desc    Plan the template's recurring runs between from and to, skipping dates already
+//          planned from it; answers with conflicts of each new run
+// @access  Private (experiment:schedule)
+router.post(
+  '/:id/schedule',
+  [
+    auth,
+    requirePermission('experiment:schedule'),
+    [
+      check('from', 'From must be a date').isISO8601(),
+      check('to', 'To must be a date').isISO8601()
+    ]
+  ],
+  templateChange(
+    (client, req) => templateService.scheduleRecurrence(client, req.params.id, { from: req.body.from, to: req.body.to }, req.user),
+    'Scheduling experiment template'
+  )
+);
+
+module.exports = router;
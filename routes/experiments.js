@@ -1,11 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
 const { check, validationResult } = require('express-validator');
 const db = require('../db');
 const { idGenerationService } = require('../services/idGenerationService');
 const logger = require('../utils/logger');
+const {
+  getExperimentVolumes,
+  syncExperimentVolumes,
+  normalizeSampleVolumes
+} = require('../services/specimenQuantityService');
+const { assertConsentAllows } = require('../services/consentService');
+const { projectScope, assertSpecimenAccess } = require('../services/projectAccessService');
+const { can } = require('../services/permissionService');
+const signatureService = require('../services/signatureService');
+const executionService = require('../services/experimentExecutionService');
+const plateService = require('../services/plateService');
+const lifecycleService = require('../services/experimentLifecycleService');
+const reconciliationService = require('../services/reagentReconciliationService');
+const scheduleService = require('../services/experimentScheduleService');
+const templateService = require('../services/experimentTemplateService');
+const { ESIGNATURES } = require('../config/constants');
 
 // @route   GET api/experiments
 // @desc    Get all experiments with pagination and filtering
@@ -121,18 +136,42 @@ router.get('/search', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/experiments/calendar
+// @desc    Planned and running experiments between from and to, optionally for one user or
+//          instrument, each with the experiments it clashes with (?include_finished=true adds the rest)
+// @access  Private
+router.get('/calendar', auth, async (req, res) => {
+  try {
+    res.json(await scheduleService.getCalendar(db, {
+      from: req.query.from,
+      to: req.query.to,
+      user_id: req.query.user_id,
+      instrument_id: req.query.instrument_id,
+      include_finished: req.query.include_finished === 'true'
+    }));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Failed to load experiment calendar:', { error: err.message, query: req.query });
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   GET api/experiments/samples/:sampleId
 // @desc    Get experiment history for a sample
 // @access  Private
 router.get('/samples/:sampleId', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 's.project_id', 3);
     const query = `
       SELECT * FROM experiments_with_details
       WHERE sample_ids @> $1::jsonb
+        AND EXISTS (SELECT 1 FROM specimens s WHERE s.id = $2 AND ${scope.condition})
       ORDER BY date_performed DESC
     `;
     
-    const result = await db.query(query, [JSON.stringify([req.params.sampleId])]);
+    const result = await db.query(query, [JSON.stringify([req.params.sampleId]), req.params.sampleId, ...scope.params]);
     res.json(result.rows);
   } catch (err) {
     logger.error(err.message);
@@ -166,14 +205,16 @@ router.get('/:id', auth, async (req, res) => {
 
     const experiment = result.rows[0];
     experiment.inventory_transactions = inventoryResult.rows;
+    experiment.allowed_transitions = lifecycleService.allowedTransitions(experiment.status);
 
-    // Get specimen numbers for sample_ids if they exist
+    // Get specimen numbers for sample_ids if they exist; ones outside the user's projects stay as IDs
     if (experiment.sample_ids && experiment.sample_ids.length > 0) {
+      const scope = projectScope(req.user, 'project_id', 2);
       const specimenResult = await db.query(
         `SELECT id, specimen_number 
          FROM specimens 
-         WHERE id = ANY($1::uuid[])`,
-        [experiment.sample_ids]
+         WHERE id = ANY($1::uuid[]) AND ${scope.condition}`,
+        [experiment.sample_ids, ...scope.params]
       );
       
       // Create a mapping of UUID to specimen_number
@@ -186,6 +227,13 @@ router.get('/:id', auth, async (req, res) => {
       experiment.specimen_numbers = experiment.sample_ids.map(id => specimenMap[id] || id);
     }
 
+    // Volume drawn from each sample, as recorded in the specimen ledger
+    const volumes = await getExperimentVolumes(db, req.params.id);
+    experiment.sample_volumes = Object.keys(volumes).map(specimenId => ({
+      specimen_id: specimenId,
+      volume: volumes[specimenId]
+    }));
+
     res.json(experiment);
   } catch (err) {
     logger.error(err.message);
@@ -194,8 +242,9 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   POST api/experiments
-// @desc    Create an experiment and reserve inventory
-// @access  Private (all users can log experiments)
+// @desc    Create an experiment and reserve inventory; a status past 'planned' runs the transitions to it.
+//          With a template_id its default reagents, instrument and plate layout apply.
+// @access  Private (all users can log experiments; experiment:schedule to plan one for another user_id)
 router.post(
   '/',
   [
@@ -204,7 +253,13 @@ router.post(
       check('protocol_id', 'Protocol ID is required').not().isEmpty(),
       check('date_performed', 'Date performed is required').isISO8601(),
       check('sample_ids', 'Sample IDs must be an array').isArray(),
-      check('actual_reagents_used', 'Actual reagents used must be an array').optional().isArray()
+      check('actual_reagents_used', 'Actual reagents used must be an array').optional().isArray(),
+      check('sample_volumes', 'Sample volumes must be an array').optional().isArray(),
+      check('status', `Status must be one of: ${lifecycleService.INITIAL_STATUSES.join(', ')}`)
+        .optional().isIn(lifecycleService.INITIAL_STATUSES),
+      check('user_id').optional({ nullable: true }).isUUID(),
+      check('instrument_id').optional({ nullable: true }).isUUID(),
+      check('template_id').optional({ nullable: true }).isUUID()
     ]
   ],
   async (req, res) => {
@@ -228,8 +283,10 @@ router.post(
       sample_ids = [],
       actual_reagents_used = [],
       notes,
-      status = 'completed'
+      status = 'planned',
+      template_id = null
     } = req.body;
+    const assigneeId = req.body.user_id || req.user.id;
 
     const client = await db.getClient();
     
@@ -249,6 +306,17 @@ router.post(
 
       const protocol = protocolCheck.rows[0];
 
+      if (assigneeId !== req.user.id && !can(req.user, 'experiment:schedule')) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ msg: 'Not authorized to plan experiments for other users' });
+      }
+
+      const template = template_id ? await templateService.getTemplate(client, template_id) : null;
+      const instrumentId = req.body.instrument_id !== undefined ? req.body.instrument_id : template?.instrument_id;
+      if (instrumentId) {
+        await scheduleService.assertInstrument(client, instrumentId);
+      }
+
       // Verify all sample IDs exist
       if (sample_ids.length > 0) {
         const sampleCheck = await client.query(
@@ -260,147 +328,54 @@ router.post(
           await client.query('ROLLBACK');
           return res.status(400).json({ msg: 'One or more sample IDs not found' });
         }
-      }
 
-      // Get next experiment ID
-      const nextIdResult = await client.query(
-        "SELECT get_next_number('experiment') as experiment_number"
-      );
-      const experiment_id = nextIdResult.rows[0].experiment_number;
-
-      // Create the experiment
-      const result = await client.query(
-        `INSERT INTO experiments 
-        (experiment_id, protocol_id, user_id, date_performed, status, sample_ids, actual_reagents_used, notes) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
-        RETURNING *`,
-        [
-          experiment_id,
-          protocol_id,
-          req.user.id,
-          date_performed,
-          status,
-          JSON.stringify(sample_ids),
-          JSON.stringify(actual_reagents_used),
-          notes
-        ]
-      );
-
-      const experimentRecord = result.rows[0];
+        await assertSpecimenAccess(client, req.user, sample_ids, 'editor');
+        await assertConsentAllows(client, sample_ids, 'experiment', {
+          user: req.user,
+          override: req.body.consent_override,
+          overrideReason: req.body.consent_override_reason
+        });
+      }
 
-      // Handle inventory requirements if provided by frontend
-      const inventoryRequirements = req.body.inventory_requirements || [];
-      let inventoryWarnings = [];
-      
-      if (inventoryRequirements.length > 0) {
-        // Reserve inventory using the frontend-provided requirements
-        try {
-          const inventoryResult = await client.query(
-            'SELECT reserve_inventory_for_experiment($1, $2, $3) as result',
-            [
-              experimentRecord.id,
-              JSON.stringify(inventoryRequirements),
-              req.user.id
-            ]
-          );
-          
-          const reservationResult = inventoryResult.rows[0].result;
-          if (reservationResult.has_warnings) {
-            inventoryWarnings = reservationResult.warnings;
-          }
-        } catch (inventoryError) {
-          await client.query('ROLLBACK');
-          return res.status(400).json({ 
-            msg: 'Inventory reservation failed',
-            error: inventoryError.message 
-          });
-        }
+      const experimentRecord = await lifecycleService.createPlanned(client, {
+        protocol_id,
+        user_id: assigneeId,
+        date_performed,
+        sample_ids,
+        actual_reagents_used,
+        notes,
+        instrument_id: instrumentId,
+        template_id
+      });
 
-        // Consume the reserved inventory immediately since experiments are "completed" by default
-        try {
-          await client.query(
-            'SELECT consume_reserved_inventory($1, $2)',
-            [experimentRecord.id, JSON.stringify(actual_reagents_used)]
-          );
-        } catch (consumeError) {
-          logger.warn('Inventory consumption warning:', consumeError.message);
-          // Don't fail the experiment creation for consumption issues
-        }
-      } else {
-        // Fallback to old method if no inventory requirements provided
-        const requiredReagents = protocol.required_reagents || [];
-        const sampleCount = sample_ids.length;
-        
-        if (requiredReagents.length > 0 && sampleCount > 0) {
-          // Build inventory requirements array using old method
-          const fallbackRequirements = [];
-          
-          for (const reagent of requiredReagents) {
-            // Find matching inventory item by name
-            const inventoryCheck = await client.query(
-              'SELECT * FROM inventory WHERE name ILIKE $1 AND current_quantity > 0 ORDER BY expiration_date ASC NULLS LAST LIMIT 1',
-              [reagent.name]
-            );
-            
-            if (inventoryCheck.rows.length > 0 && typeof reagent.quantity_per_sample === 'number') {
-              const totalQuantityNeeded = reagent.quantity_per_sample * sampleCount;
-              fallbackRequirements.push({
-                inventory_id: inventoryCheck.rows[0].id,
-                quantity: totalQuantityNeeded
-              });
-            }
-          }
-
-          // Reserve inventory if requirements found
-          if (fallbackRequirements.length > 0) {
-            try {
-              const fallbackResult = await client.query(
-                'SELECT reserve_inventory_for_experiment($1, $2, $3) as result',
-                [
-                  experimentRecord.id,
-                  JSON.stringify(fallbackRequirements),
-                  req.user.id
-                ]
-              );
-              
-              const reservationResult = fallbackResult.rows[0].result;
-              if (reservationResult.has_warnings) {
-                inventoryWarnings = inventoryWarnings.concat(reservationResult.warnings);
-              }
-            } catch (inventoryError) {
-              await client.query('ROLLBACK');
-              return res.status(400).json({ 
-                msg: 'Inventory reservation failed',
-                error: inventoryError.message 
-              });
-            }
-
-            // Mark reservations as consumed with default amounts
-            try {
-              await client.query(
-                'SELECT consume_reserved_inventory($1, NULL)',
-                [experimentRecord.id]
-              );
-            } catch (consumeError) {
-              logger.warn('Inventory consumption warning:', consumeError.message);
-            }
-          }
-        }
+      if (req.body.sample_volumes) {
+        await syncExperimentVolumes(client, {
+          experimentId: experimentRecord.id,
+          experimentNumber: experimentRecord.experiment_id,
+          volumes: normalizeSampleVolumes(req.body.sample_volumes, sample_ids),
+          userId: req.user.id
+        });
       }
 
-      // Log the action in audit trail
-      await client.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'CREATE',
-          'experiments',
-          experimentRecord.id,
-          JSON.stringify(req.body)
-        ]
-      );
+      // Planning reserves the reagents; walking on to the requested status consumes them
+      let requirements = req.body.inventory_requirements || [];
+      if (requirements.length === 0 && template) {
+        requirements = templateService.requirementsFor(template, sample_ids.length);
+      }
+      const inventoryWarnings = await lifecycleService.reserveInventory(client, experimentRecord, {
+        requirements,
+        protocol,
+        userId: req.user.id
+      });
+      const plate = template?.plate_layout
+        ? await plateService.createPlateFromLayout(client, experimentRecord.id, template.plate_layout, sample_ids, req.user.id)
+        : null;
+      for (const nextStatus of lifecycleService.pathFromPlanned(status)) {
+        await lifecycleService.applyTransition(client, experimentRecord, nextStatus, req.user, {
+          reason: req.body.status_reason
+        });
+      }
+      const conflicts = await scheduleService.findConflicts(client, experimentRecord);
 
       // Return with detailed information
       const experimentWithDetails = await client.query(
@@ -414,12 +389,17 @@ router.post(
       const response = {
         ...experimentWithDetails.rows[0],
         inventory_warnings: inventoryWarnings,
-        has_inventory_warnings: inventoryWarnings.length > 0
+        has_inventory_warnings: inventoryWarnings.length > 0,
+        conflicts,
+        unplaced_sample_ids: plate ? plate.unplaced : []
       };
       
       res.json(response);
     } catch (err) {
       await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message, consentBlocked: err.consentBlocked });
+      }
       logger.error('Experiment creation failed:', {
         error: err.message,
         stack: err.stack,
@@ -435,7 +415,8 @@ router.post(
 );
 
 // @route   PUT api/experiments/:id
-// @desc    Update an experiment
+// @desc    Update an experiment. Samples added to a planned experiment from a template get the
+//          template's default reagents reserved for them.
 // @access  Private (admin/editor or experiment creator)
 router.put(
   '/:id',
@@ -445,7 +426,9 @@ router.put(
       check('protocol_id', 'Protocol ID is required').not().isEmpty(),
       check('date_performed', 'Date performed is required').isISO8601(),
       check('sample_ids', 'Sample IDs must be an array').isArray(),
-      check('actual_reagents_used', 'Actual reagents used must be an array').optional().isArray()
+      check('actual_reagents_used', 'Actual reagents used must be an array').optional().isArray(),
+      check('sample_volumes', 'Sample volumes must be an array').optional().isArray(),
+      check('instrument_id').optional({ nullable: true }).isUUID()
     ]
   ],
   async (req, res) => {
@@ -460,7 +443,7 @@ router.put(
       sample_ids = [],
       actual_reagents_used = [],
       notes,
-      status = 'completed'
+      status
     } = req.body;
 
     const client = await db.getClient();
@@ -481,15 +464,21 @@ router.put(
 
       const oldData = checkResult.rows[0];
 
-      // Check if user can edit this experiment (admin/editor or creator)
-      const userRoles = req.user.role;
-      const canEdit = ['admin', 'editor'].includes(userRoles) || oldData.user_id === req.user.id;
+      // Check if user can edit this experiment (creator or experiment:edit_any)
+      const canEdit = oldData.user_id === req.user.id || can(req.user, 'experiment:edit_any');
 
       if (!canEdit) {
         await client.query('ROLLBACK');
         return res.status(403).json({ msg: 'Not authorized to edit this experiment' });
       }
 
+      await signatureService.assertEditable(client, 'experiments', req.params.id);
+
+      if (status !== undefined && status !== oldData.status) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ msg: 'Change the status with POST /api/experiments/:id/transition' });
+      }
+
       // Verify protocol exists and is active
       const protocolCheck = await client.query(
         'SELECT * FROM protocols WHERE id = $1 AND is_active = true',
@@ -501,6 +490,14 @@ router.put(
         return res.status(400).json({ msg: 'Protocol not found or inactive' });
       }
 
+      const instrumentId = req.body.instrument_id !== undefined ? req.body.instrument_id : oldData.instrument_id;
+      if (instrumentId && instrumentId !== oldData.instrument_id) {
+        await scheduleService.assertInstrument(client, instrumentId);
+      }
+
+      // Only newly added samples are checked; ones already in the experiment were allowed when added
+      const addedSampleIds = sample_ids.filter(id => !(oldData.sample_ids || []).includes(id));
+
       // Verify all sample IDs exist
       if (sample_ids.length > 0) {
         const sampleCheck = await client.query(
@@ -512,54 +509,62 @@ router.put(
           await client.query('ROLLBACK');
           return res.status(400).json({ msg: 'One or more sample IDs not found' });
         }
+
+        await assertSpecimenAccess(client, req.user, sample_ids, 'editor');
+        await assertConsentAllows(client, addedSampleIds, 'experiment', {
+          user: req.user,
+          override: req.body.consent_override,
+          overrideReason: req.body.consent_override_reason
+        });
       }
 
       // Update the experiment
       const result = await client.query(
         `UPDATE experiments
-        SET protocol_id = $1, date_performed = $2, status = $3, 
-            sample_ids = $4, actual_reagents_used = $5, notes = $6
+        SET protocol_id = $1, date_performed = $2,
+            sample_ids = $3, actual_reagents_used = $4, notes = $5, instrument_id = $6
         WHERE id = $7
         RETURNING *`,
         [
           protocol_id,
           date_performed,
-          status,
           JSON.stringify(sample_ids),
           JSON.stringify(actual_reagents_used),
           notes,
+          instrumentId || null,
           req.params.id
         ]
       );
+      await plateService.clearRemovedSpecimens(client, req.params.id, sample_ids);
 
-      // Update inventory consumption if actual reagents changed
-      if (actual_reagents_used.length > 0) {
-        try {
-          await client.query(
-            'SELECT consume_reserved_inventory($1, $2)',
-            [req.params.id, JSON.stringify(actual_reagents_used)]
-          );
-        } catch (consumeError) {
-          logger.warn('Inventory consumption update warning:', consumeError.message);
-        }
+      // Scheduled runs are planned before their samples arrive
+      let inventoryWarnings = [];
+      if (oldData.status === 'planned' && oldData.template_id && addedSampleIds.length > 0) {
+        const template = await templateService.getTemplate(client, oldData.template_id);
+        inventoryWarnings = await lifecycleService.reserveInventory(client, { ...result.rows[0], sample_ids: addedSampleIds }, {
+          requirements: templateService.requirementsFor(template, addedSampleIds.length),
+          userId: req.user.id
+        });
       }
+      const conflicts = await scheduleService.findConflicts(client, result.rows[0]);
 
-      // Log the action in audit trail
-      await client.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'UPDATE',
-          'experiments',
-          req.params.id,
-          JSON.stringify({
-            old: oldData,
-            new: result.rows[0]
-          })
-        ]
-      );
+      // Without new volumes, keep what was recorded for samples still on the experiment
+      let volumes;
+      if (req.body.sample_volumes) {
+        volumes = normalizeSampleVolumes(req.body.sample_volumes, sample_ids);
+      } else {
+        const recorded = await getExperimentVolumes(client, req.params.id);
+        volumes = {};
+        sample_ids.filter(id => recorded[id]).forEach(id => {
+          volumes[id] = recorded[id];
+        });
+      }
+      await syncExperimentVolumes(client, {
+        experimentId: req.params.id,
+        experimentNumber: oldData.experiment_id,
+        volumes,
+        userId: req.user.id
+      });
 
       // Return with detailed information
       const experimentWithDetails = await client.query(
@@ -568,9 +573,17 @@ router.put(
       );
       
       await client.query('COMMIT');
-      res.json(experimentWithDetails.rows[0]);
+      res.json({
+        ...experimentWithDetails.rows[0],
+        inventory_warnings: inventoryWarnings,
+        has_inventory_warnings: inventoryWarnings.length > 0,
+        conflicts
+      });
     } catch (err) {
       await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message, consentBlocked: err.consentBlocked });
+      }
       logger.error('Experiment update failed:', {
         error: err.message,
         userId: req.user?.id,
@@ -605,15 +618,19 @@ router.delete('/:id', auth, async (req, res) => {
 
     const oldData = checkResult.rows[0];
 
-    // Check if user can delete this experiment (admin or creator)
-    const userRoles = req.user.role;
-    const canDelete = userRoles === 'admin' || oldData.user_id === req.user.id;
+    // Check if user can delete this experiment (creator or experiment:delete_any)
+    const canDelete = oldData.user_id === req.user.id || can(req.user, 'experiment:delete_any');
 
     if (!canDelete) {
       await client.query('ROLLBACK');
       return res.status(403).json({ msg: 'Not authorized to delete this experiment' });
     }
 
+    if (await signatureService.hasSignatures(client, 'experiments', req.params.id)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ msg: 'Signed experiments are part of the record and cannot be deleted' });
+    }
+
     // Cancel any reserved inventory
     try {
       await client.query(
@@ -624,22 +641,16 @@ router.delete('/:id', auth, async (req, res) => {
       logger.warn('Inventory cancellation warning:', cancelError.message);
     }
 
+    // Put any sample volume the experiment drew back on its specimens
+    await syncExperimentVolumes(client, {
+      experimentId: req.params.id,
+      experimentNumber: oldData.experiment_id,
+      volumes: {},
+      userId: req.user.id
+    });
+
     // Delete the experiment
     await client.query('DELETE FROM experiments WHERE id = $1', [req.params.id]);
-
-    // Log the action in audit trail
-    await client.query(
-      `INSERT INTO audit_log 
-      (user_id, action, table_name, record_id, changed_fields) 
-      VALUES ($1, $2, $3, $4, $5)`,
-      [
-        req.user.id,
-        'DELETE',
-        'experiments',
-        req.params.id,
-        JSON.stringify(oldData)
-      ]
-    );
     
     await client.query('COMMIT');
     res.json({ msg: 'Experiment deleted' });
@@ -656,6 +667,323 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/experiments/:id/signatures
+// @desc    Electronic signatures on an experiment, and whether its current revision is locked
+// @access  Private
+router.get('/:id/signatures', auth, async (req, res) => {
+  try {
+    res.json(await signatureService.getSignatures(db, 'experiments', req.params.id));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Failed to load experiment signatures:', { error: err.message, experimentId: req.params.id });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/experiments/:id/signatures
+// @desc    Sign the experiment's current revision, re-entering the password
+// @access  Private (authored: creator or experiment:edit_any; reviewed/approved: esign:review/esign:approve)
+router.post(
+  '/:id/signatures',
+  [
+    auth,
+    [
+      check('meaning', 'Signature meaning is required').isIn(ESIGNATURES.MEANINGS),
+      check('password', 'Password is required').not().isEmpty(),
+      check('comment').optional({ nullable: true }).isString().isLength({ max: 1000 })
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const signature = await signatureService.signRecord(client, {
+        table: 'experiments',
+        recordId: req.params.id,
+        meaning: req.body.meaning,
+        password: req.body.password,
+        comment: req.body.comment,
+        user: req.user,
+        ip: req.ip
+      });
+      await client.query('COMMIT');
+      res.status(201).json(signature);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      logger.error('Experiment signing failed:', { error: err.message, userId: req.user?.id, experimentId: req.params.id });
+      res.status(500).send('Server error');
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   POST api/experiments/:id/revisions
+// @desc    Start a new revision of a signed experiment so it can be edited again
+// @access  Private (experiment creator or experiment:edit_any)
+router.post(
+  '/:id/revisions',
+  [auth, [check('reason').optional({ nullable: true }).isString().isLength({ max: 1000 })]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const result = await signatureService.startRevision(client, 'experiments', req.params.id, req.user, req.body.reason);
+      await client.query('COMMIT');
+      res.json(result);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      logger.error('Starting experiment revision failed:', { error: err.message, userId: req.user?.id, experimentId: req.params.id });
+      res.status(500).send('Server error');
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   GET api/experiments/:id/execution
+// @desc    Bench execution record: each protocol step with its timestamps, values and deviations
+// @access  Private
+router.get('/:id/execution', auth, async (req, res) => {
+  try {
+    res.json(await executionService.getExecution(db, req.params.id));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Failed to load experiment execution:', { error: err.message, experimentId: req.params.id });
+    res.status(500).send('Server error');
+  }
+});
+
+// Runs one execution, plate layout or status change in a transaction; the service checks who may make it
+const recordChange = (action, describe) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await action(client, req);
+    await client.query('COMMIT');
+    res.json(result);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error(`${describe} failed:`, { error: err.message, userId: req.user?.id, experimentId: req.params.id });
+    res.status(500).send('Server error');
+  } finally {
+    client.release();
+  }
+};
+
+// @route   POST api/experiments/:id/execution
+// @desc    Start running the experiment at the bench with its protocol version's steps
+// @access  Private (experiment creator or experiment:edit_any)
+router.post(
+  '/:id/execution',
+  auth,
+  recordChange((client, req) => executionService.startExecution(client, req.params.id, req.user), 'Starting experiment execution')
+);
+
+// @route   PUT api/experiments/:id/execution/steps/:stepNumber
+// @desc    Record a step's status, actual parameter values, deviation and notes
+// @access  Private (experiment creator or experiment:edit_any)
+router.put(
+  '/:id/execution/steps/:stepNumber',
+  [
+    auth,
+    [
+      check('stepNumber', 'Step number must be a positive integer').isInt({ min: 1 }).toInt(),
+      check('status').optional().isIn(executionService.STEP_STATUSES),
+      check('actual_values').optional().isObject(),
+      check('deviation').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+      check('notes').optional({ nullable: true }).isString().isLength({ max: 2000 })
+    ]
+  ],
+  recordChange((client, req) => executionService.updateStep(
+    client,
+    req.params.id,
+    req.params.stepNumber,
+    {
+      status: req.body.status,
+      actual_values: req.body.actual_values,
+      deviation: req.body.deviation,
+      notes: req.body.notes
+    },
+    req.user
+  ), 'Recording experiment step')
+);
+
+// @route   POST api/experiments/:id/execution/complete
+// @desc    Finish the bench execution once every step is done or skipped
+// @access  Private (experiment creator or experiment:edit_any)
+router.post(
+  '/:id/execution/complete',
+  auth,
+  recordChange((client, req) => executionService.completeExecution(client, req.params.id, req.user), 'Completing experiment execution')
+);
+
+// @route   POST api/experiments/:id/transition
+// @desc    Move the experiment along its lifecycle (planned -> in_progress -> completed/failed/cancelled).
+//          Completing or failing consumes the reserved inventory, adjusted to any actual_reagents_used
+//          given; cancelling releases it.
+// @access  Private (experiment creator or experiment:edit_any)
+router.post(
+  '/:id/transition',
+  [
+    auth,
+    [
+      check('status', `Status must be one of: ${lifecycleService.STATUSES.join(', ')}`).isIn(lifecycleService.STATUSES),
+      check('reason').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+      check('actual_reagents_used', 'Actual reagents used must be an array').optional({ nullable: true }).isArray()
+    ]
+  ],
+  recordChange(async (client, req) => {
+    const transition = await lifecycleService.transition(client, req.params.id, req.body.status, req.user, {
+      reason: req.body.reason,
+      actualUsage: req.body.actual_reagents_used
+    });
+    const experiment = await client.query('SELECT * FROM experiments_with_details WHERE id = $1', [req.params.id]);
+    return {
+      ...experiment.rows[0],
+      allowed_transitions: lifecycleService.allowedTransitions(transition.to),
+      transition
+    };
+  }, 'Experiment status transition')
+);
+
+// @route   GET api/experiments/:id/reagent-reconciliation
+// @desc    Calculated, reserved and consumed quantities of each reagent and lot, with the variance
+// @access  Private
+router.get('/:id/reagent-reconciliation', auth, async (req, res) => {
+  try {
+    res.json(await reconciliationService.getExperimentReconciliation(db, req.params.id));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Failed to load reagent reconciliation:', { error: err.message, experimentId: req.params.id });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/experiments/:id/plates
+// @desc    Plates the experiment ran in, with their well layouts
+// @access  Private
+router.get('/:id/plates', auth, async (req, res) => {
+  try {
+    res.json(await plateService.listPlates(db, req.params.id));
+  } catch (err) {
+    logger.error('Failed to load experiment plates:', { error: err.message, experimentId: req.params.id });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/experiments/:id/plates
+// @desc    Add an empty plate of the given format to the experiment
+// @access  Private (experiment creator or experiment:edit_any)
+router.post(
+  '/:id/plates',
+  [
+    auth,
+    [
+      check('name', 'Plate name is required (1-100 chars)').trim().isLength({ min: 1, max: 100 }),
+      check('plate_format', 'Unknown plate format').optional().isIn(Object.keys(plateService.PLATE_FORMATS)).toInt(),
+      check('notes').optional({ nullable: true }).isString()
+    ]
+  ],
+  recordChange((client, req) => plateService.createPlate(client, req.params.id, req.body, req.user), 'Creating experiment plate')
+);
+
+// @route   PUT api/experiments/:id/plates/:plateId
+// @desc    Rename a plate or save its layout ({ well, well_type, specimen_id, label } per filled well)
+// @access  Private (experiment creator or experiment:edit_any)
+router.put(
+  '/:id/plates/:plateId',
+  [
+    auth,
+    [
+      check('name', 'Plate name must be 1-100 chars').optional().trim().isLength({ min: 1, max: 100 }),
+      check('notes').optional({ nullable: true }).isString(),
+      check('wells', 'Wells must be an array').optional().isArray()
+    ]
+  ],
+  recordChange((client, req) => plateService.updatePlate(
+    client,
+    req.params.id,
+    req.params.plateId,
+    { name: req.body.name, notes: req.body.notes, wells: req.body.wells },
+    req.user
+  ), 'Saving experiment plate')
+);
+
+// @route   DELETE api/experiments/:id/plates/:plateId
+// @desc    Remove a plate and its layout
+// @access  Private (experiment creator or experiment:edit_any)
+router.delete(
+  '/:id/plates/:plateId',
+  auth,
+  recordChange(async (client, req) => {
+    const plate = await plateService.deletePlate(client, req.params.id, req.params.plateId, req.user);
+    return { msg: `Plate "${plate.name}" removed` };
+  }, 'Deleting experiment plate')
+);
+
+// @route   GET api/experiments/:id/plates/:plateId/export
+// @desc    Download a plate map as CSV (?layout=list, one line per well, or ?layout=grid)
+// @access  Private
+router.get(
+  '/:id/plates/:plateId/export',
+  [auth, [check('layout', 'Layout must be list or grid').optional().isIn(['list', 'grid'])]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const plate = await plateService.getPlate(db, req.params.id, req.params.plateId);
+      const experiment = await db.query('SELECT experiment_id FROM experiments WHERE id = $1', [req.params.id]);
+      const layout = req.query.layout || 'list';
+
+      const plateName = plate.name.replace(/[^A-Za-z0-9_-]+/g, '_');
+      const filename = `experiment_${experiment.rows[0].experiment_id}_${plateName}_${layout}.csv`;
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(plateService.plateMapCsv(plate, layout));
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      logger.error('Plate map export failed:', { error: err.message, experimentId: req.params.id });
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 // @route   POST api/experiments/:id/cancel-reservation
 // @desc    Cancel inventory reservation for an experiment
 // @access  Private (admin/editor or experiment creator)
@@ -677,8 +1005,7 @@ router.post('/:id/cancel-reservation', auth, async (req, res) => {
     }
 
     const experiment = checkResult.rows[0];
-    const userRoles = req.user.role;
-    const canCancel = ['admin', 'editor'].includes(userRoles) || experiment.user_id === req.user.id;
+    const canCancel = experiment.user_id === req.user.id || can(req.user, 'experiment:edit_any');
 
     if (!canCancel) {
       await client.query('ROLLBACK');
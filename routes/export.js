@@ -1,18 +1,63 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const db = require('../db');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const ExcelJS = require('exceljs');
 const fs = require('fs');
 const path = require('path');
 const { getAllColumnKeys, getColumnConfig, buildSelectClause, buildExcelColumns } = require('../utils/exportColumns');
+const { filterRowsByConsent } = require('../services/consentService');
+const { presentPhi } = require('../services/phiService');
+const { can } = require('../services/permissionService');
+const { projectScope } = require('../services/projectAccessService');
+const {
+  getDeidentifiedColumns,
+  getOrCreateRecipient,
+  deidentifyRows,
+  recordRelease
+} = require('../services/deidentificationService');
+
+/**
+ * Drop specimens whose patient consent does not allow export and report how many were left out
+ * in the X-Consent-Excluded header. Admins can include them with consentOverride and a reason.
+ */
+const applyExportConsent = async (req, res, rows) => {
+  const { rows: allowed, excluded } = await filterRowsByConsent(db, rows, 'export', {
+    user: req.user,
+    override: req.query.consentOverride === 'true',
+    overrideReason: req.query.consentOverrideReason
+  });
+
+  if (excluded > 0) {
+    if (allowed.length === 0) {
+      const error = new Error('Patient consent does not allow export of any of the matching specimens');
+      error.status = 403;
+      throw error;
+    }
+    res.setHeader('X-Consent-Excluded', String(excluded));
+  }
+  return allowed;
+};
+
+/**
+ * Rows that may leave the system: consent-filtered, with patient identifiers decrypted
+ * for admins/lab managers and masked for everyone else, or de-identified when the export
+ * is a release to a recipient
+ */
+const prepareExportRows = async (req, res, rows, recipient = null) => {
+  const allowed = await applyExportConsent(req, res, rows);
+  if (recipient) {
+    return deidentifyRows(db, allowed, recipient);
+  }
+  return presentPhi(db, allowed, req.user, { context: `export ${req.path}` });
+};
 
 // @route   GET api/export/specimens/csv
 // @desc    Export specimens data as CSV with filtering
 // @access  Private
-router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.get('/specimens/csv', [auth, requirePermission('export:data')], async (req, res) => {
   try {
     const {
       searchTerm,
@@ -64,6 +109,8 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
       const baseQuery = `
         SELECT 
           s.specimen_number as specimen_id,
+          s.id as specimen_uuid,
+          s.patient_id,
           s.tube_id,
           s.date_collected,
           s.position_freezer,
@@ -81,6 +128,9 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
           p.first_name as patient_first_name,
           p.last_name as patient_last_name,
           p.diagnosis,
+          v.visit_label,
+          v.visit_date,
+          v.days_from_baseline,
           proj.id as project_id,
           proj.disease,
           proj.specimen_type,
@@ -93,6 +143,7 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
           c.pi_email
         FROM specimens s
         LEFT JOIN patients p ON s.patient_id = p.id
+        LEFT JOIN patient_visits v ON s.visit_id = v.id
         JOIN projects proj ON s.project_id = proj.id
         JOIN collaborators c ON proj.collaborator_id = c.id`;
       
@@ -101,29 +152,31 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
       const numericIdentifiers = cleanIdentifiers.filter(id => /^\d+$/.test(id)).map(id => parseInt(id));
       const nonNumericIdentifiers = cleanIdentifiers.filter(id => !/^\d+$/.test(id));
       
-      let bulkQuery, bulkParams;
+      let bulkCondition, bulkParams;
       if (numericIdentifiers.length > 0 && nonNumericIdentifiers.length > 0) {
         // Mixed identifiers
-        bulkQuery = `${baseQuery} WHERE 
-          s.specimen_number = ANY($1::int[]) OR
-          s.tube_id = ANY($2::text[])
-          ORDER BY s.specimen_number ASC`;
+        bulkCondition = `s.specimen_number = ANY($1::int[]) OR s.tube_id = ANY($2::text[])`;
         bulkParams = [numericIdentifiers, nonNumericIdentifiers];
       } else if (numericIdentifiers.length > 0) {
         // Only numeric identifiers
-        bulkQuery = `${baseQuery} WHERE s.specimen_number = ANY($1::int[]) ORDER BY s.specimen_number ASC`;
+        bulkCondition = `s.specimen_number = ANY($1::int[])`;
         bulkParams = [numericIdentifiers];
       } else {
         // Only non-numeric identifiers
-        bulkQuery = `${baseQuery} WHERE s.tube_id = ANY($1::text[]) ORDER BY s.specimen_number ASC`;
+        bulkCondition = `s.tube_id = ANY($1::text[])`;
         bulkParams = [nonNumericIdentifiers];
       }
+
+      // Identifiers from projects the user can't see are reported as not found
+      const scope = projectScope(req.user, 's.project_id', bulkParams.length + 1);
+      const bulkQuery = `${baseQuery} WHERE (${bulkCondition}) AND ${scope.condition} ORDER BY s.specimen_number ASC`;
+      bulkParams = [...bulkParams, ...scope.params];
       
       const result = await db.query(bulkQuery, bulkParams);
       console.log('📋 CSV Export: Bulk search found', result.rows.length, 'specimens');
       
       // Skip the regular filtering and use bulk search results
-      const bulkResults = result.rows;
+      const bulkResults = await prepareExportRows(req, res, result.rows);
       
       // Jump to CSV generation with bulk results
       if (bulkResults.length === 0) {
@@ -143,8 +196,7 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
         const location = locationParts.join(' / ') || '';
 
         // Build patient name
-        const patientNameParts = [row.patient_first_name, row.patient_last_name].filter(Boolean);
-        const patientName = patientNameParts.join(' ') || '';
+        const patientName = row.patient_name || '';
 
         return {
           specimen_id: row.specimen_id,
@@ -156,6 +208,9 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
           patient_external_id: row.patient_external_id || '',
           patient_name: patientName,
           date_collected: row.date_collected ? new Date(row.date_collected).toISOString().split('T')[0] : '',
+          visit_label: row.visit_label || '',
+          visit_date: row.visit_date ? new Date(row.visit_date).toISOString().split('T')[0] : '',
+          days_from_baseline: row.days_from_baseline ?? '',
           location: location,
           activity_status: row.activity_status || '',
           extracted: row.extracted ? 'Yes' : 'No',
@@ -195,6 +250,9 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
           { id: 'patient_external_id', title: 'Patient ID' },
           { id: 'patient_name', title: 'Patient Name' },
           { id: 'date_collected', title: 'Date Collected' },
+          { id: 'visit_label', title: 'Visit' },
+          { id: 'visit_date', title: 'Visit Date' },
+          { id: 'days_from_baseline', title: 'Days From Baseline' },
           { id: 'location', title: 'Location' },
           { id: 'activity_status', title: 'Status' },
           { id: 'extracted', title: 'Extracted' },
@@ -222,6 +280,7 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
           JSON.stringify({
             identifiers_searched: identifiers.length,
             records_found: csvData.length,
+            consent_excluded: Number(res.getHeader('X-Consent-Excluded') || 0),
             filename: filename
           })
         ]
@@ -249,6 +308,8 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
     let query = `
       SELECT 
         s.specimen_number as specimen_id,
+        s.id as specimen_uuid,
+        s.patient_id,
         s.tube_id,
         s.date_collected,
         s.position_freezer,
@@ -266,6 +327,9 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
         p.first_name as patient_first_name,
         p.last_name as patient_last_name,
         p.diagnosis,
+        v.visit_label,
+        v.visit_date,
+        v.days_from_baseline,
         proj.id as project_id,
         proj.disease,
         proj.specimen_type,
@@ -278,6 +342,7 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
         c.irb_id
       FROM specimens s
       LEFT JOIN patients p ON s.patient_id = p.id
+      LEFT JOIN patient_visits v ON s.visit_id = v.id
       JOIN projects proj ON s.project_id = proj.id
       JOIN collaborators c ON proj.collaborator_id = c.id
       WHERE 1=1
@@ -286,6 +351,12 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
     const params = [];
     let paramIndex = 1;
 
+    // Only specimens in projects the user can see
+    const scope = projectScope(req.user, 's.project_id', paramIndex);
+    query += ` AND ${scope.condition}`;
+    params.push(...scope.params);
+    paramIndex += scope.params.length;
+
     // Add filters
     if (dateStart) {
       query += ` AND s.date_collected >= $${paramIndex}`;
@@ -340,7 +411,7 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
             query += ` AND s.position_box ILIKE $${paramIndex}`;
             break;
           case 'patient':
-            query += ` AND (p.external_id ILIKE $${paramIndex} OR p.first_name ILIKE $${paramIndex} OR p.last_name ILIKE $${paramIndex})`;
+            query += ` AND p.external_id ILIKE $${paramIndex}`;
             break;
           case 'collaborator':
             query += ` AND (c.pi_name ILIKE $${paramIndex} OR c.pi_institute ILIKE $${paramIndex})`;
@@ -365,8 +436,6 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
           s.position_box ILIKE $${paramIndex} OR
           s.specimen_site ILIKE $${paramIndex} OR
           p.external_id ILIKE $${paramIndex} OR
-          p.first_name ILIKE $${paramIndex} OR
-          p.last_name ILIKE $${paramIndex} OR
           c.pi_name ILIKE $${paramIndex} OR
           c.pi_institute ILIKE $${paramIndex} OR
           proj.disease ILIKE $${paramIndex} OR
@@ -400,6 +469,7 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
 
     // Execute query
     const result = await db.query(query, params);
+    result.rows = await prepareExportRows(req, res, result.rows);
 
     console.log('🔍 CSV DEBUG - Query result count:', result.rows.length);
     
@@ -442,6 +512,9 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
         { id: 'patient_external_id', title: 'Patient ID' },
         { id: 'patient_name', title: 'Patient Name' },
         { id: 'date_collected', title: 'Date Collected' },
+        { id: 'visit_label', title: 'Visit' },
+        { id: 'visit_date', title: 'Visit Date' },
+        { id: 'days_from_baseline', title: 'Days From Baseline' },
         { id: 'location', title: 'Location' },
         { id: 'activity_status', title: 'Status' },
         { id: 'extracted', title: 'Extracted' },
@@ -472,8 +545,7 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
       const location = locationParts.join(' / ') || '';
 
       // Build patient name
-      const patientNameParts = [row.patient_first_name, row.patient_last_name].filter(Boolean);
-      const patientName = patientNameParts.join(' ') || '';
+      const patientName = row.patient_name || '';
 
       // DEBUG: Log the actual row data to see what we're getting
       console.log('🔍 CSV DEBUG - Raw row data:', {
@@ -492,6 +564,9 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
         patient_external_id: row.patient_external_id || '',
         patient_name: patientName,
         date_collected: row.date_collected ? new Date(row.date_collected).toISOString().split('T')[0] : '',
+        visit_label: row.visit_label || '',
+        visit_date: row.visit_date ? new Date(row.visit_date).toISOString().split('T')[0] : '',
+        days_from_baseline: row.days_from_baseline ?? '',
         location: location,
         activity_status: row.activity_status || '',
         extracted: row.extracted ? 'Yes' : 'No',
@@ -525,6 +600,7 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
         JSON.stringify({
           filter_criteria: req.query,
           record_count: result.rows.length,
+          consent_excluded: Number(res.getHeader('X-Consent-Excluded') || 0),
           filename: filename,
           selected_columns: columnsToExport
         })
@@ -547,6 +623,9 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
     });
 
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     console.error('Export error:', err.message);
     res.status(500).json({ msg: 'Failed to export data', error: err.message });
   }
@@ -555,7 +634,7 @@ router.get('/specimens/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
 // @route   GET api/export/specimens/excel
 // @desc    Export specimens data as Excel with formatting
 // @access  Private
-router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.get('/specimens/excel', [auth, requirePermission('export:data')], async (req, res) => {
   try {
     const {
       searchTerm,
@@ -571,9 +650,17 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
       selectedSpecimens,
       bulkIdText
     } = req.query;
+
+    // De-identified releases drop direct identifiers and pseudonymize patients for a named recipient
+    const deidentify = req.query.deidentify === 'true';
+    if (deidentify && !can(req.user, 'export:phi')) {
+      return res.status(403).json({ msg: 'You are not allowed to create de-identified releases' });
+    }
+    const recipient = deidentify ? await getOrCreateRecipient(db, req.query.recipient, req.user.id) : null;
     
     // Parse selected columns or use all columns as default
-    const columnsToExport = selectedColumns ? selectedColumns.split(',') : getAllColumnKeys();
+    const requestedColumns = selectedColumns ? selectedColumns.split(',') : getAllColumnKeys();
+    const columnsToExport = recipient ? getDeidentifiedColumns(requestedColumns) : requestedColumns;
 
     // Handle bulk search export (same as CSV)
     if (bulkIdText && bulkIdText.trim()) {
@@ -591,6 +678,8 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
       const baseQuery = `
         SELECT 
           s.specimen_number as specimen_id,
+          s.id as specimen_uuid,
+          s.patient_id,
           s.tube_id,
           s.date_collected,
           s.position_freezer,
@@ -608,6 +697,9 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
           p.first_name as patient_first_name,
           p.last_name as patient_last_name,
           p.diagnosis,
+          v.visit_label,
+          v.visit_date,
+          v.days_from_baseline,
           proj.id as project_id,
           proj.disease,
           proj.specimen_type,
@@ -620,6 +712,7 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
           c.pi_email
         FROM specimens s
         LEFT JOIN patients p ON s.patient_id = p.id
+        LEFT JOIN patient_visits v ON s.visit_id = v.id
         JOIN projects proj ON s.project_id = proj.id
         JOIN collaborators c ON proj.collaborator_id = c.id`;
       
@@ -628,26 +721,29 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
       const numericIdentifiers = cleanIdentifiers.filter(id => /^\d+$/.test(id)).map(id => parseInt(id));
       const nonNumericIdentifiers = cleanIdentifiers.filter(id => !/^\d+$/.test(id));
       
-      let bulkQuery, bulkParams;
+      let bulkCondition, bulkParams;
       if (numericIdentifiers.length > 0 && nonNumericIdentifiers.length > 0) {
         // Mixed identifiers
-        bulkQuery = `${baseQuery} WHERE 
-          s.specimen_number = ANY($1::int[]) OR
-          s.tube_id = ANY($2::text[])
-          ORDER BY s.specimen_number ASC`;
+        bulkCondition = `s.specimen_number = ANY($1::int[]) OR s.tube_id = ANY($2::text[])`;
         bulkParams = [numericIdentifiers, nonNumericIdentifiers];
       } else if (numericIdentifiers.length > 0) {
         // Only numeric identifiers
-        bulkQuery = `${baseQuery} WHERE s.specimen_number = ANY($1::int[]) ORDER BY s.specimen_number ASC`;
+        bulkCondition = `s.specimen_number = ANY($1::int[])`;
         bulkParams = [numericIdentifiers];
       } else {
         // Only non-numeric identifiers
-        bulkQuery = `${baseQuery} WHERE s.tube_id = ANY($1::text[]) ORDER BY s.specimen_number ASC`;
+        bulkCondition = `s.tube_id = ANY($1::text[])`;
         bulkParams = [nonNumericIdentifiers];
       }
+
+      // Identifiers from projects the user can't see are reported as not found
+      const scope = projectScope(req.user, 's.project_id', bulkParams.length + 1);
+      const bulkQuery = `${baseQuery} WHERE (${bulkCondition}) AND ${scope.condition} ORDER BY s.specimen_number ASC`;
+      bulkParams = [...bulkParams, ...scope.params];
       
       const result = await db.query(bulkQuery, bulkParams);
       console.log('📋 Excel Export: Bulk search found', result.rows.length, 'specimens');
+      result.rows = await prepareExportRows(req, res, result.rows, recipient);
       
       if (result.rows.length === 0) {
         return res.status(404).json({ msg: 'No specimens found matching the provided identifiers' });
@@ -684,8 +780,7 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
         ].filter(Boolean);
         const location = locationParts.join(' / ') || '';
 
-        const patientNameParts = [row.patient_first_name, row.patient_last_name].filter(Boolean);
-        const patientName = patientNameParts.join(' ') || '';
+        const patientName = row.patient_name || '';
 
         // Build row data for only selected columns
         const rowData = {};
@@ -701,13 +796,22 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
               case 'patient_name':
                 rowData[config.excelKey] = patientName;
                 break;
+              case 'date_of_birth':
+                if (row.phi_masked) {
+                  rowData[config.excelKey] = row[columnKey] || '';
+                  break;
+                }
+              // falls through
               case 'date_collected':
               case 'date_received':
               case 'feedback_date':
-              case 'date_of_birth':
+              case 'visit_date':
                 rowData[config.excelKey] = row[columnKey] ? new Date(row[columnKey]) : '';
                 if (row[columnKey]) dateFields.push(config.excelKey);
                 break;
+              case 'days_from_baseline':
+                rowData[config.excelKey] = row[columnKey] ?? '';
+                break;
               case 'extracted':
               case 'used_up':
                 rowData[config.excelKey] = row[columnKey] ? 'Yes' : 'No';
@@ -761,12 +865,22 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
 
       // Generate unique filename
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `specimens_bulk_export_${timestamp}.xlsx`;
+      const filename = `specimens_bulk_${recipient ? 'deidentified' : 'export'}_${timestamp}.xlsx`;
       const filepath = path.join(exportsDir, filename);
 
       // Write Excel file
       await workbook.xlsx.writeFile(filepath);
 
+      const releaseId = recipient ? await recordRelease(db, {
+        recipient,
+        purpose: req.query.purpose,
+        rows: result.rows,
+        columns: columnsToExport,
+        filterCriteria: req.query,
+        filename,
+        userId: req.user.id
+      }) : null;
+
       // Log the export action
       await db.query(
         `INSERT INTO audit_log 
@@ -780,6 +894,8 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
           JSON.stringify({
             identifiers_searched: identifiers.length,
             records_found: result.rows.length,
+            consent_excluded: Number(res.getHeader('X-Consent-Excluded') || 0),
+            deidentified_release_id: releaseId,
             filename: filename
           })
         ]
@@ -808,9 +924,10 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
     
     let query = `
       SELECT 
-        ${selectFields.join(',\n        ')}
+        ${[...selectFields, 's.patient_id'].join(',\n        ')}
       FROM specimens s
       LEFT JOIN patients p ON s.patient_id = p.id
+      LEFT JOIN patient_visits v ON s.visit_id = v.id
       JOIN projects proj ON s.project_id = proj.id
       JOIN collaborators c ON proj.collaborator_id = c.id
       WHERE 1=1
@@ -819,6 +936,12 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
     const params = [];
     let paramIndex = 1;
 
+    // Only specimens in projects the user can see
+    const scope = projectScope(req.user, 's.project_id', paramIndex);
+    query += ` AND ${scope.condition}`;
+    params.push(...scope.params);
+    paramIndex += scope.params.length;
+
     // Add the same filters as CSV export
     if (dateStart) {
       query += ` AND s.date_collected >= $${paramIndex}`;
@@ -873,7 +996,7 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
             query += ` AND s.position_box ILIKE $${paramIndex}`;
             break;
           case 'patient':
-            query += ` AND (p.external_id ILIKE $${paramIndex} OR p.first_name ILIKE $${paramIndex} OR p.last_name ILIKE $${paramIndex})`;
+            query += ` AND p.external_id ILIKE $${paramIndex}`;
             break;
           case 'collaborator':
             query += ` AND (c.pi_name ILIKE $${paramIndex} OR c.pi_institute ILIKE $${paramIndex})`;
@@ -898,8 +1021,6 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
           s.position_box ILIKE $${paramIndex} OR
           s.specimen_site ILIKE $${paramIndex} OR
           p.external_id ILIKE $${paramIndex} OR
-          p.first_name ILIKE $${paramIndex} OR
-          p.last_name ILIKE $${paramIndex} OR
           c.pi_name ILIKE $${paramIndex} OR
           c.pi_institute ILIKE $${paramIndex} OR
           proj.disease ILIKE $${paramIndex} OR
@@ -926,6 +1047,7 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
 
     // Execute query
     const result = await db.query(query, params);
+    result.rows = await prepareExportRows(req, res, result.rows, recipient);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ msg: 'No specimens found with the specified criteria' });
@@ -962,8 +1084,7 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
       ].filter(Boolean);
       const location = locationParts.join(' / ') || '';
 
-      const patientNameParts = [row.patient_first_name, row.patient_last_name].filter(Boolean);
-      const patientName = patientNameParts.join(' ') || '';
+      const patientName = row.patient_name || '';
 
       // Build row data for only selected columns
       const rowData = {};
@@ -979,13 +1100,22 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
             case 'patient_name':
               rowData[config.excelKey] = patientName;
               break;
+            case 'date_of_birth':
+              if (row.phi_masked) {
+                rowData[config.excelKey] = row[columnKey] || '';
+                break;
+              }
+            // falls through
             case 'date_collected':
             case 'date_received':
             case 'feedback_date':
-            case 'date_of_birth':
+            case 'visit_date':
               rowData[config.excelKey] = row[columnKey] ? new Date(row[columnKey]) : '';
               if (row[columnKey]) dateFields.push(config.excelKey);
               break;
+            case 'days_from_baseline':
+              rowData[config.excelKey] = row[columnKey] ?? '';
+              break;
             case 'extracted':
             case 'used_up':
               rowData[config.excelKey] = row[columnKey] ? 'Yes' : 'No';
@@ -1039,12 +1169,22 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
 
     // Generate unique filename
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `specimens_export_${timestamp}.xlsx`;
+    const filename = `specimens_${recipient ? 'deidentified' : 'export'}_${timestamp}.xlsx`;
     const filepath = path.join(exportsDir, filename);
 
     // Write Excel file
     await workbook.xlsx.writeFile(filepath);
 
+    const releaseId = recipient ? await recordRelease(db, {
+      recipient,
+      purpose: req.query.purpose,
+      rows: result.rows,
+      columns: columnsToExport,
+      filterCriteria: req.query,
+      filename,
+      userId: req.user.id
+    }) : null;
+
     // Log the export action
     await db.query(
       `INSERT INTO audit_log 
@@ -1058,6 +1198,8 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
         JSON.stringify({
           filter_criteria: req.query,
           record_count: result.rows.length,
+          consent_excluded: Number(res.getHeader('X-Consent-Excluded') || 0),
+          deidentified_release_id: releaseId,
           filename: filename,
           selected_columns: columnsToExport
         })
@@ -1080,15 +1222,70 @@ router.get('/specimens/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
     });
 
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     console.error('Excel export error:', err.message);
     res.status(500).json({ msg: 'Failed to export Excel data', error: err.message });
   }
 });
 
+// @route   GET api/export/deidentified/recipients
+// @desc    Recipients of de-identified releases, with how often they have received data
+// @access  Private (admin/lab_manager)
+router.get('/deidentified/recipients', [auth, requirePermission('export:phi')], async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT r.id, r.name, r.created_at,
+        COUNT(dr.id)::int AS release_count,
+        MAX(dr.released_at) AS last_released_at
+      FROM deidentification_recipients r
+      LEFT JOIN deidentified_releases dr ON dr.recipient_id = r.id
+      GROUP BY r.id
+      ORDER BY r.name
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Recipient list error:', err.message);
+    res.status(500).json({ msg: 'Failed to load recipients' });
+  }
+});
+
+// @route   GET api/export/deidentified/releases
+// @desc    History of de-identified releases, optionally for one recipient
+// @access  Private (admin/lab_manager)
+router.get('/deidentified/releases', [auth, requirePermission('export:phi')], async (req, res) => {
+  try {
+    const params = [];
+    let where = '';
+    if (req.query.recipientId) {
+      params.push(req.query.recipientId);
+      where = 'WHERE dr.recipient_id = $1';
+    }
+
+    const result = await db.query(`
+      SELECT dr.id, dr.purpose, dr.specimen_count, dr.patient_count, dr.columns,
+        dr.filename, dr.released_at,
+        r.name AS recipient_name,
+        u.username AS released_by_username
+      FROM deidentified_releases dr
+      JOIN deidentification_recipients r ON dr.recipient_id = r.id
+      LEFT JOIN users u ON dr.released_by = u.id
+      ${where}
+      ORDER BY dr.released_at DESC
+      LIMIT 200
+    `, params);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Release history error:', err.message);
+    res.status(500).json({ msg: 'Failed to load release history' });
+  }
+});
+
 // @route   GET api/export/inventory/csv
 // @desc    Export inventory data as CSV with filtering
 // @access  Private
-router.get('/inventory/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.get('/inventory/csv', [auth, requirePermission('export:data')], async (req, res) => {
   try {
     const {
       searchTerm,
@@ -1295,7 +1492,7 @@ router.get('/inventory/csv', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
 // @route   GET api/export/inventory/excel
 // @desc    Export inventory data as Excel with formatting
 // @access  Private
-router.get('/inventory/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.get('/inventory/excel', [auth, requirePermission('export:data')], async (req, res) => {
   try {
     const {
       searchTerm,
@@ -1579,7 +1776,7 @@ router.get('/inventory/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
 // @route   GET api/export/projects/excel
 // @desc    Export projects data as Excel with formatting
 // @access  Private
-router.get('/projects/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.get('/projects/excel', [auth, requirePermission('export:data')], async (req, res) => {
   try {
     const {
       search,
@@ -1604,6 +1801,12 @@ router.get('/projects/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_tec
     const params = [];
     let paramIndex = 1;
 
+    // Only projects the user can see
+    const scope = projectScope(req.user, 'p.id', paramIndex);
+    query += ` AND ${scope.condition}`;
+    params.push(...scope.params);
+    paramIndex += scope.params.length;
+
     // Add search filter if provided
     if (search?.trim()) {
       // Use smart search for projects - exact match for project_number, substring for text fields
@@ -1774,7 +1977,7 @@ router.get('/projects/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_tec
 // @route   GET api/export/collaborators/excel
 // @desc    Export collaborators data as Excel with formatting
 // @access  Private
-router.get('/collaborators/excel', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.get('/collaborators/excel', [auth, requirePermission('export:data')], async (req, res) => {
   try {
     const {
       search,
@@ -3,10 +3,11 @@ const router = express.Router();
 const multer = require('multer');
 const XLSX = require('xlsx');
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const db = require('../db');
 const logger = require('../utils/logger');
 const { FILE_UPLOAD } = require('../config/constants');
+const { resolveSpecimenPosition } = require('../services/storageService');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -277,7 +278,7 @@ async function checkDuplicates(specimens) {
 // @route   POST api/import/preview
 // @desc    Preview import data without saving
 // @access  Private (admin/editor only)
-router.post('/preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician']), upload.single('file')], async (req, res) => {
+router.post('/preview', [auth, requirePermission('import:run'), upload.single('file')], async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ msg: 'No file uploaded' });
@@ -469,13 +470,15 @@ async function processBatch(specimens, batchSize = 1000) {
           // Find/create patient
           const patientId = await findOrCreatePatient(client, specimen);
           
-          // Parse location
-          const location = parseLocation(specimen.location);
-          
           // Check if specimen exists
           const existingQuery = `SELECT id FROM specimens WHERE tube_id = $1`;
           const existingResult = await client.query(existingQuery, [specimen.tube_id || specimen.specimen_id]);
           
+          // Parse location and check it against the storage hierarchy
+          const location = await resolveSpecimenPosition(client, parseLocation(specimen.location), {
+            specimenId: existingResult.rows[0]?.id || null
+          });
+          
           if (existingResult.rows.length > 0) {
             // Update existing specimen
             const updateQuery = `
@@ -486,6 +489,7 @@ async function processBatch(specimens, batchSize = 1000) {
                 position_box = $11, position_dimension_one = $12, position_dimension_two = $13,
                 comments = $14, sequencing_run_id = $15, fastq_location = $16,
                 analysis_status = $17, results_location = $18, sequencing_notes = $19,
+                storage_box_id = $20, storage_row = $21, storage_column = $22,
                 updated_at = NOW()
               WHERE id = $1
             `;
@@ -507,7 +511,10 @@ async function processBatch(specimens, batchSize = 1000) {
               specimen.fastq_location,
               specimen.analysis_status,
               specimen.results_location,
-              specimen.sequencing_notes
+              specimen.sequencing_notes,
+              location.storage_box_id,
+              location.storage_row,
+              location.storage_column
             ]);
             
             results.updated++;
@@ -524,9 +531,10 @@ async function processBatch(specimens, batchSize = 1000) {
                 activity_status, extracted, initial_quantity, specimen_site,
                 position_freezer, position_rack, position_box, position_dimension_one, 
                 position_dimension_two, comments, sequencing_run_id, fastq_location, 
-                analysis_status, results_location, sequencing_notes, created_at, updated_at
+                analysis_status, results_location, sequencing_notes,
+                storage_box_id, storage_row, storage_column, created_at, updated_at
               ) VALUES (
-                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, NOW(), NOW()
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, NOW(), NOW()
               )
             `;
             
@@ -548,7 +556,10 @@ async function processBatch(specimens, batchSize = 1000) {
               specimen.fastq_location,
               specimen.analysis_status,
               specimen.results_location,
-              specimen.sequencing_notes
+              specimen.sequencing_notes,
+              location.storage_box_id,
+              location.storage_row,
+              location.storage_column
             ]);
             
             results.created++;
@@ -584,7 +595,7 @@ async function processBatch(specimens, batchSize = 1000) {
 // @route   POST api/import/execute
 // @desc    Execute import with optional deduplication
 // @access  Private (admin/editor only)
-router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician']), upload.single('file')], async (req, res) => {
+router.post('/execute', [auth, requirePermission('import:run'), upload.single('file')], async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ msg: 'No file uploaded' });
@@ -657,7 +668,7 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
 // @route   POST api/import/batch-status
 // @desc    Get batch processing status (for future real-time updates)
 // @access  Private (admin/editor only)
-router.get('/batch-status/:batchId', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.get('/batch-status/:batchId', [auth, requirePermission('import:run')], async (req, res) => {
   // This endpoint can be enhanced later for real-time batch processing status
   res.json({
     success: true,
@@ -951,20 +962,6 @@ async function processInventoryBatch(items) {
           );
         }
         
-        // Log audit entry
-        await client.query(
-          `INSERT INTO audit_log 
-          (user_id, action, table_name, record_id, changed_fields) 
-          VALUES ($1, $2, $3, $4, $5)`,
-          [
-            '00000000-0000-0000-0000-000000000000', // System user for imports
-            'CREATE_IMPORT',
-            'inventory',
-            insertResult.rows[0].id,
-            JSON.stringify(insertData)
-          ]
-        );
-        
         results.successful++;
         
       } catch (error) {
@@ -992,7 +989,7 @@ async function processInventoryBatch(items) {
 // @route   POST api/import/inventory
 // @desc    Import inventory data from Excel/CSV file
 // @access  Private (admin/editor only)
-router.post('/inventory', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician']), upload.single('file')], async (req, res) => {
+router.post('/inventory', [auth, requirePermission('import:run'), upload.single('file')], async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ msg: 'No file uploaded' });
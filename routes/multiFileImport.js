@@ -3,11 +3,13 @@ const router = express.Router();
 const multer = require('multer');
 const XLSX = require('xlsx');
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const db = require('../db');
 const logger = require('../utils/logger');
 const { FILE_UPLOAD } = require('../config/constants');
 const { updateSequence } = require('../utils/sequenceUpdater');
+const { resolveSpecimenPosition } = require('../services/storageService');
+const { encryptPatientFields } = require('../utils/phiEncryption');
 
 // Configure multer for multiple file uploads
 const upload = multer({
@@ -605,7 +607,7 @@ async function checkExistingRecords(client, table, records, idField = 'id') {
 // @route   POST api/import/multi-file/preview
 // @desc    Preview multi-file import data
 // @access  Private (admin/editor only)
-router.post('/preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician']), multiUpload], async (req, res) => {
+router.post('/preview', [auth, requirePermission('import:run'), multiUpload], async (req, res) => {
   try {
     console.log('DEBUG: Preview endpoint called');
     console.log('DEBUG: req.files:', req.files ? Object.keys(req.files) : 'No files');
@@ -759,7 +761,7 @@ router.post('/preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
 // @route   POST api/import/multi-file/execute
 // @desc    Execute multi-file import with preserved IDs
 // @access  Private (admin/editor only)
-router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician']), multiUpload], async (req, res) => {
+router.post('/execute', [auth, requirePermission('import:run'), multiUpload], async (req, res) => {
   console.log('🚀 EXECUTE ENDPOINT CALLED - Multi-file import execution started - WITH UUID MAPPING FIX!!!');
   console.log('User:', req.user?.username, 'Files:', Object.keys(req.files || {}));
   
@@ -1103,11 +1105,14 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
                   tube_id, project_id, patient_id, date_collected, activity_status, extracted, used_up,
                   initial_quantity, specimen_site, position_freezer, position_rack, position_box,
                   position_dimension_one, position_dimension_two, comments, specimen_number,
-                  created_at, updated_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW(), NOW())
+                  storage_box_id, storage_row, storage_column, created_at, updated_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW(), NOW())
               `;
               
               try {
+                // Legacy freezers/racks/boxes are created on the fly, but a well can still only hold one tube
+                const position = await resolveSpecimenPosition(client, specimen, { autoCreate: true });
+                
                 const insertResult = await client.query(insertQuery + ' RETURNING id', [
                   specimen.tube_id,
                   projectDbId,
@@ -1118,13 +1123,16 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
                   parseBoolean(specimen.used_up),
                   cleanNumericValue(specimen.initial_quantity),
                   specimen.specimen_site,
-                  specimen.position_freezer,
-                  specimen.position_rack,
-                  specimen.position_box,
-                  specimen.position_dimension_one,
-                  specimen.position_dimension_two,
+                  position.position_freezer,
+                  position.position_rack,
+                  position.position_box,
+                  position.position_dimension_one,
+                  position.position_dimension_two,
                   specimen.comments,
-                  specimenNumber
+                  specimenNumber,
+                  position.storage_box_id,
+                  position.storage_row,
+                  position.storage_column
                 ]);
                 
                 // Create legacy ID mapping for specimen
@@ -1177,8 +1185,8 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
               const insertQuery = `
                 INSERT INTO patients (
                   patient_number, external_id, first_name, last_name, date_of_birth,
-                  diagnosis, comments, created_at, updated_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+                  first_name_index, last_name_index, diagnosis, comments, created_at, updated_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
                 RETURNING id
               `;
               
@@ -1186,16 +1194,18 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
                 const patientNumber = parseInt(patient.id || patient.external_id);
                 logger.debug('Inserting patient record', {
                   patientNumber,
-                  externalId: patient.external_id,
-                  name: `${patient.first_name} ${patient.last_name}`
+                  externalId: patient.external_id
                 });
                 
+                const phi = encryptPatientFields(patient);
                 const insertResult = await client.query(insertQuery, [
                   patientNumber, // patient_number
                   patient.external_id,
-                  patient.first_name,
-                  patient.last_name,
-                  patient.date_of_birth,
+                  phi.first_name,
+                  phi.last_name,
+                  phi.date_of_birth,
+                  phi.first_name_index,
+                  phi.last_name_index,
                   patient.diagnosis,
                   patient.comments
                 ]);
@@ -1,11 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const { check, validationResult } = require('express-validator');
 const db = require('../db');
 const logger = require('../utils/logger');
 const { buildSearchClause } = require('../utils/searchUtils');
+const { getBlockedUses } = require('../services/consentService');
+const { recalculateDaysFromBaseline, getPatientVisits } = require('../services/visitService');
+const { canViewPhi, phiSearchFields, redactPhi, presentPhi } = require('../services/phiService');
+const { encryptPatientFields } = require('../utils/phiEncryption');
+const { projectScope, patientScope } = require('../services/projectAccessService');
+const { patientAccess } = require('../middleware/projectAccess');
 
 // @route   GET api/patients
 // @desc    Get all patients with pagination and search
@@ -17,61 +23,45 @@ router.get('/', auth, async (req, res) => {
     const offset = (page - 1) * limit;
     const search = req.query.search?.trim() || '';
 
-    // Get total count for pagination info
-    let countQuery = `
-      SELECT COUNT(*) as total 
-      FROM patients
-    `;
-    let countParams = [];
+    const conditions = [];
+    let params = [];
     
     if (search) {
       // Use smart search for patients - exact match for IDs, substring for text fields
       const fieldConfigs = [
         { field: 'external_id', isId: false }, // External ID might contain letters, so treat as text
-        { field: 'first_name', isId: false },
-        { field: 'last_name', isId: false },
+        ...phiSearchFields(req.user), // Names are encrypted, so only whole-name matches
         { field: 'diagnosis', isId: false },
         { field: 'medical_record_number', isId: false } // MRN often contains letters, so treat as text
       ];
       
       const searchResult = buildSearchClause(fieldConfigs, search, 1);
-      countQuery += ` WHERE ${searchResult.whereClause}`;
-      countParams = searchResult.parameters;
+      conditions.push(searchResult.whereClause);
+      params = searchResult.parameters;
     }
+
+    // Only patients with specimens in the user's projects
+    const scope = patientScope(req.user, 'patients.id', params.length + 1);
+    conditions.push(scope.condition);
+    params = [...params, ...scope.params];
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
     
-    const countResult = await db.query(countQuery, countParams);
+    // Get total count for pagination info
+    const countResult = await db.query(`SELECT COUNT(*) as total FROM patients ${whereClause}`, params);
     const total = parseInt(countResult.rows[0].total);
 
     // Get paginated results
-    let dataQuery = `
+    const nextParamIndex = params.length + 1;
+    const dataQuery = `
       SELECT * 
       FROM patients
+      ${whereClause}
+      ORDER BY patient_number, external_id
+      LIMIT $${nextParamIndex} OFFSET $${nextParamIndex + 1}
     `;
-    let dataParams = [];
     
-    if (search) {
-      // Use the same smart search for data query
-      const fieldConfigs = [
-        { field: 'external_id', isId: false },
-        { field: 'first_name', isId: false },
-        { field: 'last_name', isId: false },
-        { field: 'diagnosis', isId: false },
-        { field: 'medical_record_number', isId: false }
-      ];
-      
-      const searchResult = buildSearchClause(fieldConfigs, search, 1);
-      const nextParamIndex = searchResult.nextParamIndex;
-      
-      dataQuery += ` WHERE ${searchResult.whereClause} ORDER BY patient_number, last_name, first_name
-      LIMIT $${nextParamIndex} OFFSET $${nextParamIndex + 1}`;
-      dataParams = [...searchResult.parameters, limit, offset];
-    } else {
-      dataQuery += ` ORDER BY patient_number, last_name, first_name
-      LIMIT $1 OFFSET $2`;
-      dataParams = [limit, offset];
-    }
-    
-    const result = await db.query(dataQuery, dataParams);
+    const result = await db.query(dataQuery, [...params, limit, offset]);
+    await presentPhi(db, result.rows, req.user, { context: 'patient_list', patientIdKey: 'id' });
 
     res.json({
       patients: result.rows,
@@ -104,19 +94,21 @@ router.get('/search', auth, async (req, res) => {
     // Use smart search for patient search endpoint
     const fieldConfigs = [
       { field: 'external_id', isId: false },
-      { field: 'first_name', isId: false },
-      { field: 'last_name', isId: false },
+      ...phiSearchFields(req.user),
       { field: 'diagnosis', isId: false }
     ];
     
     const searchResult = buildSearchClause(fieldConfigs, term, 1);
+    const scope = patientScope(req.user, 'patients.id', searchResult.nextParamIndex);
     
     const result = await db.query(
       `SELECT * FROM patients 
        WHERE ${searchResult.whereClause}
-       ORDER BY last_name, first_name`,
-      searchResult.parameters
+         AND ${scope.condition}
+       ORDER BY patient_number, external_id`,
+      [...searchResult.parameters, ...scope.params]
     );
+    await presentPhi(db, result.rows, req.user, { context: 'patient_search', patientIdKey: 'id' });
     res.json(result.rows);
   } catch (err) {
     logger.error(err.message);
@@ -127,7 +119,7 @@ router.get('/search', auth, async (req, res) => {
 // @route   GET api/patients/:id
 // @desc    Get patient by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, patientAccess(), async (req, res) => {
   try {
     const result = await db.query(
       'SELECT * FROM patients WHERE id = $1',
@@ -138,6 +130,7 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ msg: 'Patient not found' });
     }
 
+    await presentPhi(db, result.rows, req.user, { context: 'patient_detail', patientIdKey: 'id' });
     res.json(result.rows[0]);
   } catch (err) {
     logger.error(err.message);
@@ -152,7 +145,7 @@ router.post(
   '/',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('patient:edit'),
     [
       check('external_id', 'External ID is required').not().isEmpty()
     ]
@@ -186,39 +179,30 @@ router.post(
         return res.status(400).json({ msg: 'Patient with this External ID already exists' });
       }
 
+      const phi = encryptPatientFields({ first_name, last_name, date_of_birth });
+
       // Generate ID at creation time to prevent sequence gaps from failed attempts
       const result = await db.query(
         `INSERT INTO patients 
         (external_id, first_name, last_name, date_of_birth, diagnosis, 
-        physician_first_name, physician_last_name, comments, patient_number) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, get_next_number('patient')) 
+        physician_first_name, physician_last_name, comments, first_name_index, last_name_index, patient_number) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, get_next_number('patient')) 
         RETURNING *`,
         [
           external_id,
-          first_name,
-          last_name,
-          date_of_birth,
+          phi.first_name,
+          phi.last_name,
+          phi.date_of_birth,
           diagnosis,
           physician_first_name,
           physician_last_name,
-          comments
-        ]
-      );
-
-      // Log the action in audit trail
-      await db.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'CREATE',
-          'patients',
-          result.rows[0].id,
-          JSON.stringify(req.body)
+          comments,
+          phi.first_name_index,
+          phi.last_name_index
         ]
       );
 
+      await presentPhi(db, result.rows, req.user, { context: 'patient_create', patientIdKey: 'id' });
       res.json(result.rows[0]);
     } catch (err) {
       logger.error(err.message);
@@ -234,7 +218,8 @@ router.put(
   '/:id',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('patient:edit'),
+    patientAccess('editor'),
     [
       check('external_id', 'External ID is required').not().isEmpty()
     ]
@@ -280,45 +265,36 @@ router.put(
         return res.status(400).json({ msg: 'External ID is already in use by another patient' });
       }
 
+      // Users who only see masked PHI can't change it; keep the stored values
+      const phi = canViewPhi(req.user)
+        ? encryptPatientFields({ first_name, last_name, date_of_birth })
+        : oldData;
+
       // Update the patient
       const result = await db.query(
         `UPDATE patients
         SET external_id = $1, first_name = $2, last_name = $3, date_of_birth = $4,
             diagnosis = $5, physician_first_name = $6, physician_last_name = $7,
-            comments = $8, patient_number = $9
-        WHERE id = $10
+            comments = $8, patient_number = $9, first_name_index = $10, last_name_index = $11
+        WHERE id = $12
         RETURNING *`,
         [
           external_id,
-          first_name,
-          last_name,
-          date_of_birth,
+          phi.first_name,
+          phi.last_name,
+          phi.date_of_birth,
           diagnosis,
           physician_first_name,
           physician_last_name,
           comments,
           patient_number,
+          phi.first_name_index,
+          phi.last_name_index,
           req.params.id
         ]
       );
 
-      // Log the action in audit trail
-      await db.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'UPDATE',
-          'patients',
-          req.params.id,
-          JSON.stringify({
-            old: oldData,
-            new: result.rows[0]
-          })
-        ]
-      );
-
+      await presentPhi(db, result.rows, req.user, { context: 'patient_update', patientIdKey: 'id' });
       res.json(result.rows[0]);
     } catch (err) {
       logger.error(err.message);
@@ -330,7 +306,7 @@ router.put(
 // @route   DELETE api/patients/:id
 // @desc    Delete a patient
 // @access  Private (admin only)
-router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('patient:delete')], async (req, res) => {
   try {
     // First check if patient exists
     const checkResult = await db.query(
@@ -342,8 +318,6 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
       return res.status(404).json({ msg: 'Patient not found' });
     }
 
-    const oldData = checkResult.rows[0];
-
     // Check if specimens reference this patient
     const specimenCheck = await db.query(
       'SELECT COUNT(*) FROM specimens WHERE patient_id = $1',
@@ -359,20 +333,6 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
     // Delete the patient
     await db.query('DELETE FROM patients WHERE id = $1', [req.params.id]);
 
-    // Log the action in audit trail
-    await db.query(
-      `INSERT INTO audit_log 
-      (user_id, action, table_name, record_id, changed_fields) 
-      VALUES ($1, $2, $3, $4, $5)`,
-      [
-        req.user.id,
-        'DELETE',
-        'patients',
-        req.params.id,
-        JSON.stringify(oldData)
-      ]
-    );
-
     res.json({ msg: 'Patient removed' });
   } catch (err) {
     logger.error(err.message);
@@ -383,17 +343,21 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
 // @route   GET api/patients/:id/specimens
 // @desc    Get all specimens for a patient
 // @access  Private
-router.get('/:id/specimens', auth, async (req, res) => {
+router.get('/:id/specimens', auth, patientAccess(), async (req, res) => {
   try {
+    const scope = projectScope(req.user, 's.project_id', 2);
     const result = await db.query(
       `SELECT s.*, p.disease, p.specimen_type,
-         c.pi_name, c.pi_institute
+         c.pi_name, c.pi_institute,
+         v.visit_label
        FROM specimens s
        JOIN projects p ON s.project_id = p.id
        JOIN collaborators c ON p.collaborator_id = c.id
+       LEFT JOIN patient_visits v ON s.visit_id = v.id
        WHERE s.patient_id = $1
+         AND ${scope.condition}
        ORDER BY s.date_collected DESC`,
-      [req.params.id]
+      [req.params.id, ...scope.params]
     );
     
     res.json(result.rows);
@@ -403,10 +367,379 @@ router.get('/:id/specimens', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/patients/:id/visits
+// @desc    Get a patient's visits with the specimens collected at each
+// @access  Private
+router.get('/:id/visits', auth, patientAccess(), async (req, res) => {
+  try {
+    const patient = await db.query('SELECT id FROM patients WHERE id = $1', [req.params.id]);
+    if (patient.rows.length === 0) {
+      return res.status(404).json({ msg: 'Patient not found' });
+    }
+
+    res.json(await getPatientVisits(db, req.params.id, req.user));
+  } catch (err) {
+    logger.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+const visitValidation = [
+  check('visit_label', 'Visit label is required').trim().not().isEmpty(),
+  check('visit_label', 'Visit label must be 50 characters or fewer').isLength({ max: 50 }),
+  check('visit_date', 'Visit date must be a valid date').optional({ nullable: true, checkFalsy: true }).isISO8601()
+];
+
+// @route   POST api/patients/:id/visits
+// @desc    Add a visit (timepoint) for a patient
+// @access  Private (admin/lab_manager/lab_technician)
+router.post(
+  '/:id/visits',
+  [auth, requirePermission('patient:edit'), patientAccess('editor'), visitValidation],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { visit_label, visit_date, notes } = req.body;
+    const client = await db.getClient();
+
+    try {
+      const patient = await client.query('SELECT id FROM patients WHERE id = $1', [req.params.id]);
+      if (patient.rows.length === 0) {
+        return res.status(404).json({ msg: 'Patient not found' });
+      }
+
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO patient_visits (patient_id, visit_label, visit_date, notes, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *`,
+        [req.params.id, visit_label, visit_date || null, notes || null, req.user.id]
+      );
+      await recalculateDaysFromBaseline(client, req.params.id);
+
+      await client.query('COMMIT');
+      res.status(201).json(result.rows[0]);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.code === '23505') {
+        return res.status(409).json({ msg: `This patient already has a visit labelled "${visit_label}"` });
+      }
+      logger.error(err.message);
+      res.status(500).send('Server error');
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   PUT api/patients/:id/visits/:visitId
+// @desc    Update a visit's label, date or notes
+// @access  Private (admin/lab_manager/lab_technician)
+router.put(
+  '/:id/visits/:visitId',
+  [auth, requirePermission('patient:edit'), patientAccess('editor'), visitValidation],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { visit_label, visit_date, notes } = req.body;
+    const client = await db.getClient();
+
+    try {
+      const existing = await client.query(
+        'SELECT * FROM patient_visits WHERE id = $1 AND patient_id = $2',
+        [req.params.visitId, req.params.id]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ msg: 'Visit not found' });
+      }
+
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE patient_visits
+        SET visit_label = $1, visit_date = $2, notes = $3
+        WHERE id = $4`,
+        [visit_label, visit_date || null, notes || null, req.params.visitId]
+      );
+      await recalculateDaysFromBaseline(client, req.params.id);
+      const result = await client.query('SELECT * FROM patient_visits WHERE id = $1', [req.params.visitId]);
+
+      await client.query('COMMIT');
+      res.json(result.rows[0]);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.code === '23505') {
+        return res.status(409).json({ msg: `This patient already has a visit labelled "${visit_label}"` });
+      }
+      logger.error(err.message);
+      res.status(500).send('Server error');
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   DELETE api/patients/:id/visits/:visitId
+// @desc    Delete a visit; its specimens are kept and unlinked
+// @access  Private (admin/lab_manager only)
+router.delete('/:id/visits/:visitId', [auth, requirePermission('visit:delete'), patientAccess('editor')], async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const existing = await client.query(
+      'SELECT * FROM patient_visits WHERE id = $1 AND patient_id = $2',
+      [req.params.visitId, req.params.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ msg: 'Visit not found' });
+    }
+
+    await client.query('BEGIN');
+
+    const unlinked = await client.query(
+      'UPDATE specimens SET visit_id = NULL WHERE visit_id = $1 RETURNING id',
+      [req.params.visitId]
+    );
+    await client.query('DELETE FROM patient_visits WHERE id = $1', [req.params.visitId]);
+    await recalculateDaysFromBaseline(client, req.params.id);
+
+    await client.query('COMMIT');
+    res.json({ msg: 'Visit deleted', unlinkedSpecimens: unlinked.rowCount });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error(err.message);
+    res.status(500).send('Server error');
+  } finally {
+    client.release();
+  }
+});
+
+// @route   GET api/patients/:id/consents
+// @desc    Get a patient's consent records and what the current consent allows
+// @access  Private
+router.get('/:id/consents', auth, patientAccess(), async (req, res) => {
+  try {
+    const patient = await db.query('SELECT id FROM patients WHERE id = $1', [req.params.id]);
+    if (patient.rows.length === 0) {
+      return res.status(404).json({ msg: 'Patient not found' });
+    }
+
+    const consents = await db.query(
+      `SELECT pc.*, u.username AS recorded_by_username
+       FROM patient_consents pc
+       LEFT JOIN users u ON pc.recorded_by = u.id
+       WHERE pc.patient_id = $1
+       ORDER BY pc.consent_date DESC, pc.created_at DESC`,
+      [req.params.id]
+    );
+    const specimenCount = await db.query(
+      'SELECT COUNT(*) AS count FROM specimens WHERE patient_id = $1',
+      [req.params.id]
+    );
+
+    const current = consents.rows[0] || null;
+    res.json({
+      status: {
+        current,
+        blocked_uses: getBlockedUses(current),
+        specimen_count: parseInt(specimenCount.rows[0].count)
+      },
+      consents: consents.rows
+    });
+  } catch (err) {
+    logger.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/patients/:id/consents
+// @desc    Record a signed consent form for a patient
+// @access  Private (admin/lab_manager only)
+router.post(
+  '/:id/consents',
+  [
+    auth,
+    requirePermission('consent:manage'),
+    [
+      check('consent_form_version', 'Consent form version is required').not().isEmpty(),
+      check('consent_date', 'Consent date is required').isISO8601(),
+      check(['future_research', 'genetic_testing', 'data_sharing']).optional().isBoolean()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { consent_form_version, consent_date, future_research, genetic_testing, data_sharing, notes } = req.body;
+
+    try {
+      const patient = await db.query('SELECT id FROM patients WHERE id = $1', [req.params.id]);
+      if (patient.rows.length === 0) {
+        return res.status(404).json({ msg: 'Patient not found' });
+      }
+
+      const result = await db.query(
+        `INSERT INTO patient_consents
+        (patient_id, consent_form_version, consent_date, future_research, genetic_testing, data_sharing, notes, recorded_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *`,
+        [
+          req.params.id,
+          consent_form_version.trim(),
+          consent_date,
+          future_research === true,
+          genetic_testing === true,
+          data_sharing === true,
+          notes || null,
+          req.user.id
+        ]
+      );
+
+      res.status(201).json(result.rows[0]);
+    } catch (err) {
+      logger.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   PUT api/patients/:id/consents/:consentId
+// @desc    Correct a consent record's form version, date, scope or notes
+// @access  Private (admin/lab_manager only)
+router.put(
+  '/:id/consents/:consentId',
+  [
+    auth,
+    requirePermission('consent:manage'),
+    [
+      check('consent_form_version', 'Consent form version is required').not().isEmpty(),
+      check('consent_date', 'Consent date is required').isISO8601(),
+      check(['future_research', 'genetic_testing', 'data_sharing']).optional().isBoolean()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { consent_form_version, consent_date, future_research, genetic_testing, data_sharing, notes } = req.body;
+
+    try {
+      const existing = await db.query(
+        'SELECT * FROM patient_consents WHERE id = $1 AND patient_id = $2',
+        [req.params.consentId, req.params.id]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ msg: 'Consent record not found' });
+      }
+
+      const result = await db.query(
+        `UPDATE patient_consents
+        SET consent_form_version = $1, consent_date = $2, future_research = $3,
+            genetic_testing = $4, data_sharing = $5, notes = $6
+        WHERE id = $7
+        RETURNING *`,
+        [
+          consent_form_version.trim(),
+          consent_date,
+          future_research === true,
+          genetic_testing === true,
+          data_sharing === true,
+          notes || null,
+          req.params.consentId
+        ]
+      );
+
+      res.json(result.rows[0]);
+    } catch (err) {
+      logger.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/patients/:id/consents/:consentId/withdraw
+// @desc    Record a patient's withdrawal of consent
+// @access  Private (admin/lab_manager only)
+router.post(
+  '/:id/consents/:consentId/withdraw',
+  [
+    auth,
+    requirePermission('consent:manage'),
+    [
+      check('withdrawal_date', 'Withdrawal date is required').isISO8601(),
+      check('withdrawal_reason', 'Withdrawal reason is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { withdrawal_date, withdrawal_reason } = req.body;
+
+    try {
+      const existing = await db.query(
+        'SELECT * FROM patient_consents WHERE id = $1 AND patient_id = $2',
+        [req.params.consentId, req.params.id]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ msg: 'Consent record not found' });
+      }
+
+      const consent = existing.rows[0];
+      if (consent.withdrawal_date) {
+        return res.status(409).json({ msg: 'Consent has already been withdrawn' });
+      }
+      if (new Date(withdrawal_date) < new Date(consent.consent_date)) {
+        return res.status(400).json({ msg: 'Withdrawal date cannot be before the consent date' });
+      }
+
+      const result = await db.query(
+        `UPDATE patient_consents
+        SET withdrawal_date = $1, withdrawal_reason = $2
+        WHERE id = $3
+        RETURNING *`,
+        [withdrawal_date, withdrawal_reason.trim(), req.params.consentId]
+      );
+
+      await db.query(
+        `INSERT INTO audit_log 
+        (user_id, action, table_name, record_id, changed_fields) 
+        VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          'CONSENT_WITHDRAWN',
+          'patient_consents',
+          req.params.consentId,
+          JSON.stringify({ patient_id: req.params.id, withdrawal_date, withdrawal_reason })
+        ]
+      );
+
+      logger.info('Patient consent withdrawn', { patientId: req.params.id, consentId: req.params.consentId });
+      res.json(result.rows[0]);
+    } catch (err) {
+      logger.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 // @route   POST api/patients/bulk-import
 // @desc    Bulk import patients
 // @access  Private (admin only)
-router.post('/bulk-import', [auth, roleCheck(['admin'])], async (req, res) => {
+router.post('/bulk-import', [auth, requirePermission('import:legacy')], async (req, res) => {
   try {
     const { patients } = req.body;
     
@@ -456,36 +789,26 @@ router.post('/bulk-import', [auth, roleCheck(['admin'])], async (req, res) => {
           continue;
         }
         
+        const phi = encryptPatientFields({ first_name, last_name, date_of_birth });
+
         // Create the patient
         const result = await client.query(
           `INSERT INTO patients 
           (external_id, first_name, last_name, date_of_birth, diagnosis, 
-          physician_first_name, physician_last_name, comments) 
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+          physician_first_name, physician_last_name, comments, first_name_index, last_name_index) 
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
           RETURNING *`,
           [
             external_id,
-            first_name || null,
-            last_name || null,
-            date_of_birth || null,
+            phi.first_name,
+            phi.last_name,
+            phi.date_of_birth,
             diagnosis || null,
             physician_first_name || null,
             physician_last_name || null,
-            comments || null
-          ]
-        );
-        
-        // Log patient creation
-        await client.query(
-          `INSERT INTO audit_log 
-          (user_id, action, table_name, record_id, changed_fields) 
-          VALUES ($1, $2, $3, $4, $5)`,
-          [
-            req.user.id,
-            'CREATE',
-            'patients',
-            result.rows[0].id,
-            JSON.stringify(patient)
+            comments || null,
+            phi.first_name_index,
+            phi.last_name_index
           ]
         );
         
@@ -494,6 +817,8 @@ router.post('/bulk-import', [auth, roleCheck(['admin'])], async (req, res) => {
       
       // Commit transaction
       await client.query('COMMIT');
+
+      await presentPhi(db, results, req.user, { context: 'patient_import', patientIdKey: 'id' });
       
       res.json({
         msg: `Successfully imported ${results.length} patients. Skipped ${skipped.length} patients.`,
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const db = require('../db');
+const logger = require('../utils/logger');
+const permissionService = require('../services/permissionService');
+
+// @route   GET api/permissions
+// @desc    Get every permission with the roles holding it
+// @access  Private (permission:manage)
+router.get('/', [auth, requirePermission('permission:manage')], async (req, res) => {
+  try {
+    res.json(await permissionService.getMatrix());
+  } catch (err) {
+    logger.error('Error fetching permissions:', err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/permissions
+// @desc    Change which roles hold permissions; body is { permissions: { key: [roles] } }
+// @access  Private (permission:manage)
+router.put('/', [auth, requirePermission('permission:manage')], async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+    const changes = await permissionService.updateMatrix(client, req.body.permissions, req.user.id);
+    await client.query('COMMIT');
+
+    permissionService.invalidate();
+    logger.info('Role permissions updated', { changes, updatedBy: req.user.username });
+
+    res.json(await permissionService.getMatrix());
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Error updating permissions:', err.message);
+    res.status(500).send('Server error');
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const { check, validationResult } = require('express-validator');
 const db = require('../db');
 const logger = require('../utils/logger');
 const { buildSearchClause } = require('../utils/searchUtils');
+const { presentPhi } = require('../services/phiService');
+const { projectScope, getProjectRole } = require('../services/projectAccessService');
+const { projectAccess } = require('../middleware/projectAccess');
 
 // @route   GET api/projects
 // @desc    Get all projects
@@ -101,6 +104,10 @@ router.get('/', auth, async (req, res) => {
       }
     }
     
+    const countScope = projectScope(req.user, 'p.id', countParams.length + 1);
+    countQuery += ` AND ${countScope.condition}`;
+    countParams = [...countParams, ...countScope.params];
+
     const countResult = await db.query(countQuery, countParams);
     const total = parseInt(countResult.rows[0].total);
 
@@ -161,18 +168,14 @@ router.get('/', auth, async (req, res) => {
             ];
             
             const searchResult = buildSearchClause(fieldConfigs, search, 1);
-            const nextParamIndex = searchResult.nextParamIndex;
-            
-            dataQuery += ` AND ${searchResult.whereClause} ORDER BY p.project_number, p.date_received DESC
-            LIMIT $${nextParamIndex} OFFSET $${nextParamIndex + 1}`;
-            dataParams = [...searchResult.parameters, limit, offset];
+            dataQuery += ` AND ${searchResult.whereClause}`;
+            dataParams = searchResult.parameters;
             break;
         }
         
         if (!dataParams.length) {
-          dataQuery += ` AND ${fieldCondition}$1 ORDER BY p.project_number, p.date_received DESC
-          LIMIT $2 OFFSET $3`;
-          dataParams = [parameter, limit, offset];
+          dataQuery += ` AND ${fieldCondition}$1`;
+          dataParams = [parameter];
         }
       } else {
         // Search all fields (existing behavior)
@@ -187,17 +190,17 @@ router.get('/', auth, async (req, res) => {
         ];
         
         const searchResult = buildSearchClause(fieldConfigs, search, 1);
-        const nextParamIndex = searchResult.nextParamIndex;
-        
-        dataQuery += ` AND (${searchResult.whereClause}) ORDER BY p.project_number, p.date_received DESC
-        LIMIT $${nextParamIndex} OFFSET $${nextParamIndex + 1}`;
-        dataParams = [...searchResult.parameters, limit, offset];
+        dataQuery += ` AND (${searchResult.whereClause})`;
+        dataParams = searchResult.parameters;
       }
-    } else {
-      dataQuery += ` ORDER BY p.project_number, p.date_received DESC
-      LIMIT $1 OFFSET $2`;
-      dataParams = [limit, offset];
     }
+
+    // Only projects the user is a member of, unless they can see them all
+    const dataScope = projectScope(req.user, 'p.id', dataParams.length + 1);
+    const nextParamIndex = dataParams.length + dataScope.params.length + 1;
+    dataQuery += ` AND ${dataScope.condition} ORDER BY p.project_number, p.date_received DESC
+    LIMIT $${nextParamIndex} OFFSET $${nextParamIndex + 1}`;
+    dataParams = [...dataParams, ...dataScope.params, limit, offset];
     
     const result = await db.query(dataQuery, dataParams);
 
@@ -223,6 +226,7 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.get('/with-metadata', auth, async (req, res) => {
   try {
+    const scope = projectScope(req.user, 'p.id', 1);
     const query = `
       SELECT DISTINCT 
         p.id,
@@ -246,11 +250,12 @@ router.get('/with-metadata', auth, async (req, res) => {
       WHERE p.project_number != 0 
         AND s.metadata IS NOT NULL 
         AND s.metadata != '{}'
+        AND ${scope.condition}
       GROUP BY p.id, c.id, c.pi_name, c.pi_institute
       ORDER BY p.project_number ASC
     `;
 
-    const result = await db.query(query);
+    const result = await db.query(query, scope.params);
     
     res.json({
       success: true,
@@ -271,7 +276,7 @@ router.get('/with-metadata', auth, async (req, res) => {
 // @route   GET api/projects/:id
 // @desc    Get project by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, projectAccess(), async (req, res) => {
   try {
     const result = await db.query(
       `SELECT p.*, c.pi_name, c.pi_institute 
@@ -285,7 +290,10 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ msg: 'Project not found' });
     }
 
-    res.json(result.rows[0]);
+    res.json({
+      ...result.rows[0],
+      my_role: await getProjectRole(db, req.user, req.params.id)
+    });
   } catch (err) {
     logger.error(err.message);
     res.status(500).send('Server error');
@@ -299,7 +307,7 @@ router.post(
   '/',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('project:edit'),
     [
       check('collaborator_id', 'Collaborator ID is required').not().isEmpty()
     ]
@@ -339,18 +347,11 @@ router.post(
         [collaborator_id, disease, specimen_type, source, date_received, feedback_date, comments]
       );
 
-      // Log the action in audit trail
+      // The creator owns the new project so it stays visible to them
       await db.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'CREATE',
-          'projects',
-          result.rows[0].id,
-          JSON.stringify(req.body)
-        ]
+        `INSERT INTO project_members (project_id, user_id, role, added_by)
+         VALUES ($1, $2, 'owner', $2)`,
+        [result.rows[0].id, req.user.id]
       );
 
       // Return the project with collaborator info
@@ -377,7 +378,8 @@ router.put(
   '/:id',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('project:edit'),
+    projectAccess('editor'),
     [
       check('collaborator_id', 'Collaborator ID is required').not().isEmpty()
     ]
@@ -410,8 +412,6 @@ router.put(
         return res.status(404).json({ msg: 'Project not found' });
       }
 
-      const oldData = checkResult.rows[0];
-
       // Verify collaborator exists
       const collaboratorCheck = await db.query(
         'SELECT * FROM collaborators WHERE id = $1',
@@ -442,23 +442,6 @@ router.put(
         ]
       );
 
-      // Log the action in audit trail
-      await db.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'UPDATE',
-          'projects',
-          req.params.id,
-          JSON.stringify({
-            old: oldData,
-            new: result.rows[0]
-          })
-        ]
-      );
-
       // Return the project with collaborator info
       const projectWithCollaborator = await db.query(
         `SELECT p.*, c.pi_name, c.pi_institute 
@@ -479,7 +462,7 @@ router.put(
 // @route   DELETE api/projects/:id
 // @desc    Delete a project
 // @access  Private (admin only)
-router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('project:delete')], async (req, res) => {
   try {
     // First check if project exists
     const checkResult = await db.query(
@@ -491,25 +474,9 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
       return res.status(404).json({ msg: 'Project not found' });
     }
 
-    const oldData = checkResult.rows[0];
-
     // Delete the project (cascades to specimens)
     await db.query('DELETE FROM projects WHERE id = $1', [req.params.id]);
 
-    // Log the action in audit trail
-    await db.query(
-      `INSERT INTO audit_log 
-      (user_id, action, table_name, record_id, changed_fields) 
-      VALUES ($1, $2, $3, $4, $5)`,
-      [
-        req.user.id,
-        'DELETE',
-        'projects',
-        req.params.id,
-        JSON.stringify(oldData)
-      ]
-    );
-
     res.json({ msg: 'Project removed' });
   } catch (err) {
     logger.error(err.message);
@@ -520,17 +487,18 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
 // @route   GET api/projects/:id/specimens
 // @desc    Get all specimens for a project
 // @access  Private
-router.get('/:id/specimens', auth, async (req, res) => {
+router.get('/:id/specimens', auth, projectAccess(), async (req, res) => {
   try {
     const result = await db.query(
       `SELECT s.*, p.external_id as patient_external_id,
-         CONCAT(p.first_name, ' ', p.last_name) as patient_name
+         p.first_name as patient_first_name, p.last_name as patient_last_name
        FROM specimens s
        LEFT JOIN patients p ON s.patient_id = p.id
        WHERE s.project_id = $1
        ORDER BY s.specimen_number::integer ASC NULLS LAST, s.tube_id ASC NULLS LAST`,
       [req.params.id]
     );
+    await presentPhi(db, result.rows, req.user, { context: 'project_specimens' });
     
     res.json(result.rows);
   } catch (err) {
@@ -542,7 +510,7 @@ router.get('/:id/specimens', auth, async (req, res) => {
 // @route   POST api/projects/bulk-import
 // @desc    Bulk import projects
 // @access  Private (admin only)
-router.post('/bulk-import', [auth, roleCheck(['admin'])], async (req, res) => {
+router.post('/bulk-import', [auth, requirePermission('import:legacy')], async (req, res) => {
   try {
     const { projects } = req.body;
     
@@ -623,20 +591,6 @@ router.post('/bulk-import', [auth, roleCheck(['admin'])], async (req, res) => {
           ]
         );
         
-        // Log project creation
-        await client.query(
-          `INSERT INTO audit_log 
-          (user_id, action, table_name, record_id, changed_fields) 
-          VALUES ($1, $2, $3, $4, $5)`,
-          [
-            req.user.id,
-            'CREATE',
-            'projects',
-            result.rows[0].id,
-            JSON.stringify(project)
-          ]
-        );
-        
         // Add collaborator info to the result
         const projectWithCollaborator = await client.query(
           `SELECT p.*, c.pi_name, c.pi_institute 
@@ -674,7 +628,7 @@ router.post('/bulk-import', [auth, roleCheck(['admin'])], async (req, res) => {
 // @route   GET api/projects/:id/legacy-id
 // @desc    Get legacy ID for a project
 // @access  Private
-router.get('/:id/legacy-id', auth, async (req, res) => {
+router.get('/:id/legacy-id', auth, projectAccess(), async (req, res) => {
   try {
     const projectId = req.params.id;
     
@@ -696,4 +650,250 @@ router.get('/:id/legacy-id', auth, async (req, res) => {
   }
 });
 
+const MEMBER_ROLES = ['owner', 'editor', 'viewer'];
+
+const memberQuery = `
+  SELECT pm.id, pm.project_id, pm.user_id, pm.role, pm.created_at,
+    u.username, u.email, u.first_name, u.last_name, u.role as user_role
+  FROM project_members pm
+  JOIN users u ON pm.user_id = u.id`;
+
+const countOwners = async (client, projectId) => {
+  const result = await client.query(
+    `SELECT COUNT(*) as total FROM project_members WHERE project_id = $1 AND role = 'owner'`,
+    [projectId]
+  );
+  return parseInt(result.rows[0].total);
+};
+
+// @route   GET api/projects/:id/members
+// @desc    Get the members of a project and their project roles
+// @access  Private (project members)
+router.get('/:id/members', auth, projectAccess(), async (req, res) => {
+  try {
+    const result = await db.query(
+      `${memberQuery}
+       WHERE pm.project_id = $1
+       ORDER BY CASE pm.role WHEN 'owner' THEN 1 WHEN 'editor' THEN 2 ELSE 3 END, u.username`,
+      [req.params.id]
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    logger.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/projects/:id/members/candidates
+// @desc    Get active users who can be added to a project
+// @access  Private (project owners)
+router.get('/:id/members/candidates', auth, projectAccess('owner'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT u.id, u.username, u.first_name, u.last_name, u.role
+       FROM users u
+       WHERE u.active = true
+         AND NOT EXISTS (
+           SELECT 1 FROM project_members pm WHERE pm.project_id = $1 AND pm.user_id = u.id
+         )
+       ORDER BY u.username`,
+      [req.params.id]
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    logger.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/projects/:id/members
+// @desc    Add a user to a project
+// @access  Private (project owners)
+router.post(
+  '/:id/members',
+  [
+    auth,
+    projectAccess('owner'),
+    [
+      check('user_id', 'User is required').not().isEmpty(),
+      check('role', 'Role must be owner, editor or viewer').isIn(MEMBER_ROLES)
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { user_id, role } = req.body;
+
+    try {
+      const userCheck = await db.query('SELECT id FROM users WHERE id = $1 AND active = true', [user_id]);
+      if (userCheck.rows.length === 0) {
+        return res.status(400).json({ msg: 'User not found' });
+      }
+
+      const result = await db.query(
+        `INSERT INTO project_members (project_id, user_id, role, added_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (project_id, user_id) DO NOTHING
+         RETURNING id`,
+        [req.params.id, user_id, role, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(400).json({ msg: 'User is already a member of this project' });
+      }
+
+      await db.query(
+        `INSERT INTO audit_log 
+        (user_id, action, table_name, record_id, changed_fields) 
+        VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          'ADD_MEMBER',
+          'projects',
+          req.params.id,
+          JSON.stringify({ member_user_id: user_id, role })
+        ]
+      );
+
+      const member = await db.query(`${memberQuery} WHERE pm.id = $1`, [result.rows[0].id]);
+      res.json(member.rows[0]);
+    } catch (err) {
+      logger.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   PUT api/projects/:id/members/:userId
+// @desc    Change a member's project role
+// @access  Private (project owners)
+router.put(
+  '/:id/members/:userId',
+  [
+    auth,
+    projectAccess('owner'),
+    [
+      check('role', 'Role must be owner, editor or viewer').isIn(MEMBER_ROLES)
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role } = req.body;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT * FROM project_members WHERE project_id = $1 AND user_id = $2 FOR UPDATE',
+        [req.params.id, req.params.userId]
+      );
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ msg: 'Member not found' });
+      }
+
+      const oldRole = existing.rows[0].role;
+      if (oldRole === 'owner' && role !== 'owner' && await countOwners(client, req.params.id) === 1) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ msg: 'A project must keep at least one owner' });
+      }
+
+      await client.query(
+        `UPDATE project_members SET role = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE project_id = $2 AND user_id = $3`,
+        [role, req.params.id, req.params.userId]
+      );
+
+      await client.query(
+        `INSERT INTO audit_log 
+        (user_id, action, table_name, record_id, changed_fields) 
+        VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          'UPDATE_MEMBER',
+          'projects',
+          req.params.id,
+          JSON.stringify({ member_user_id: req.params.userId, role: { old: oldRole, new: role } })
+        ]
+      );
+
+      await client.query('COMMIT');
+
+      const member = await db.query(
+        `${memberQuery} WHERE pm.project_id = $1 AND pm.user_id = $2`,
+        [req.params.id, req.params.userId]
+      );
+      res.json(member.rows[0]);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      logger.error(err.message);
+      res.status(500).send('Server error');
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   DELETE api/projects/:id/members/:userId
+// @desc    Remove a user from a project
+// @access  Private (project owners)
+router.delete('/:id/members/:userId', [auth, projectAccess('owner')], async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT * FROM project_members WHERE project_id = $1 AND user_id = $2 FOR UPDATE',
+      [req.params.id, req.params.userId]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ msg: 'Member not found' });
+    }
+
+    if (existing.rows[0].role === 'owner' && await countOwners(client, req.params.id) === 1) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ msg: 'A project must keep at least one owner' });
+    }
+
+    await client.query(
+      'DELETE FROM project_members WHERE project_id = $1 AND user_id = $2',
+      [req.params.id, req.params.userId]
+    );
+
+    await client.query(
+      `INSERT INTO audit_log 
+      (user_id, action, table_name, record_id, changed_fields) 
+      VALUES ($1, $2, $3, $4, $5)`,
+      [
+        req.user.id,
+        'REMOVE_MEMBER',
+        'projects',
+        req.params.id,
+        JSON.stringify({ member_user_id: req.params.userId, role: existing.rows[0].role })
+      ]
+    );
+
+    await client.query('COMMIT');
+    res.json({ msg: 'Member removed' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error(err.message);
+    res.status(500).send('Server error');
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
\ No newline at end of file
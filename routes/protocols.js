@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
-const { check, validationResult } = require('express-validator');
+const requirePermission = require('../middleware/requirePermission');
+const { can } = require('../services/permissionService');
+const { check, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -12,6 +13,12 @@ const logger = require('../utils/logger');
 const { createErrorResponse, handleDatabaseError, withErrorHandling } = require('../utils/errorHandling');
 const protocolExtractionService = require('../services/protocolExtractionService');
 const aiReagentExtraction = require('../services/aiReagentExtraction');
+const signatureService = require('../services/signatureService');
+const protocolVersionService = require('../services/protocolVersionService');
+const { normalizeSteps, formatStepsText } = require('../services/protocolStepService');
+const reconciliationService = require('../services/reagentReconciliationService');
+const { reagentTotal } = reconciliationService;
+const { ESIGNATURES } = require('../config/constants');
 
 // Configure multer for document uploads
 // Use Railway Volume path if in production, local path otherwise
@@ -470,8 +477,8 @@ router.delete('/documents/:id', [auth], async (req, res) => {
     
     const document = result.rows[0];
     
-    // Check if user can delete (owner, admin, or editor)
-    if (document.uploaded_by !== req.user.id && !['admin', 'editor'].includes(req.user.role)) {
+    // Check if user can delete (uploader, or protocol:delete)
+    if (document.uploaded_by !== req.user.id && !can(req.user, 'protocol:delete')) {
       await client.query('ROLLBACK');
       return res.status(403).json({ msg: 'Not authorized to delete this document' });
     }
@@ -721,7 +728,7 @@ router.post('/:id/calculate-reagents', [
     for (const reagent of requiredReagents) {
       // Handle "As needed" quantities
       const totalQuantity = typeof reagent.quantity_per_sample === 'number' 
-        ? Math.round((reagent.quantity_per_sample * sample_count) * 1000) / 1000 // Round to 3 decimal places
+        ? reagentTotal(reagent.quantity_per_sample, sample_count)
         : reagent.quantity_per_sample; // Keep "As needed" as string
       
       // Convert required quantity to base unit for comparison
@@ -838,6 +845,36 @@ router.post('/:id/calculate-reagents', [
   }
 });
 
+// @route   GET api/protocols/:id/reagent-reconciliation
+// @desc    Reagent use across the protocol's completed and failed experiments (?date_from=&date_to=),
+//          by reagent and lot, with suggested overage factors and dead volumes
+// @access  Private
+router.get('/:id/reagent-reconciliation', [
+  auth,
+  [
+    query('date_from').optional().isISO8601(),
+    query('date_to').optional().isISO8601()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json(await reconciliationService.getProtocolReconciliation(db, req.params.id, {
+      dateFrom: req.query.date_from || null,
+      dateTo: req.query.date_to || null
+    }));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Failed to load protocol reagent reconciliation:', { error: err.message, protocolId: req.params.id });
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
+
 // @route   POST api/protocols
 // @desc    Create a protocol
 // @access  Private (admin/editor only)
@@ -845,10 +882,11 @@ router.post(
   '/',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('protocol:edit'),
     [
       check('name', 'Protocol name is required').not().isEmpty(),
-      check('required_reagents', 'Required reagents must be an array').optional().isArray()
+      check('required_reagents', 'Required reagents must be an array').optional().isArray(),
+      check('steps', 'Steps must be an array').optional().isArray()
     ]
   ],
   async (req, res) => {
@@ -871,6 +909,9 @@ router.post(
     try {
       await client.query('BEGIN');
 
+      // Structured steps, when given, are also written out as the basic_steps text
+      const steps = normalizeSteps(req.body.steps || []);
+
       // Validate required_reagents structure
       if (required_reagents.length > 0) {
         for (const reagent of required_reagents) {
@@ -897,8 +938,8 @@ router.post(
       // Create the protocol
       const result = await client.query(
         `INSERT INTO protocols
-        (protocol_id, name, description, version, required_reagents, basic_steps, created_by)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        (protocol_id, name, description, version, required_reagents, basic_steps, steps, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
         RETURNING *`,
         [
           protocol_id,
@@ -906,7 +947,8 @@ router.post(
           description,
           version,
           JSON.stringify(required_reagents),
-          basic_steps,
+          steps.length > 0 ? formatStepsText(steps) : basic_steps,
+          JSON.stringify(steps),
           req.user.id
         ]
       );
@@ -931,20 +973,6 @@ router.post(
         logger.info('No document_id provided in request body');
       }
 
-      // Log the action in audit trail
-      await client.query(
-        `INSERT INTO audit_log
-        (user_id, action, table_name, record_id, changed_fields)
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'CREATE',
-          'protocols',
-          result.rows[0].id,
-          JSON.stringify(req.body)
-        ]
-      );
-
       // Return with user details
       const protocolWithDetails = await client.query(
         `SELECT p.*, 
@@ -961,6 +989,9 @@ router.post(
       res.json(protocolWithDetails.rows[0]);
     } catch (err) {
       await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
       logger.error('Protocol creation failed:', {
         error: err.message,
         userId: req.user?.id
@@ -982,10 +1013,12 @@ router.put(
   '/:id',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('protocol:edit'),
     [
       check('name', 'Protocol name is required').not().isEmpty(),
-      check('required_reagents', 'Required reagents must be an array').optional().isArray()
+      check('required_reagents', 'Required reagents must be an array').optional().isArray(),
+      check('steps', 'Steps must be an array').optional().isArray(),
+      check('change_summary').optional({ nullable: true }).isString().isLength({ max: 1000 })
     ]
   ],
   async (req, res) => {
@@ -1000,7 +1033,8 @@ router.put(
       version,
       required_reagents = [],
       basic_steps,
-      is_active = true
+      is_active = true,
+      change_summary
     } = req.body;
 
     const client = await db.getClient();
@@ -1019,7 +1053,10 @@ router.put(
         return res.status(404).json({ msg: 'Protocol not found' });
       }
 
-      const oldData = checkResult.rows[0];
+      await signatureService.assertEditable(client, 'protocols', req.params.id);
+
+      // Steps left out of the request stay as they are
+      const steps = req.body.steps === undefined ? null : normalizeSteps(req.body.steps);
 
       // Validate required_reagents structure
       if (required_reagents.length > 0) {
@@ -1037,11 +1074,12 @@ router.put(
         }
       }
 
-      // Update the protocol
+      // A content change becomes a new version; experiments keep the version they used
+      await protocolVersionService.describeNextVersion(client, { changeSummary: change_summary });
       const result = await client.query(
         `UPDATE protocols
         SET name = $1, description = $2, version = $3, required_reagents = $4, 
-            basic_steps = $5, is_active = $6
+            basic_steps = $5, is_active = $6, steps = COALESCE($8::jsonb, steps)
         WHERE id = $7
         RETURNING *`,
         [
@@ -1049,26 +1087,10 @@ router.put(
           description,
           version,
           JSON.stringify(required_reagents),
-          basic_steps,
+          steps && steps.length > 0 ? formatStepsText(steps) : basic_steps,
           is_active,
-          req.params.id
-        ]
-      );
-
-      // Log the action in audit trail
-      await client.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'UPDATE',
-          'protocols',
           req.params.id,
-          JSON.stringify({
-            old: oldData,
-            new: result.rows[0]
-          })
+          steps ? JSON.stringify(steps) : null
         ]
       );
 
@@ -1088,6 +1110,9 @@ router.put(
       res.json(protocolWithDetails.rows[0]);
     } catch (err) {
       await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
       logger.error('Protocol update failed:', {
         error: err.message,
         userId: req.user?.id,
@@ -1106,7 +1131,7 @@ router.put(
 // @route   DELETE api/protocols/:id
 // @desc    Deactivate a protocol (soft delete)
 // @access  Private (admin only)
-router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('protocol:delete')], async (req, res) => {
   const client = await db.getClient();
   
   try {
@@ -1132,8 +1157,9 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
     );
 
     const experimentCount = parseInt(experimentCheck.rows[0].count);
+    const signed = await signatureService.hasSignatures(client, 'protocols', req.params.id);
 
-    if (experimentCount > 0) {
+    if (experimentCount > 0 || signed) {
       // Soft delete - just deactivate
       await client.query(
         'UPDATE protocols SET is_active = false WHERE id = $1',
@@ -1151,7 +1177,7 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
           'protocols',
           req.params.id,
           JSON.stringify({ 
-            reason: `Protocol used in ${experimentCount} experiments`,
+            reason: experimentCount > 0 ? `Protocol used in ${experimentCount} experiments` : 'Protocol has electronic signatures',
             old_data: oldData 
           })
         ]
@@ -1159,26 +1185,12 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
       
       await client.query('COMMIT');
       res.json({ 
-        msg: 'Protocol deactivated (used in experiments)',
+        msg: experimentCount > 0 ? 'Protocol deactivated (used in experiments)' : 'Protocol deactivated (signed)',
         experiments_count: experimentCount
       });
     } else {
       // Hard delete if no experiments use it
       await client.query('DELETE FROM protocols WHERE id = $1', [req.params.id]);
-
-      // Log the action
-      await client.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4, $5)`,
-        [
-          req.user.id,
-          'DELETE',
-          'protocols',
-          req.params.id,
-          JSON.stringify(oldData)
-        ]
-      );
       
       await client.query('COMMIT');
       res.json({ msg: 'Protocol deleted' });
@@ -1199,103 +1211,286 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
   }
 });
 
-// @route   POST api/protocols/:id/duplicate
-// @desc    Duplicate a protocol with new version
-// @access  Private (admin/editor only)
-router.post('/:id/duplicate', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
-  const { name } = req.body;
-  
-  const client = await db.getClient();
-  
+// @route   GET api/protocols/:id/versions
+// @desc    Version history of a protocol, newest first
+// @access  Private
+router.get('/:id/versions', auth, async (req, res) => {
   try {
-    await client.query('BEGIN');
-    
-    // Get original protocol
-    const originalResult = await client.query(
-      'SELECT * FROM protocols WHERE id = $1',
-      [req.params.id]
-    );
+    res.json(await protocolVersionService.listVersions(db, req.params.id));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Failed to load protocol versions:', { error: err.message, protocolId: req.params.id });
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
 
-    if (originalResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ msg: 'Protocol not found' });
+// @route   GET api/protocols/:id/versions/diff
+// @desc    Differences in steps, reagents and details between two versions (?from=&to=)
+// @access  Private
+router.get(
+  '/:id/versions/diff',
+  [
+    auth,
+    [
+      check('from', 'from must be a version number').isInt({ min: 1 }).toInt(),
+      check('to', 'to must be a version number').isInt({ min: 1 }).toInt()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const original = originalResult.rows[0];
+    try {
+      res.json(await protocolVersionService.diffVersions(db, req.params.id, req.query.from, req.query.to));
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      logger.error('Failed to diff protocol versions:', { error: err.message, protocolId: req.params.id });
+      res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
 
-    // Get next protocol ID
-    const nextIdResult = await client.query(
-      "SELECT get_next_number('protocol') as protocol_number"
-    );
-    const protocol_id = nextIdResult.rows[0].protocol_number;
+// @route   GET api/protocols/:id/versions/:version
+// @desc    One version of a protocol with its full content
+// @access  Private
+router.get('/:id/versions/:version', auth, async (req, res) => {
+  const versionNumber = parseInt(req.params.version, 10);
+  if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+    return res.status(400).json({ msg: 'Version must be a version number' });
+  }
 
-    // Create duplicate
-    const result = await client.query(
-      `INSERT INTO protocols 
-      (protocol_id, name, description, required_reagents, basic_steps, created_by) 
-      VALUES ($1, $2, $3, $4, $5, $6) 
-      RETURNING *`,
-      [
-        protocol_id,
-        name || `${original.name} (Copy)`,
-        original.description,
-        original.required_reagents,
-        original.basic_steps,
-        req.user.id
-      ]
-    );
+  try {
+    res.json(await protocolVersionService.getVersion(db, req.params.id, versionNumber));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Failed to load protocol version:', { error: err.message, protocolId: req.params.id });
+    res.status(500).json({ msg: 'Server error' });
+  }
+});
 
-    // Log the action
-    await client.query(
-      `INSERT INTO audit_log 
-      (user_id, action, table_name, record_id, changed_fields) 
-      VALUES ($1, $2, $3, $4, $5)`,
-      [
-        req.user.id,
-        'DUPLICATE',
-        'protocols',
-        result.rows[0].id,
-        JSON.stringify({
-          original_protocol_id: req.params.id,
-          duplicated_data: result.rows[0]
-        })
-      ]
-    );
+// @route   POST api/protocols/:id/duplicate
+// @desc    Branch a new protocol from a version of this one (the current version by default)
+// @access  Private (admin/editor only)
+router.post(
+  '/:id/duplicate',
+  [
+    auth,
+    requirePermission('protocol:edit'),
+    [
+      check('version').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+      check('name').optional({ nullable: true }).isString().trim().isLength({ max: 255 })
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // Return with user details
-    const protocolWithDetails = await client.query(
-      `SELECT p.*, 
-        u.username as created_by_username,
-        u.first_name as created_by_first_name,
-        u.last_name as created_by_last_name
-      FROM protocols p
-      LEFT JOIN users u ON p.created_by = u.id
-      WHERE p.id = $1`,
-      [result.rows[0].id]
-    );
-    
-    await client.query('COMMIT');
-    res.json(protocolWithDetails.rows[0]);
+    const { name } = req.body;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const originalResult = await client.query(
+        'SELECT id, name, current_version FROM protocols WHERE id = $1',
+        [req.params.id]
+      );
+
+      if (originalResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ msg: 'Protocol not found' });
+      }
+
+      const original = originalResult.rows[0];
+      const source = await protocolVersionService.getVersion(
+        client, req.params.id, req.body.version || original.current_version
+      );
+
+      // Get next protocol ID
+      const nextIdResult = await client.query(
+        "SELECT get_next_number('protocol') as protocol_number"
+      );
+      const protocol_id = nextIdResult.rows[0].protocol_number;
+
+      await protocolVersionService.describeNextVersion(client, {
+        changeSummary: `Branched from ${original.name} version ${source.version_number}`,
+        branchedFromVersionId: source.id
+      });
+      const result = await client.query(
+        `INSERT INTO protocols
+        (protocol_id, name, description, version, required_reagents, basic_steps, steps, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *`,
+        [
+          protocol_id,
+          name || `${source.name} (Branch)`,
+          source.description,
+          source.version_label,
+          JSON.stringify(source.required_reagents || []),
+          source.basic_steps,
+          JSON.stringify(source.steps || []),
+          req.user.id
+        ]
+      );
+
+      // Log the action
+      await client.query(
+        `INSERT INTO audit_log
+        (user_id, action, table_name, record_id, changed_fields)
+        VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          'BRANCH',
+          'protocols',
+          result.rows[0].id,
+          JSON.stringify({
+            source_protocol_id: req.params.id,
+            source_version_id: source.id,
+            source_version_number: source.version_number
+          })
+        ]
+      );
+
+      // Return with user details
+      const protocolWithDetails = await client.query(
+        `SELECT p.*,
+          u.username as created_by_username,
+          u.first_name as created_by_first_name,
+          u.last_name as created_by_last_name
+        FROM protocols p
+        LEFT JOIN users u ON p.created_by = u.id
+        WHERE p.id = $1`,
+        [result.rows[0].id]
+      );
+
+      await client.query('COMMIT');
+      res.status(201).json(protocolWithDetails.rows[0]);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      logger.error('Protocol branching failed:', {
+        error: err.message,
+        userId: req.user?.id,
+        protocolId: req.params.id
+      });
+      res.status(500).json({
+        msg: 'Server error occurred. Please try again.',
+        error: process.env.NODE_ENV === 'development' ? 'Server error' : undefined
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   GET api/protocols/:id/signatures
+// @desc    Electronic signatures on a protocol, and whether its current revision is locked
+// @access  Private
+router.get('/:id/signatures', auth, async (req, res) => {
+  try {
+    res.json(await signatureService.getSignatures(db, 'protocols', req.params.id));
   } catch (err) {
-    await client.query('ROLLBACK');
-    logger.error('Protocol duplication failed:', {
-      error: err.message,
-      userId: req.user?.id,
-      protocolId: req.params.id
-    });
-    res.status(500).json({ 
-      msg: 'Server error occurred. Please try again.',
-      error: process.env.NODE_ENV === 'development' ? 'Server error' : undefined 
-    });
-  } finally {
-    client.release();
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Failed to load protocol signatures:', { error: err.message, protocolId: req.params.id });
+    res.status(500).json({ msg: 'Server error' });
   }
 });
 
+// @route   POST api/protocols/:id/signatures
+// @desc    Sign the protocol's current revision, re-entering the password
+// @access  Private (authored: protocol:edit; reviewed/approved: esign:review/esign:approve)
+router.post(
+  '/:id/signatures',
+  [
+    auth,
+    [
+      check('meaning', 'Signature meaning is required').isIn(ESIGNATURES.MEANINGS),
+      check('password', 'Password is required').not().isEmpty(),
+      check('comment').optional({ nullable: true }).isString().isLength({ max: 1000 })
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const signature = await signatureService.signRecord(client, {
+        table: 'protocols',
+        recordId: req.params.id,
+        meaning: req.body.meaning,
+        password: req.body.password,
+        comment: req.body.comment,
+        user: req.user,
+        ip: req.ip
+      });
+      await client.query('COMMIT');
+      res.status(201).json(signature);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      logger.error('Protocol signing failed:', { error: err.message, userId: req.user?.id, protocolId: req.params.id });
+      res.status(500).json({ msg: 'Server error' });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   POST api/protocols/:id/revisions
+// @desc    Start a new revision of a signed protocol so it can be edited again
+// @access  Private (protocol:edit)
+router.post(
+  '/:id/revisions',
+  [auth, requirePermission('protocol:edit'), [check('reason').optional({ nullable: true }).isString().isLength({ max: 1000 })]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const result = await signatureService.startRevision(client, 'protocols', req.params.id, req.user, req.body.reason);
+      await client.query('COMMIT');
+      res.json(result);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      logger.error('Starting protocol revision failed:', { error: err.message, userId: req.user?.id, protocolId: req.params.id });
+      res.status(500).json({ msg: 'Server error' });
+    } finally {
+      client.release();
+    }
+  }
+);
+
 // @route   POST api/protocols/extract
 // @desc    Upload document and extract protocol data
 // @access  Private (admin/editor only)
-router.post('/extract', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], upload.single('document'), async (req, res) => {
+router.post('/extract', [auth, requirePermission('protocol:edit')], upload.single('document'), async (req, res) => {
   const client = await db.getClient();
 
   try {
@@ -1445,7 +1640,7 @@ router.get('/extraction-status/:jobId', auth, async (req, res) => {
 // @access  Private (admin/editor only)
 router.post('/from-extraction', [
   auth, 
-  roleCheck(['admin', 'lab_manager', 'lab_technician']),
+  requirePermission('protocol:edit'),
   [
     check('job_id', 'Extraction job ID is required').not().isEmpty(),
     check('name', 'Protocol name is required').not().isEmpty(),
@@ -1673,6 +1868,9 @@ router.get('/:id/experiments', auth, async (req, res) => {
         e.notes,
         e.created_at,
         e.updated_at,
+        e.protocol_version_id,
+        pv.version_number as protocol_version_number,
+        pv.version_label as protocol_version,
         u.username as performed_by,
         CONCAT(u.first_name, ' ', u.last_name) as performed_by_name,
         -- Get specimen details from the sample_ids array
@@ -1692,6 +1890,7 @@ router.get('/:id/experiments', auth, async (req, res) => {
           '{}'::json[]
         ) as specimens
       FROM experiments e
+      LEFT JOIN protocol_versions pv ON e.protocol_version_id = pv.id
       LEFT JOIN users u ON e.user_id = u.id
       WHERE e.protocol_id = $1
       ORDER BY e.date_performed DESC NULLS LAST, e.created_at DESC
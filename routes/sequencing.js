@@ -3,9 +3,15 @@ const router = express.Router();
 const multer = require('multer');
 const xlsx = require('xlsx');
 const authenticateToken = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { specimenAccess } = require('../middleware/projectAccess');
 const sequencingService = require('../services/sequencingImportService');
 const logger = require('../utils/logger');
 
+// A run links samples to specimens across every project, so importing or deleting one
+// needs access to all projects
+const requireRunAccess = [requirePermission('project:view_all'), requirePermission('sequencing:import')];
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -88,7 +94,7 @@ const parseCompletionDate = (dateValue) => {
  * POST /api/sequencing/preview
  * Preview sequencing data from CSV/Excel file WITHOUT saving
  */
-router.post('/preview', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/preview', authenticateToken, requireRunAccess, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -172,7 +178,7 @@ router.post('/preview', authenticateToken, upload.single('file'), async (req, re
  * POST /api/sequencing/import
  * Import sequencing data from CSV/Excel file
  */
-router.post('/import', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/import', authenticateToken, requireRunAccess, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -264,7 +270,7 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
  */
 router.get('/runs', authenticateToken, async (req, res) => {
   try {
-    const runs = await sequencingService.getSequencingRuns();
+    const runs = await sequencingService.getSequencingRuns(req.user);
     res.json(runs);
   } catch (err) {
     logger.error('Failed to fetch sequencing runs', { error: err.message });
@@ -279,7 +285,7 @@ router.get('/runs', authenticateToken, async (req, res) => {
 router.get('/runs/:runId', authenticateToken, async (req, res) => {
   try {
     const { runId } = req.params;
-    const run = await sequencingService.getSequencingRun(runId);
+    const run = await sequencingService.getSequencingRun(runId, req.user);
     if (!run) {
       return res.status(404).json({ error: 'Run not found' });
     }
@@ -294,7 +300,7 @@ router.get('/runs/:runId', authenticateToken, async (req, res) => {
  * DELETE /api/sequencing/runs/:runId
  * Delete a sequencing run and all associated samples
  */
-router.delete('/runs/:runId', authenticateToken, async (req, res) => {
+router.delete('/runs/:runId', authenticateToken, requireRunAccess, async (req, res) => {
   try {
     const { runId } = req.params;
     await sequencingService.deleteSequencingRun(runId, req.user.id);
@@ -325,7 +331,7 @@ router.delete('/runs/:runId', authenticateToken, async (req, res) => {
 router.get('/runs/:runId/samples', authenticateToken, async (req, res) => {
   try {
     const { runId } = req.params;
-    const samples = await sequencingService.getRunSequencingSamples(runId);
+    const samples = await sequencingService.getRunSequencingSamples(runId, req.user);
     res.json(samples);
   } catch (err) {
     logger.error('Failed to fetch run samples', { error: err.message });
@@ -337,7 +343,7 @@ router.get('/runs/:runId/samples', authenticateToken, async (req, res) => {
  * GET /api/sequencing/specimen/:specimenId
  * Get sequencing data for a specific specimen
  */
-router.get('/specimen/:specimenId', authenticateToken, async (req, res) => {
+router.get('/specimen/:specimenId', authenticateToken, specimenAccess('viewer', 'specimenId'), async (req, res) => {
   try {
     const { specimenId } = req.params;
     const sequencingData = await sequencingService.getSpecimenSequencingData(specimenId);
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const db = require('../db');
+const logger = require('../utils/logger');
+const sessionService = require('../services/sessionService');
+
+// Sessions are the browser logins; API tokens are managed on their own
+const sessionOnly = (req, res, next) => {
+  if (req.user.apiTokenId) {
+    return res.status(403).json({ msg: 'Sessions cannot be managed with an API token' });
+  }
+  next();
+};
+
+// @route   GET api/auth/sessions
+// @desc    The current user's active sessions, with the one making the request marked
+// @access  Private
+router.get('/', [auth, sessionOnly], async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(db, req.user.id);
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.user.sid })));
+  } catch (err) {
+    logger.error('Error fetching sessions:', err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/auth/sessions
+// @desc    Sign out all other sessions
+// @access  Private
+router.delete('/', [auth, sessionOnly], async (req, res) => {
+  try {
+    const count = await sessionService.revokeAllSessions(db, req.user.id, 'revoked_by_user', {
+      exceptSessionId: req.user.sid
+    });
+    res.json({ revoked: count });
+  } catch (err) {
+    logger.error('Error revoking sessions:', err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    Sign out one session
+// @access  Private
+router.delete('/:id', [auth, sessionOnly], async (req, res) => {
+  try {
+    await sessionService.revokeSession(db, req.user.id, req.params.id, 'revoked_by_user');
+    res.json({ msg: 'Session revoked' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Error revoking session:', err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,671 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { check, validationResult } = require('express-validator');
+const PDFDocument = require('pdfkit');
+const db = require('../db');
+const logger = require('../utils/logger');
+const { handleDatabaseError } = require('../utils/errorHandler');
+const custodyService = require('../services/custodyService');
+const {
+  hasGlobalProjectAccess,
+  projectScope,
+  assertProjectAccess,
+  assertSpecimenAccess
+} = require('../services/projectAccessService');
+
+const TEMPERATURE_CONDITIONS = ['ambient', 'refrigerated', 'dry_ice', 'liquid_nitrogen'];
+const TEMPERATURE_LABELS = {
+  ambient: 'Ambient',
+  refrigerated: 'Refrigerated (2-8 C)',
+  dry_ice: 'Frozen on dry ice',
+  liquid_nitrogen: 'Liquid nitrogen dry shipper'
+};
+
+const shipmentError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const detailValidation = [
+  check('carrier').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  check('tracking_number').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  check('ship_date', 'Ship date must be a valid date').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  check('received_date', 'Received date must be a valid date').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  check('temperature_condition', `Temperature must be one of: ${TEMPERATURE_CONDITIONS.join(', ')}`)
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(TEMPERATURE_CONDITIONS),
+  check('recipient_name').optional({ nullable: true }).trim().isLength({ max: 255 }),
+  check('specimen_ids', 'Specimen IDs must be an array').optional().isArray()
+];
+
+/**
+ * SQL condition limiting shipments (aliased sh) to the user's projects. A shipment without a
+ * project is visible when every specimen packed in it is.
+ */
+const shipmentScope = (user, paramIndex) => {
+  const project = projectScope(user, 'sh.project_id', paramIndex);
+  if (hasGlobalProjectAccess(user)) return project;
+  const specimen = projectScope(user, 's.project_id', paramIndex);
+  return {
+    condition: `(${project.condition} OR (sh.project_id IS NULL AND NOT EXISTS (
+      SELECT 1 FROM shipment_specimens ss JOIN specimens s ON ss.specimen_id = s.id
+      WHERE ss.shipment_id = sh.id AND NOT (${specimen.condition}))))`,
+    params: project.params
+  };
+};
+
+// Throw a 403 unless the user holds minRole on the shipment's project and its packed specimens
+const assertShipmentAccess = async (client, user, shipment, minRole) => {
+  await assertProjectAccess(client, user, shipment.project_id, minRole);
+  const packed = await client.query('SELECT specimen_id FROM shipment_specimens WHERE shipment_id = $1', [shipment.id]);
+  await assertSpecimenAccess(client, user, packed.rows.map(row => row.specimen_id), minRole);
+};
+
+const getShipment = async (client, id, user) => {
+  const scope = shipmentScope(user, 2);
+  const result = await client.query(
+    `SELECT sh.*,
+      c.collaborator_number, c.pi_name, c.pi_institute, c.pi_email, c.pi_phone,
+      p.project_number, p.disease,
+      creator.username AS created_by_username,
+      shipper.username AS shipped_by_username
+     FROM shipments sh
+     JOIN collaborators c ON sh.collaborator_id = c.id
+     LEFT JOIN projects p ON sh.project_id = p.id
+     LEFT JOIN users creator ON sh.created_by = creator.id
+     LEFT JOIN users shipper ON sh.shipped_by = shipper.id
+     WHERE sh.id = $1 AND ${scope.condition}`,
+    [id, ...scope.params]
+  );
+  return result.rows[0] || null;
+};
+
+const getShipmentSpecimens = async (client, id) => {
+  const result = await client.query(
+    `SELECT s.id, s.specimen_number, s.tube_id, s.specimen_site, s.date_collected,
+      s.remaining_quantity, s.activity_status,
+      s.position_freezer, s.position_rack, s.position_box,
+      s.position_dimension_one, s.position_dimension_two,
+      ss.storage_location,
+      pat.external_id AS patient_external_id,
+      proj.specimen_type
+     FROM shipment_specimens ss
+     JOIN specimens s ON ss.specimen_id = s.id
+     JOIN projects proj ON s.project_id = proj.id
+     LEFT JOIN patients pat ON s.patient_id = pat.id
+     WHERE ss.shipment_id = $1
+     ORDER BY s.specimen_number`,
+    [id]
+  );
+  return result.rows;
+};
+
+/**
+ * Check the specimens exist, belong to the shipment's project and are not already
+ * shipped or packed in another open shipment
+ */
+const validateShipmentSpecimens = async (client, specimenIds, { projectId, shipmentId = null }) => {
+  const uniqueIds = [...new Set(specimenIds)];
+  if (uniqueIds.length === 0) return uniqueIds;
+
+  const specimens = await client.query(
+    'SELECT id, specimen_number, project_id, activity_status FROM specimens WHERE id = ANY($1::uuid[])',
+    [uniqueIds]
+  );
+  if (specimens.rows.length !== uniqueIds.length) {
+    throw shipmentError('One or more specimens not found');
+  }
+
+  const wrongProject = specimens.rows.filter(s => projectId && s.project_id !== projectId);
+  if (wrongProject.length > 0) {
+    throw shipmentError(
+      `Specimens ${wrongProject.map(s => s.specimen_number).join(', ')} are not in the shipment's project`
+    );
+  }
+
+  const alreadyShipped = specimens.rows.filter(s => s.activity_status === 'shipped');
+  if (alreadyShipped.length > 0) {
+    throw shipmentError(`Specimens ${alreadyShipped.map(s => s.specimen_number).join(', ')} have already been shipped`, 409);
+  }
+
+  const packed = await client.query(
+    `SELECT s.specimen_number, sh.shipment_number
+     FROM shipment_specimens ss
+     JOIN shipments sh ON ss.shipment_id = sh.id
+     JOIN specimens s ON ss.specimen_id = s.id
+     WHERE ss.specimen_id = ANY($1::uuid[])
+       AND sh.status IN ('preparing', 'shipped')
+       AND ($2::uuid IS NULL OR sh.id <> $2)`,
+    [uniqueIds, shipmentId]
+  );
+  if (packed.rows.length > 0) {
+    const first = packed.rows[0];
+    throw shipmentError(
+      `Specimen ${first.specimen_number} is already in shipment #${first.shipment_number}`,
+      409
+    );
+  }
+
+  return uniqueIds;
+};
+
+const replaceShipmentSpecimens = async (client, shipmentId, specimenIds) => {
+  await client.query('DELETE FROM shipment_specimens WHERE shipment_id = $1', [shipmentId]);
+  if (specimenIds.length === 0) return;
+  await client.query(
+    `INSERT INTO shipment_specimens (shipment_id, specimen_id)
+     SELECT $1, UNNEST($2::uuid[])`,
+    [shipmentId, specimenIds]
+  );
+};
+
+const logShipmentAction = (client, userId, action, shipmentId, details) =>
+  client.query(
+    `INSERT INTO audit_log
+    (user_id, action, table_name, record_id, changed_fields)
+    VALUES ($1, $2, $3, $4::uuid, $5)`,
+    [userId, action, 'shipments', shipmentId, JSON.stringify(details)]
+  );
+
+const sendShipmentError = (res, err, context) => {
+  if (err.status) {
+    return res.status(err.status).json({ msg: err.message });
+  }
+  const errorResponse = handleDatabaseError(err, context);
+  return res.status(errorResponse.statusCode).json(errorResponse);
+};
+
+// @route   GET api/shipments
+// @desc    List shipments, optionally filtered by status or collaborator
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, collaborator_id } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`sh.status = $${params.length}`);
+    }
+    if (collaborator_id) {
+      params.push(collaborator_id);
+      conditions.push(`sh.collaborator_id = $${params.length}`);
+    }
+    const scope = shipmentScope(req.user, params.length + 1);
+    conditions.push(scope.condition);
+    params.push(...scope.params);
+
+    const result = await db.query(
+      `SELECT sh.*,
+        c.pi_name, c.pi_institute, c.collaborator_number,
+        p.project_number, p.disease,
+        (SELECT COUNT(*) FROM shipment_specimens ss WHERE ss.shipment_id = sh.id)::integer AS specimen_count
+       FROM shipments sh
+       JOIN collaborators c ON sh.collaborator_id = c.id
+       LEFT JOIN projects p ON sh.project_id = p.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY sh.shipment_number DESC`,
+      params
+    );
+
+    res.json({ shipments: result.rows });
+  } catch (err) {
+    sendShipmentError(res, err, 'GET /shipments');
+  }
+});
+
+// @route   GET api/shipments/:id
+// @desc    Get a shipment with its specimens
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const shipment = await getShipment(db, req.params.id, req.user);
+    if (!shipment) {
+      return res.status(404).json({ msg: 'Shipment not found' });
+    }
+
+    shipment.specimens = await getShipmentSpecimens(db, req.params.id);
+    res.json(shipment);
+  } catch (err) {
+    sendShipmentError(res, err, 'GET /shipments/:id');
+  }
+});
+
+// @route   POST api/shipments
+// @desc    Start a shipment to a collaborator
+// @access  Private (admin/lab_manager/lab_technician)
+router.post(
+  '/',
+  [
+    auth,
+    requirePermission('shipment:edit'),
+    [
+      check('collaborator_id', 'Collaborator is required').isUUID(),
+      check('project_id', 'Project must be a valid ID').optional({ nullable: true, checkFalsy: true }).isUUID(),
+      ...detailValidation
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      collaborator_id,
+      project_id,
+      specimen_ids = [],
+      carrier,
+      tracking_number,
+      ship_date,
+      temperature_condition,
+      recipient_name,
+      destination_address,
+      notes
+    } = req.body;
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const collaborator = await client.query('SELECT id FROM collaborators WHERE id = $1', [collaborator_id]);
+      if (collaborator.rows.length === 0) {
+        throw shipmentError('Collaborator not found');
+      }
+
+      if (project_id) {
+        const project = await client.query('SELECT collaborator_id FROM projects WHERE id = $1', [project_id]);
+        if (project.rows.length === 0) {
+          throw shipmentError('Project not found');
+        }
+        if (project.rows[0].collaborator_id !== collaborator_id) {
+          throw shipmentError('Project does not belong to this collaborator');
+        }
+      }
+
+      await assertProjectAccess(client, req.user, project_id, 'editor');
+      await assertSpecimenAccess(client, req.user, specimen_ids, 'editor');
+      const specimenIds = await validateShipmentSpecimens(client, specimen_ids, { projectId: project_id || null });
+
+      const result = await client.query(
+        `INSERT INTO shipments
+        (collaborator_id, project_id, carrier, tracking_number, ship_date, temperature_condition,
+         recipient_name, destination_address, notes, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *`,
+        [
+          collaborator_id,
+          project_id || null,
+          carrier || null,
+          tracking_number || null,
+          ship_date || null,
+          temperature_condition || null,
+          recipient_name || null,
+          destination_address || null,
+          notes || null,
+          req.user.id
+        ]
+      );
+      const shipment = result.rows[0];
+
+      await replaceShipmentSpecimens(client, shipment.id, specimenIds);
+
+      await client.query('COMMIT');
+      res.status(201).json(shipment);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      sendShipmentError(res, err, 'POST /shipments');
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   PUT api/shipments/:id
+// @desc    Update shipment details; specimens can only change while it is being prepared
+// @access  Private (admin/lab_manager/lab_technician)
+router.put(
+  '/:id',
+  [auth, requirePermission('shipment:edit'), detailValidation],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query('SELECT * FROM shipments WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (existing.rows.length === 0) {
+        throw shipmentError('Shipment not found', 404);
+      }
+      const oldData = existing.rows[0];
+      await assertShipmentAccess(client, req.user, oldData, 'editor');
+
+      if (oldData.status === 'cancelled') {
+        throw shipmentError('Cancelled shipments cannot be edited');
+      }
+
+      const fields = ['carrier', 'tracking_number', 'ship_date', 'temperature_condition',
+        'recipient_name', 'destination_address', 'notes'];
+      const updates = {};
+      fields.forEach(field => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field] || null;
+      });
+
+      if (req.body.received_date !== undefined) {
+        if (oldData.status === 'preparing') {
+          throw shipmentError('A shipment must be shipped before it can be received');
+        }
+        updates.received_date = req.body.received_date || null;
+        updates.status = updates.received_date ? 'received' : 'shipped';
+      }
+
+      if (req.body.specimen_ids !== undefined) {
+        if (oldData.status !== 'preparing') {
+          throw shipmentError('Specimens cannot be changed after the shipment has left');
+        }
+        await assertSpecimenAccess(client, req.user, req.body.specimen_ids, 'editor');
+        const specimenIds = await validateShipmentSpecimens(client, req.body.specimen_ids, {
+          projectId: oldData.project_id,
+          shipmentId: oldData.id
+        });
+        await replaceShipmentSpecimens(client, oldData.id, specimenIds);
+        updates.specimen_ids = specimenIds;
+      }
+
+      const columns = Object.keys(updates).filter(key => key !== 'specimen_ids');
+      let updated = oldData;
+      if (columns.length > 0) {
+        const result = await client.query(
+          `UPDATE shipments SET ${columns.map((col, i) => `${col} = $${i + 1}`).join(', ')}
+           WHERE id = $${columns.length + 1}
+           RETURNING *`,
+          [...columns.map(col => updates[col]), oldData.id]
+        );
+        updated = result.rows[0];
+      }
+
+      await client.query('COMMIT');
+      res.json(updated);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      sendShipmentError(res, err, 'PUT /shipments/:id');
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   POST api/shipments/:id/ship
+// @desc    Mark a shipment as sent: specimens become 'shipped' and leave their storage positions
+// @access  Private (admin/lab_manager/lab_technician)
+router.post(
+  '/:id/ship',
+  [
+    auth,
+    requirePermission('shipment:edit'),
+    [check('ship_date', 'Ship date must be a valid date').optional({ nullable: true, checkFalsy: true }).isISO8601()]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query('SELECT * FROM shipments WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (existing.rows.length === 0) {
+        throw shipmentError('Shipment not found', 404);
+      }
+      const shipment = existing.rows[0];
+      await assertShipmentAccess(client, req.user, shipment, 'editor');
+
+      if (shipment.status !== 'preparing') {
+        throw shipmentError(`Shipment #${shipment.shipment_number} has already been ${shipment.status}`, 409);
+      }
+
+      const packed = await client.query(
+        `SELECT s.* FROM shipment_specimens ss
+         JOIN specimens s ON ss.specimen_id = s.id
+         WHERE ss.shipment_id = $1
+         FOR UPDATE OF s`,
+        [shipment.id]
+      );
+      if (packed.rows.length === 0) {
+        throw shipmentError('Add specimens before shipping');
+      }
+
+      const collaborator = await client.query(
+        'SELECT pi_name, pi_institute FROM collaborators WHERE id = $1',
+        [shipment.collaborator_id]
+      );
+      const destination = `${collaborator.rows[0].pi_name}, ${collaborator.rows[0].pi_institute}`;
+      const shipDate = req.body.ship_date || shipment.ship_date || new Date().toISOString().split('T')[0];
+      const custodyNote = [`Shipment #${shipment.shipment_number}`, shipment.carrier, shipment.tracking_number]
+        .filter(Boolean)
+        .join(' ');
+
+      for (const specimen of packed.rows) {
+        const location = custodyService.formatLocation(specimen);
+
+        await client.query(
+          'UPDATE shipment_specimens SET storage_location = $1 WHERE shipment_id = $2 AND specimen_id = $3',
+          [location, shipment.id, specimen.id]
+        );
+
+        // Free the well so it can be reused
+        await client.query(
+          `UPDATE specimens
+           SET activity_status = 'shipped',
+               position_freezer = NULL, position_rack = NULL, position_box = NULL,
+               position_dimension_one = NULL, position_dimension_two = NULL,
+               storage_box_id = NULL, storage_row = NULL, storage_column = NULL
+           WHERE id = $1`,
+          [specimen.id]
+        );
+
+        await custodyService.recordCustodyEvent(client, {
+          specimenId: specimen.id,
+          eventType: 'shipment',
+          fromLocation: location,
+          toLocation: destination,
+          notes: custodyNote,
+          userId: req.user.id
+        });
+      }
+
+      const result = await client.query(
+        `UPDATE shipments SET status = 'shipped', ship_date = $1, shipped_by = $2
+         WHERE id = $3
+         RETURNING *`,
+        [shipDate, req.user.id, shipment.id]
+      );
+
+      await logShipmentAction(client, req.user.id, 'SHIP', shipment.id, {
+        ship_date: shipDate,
+        specimen_ids: packed.rows.map(s => s.id)
+      });
+
+      await client.query('COMMIT');
+
+      logger.info('Shipment sent', {
+        shipmentId: shipment.id,
+        specimenCount: packed.rows.length,
+        userId: req.user.id
+      });
+
+      res.json(result.rows[0]);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      sendShipmentError(res, err, 'POST /shipments/:id/ship');
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   POST api/shipments/:id/cancel
+// @desc    Cancel a shipment that has not left yet
+// @access  Private (admin/lab_manager/lab_technician)
+router.post('/:id/cancel', [auth, requirePermission('shipment:edit')], async (req, res) => {
+  try {
+    const existing = await db.query('SELECT * FROM shipments WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ msg: 'Shipment not found' });
+    }
+    await assertShipmentAccess(db, req.user, existing.rows[0], 'editor');
+
+    const result = await db.query(
+      `UPDATE shipments SET status = 'cancelled'
+       WHERE id = $1 AND status = 'preparing'
+       RETURNING *`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ msg: `A ${existing.rows[0].status} shipment cannot be cancelled` });
+    }
+
+    await logShipmentAction(db, req.user.id, 'CANCEL', req.params.id, { status: 'cancelled' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    sendShipmentError(res, err, 'POST /shipments/:id/cancel');
+  }
+});
+
+// Helper function to draw the manifest pages
+function drawManifest(doc, shipment, specimens) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.fontSize(16).font('Helvetica-Bold').text('Specimen Shipment Manifest', { align: 'center' });
+  doc.fontSize(10).font('Helvetica').text(`Shipment #${shipment.shipment_number}`, { align: 'center' });
+  doc.moveDown();
+
+  const detailRows = [
+    ['Recipient', [shipment.recipient_name || shipment.pi_name, shipment.pi_institute].filter(Boolean).join(', ')],
+    ['Address', shipment.destination_address],
+    ['Contact', [shipment.pi_email, shipment.pi_phone].filter(Boolean).join(' / ')],
+    ['Project', shipment.project_number ? `#${shipment.project_number} ${shipment.disease || ''}` : null],
+    ['Carrier', shipment.carrier],
+    ['Tracking number', shipment.tracking_number],
+    ['Ship date', shipment.ship_date ? new Date(shipment.ship_date).toLocaleDateString() : 'Not yet shipped'],
+    ['Temperature', TEMPERATURE_LABELS[shipment.temperature_condition]],
+    ['Specimen count', String(specimens.length)]
+  ];
+
+  detailRows.forEach(([label, value]) => {
+    if (!value) return;
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+    doc.font('Helvetica').text(value);
+  });
+
+  if (shipment.notes) {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').text('Notes');
+    doc.font('Helvetica').text(shipment.notes);
+  }
+  doc.moveDown();
+
+  // Specimen table
+  const columns = [
+    { header: '#', width: 0.05, value: (s, i) => String(i + 1) },
+    { header: 'WUID', width: 0.1, value: s => String(s.specimen_number ?? '') },
+    { header: 'Tube ID', width: 0.15, value: s => s.tube_id || '' },
+    { header: 'Patient', width: 0.14, value: s => s.patient_external_id || '' },
+    { header: 'Type', width: 0.14, value: s => s.specimen_site || s.specimen_type || '' },
+    { header: 'Collected', width: 0.12, value: s => (s.date_collected ? new Date(s.date_collected).toLocaleDateString() : '') },
+    { header: 'Qty', width: 0.07, value: s => (s.remaining_quantity !== null ? String(parseFloat(s.remaining_quantity)) : '') },
+    { header: 'Shipped from', width: 0.23, value: s => s.storage_location || custodyService.formatLocation(s) || '' }
+  ];
+  const rowHeight = 16;
+
+  const drawHeader = () => {
+    let x = left;
+    const y = doc.y;
+    doc.fontSize(8).font('Helvetica-Bold');
+    columns.forEach(col => {
+      doc.text(col.header, x + 2, y + 4, { width: col.width * width - 4, lineBreak: false });
+      x += col.width * width;
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).stroke();
+    doc.y = y + rowHeight;
+  };
+
+  drawHeader();
+  doc.font('Helvetica');
+  specimens.forEach((specimen, index) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom - 60) {
+      doc.addPage();
+      drawHeader();
+      doc.font('Helvetica');
+    }
+    let x = left;
+    const y = doc.y;
+    columns.forEach(col => {
+      doc.text(col.value(specimen, index), x + 2, y + 4, { width: col.width * width - 4, lineBreak: false, ellipsis: true });
+      x += col.width * width;
+    });
+    doc.y = y + rowHeight;
+  });
+
+  // Sign-off lines for the packer and the receiving lab
+  if (doc.y + 100 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+  doc.moveDown(2);
+  doc.fontSize(10);
+  const signY = doc.y;
+  doc.text('Packed by: ______________________  Date: __________', left, signY);
+  doc.text('Received by: ____________________  Date: __________', left, signY + 20);
+  doc.fontSize(8).text(`Generated: ${new Date().toLocaleString()}`, left, signY + 50);
+}
+
+// @route   GET api/shipments/:id/manifest
+// @desc    Download the shipment manifest as a PDF
+// @access  Private
+router.get('/:id/manifest', auth, async (req, res) => {
+  try {
+    const shipment = await getShipment(db, req.params.id, req.user);
+    if (!shipment) {
+      return res.status(404).json({ msg: 'Shipment not found' });
+    }
+    const specimens = await getShipmentSpecimens(db, req.params.id);
+
+    await logShipmentAction(db, req.user.id, 'GENERATE_SHIPMENT_MANIFEST', shipment.id, {
+      specimen_count: specimens.length
+    });
+
+    const filename = `shipment_${shipment.shipment_number}_manifest.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margins: { top: 36, bottom: 36, left: 36, right: 36 }
+    });
+    doc.pipe(res);
+    drawManifest(doc, shipment, specimens);
+    doc.end();
+  } catch (err) {
+    logger.error('Shipment manifest error', { error: err.message, stack: err.stack });
+    if (!res.headersSent) {
+      res.status(500).send('Server error');
+    }
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,7 @@ const multer = require('multer');
 const XLSX = require('xlsx');
 const { FILE_UPLOAD } = require('../config/constants');
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const db = require('../db');
 const logger = require('../utils/logger');
 const { 
@@ -14,6 +14,10 @@ const {
   asyncHandler 
 } = require('../utils/errorHandler');
 const idGenerationService = require('../services/idGenerationService');
+const { resolveSpecimenPosition } = require('../services/storageService');
+const receivingService = require('../services/receivingService');
+const { projectScope, assertProjectAccess } = require('../services/projectAccessService');
+const { projectAccess } = require('../middleware/projectAccess');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -472,6 +476,24 @@ function parseLocation(locationString) {
   };
 }
 
+/**
+ * Location from individual position fields or a combined location string
+ */
+function getSpecimenLocation(specimen) {
+  const location = {
+    position_freezer: specimen.position_freezer || null,
+    position_rack: specimen.position_rack || null, 
+    position_box: specimen.position_box || null,
+    position_dimension_one: specimen.position_dimension_one || null,
+    position_dimension_two: specimen.position_dimension_two || null
+  };
+  
+  if (specimen.location) {
+    Object.assign(location, parseLocation(specimen.location));
+  }
+  return location;
+}
+
 /**
  * Convert boolean-like values to actual booleans - more forgiving
  */
@@ -490,10 +512,81 @@ function parseBoolean(value) {
   return false;
 }
 
+/**
+ * Insert a new specimen from an import row with the next WUID and log it in the audit trail
+ * @returns {Promise<Object>} The new specimen's id and specimen_number
+ */
+async function insertImportedSpecimen(client, specimen, location, { projectId, userId, auditAction, auditDetails = {} }) {
+  // Generate global sequential specimen number (WUID)
+  // Note: Using direct query within transaction for consistency
+  const idResult = await client.query(`SELECT get_next_number('specimen') as new_id`);
+  const specimenNumber = idResult.rows[0].new_id;
+  
+  // Create new specimen (no patient_id - remains NULL)
+  // Include run_number (present in schema), exclude missing sequencing columns
+  const insertQuery = `
+    INSERT INTO specimens (
+      tube_id, project_id, specimen_number, patient_id,
+      date_collected, specimen_site, activity_status,
+      extracted, used_up, initial_quantity,
+      position_freezer, position_rack, position_box, 
+      position_dimension_one, position_dimension_two,
+      run_number, comments, storage_box_id, storage_row, storage_column,
+      created_at, updated_at
+    ) VALUES (
+      $1, $2, $3, NULL, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW(), NOW()
+    )
+    RETURNING id
+  `;
+  
+  const insertResult = await client.query(insertQuery, [
+    specimen.tube_id,
+    projectId,
+    specimenNumber, // specimen_number (WUID)
+    specimen.date_collected ? new Date(specimen.date_collected) : null,
+    specimen.specimen_site,
+    specimen.activity_status || 'active',
+    parseBoolean(specimen.extracted),
+    parseBoolean(specimen.used_up),
+    specimen.initial_quantity ? parseFloat(specimen.initial_quantity) : null,
+    location.position_freezer,
+    location.position_rack,
+    location.position_box,
+    location.position_dimension_one,
+    location.position_dimension_two,
+    specimen.run_number,
+    specimen.comments,
+    location.storage_box_id,
+    location.storage_row,
+    location.storage_column
+  ]);
+  
+  // Log creation in audit trail
+  await client.query(
+    `INSERT INTO audit_log 
+    (user_id, action, table_name, record_id, changed_fields) 
+    VALUES ($1, $2, $3, $4, $5)`,
+    [
+      userId,
+      auditAction,
+      'specimens',
+      insertResult.rows[0].id,
+      JSON.stringify({ 
+        ...auditDetails,
+        tube_id: specimen.tube_id,
+        specimen_number: specimenNumber,
+        project_id: projectId
+      })
+    ]
+  );
+  
+  return { id: insertResult.rows[0].id, specimen_number: specimenNumber };
+}
+
 // @route   GET api/specimens/import/template/:projectId
 // @desc    Download CSV template for specimen import
 // @access  Private (editor/admin only)
-router.get('/template/:projectId', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.get('/template/:projectId', [auth, requirePermission('import:run'), projectAccess('viewer', 'projectId')], async (req, res) => {
   try {
     const { projectId } = req.params;
     
@@ -568,7 +661,7 @@ router.get('/template/:projectId', [auth, roleCheck(['admin', 'lab_manager', 'la
 // @route   POST api/specimens/import/preview
 // @desc    Preview specimen import data
 // @access  Private (editor/admin only)
-router.post('/preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician']), upload.single('file')], asyncHandler(async (req, res) => {
+router.post('/preview', [auth, requirePermission('import:run'), upload.single('file')], asyncHandler(async (req, res) => {
   if (!req.file) {
     return res.status(400).json({
       success: false,
@@ -671,7 +764,7 @@ router.post('/preview', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
 // @route   POST api/specimens/import/execute
 // @desc    Execute specimen import
 // @access  Private (editor/admin only)
-router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician']), upload.single('file')], async (req, res) => {
+router.post('/execute', [auth, requirePermission('import:run'), upload.single('file')], async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ msg: 'No file uploaded' });
@@ -685,6 +778,10 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
       batchSize = 500,
       createMissingEntities = true
     } = req.body;
+
+    if (projectId) {
+      await assertProjectAccess(db, req.user, projectId, 'editor');
+    }
     
     // Debug logging
     logger.info('Specimen import request started', {
@@ -733,7 +830,8 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
       created: 0,
       updated: 0,
       errors: 0,
-      duplicatesSkipped: 0
+      duplicatesSkipped: 0,
+      rejectedPositions: []
     };
     
     const client = await db.getClient();
@@ -751,20 +849,7 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
         });
         
         try {
-          // Parse location from individual fields or combined location string
-          const location = {
-            position_freezer: specimen.position_freezer || null,
-            position_rack: specimen.position_rack || null, 
-            position_box: specimen.position_box || null,
-            position_dimension_one: specimen.position_dimension_one || null,
-            position_dimension_two: specimen.position_dimension_two || null
-          };
-          
-          // If there's a combined location string, parse it
-          if (specimen.location) {
-            const parsedLocation = parseLocation(specimen.location);
-            Object.assign(location, parsedLocation);
-          }
+          const location = getSpecimenLocation(specimen);
           
           // Use the required project ID (must be provided in project import)
           const targetProjectId = projectId;
@@ -780,12 +865,30 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
           const existingQuery = `SELECT id FROM specimens WHERE tube_id = $1 AND project_id = $2`;
           const existingResult = await client.query(existingQuery, [specimenId, targetProjectId]);
           
+          if (existingResult.rows.length > 0 && skipDuplicates) {
+            results.duplicatesSkipped++;
+            continue;
+          }
+          
+          // Reject rows naming unknown storage or an occupied well
+          let position;
+          try {
+            position = await resolveSpecimenPosition(client, location, {
+              specimenId: existingResult.rows[0]?.id || null
+            });
+          } catch (positionError) {
+            if (!positionError.status) throw positionError;
+            results.errors++;
+            results.rejectedPositions.push({
+              row: specimen._rowNumber,
+              tube_id: specimenId,
+              reason: positionError.message
+            });
+            continue;
+          }
+          Object.assign(location, position);
+          
           if (existingResult.rows.length > 0) {
-            if (skipDuplicates) {
-              results.duplicatesSkipped++;
-              continue;
-            }
-            
             if (updateDuplicates) {
               // Update existing specimen (include run_number, exclude missing sequencing columns)
               const updateQuery = `
@@ -794,7 +897,8 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
                   extracted = $4, used_up = $5, initial_quantity = $6,
                   specimen_site = $7, position_freezer = $8, position_rack = $9,
                   position_box = $10, position_dimension_one = $11, position_dimension_two = $12,
-                  run_number = $13, comments = $14, updated_at = NOW()
+                  run_number = $13, comments = $14,
+                  storage_box_id = $15, storage_row = $16, storage_column = $17, updated_at = NOW()
                 WHERE id = $1
               `;
               
@@ -812,7 +916,10 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
                 location.position_dimension_one,
                 location.position_dimension_two,
                 specimen.run_number,
-                specimen.comments
+                specimen.comments,
+                location.storage_box_id,
+                location.storage_row,
+                location.storage_column
               ]);
               
               // Log update in audit trail
@@ -832,66 +939,12 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
               results.updated++;
             }
           } else {
-            // Generate global sequential specimen number (WUID)
-            // Note: Using direct query within transaction for consistency
-            const getIdQuery = `SELECT get_next_number('specimen') as new_id`;
-            const idResult = await client.query(getIdQuery);
-            const specimenNumber = idResult.rows[0].new_id;
-            
-            // Create new specimen (no patient_id - remains NULL)
-            // Include run_number (present in schema), exclude missing sequencing columns
-            const insertQuery = `
-              INSERT INTO specimens (
-                tube_id, project_id, specimen_number, patient_id,
-                date_collected, specimen_site, activity_status,
-                extracted, used_up, initial_quantity,
-                position_freezer, position_rack, position_box, 
-                position_dimension_one, position_dimension_two,
-                run_number, comments, created_at, updated_at
-              ) VALUES (
-                $1, $2, $3, NULL, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW(), NOW()
-              )
-              RETURNING id
-            `;
-            
-            const insertResult = await client.query(insertQuery, [
-              specimenId, // tube_id
-              targetProjectId, // project_id
-              specimenNumber, // specimen_number (WUID)
-              // patient_id is NULL (index 4)
-              specimen.date_collected ? new Date(specimen.date_collected) : null,
-              specimen.specimen_site,
-              specimen.activity_status || 'active',
-              parseBoolean(specimen.extracted),
-              parseBoolean(specimen.used_up),
-              specimen.initial_quantity ? parseFloat(specimen.initial_quantity) : null,
-              location.position_freezer,
-              location.position_rack,
-              location.position_box,
-              location.position_dimension_one,
-              location.position_dimension_two,
-              specimen.run_number,
-              specimen.comments
-            ]);
-            
-            // Log creation in audit trail
-            await client.query(
-              `INSERT INTO audit_log 
-              (user_id, action, table_name, record_id, changed_fields) 
-              VALUES ($1, $2, $3, $4, $5)`,
-              [
-                req.user.id,
-                'CREATE_PROJECT_IMPORT',
-                'specimens',
-                insertResult.rows[0].id,
-                JSON.stringify({ 
-                  created_from_project_import: true, 
-                  tube_id: specimenId,
-                  specimen_number: specimenNumber,
-                  project_id: targetProjectId
-                })
-              ]
-            );
+            await insertImportedSpecimen(client, specimen, location, {
+              projectId: targetProjectId,
+              userId: req.user.id,
+              auditAction: 'CREATE_PROJECT_IMPORT',
+              auditDetails: { created_from_project_import: true }
+            });
             
             results.created++;
           }
@@ -957,11 +1010,15 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
     
     res.json({
       success: true,
-      message: `Import completed: ${results.created} created, ${results.updated} updated, ${results.errors} errors`,
+      message: `Import completed: ${results.created} created, ${results.updated} updated, ${results.errors} errors` +
+        (results.rejectedPositions.length > 0 ? ` (${results.rejectedPositions.length} rejected for storage position)` : ''),
       results
     });
     
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ msg: error.message });
+    }
     // Log error for server monitoring without exposing sensitive details
     logger.error('Specimen import failed', { error: error.name, message: error.message });
     res.status(500).json({ 
@@ -971,4 +1028,317 @@ router.post('/execute', [auth, roleCheck(['admin', 'lab_manager', 'lab_technicia
   }
 });
 
+// ================================================================================
+// RECEIVING
+// A collaborator's manifest is checked against the physical box before import:
+// tubes are scanned in, discrepancies are flagged, and only checked-in tubes are committed.
+// ================================================================================
+
+const sendReceivingError = (res, err, context) => {
+  if (err.status) {
+    return res.status(err.status).json({ msg: err.message });
+  }
+  const errorResponse = handleDatabaseError(err, context);
+  return res.status(errorResponse.statusCode).json(errorResponse);
+};
+
+const logReceivingAction = (client, userId, action, receiptId, details) =>
+  client.query(
+    `INSERT INTO audit_log 
+    (user_id, action, table_name, record_id, changed_fields) 
+    VALUES ($1, $2, $3, $4::uuid, $5)`,
+    [userId, action, 'specimen_receipts', receiptId, JSON.stringify(details)]
+  );
+
+// Receipts belong to a single project; check the user's role on it
+const receiptAccess = (minRole) => async (req, res, next) => {
+  try {
+    const receipt = await db.query('SELECT project_id FROM specimen_receipts WHERE id = $1', [req.params.id]);
+    if (receipt.rows.length > 0) {
+      await assertProjectAccess(db, req.user, receipt.rows[0].project_id, minRole);
+    }
+    next();
+  } catch (err) {
+    sendReceivingError(res, err, 'receipt access check');
+  }
+};
+
+// @route   GET api/specimens/import/receiving
+// @desc    List receipts with their discrepancy counts, optionally for one project
+// @access  Private
+router.get('/receiving', auth, async (req, res) => {
+  try {
+    const scope = projectScope(req.user, 'r.project_id', 1);
+    const params = [...scope.params];
+    let where = `WHERE ${scope.condition}`;
+    if (req.query.project_id) {
+      params.push(req.query.project_id);
+      where += ` AND r.project_id = $${params.length}`;
+    }
+
+    const result = await db.query(
+      `SELECT r.*, p.project_number, p.disease, u.username AS received_by_username,
+        COUNT(i.id) FILTER (WHERE i.status <> 'extra')::integer AS expected,
+        COUNT(i.id) FILTER (WHERE i.status = 'checked_in')::integer AS checked_in,
+        COUNT(i.id) FILTER (WHERE i.status = 'expected')::integer AS outstanding,
+        COUNT(i.id) FILTER (WHERE i.status = 'missing')::integer AS missing,
+        COUNT(i.id) FILTER (WHERE i.status = 'extra')::integer AS extra,
+        COUNT(i.id) FILTER (WHERE i.damaged)::integer AS damaged
+       FROM specimen_receipts r
+       JOIN projects p ON r.project_id = p.id
+       LEFT JOIN users u ON r.received_by = u.id
+       LEFT JOIN specimen_receipt_items i ON i.receipt_id = r.id
+       ${where}
+       GROUP BY r.id, p.project_number, p.disease, u.username
+       ORDER BY r.date_received DESC, r.created_at DESC`,
+      params
+    );
+
+    res.json({ receipts: result.rows });
+  } catch (err) {
+    sendReceivingError(res, err, 'GET /specimens/import/receiving');
+  }
+});
+
+// @route   POST api/specimens/import/receiving
+// @desc    Start receiving a box from the collaborator's manifest
+// @access  Private (editor/admin only)
+router.post('/receiving', [auth, requirePermission('specimen:receive'), upload.single('file')], async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ msg: 'Upload the collaborator manifest' });
+  }
+
+  const { projectId, date_received, notes } = req.body;
+  if (!projectId) {
+    return res.status(400).json({ msg: 'Project is required' });
+  }
+  if (date_received && isNaN(Date.parse(date_received))) {
+    return res.status(400).json({ msg: 'Date received must be a valid date' });
+  }
+
+  let parseResult;
+  try {
+    parseResult = parseSpecimenFile(req.file.buffer, req.file.mimetype);
+  } catch (error) {
+    const errorResponse = handleImportError(error, 'receiving');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+
+  const validationErrors = [];
+  for (const specimen of parseResult.specimens) {
+    validationErrors.push(...await validateSpecimen(specimen, specimen._rowNumber));
+  }
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      msg: 'Validation errors found in manifest',
+      errors: validationErrors.slice(0, 100),
+      totalErrors: validationErrors.length
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    const project = await client.query('SELECT id FROM projects WHERE id = $1', [projectId]);
+    if (project.rows.length === 0) {
+      return res.status(404).json({ msg: 'Project not found' });
+    }
+    await assertProjectAccess(client, req.user, projectId, 'editor');
+
+    await client.query('BEGIN');
+
+    const receipt = await receivingService.createReceipt(client, {
+      projectId,
+      dateReceived: date_received || null,
+      manifestFilename: req.file.originalname,
+      notes: notes || null,
+      rows: parseResult.specimens,
+      userId: req.user.id
+    });
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      ...receipt,
+      mappingFeedback: parseResult.mappingFeedback
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    sendReceivingError(res, err, 'POST /specimens/import/receiving');
+  } finally {
+    client.release();
+  }
+});
+
+// @route   GET api/specimens/import/receiving/:id
+// @desc    Get a receipt with its tubes and discrepancy summary
+// @access  Private
+router.get('/receiving/:id', auth, receiptAccess('viewer'), async (req, res) => {
+  try {
+    const receipt = await receivingService.getReceipt(db, req.params.id);
+    if (!receipt) {
+      return res.status(404).json({ msg: 'Receipt not found' });
+    }
+
+    const items = await receivingService.getReceiptItems(db, req.params.id);
+    res.json({
+      ...receipt,
+      items,
+      summary: receivingService.summarizeItems(items)
+    });
+  } catch (err) {
+    sendReceivingError(res, err, 'GET /specimens/import/receiving/:id');
+  }
+});
+
+// @route   POST api/specimens/import/receiving/:id/check-in
+// @desc    Check in a scanned tube barcode; unknown barcodes are logged as extra tubes
+// @access  Private (editor/admin only)
+router.post('/receiving/:id/check-in', [auth, requirePermission('specimen:receive'), receiptAccess('editor')], async (req, res) => {
+  const { tube_id, damaged, condition_notes } = req.body;
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const item = await receivingService.checkInTube(client, req.params.id, {
+      tubeId: tube_id,
+      damaged: Boolean(damaged),
+      conditionNotes: condition_notes || null,
+      userId: req.user.id
+    });
+
+    await client.query('COMMIT');
+    res.status(201).json(item);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    sendReceivingError(res, err, 'POST /specimens/import/receiving/:id/check-in');
+  } finally {
+    client.release();
+  }
+});
+
+// @route   PUT api/specimens/import/receiving/:id/items/:itemId
+// @desc    Flag a tube as damaged, update its condition notes, or undo its check-in
+// @access  Private (editor/admin only)
+router.put('/receiving/:id/items/:itemId', [auth, requirePermission('specimen:receive'), receiptAccess('editor')], async (req, res) => {
+  const { damaged, condition_notes, undo } = req.body;
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const item = await receivingService.updateReceiptItem(client, req.params.id, req.params.itemId, {
+      damaged,
+      conditionNotes: condition_notes,
+      undo: Boolean(undo)
+    });
+
+    await client.query('COMMIT');
+    res.json(item ? item : { msg: 'Extra tube removed' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    sendReceivingError(res, err, 'PUT /specimens/import/receiving/:id/items/:itemId');
+  } finally {
+    client.release();
+  }
+});
+
+// @route   POST api/specimens/import/receiving/:id/commit
+// @desc    Create specimens for the checked-in tubes and record the remaining discrepancies
+// @access  Private (editor/admin only)
+router.post('/receiving/:id/commit', [auth, requirePermission('specimen:receive'), receiptAccess('editor')], async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const receipt = await receivingService.getReceipt(client, req.params.id);
+    if (!receipt) {
+      return res.status(404).json({ msg: 'Receipt not found' });
+    }
+
+    await client.query('BEGIN');
+
+    const unplaced = [];
+    const createSpecimen = async (data) => {
+      const specimen = { ...data };
+      let location;
+      try {
+        location = await resolveSpecimenPosition(client, getSpecimenLocation(specimen));
+      } catch (positionError) {
+        if (!positionError.status) throw positionError;
+        // Keep the tube but leave it unplaced rather than refusing the whole box
+        unplaced.push({ tube_id: specimen.tube_id, reason: positionError.message });
+        location = await resolveSpecimenPosition(client, {});
+      }
+
+      const created = await insertImportedSpecimen(client, specimen, location, {
+        projectId: receipt.project_id,
+        userId: req.user.id,
+        auditAction: 'CREATE_RECEIVING_IMPORT',
+        auditDetails: { receipt_id: receipt.id }
+      });
+      return created.id;
+    };
+
+    const result = await receivingService.commitReceipt(client, receipt.id, {
+      userId: req.user.id,
+      createSpecimen
+    });
+
+    await logReceivingAction(client, req.user.id, 'COMMIT', receipt.id, {
+      created: result.created,
+      summary: result.summary,
+      unplaced
+    });
+
+    await client.query('COMMIT');
+
+    logger.info('Specimen receipt committed', {
+      receiptId: receipt.id,
+      projectId: receipt.project_id,
+      created: result.created,
+      discrepancies: result.summary.discrepancies
+    });
+
+    res.json({
+      ...result,
+      unplaced,
+      message: `${result.created} specimens created` +
+        (result.summary.discrepancies > 0 ? `, ${result.summary.discrepancies} discrepancies recorded` : '')
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    sendReceivingError(res, err, 'POST /specimens/import/receiving/:id/commit');
+  } finally {
+    client.release();
+  }
+});
+
+// @route   POST api/specimens/import/receiving/:id/cancel
+// @desc    Abandon an open receipt without importing anything
+// @access  Private (editor/admin only)
+router.post('/receiving/:id/cancel', [auth, requirePermission('specimen:receive'), receiptAccess('editor')], async (req, res) => {
+  try {
+    const result = await db.query(
+      `UPDATE specimen_receipts SET status = 'cancelled'
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      const exists = await db.query('SELECT status FROM specimen_receipts WHERE id = $1', [req.params.id]);
+      if (exists.rows.length === 0) {
+        return res.status(404).json({ msg: 'Receipt not found' });
+      }
+      return res.status(409).json({ msg: `Receipt has already been ${exists.rows[0].status}` });
+    }
+
+    await logReceivingAction(db, req.user.id, 'CANCEL', req.params.id, { status: 'cancelled' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    sendReceivingError(res, err, 'POST /specimens/import/receiving/:id/cancel');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
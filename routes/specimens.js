@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const { check, validationResult } = require('express-validator');
 const db = require('../db');
 const multer = require('multer');
@@ -11,6 +11,15 @@ const logger = require('../utils/logger');
 const { buildSearchClause, getSearchCondition } = require('../utils/searchUtils');
 const { createErrorResponse, handleDatabaseError, withErrorHandling } = require('../utils/errorHandling');
 const { analyzeMetadataFields } = require('../utils/metadataAnalytics');
+const { resolveSpecimenPosition, isWellConflictError } = require('../services/storageService');
+const idGenerationService = require('../services/idGenerationService');
+const { TRANSACTION_TYPES, recordSpecimenTransaction } = require('../services/specimenQuantityService');
+const custodyService = require('../services/custodyService');
+const { resolveSpecimenVisit } = require('../services/visitService');
+const { canViewPhi, phiSearchFields, redactPhi, presentPhi } = require('../services/phiService');
+const { blindIndex, encryptPatientFields } = require('../utils/phiEncryption');
+const { projectScope, assertProjectAccess, assertSpecimenAccess } = require('../services/projectAccessService');
+const { projectAccess, specimenAccess } = require('../middleware/projectAccess');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -97,8 +106,7 @@ router.get('/', auth, async (req, res) => {
         { field: 's.specimen_number', isId: true },
         // Patient fields
         { field: 'p.external_id', isId: false },
-        { field: 'p.first_name', isId: false },
-        { field: 'p.last_name', isId: false },
+        ...phiSearchFields(req.user, 'p.'),
         // Collaborator fields
         { field: 'c.pi_name', isId: false },
         { field: 'c.pi_institute', isId: false },
@@ -217,6 +225,12 @@ router.get('/', auth, async (req, res) => {
       }
     });
     
+    // Only specimens in projects the user can see
+    const scope = projectScope(req.user, 's.project_id', paramIndex);
+    whereConditions.push(scope.condition);
+    queryParamsArray.push(...scope.params);
+    paramIndex += scope.params.length;
+    
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
     
     // Count query
@@ -232,13 +246,21 @@ router.get('/', auth, async (req, res) => {
     const dataQuery = `
       SELECT s.*, 
         p.external_id as patient_external_id,
-        CONCAT(p.first_name, ' ', p.last_name) as patient_name,
+        p.first_name as patient_first_name,
+        p.last_name as patient_last_name,
+        v.visit_label,
         proj.disease, proj.specimen_type, proj.project_number,
-        c.pi_name, c.pi_institute, c.collaborator_number
+        c.pi_name, c.pi_institute, c.collaborator_number,
+        COALESCE(cs.thaw_count, 0) as thaw_count,
+        cs.checked_out_to, cs.checked_out_at,
+        holder.username as checked_out_to_username
        FROM specimens s
        LEFT JOIN patients p ON s.patient_id = p.id
+       LEFT JOIN patient_visits v ON s.visit_id = v.id
        JOIN projects proj ON s.project_id = proj.id
        JOIN collaborators c ON proj.collaborator_id = c.id
+       LEFT JOIN specimen_custody_status cs ON cs.specimen_id = s.id
+       LEFT JOIN users holder ON cs.checked_out_to = holder.id
        ${whereClause}
        ORDER BY s.specimen_number::integer ASC
        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
@@ -246,9 +268,12 @@ router.get('/', auth, async (req, res) => {
     
     queryParamsArray.push(limit, offset);
     const result = await db.query(dataQuery, queryParamsArray);
+    await presentPhi(db, result.rows, req.user, { context: 'specimen_list' });
+    const thawLimit = await custodyService.getThawLimit();
     
     res.json({
       specimens: result.rows,
+      thawLimit,
       totalCount,
       currentPage: parseInt(page),
       totalPages: Math.ceil(totalCount / limit)
@@ -269,7 +294,7 @@ router.get('/search', auth, async (req, res) => {
     return res.status(400).json({ msg: 'Search term is required' });
   }
   
-  let query;
+  let whereCondition;
   let params;
   
   try {
@@ -277,7 +302,8 @@ router.get('/search', auth, async (req, res) => {
     const baseQuery = `
       SELECT s.*, 
         p.external_id as patient_external_id,
-        CONCAT(p.first_name, ' ', p.last_name) as patient_name,
+        p.first_name as patient_first_name,
+        p.last_name as patient_last_name,
         proj.disease, proj.specimen_type, proj.project_number,
         c.pi_name, c.pi_institute, c.collaborator_number
       FROM specimens s
@@ -293,48 +319,52 @@ router.get('/search', auth, async (req, res) => {
       switch (field) {
         case 'tube_id':
           ({ condition: fieldCondition, parameter } = getSearchCondition('s.tube_id', term, false));
-          query = `${baseQuery} WHERE ${fieldCondition}$1`;
+          whereCondition = `${fieldCondition}$1`;
           break;
         case 'position_freezer':
           ({ condition: fieldCondition, parameter } = getSearchCondition('s.position_freezer', term, false));
-          query = `${baseQuery} WHERE ${fieldCondition}$1`;
+          whereCondition = `${fieldCondition}$1`;
           break;
         case 'position_rack':
           ({ condition: fieldCondition, parameter } = getSearchCondition('s.position_rack', term, false));
-          query = `${baseQuery} WHERE ${fieldCondition}$1`;
+          whereCondition = `${fieldCondition}$1`;
           break;
         case 'position_box':
           ({ condition: fieldCondition, parameter } = getSearchCondition('s.position_box', term, false));
-          query = `${baseQuery} WHERE ${fieldCondition}$1`;
+          whereCondition = `${fieldCondition}$1`;
           break;
         case 'patient':
-          // Multiple patient fields - keep substring matching for names
-          query = `${baseQuery} WHERE p.external_id ILIKE $1 OR p.first_name ILIKE $1 OR p.last_name ILIKE $1`;
+          // Substring match on external ID; encrypted names only match whole, via their blind index
+          whereCondition = `p.external_id ILIKE $1`;
           parameter = `%${term}%`;
+          if (canViewPhi(req.user)) {
+            whereCondition += ` OR p.first_name_index = $2 OR p.last_name_index = $2`;
+            params = [parameter, blindIndex(term)];
+          }
           break;
         case 'collaborator':
           // Multiple collaborator fields - keep substring matching
-          query = `${baseQuery} WHERE c.pi_name ILIKE $1 OR c.pi_institute ILIKE $1`;
+          whereCondition = `c.pi_name ILIKE $1 OR c.pi_institute ILIKE $1`;
           parameter = `%${term}%`;
           break;
         case 'project':
           // Project number is an ID field - use exact matching
           ({ condition: fieldCondition, parameter } = getSearchCondition('proj.project_number', term, true));
-          query = `${baseQuery} WHERE ${fieldCondition}$1`;
+          whereCondition = `${fieldCondition}$1`;
           break;
         case 'disease':
           ({ condition: fieldCondition, parameter } = getSearchCondition('proj.disease', term, false));
-          query = `${baseQuery} WHERE ${fieldCondition}$1`;
+          whereCondition = `${fieldCondition}$1`;
           break;
         case 'specimen_type':
           ({ condition: fieldCondition, parameter } = getSearchCondition('proj.specimen_type', term, false));
-          query = `${baseQuery} WHERE ${fieldCondition}$1`;
+          whereCondition = `${fieldCondition}$1`;
           break;
         // Note: sequencing_run_id and analysis_status columns don't exist in current schema
         case 'specimen_number':
           // Specimen number is an ID field - use exact matching
           ({ condition: fieldCondition, parameter } = getSearchCondition('s.specimen_number', term, true));
-          query = `${baseQuery} WHERE ${fieldCondition}$1`;
+          whereCondition = `${fieldCondition}$1`;
           break;
         default:
           // Default case - search across multiple fields with smart matching
@@ -353,7 +383,7 @@ router.get('/search', auth, async (req, res) => {
           ];
           
           const searchResult = buildSearchClause(fieldConfigs, term, 1);
-          query = `${baseQuery} WHERE ${searchResult.whereClause}`;
+          whereCondition = searchResult.whereClause;
           params = searchResult.parameters;
           break;
       }
@@ -376,8 +406,7 @@ router.get('/search', auth, async (req, res) => {
         { field: 's.specimen_number', isId: true },
         // Patient fields
         { field: 'p.external_id', isId: false },
-        { field: 'p.first_name', isId: false },
-        { field: 'p.last_name', isId: false },
+        ...phiSearchFields(req.user, 'p.'),
         // Collaborator fields
         { field: 'c.pi_name', isId: false },
         { field: 'c.pi_institute', isId: false },
@@ -389,14 +418,17 @@ router.get('/search', auth, async (req, res) => {
       ];
       
       const searchResult = buildSearchClause(fieldConfigs, term, 1);
-      query = `${baseQuery} WHERE ${searchResult.whereClause}`;
+      whereCondition = searchResult.whereClause;
       params = searchResult.parameters;
     }
     
-    // Finalize the query with ordering
-    query += ` ORDER BY s.specimen_number ASC`;
+    // Finalize the query with the user's project scope and ordering
+    const scope = projectScope(req.user, 's.project_id', params.length + 1);
+    const query = `${baseQuery} WHERE (${whereCondition}) AND ${scope.condition} ORDER BY s.specimen_number ASC`;
+    params = [...params, ...scope.params];
     
     const result = await db.query(query, params);
+    await presentPhi(db, result.rows, req.user, { context: 'specimen_search' });
     res.json(result.rows);
   } catch (err) {
     const errorResponse = handleDatabaseError(err, 'search specimens', 'specimen', null, { term, field });
@@ -430,7 +462,6 @@ router.post('/bulk-search', auth, async (req, res) => {
     const baseQuery = `
       SELECT s.*, 
         p.external_id as patient_external_id,
-        CONCAT(p.first_name, ' ', p.last_name) as patient_name,
         p.first_name as patient_first_name,
         p.last_name as patient_last_name,
         proj.disease, proj.specimen_type, proj.project_number,
@@ -441,7 +472,7 @@ router.post('/bulk-search', auth, async (req, res) => {
       JOIN collaborators c ON proj.collaborator_id = c.id
     `;
     
-    let query, params;
+    let whereCondition, params;
     
     // Determine search strategy based on searchField parameter
     switch (searchField) {
@@ -451,20 +482,20 @@ router.post('/bulk-search', auth, async (req, res) => {
         const stringIds = cleanIdentifiers.filter(id => !/^\d+$/.test(id));
         
         if (numericIds.length > 0 && stringIds.length > 0) {
-          query = `${baseQuery} WHERE s.specimen_number = ANY($1::int[]) OR s.specimen_number::text = ANY($2::text[])`;
+          whereCondition = `s.specimen_number = ANY($1::int[]) OR s.specimen_number::text = ANY($2::text[])`;
           params = [numericIds, stringIds];
         } else if (numericIds.length > 0) {
-          query = `${baseQuery} WHERE s.specimen_number = ANY($1::int[])`;
+          whereCondition = `s.specimen_number = ANY($1::int[])`;
           params = [numericIds];
         } else {
-          query = `${baseQuery} WHERE s.specimen_number::text = ANY($1::text[])`;
+          whereCondition = `s.specimen_number::text = ANY($1::text[])`;
           params = [stringIds];
         }
         break;
         
       case 'tube_id':
         // Search only by tube ID
-        query = `${baseQuery} WHERE s.tube_id = ANY($1::text[])`;
+        whereCondition = `s.tube_id = ANY($1::text[])`;
         params = [cleanIdentifiers];
         break;
         
@@ -477,26 +508,29 @@ router.post('/bulk-search', auth, async (req, res) => {
         
         if (numericIdentifiers.length > 0 && nonNumericIdentifiers.length > 0) {
           // Mixed identifiers: search specimen numbers for numeric, tube_id for non-numeric
-          query = `${baseQuery} WHERE 
+          whereCondition = `
             s.specimen_number = ANY($1::int[]) OR
             s.tube_id = ANY($2::text[])`;
           params = [numericIdentifiers, nonNumericIdentifiers];
         } else if (numericIdentifiers.length > 0) {
           // Only numeric identifiers: search only specimen numbers
-          query = `${baseQuery} WHERE s.specimen_number = ANY($1::int[])`;
+          whereCondition = `s.specimen_number = ANY($1::int[])`;
           params = [numericIdentifiers];
         } else {
           // Only non-numeric identifiers: search only tube_id (most likely for alphanumeric codes)
-          query = `${baseQuery} WHERE s.tube_id = ANY($1::text[])`;
+          whereCondition = `s.tube_id = ANY($1::text[])`;
           params = [nonNumericIdentifiers];
         }
         break;
     }
     
-    // Add ordering
-    query += ` ORDER BY s.specimen_number ASC`;
+    // Add the user's project scope and ordering
+    const scope = projectScope(req.user, 's.project_id', params.length + 1);
+    const query = `${baseQuery} WHERE (${whereCondition}) AND ${scope.condition} ORDER BY s.specimen_number ASC`;
+    params = [...params, ...scope.params];
     
     const result = await db.query(query, params);
+    await presentPhi(db, result.rows, req.user, { context: 'specimen_bulk_search' });
     
     // Analyze results to provide helpful feedback
     const foundSpecimens = result.rows;
@@ -545,20 +579,27 @@ router.post('/bulk-search', auth, async (req, res) => {
 // @route   GET api/specimens/:id
 // @desc    Get specimen by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, specimenAccess(), async (req, res) => {
   try {
     const result = await db.query(
       `SELECT s.*, 
         p.external_id as patient_external_id,
         p.first_name as patient_first_name,
         p.last_name as patient_last_name,
+        v.visit_label, v.visit_date, v.days_from_baseline,
         proj.disease, proj.specimen_type,
         c.pi_name, c.pi_institute,
-        proj.project_number, c.collaborator_number
+        proj.project_number, c.collaborator_number,
+        COALESCE(cs.thaw_count, 0) as thaw_count,
+        cs.checked_out_to, cs.checked_out_at,
+        holder.username as checked_out_to_username
        FROM specimens s
        LEFT JOIN patients p ON s.patient_id = p.id
+       LEFT JOIN patient_visits v ON s.visit_id = v.id
        JOIN projects proj ON s.project_id = proj.id
        JOIN collaborators c ON proj.collaborator_id = c.id
+       LEFT JOIN specimen_custody_status cs ON cs.specimen_id = s.id
+       LEFT JOIN users holder ON cs.checked_out_to = holder.id
        WHERE s.id = $1`,
       [req.params.id]
     );
@@ -567,7 +608,10 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ msg: 'Specimen not found' });
     }
 
-    res.json(result.rows[0]);
+    await presentPhi(db, result.rows, req.user, { context: 'specimen_detail' });
+    const specimen = result.rows[0];
+    specimen.thaw_limit = await custodyService.getThawLimit();
+    res.json(specimen);
   } catch (err) {
     const errorResponse = handleDatabaseError(err, 'fetch specimen by ID', 'specimen', req.params.id);
     res.status(500).json(errorResponse);
@@ -581,7 +625,7 @@ router.post(
   '/',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('specimen:edit'),
     [
       check('project_id', 'Project ID is required').not().isEmpty()
     ]
@@ -617,6 +661,7 @@ router.post(
       run_number,
       comments,
       specimen_number,
+      visit_id,
       metadata = {}
     } = req.body;
 
@@ -635,6 +680,7 @@ router.post(
         await client.query('ROLLBACK');
         return res.status(400).json({ msg: 'Project not found' });
       }
+      await assertProjectAccess(client, req.user, project_id, 'editor');
 
       // If patient_id is provided, verify patient exists
       if (patient_id) {
@@ -649,35 +695,31 @@ router.post(
         }
       }
 
+      const visitId = await resolveSpecimenVisit(client, visit_id, patient_id);
+
+      // Position must name existing storage and a free well
+      const position = await resolveSpecimenPosition(client, {
+        position_freezer, position_rack, position_box, position_dimension_one, position_dimension_two
+      });
+
       const result = await client.query(
         `INSERT INTO specimens
         (project_id, patient_id, tube_id, extracted, initial_quantity,
          position_freezer, position_rack, position_box, position_dimension_one, position_dimension_two,
          activity_status, date_collected, collection_category, extraction_method,
          nucleated_cells, cell_numbers, percentage_segs, csf_protein, csf_gluc,
-         used_up, specimen_site, run_number, comments, specimen_number, metadata)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25)
+         used_up, specimen_site, run_number, comments, specimen_number, metadata,
+         storage_box_id, storage_row, storage_column, visit_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29)
         RETURNING *`,
         [
           project_id, patient_id, tube_id, extracted, initial_quantity,
-          position_freezer, position_rack, position_box, position_dimension_one, position_dimension_two,
+          position.position_freezer, position.position_rack, position.position_box,
+          position.position_dimension_one, position.position_dimension_two,
           activity_status, date_collected, collection_category, extraction_method,
           nucleated_cells, cell_numbers, percentage_segs, csf_protein, csf_gluc,
-          used_up, specimen_site, run_number, comments, specimen_number, JSON.stringify(metadata)
-        ]
-      );
-
-      // Log the action in audit trail
-      await client.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4::uuid, $5)`,
-        [
-          req.user.id,
-          'CREATE',
-          'specimens',
-          result.rows[0].id,
-          JSON.stringify(req.body)
+          used_up, specimen_site, run_number, comments, specimen_number, JSON.stringify(metadata),
+          position.storage_box_id, position.storage_row, position.storage_column, visitId
         ]
       );
 
@@ -687,21 +729,30 @@ router.post(
           p.external_id as patient_external_id,
           p.first_name as patient_first_name,
           p.last_name as patient_last_name,
+          v.visit_label, v.visit_date, v.days_from_baseline,
           proj.disease, proj.specimen_type,
           c.pi_name, c.pi_institute,
           proj.project_number, c.collaborator_number
          FROM specimens s
          LEFT JOIN patients p ON s.patient_id = p.id
+         LEFT JOIN patient_visits v ON s.visit_id = v.id
          JOIN projects proj ON s.project_id = proj.id
          JOIN collaborators c ON proj.collaborator_id = c.id
          WHERE s.id = $1`,
         [result.rows[0].id]
       );
+      await presentPhi(client, specimenWithDetails.rows, req.user, { context: 'specimen_create' });
       
       await client.query('COMMIT');
       res.json(specimenWithDetails.rows[0]);
     } catch (err) {
       await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      if (isWellConflictError(err)) {
+        return res.status(409).json({ msg: 'That storage well is already occupied' });
+      }
       const errorResponse = handleDatabaseError(err, 'create specimen', 'specimen', null, {
         userId: req.user?.id,
         projectId: project_id,
@@ -721,7 +772,7 @@ router.put(
   '/:id',
   [
     auth, 
-    roleCheck(['admin', 'lab_manager', 'lab_technician']),
+    requirePermission('specimen:edit'),
     [
       check('project_id', 'Project ID is required').not().isEmpty()
     ]
@@ -756,7 +807,8 @@ router.put(
       specimen_site,
       run_number,
       comments,
-      specimen_number
+      specimen_number,
+      visit_id
     } = req.body;
 
     const client = await db.getClient();
@@ -785,6 +837,8 @@ router.put(
       if (projectCheck.rows.length === 0) {
         return res.status(400).json({ msg: 'Project not found' });
       }
+      // Moving a specimen needs editor access on both projects
+      await assertProjectAccess(client, req.user, [oldData.project_id, project_id], 'editor');
 
       // If patient_id is provided, verify patient exists
       if (patient_id) {
@@ -798,6 +852,14 @@ router.put(
         }
       }
 
+      // Leaving visit_id out keeps the stored link; only an explicit null clears it
+      const visitId = await resolveSpecimenVisit(client, visit_id === undefined ? oldData.visit_id : visit_id, patient_id);
+
+      // The specimen's own well doesn't count as occupied
+      const position = await resolveSpecimenPosition(client, {
+        position_freezer, position_rack, position_box, position_dimension_one, position_dimension_two
+      }, { specimenId: req.params.id });
+
       // Update the specimen
       const result = await client.query(
         `UPDATE specimens
@@ -807,37 +869,35 @@ router.put(
             activity_status = $11, date_collected = $12, collection_category = $13,
             extraction_method = $14, nucleated_cells = $15, cell_numbers = $16,
             percentage_segs = $17, csf_protein = $18, csf_gluc = $19,
-            used_up = $20, specimen_site = $21, run_number = $22, comments = $23
-        WHERE id = $24
+            used_up = $20, specimen_site = $21, run_number = $22, comments = $23,
+            storage_box_id = $24, storage_row = $25, storage_column = $26, visit_id = $27
+        WHERE id = $28
         RETURNING *`,
         [
           project_id, patient_id, tube_id, extracted, initial_quantity,
-          position_freezer, position_rack, position_box,
-          position_dimension_one, position_dimension_two,
+          position.position_freezer, position.position_rack, position.position_box,
+          position.position_dimension_one, position.position_dimension_two,
           activity_status, date_collected, collection_category,
           extraction_method, nucleated_cells, cell_numbers,
           percentage_segs, csf_protein, csf_gluc,
           used_up, specimen_site, run_number, comments,
+          position.storage_box_id, position.storage_row, position.storage_column, visitId,
           req.params.id
         ]
       );
 
-      // Log the action in audit trail
-      await client.query(
-        `INSERT INTO audit_log 
-        (user_id, action, table_name, record_id, changed_fields) 
-        VALUES ($1, $2, $3, $4::uuid, $5)`,
-        [
-          req.user.id,
-          'UPDATE',
-          'specimens',
-          req.params.id,
-          JSON.stringify({
-            old: oldData,
-            new: result.rows[0]
-          })
-        ]
-      );
+      // Moving to another freezer is a custody event
+      const oldFreezer = (oldData.position_freezer || '').toLowerCase();
+      const newFreezer = (position.position_freezer || '').toLowerCase();
+      if (oldFreezer !== newFreezer) {
+        await custodyService.recordCustodyEvent(client, {
+          specimenId: req.params.id,
+          eventType: 'transfer',
+          fromLocation: custodyService.formatLocation(oldData),
+          toLocation: custodyService.formatLocation(result.rows[0]),
+          userId: req.user.id
+        });
+      }
 
       // Return with additional related information
       const specimenWithDetails = await client.query(
@@ -845,21 +905,30 @@ router.put(
           p.external_id as patient_external_id,
           p.first_name as patient_first_name,
           p.last_name as patient_last_name,
+          v.visit_label, v.visit_date, v.days_from_baseline,
           proj.disease, proj.specimen_type,
           c.pi_name, c.pi_institute,
           proj.project_number, c.collaborator_number
          FROM specimens s
          LEFT JOIN patients p ON s.patient_id = p.id
+         LEFT JOIN patient_visits v ON s.visit_id = v.id
          JOIN projects proj ON s.project_id = proj.id
          JOIN collaborators c ON proj.collaborator_id = c.id
          WHERE s.id = $1`,
         [req.params.id]
       );
+      await presentPhi(client, specimenWithDetails.rows, req.user, { context: 'specimen_update' });
       
       await client.query('COMMIT');
       res.json(specimenWithDetails.rows[0]);
     } catch (err) {
       await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      if (isWellConflictError(err)) {
+        return res.status(409).json({ msg: 'That storage well is already occupied' });
+      }
       const errorResponse = handleDatabaseError(err, 'update specimen', 'specimen', req.params.id, {
         userId: req.user?.id
       });
@@ -873,7 +942,7 @@ router.put(
 // @route   DELETE api/specimens/:id
 // @desc    Delete a specimen
 // @access  Private (admin/editor only)
-router.delete('/:id', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('specimen:delete'), specimenAccess('editor')], async (req, res) => {
   const client = await db.getClient();
   
   try {
@@ -889,24 +958,8 @@ router.delete('/:id', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'
       return res.status(404).json({ msg: 'Specimen not found' });
     }
 
-    const oldData = checkResult.rows[0];
-
     // Delete the specimen
     await client.query('DELETE FROM specimens WHERE id = $1', [req.params.id]);
-
-    // Log the action in audit trail
-    await client.query(
-      `INSERT INTO audit_log 
-      (user_id, action, table_name, record_id, changed_fields) 
-      VALUES ($1, $2, $3, $4::uuid, $5)`,
-      [
-        req.user.id,
-        'DELETE',
-        'specimens',
-        req.params.id,
-        JSON.stringify(oldData)
-      ]
-    );
     
     await client.query('COMMIT');
     res.json({ msg: 'Specimen removed' });
@@ -1038,7 +1091,7 @@ function mapSpecimenData(specimen) {
 // @route   POST api/specimens/bulk-import
 // @desc    Bulk import specimens
 // @access  Private (admin/editor only)
-router.post('/bulk-import', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician'])], async (req, res) => {
+router.post('/bulk-import', [auth, requirePermission('import:run')], async (req, res) => {
   try {
     const { specimens, project_id } = req.body;
     
@@ -1059,6 +1112,7 @@ router.post('/bulk-import', [auth, roleCheck(['admin', 'lab_manager', 'lab_techn
     if (projectCheck.rows.length === 0) {
       return res.status(400).json({ msg: 'Project not found' });
     }
+    await assertProjectAccess(db, req.user, project_id, 'editor');
     
     // Get a client for transaction
     const client = await db.getClient();
@@ -1095,42 +1149,37 @@ router.post('/bulk-import', [auth, roleCheck(['admin', 'lab_manager', 'lab_techn
             patient_id = patientCheck.rows[0].id;
           } else if (specimen.patient_first_name || specimen.patient_last_name) {
             // Create new patient
+            const phi = encryptPatientFields({
+              first_name: specimen.patient_first_name,
+              last_name: specimen.patient_last_name
+            });
             const newPatient = await client.query(
               `INSERT INTO patients 
-              (external_id, first_name, last_name, diagnosis) 
-              VALUES ($1, $2, $3, $4) 
+              (external_id, first_name, last_name, first_name_index, last_name_index, diagnosis) 
+              VALUES ($1, $2, $3, $4, $5, $6) 
               RETURNING id`,
               [
                 specimen.patient_external_id,
-                specimen.patient_first_name || '',
-                specimen.patient_last_name || '',
+                phi.first_name,
+                phi.last_name,
+                phi.first_name_index,
+                phi.last_name_index,
                 specimen.diagnosis || ''
               ]
             );
             
             patient_id = newPatient.rows[0].id;
-            
-            // Log patient creation
-            await client.query(
-              `INSERT INTO audit_log 
-              (user_id, action, table_name, record_id, changed_fields) 
-              VALUES ($1, $2, $3, $4::uuid, $5)`,
-              [
-                req.user.id,
-                'CREATE',
-                'patients',
-                patient_id,
-                JSON.stringify({
-                  external_id: specimen.patient_external_id,
-                  first_name: specimen.patient_first_name,
-                  last_name: specimen.patient_last_name,
-                  diagnosis: specimen.diagnosis
-                })
-              ]
-            );
           }
         }
         
+        let position;
+        try {
+          position = await resolveSpecimenPosition(client, specimen);
+        } catch (positionError) {
+          positionError.message = `Specimen ${specimen.tube_id}: ${positionError.message}`;
+          throw positionError;
+        }
+
         // Create the specimen
         const result = await client.query(
           `INSERT INTO specimens 
@@ -1138,8 +1187,9 @@ router.post('/bulk-import', [auth, roleCheck(['admin', 'lab_manager', 'lab_techn
            position_freezer, position_rack, position_box, position_dimension_one, position_dimension_two,
            activity_status, date_collected, collection_category, extraction_method,
            nucleated_cells, cell_numbers, percentage_segs, csf_protein, csf_gluc,
-           used_up, specimen_site, run_number, comments) 
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23) 
+           used_up, specimen_site, run_number, comments,
+           storage_box_id, storage_row, storage_column) 
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26) 
           RETURNING *`,
           [
             project_id, 
@@ -1147,11 +1197,11 @@ router.post('/bulk-import', [auth, roleCheck(['admin', 'lab_manager', 'lab_techn
             specimen.tube_id || null,
             specimen.extracted || false,
             specimen.initial_quantity || null,
-            specimen.position_freezer || null,
-            specimen.position_rack || null,
-            specimen.position_box || null,
-            specimen.position_dimension_one || null,
-            specimen.position_dimension_two || null,
+            position.position_freezer,
+            position.position_rack,
+            position.position_box,
+            position.position_dimension_one,
+            position.position_dimension_two,
             specimen.activity_status || 'Active',
             specimen.date_collected || null,
             specimen.collection_category || null,
@@ -1164,21 +1214,10 @@ router.post('/bulk-import', [auth, roleCheck(['admin', 'lab_manager', 'lab_techn
             specimen.used_up || false,
             specimen.specimen_site || null,
             specimen.run_number || null,
-            specimen.comments || null
-          ]
-        );
-        
-        // Log specimen creation
-        await client.query(
-          `INSERT INTO audit_log 
-          (user_id, action, table_name, record_id, changed_fields) 
-          VALUES ($1, $2, $3, $4::uuid, $5)`,
-          [
-            req.user.id,
-            'CREATE',
-            'specimens',
-            result.rows[0].id,
-            JSON.stringify(specimen)
+            specimen.comments || null,
+            position.storage_box_id,
+            position.storage_row,
+            position.storage_column
           ]
         );
         
@@ -1196,12 +1235,18 @@ router.post('/bulk-import', [auth, roleCheck(['admin', 'lab_manager', 'lab_techn
     } catch (err) {
       // Rollback in case of error
       await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: `Import failed: ${err.message}` });
+      }
       throw err;
     } finally {
       // Release client
       client.release();
     }
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     const errorResponse = handleDatabaseError(err, 'bulk import specimens', 'specimen', null, { 
       specimenCount: specimens?.length,
       projectId: project_id 
@@ -1217,7 +1262,7 @@ router.use('/import', specimenImportRoutes);
 // @route   GET api/specimens/metadata-fields/:project_id
 // @desc    Get all metadata field names used in a project
 // @access  Private
-router.get('/metadata-fields/:project_id', auth, async (req, res) => {
+router.get('/metadata-fields/:project_id', auth, projectAccess('viewer', 'project_id'), async (req, res) => {
   try {
     const { project_id } = req.params;
     
@@ -1248,7 +1293,7 @@ router.get('/metadata-fields/:project_id', auth, async (req, res) => {
 // @route   GET api/specimens/metadata-analytics/:project_id
 // @desc    Get comprehensive metadata analytics for a project
 // @access  Private
-router.get('/metadata-analytics/:project_id', auth, async (req, res) => {
+router.get('/metadata-analytics/:project_id', auth, projectAccess('viewer', 'project_id'), async (req, res) => {
   try {
     const { project_id } = req.params;
     
@@ -1288,7 +1333,7 @@ router.get('/metadata-analytics/:project_id', auth, async (req, res) => {
 // @route   PUT api/specimens/:id/metadata
 // @desc    Update specimen metadata
 // @access  Private
-router.put('/:id/metadata', auth, roleCheck(['admin', 'lab_manager', 'lab_technician']), async (req, res) => {
+router.put('/:id/metadata', auth, requirePermission('specimen:edit'), specimenAccess('editor'), async (req, res) => {
   try {
     const { id } = req.params;
     const { metadata } = req.body;
@@ -1326,9 +1371,9 @@ router.put('/:id/metadata', auth, roleCheck(['admin', 'lab_manager', 'lab_techni
 });
 
 // @route   GET api/specimens/:id/experiments
-// @desc    Get all experiments (with protocol details) for a specific specimen
+// @desc    Get all experiments (with protocol details and the plate wells it ran in) for a specific specimen
 // @access  Private
-router.get('/:id/experiments', auth, async (req, res) => {
+router.get('/:id/experiments', auth, specimenAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -1353,17 +1398,30 @@ router.get('/:id/experiments', auth, async (req, res) => {
         e.updated_at,
         p.name as protocol_name,
         p.description as protocol_description,
-        p.version as protocol_version,
+        COALESCE(pv.version_label, p.version) as protocol_version,
+        pv.version_number as protocol_version_number,
         u.username as performed_by,
-        CONCAT(u.first_name, ' ', u.last_name) as performed_by_name
+        CONCAT(u.first_name, ' ', u.last_name) as performed_by_name,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'plate_id', pl.id,
+            'plate_name', pl.name,
+            'plate_format', pl.plate_format,
+            'well', CHR(64 + w.well_row) || w.well_column
+          ) ORDER BY pl.name, w.well_column, w.well_row)
+          FROM experiment_plate_wells w
+          JOIN experiment_plates pl ON w.plate_id = pl.id
+          WHERE pl.experiment_id = e.id AND w.specimen_id = $2
+        ), '[]'::json) as plate_wells
       FROM experiments e
       JOIN protocols p ON e.protocol_id = p.id
+      LEFT JOIN protocol_versions pv ON e.protocol_version_id = pv.id
       LEFT JOIN users u ON e.user_id = u.id
       WHERE e.sample_ids @> $1::jsonb
       ORDER BY e.date_performed DESC NULLS LAST, e.created_at DESC
     `;
     
-    const result = await db.query(query, [JSON.stringify([id])]);
+    const result = await db.query(query, [JSON.stringify([id]), id]);
     
     res.json({
       specimen: {
@@ -1381,4 +1439,521 @@ router.get('/:id/experiments', auth, async (req, res) => {
   }
 });
 
+/**
+ * Split a quantity into `count` parts to the cent, giving any remainder to the first parts
+ */
+function splitQuantity(total, count) {
+  const totalCents = Math.round(parseFloat(total) * 100);
+  const base = Math.floor(totalCents / count);
+  const remainder = totalCents - base * count;
+  return Array.from({ length: count }, (_, i) => (base + (i < remainder ? 1 : 0)) / 100);
+}
+
+// @route   POST api/specimens/:id/aliquot
+// @desc    Split a specimen into N aliquots or derivatives with new WUIDs
+// @access  Private (admin/lab_manager/lab_technician)
+router.post(
+  '/:id/aliquot',
+  [
+    auth,
+    requirePermission('specimen:edit'),
+    specimenAccess('editor'),
+    [
+      check('count', 'Count must be between 1 and 96').isInt({ min: 1, max: 96 }).toInt(),
+      check('derivation_type', 'Derivation type must be aliquot, extract or library')
+        .optional()
+        .isIn(['aliquot', 'extract', 'library']),
+      check('quantity_per_child', 'Quantity per child must be a positive number')
+        .optional({ nullable: true, checkFalsy: true })
+        .isFloat({ gt: 0 })
+        .toFloat()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { count, derivation_type = 'aliquot', quantity_per_child } = req.body;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const parentResult = await client.query(
+        'SELECT * FROM specimens WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+      if (parentResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ msg: 'Specimen not found' });
+      }
+      const parent = parentResult.rows[0];
+
+      if (parent.used_up) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ msg: 'Specimen is marked as used up' });
+      }
+
+      const available = parent.remaining_quantity !== null ? parseFloat(parent.remaining_quantity) : null;
+      let quantities = Array(count).fill(null);
+
+      if (quantity_per_child) {
+        const requested = Math.round(quantity_per_child * count * 100) / 100;
+        if (available === null || requested > available) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            msg: `Not enough material: ${count} x ${quantity_per_child} requested, ${available ?? 0} available`
+          });
+        }
+        quantities = Array(count).fill(quantity_per_child);
+      } else if (available !== null) {
+        quantities = splitQuantity(available, count);
+      }
+
+      // Continue numbering after any earlier children of this parent
+      const siblingCount = await client.query(
+        'SELECT COUNT(*) FROM specimen_lineage WHERE parent_specimen_id = $1',
+        [parent.id]
+      );
+      const firstIndex = parseInt(siblingCount.rows[0].count, 10) + 1;
+      const tubePrefix = parent.tube_id || String(parent.specimen_number);
+      const username = req.user?.username || req.user?.email;
+
+      const children = [];
+      for (let i = 0; i < count; i++) {
+        const { id: specimenNumber } = await idGenerationService.getNextId('specimen', username, client);
+
+        const childResult = await client.query(
+          `INSERT INTO specimens
+          (specimen_number, project_id, patient_id, tube_id, extracted, initial_quantity,
+           activity_status, date_collected, collection_category, extraction_method,
+           specimen_site, metadata, visit_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          RETURNING *`,
+          [
+            specimenNumber,
+            parent.project_id,
+            parent.patient_id,
+            `${tubePrefix}-${firstIndex + i}`,
+            derivation_type === 'extract' ? true : parent.extracted,
+            quantities[i],
+            parent.activity_status,
+            parent.date_collected,
+            parent.collection_category,
+            parent.extraction_method,
+            parent.specimen_site,
+            JSON.stringify(parent.metadata || {}),
+            parent.visit_id
+          ]
+        );
+        const child = childResult.rows[0];
+
+        await client.query(
+          `INSERT INTO specimen_lineage
+          (parent_specimen_id, child_specimen_id, derivation_type, quantity_used, created_by)
+          VALUES ($1, $2, $3, $4, $5)`,
+          [parent.id, child.id, derivation_type, quantities[i], req.user.id]
+        );
+
+        if (quantities[i]) {
+          await recordSpecimenTransaction(client, {
+            specimenId: parent.id,
+            transactionType: 'aliquot',
+            quantity: quantities[i],
+            reason: `${derivation_type} ${child.tube_id}`,
+            userId: req.user.id,
+            relatedSpecimenId: child.id
+          });
+        }
+
+        children.push(child);
+      }
+
+      const updatedParent = (await client.query('SELECT * FROM specimens WHERE id = $1', [parent.id])).rows[0];
+
+      await client.query('COMMIT');
+
+      logger.info('Specimen split into derivatives', {
+        parentId: parent.id,
+        count,
+        derivationType: derivation_type,
+        userId: req.user.id
+      });
+
+      res.status(201).json({ parent: updatedParent, children });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      const errorResponse = handleDatabaseError(err, 'create aliquots', 'specimen', req.params.id, {
+        userId: req.user?.id,
+        count
+      });
+      res.status(500).json(errorResponse);
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   GET api/specimens/:id/lineage
+// @desc    Get a specimen's ancestors and all of its descendants
+// @access  Private
+router.get('/:id/lineage', auth, specimenAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const specimenCheck = await db.query(
+      'SELECT id, specimen_number, tube_id, initial_quantity, remaining_quantity, used_up FROM specimens WHERE id = $1',
+      [id]
+    );
+    if (specimenCheck.rows.length === 0) {
+      return res.status(404).json({ msg: 'Specimen not found' });
+    }
+
+    // The path arrays stop the walk if bad data ever introduces a cycle
+    const ancestorsQuery = `
+      WITH RECURSIVE ancestors AS (
+        SELECT l.parent_specimen_id AS id, l.child_specimen_id, l.derivation_type, 1 AS depth,
+               ARRAY[l.child_specimen_id, l.parent_specimen_id] AS path
+        FROM specimen_lineage l
+        WHERE l.child_specimen_id = $1
+        UNION ALL
+        SELECT l.parent_specimen_id, l.child_specimen_id, l.derivation_type, a.depth + 1,
+               a.path || l.parent_specimen_id
+        FROM specimen_lineage l
+        JOIN ancestors a ON l.child_specimen_id = a.id
+        WHERE NOT l.parent_specimen_id = ANY(a.path)
+      )
+      SELECT a.id, a.child_specimen_id, a.derivation_type, a.depth,
+             s.specimen_number, s.tube_id, s.initial_quantity, s.remaining_quantity, s.used_up
+      FROM ancestors a
+      JOIN specimens s ON s.id = a.id
+      ORDER BY a.depth DESC, s.specimen_number
+    `;
+
+    const descendantsQuery = `
+      WITH RECURSIVE descendants AS (
+        SELECT l.child_specimen_id AS id, l.parent_specimen_id, l.derivation_type, 1 AS depth,
+               ARRAY[l.parent_specimen_id, l.child_specimen_id] AS path
+        FROM specimen_lineage l
+        WHERE l.parent_specimen_id = $1
+        UNION ALL
+        SELECT l.child_specimen_id, l.parent_specimen_id, l.derivation_type, d.depth + 1,
+               d.path || l.child_specimen_id
+        FROM specimen_lineage l
+        JOIN descendants d ON l.parent_specimen_id = d.id
+        WHERE NOT l.child_specimen_id = ANY(d.path)
+      )
+      SELECT d.id, d.parent_specimen_id, d.derivation_type, d.depth,
+             s.specimen_number, s.tube_id, s.initial_quantity, s.remaining_quantity, s.used_up
+      FROM descendants d
+      JOIN specimens s ON s.id = d.id
+      ORDER BY d.depth, s.specimen_number
+    `;
+
+    const [ancestors, descendants] = await Promise.all([
+      db.query(ancestorsQuery, [id]),
+      db.query(descendantsQuery, [id])
+    ]);
+
+    res.json({
+      specimen: specimenCheck.rows[0],
+      ancestors: ancestors.rows,
+      descendants: descendants.rows
+    });
+  } catch (err) {
+    const errorResponse = handleDatabaseError(err, 'fetch specimen lineage', 'specimen', req.params.id);
+    res.status(500).json(errorResponse);
+  }
+});
+
+// @route   GET api/specimens/:id/transactions
+// @desc    Get the quantity ledger for a specimen
+// @access  Private
+router.get('/:id/transactions', auth, specimenAccess(), async (req, res) => {
+  try {
+    const specimenCheck = await db.query(
+      'SELECT id, specimen_number, initial_quantity, remaining_quantity, used_up FROM specimens WHERE id = $1',
+      [req.params.id]
+    );
+    if (specimenCheck.rows.length === 0) {
+      return res.status(404).json({ msg: 'Specimen not found' });
+    }
+
+    const result = await db.query(
+      `SELECT t.*, u.username AS performed_by_username,
+              e.experiment_id AS experiment_number,
+              r.specimen_number AS related_specimen_number, r.tube_id AS related_tube_id
+       FROM specimen_transactions t
+       LEFT JOIN users u ON t.performed_by = u.id
+       LEFT JOIN experiments e ON t.experiment_id = e.id
+       LEFT JOIN specimens r ON t.related_specimen_id = r.id
+       WHERE t.specimen_id = $1
+       ORDER BY t.transaction_date DESC`,
+      [req.params.id]
+    );
+
+    res.json({
+      specimen: specimenCheck.rows[0],
+      transactions: result.rows
+    });
+  } catch (err) {
+    const errorResponse = handleDatabaseError(err, 'fetch specimen transactions', 'specimen', req.params.id);
+    res.status(500).json(errorResponse);
+  }
+});
+
+// @route   POST api/specimens/:id/transactions
+// @desc    Record a withdrawal, return or correction against a specimen
+// @access  Private (admin/lab_manager/lab_technician)
+router.post(
+  '/:id/transactions',
+  [
+    auth,
+    requirePermission('specimen:edit'),
+    specimenAccess('editor'),
+    [
+      check('transaction_type', 'Transaction type must be withdrawal, return or correction')
+        .isIn(TRANSACTION_TYPES.filter(type => type !== 'aliquot')),
+      check('quantity', 'Quantity must be a number of zero or more').isFloat({ min: 0 }).toFloat(),
+      check('reason', 'Reason is required').trim().not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { transaction_type, quantity, reason } = req.body;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const { transaction, specimen } = await recordSpecimenTransaction(client, {
+        specimenId: req.params.id,
+        transactionType: transaction_type,
+        quantity,
+        reason,
+        userId: req.user.id
+      });
+
+      await client.query(
+        `INSERT INTO audit_log 
+        (user_id, action, table_name, record_id, changed_fields) 
+        VALUES ($1, $2, $3, $4::uuid, $5)`,
+        [
+          req.user.id,
+          'SPECIMEN_TRANSACTION',
+          'specimens',
+          specimen.id,
+          JSON.stringify({
+            transaction_type,
+            quantity_change: transaction.quantity_change,
+            remaining_quantity: transaction.quantity_after,
+            reason
+          })
+        ]
+      );
+
+      await client.query('COMMIT');
+
+      res.status(201).json({ transaction, specimen });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.status) {
+        return res.status(err.status).json({ msg: err.message });
+      }
+      const errorResponse = handleDatabaseError(err, 'record transaction', 'specimen', req.params.id, {
+        userId: req.user?.id,
+        transactionType: transaction_type
+      });
+      res.status(500).json(errorResponse);
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// @route   GET api/specimens/:id/custody
+// @desc    Get a specimen's chain of custody, thaw count and current holder
+// @access  Private
+router.get('/:id/custody', auth, specimenAccess(), async (req, res) => {
+  try {
+    const specimenCheck = await db.query('SELECT id FROM specimens WHERE id = $1', [req.params.id]);
+    if (specimenCheck.rows.length === 0) {
+      return res.status(404).json({ msg: 'Specimen not found' });
+    }
+
+    const [status, thawLimit, events] = await Promise.all([
+      custodyService.getCustodyStatus(db, req.params.id),
+      custodyService.getThawLimit(),
+      db.query(
+        `SELECT ce.*, 
+          custodian.username AS custodian_username,
+          performer.username AS performed_by_username
+         FROM specimen_custody_events ce
+         LEFT JOIN users custodian ON ce.custodian_id = custodian.id
+         LEFT JOIN users performer ON ce.performed_by = performer.id
+         WHERE ce.specimen_id = $1
+         ORDER BY ce.event_time DESC`,
+        [req.params.id]
+      )
+    ]);
+
+    res.json({
+      status: { ...status, thaw_limit: thawLimit, over_thaw_limit: status.thaw_count > thawLimit },
+      events: events.rows
+    });
+  } catch (err) {
+    const errorResponse = handleDatabaseError(err, 'fetch custody log', 'specimen', req.params.id);
+    res.status(500).json(errorResponse);
+  }
+});
+
+/**
+ * Shared handler for the checkout/return/thaw endpoints: runs the custody change in a
+ * transaction, audits it and answers with the updated status plus a thaw-limit warning
+ */
+const handleCustodyChange = (action, perform) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const { specimen, events } = await perform(client, req);
+    const status = await custodyService.getCustodyStatus(client, specimen.id);
+    const thawLimit = await custodyService.getThawLimit(client);
+
+    await client.query(
+      `INSERT INTO audit_log 
+      (user_id, action, table_name, record_id, changed_fields) 
+      VALUES ($1, $2, $3, $4::uuid, $5)`,
+      [
+        req.user.id,
+        action,
+        'specimens',
+        specimen.id,
+        JSON.stringify({ events: events.map(e => e.event_type), custodian_id: events[0].custodian_id, notes: req.body.notes })
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    const overThawLimit = status.thaw_count > thawLimit;
+    res.status(201).json({
+      events,
+      status: { ...status, thaw_limit: thawLimit, over_thaw_limit: overThawLimit },
+      warning: overThawLimit && events.some(e => e.event_type === 'thaw')
+        ? `Specimen ${specimen.specimen_number} has been thawed ${status.thaw_count} times (limit ${thawLimit})`
+        : null
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    const errorResponse = handleDatabaseError(err, action.toLowerCase(), 'specimen', req.params.id, {
+      userId: req.user?.id
+    });
+    res.status(500).json(errorResponse);
+  } finally {
+    client.release();
+  }
+};
+
+// @route   POST api/specimens/:id/checkout
+// @desc    Check a specimen out of storage to a user (defaults to the requester)
+// @access  Private (admin/lab_manager/lab_technician)
+router.post(
+  '/:id/checkout',
+  [
+    auth,
+    requirePermission('specimen:edit'),
+    specimenAccess('editor'),
+    [
+      check('custodian_id', 'Custodian must be a valid user ID').optional({ nullable: true, checkFalsy: true }).isUUID(),
+      check('thawed', 'Thawed must be true or false').optional().isBoolean().toBoolean(),
+      check('notes').optional({ nullable: true }).trim()
+    ]
+  ],
+  handleCustodyChange('CHECKOUT', async (client, req) => {
+    const custodianId = req.body.custodian_id || req.user.id;
+    const custodian = await client.query('SELECT id FROM users WHERE id = $1 AND active = true', [custodianId]);
+    if (custodian.rows.length === 0) {
+      const error = new Error('Custodian not found');
+      error.status = 400;
+      throw error;
+    }
+
+    return custodyService.checkoutSpecimen(client, {
+      specimenId: req.params.id,
+      custodianId,
+      thawed: req.body.thawed,
+      notes: req.body.notes || null,
+      userId: req.user.id
+    });
+  })
+);
+
+// @route   POST api/specimens/:id/return
+// @desc    Return a checked-out specimen to storage
+// @access  Private (admin/lab_manager/lab_technician)
+router.post(
+  '/:id/return',
+  [
+    auth,
+    requirePermission('specimen:edit'),
+    specimenAccess('editor'),
+    [check('notes').optional({ nullable: true }).trim()]
+  ],
+  handleCustodyChange('RETURN', (client, req) =>
+    custodyService.returnSpecimen(client, {
+      specimenId: req.params.id,
+      notes: req.body.notes || null,
+      userId: req.user.id
+    })
+  )
+);
+
+// @route   POST api/specimens/:id/thaw
+// @desc    Record a freeze-thaw cycle outside of a checkout
+// @access  Private (admin/lab_manager/lab_technician)
+router.post(
+  '/:id/thaw',
+  [
+    auth,
+    requirePermission('specimen:edit'),
+    specimenAccess('editor'),
+    [check('notes').optional({ nullable: true }).trim()]
+  ],
+  handleCustodyChange('THAW', async (client, req) => {
+    const specimen = await client.query('SELECT * FROM specimens WHERE id = $1', [req.params.id]);
+    if (specimen.rows.length === 0) {
+      const error = new Error('Specimen not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const event = await custodyService.recordCustodyEvent(client, {
+      specimenId: req.params.id,
+      eventType: 'thaw',
+      fromLocation: custodyService.formatLocation(specimen.rows[0]),
+      notes: req.body.notes || null,
+      userId: req.user.id
+    });
+    return { specimen: specimen.rows[0], events: [event] };
+  })
+);
+
 module.exports = router;
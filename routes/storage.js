@@ -0,0 +1,389 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { check, validationResult } = require('express-validator');
+const db = require('../db');
+const logger = require('../utils/logger');
+const { handleDatabaseError } = require('../utils/errorHandler');
+const storageService = require('../services/storageService');
+
+// Each level of the hierarchy: its table, the column linking it to its parent,
+// the columns clients may set, and how to find the specimens stored beneath it: in its
+// boxes (specimenScope, $1 = id) or filed at this level without a box (unboxedScope,
+// $1 = id, $2 = the level's current name)
+const STORAGE_LEVELS = {
+  freezers: {
+    table: 'storage_freezers',
+    label: 'Freezer',
+    parentColumn: null,
+    fields: ['name', 'location', 'temperature', 'description', 'is_active'],
+    positionColumn: 'position_freezer',
+    specimenScope: `storage_box_id IN (
+      SELECT b.id FROM storage_boxes b JOIN storage_racks r ON b.rack_id = r.id WHERE r.freezer_id = $1)`,
+    unboxedScope: 'LOWER(TRIM(position_freezer)) = LOWER(TRIM($2))'
+  },
+  shelves: {
+    table: 'storage_shelves',
+    label: 'Shelf',
+    parentColumn: 'freezer_id',
+    parentTable: 'storage_freezers',
+    fields: ['name', 'display_order']
+  },
+  racks: {
+    table: 'storage_racks',
+    label: 'Rack',
+    parentColumn: 'freezer_id',
+    parentTable: 'storage_freezers',
+    fields: ['name', 'shelf_id'],
+    positionColumn: 'position_rack',
+    specimenScope: 'storage_box_id IN (SELECT id FROM storage_boxes WHERE rack_id = $1)',
+    unboxedScope: `LOWER(TRIM(position_rack)) = LOWER(TRIM($2)) AND LOWER(TRIM(position_freezer)) = (
+      SELECT LOWER(TRIM(f.name)) FROM storage_racks r JOIN storage_freezers f ON r.freezer_id = f.id WHERE r.id = $1)`
+  },
+  boxes: {
+    table: 'storage_boxes',
+    label: 'Box',
+    parentColumn: 'rack_id',
+    parentTable: 'storage_racks',
+    fields: ['name', 'box_type', 'num_rows', 'num_columns'],
+    positionColumn: 'position_box',
+    specimenScope: 'storage_box_id = $1'
+  }
+};
+
+const nameValidation = (optional) => {
+  const rule = check('name', 'Name is required (1-100 chars)');
+  return (optional ? rule.optional() : rule).trim().isLength({ min: 1, max: 100 });
+};
+
+const boxSizeValidation = [
+  check('num_rows', 'Rows must be between 1 and 26').optional().isInt({ min: 1, max: 26 }).toInt(),
+  check('num_columns', 'Columns must be between 1 and 48').optional().isInt({ min: 1, max: 48 }).toInt()
+];
+
+const duplicateNameResponse = (res, level, name) =>
+  res.status(409).json({ msg: `A ${level.label.toLowerCase()} named "${name}" already exists here` });
+
+/**
+ * Racks may sit on a shelf, but only on one inside their own freezer
+ */
+const checkShelfBelongsToFreezer = async (client, shelfId, freezerId) => {
+  if (!shelfId) return true;
+  const shelf = await client.query(
+    'SELECT id FROM storage_shelves WHERE id = $1 AND freezer_id = $2',
+    [shelfId, freezerId]
+  );
+  return shelf.rows.length > 0;
+};
+
+/**
+ * SQL condition matching the specimens stored anywhere beneath a freezer, rack or box
+ * @param {string} name - the level's name as specimens still show it (before a rename)
+ */
+const storedSpecimenScope = (level, id, name) => (level.unboxedScope
+  ? {
+    condition: `(${level.specimenScope} OR (storage_box_id IS NULL AND ${level.unboxedScope}))`,
+    params: [id, name]
+  }
+  : { condition: level.specimenScope, params: [id] });
+
+const countStoredSpecimens = async (client, level, id, name) => {
+  const scope = storedSpecimenScope(level, id, name);
+  const result = await client.query(
+    `SELECT COUNT(*) FROM specimens WHERE ${scope.condition}`,
+    scope.params
+  );
+  return parseInt(result.rows[0].count, 10);
+};
+
+// @route   GET api/storage/freezers
+// @desc    List freezers with rack, box and specimen counts
+// @access  Private
+router.get('/freezers', auth, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT f.*,
+        (SELECT COUNT(*) FROM storage_racks r WHERE r.freezer_id = f.id) AS rack_count,
+        (SELECT COUNT(*) FROM storage_boxes b JOIN storage_racks r ON b.rack_id = r.id
+          WHERE r.freezer_id = f.id) AS box_count,
+        (SELECT COUNT(*) FROM specimens s JOIN storage_boxes b ON s.storage_box_id = b.id
+          JOIN storage_racks r ON b.rack_id = r.id WHERE r.freezer_id = f.id) AS specimen_count
+      FROM storage_freezers f
+      ORDER BY f.name
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    const errorResponse = handleDatabaseError(err, 'GET /storage/freezers');
+    res.status(errorResponse.statusCode).json(errorResponse);
+  }
+});
+
+// @route   GET api/storage/freezers/:id/tree
+// @desc    Freezer with its shelves, racks and boxes (including box occupancy)
+// @access  Private
+router.get('/freezers/:id/tree', auth, async (req, res) => {
+  try {
+    const freezerResult = await db.query('SELECT * FROM storage_freezers WHERE id = $1', [req.params.id]);
+    if (freezerResult.rows.length === 0) {
+      return res.status(404).json({ msg: 'Freezer not found' });
+    }
+
+    const [shelves, racks, boxes] = await Promise.all([
+      db.query(
+        'SELECT * FROM storage_shelves WHERE freezer_id = $1 ORDER BY display_order, name',
+        [req.params.id]
+      ),
+      db.query(
+        'SELECT * FROM storage_racks WHERE freezer_id = $1 ORDER BY name',
+        [req.params.id]
+      ),
+      db.query(`
+        SELECT b.*,
+          b.num_rows * b.num_columns AS capacity,
+          COUNT(s.id) FILTER (WHERE s.storage_row IS NOT NULL) AS occupied
+        FROM storage_boxes b
+        JOIN storage_racks r ON b.rack_id = r.id
+        LEFT JOIN specimens s ON s.storage_box_id = b.id
+        WHERE r.freezer_id = $1
+        GROUP BY b.id
+        ORDER BY b.name
+      `, [req.params.id])
+    ]);
+
+    const rackTree = racks.rows.map(rack => ({
+      ...rack,
+      boxes: boxes.rows.filter(box => box.rack_id === rack.id)
+    }));
+
+    res.json({
+      ...freezerResult.rows[0],
+      shelves: shelves.rows.map(shelf => ({
+        ...shelf,
+        racks: rackTree.filter(rack => rack.shelf_id === shelf.id)
+      })),
+      unshelved_racks: rackTree.filter(rack => !rack.shelf_id)
+    });
+  } catch (err) {
+    const errorResponse = handleDatabaseError(err, 'GET /storage/freezers/:id/tree');
+    res.status(errorResponse.statusCode).json(errorResponse);
+  }
+});
+
+// @route   GET api/storage/boxes/:id/grid
+// @desc    Box layout with every well and the specimen (if any) filed in it
+// @access  Private
+router.get('/boxes/:id/grid', auth, async (req, res) => {
+  try {
+    const grid = await storageService.getBoxGrid(req.params.id);
+    if (!grid) {
+      return res.status(404).json({ msg: 'Box not found' });
+    }
+    res.json(grid);
+  } catch (err) {
+    const errorResponse = handleDatabaseError(err, 'GET /storage/boxes/:id/grid');
+    res.status(errorResponse.statusCode).json(errorResponse);
+  }
+});
+
+// @route   POST api/storage/validate-position
+// @desc    Check a freezer/rack/box/well combination without saving anything
+// @access  Private
+router.post('/validate-position', auth, async (req, res) => {
+  try {
+    const position = await storageService.resolveSpecimenPosition(db, req.body, {
+      specimenId: req.body.specimen_id || null
+    });
+    res.json({ valid: true, position });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ valid: false, msg: err.message });
+    }
+    const errorResponse = handleDatabaseError(err, 'POST /storage/validate-position');
+    res.status(errorResponse.statusCode).json(errorResponse);
+  }
+});
+
+// Create/update/delete routes are the same shape for every level
+Object.entries(STORAGE_LEVELS).forEach(([path, level]) => {
+  const createValidation = [nameValidation(false)];
+  const updateValidation = [nameValidation(true)];
+  if (level.parentColumn) {
+    createValidation.push(check(level.parentColumn, `${level.parentColumn} is required`).isUUID());
+  }
+  if (path === 'boxes') {
+    createValidation.push(...boxSizeValidation);
+    updateValidation.push(...boxSizeValidation);
+  }
+
+  // @route   POST api/storage/:level
+  // @desc    Create a freezer, shelf, rack or box
+  // @access  Private (admin/lab_manager)
+  router.post(`/${path}`, [auth, requirePermission('storage:manage'), createValidation], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      if (level.parentColumn) {
+        const parent = await client.query(
+          `SELECT id FROM ${level.parentTable} WHERE id = $1`,
+          [req.body[level.parentColumn]]
+        );
+        if (parent.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ msg: `Parent for ${level.label.toLowerCase()} not found` });
+        }
+      }
+      if (path === 'racks' && !(await checkShelfBelongsToFreezer(client, req.body.shelf_id, req.body.freezer_id))) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ msg: 'Shelf does not belong to this freezer' });
+      }
+
+      const columns = level.fields.filter(field => req.body[field] !== undefined);
+      if (level.parentColumn) columns.push(level.parentColumn);
+      const values = columns.map(column => req.body[column]);
+
+      const result = await client.query(
+        `INSERT INTO ${level.table} (${columns.join(', ')})
+        VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+        RETURNING *`,
+        values
+      );
+
+      await client.query('COMMIT');
+      res.status(201).json(result.rows[0]);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.code === '23505') {
+        return duplicateNameResponse(res, level, req.body.name);
+      }
+      const errorResponse = handleDatabaseError(err, `POST /storage/${path}`);
+      res.status(errorResponse.statusCode).json(errorResponse);
+    } finally {
+      client.release();
+    }
+  });
+
+  // @route   PUT api/storage/:level/:id
+  // @desc    Update a freezer, shelf, rack or box; renames are copied onto stored specimens
+  // @access  Private (admin/lab_manager)
+  router.put(`/${path}/:id`, [auth, requirePermission('storage:manage'), updateValidation], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(`SELECT * FROM ${level.table} WHERE id = $1 FOR UPDATE`, [req.params.id]);
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ msg: `${level.label} not found` });
+      }
+      const current = existing.rows[0];
+
+      if (path === 'racks' && !(await checkShelfBelongsToFreezer(client, req.body.shelf_id, current.freezer_id))) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ msg: 'Shelf does not belong to this freezer' });
+      }
+
+      if (path === 'boxes') {
+        const numRows = req.body.num_rows || current.num_rows;
+        const numColumns = req.body.num_columns || current.num_columns;
+        const outside = await client.query(
+          `SELECT COUNT(*) FROM specimens
+          WHERE storage_box_id = $1 AND (storage_row > $2 OR storage_column > $3)`,
+          [req.params.id, numRows, numColumns]
+        );
+        if (parseInt(outside.rows[0].count, 10) > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            msg: `Cannot resize box: ${outside.rows[0].count} specimen(s) are stored in wells outside ${numRows} x ${numColumns}`
+          });
+        }
+      }
+
+      const columns = level.fields.filter(field => req.body[field] !== undefined);
+      if (columns.length === 0) {
+        await client.query('ROLLBACK');
+        return res.json(current);
+      }
+
+      const result = await client.query(
+        `UPDATE ${level.table}
+        SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+        WHERE id = $${columns.length + 1}
+        RETURNING *`,
+        [...columns.map(column => req.body[column]), req.params.id]
+      );
+
+      // position_* columns are the display copy of the hierarchy, so keep them in step
+      if (level.positionColumn && req.body.name !== undefined && result.rows[0].name !== current.name) {
+        const scope = storedSpecimenScope(level, req.params.id, current.name);
+        await client.query(
+          `UPDATE specimens SET ${level.positionColumn} = $${scope.params.length + 1} WHERE ${scope.condition}`,
+          [...scope.params, result.rows[0].name]
+        );
+      }
+
+      await client.query('COMMIT');
+      res.json(result.rows[0]);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.code === '23505') {
+        return duplicateNameResponse(res, level, req.body.name);
+      }
+      const errorResponse = handleDatabaseError(err, `PUT /storage/${path}/:id`);
+      res.status(errorResponse.statusCode).json(errorResponse);
+    } finally {
+      client.release();
+    }
+  });
+
+  // @route   DELETE api/storage/:level/:id
+  // @desc    Delete an empty freezer, shelf, rack or box
+  // @access  Private (admin/lab_manager)
+  router.delete(`/${path}/:id`, [auth, requirePermission('storage:manage')], async (req, res) => {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(`SELECT * FROM ${level.table} WHERE id = $1`, [req.params.id]);
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ msg: `${level.label} not found` });
+      }
+
+      if (level.specimenScope) {
+        const stored = await countStoredSpecimens(client, level, req.params.id, existing.rows[0].name);
+        if (stored > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            msg: `${level.label} still holds ${stored} specimen(s); move them before deleting`
+          });
+        }
+      }
+
+      await client.query(`DELETE FROM ${level.table} WHERE id = $1`, [req.params.id]);
+      await client.query('COMMIT');
+
+      logger.info(`${level.label} deleted`, { id: req.params.id, name: existing.rows[0].name, userId: req.user.id });
+      res.json({ msg: `${level.label} deleted` });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      const errorResponse = handleDatabaseError(err, `DELETE /storage/${path}/:id`);
+      res.status(errorResponse.statusCode).json(errorResponse);
+    } finally {
+      client.release();
+    }
+  });
+});
+
+module.exports = router;
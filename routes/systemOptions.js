@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const db = require('../db');
 const logger = require('../utils/logger');
 
@@ -87,7 +87,7 @@ router.get('/', auth, async (req, res) => {
 // @route   POST api/system-options
 // @desc    Create a new system option
 // @access  Private (admin only)
-router.post('/', [auth, roleCheck(['admin'])], async (req, res) => {
+router.post('/', [auth, requirePermission('system:configure')], async (req, res) => {
   try {
     const { category, option_key, option_value, display_order = 0, description } = req.body;
     
@@ -136,7 +136,7 @@ router.post('/', [auth, roleCheck(['admin'])], async (req, res) => {
 // @route   PUT api/system-options/:id
 // @desc    Update a system option
 // @access  Private (admin only)
-router.put('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
+router.put('/:id', [auth, requirePermission('system:configure')], async (req, res) => {
   try {
     const { id } = req.params;
     const { option_value, display_order, description, is_active } = req.body;
@@ -211,7 +211,7 @@ router.put('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
 // @route   DELETE api/system-options/:id
 // @desc    Delete a system option (soft delete by setting is_active = false)
 // @access  Private (admin only)
-router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('system:configure')], async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const db = require('../db');
+const logger = require('../utils/logger');
+const totpService = require('../services/totpService');
+const { signSessionToken } = require('../utils/sessionToken');
+
+// Only the signed-in person manages their second factor, never a script holding their token
+const sessionOnly = (req, res, next) => {
+  if (req.user.apiTokenId) {
+    return res.status(403).json({ msg: 'Two-factor authentication cannot be managed with an API token' });
+  }
+  next();
+};
+
+const codeRequired = check('code', 'Code is required').not().isEmpty().trim().isLength({ max: 20 });
+
+/**
+ * Run fn(client) in a transaction and answer with its result, or the error's status
+ */
+const inTransaction = async (req, res, fn) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    res.json(result);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Two-factor authentication error:', err.message);
+    res.status(500).send('Server error');
+  } finally {
+    client.release();
+  }
+};
+
+// @route   GET api/auth/totp
+// @desc    Two-factor status of the current user
+// @access  Private
+router.get('/', [auth, sessionOnly], async (req, res) => {
+  try {
+    res.json(await totpService.getStatus(db, req.user.id));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Error fetching two-factor status:', err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/totp/setup
+// @desc    Start enrollment: new secret and QR code for the authenticator app
+// @access  Private
+router.post('/setup', [auth, sessionOnly], (req, res) => inTransaction(req, res,
+  client => totpService.beginEnrollment(client, req.user.id)));
+
+// @route   POST api/auth/totp/enable
+// @desc    Confirm enrollment with a code from the app; returns recovery codes and a full session token
+// @access  Private
+router.post('/enable', [auth, sessionOnly, codeRequired], (req, res) => inTransaction(req, res, async client => {
+  const recoveryCodes = await totpService.confirmEnrollment(client, req.user.id, req.body.code);
+  logger.info('Two-factor authentication enabled', { username: req.user.username });
+  return { recovery_codes: recoveryCodes, token: await signSessionToken(req.user, { sessionId: req.user.sid }) };
+}));
+
+// @route   POST api/auth/totp/recovery-codes
+// @desc    Replace the recovery codes
+// @access  Private
+router.post('/recovery-codes', [auth, sessionOnly, codeRequired], (req, res) => inTransaction(req, res, async client => ({
+  recovery_codes: await totpService.regenerateRecoveryCodes(client, req.user.id, req.body.code)
+})));
+
+// @route   POST api/auth/totp/disable
+// @desc    Turn off two-factor authentication (not allowed for roles that require it)
+// @access  Private
+router.post('/disable', [auth, sessionOnly, codeRequired], (req, res) => inTransaction(req, res, async client => {
+  await totpService.disable(client, req.user.id, req.body.code);
+  logger.info('Two-factor authentication disabled', { username: req.user.username });
+  return { msg: 'Two-factor authentication turned off' };
+}));
+
+module.exports = router;
@@ -9,7 +9,7 @@ const router = express.Router();
 const multer = require('multer');
 const XLSX = require('xlsx');
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const { FILE_UPLOAD } = require('../config/constants');
 const {
   parseEntityData,
@@ -43,7 +43,7 @@ const upload = multer({
  * @desc    Import data from legacy system CSV (preserves original IDs)
  * @access  Private (admin only)
  */
-router.post('/migration/:entityType', [auth, roleCheck(['admin']), upload.single('file')], async (req, res) => {
+router.post('/migration/:entityType', [auth, requirePermission('import:legacy'), upload.single('file')], async (req, res) => {
   try {
     const { entityType } = req.params;
     
@@ -121,7 +121,7 @@ router.post('/migration/:entityType', [auth, roleCheck(['admin']), upload.single
  * @desc    Import new project data (generates sequential IDs)
  * @access  Private (admin/editor)
  */
-router.post('/project/:entityType', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician']), upload.single('file')], async (req, res) => {
+router.post('/project/:entityType', [auth, requirePermission('import:run'), upload.single('file')], async (req, res) => {
   try {
     const { entityType } = req.params;
     
@@ -197,7 +197,7 @@ router.post('/project/:entityType', [auth, roleCheck(['admin', 'lab_manager', 'l
  * @desc    Validate import data without saving
  * @access  Private (admin/editor)
  */
-router.post('/validate/:entityType', [auth, roleCheck(['admin', 'lab_manager', 'lab_technician']), upload.single('file')], async (req, res) => {
+router.post('/validate/:entityType', [auth, requirePermission('import:run'), upload.single('file')], async (req, res) => {
   try {
     const { entityType } = req.params;
     const { importType = 'project' } = req.body; // default to project
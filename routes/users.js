@@ -4,9 +4,12 @@ const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const roleCheck = require('../middleware/roleCheck');
+const requirePermission = require('../middleware/requirePermission');
 const db = require('../db');
 const logger = require('../utils/logger');
+const { localPasswordDisabled } = require('../services/oidcService');
+const totpService = require('../services/totpService');
+const { revokeAllSessions } = require('../services/sessionService');
 
 // Password complexity requirements
 const passwordRequirements = {
@@ -68,7 +71,7 @@ function generateTemporaryPassword() {
 // @route   GET /api/users
 // @desc    Get all users (lab manager and admin only)
 // @access  Private
-router.get('/', [auth, roleCheck(['admin', 'lab_manager'])], async (req, res) => {
+router.get('/', [auth, requirePermission('user:view')], async (req, res) => {
   try {
     const result = await db.query(`
       SELECT 
@@ -83,9 +86,12 @@ router.get('/', [auth, roleCheck(['admin', 'lab_manager'])], async (req, res) =>
         u.last_login,
         u.created_at,
         u.updated_at,
+        (u.oidc_subject IS NOT NULL) as sso_linked,
+        u.totp_enabled,
         creator.username as created_by_username
       FROM users u
       LEFT JOIN users creator ON u.created_by = creator.id
+      WHERE u.is_service_account = FALSE
       ORDER BY u.created_at DESC
     `);
     
@@ -99,7 +105,7 @@ router.get('/', [auth, roleCheck(['admin', 'lab_manager'])], async (req, res) =>
 // @route   GET /api/users/:id
 // @desc    Get single user by ID
 // @access  Private
-router.get('/:id', [auth, roleCheck(['admin', 'lab_manager'])], async (req, res) => {
+router.get('/:id', [auth, requirePermission('user:view')], async (req, res) => {
   try {
     const result = await db.query(`
       SELECT 
@@ -137,7 +143,7 @@ router.get('/:id', [auth, roleCheck(['admin', 'lab_manager'])], async (req, res)
 // @access  Private
 router.post('/', [
   auth, 
-  roleCheck(['admin', 'lab_manager']),
+  requirePermission('user:manage'),
   check('username', 'Username is required and must be 3-50 characters').isLength({ min: 3, max: 50 }).trim(),
   check('email', 'Please include a valid email').isEmail().normalizeEmail(),
   check('role', 'Role is required').isIn(['admin', 'lab_manager', 'lab_technician', 'bioinformatician', 'researcher']),
@@ -202,7 +208,7 @@ router.post('/', [
 // @access  Private
 router.put('/:id', [
   auth, 
-  roleCheck(['admin', 'lab_manager']),
+  requirePermission('user:manage'),
   check('username', 'Username must be 3-50 characters').optional().isLength({ min: 3, max: 50 }).trim(),
   check('email', 'Please include a valid email').optional().isEmail().normalizeEmail(),
   check('role', 'Invalid role').optional().isIn(['admin', 'lab_manager', 'lab_technician', 'bioinformatician', 'researcher']),
@@ -279,6 +285,14 @@ router.put('/:id', [
 
     const result = await db.query(updateQuery, updateValues);
 
+    // Sessions carry the role, and a deactivated user must lose access now, not at token expiry
+    const previous = userCheck.rows[0];
+    if (active === false && previous.active) {
+      await revokeAllSessions(db, req.params.id, 'deactivated', { revokedBy: req.user.id });
+    } else if (role && role !== previous.role) {
+      await revokeAllSessions(db, req.params.id, 'role_change', { revokedBy: req.user.id });
+    }
+
     logger.info('User updated', { 
       userId: req.params.id,
       updatedBy: req.user.username,
@@ -295,15 +309,19 @@ router.put('/:id', [
 // @route   POST /api/users/:id/reset-password
 // @desc    Reset user password (lab manager and admin only)
 // @access  Private
-router.post('/:id/reset-password', [auth, roleCheck(['admin', 'lab_manager'])], async (req, res) => {
+router.post('/:id/reset-password', [auth, requirePermission('user:manage')], async (req, res) => {
   try {
     // Check if user exists
-    const userCheck = await db.query('SELECT username FROM users WHERE id = $1', [req.params.id]);
+    const userCheck = await db.query('SELECT username, oidc_subject FROM users WHERE id = $1', [req.params.id]);
     
     if (userCheck.rows.length === 0) {
       return res.status(404).json({ msg: 'User not found' });
     }
 
+    if (localPasswordDisabled(userCheck.rows[0])) {
+      return res.status(400).json({ msg: 'This user signs in with single sign-on and has no LIMS password' });
+    }
+
     // Generate new temporary password
     const temporaryPassword = generateTemporaryPassword();
     
@@ -323,6 +341,8 @@ router.post('/:id/reset-password', [auth, roleCheck(['admin', 'lab_manager'])],
       WHERE id = $2
     `, [hashedPassword, req.params.id]);
 
+    await revokeAllSessions(db, req.params.id, 'password_reset', { revokedBy: req.user.id });
+
     logger.info('Password reset for user', { 
       userId: req.params.id,
       username: userCheck.rows[0].username,
@@ -339,10 +359,40 @@ router.post('/:id/reset-password', [auth, roleCheck(['admin', 'lab_manager'])],
   }
 });
 
+// @route   POST /api/users/:id/reset-totp
+// @desc    Remove a user's two-factor authentication, e.g. after a lost phone
+// @access  Private
+router.post('/:id/reset-totp', [auth, requirePermission('user:manage')], async (req, res) => {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const user = await totpService.resetForUser(client, req.params.id, req.user.id);
+    await revokeAllSessions(client, req.params.id, 'totp_reset', { revokedBy: req.user.id });
+    await client.query('COMMIT');
+
+    logger.info('Two-factor authentication reset for user', {
+      userId: req.params.id,
+      username: user.username,
+      resetBy: req.user.username
+    });
+
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    logger.error('Error resetting two-factor authentication:', err);
+    res.status(500).json({ msg: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
 // @route   DELETE /api/users/:id
 // @desc    Deactivate user (admin only - we don't actually delete users)
 // @access  Private
-router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('user:delete')], async (req, res) => {
   try {
     // Check if user exists and is not the requesting user
     const userCheck = await db.query('SELECT username, active FROM users WHERE id = $1', [req.params.id]);
@@ -362,6 +412,8 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
       WHERE id = $1
     `, [req.params.id]);
 
+    await revokeAllSessions(db, req.params.id, 'deactivated', { revokedBy: req.user.id });
+
     logger.info('User deactivated', { 
       userId: req.params.id,
       username: userCheck.rows[0].username,
@@ -378,7 +430,7 @@ router.delete('/:id', [auth, roleCheck(['admin'])], async (req, res) => {
 // @route   GET /api/users/roles/available
 // @desc    Get available user roles
 // @access  Private
-router.get('/roles/available', [auth, roleCheck(['admin', 'lab_manager'])], async (req, res) => {
+router.get('/roles/available', [auth, requirePermission('user:view')], async (req, res) => {
   const roles = [
     { value: 'admin', label: 'System Administrator', description: 'Full system access and user management' },
     { value: 'lab_manager', label: 'Lab Manager', description: 'Full lab access and user management' },
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Encrypt patient PHI written before field encryption was enabled
+ * Run once after add_patient_phi_encryption.sql, with PHI_ENCRYPTION_KEY set.
+ * Rows already holding ciphertext are left alone, so the script is safe to re-run.
+ */
+
+const db = require('../db');
+const { decrypt, encryptPatientFields } = require('../utils/phiEncryption');
+
+async function encryptExistingPatients() {
+  const client = await db.getClient();
+
+  try {
+    const result = await client.query(`
+      SELECT id, first_name, last_name, date_of_birth
+      FROM patients
+      WHERE (first_name IS NOT NULL AND first_name NOT LIKE 'enc:v1:%')
+         OR (last_name IS NOT NULL AND last_name NOT LIKE 'enc:v1:%')
+         OR (date_of_birth IS NOT NULL AND date_of_birth NOT LIKE 'enc:v1:%')
+    `);
+
+    console.log(`Found ${result.rows.length} patients with plaintext PHI`);
+
+    await client.query('BEGIN');
+    for (const patient of result.rows) {
+      const phi = encryptPatientFields({
+        first_name: decrypt(patient.first_name),
+        last_name: decrypt(patient.last_name),
+        date_of_birth: decrypt(patient.date_of_birth)
+      });
+
+      await client.query(
+        `UPDATE patients
+         SET first_name = $1, last_name = $2, date_of_birth = $3,
+             first_name_index = $4, last_name_index = $5
+         WHERE id = $6`,
+        [phi.first_name, phi.last_name, phi.date_of_birth, phi.first_name_index, phi.last_name_index, patient.id]
+      );
+    }
+    await client.query('COMMIT');
+
+    console.log(`✅ Encrypted PHI for ${result.rows.length} patients`);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Encryption failed, no rows were changed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+  }
+}
+
+encryptExistingPatients().then(() => process.exit());
@@ -303,16 +303,30 @@ app.post('/api/admin/create-admin', async (req, res) => {
   }
 });
 
+// Reload the role permission matrix once it is stale, so permission checks in every
+// server process follow changes made on the Permissions screen
+const { refreshIfStale } = require('./services/permissionService');
+app.use('/api', (req, res, next) => {
+  refreshIfStale().then(() => next());
+});
+
 // Define routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/auth/totp', require('./routes/twoFactor'));
+app.use('/api/auth/sessions', require('./routes/sessions'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/permissions', require('./routes/permissions'));
+app.use('/api/tokens', require('./routes/apiTokens'));
 app.use('/api/collaborators', require('./routes/collaborators'));
 app.use('/api/projects', require('./routes/projects'));
 app.use('/api/specimens', require('./routes/specimens'));
 app.use('/api/patients', require('./routes/patients'));
+app.use('/api/storage', require('./routes/storage'));
+app.use('/api/shipments', require('./routes/shipments'));
 app.use('/api/inventory', require('./routes/inventory'));
 app.use('/api/protocols', require('./routes/protocols'));
 app.use('/api/experiments', require('./routes/experiments'));
+app.use('/api/experiment-templates', require('./routes/experimentTemplates'));
 app.use('/api/labels', require('./routes/labels'));
 app.use('/api/audit', require('./routes/audit'));
 app.use('/api/export', require('./routes/export'));
@@ -373,6 +387,15 @@ const server = app.listen(PORT, () => {
   });
 });
 
+// Chain newly committed audit entries onto the audit trail's hash chain
+const { AUDIT } = require('./config/constants');
+const { sealEntries } = require('./services/auditService');
+setInterval(() => {
+  sealEntries().catch(error => {
+    logger.warn('Audit trail sealing failed', { error: error.message });
+  });
+}, AUDIT.SEAL_INTERVAL_SECONDS * 1000).unref();
+
 // Keep server alive
 server.keepAliveTimeout = 61000;
 server.headersTimeout = 65000;
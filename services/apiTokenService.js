@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const logger = require('../utils/logger');
+const { API_TOKENS } = require('../config/constants');
+const { ROLES } = require('../config/permissions');
+const { permissionsForRole } = require('./permissionService');
+
+// Token columns that are safe to return; never the hash
+const TOKEN_COLUMNS = `id, user_id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip,
+  revoked_at, created_by, created_at`;
+
+const tokenError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKENS.PREFIX);
+
+const audit = (client, userId, action, recordId, changes) => client.query(
+  `INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+   VALUES ($1, $2, $3, $4, $5)`,
+  [userId, action, 'api_tokens', recordId, JSON.stringify(changes)]
+);
+
+/**
+ * Issue a token for a user or service account. The token itself is returned only here.
+ * @param {Object} owner - users row the token acts as (id, role)
+ * @param {Object} options - name, expiresInDays, and scopes (null for all of the owner's permissions)
+ * @returns {Promise<Object>} token row plus the token value
+ */
+const createToken = async (client, owner, { name, expiresInDays = API_TOKENS.DEFAULT_LIFETIME_DAYS, scopes = null }, createdBy) => {
+  const tokenName = (name || '').trim();
+  if (!tokenName || tokenName.length > 100) {
+    throw tokenError('Token name is required (up to 100 characters)');
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > API_TOKENS.MAX_LIFETIME_DAYS) {
+    throw tokenError(`Tokens must expire within 1 to ${API_TOKENS.MAX_LIFETIME_DAYS} days`);
+  }
+
+  let tokenScopes = null;
+  if (scopes !== null && scopes !== undefined) {
+    const held = permissionsForRole(owner.role);
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw tokenError('Choose at least one scope, or leave scopes out for full access');
+    }
+    const invalid = scopes.filter(scope => !held.includes(scope));
+    if (invalid.length > 0) {
+      throw tokenError(`The account does not hold: ${invalid.join(', ')}`);
+    }
+    tokenScopes = [...new Set(scopes)];
+  }
+
+  const token = `${API_TOKENS.PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const result = await client.query(
+    `INSERT INTO api_tokens (user_id, name, token_prefix, token_hash, scopes, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6), $7)
+     RETURNING ${TOKEN_COLUMNS}`,
+    [owner.id, tokenName, token.slice(0, 12), hashToken(token), tokenScopes, days, createdBy]
+  );
+  const created = result.rows[0];
+
+  await audit(client, createdBy, 'CREATE_API_TOKEN', created.id, {
+    owner_id: owner.id,
+    name: tokenName,
+    scopes: tokenScopes,
+    expires_at: created.expires_at
+  });
+
+  return { ...created, token };
+};
+
+/**
+ * The tokens of a user, newest first
+ */
+const listTokens = async (client, userId) => {
+  const result = await client.query(
+    `SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE user_id = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Revoke a token. People may revoke their own tokens; service account tokens need
+ * canManageServiceAccounts.
+ * @returns {Promise<Object>} the revoked token row
+ */
+const revokeToken = async (client, tokenId, user, { canManageServiceAccounts = false } = {}) => {
+  const result = await client.query(
+    `SELECT t.id, t.user_id, t.name, t.revoked_at, u.is_service_account
+     FROM api_tokens t
+     JOIN users u ON t.user_id = u.id
+     WHERE t.id = $1`,
+    [tokenId]
+  );
+  const token = result.rows[0];
+  const allowed = token && (token.user_id === user.id || (token.is_service_account && canManageServiceAccounts));
+  if (!allowed) {
+    throw tokenError('Token not found', 404);
+  }
+  if (token.revoked_at) {
+    throw tokenError('Token is already revoked');
+  }
+
+  const revoked = await client.query(
+    `UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+     WHERE id = $1
+     RETURNING ${TOKEN_COLUMNS}`,
+    [tokenId, user.id]
+  );
+  await audit(client, user.id, 'REVOKE_API_TOKEN', tokenId, { owner_id: token.user_id, name: token.name });
+
+  return revoked.rows[0];
+};
+
+/**
+ * Create a service account: a user that can't log in with a password and acts only
+ * through the API tokens issued to it
+ */
+const createServiceAccount = async (client, { username, description, role }, createdBy) => {
+  const name = (username || '').trim();
+  if (!/^[a-z0-9][a-z0-9._-]{2,49}$/i.test(name)) {
+    throw tokenError('Username must be 3-50 letters, digits, dots, dashes or underscores');
+  }
+  if (!ROLES.includes(role)) {
+    throw tokenError('Invalid role');
+  }
+
+  const existing = await client.query('SELECT 1 FROM users WHERE username = $1', [name]);
+  if (existing.rows.length > 0) {
+    throw tokenError('Username already exists');
+  }
+
+  // A random password nobody knows; the login route refuses service accounts regardless
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  const result = await client.query(
+    `INSERT INTO users (username, password, email, first_name, role, is_service_account, created_by)
+     VALUES ($1, $2, $3, $4, $5, TRUE, $6)
+     RETURNING id, username, first_name, role, active, created_at`,
+    [name, password, `${name}@service-accounts.invalid`, (description || '').trim() || null, role, createdBy]
+  );
+  const account = result.rows[0];
+
+  await client.query(
+    `INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [createdBy, 'CREATE_SERVICE_ACCOUNT', 'users', account.id, JSON.stringify({ username: name, role })]
+  );
+
+  return account;
+};
+
+/**
+ * Look up the user an API token acts as
+ * @returns {Promise<Object|null>} req.user for the token, or null when it is unknown,
+ *   revoked, expired or its account is deactivated
+ */
+const authenticateToken = async (token) => {
+  const result = await db.query(
+    `SELECT t.id AS token_id, t.scopes, u.id, u.username, u.role, u.is_service_account
+     FROM api_tokens t
+     JOIN users u ON t.user_id = u.id
+     WHERE t.token_hash = $1
+       AND t.revoked_at IS NULL
+       AND t.expires_at > CURRENT_TIMESTAMP
+       AND u.active = TRUE`,
+    [hashToken(token)]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    scopes: row.scopes,
+    apiTokenId: row.token_id,
+    isServiceAccount: row.is_service_account
+  };
+};
+
+/**
+ * Mark a token as used and add the request to the audit log, so everything done with a
+ * token can be told apart from what its owner did in the browser
+ */
+const recordTokenUse = async (user, { method, path, status, ip }) => {
+  try {
+    await db.query(
+      'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2 WHERE id = $1',
+      [user.apiTokenId, ip]
+    );
+    await audit(db, user.id, 'API_TOKEN_USE', user.apiTokenId, {
+      method,
+      path,
+      status,
+      ip,
+      service_account: user.isServiceAccount
+    });
+  } catch (err) {
+    logger.error('Failed to record API token use:', err.message);
+  }
+};
+
+module.exports = {
+  hashToken,
+  isApiToken,
+  createToken,
+  listTokens,
+  revokeToken,
+  createServiceAccount,
+  authenticateToken,
+  recordTokenUse
+};
@@ -0,0 +1,287 @@
+const db = require('../db');
+const { presentPhi } = require('./phiService');
+const { AUDIT } = require('../config/constants');
+
+// Most problems listed in one verification; the count covers all of them
+const MAX_PROBLEMS = 100;
+
+// Tables whose rows the audit triggers record (see db/migrations/add_audit_hash_chain.sql)
+const AUDITED_TABLES = [
+  'users', 'collaborators', 'projects', 'project_members', 'patients', 'patient_consents',
+  'patient_visits', 'deidentification_recipients', 'deidentified_releases',
+  'storage_freezers', 'storage_shelves', 'storage_racks', 'storage_boxes',
+  'specimens', 'specimen_lineage', 'specimen_transactions', 'specimen_custody_events',
+  'specimen_receipts', 'specimen_receipt_items', 'shipments', 'shipment_specimens',
+  'protocols', 'protocol_documents', 'extracted_protocol_data',
+  'inventory_categories', 'inventory', 'inventory_transactions', 'experiments',
+  'sequencing_runs', 'sequencing_samples', 'system_options', 'api_tokens',
+  'electronic_signatures', // see db/migrations/add_electronic_signatures.sql
+  'experiment_step_records', 'experiment_plates', 'experiment_plate_wells', 'experiment_templates'
+];
+
+const ROW_ACTIONS = ['CREATE', 'UPDATE', 'DELETE'];
+
+// Changes to these alone are not worth showing in a record's history
+const IGNORED_FIELDS = ['updated_at'];
+
+const auditError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * WHERE clause for the explorer filters: user_id, table_name, action, record_id, from, to
+ */
+const buildFilters = (filters = {}) => {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.user_id) add('a.user_id = ?', filters.user_id);
+  if (filters.table_name) add('a.table_name = ?', filters.table_name);
+  if (filters.action) add('a.action = ?', filters.action);
+  if (filters.record_id) add('a.record_id = ?', filters.record_id);
+  if (filters.from) add('a.timestamp >= ?::timestamptz', filters.from);
+  if (filters.to) add('a.timestamp <= ?::timestamptz', filters.to);
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+};
+
+/**
+ * One page of audit entries, newest first
+ * @returns {Promise<Object>} { entries, total }
+ */
+const listEntries = async (client, filters, { limit, offset }) => {
+  const { where, params } = buildFilters(filters);
+  const count = await client.query(`SELECT COUNT(*)::int AS total FROM audit_log a ${where}`, params);
+  const result = await client.query(
+    `SELECT a.id, a.sequence_number, a.user_id, u.username, a.action, a.table_name, a.record_id,
+            a.changed_fields, a.timestamp
+     FROM audit_log a
+     LEFT JOIN users u ON a.user_id = u.id
+     ${where}
+     ORDER BY a.sequence_number DESC NULLS FIRST, a.timestamp DESC, a.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return { entries: result.rows, total: count.rows[0].total };
+};
+
+/**
+ * Users, tables and actions that appear in the log, for the explorer's filter menus
+ */
+const listFilterOptions = async (client) => {
+  const users = await client.query(
+    `SELECT id, username FROM users
+     WHERE id IN (SELECT DISTINCT user_id FROM audit_log)
+     ORDER BY username`
+  );
+  const tables = await client.query('SELECT DISTINCT table_name FROM audit_log ORDER BY table_name');
+  const actions = await client.query('SELECT DISTINCT action FROM audit_log ORDER BY action');
+  return {
+    users: users.rows,
+    tables: tables.rows.map(row => row.table_name),
+    actions: actions.rows.map(row => row.action)
+  };
+};
+
+/**
+ * Values before and after a row change. Trigger entries store { before, after }; entries
+ * written by routes before the triggers existed used { old, new } or the request body.
+ * @returns {Object|null} { before, after }, or null for entries that are not row changes
+ */
+const normalizeChange = (action, changedFields) => {
+  if (!changedFields || typeof changedFields !== 'object') return null;
+  if ('before' in changedFields || 'after' in changedFields) {
+    return { before: changedFields.before || null, after: changedFields.after || null };
+  }
+  if ('old' in changedFields && 'new' in changedFields) {
+    return { before: changedFields.old, after: changedFields.new };
+  }
+  if (action === 'CREATE') return { before: null, after: changedFields };
+  if (action === 'DELETE') return { before: changedFields, after: null };
+  return null;
+};
+
+/**
+ * Field-level old → new values of a normalized change
+ */
+const fieldChanges = ({ before, after }) => {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return fields
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .map(field => ({
+      field,
+      old: before && field in before ? before[field] : null,
+      new: after && field in after ? after[field] : null
+    }))
+    .filter(change => JSON.stringify(change.old) !== JSON.stringify(change.new));
+};
+
+// Patient values in history are ciphertext; decrypt or mask them like any other patient row
+const presentValues = async (client, table, recordId, values, user) => {
+  if (table !== 'patients') return;
+  const rows = values.filter(Boolean);
+  rows.forEach(row => { row.id = row.id || recordId; });
+  await presentPhi(client, rows, user, { context: 'record_history', patientIdKey: 'id' });
+  rows.forEach(row => { delete row.phi_masked; });
+};
+
+/**
+ * A record's audit entries, oldest first, with field-level changes for row changes
+ * @param {Object} user - req.user, for patient PHI
+ */
+const recordHistory = async (client, table, recordId, user) => {
+  const result = await client.query(
+    `SELECT a.id, a.sequence_number, a.user_id, u.username, a.action, a.changed_fields, a.timestamp
+     FROM audit_log a
+     LEFT JOIN users u ON a.user_id = u.id
+     WHERE a.table_name = $1 AND a.record_id = $2
+     ORDER BY a.sequence_number NULLS LAST, a.timestamp, a.id`,
+    [table, recordId]
+  );
+
+  const normalized = result.rows.map(entry => (ROW_ACTIONS.includes(entry.action)
+    ? normalizeChange(entry.action, entry.changed_fields)
+    : null));
+  await presentValues(client, table, recordId, normalized.flatMap(change => (change ? [change.before, change.after] : [])), user);
+
+  return result.rows.map((entry, i) => ({
+    ...entry,
+    changes: normalized[i] ? fieldChanges(normalized[i]) : null
+  }));
+};
+
+/**
+ * The record as it was at a point in time: start from the current row (or nothing, if deleted)
+ * and undo every change made after it, newest first
+ * @returns {Promise<Object>} { exists, record }
+ */
+const reconstructRecord = async (client, table, recordId, at, user) => {
+  if (!AUDITED_TABLES.includes(table)) {
+    throw auditError('History is not recorded for this table');
+  }
+
+  const current = await client.query(`SELECT * FROM ${table} WHERE id = $1`, [recordId]);
+  const later = await client.query(
+    `SELECT action, changed_fields
+     FROM audit_log
+     WHERE table_name = $1 AND record_id = $2 AND timestamp > $3::timestamptz
+       AND action = ANY($4)
+     ORDER BY sequence_number DESC NULLS FIRST, timestamp DESC, id DESC`,
+    [table, recordId, at, ROW_ACTIONS]
+  );
+
+  let record = current.rows[0] || null;
+  later.rows.forEach(entry => {
+    const change = normalizeChange(entry.action, entry.changed_fields);
+    if (!change) return;
+    if (entry.action === 'CREATE') {
+      record = null;
+    } else if (entry.action === 'DELETE') {
+      record = { ...change.before };
+    } else {
+      record = { ...(record || {}), ...change.before };
+    }
+  });
+
+  if (record) {
+    await presentValues(client, table, recordId, [record], user);
+  }
+  return { exists: Boolean(record), record };
+};
+
+/**
+ * Chain entries written since the last run onto the audit trail's hash chain. Returns the
+ * number sealed; 0 when another sealer is already at work.
+ */
+const sealEntries = async (client = db, batchSize = AUDIT.SEAL_BATCH_SIZE) => {
+  const result = await client.query('SELECT seal_audit_log($1) AS sealed', [batchSize]);
+  return result.rows[0].sealed;
+};
+
+/**
+ * Recompute the audit trail's hash chain (see db/migrations/add_audit_hash_chain.sql).
+ * Only sealed entries are checked; unsealed ones are counted. An entry is reported as 'modified' when its contents no longer match its hash,
+ * 'entries_missing' when sequence numbers before it were removed, and 'chain_broken' when it
+ * no longer links to the entry before it.
+ *
+ * Deleting the newest entries leaves a valid chain, so callers can pass the sequence number and
+ * hash of an entry they recorded earlier (e.g. a previous result's head) to check it is still there.
+ * @param {Object} anchor - optional { sequence, hash }
+ * @returns {Promise<Object>} { valid, entries, unsealed, head, problems, problem_count, anchor_valid }
+ */
+const verifyChain = async (client = db, anchor = null) => {
+  const problems = await client.query(
+    `WITH chain AS (
+       SELECT id, sequence_number, entry_hash, previous_hash,
+              audit_entry_hash(id, previous_hash, sequence_number, user_id, action, table_name,
+                               record_id, changed_fields, timestamp) AS expected_hash,
+              LAG(sequence_number) OVER (ORDER BY sequence_number) AS prior_sequence,
+              LAG(entry_hash) OVER (ORDER BY sequence_number) AS prior_hash
+       FROM audit_log
+       WHERE sequence_number IS NOT NULL
+     ), checked AS (
+       SELECT id, sequence_number,
+              CASE
+                WHEN entry_hash IS DISTINCT FROM expected_hash THEN 'modified'
+                WHEN sequence_number <> COALESCE(prior_sequence, 0) + 1 THEN 'entries_missing'
+                WHEN previous_hash IS DISTINCT FROM prior_hash THEN 'chain_broken'
+              END AS problem
+       FROM chain
+     )
+     SELECT id, sequence_number, problem, COUNT(*) OVER ()::int AS problem_count
+     FROM checked
+     WHERE problem IS NOT NULL
+     ORDER BY sequence_number
+     LIMIT $1`,
+    [MAX_PROBLEMS]
+  );
+
+  const summary = await client.query(
+    `SELECT COUNT(sequence_number)::int AS entries,
+            (COUNT(*) - COUNT(sequence_number))::int AS unsealed,
+            MAX(sequence_number) AS sequence_number,
+            (SELECT entry_hash FROM audit_log WHERE sequence_number IS NOT NULL
+             ORDER BY sequence_number DESC LIMIT 1) AS entry_hash
+     FROM audit_log`
+  );
+  const totals = summary.rows[0];
+  const head = totals.sequence_number ? totals : null;
+
+  let anchorValid = null;
+  if (anchor) {
+    const anchored = await client.query(
+      'SELECT entry_hash FROM audit_log WHERE sequence_number = $1',
+      [anchor.sequence]
+    );
+    anchorValid = anchored.rows.length > 0 && anchored.rows[0].entry_hash === anchor.hash;
+  }
+
+  const problemCount = problems.rows.length > 0 ? problems.rows[0].problem_count : 0;
+  return {
+    valid: problemCount === 0 && anchorValid !== false,
+    entries: totals.entries,
+    unsealed: totals.unsealed,
+    head: head ? { sequence: Number(head.sequence_number), hash: head.entry_hash } : null,
+    problems: problems.rows.map(({ id, sequence_number: sequence, problem }) => ({ id, sequence: Number(sequence), problem })),
+    problem_count: problemCount,
+    anchor_valid: anchorValid
+  };
+};
+
+module.exports = {
+  AUDITED_TABLES,
+  listEntries,
+  listFilterOptions,
+  normalizeChange,
+  fieldChanges,
+  recordHistory,
+  reconstructRecord,
+  sealEntries,
+  verifyChain
+};
@@ -0,0 +1,185 @@
+const { CONSENT } = require('../config/constants');
+const { can } = require('./permissionService');
+
+const SCOPE_LABELS = {
+  future_research: 'future research',
+  genetic_testing: 'genetic testing',
+  data_sharing: 'data sharing'
+};
+
+const USE_LABELS = {
+  experiment: 'experiments',
+  label: 'label generation',
+  export: 'export'
+};
+
+const consentError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const formatDate = (value) => (value instanceof Date ? value.toISOString().split('T')[0] : String(value).split('T')[0]);
+
+/**
+ * Why a consent does not allow a use, or null when it does.
+ * No consent on file is not a block: those patients predate consent tracking.
+ */
+const getBlockReason = (consent, use) => {
+  if (!consent) return null;
+
+  if (consent.withdrawal_date) {
+    return `Consent withdrawn on ${formatDate(consent.withdrawal_date)}`;
+  }
+
+  const missing = (CONSENT.USE_REQUIREMENTS[use] || []).filter(scope => !consent[scope]);
+  if (missing.length > 0) {
+    return `Consent (form ${consent.consent_form_version}) does not cover ${missing.map(s => SCOPE_LABELS[s]).join(' or ')}`;
+  }
+  return null;
+};
+
+/**
+ * Which uses the patient's current consent blocks, for the patient page banner
+ */
+const getBlockedUses = (consent) =>
+  Object.keys(CONSENT.USE_REQUIREMENTS)
+    .map(use => ({ use, label: USE_LABELS[use], reason: getBlockReason(consent, use) }))
+    .filter(entry => entry.reason);
+
+const getCurrentConsents = async (client, patientIds) => {
+  const ids = [...new Set(patientIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const result = await client.query(
+    'SELECT * FROM patient_current_consent WHERE patient_id = ANY($1::uuid[])',
+    [ids]
+  );
+  return new Map(result.rows.map(row => [row.patient_id, row]));
+};
+
+/**
+ * Specimens whose patient's consent blocks the given use
+ * @returns {Promise<Array>} { specimen_id, specimen_number, tube_id, patient_external_id, reason }
+ */
+const findBlockedSpecimens = async (client, specimenIds, use) => {
+  if (!specimenIds || specimenIds.length === 0) return [];
+
+  const specimens = await client.query(
+    `SELECT s.id, s.specimen_number, s.tube_id, s.patient_id, p.external_id AS patient_external_id
+     FROM specimens s
+     LEFT JOIN patients p ON s.patient_id = p.id
+     WHERE s.id = ANY($1::uuid[])`,
+    [specimenIds]
+  );
+  const consents = await getCurrentConsents(client, specimens.rows.map(s => s.patient_id));
+
+  return specimens.rows
+    .map(specimen => ({
+      specimen_id: specimen.id,
+      specimen_number: specimen.specimen_number,
+      tube_id: specimen.tube_id,
+      patient_external_id: specimen.patient_external_id,
+      reason: getBlockReason(consents.get(specimen.patient_id), use)
+    }))
+    .filter(specimen => specimen.reason);
+};
+
+const logOverride = (client, user, use, blocked, reason) =>
+  client.query(
+    `INSERT INTO audit_log
+    (user_id, action, table_name, record_id, changed_fields)
+    VALUES ($1, $2, $3, $4::uuid, $5)`,
+    [
+      user.id,
+      'CONSENT_OVERRIDE',
+      'specimens',
+      blocked[0].specimen_id,
+      JSON.stringify({ use, reason, specimens: blocked })
+    ]
+  );
+
+/**
+ * Check that an override request is allowed; overriding needs consent:override and a reason
+ */
+const validateOverride = (user, { override, overrideReason }) => {
+  if (!override) return false;
+  if (!can(user, 'consent:override')) {
+    throw consentError('You are not allowed to override consent restrictions', 403);
+  }
+  if (!overrideReason || !String(overrideReason).trim()) {
+    throw consentError('A reason is required to override consent restrictions');
+  }
+  return true;
+};
+
+/**
+ * Refuse a use of explicitly chosen specimens when any patient's consent blocks it.
+ * The thrown error carries the blocked specimens as consentBlocked. An override
+ * lets the use go ahead and is written to the audit log.
+ */
+const assertConsentAllows = async (client, specimenIds, use, { user, override = false, overrideReason = null }) => {
+  const blocked = await findBlockedSpecimens(client, specimenIds, use);
+  if (blocked.length === 0) return [];
+
+  if (validateOverride(user, { override, overrideReason })) {
+    await logOverride(client, user, use, blocked, String(overrideReason).trim());
+    return blocked;
+  }
+
+  const error = consentError(
+    `${blocked.length} specimen(s) cannot be used for ${USE_LABELS[use]}: patient consent does not allow it`,
+    403
+  );
+  error.consentBlocked = blocked;
+  throw error;
+};
+
+/**
+ * Drop rows whose patient's consent blocks the use, for bulk runs (whole projects, filtered exports)
+ * where refusing everything for one patient would be unworkable. Rows need patient_id.
+ * @returns {Promise<Object>} { rows, excluded } where excluded counts the dropped rows
+ */
+const filterRowsByConsent = async (client, rows, use, { user, override = false, overrideReason = null }) => {
+  const consents = await getCurrentConsents(client, rows.map(row => row.patient_id));
+  const allowed = [];
+  const blocked = [];
+
+  rows.forEach(row => {
+    const reason = getBlockReason(consents.get(row.patient_id), use);
+    if (reason) {
+      blocked.push({ row, reason });
+    } else {
+      allowed.push(row);
+    }
+  });
+
+  if (blocked.length === 0) return { rows, excluded: 0 };
+
+  if (validateOverride(user, { override, overrideReason })) {
+    await logOverride(
+      client,
+      user,
+      use,
+      blocked.map(({ row, reason }) => ({
+        specimen_id: row.specimen_uuid || row.id,
+        specimen_number: row.specimen_number || row.specimen_id,
+        reason
+      })),
+      String(overrideReason).trim()
+    );
+    return { rows, excluded: 0 };
+  }
+
+  return { rows: allowed, excluded: blocked.length };
+};
+
+module.exports = {
+  SCOPE_LABELS,
+  getBlockReason,
+  getBlockedUses,
+  getCurrentConsents,
+  findBlockedSpecimens,
+  assertConsentAllows,
+  filterRowsByConsent
+};
@@ -0,0 +1,149 @@
+const db = require('../db');
+const { SPECIMEN } = require('../config/constants');
+
+const CUSTODY_EVENT_TYPES = ['checkout', 'return', 'thaw', 'transfer', 'shipment'];
+
+const custodyError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Human-readable storage location, e.g. "Freezer A / R1 / Box 7 B3"
+ */
+const formatLocation = (specimen) => {
+  if (!specimen) return null;
+  const parts = [specimen.position_freezer, specimen.position_rack, specimen.position_box].filter(Boolean);
+  const well = `${specimen.position_dimension_one || ''}${specimen.position_dimension_two || ''}`;
+  if (parts.length === 0) return null;
+  return well ? `${parts.join(' / ')} ${well}` : parts.join(' / ');
+};
+
+/**
+ * Current thaw limit; admins change it through system options (specimen_limits/thaw_limit)
+ */
+const getThawLimit = async (client = db) => {
+  const result = await client.query(
+    `SELECT option_value FROM system_options
+     WHERE category = 'specimen_limits' AND option_key = 'thaw_limit' AND is_active = true`
+  );
+  const limit = result.rows.length > 0 ? parseInt(result.rows[0].option_value, 10) : NaN;
+  return isNaN(limit) ? SPECIMEN.DEFAULT_THAW_LIMIT : limit;
+};
+
+const getCustodyStatus = async (client, specimenId) => {
+  const result = await client.query(
+    `SELECT cs.thaw_count, cs.last_thawed_at, cs.checked_out_to, cs.checked_out_at,
+            u.username AS checked_out_to_username
+     FROM specimen_custody_status cs
+     LEFT JOIN users u ON cs.checked_out_to = u.id
+     WHERE cs.specimen_id = $1`,
+    [specimenId]
+  );
+  return result.rows[0] || {
+    thaw_count: 0,
+    last_thawed_at: null,
+    checked_out_to: null,
+    checked_out_at: null,
+    checked_out_to_username: null
+  };
+};
+
+const recordCustodyEvent = async (client, {
+  specimenId,
+  eventType,
+  custodianId = null,
+  fromLocation = null,
+  toLocation = null,
+  notes = null,
+  userId = null
+}) => {
+  if (!CUSTODY_EVENT_TYPES.includes(eventType)) {
+    throw custodyError(`Invalid custody event type: ${eventType}`);
+  }
+
+  const result = await client.query(
+    `INSERT INTO specimen_custody_events
+    (specimen_id, event_type, custodian_id, from_location, to_location, notes, performed_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *`,
+    [specimenId, eventType, custodianId, fromLocation, toLocation, notes, userId]
+  );
+  return result.rows[0];
+};
+
+const lockSpecimen = async (client, specimenId) => {
+  const result = await client.query('SELECT * FROM specimens WHERE id = $1 FOR UPDATE', [specimenId]);
+  if (result.rows.length === 0) {
+    throw custodyError('Specimen not found', 404);
+  }
+  return result.rows[0];
+};
+
+/**
+ * Hand a specimen to a custodian, optionally recording that it was thawed on the way out.
+ * Rejects specimens that are already checked out.
+ */
+const checkoutSpecimen = async (client, { specimenId, custodianId, thawed = false, notes = null, userId }) => {
+  const specimen = await lockSpecimen(client, specimenId);
+  const status = await getCustodyStatus(client, specimenId);
+
+  if (status.checked_out_to) {
+    throw custodyError(
+      `Specimen ${specimen.specimen_number} is already checked out to ${status.checked_out_to_username || 'another user'}`,
+      409
+    );
+  }
+
+  const location = formatLocation(specimen);
+  const events = [
+    await recordCustodyEvent(client, {
+      specimenId,
+      eventType: 'checkout',
+      custodianId,
+      fromLocation: location,
+      notes,
+      userId
+    })
+  ];
+
+  if (thawed) {
+    events.push(await recordCustodyEvent(client, { specimenId, eventType: 'thaw', fromLocation: location, userId }));
+  }
+
+  return { specimen, events };
+};
+
+/**
+ * Put a checked-out specimen back into storage
+ */
+const returnSpecimen = async (client, { specimenId, notes = null, userId }) => {
+  const specimen = await lockSpecimen(client, specimenId);
+  const status = await getCustodyStatus(client, specimenId);
+
+  if (!status.checked_out_to) {
+    throw custodyError(`Specimen ${specimen.specimen_number} is not checked out`, 409);
+  }
+
+  const event = await recordCustodyEvent(client, {
+    specimenId,
+    eventType: 'return',
+    custodianId: status.checked_out_to,
+    toLocation: formatLocation(specimen),
+    notes,
+    userId
+  });
+
+  return { specimen, events: [event] };
+};
+
+module.exports = {
+  CUSTODY_EVENT_TYPES,
+  formatLocation,
+  getThawLimit,
+  getCustodyStatus,
+  recordCustodyEvent,
+  checkoutSpecimen,
+  returnSpecimen
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { decrypt } = require('../utils/phiEncryption');
+
+// Export columns that identify a patient directly, or are free text that may
+const DIRECT_IDENTIFIER_COLUMNS = [
+  'patient_first_name',
+  'patient_last_name',
+  'patient_name',
+  'specimen_comments',
+  'project_comments',
+  'sequencing_notes'
+];
+
+// Row keys holding dates, shifted together per patient so intervals stay intact
+const SHIFTED_DATE_COLUMNS = ['date_collected', 'visit_date', 'date_received', 'feedback_date'];
+
+const MAX_SHIFT_DAYS = 180;
+const AGE_BAND_YEARS = 10;
+const TOP_AGE_BAND = 90; // Ages above 89 are reported together
+
+const deidentificationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const subjectHash = (recipient, purpose, subjectId) =>
+  crypto.createHmac('sha256', recipient.pseudonym_key).update(`${purpose}:${subjectId}`).digest();
+
+/**
+ * Stable pseudonym for a patient, different for every recipient
+ */
+const pseudonymFor = (recipient, patientId) =>
+  `SUBJ-${subjectHash(recipient, 'pseudonym', patientId).toString('hex').slice(0, 10).toUpperCase()}`;
+
+/**
+ * Days to shift a subject's dates by: between 1 and MAX_SHIFT_DAYS either way, never 0
+ */
+const dateShiftFor = (recipient, subjectId) => {
+  const span = subjectHash(recipient, 'date-shift', subjectId).readUInt32BE(0) % (2 * MAX_SHIFT_DAYS);
+  return span < MAX_SHIFT_DAYS ? span - MAX_SHIFT_DAYS : span - MAX_SHIFT_DAYS + 1;
+};
+
+const shiftDate = (value, days) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+/**
+ * Age at a reference date as a band such as "40-49", or "90+"
+ * @returns {string} empty when the date of birth is missing or unreadable
+ */
+const ageBand = (dateOfBirth, onDate) => {
+  const dob = new Date(dateOfBirth);
+  const reference = onDate ? new Date(onDate) : new Date();
+  if (!dateOfBirth || Number.isNaN(dob.getTime()) || Number.isNaN(reference.getTime())) return '';
+
+  let age = reference.getFullYear() - dob.getFullYear();
+  const birthdayPassed = reference.getMonth() > dob.getMonth() ||
+    (reference.getMonth() === dob.getMonth() && reference.getDate() >= dob.getDate());
+  if (!birthdayPassed) age -= 1;
+  if (age < 0) return '';
+  if (age >= TOP_AGE_BAND) return `${TOP_AGE_BAND}+`;
+
+  const lower = Math.floor(age / AGE_BAND_YEARS) * AGE_BAND_YEARS;
+  return `${lower}-${lower + AGE_BAND_YEARS - 1}`;
+};
+
+/**
+ * Columns to export for a de-identified release: identifiers dropped, date of birth
+ * replaced by an age band in the same position
+ */
+const getDeidentifiedColumns = (columns) =>
+  columns
+    .filter(key => !DIRECT_IDENTIFIER_COLUMNS.includes(key))
+    .map(key => (key === 'date_of_birth' ? 'age_band' : key));
+
+/**
+ * Find a recipient by name (case-insensitive), creating it with a fresh pseudonym key
+ */
+const getOrCreateRecipient = async (client, name, userId) => {
+  const recipientName = (name || '').trim();
+  if (!recipientName) {
+    throw deidentificationError('A recipient is required for a de-identified export');
+  }
+
+  const findRecipient = () =>
+    client.query('SELECT * FROM deidentification_recipients WHERE LOWER(name) = LOWER($1)', [recipientName]);
+
+  const existing = await findRecipient();
+  if (existing.rows.length > 0) return existing.rows[0];
+
+  const created = await client.query(
+    `INSERT INTO deidentification_recipients (name, pseudonym_key, created_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [recipientName, crypto.randomBytes(32).toString('hex'), userId]
+  );
+  // Someone else created it between the lookup and the insert
+  return created.rows[0] || (await findRecipient()).rows[0];
+};
+
+/**
+ * De-identify export rows for a recipient. Rows need patient_id; ages are computed from the
+ * real dates before they are shifted.
+ * @returns {Promise<Object[]>} new rows; the originals are not modified
+ */
+const deidentifyRows = async (client, rows, recipient) => {
+  const patientIds = [...new Set(rows.map(row => row.patient_id).filter(Boolean))];
+  const birthDates = new Map();
+
+  if (patientIds.length > 0) {
+    const patients = await client.query(
+      'SELECT id, date_of_birth FROM patients WHERE id = ANY($1::uuid[])',
+      [patientIds]
+    );
+    patients.rows.forEach(patient => birthDates.set(patient.id, decrypt(patient.date_of_birth)));
+  }
+
+  return rows.map(row => {
+    const deidentified = { ...row };
+    [...DIRECT_IDENTIFIER_COLUMNS, 'date_of_birth', 'first_name', 'last_name'].forEach(key => {
+      delete deidentified[key];
+    });
+
+    // Specimens without a patient still get their dates shifted, keyed on the specimen
+    const shift = dateShiftFor(recipient, row.patient_id || row.specimen_uuid || row.id);
+    SHIFTED_DATE_COLUMNS.forEach(key => {
+      if (row[key]) deidentified[key] = shiftDate(row[key], shift);
+    });
+
+    deidentified.patient_external_id = row.patient_id ? pseudonymFor(recipient, row.patient_id) : '';
+    deidentified.age_band = row.patient_id ? ageBand(birthDates.get(row.patient_id), row.date_collected) : '';
+    return deidentified;
+  });
+};
+
+/**
+ * Record a release to a recipient and add it to the audit log
+ * @returns {Promise<string>} release id
+ */
+const recordRelease = async (client, { recipient, purpose, rows, columns, filterCriteria, filename, userId }) => {
+  const patientCount = new Set(rows.map(row => row.patient_id).filter(Boolean)).size;
+
+  const result = await client.query(
+    `INSERT INTO deidentified_releases
+       (recipient_id, purpose, specimen_count, patient_count, columns, filter_criteria, filename, released_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id`,
+    [
+      recipient.id,
+      purpose || null,
+      rows.length,
+      patientCount,
+      JSON.stringify(columns),
+      JSON.stringify(filterCriteria),
+      filename,
+      userId
+    ]
+  );
+  const releaseId = result.rows[0].id;
+
+  await client.query(
+    `INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      userId,
+      'DEIDENTIFIED_RELEASE',
+      'deidentified_releases',
+      releaseId,
+      JSON.stringify({ recipient: recipient.name, specimen_count: rows.length, patient_count: patientCount, filename })
+    ]
+  );
+
+  return releaseId;
+};
+
+module.exports = {
+  DIRECT_IDENTIFIER_COLUMNS,
+  SHIFTED_DATE_COLUMNS,
+  pseudonymFor,
+  dateShiftFor,
+  ageBand,
+  getDeidentifiedColumns,
+  getOrCreateRecipient,
+  deidentifyRows,
+  recordRelease
+};
@@ -0,0 +1,212 @@
+const { can } = require('./permissionService');
+const signatureService = require('./signatureService');
+const { stepsFor } = require('./protocolStepService');
+const { applyTransition } = require('./experimentLifecycleService');
+
+const STEP_STATUSES = ['pending', 'in_progress', 'done', 'skipped'];
+const FINISHED = ['done', 'skipped'];
+
+const executionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const loadExperiment = async (client, experimentId, { forUpdate = false } = {}) => {
+  const result = await client.query(
+    `SELECT id, user_id, protocol_id, protocol_version_id, status, actual_reagents_used,
+            execution_started_at, execution_completed_at
+     FROM experiments WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [experimentId]
+  );
+  if (result.rows.length === 0) {
+    throw executionError('Experiment not found', 404);
+  }
+  return result.rows[0];
+};
+
+// Only someone who may edit the experiment records its execution, and not once it is signed
+const assertCanRecord = async (client, experiment, user) => {
+  if (experiment.user_id !== user.id && !can(user, 'experiment:edit_any')) {
+    throw executionError('Not authorized to record this experiment', 403);
+  }
+  await signatureService.assertEditable(client, 'experiments', experiment.id);
+};
+
+/**
+ * The execution record of an experiment: when it was started and finished, and each step
+ * @returns {Promise<Object>} { started_at, completed_at, steps }
+ */
+const getExecution = async (client, experimentId) => {
+  const experiment = await loadExperiment(client, experimentId);
+  const result = await client.query(
+    `SELECT r.id, r.step_number, r.title, r.instructions, r.duration_minutes, r.parameters, r.status,
+            r.actual_values, r.deviation, r.notes, r.started_at, r.completed_at, r.completed_by,
+            u.username AS completed_by_username,
+            u.first_name AS completed_by_first_name, u.last_name AS completed_by_last_name
+     FROM experiment_step_records r
+     LEFT JOIN users u ON r.completed_by = u.id
+     WHERE r.experiment_id = $1
+     ORDER BY r.step_number`,
+    [experimentId]
+  );
+  return {
+    started_at: experiment.execution_started_at,
+    completed_at: experiment.execution_completed_at,
+    steps: result.rows.map(step => ({
+      ...step,
+      duration_minutes: step.duration_minutes === null ? null : Number(step.duration_minutes)
+    }))
+  };
+};
+
+/**
+ * Start running the experiment at the bench: copy the steps of the protocol version it is
+ * pinned to and move a planned experiment to in progress
+ */
+const startExecution = async (client, experimentId, user) => {
+  const experiment = await loadExperiment(client, experimentId, { forUpdate: true });
+  await assertCanRecord(client, experiment, user);
+  if (experiment.execution_started_at) {
+    throw executionError('This experiment has already been started', 409);
+  }
+  if (!['planned', 'in_progress'].includes(experiment.status)) {
+    throw executionError(`A ${experiment.status} experiment cannot be run at the bench`, 409);
+  }
+
+  const protocol = await client.query(
+    `SELECT COALESCE(pv.steps, p.steps) AS steps, COALESCE(pv.basic_steps, p.basic_steps) AS basic_steps
+     FROM protocols p
+     LEFT JOIN protocol_versions pv ON pv.id = $2
+     WHERE p.id = $1`,
+    [experiment.protocol_id, experiment.protocol_version_id]
+  );
+  const steps = protocol.rows.length > 0 ? stepsFor(protocol.rows[0]) : [];
+  if (steps.length === 0) {
+    throw executionError('The protocol has no steps to run');
+  }
+
+  for (const [index, step] of steps.entries()) {
+    await client.query(
+      `INSERT INTO experiment_step_records
+       (experiment_id, step_number, title, instructions, duration_minutes, parameters)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [experimentId, index + 1, step.title, step.instructions, step.duration_minutes,
+        JSON.stringify(step.parameters || [])]
+    );
+  }
+
+  await client.query(
+    'UPDATE experiments SET execution_started_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [experimentId]
+  );
+  if (experiment.status === 'planned') {
+    await applyTransition(client, experiment, 'in_progress', user);
+  }
+
+  return getExecution(client, experimentId);
+};
+
+/**
+ * Record progress on one step. Moving a step on stamps when it was started and finished;
+ * moving it back clears them. Skipping a step needs a deviation saying why.
+ * @param {Object} changes - { status, actual_values, deviation, notes }
+ * @returns {Promise<Object>} the step
+ */
+const updateStep = async (client, experimentId, stepNumber, changes, user) => {
+  const experiment = await loadExperiment(client, experimentId, { forUpdate: true });
+  await assertCanRecord(client, experiment, user);
+  if (!experiment.execution_started_at) {
+    throw executionError('Start the experiment before recording steps');
+  }
+  if (experiment.execution_completed_at) {
+    throw executionError('The execution of this experiment is complete', 409);
+  }
+
+  const current = await client.query(
+    'SELECT * FROM experiment_step_records WHERE experiment_id = $1 AND step_number = $2',
+    [experimentId, stepNumber]
+  );
+  if (current.rows.length === 0) {
+    throw executionError(`Step ${stepNumber} not found`, 404);
+  }
+  const step = current.rows[0];
+
+  const status = changes.status === undefined ? step.status : changes.status;
+  if (!STEP_STATUSES.includes(status)) {
+    throw executionError(`Step status must be one of: ${STEP_STATUSES.join(', ')}`);
+  }
+
+  let actualValues = step.actual_values;
+  if (changes.actual_values !== undefined) {
+    if (!changes.actual_values || typeof changes.actual_values !== 'object' || Array.isArray(changes.actual_values)) {
+      throw executionError('Actual values must be an object of parameter name to value');
+    }
+    const known = step.parameters.map(parameter => parameter.name);
+    const unknown = Object.keys(changes.actual_values).filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+      throw executionError(`Step ${stepNumber} has no parameter ${unknown.map(name => `"${name}"`).join(', ')}`);
+    }
+    actualValues = { ...step.actual_values, ...changes.actual_values };
+  }
+
+  const deviation = changes.deviation === undefined ? step.deviation : (changes.deviation || null);
+  const notes = changes.notes === undefined ? step.notes : (changes.notes || null);
+  if (status === 'skipped' && !deviation) {
+    throw executionError('Record a deviation explaining why the step was skipped');
+  }
+
+  const result = await client.query(
+    `UPDATE experiment_step_records
+     SET status = $3, actual_values = $4, deviation = $5, notes = $6,
+         started_at = CASE WHEN $3 = 'pending' THEN NULL
+                           WHEN $3 IN ('in_progress', 'done') THEN COALESCE(started_at, CURRENT_TIMESTAMP)
+                           ELSE started_at END,
+         completed_at = CASE WHEN $3 IN ('done', 'skipped') THEN COALESCE(completed_at, CURRENT_TIMESTAMP) END,
+         completed_by = CASE WHEN $3 IN ('done', 'skipped') THEN COALESCE(completed_by, $7) END
+     WHERE experiment_id = $1 AND step_number = $2
+     RETURNING *`,
+    [experimentId, stepNumber, status, JSON.stringify(actualValues), deviation, notes, user.id]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Finish the execution once every step is done or skipped; the experiment is then completed
+ */
+const completeExecution = async (client, experimentId, user) => {
+  const experiment = await loadExperiment(client, experimentId, { forUpdate: true });
+  await assertCanRecord(client, experiment, user);
+  if (!experiment.execution_started_at) {
+    throw executionError('This experiment has not been started');
+  }
+  if (experiment.execution_completed_at) {
+    throw executionError('The execution of this experiment is already complete', 409);
+  }
+
+  const open = await client.query(
+    `SELECT step_number FROM experiment_step_records
+     WHERE experiment_id = $1 AND status <> ALL($2::text[])
+     ORDER BY step_number`,
+    [experimentId, FINISHED]
+  );
+  if (open.rows.length > 0) {
+    throw executionError(`Finish or skip every step first (open: ${open.rows.map(row => row.step_number).join(', ')})`);
+  }
+
+  await client.query(
+    'UPDATE experiments SET execution_completed_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [experimentId]
+  );
+  await applyTransition(client, experiment, 'completed', user);
+
+  return getExecution(client, experimentId);
+};
+
+module.exports = {
+  STEP_STATUSES,
+  getExecution,
+  startExecution,
+  updateStep,
+  completeExecution
+};
@@ -0,0 +1,247 @@
+const { can } = require('./permissionService');
+const signatureService = require('./signatureService');
+const logger = require('../utils/logger');
+
+const STATUSES = ['planned', 'in_progress', 'completed', 'failed', 'cancelled'];
+
+// Where an experiment may go from each status; completed, failed and cancelled are final
+const TRANSITIONS = {
+  planned: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'failed', 'cancelled'],
+  completed: [],
+  failed: [],
+  cancelled: []
+};
+
+// What happens to the inventory reserved at planning when the experiment reaches a status.
+// A failed run still used its reagents.
+const SIDE_EFFECTS = {
+  completed: 'consume',
+  failed: 'consume',
+  cancelled: 'release'
+};
+
+// Statuses that need a reason, kept with the transition in the audit log
+const REASON_REQUIRED = ['failed', 'cancelled'];
+
+// Statuses an experiment may be logged with; it walks the lifecycle from planned to get there
+const INITIAL_STATUSES = ['planned', 'in_progress', 'completed', 'failed'];
+
+const lifecycleError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const allowedTransitions = (status) => TRANSITIONS[status] || [];
+
+/**
+ * The transitions that take a new (planned) experiment to an initial status,
+ * e.g. 'completed' -> ['in_progress', 'completed']
+ */
+const pathFromPlanned = (status) => {
+  if (!INITIAL_STATUSES.includes(status)) {
+    throw lifecycleError(`New experiments can only be ${INITIAL_STATUSES.join(', ')}`);
+  }
+  if (status === 'planned') return [];
+  return status === 'in_progress' ? ['in_progress'] : ['in_progress', status];
+};
+
+/**
+ * Insert a new experiment as planned, numbered from the experiment counter
+ * @param {Object} fields - protocol_id, user_id, date_performed, sample_ids, actual_reagents_used,
+ *   notes, instrument_id and template_id
+ * @returns {Promise<Object>} the experiments row
+ */
+const createPlanned = async (client, fields) => {
+  const next = await client.query("SELECT get_next_number('experiment') as experiment_number");
+  const result = await client.query(
+    `INSERT INTO experiments
+    (experiment_id, protocol_id, user_id, date_performed, status, sample_ids, actual_reagents_used, notes,
+     instrument_id, template_id)
+    VALUES ($1, $2, $3, $4, 'planned', $5, $6, $7, $8, $9)
+    RETURNING *`,
+    [
+      next.rows[0].experiment_number,
+      fields.protocol_id,
+      fields.user_id,
+      fields.date_performed,
+      JSON.stringify(fields.sample_ids || []),
+      JSON.stringify(fields.actual_reagents_used || []),
+      fields.notes ?? null,
+      fields.instrument_id || null,
+      fields.template_id || null
+    ]
+  );
+  return result.rows[0];
+};
+
+const buildRequirements = async (client, protocol, sampleCount) => {
+  const requirements = [];
+  for (const reagent of protocol.required_reagents || []) {
+    if (typeof reagent.quantity_per_sample !== 'number') continue;
+    const match = await client.query(
+      'SELECT id FROM inventory WHERE name ILIKE $1 AND current_quantity > 0 ORDER BY expiration_date ASC NULLS LAST LIMIT 1',
+      [reagent.name]
+    );
+    if (match.rows.length > 0) {
+      requirements.push({ inventory_id: match.rows[0].id, quantity: reagent.quantity_per_sample * sampleCount });
+    }
+  }
+  return requirements;
+};
+
+/**
+ * Side effect of planning an experiment: reserve its reagents. Uses the requirements the form
+ * worked out, or else the protocol's reagents per sample matched to inventory by name.
+ * @returns {Promise<Array>} reservation warnings (untracked reagents, short stock)
+ */
+const reserveInventory = async (client, experiment, { requirements = [], protocol = null, userId }) => {
+  const sampleCount = (experiment.sample_ids || []).length;
+  let items = requirements;
+  if (items.length === 0 && protocol && sampleCount > 0) {
+    items = await buildRequirements(client, protocol, sampleCount);
+  }
+  if (items.length === 0) return [];
+
+  try {
+    const result = await client.query(
+      'SELECT reserve_inventory_for_experiment($1, $2, $3) AS result',
+      [experiment.id, JSON.stringify(items), userId]
+    );
+    return result.rows[0].result.warnings || [];
+  } catch (err) {
+    throw lifecycleError(`Inventory reservation failed: ${err.message}`);
+  }
+};
+
+/**
+ * Check the usage a user recorded for reserved reagents and fold it into what the experiment
+ * already lists, one entry per inventory item
+ * @param {Array} usage - [{ inventory_id, quantity, unit, reagent_name }]
+ */
+const mergeActualUsage = (existing, usage) => {
+  if (!Array.isArray(usage)) {
+    throw lifecycleError('Actual reagents used must be an array');
+  }
+  const merged = new Map((existing || []).map(entry => [entry.inventory_id, entry]));
+  usage.forEach((entry, index) => {
+    const quantity = Number(entry?.quantity);
+    if (!entry?.inventory_id || entry.quantity === '' || entry.quantity === null || isNaN(quantity) || quantity < 0) {
+      throw lifecycleError(`Actual reagent ${index + 1} needs an inventory item and a quantity of 0 or more`);
+    }
+    const previous = merged.get(entry.inventory_id) || {};
+    merged.set(entry.inventory_id, {
+      ...previous,
+      inventory_id: entry.inventory_id,
+      reagent_name: entry.reagent_name || previous.reagent_name || null,
+      quantity,
+      unit: entry.unit || previous.unit || null
+    });
+  });
+  return Array.from(merged.values());
+};
+
+const runSideEffect = async (client, experiment, toStatus) => {
+  const effect = SIDE_EFFECTS[toStatus];
+  if (effect === 'consume') {
+    await client.query(
+      'SELECT consume_reserved_inventory($1, $2)',
+      [experiment.id, JSON.stringify(experiment.actual_reagents_used || [])]
+    );
+  } else if (effect === 'release') {
+    await client.query('SELECT cancel_reserved_inventory($1)', [experiment.id]);
+  }
+  return effect || null;
+};
+
+/**
+ * Move an already loaded and authorized experiment to a new status: check the transition is
+ * allowed, run its side effect, save the status and audit the transition.
+ * @param {Object} experiment - experiments row (id, status, actual_reagents_used); status is updated in place
+ * @param {Object} options - reason; actualUsage, the reagents really used, when completing or failing
+ * @returns {Promise<Object>} { from, to, side_effect }
+ */
+const applyTransition = async (client, experiment, toStatus, user, { reason = null, actualUsage = null } = {}) => {
+  const from = experiment.status;
+  if (!STATUSES.includes(toStatus)) {
+    throw lifecycleError(`Status must be one of: ${STATUSES.join(', ')}`);
+  }
+  if (!allowedTransitions(from).includes(toStatus)) {
+    throw lifecycleError(`A ${from.replace('_', ' ')} experiment cannot become ${toStatus.replace('_', ' ')}`, 409);
+  }
+  const trimmedReason = reason ? String(reason).trim() : '';
+  if (REASON_REQUIRED.includes(toStatus) && !trimmedReason) {
+    throw lifecycleError(`A reason is required to mark an experiment ${toStatus}`);
+  }
+  if (actualUsage) {
+    if (SIDE_EFFECTS[toStatus] !== 'consume') {
+      throw lifecycleError('Actual reagent usage is recorded when an experiment is completed or failed');
+    }
+    experiment.actual_reagents_used = mergeActualUsage(experiment.actual_reagents_used, actualUsage);
+    await client.query(
+      'UPDATE experiments SET actual_reagents_used = $2 WHERE id = $1',
+      [experiment.id, JSON.stringify(experiment.actual_reagents_used)]
+    );
+  }
+
+  const sideEffect = await runSideEffect(client, experiment, toStatus);
+  await client.query('UPDATE experiments SET status = $2 WHERE id = $1', [experiment.id, toStatus]);
+  await client.query(
+    `INSERT INTO audit_log
+    (user_id, action, table_name, record_id, changed_fields)
+    VALUES ($1, $2, $3, $4, $5)`,
+    [
+      user.id,
+      'TRANSITION',
+      'experiments',
+      experiment.id,
+      JSON.stringify({ from, to: toStatus, reason: trimmedReason || null, side_effect: sideEffect })
+    ]
+  );
+
+  experiment.status = toStatus;
+  logger.info('Experiment status changed', { experimentId: experiment.id, from, to: toStatus, sideEffect });
+  return { from, to: toStatus, side_effect: sideEffect };
+};
+
+/**
+ * Move an experiment to a new status on behalf of a user
+ * @param {Object} options - reason (required for failed and cancelled), actualUsage
+ */
+const transition = async (client, experimentId, toStatus, user, options = {}) => {
+  const result = await client.query(
+    'SELECT * FROM experiments WHERE id = $1 FOR UPDATE',
+    [experimentId]
+  );
+  if (result.rows.length === 0) {
+    throw lifecycleError('Experiment not found', 404);
+  }
+  const experiment = result.rows[0];
+
+  if (experiment.user_id !== user.id && !can(user, 'experiment:edit_any')) {
+    throw lifecycleError('Not authorized to change this experiment\'s status', 403);
+  }
+  await signatureService.assertEditable(client, 'experiments', experiment.id);
+
+  // A bench run completes the experiment itself when its last step is finished
+  if (toStatus === 'completed' && experiment.execution_started_at && !experiment.execution_completed_at) {
+    throw lifecycleError('Finish the bench execution of this experiment to complete it', 409);
+  }
+
+  return applyTransition(client, experiment, toStatus, user, options);
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  INITIAL_STATUSES,
+  REASON_REQUIRED,
+  allowedTransitions,
+  pathFromPlanned,
+  createPlanned,
+  reserveInventory,
+  mergeActualUsage,
+  applyTransition,
+  transition
+};
@@ -0,0 +1,225 @@
+// Statuses that still hold their date on the calendar; finished and cancelled runs cannot clash
+const SCHEDULED_STATUSES = ['planned', 'in_progress'];
+
+// Longest stretch the calendar shows or a recurrence is scheduled over at once
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const scheduleError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Dates are handled as UTC midnight so a day never shifts with the server's time zone
+const parseDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value ?? ''));
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// ISO weekday: Monday = 1 ... Sunday = 7
+const isoWeekday = (date) => date.getUTCDay() || 7;
+
+const mondayOf = (date) => new Date(date.getTime() - (isoWeekday(date) - 1) * DAY_MS);
+
+/**
+ * Check a date range (YYYY-MM-DD) and return it as dates
+ */
+const parseRange = (from, to) => {
+  const start = parseDate(from);
+  const end = parseDate(to);
+  if (!start || !end) {
+    throw scheduleError('From and to must be dates (YYYY-MM-DD)');
+  }
+  if (end < start) {
+    throw scheduleError('The range ends before it starts');
+  }
+  if ((end - start) / DAY_MS >= MAX_RANGE_DAYS) {
+    throw scheduleError(`The range can be at most ${MAX_RANGE_DAYS} days`);
+  }
+  return { start, end };
+};
+
+/**
+ * Validate a weekly recurrence: the weekdays it runs on (Monday = 1), every how many weeks,
+ * and the dates it starts and (optionally) ends
+ * @returns {Object|null} { weekdays, every_weeks, starts_on, ends_on }
+ */
+const normalizeRecurrence = (recurrence) => {
+  if (!recurrence) return null;
+
+  const weekdays = [...new Set((recurrence.weekdays || []).map(Number))].sort((a, b) => a - b);
+  if (weekdays.length === 0 || weekdays.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+    throw scheduleError('A recurrence needs one or more weekdays from 1 (Monday) to 7 (Sunday)');
+  }
+  const everyWeeks = Number(recurrence.every_weeks ?? 1);
+  if (!Number.isInteger(everyWeeks) || everyWeeks < 1 || everyWeeks > 52) {
+    throw scheduleError('A recurrence repeats every 1 to 52 weeks');
+  }
+  const startsOn = parseDate(recurrence.starts_on);
+  if (!startsOn) {
+    throw scheduleError('A recurrence needs a start date');
+  }
+  const endsOn = recurrence.ends_on ? parseDate(recurrence.ends_on) : null;
+  if (recurrence.ends_on && (!endsOn || endsOn < startsOn)) {
+    throw scheduleError('A recurrence must end on a date after it starts');
+  }
+
+  return {
+    weekdays,
+    every_weeks: everyWeeks,
+    starts_on: formatDate(startsOn),
+    ends_on: endsOn ? formatDate(endsOn) : null
+  };
+};
+
+/**
+ * Dates (YYYY-MM-DD) a recurrence falls on between from and to, inclusive. Weeks are counted
+ * from the week the recurrence starts in, so every_weeks: 2 keeps to the same fortnight.
+ */
+const occurrences = (recurrence, from, to) => {
+  const { start, end } = parseRange(from, to);
+  const startsOn = parseDate(recurrence.starts_on);
+  const endsOn = recurrence.ends_on ? parseDate(recurrence.ends_on) : null;
+  const firstWeek = mondayOf(startsOn);
+
+  const dates = [];
+  for (let day = Math.max(start, startsOn); day <= end; day += DAY_MS) {
+    const date = new Date(day);
+    if (endsOn && date > endsOn) break;
+    const week = Math.round((mondayOf(date) - firstWeek) / (7 * DAY_MS));
+    if (week % recurrence.every_weeks === 0 && recurrence.weekdays.includes(isoWeekday(date))) {
+      dates.push(formatDate(date));
+    }
+  }
+  return dates;
+};
+
+// pg hands DATE columns back as local midnight, so a Date is read in local time
+const dayOf = (value) => (value instanceof Date
+  ? [value.getFullYear(), String(value.getMonth() + 1).padStart(2, '0'), String(value.getDate()).padStart(2, '0')].join('-')
+  : String(value ?? '').slice(0, 10));
+
+/**
+ * Where an experiment clashes with others on the same day: the same person, the same
+ * instrument, or a specimen booked into both
+ * @param {Object} experiment - { id, date_performed, user_id, instrument_id, sample_ids }
+ * @param {Array} others - experiments of that day (with experiment_id, the experiment number)
+ * @returns {Array} [{ type: 'user' | 'instrument' | 'specimen', experiment_id, experiment_number, specimen_ids }]
+ */
+const describeConflicts = (experiment, others) => {
+  const day = dayOf(experiment.date_performed);
+  const samples = new Set(experiment.sample_ids || []);
+  const conflicts = [];
+
+  others
+    .filter(other => other.id !== experiment.id && dayOf(other.date_performed) === day)
+    .filter(other => !other.status || SCHEDULED_STATUSES.includes(other.status))
+    .forEach(other => {
+      const clash = { experiment_id: other.id, experiment_number: other.experiment_id };
+      if (experiment.user_id && other.user_id === experiment.user_id) {
+        conflicts.push({ type: 'user', ...clash });
+      }
+      if (experiment.instrument_id && other.instrument_id === experiment.instrument_id) {
+        conflicts.push({ type: 'instrument', ...clash });
+      }
+      const shared = (other.sample_ids || []).filter(id => samples.has(id));
+      if (shared.length > 0) {
+        conflicts.push({ type: 'specimen', ...clash, specimen_ids: shared });
+      }
+    });
+  return conflicts;
+};
+
+/**
+ * Conflicts of an experiment being planned or moved with the experiments already booked that day
+ */
+const findConflicts = async (client, experiment) => {
+  if (!experiment.date_performed || (experiment.status && !SCHEDULED_STATUSES.includes(experiment.status))) {
+    return [];
+  }
+  const result = await client.query(
+    `SELECT id, experiment_id, date_performed, status, user_id, instrument_id, sample_ids
+     FROM experiments
+     WHERE date_performed = $1
+       AND status = ANY($2::text[])
+       AND ($3::uuid IS NULL OR id <> $3)
+       AND (user_id = $4 OR instrument_id = $5 OR sample_ids ?| $6::text[])`,
+    [
+      experiment.date_performed,
+      SCHEDULED_STATUSES,
+      experiment.id || null,
+      experiment.user_id || null,
+      experiment.instrument_id || null,
+      experiment.sample_ids || []
+    ]
+  );
+  return describeConflicts(experiment, result.rows);
+};
+
+/**
+ * Check an instrument is a piece of equipment in inventory
+ */
+const assertInstrument = async (client, instrumentId) => {
+  const result = await client.query(
+    "SELECT id FROM inventory WHERE id = $1 AND category = 'equipment'",
+    [instrumentId]
+  );
+  if (result.rows.length === 0) {
+    throw scheduleError('Instrument must be an equipment item in inventory');
+  }
+};
+
+/**
+ * Experiments on the calendar between from and to, each with its conflicts. Conflicts are
+ * worked out over everyone's experiments before filtering to a user or instrument.
+ * @param {Object} filters - from, to, user_id, instrument_id, include_finished
+ */
+const getCalendar = async (client, { from, to, user_id: userId, instrument_id: instrumentId, include_finished: includeFinished }) => {
+  const { start, end } = parseRange(from, to);
+  const result = await client.query(
+    `SELECT e.id, e.experiment_id, e.date_performed, e.status, e.user_id, e.instrument_id, e.template_id,
+            e.sample_ids, e.protocol_id, e.protocol_name, e.performed_by_username, e.performed_by_first_name,
+            e.performed_by_last_name, e.instrument_name, e.template_name, e.sample_count
+     FROM experiments_with_details e
+     WHERE e.date_performed BETWEEN $1 AND $2
+       AND e.status <> 'cancelled'
+     ORDER BY e.date_performed, e.experiment_id`,
+    [formatDate(start), formatDate(end)]
+  );
+
+  const byDay = new Map();
+  result.rows.forEach(experiment => {
+    const day = dayOf(experiment.date_performed);
+    byDay.set(day, [...(byDay.get(day) || []), experiment]);
+  });
+
+  return result.rows
+    .filter(experiment => includeFinished || SCHEDULED_STATUSES.includes(experiment.status))
+    .filter(experiment => !userId || experiment.user_id === userId)
+    .filter(experiment => !instrumentId || experiment.instrument_id === instrumentId)
+    .map(experiment => ({
+      ...experiment,
+      date_performed: dayOf(experiment.date_performed),
+      conflicts: SCHEDULED_STATUSES.includes(experiment.status)
+        ? describeConflicts(experiment, byDay.get(dayOf(experiment.date_performed)))
+        : []
+    }));
+};
+
+module.exports = {
+  SCHEDULED_STATUSES,
+  MAX_RANGE_DAYS,
+  parseRange,
+  normalizeRecurrence,
+  occurrences,
+  describeConflicts,
+  findConflicts,
+  assertInstrument,
+  getCalendar
+};
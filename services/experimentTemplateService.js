@@ -0,0 +1,236 @@
+const lifecycleService = require('./experimentLifecycleService');
+const scheduleService = require('./experimentScheduleService');
+const plateService = require('./plateService');
+const logger = require('../utils/logger');
+
+const templateError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const TEMPLATE_QUERY = `
+  SELECT t.*, p.name AS protocol_name, p.is_active AS protocol_active,
+         u.username AS assignee_username, u.first_name AS assignee_first_name, u.last_name AS assignee_last_name,
+         i.name AS instrument_name, c.username AS created_by_username
+  FROM experiment_templates t
+  JOIN protocols p ON t.protocol_id = p.id
+  LEFT JOIN users u ON t.assignee_id = u.id
+  LEFT JOIN inventory i ON t.instrument_id = i.id
+  LEFT JOIN users c ON t.created_by = c.id`;
+
+/**
+ * Validate a template's default reagents: the inventory items drawn per sample
+ * @returns {Array} [{ inventory_id, reagent_name, quantity_per_sample, unit }]
+ */
+const normalizeReagents = (reagents = []) => {
+  if (!Array.isArray(reagents)) {
+    throw templateError('Default reagents must be an array');
+  }
+  return reagents.map((reagent, index) => {
+    const quantity = Number(reagent?.quantity_per_sample);
+    if (!reagent?.inventory_id || !(quantity > 0)) {
+      throw templateError(`Default reagent ${index + 1} needs an inventory item and a quantity per sample`);
+    }
+    return {
+      inventory_id: reagent.inventory_id,
+      reagent_name: reagent.reagent_name ? String(reagent.reagent_name).trim() : null,
+      quantity_per_sample: quantity,
+      unit: reagent.unit ? String(reagent.unit).trim() : null
+    };
+  });
+};
+
+/**
+ * Validate the fields of a template, as sent to create or replace one
+ */
+const normalizeTemplate = (fields) => {
+  const name = String(fields.name ?? '').trim();
+  if (!name || name.length > 255) {
+    throw templateError('Template name is required (1-255 chars)');
+  }
+  if (!fields.protocol_id) {
+    throw templateError('Protocol is required');
+  }
+  return {
+    name,
+    description: fields.description || null,
+    protocol_id: fields.protocol_id,
+    assignee_id: fields.assignee_id || null,
+    instrument_id: fields.instrument_id || null,
+    default_reagents: normalizeReagents(fields.default_reagents),
+    plate_layout: plateService.normalizeLayout(fields.plate_layout),
+    recurrence: scheduleService.normalizeRecurrence(fields.recurrence),
+    notes: fields.notes || null
+  };
+};
+
+// The protocol must be in use, the assignee an active user and the instrument a piece of equipment
+const checkReferences = async (client, template) => {
+  const protocol = await client.query('SELECT id FROM protocols WHERE id = $1 AND is_active = true', [template.protocol_id]);
+  if (protocol.rows.length === 0) {
+    throw templateError('Protocol not found or inactive');
+  }
+  if (template.assignee_id) {
+    const assignee = await client.query('SELECT id FROM users WHERE id = $1 AND active = true', [template.assignee_id]);
+    if (assignee.rows.length === 0) {
+      throw templateError('Assignee not found or inactive');
+    }
+  }
+  if (template.instrument_id) {
+    await scheduleService.assertInstrument(client, template.instrument_id);
+  }
+  const inventoryIds = template.default_reagents.map(reagent => reagent.inventory_id);
+  if (inventoryIds.length > 0) {
+    const items = await client.query('SELECT id FROM inventory WHERE id = ANY($1::uuid[])', [inventoryIds]);
+    if (items.rows.length !== new Set(inventoryIds).size) {
+      throw templateError('One or more default reagents are not in inventory');
+    }
+  }
+};
+
+const duplicateNameError = (name) => templateError(`A template named "${name}" already exists`, 409);
+
+const isDuplicateName = (err) => err.code === '23505' && err.constraint === 'idx_experiment_templates_name';
+
+const listTemplates = async (client) => {
+  const result = await client.query(`${TEMPLATE_QUERY} ORDER BY LOWER(t.name)`);
+  return result.rows;
+};
+
+const getTemplate = async (client, templateId) => {
+  const result = await client.query(`${TEMPLATE_QUERY} WHERE t.id = $1`, [templateId]);
+  if (result.rows.length === 0) {
+    throw templateError('Experiment template not found', 404);
+  }
+  return result.rows[0];
+};
+
+const TEMPLATE_COLUMNS = [
+  'name', 'description', 'protocol_id', 'assignee_id', 'instrument_id',
+  'default_reagents', 'plate_layout', 'recurrence', 'notes'
+];
+
+const templateValues = (template) => TEMPLATE_COLUMNS.map(column => (
+  ['default_reagents', 'plate_layout', 'recurrence'].includes(column) && template[column] !== null
+    ? JSON.stringify(template[column])
+    : template[column]
+));
+
+const createTemplate = async (client, fields, user) => {
+  const template = normalizeTemplate(fields);
+  await checkReferences(client, template);
+  try {
+    const result = await client.query(
+      `INSERT INTO experiment_templates (${TEMPLATE_COLUMNS.join(', ')}, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [...templateValues(template), user.id]
+    );
+    return getTemplate(client, result.rows[0].id);
+  } catch (err) {
+    if (isDuplicateName(err)) throw duplicateNameError(template.name);
+    throw err;
+  }
+};
+
+/**
+ * Replace a template. Experiments already planned from it keep what they were given.
+ */
+const updateTemplate = async (client, templateId, fields) => {
+  await getTemplate(client, templateId);
+  const template = normalizeTemplate(fields);
+  await checkReferences(client, template);
+  try {
+    await client.query(
+      `UPDATE experiment_templates
+       SET ${TEMPLATE_COLUMNS.map((column, index) => `${column} = $${index + 2}`).join(', ')}
+       WHERE id = $1`,
+      [templateId, ...templateValues(template)]
+    );
+  } catch (err) {
+    if (isDuplicateName(err)) throw duplicateNameError(template.name);
+    throw err;
+  }
+  return getTemplate(client, templateId);
+};
+
+const deleteTemplate = async (client, templateId) => {
+  const result = await client.query(
+    'DELETE FROM experiment_templates WHERE id = $1 RETURNING id, name',
+    [templateId]
+  );
+  if (result.rows.length === 0) {
+    throw templateError('Experiment template not found', 404);
+  }
+  return result.rows[0];
+};
+
+/**
+ * Inventory a template's default reagents draw for a number of samples, as reservation requirements
+ */
+const requirementsFor = (template, sampleCount) => {
+  if (sampleCount === 0) return [];
+  return (template.default_reagents || []).map(reagent => ({
+    inventory_id: reagent.inventory_id,
+    quantity: Math.round(reagent.quantity_per_sample * sampleCount * 1000) / 1000,
+    unit: reagent.unit
+  }));
+};
+
+/**
+ * Plan the runs of a template's recurrence between from and to. Dates that already have an
+ * experiment from the template (even a cancelled one) are skipped, so scheduling a range twice
+ * does not double-book it. Runs are planned without samples; their reagents are reserved from
+ * the template's defaults as samples are added.
+ * @returns {Promise<Object>} { scheduled: [{ experiment, conflicts }], skipped: [dates] }
+ */
+const scheduleRecurrence = async (client, templateId, { from, to }, user) => {
+  const template = await getTemplate(client, templateId);
+  if (!template.recurrence) {
+    throw templateError('This template has no recurring schedule');
+  }
+  if (!template.protocol_active) {
+    throw templateError('The template\'s protocol is inactive');
+  }
+
+  const dates = scheduleService.occurrences(template.recurrence, from, to);
+  const existing = await client.query(
+    `SELECT DISTINCT to_char(date_performed, 'YYYY-MM-DD') AS day
+     FROM experiments
+     WHERE template_id = $1 AND date_performed = ANY($2::date[])`,
+    [templateId, dates]
+  );
+  const skipped = existing.rows.map(row => row.day);
+
+  const scheduled = [];
+  for (const date of dates.filter(day => !skipped.includes(day))) {
+    const experiment = await lifecycleService.createPlanned(client, {
+      protocol_id: template.protocol_id,
+      user_id: template.assignee_id || user.id,
+      date_performed: date,
+      notes: template.notes,
+      instrument_id: template.instrument_id,
+      template_id: template.id
+    });
+    if (template.plate_layout) {
+      await plateService.createPlateFromLayout(client, experiment.id, template.plate_layout, [], user.id);
+    }
+    scheduled.push({ experiment, conflicts: await scheduleService.findConflicts(client, experiment) });
+  }
+
+  logger.info('Experiment template scheduled', { templateId, from, to, scheduled: scheduled.length, skipped: skipped.length });
+  return { template_id: template.id, scheduled, skipped };
+};
+
+module.exports = {
+  normalizeReagents,
+  normalizeTemplate,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  requirementsFor,
+  scheduleRecurrence
+};
@@ -7,9 +7,11 @@ class IdGenerationService {
    * Uses database get_next_number function for consistency
    * @param {string} entityType - The type of entity ('collaborator', 'project', or 'specimen')
    * @param {string} username - Optional username for audit logging
+   * @param {Object} client - pg client whose transaction the new record is inserted in, so a
+   *                          rollback gives the ID back; defaults to the shared pool
    * @returns {Promise<{id: number, nextId: number}>}
    */
-  async getNextId(entityType, username = null) {
+  async getNextId(entityType, username = null, client = db) {
     const validTypes = ['collaborator', 'project', 'specimen', 'inventory', 'patient'];
     
     if (!validTypes.includes(entityType)) {
@@ -19,7 +21,7 @@ class IdGenerationService {
     try {
       // Use the database function to get next ID (this increments the sequence)
       const query = 'SELECT get_next_number($1) as next_id';
-      const result = await db.query(query, [entityType]);
+      const result = await client.query(query, [entityType]);
       
       if (result.rows.length === 0) {
         throw new Error(`Failed to generate next ID for ${entityType}`);
@@ -27,14 +29,19 @@ class IdGenerationService {
       
       const nextId = parseInt(result.rows[0].next_id);
       
-      // Log the ID generation for audit purposes
+      // Log the ID generation for audit purposes. Inside a transaction a savepoint keeps a
+      // failed log insert from aborting it.
+      const inTransaction = client !== db;
       try {
-        await db.query(
+        if (inTransaction) await client.query('SAVEPOINT id_generation_log');
+        await client.query(
           'INSERT INTO id_generation_log (entity_type, generated_id, generated_by) VALUES ($1, $2, $3)',
           [entityType, nextId, username || 'system']
         );
+        if (inTransaction) await client.query('RELEASE SAVEPOINT id_generation_log');
       } catch (logError) {
         // Don't fail the ID generation if logging fails
+        if (inTransaction) await client.query('ROLLBACK TO SAVEPOINT id_generation_log');
         logger.warn('Failed to log ID generation', { entityType, error: logError.message });
       }
       
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { ROLES } = require('../config/permissions');
+const { getOidcConfig, LOGIN_STATE_TTL_MINUTES } = require('../config/oidc');
+const { revokeAllSessions } = require('./sessionService');
+
+const HTTP_TIMEOUT_MS = 10000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+// Provider metadata and signing keys, per issuer
+let discoveryCache = {};
+let jwksCache = {};
+
+const oidcError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const randomString = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+const codeChallenge = (verifier) => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+const requireConfig = () => {
+  const config = getOidcConfig();
+  if (!config.enabled) {
+    throw oidcError('Single sign-on is not configured', 404);
+  }
+  return config;
+};
+
+const discover = async (config) => {
+  if (!discoveryCache[config.issuer]) {
+    const response = await axios.get(`${config.issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+    if (response.data.issuer.replace(/\/$/, '') !== config.issuer) {
+      throw new Error(`Identity provider reports issuer ${response.data.issuer}, expected ${config.issuer}`);
+    }
+    discoveryCache[config.issuer] = response.data;
+  }
+  return discoveryCache[config.issuer];
+};
+
+// Fetch the provider's keys again when a token is signed with a key we haven't seen (rotation)
+const signingKey = async (metadata, kid) => {
+  const findKey = () => (jwksCache[metadata.jwks_uri] || []).find(key => !kid || key.kid === kid);
+
+  if (!findKey()) {
+    const response = await axios.get(metadata.jwks_uri, { timeout: HTTP_TIMEOUT_MS });
+    jwksCache[metadata.jwks_uri] = response.data.keys || [];
+  }
+  const jwk = findKey();
+  if (!jwk) {
+    throw oidcError('The sign-in response was signed with an unknown key', 401);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const verifyIdToken = async (config, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw oidcError('The identity provider returned an invalid ID token', 401);
+  }
+
+  const key = await signingKey(metadata, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: config.clientId
+    });
+  } catch (err) {
+    throw oidcError(`The ID token failed verification: ${err.message}`, 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('The ID token does not belong to this sign-in', 401);
+  }
+  return claims;
+};
+
+/**
+ * Highest-privilege LIMS role mapped from the user's IdP groups, else the default role
+ * @param {string[]} groups - group claim values
+ * @returns {string|null} role, or null when the user has no mapped group and there is no default
+ */
+const mapRole = (groups, config = getOidcConfig()) => {
+  const mapped = (Array.isArray(groups) ? groups : [groups])
+    .map(group => config.roleMapping[group])
+    .filter(Boolean)
+    .sort((a, b) => ROLES.indexOf(a) - ROLES.indexOf(b));
+  return mapped[0] || config.defaultRole;
+};
+
+const usernameFromClaims = (claims) => {
+  const source = claims.preferred_username || (claims.email || '').split('@')[0] || claims.sub;
+  return source.toLowerCase().replace(/[^a-z0-9._-]/g, '').slice(0, 40) || 'sso-user';
+};
+
+const uniqueUsername = async (client, base) => {
+  const taken = await client.query(
+    `SELECT username FROM users WHERE username = $1 OR username LIKE $2`,
+    [base, `${base}-%`]
+  );
+  const names = new Set(taken.rows.map(row => row.username));
+  let candidate = base;
+  for (let n = 2; names.has(candidate); n++) {
+    candidate = `${base}-${n}`;
+  }
+  return candidate;
+};
+
+const audit = (client, userId, action, changes) => client.query(
+  `INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+   VALUES ($1, $2, $3, $4, $5)`,
+  [userId, action, 'users', userId, JSON.stringify(changes)]
+);
+
+const USER_COLUMNS = `id, username, email, first_name, last_name, role, active, force_password_change,
+  is_service_account, oidc_issuer, oidc_subject, totp_enabled`;
+
+/**
+ * Find or create the LIMS user for verified ID token claims, and bring their role in line
+ * with their IdP groups. Existing local accounts are linked by email only if the provider
+ * has verified the address.
+ * @returns {Promise<Object>} users row
+ */
+const provisionUser = async (client, claims, config = getOidcConfig()) => {
+  const role = mapRole(claims[config.groupsClaim] || [], config);
+  if (!role) {
+    throw oidcError('Your account is not in any group that has access to the LIMS', 403);
+  }
+
+  let result = await client.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE oidc_issuer = $1 AND oidc_subject = $2`,
+    [config.issuer, claims.sub]
+  );
+  let user = result.rows[0];
+
+  if (!user && claims.email && claims.email_verified === true) {
+    result = await client.query(
+      `UPDATE users SET oidc_issuer = $1, oidc_subject = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE LOWER(email) = LOWER($3) AND oidc_subject IS NULL AND is_service_account = FALSE
+       RETURNING ${USER_COLUMNS}`,
+      [config.issuer, claims.sub, claims.email]
+    );
+    user = result.rows[0];
+    if (user) {
+      await audit(client, user.id, 'SSO_LINK', { oidc_issuer: config.issuer, oidc_subject: claims.sub });
+    }
+  }
+
+  if (!user) {
+    if (!claims.email) {
+      throw oidcError('The identity provider did not return an email address for your account', 403);
+    }
+    const username = await uniqueUsername(client, usernameFromClaims(claims));
+    // SSO users sign in through the provider; the random password is never handed out
+    const unusablePassword = await bcrypt.hash(randomString(), 10);
+    try {
+      result = await client.query(
+        `INSERT INTO users (username, email, password, first_name, last_name, role, oidc_issuer, oidc_subject)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING ${USER_COLUMNS}`,
+        [username, claims.email, unusablePassword, claims.given_name || null, claims.family_name || null,
+          role, config.issuer, claims.sub]
+      );
+    } catch (err) {
+      if (err.code === '23505') {
+        throw oidcError('A LIMS account already uses your email address. Ask an administrator to link it.', 409);
+      }
+      throw err;
+    }
+    user = result.rows[0];
+    await audit(client, user.id, 'SSO_PROVISION', { username, email: claims.email, role });
+    logger.info('Provisioned SSO user', { username, role });
+    return user;
+  }
+
+  if (user.role !== role) {
+    await client.query(
+      'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [role, user.id]
+    );
+    await audit(client, user.id, 'SSO_ROLE_SYNC', { role: { old: user.role, new: role } });
+    await revokeAllSessions(client, user.id, 'role_change');
+    logger.info('Updated role from SSO groups', { username: user.username, from: user.role, to: role });
+    user = { ...user, role };
+  }
+
+  return user;
+};
+
+/**
+ * Begin an authorization code + PKCE login
+ * @returns {Promise<string>} URL of the identity provider's login page
+ */
+const startLogin = async (client) => {
+  const config = requireConfig();
+  const metadata = await discover(config);
+
+  const state = randomString();
+  const nonce = randomString();
+  const codeVerifier = randomString(48);
+
+  await client.query(
+    `DELETE FROM oidc_login_states WHERE created_at < CURRENT_TIMESTAMP - make_interval(mins => $1)`,
+    [LOGIN_STATE_TTL_MINUTES]
+  );
+  await client.query(
+    'INSERT INTO oidc_login_states (state, code_verifier, nonce) VALUES ($1, $2, $3)',
+    [state, codeVerifier, nonce]
+  );
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  }).toString();
+  return url.toString();
+};
+
+/**
+ * Finish a login from the provider's callback: exchange the code, verify the ID token and
+ * provision the user. Each state can be used once.
+ * @returns {Promise<Object>} users row of the signed-in user
+ */
+const completeLogin = async (client, { code, state }) => {
+  const config = requireConfig();
+  if (!code || !state) {
+    throw oidcError('The sign-in response is missing its code or state');
+  }
+
+  const stateResult = await client.query(
+    `DELETE FROM oidc_login_states
+     WHERE state = $1 AND created_at >= CURRENT_TIMESTAMP - make_interval(mins => $2)
+     RETURNING code_verifier, nonce`,
+    [state, LOGIN_STATE_TTL_MINUTES]
+  );
+  if (stateResult.rows.length === 0) {
+    throw oidcError('This sign-in has expired or was already used. Please try again.');
+  }
+  const { code_verifier: codeVerifier, nonce } = stateResult.rows[0];
+
+  const metadata = await discover(config);
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+  if (config.clientSecret) {
+    form.set('client_secret', config.clientSecret);
+  }
+
+  let tokens;
+  try {
+    const response = await axios.post(metadata.token_endpoint, form.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: HTTP_TIMEOUT_MS
+    });
+    tokens = response.data;
+  } catch (err) {
+    logger.warn('OIDC code exchange failed', { status: err.response?.status, error: err.response?.data?.error });
+    throw oidcError('The identity provider rejected the sign-in', 401);
+  }
+  if (!tokens.id_token) {
+    throw oidcError('The identity provider did not return an ID token', 401);
+  }
+
+  const claims = await verifyIdToken(config, metadata, tokens.id_token, nonce);
+  const user = await provisionUser(client, claims, config);
+  if (!user.active) {
+    throw oidcError('Account is deactivated. Please contact your lab manager.', 403);
+  }
+  return user;
+};
+
+/**
+ * Whether password login and password changes are turned off for this user
+ */
+const localPasswordDisabled = (user) => Boolean(user.oidc_subject) && getOidcConfig().disableLocalPasswords;
+
+// Forget provider metadata and keys, e.g. between tests against different providers
+const clearCache = () => {
+  discoveryCache = {};
+  jwksCache = {};
+};
+
+module.exports = {
+  mapRole,
+  provisionUser,
+  startLogin,
+  completeLogin,
+  localPasswordDisabled,
+  clearCache
+};
@@ -0,0 +1,151 @@
+const db = require('../db');
+const logger = require('../utils/logger');
+const { ROLES, PERMISSIONS, PERMISSION_KEYS } = require('../config/permissions');
+
+// How long a loaded matrix is trusted before checks reload it, so every server process
+// picks up an admin's change
+const CACHE_TTL_MS = 60 * 1000;
+
+const permissionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const defaultMatrix = () => new Map(PERMISSIONS.map(permission => [permission.key, new Set(permission.roles)]));
+
+let matrix = defaultMatrix();
+let loadedAt = 0;
+
+/**
+ * Replace the cached matrix with the role_permissions table. Keeps the current matrix
+ * (the registry defaults until the first load) when the table can't be read.
+ */
+const loadPermissions = async (client = db) => {
+  try {
+    const result = await client.query('SELECT role, permission FROM role_permissions');
+    const loaded = new Map(PERMISSION_KEYS.map(key => [key, new Set()]));
+    result.rows.forEach(row => loaded.get(row.permission)?.add(row.role));
+    matrix = loaded;
+    loadedAt = Date.now();
+  } catch (err) {
+    logger.error('Failed to load role permissions:', err.message);
+  }
+  return matrix;
+};
+
+const refreshIfStale = () => (Date.now() - loadedAt > CACHE_TTL_MS ? loadPermissions() : Promise.resolve(matrix));
+
+/**
+ * Whether the user's role holds a permission, from the cached matrix. Requests made with
+ * a scoped API token also need the permission in the token's scopes.
+ * @param {Object} user - req.user
+ * @param {string} permission - Registry key, e.g. 'specimen:delete'
+ */
+const can = (user, permission) => {
+  if (!matrix.has(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  if (user?.scopes && !user.scopes.includes(permission)) return false;
+  return Boolean(user?.role) && matrix.get(permission).has(user.role);
+};
+
+/**
+ * Permission keys held by a role
+ */
+const permissionsForRole = (role) => PERMISSION_KEYS.filter(key => matrix.get(key).has(role));
+
+/**
+ * Permission keys the user holds, narrowed by the scopes of the API token in use
+ */
+const permissionsForUser = (user) => PERMISSION_KEYS.filter(key => can(user, key));
+
+/**
+ * The registry with the roles currently holding each permission
+ */
+const getMatrix = async () => {
+  await refreshIfStale();
+  return {
+    roles: ROLES,
+    permissions: PERMISSIONS.map(({ key, group, description, roles }) => ({
+      key,
+      group,
+      description,
+      default_roles: roles,
+      roles: ROLES.filter(role => matrix.get(key).has(role))
+    }))
+  };
+};
+
+/**
+ * Replace the roles holding the given permissions and record the change in the audit log.
+ * Admins always keep permission:manage so the matrix can't lock everyone out.
+ * @param {Object} client - Client inside a transaction
+ * @param {Object.<string, string[]>} changes - Permission key to the roles that should hold it
+ * @returns {Promise<Object>} changed permissions with the roles added and removed
+ */
+const updateMatrix = async (client, changes, userId) => {
+  const entries = Object.entries(changes || {});
+  if (entries.length === 0) {
+    throw permissionError('No permission changes given');
+  }
+
+  entries.forEach(([key, roles]) => {
+    if (!PERMISSION_KEYS.includes(key)) {
+      throw permissionError(`Unknown permission: ${key}`);
+    }
+    if (!Array.isArray(roles) || roles.some(role => !ROLES.includes(role))) {
+      throw permissionError(`Invalid roles for ${key}`);
+    }
+    if (key === 'permission:manage' && !roles.includes('admin')) {
+      throw permissionError('Admins must keep permission:manage');
+    }
+  });
+
+  const current = await loadPermissions(client);
+  const diff = {};
+
+  for (const [key, roles] of entries) {
+    const before = current.get(key);
+    const added = ROLES.filter(role => roles.includes(role) && !before.has(role));
+    const removed = ROLES.filter(role => !roles.includes(role) && before.has(role));
+    if (added.length === 0 && removed.length === 0) continue;
+
+    await client.query('DELETE FROM role_permissions WHERE permission = $1', [key]);
+    for (const role of new Set(roles)) {
+      await client.query(
+        'INSERT INTO role_permissions (role, permission, updated_by) VALUES ($1, $2, $3)',
+        [role, key, userId]
+      );
+    }
+    diff[key] = { added, removed };
+  }
+
+  if (Object.keys(diff).length > 0) {
+    await client.query(
+      `INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, 'UPDATE_PERMISSIONS', 'role_permissions', '00000000-0000-0000-0000-000000000000', JSON.stringify(diff)]
+    );
+  }
+
+  return diff;
+};
+
+/**
+ * Drop the cached matrix so the next check reloads it, e.g. after a committed update
+ */
+const invalidate = () => {
+  loadedAt = 0;
+};
+
+module.exports = {
+  loadPermissions,
+  refreshIfStale,
+  can,
+  permissionsForRole,
+  permissionsForUser,
+  getMatrix,
+  updateMatrix,
+  invalidate
+};
@@ -0,0 +1,102 @@
+const { decrypt } = require('../utils/phiEncryption');
+const { can } = require('./permissionService');
+
+const MASK = '***';
+
+// Row keys holding patient PHI, as selected directly or through specimen joins
+const PHI_KEYS = ['first_name', 'last_name', 'date_of_birth', 'patient_first_name', 'patient_last_name', 'patient_date_of_birth'];
+
+/**
+ * Whether the user may see patient identifiers in cleartext (phi:view)
+ */
+const canViewPhi = (user) => can(user, 'phi:view');
+
+const joinName = (first, last) => [first, last].filter(Boolean).join(' ') || null;
+
+/**
+ * Blind-index search fields for patient names; empty for roles that can't see PHI,
+ * so masked users can't confirm a name by searching for it
+ * @param {Object} user - req.user
+ * @param {string} alias - Table alias prefix, e.g. 'p.'
+ */
+const phiSearchFields = (user, alias = '') => (canViewPhi(user)
+  ? [
+    { field: `${alias}first_name_index`, hashed: true },
+    { field: `${alias}last_name_index`, hashed: true }
+  ]
+  : []);
+
+/**
+ * Copy of a request body or row with PHI masked, for audit_log entries
+ */
+const redactPhi = (data) => {
+  const redacted = { ...data };
+  PHI_KEYS.forEach(key => {
+    if (redacted[key]) redacted[key] = MASK;
+  });
+  return redacted;
+};
+
+/**
+ * Decrypt or mask the PHI in result rows for the requesting user.
+ * Rows selected from specimens carry patient_first_name/patient_last_name and get a
+ * rebuilt patient_name; every returned row is flagged with phi_masked.
+ * Cleartext reveals are written to audit_log, one entry per request.
+ *
+ * @param {Object} client - pg client or pool
+ * @param {Object[]} rows - Query rows, modified in place
+ * @param {Object} user - req.user
+ * @param {Object} options - { context, patientIdKey } describing where the rows came from
+ * @returns {Promise<Object[]>} the same rows
+ */
+const presentPhi = async (client, rows, user, { context, patientIdKey = 'patient_id' } = {}) => {
+  const reveal = canViewPhi(user);
+  const revealedPatients = new Set();
+
+  rows.forEach(row => {
+    const phiKeys = PHI_KEYS.filter(key => key in row);
+    if (phiKeys.length === 0) return;
+
+    phiKeys.forEach(key => {
+      if (row[key] === null || row[key] === undefined || row[key] === '') return;
+      row[key] = reveal ? decrypt(row[key]) : MASK;
+    });
+
+    if ('patient_first_name' in row || 'patient_last_name' in row) {
+      row.patient_name = joinName(row.patient_first_name, row.patient_last_name);
+    }
+    delete row.first_name_index;
+    delete row.last_name_index;
+    row.phi_masked = !reveal;
+
+    const patientId = row[patientIdKey];
+    if (reveal && patientId && phiKeys.some(key => row[key])) {
+      revealedPatients.add(patientId);
+    }
+  });
+
+  if (revealedPatients.size > 0) {
+    const patientIds = [...revealedPatients];
+    await client.query(
+      `INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        user.id,
+        'PHI_REVEAL',
+        'patients',
+        patientIds[0],
+        JSON.stringify({ context, patient_count: patientIds.length, patient_ids: patientIds })
+      ]
+    );
+  }
+
+  return rows;
+};
+
+module.exports = {
+  MASK,
+  canViewPhi,
+  phiSearchFields,
+  redactPhi,
+  presentPhi
+};
@@ -0,0 +1,394 @@
+const { stringify } = require('csv-stringify/sync');
+const { can } = require('./permissionService');
+const signatureService = require('./signatureService');
+
+// Rows and columns of the plate formats the lab runs
+const PLATE_FORMATS = {
+  24: { rows: 4, columns: 6 },
+  48: { rows: 6, columns: 8 },
+  96: { rows: 8, columns: 12 },
+  384: { rows: 16, columns: 24 }
+};
+
+const WELL_TYPES = ['specimen', 'positive_control', 'negative_control', 'blank'];
+
+// What a control or blank well shows on a grid plate map when it has no label of its own
+const WELL_TYPE_CODES = {
+  positive_control: 'POS',
+  negative_control: 'NEG',
+  blank: 'BLANK'
+};
+
+const plateError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Well name from 1-based coordinates (2, 11 -> "B11")
+ */
+const wellLabel = (row, column) => `${String.fromCharCode(64 + row)}${column}`;
+
+/**
+ * 1-based coordinates of a well name ("B11" or "b011" -> { row: 2, column: 11 }), or null
+ */
+const parseWellLabel = (label) => {
+  const match = /^([A-Za-z])0*(\d{1,2})$/.exec(String(label ?? '').trim());
+  if (!match) return null;
+  return { row: match[1].toUpperCase().charCodeAt(0) - 64, column: parseInt(match[2], 10) };
+};
+
+/**
+ * Validate a plate layout and convert it to rows for experiment_plate_wells.
+ * Each well is { well: "A1", well_type, specimen_id, label }; specimens must be among the
+ * experiment's samples and a well may only be filled once. Specimens may fill several wells
+ * (replicates).
+ */
+const normalizeWells = (plate, wells, sampleIds = []) => {
+  if (!Array.isArray(wells)) {
+    throw plateError('Wells must be an array');
+  }
+
+  const filled = new Set();
+  return wells.map(well => {
+    const position = parseWellLabel(well.well);
+    if (!position || position.column < 1 || position.row > plate.num_rows || position.column > plate.num_columns) {
+      throw plateError(`"${well.well ?? ''}" is not a well on a ${plate.plate_format}-well plate`);
+    }
+
+    const name = wellLabel(position.row, position.column);
+    if (filled.has(name)) {
+      throw plateError(`Well ${name} is filled twice`);
+    }
+    filled.add(name);
+
+    if (!WELL_TYPES.includes(well.well_type)) {
+      throw plateError(`Well ${name} has an unknown type "${well.well_type}"`);
+    }
+    const specimenId = well.well_type === 'specimen' ? well.specimen_id : null;
+    if (well.well_type === 'specimen' && !sampleIds.includes(specimenId)) {
+      throw plateError(`The specimen in well ${name} is not one of this experiment's samples`);
+    }
+
+    const label = String(well.label ?? '').trim();
+    return {
+      well_row: position.row,
+      well_column: position.column,
+      well_type: well.well_type,
+      specimen_id: specimenId,
+      label: label ? label.slice(0, 100) : null
+    };
+  });
+};
+
+/**
+ * Validate a template's plate layout: its format and the wells set aside for controls and
+ * blanks. Specimens are not part of a layout; they fill the free wells of each new experiment.
+ * @returns {Object|null} { name, plate_format, wells: [{ well, well_type, label }] }
+ */
+const normalizeLayout = (layout) => {
+  if (!layout) return null;
+  const plateFormat = Number(layout.plate_format ?? 96);
+  const format = PLATE_FORMATS[plateFormat];
+  if (!format) {
+    throw plateError(`Plate format must be one of ${Object.keys(PLATE_FORMATS).join(', ')} wells`);
+  }
+  if ((layout.wells || []).some(well => well.well_type === 'specimen')) {
+    throw plateError('A template layout only places controls and blanks; specimens fill the remaining wells');
+  }
+
+  const plate = { plate_format: plateFormat, num_rows: format.rows, num_columns: format.columns };
+  const name = String(layout.name ?? '').trim();
+  return {
+    name: name ? name.slice(0, 100) : 'Plate 1',
+    plate_format: plateFormat,
+    wells: normalizeWells(plate, layout.wells || []).map(well => ({
+      well: wellLabel(well.well_row, well.well_column),
+      well_type: well.well_type,
+      label: well.label
+    }))
+  };
+};
+
+/**
+ * Wells of a template layout with the samples placed down each column (A1, B1, ...) in the
+ * wells it leaves free
+ * @returns {Object} { wells: rows for experiment_plate_wells, unplaced: samples that did not fit }
+ */
+const fillLayout = (layout, sampleIds) => {
+  const format = PLATE_FORMATS[layout.plate_format];
+  const wells = normalizeWells(
+    { ...layout, num_rows: format.rows, num_columns: format.columns },
+    layout.wells
+  );
+  const taken = new Set(wells.map(well => wellLabel(well.well_row, well.well_column)));
+
+  const remaining = [...sampleIds];
+  for (let column = 1; column <= format.columns && remaining.length > 0; column++) {
+    for (let row = 1; row <= format.rows && remaining.length > 0; row++) {
+      if (!taken.has(wellLabel(row, column))) {
+        wells.push({ well_row: row, well_column: column, well_type: 'specimen', specimen_id: remaining.shift(), label: null });
+      }
+    }
+  }
+  return { wells, unplaced: remaining };
+};
+
+/**
+ * Add a plate laid out from a template to an experiment being planned by an authorized user
+ * @returns {Promise<Object>} the plate, with unplaced: samples that did not fit on it
+ */
+const createPlateFromLayout = async (client, experimentId, layout, sampleIds, userId) => {
+  const format = PLATE_FORMATS[layout.plate_format];
+  const { wells, unplaced } = fillLayout(layout, sampleIds);
+  const result = await client.query(
+    `INSERT INTO experiment_plates (experiment_id, name, plate_format, num_rows, num_columns, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [experimentId, layout.name, layout.plate_format, format.rows, format.columns, userId]
+  );
+  const plate = result.rows[0];
+  if (wells.length > 0) {
+    await client.query(
+      `INSERT INTO experiment_plate_wells (plate_id, well_row, well_column, well_type, specimen_id, label)
+       SELECT $1, w.well_row, w.well_column, w.well_type, w.specimen_id, w.label
+       FROM jsonb_to_recordset($2::jsonb)
+         AS w(well_row INTEGER, well_column INTEGER, well_type VARCHAR, specimen_id UUID, label VARCHAR)`,
+      [plate.id, JSON.stringify(wells)]
+    );
+  }
+  return { ...plate, unplaced };
+};
+
+const loadExperiment = async (client, experimentId) => {
+  const result = await client.query(
+    'SELECT id, user_id, sample_ids FROM experiments WHERE id = $1 FOR UPDATE',
+    [experimentId]
+  );
+  if (result.rows.length === 0) {
+    throw plateError('Experiment not found', 404);
+  }
+  return result.rows[0];
+};
+
+// Plate layouts are part of the experiment record, so they follow its edit rules
+const assertCanEditLayout = async (client, experiment, user) => {
+  if (experiment.user_id !== user.id && !can(user, 'experiment:edit_any')) {
+    throw plateError('Not authorized to change this experiment\'s plates', 403);
+  }
+  await signatureService.assertEditable(client, 'experiments', experiment.id);
+};
+
+const listWells = async (client, column, id) => {
+  const result = await client.query(
+    `SELECT w.*, s.specimen_number, s.tube_id
+     FROM experiment_plate_wells w
+     JOIN experiment_plates p ON w.plate_id = p.id
+     LEFT JOIN specimens s ON w.specimen_id = s.id
+     WHERE p.${column} = $1
+     ORDER BY w.well_column, w.well_row`,
+    [id]
+  );
+  return result.rows.map(well => ({ ...well, well: wellLabel(well.well_row, well.well_column) }));
+};
+
+/**
+ * An experiment's plates, each with its filled wells in column order (A1, B1, ...)
+ */
+const listPlates = async (client, experimentId) => {
+  const [plates, wells] = await Promise.all([
+    client.query(
+      `SELECT p.*, u.username AS created_by_username
+       FROM experiment_plates p
+       LEFT JOIN users u ON p.created_by = u.id
+       WHERE p.experiment_id = $1
+       ORDER BY p.created_at, p.name`,
+      [experimentId]
+    ),
+    listWells(client, 'experiment_id', experimentId)
+  ]);
+
+  return plates.rows.map(plate => ({
+    ...plate,
+    wells: wells.filter(well => well.plate_id === plate.id)
+  }));
+};
+
+/**
+ * One plate of an experiment with its filled wells
+ */
+const getPlate = async (client, experimentId, plateId) => {
+  const result = await client.query(
+    'SELECT * FROM experiment_plates WHERE id = $1 AND experiment_id = $2',
+    [plateId, experimentId]
+  );
+  if (result.rows.length === 0) {
+    throw plateError('Plate not found', 404);
+  }
+  return { ...result.rows[0], wells: await listWells(client, 'id', plateId) };
+};
+
+const duplicateNameError = (name) => plateError(`This experiment already has a plate named "${name}"`, 409);
+
+const isDuplicateName = (err) => err.code === '23505' && err.constraint === 'idx_experiment_plates_name';
+
+/**
+ * Add an empty plate to an experiment
+ * @param {Object} fields - name, plate_format (24, 48, 96 or 384) and notes
+ */
+const createPlate = async (client, experimentId, { name, plate_format: plateFormat = 96, notes = null }, user) => {
+  const experiment = await loadExperiment(client, experimentId);
+  await assertCanEditLayout(client, experiment, user);
+
+  const format = PLATE_FORMATS[plateFormat];
+  if (!format) {
+    throw plateError(`Plate format must be one of ${Object.keys(PLATE_FORMATS).join(', ')} wells`);
+  }
+
+  try {
+    const result = await client.query(
+      `INSERT INTO experiment_plates (experiment_id, name, plate_format, num_rows, num_columns, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [experimentId, name, Number(plateFormat), format.rows, format.columns, notes, user.id]
+    );
+    return { ...result.rows[0], wells: [] };
+  } catch (err) {
+    if (isDuplicateName(err)) throw duplicateNameError(name);
+    throw err;
+  }
+};
+
+/**
+ * Rename a plate and/or replace its layout. Only wells whose contents change are written,
+ * so the audit trail shows what was moved rather than the whole plate being refilled.
+ * @param {Object} changes - name, notes and wells (see normalizeWells); omitted fields are kept
+ */
+const updatePlate = async (client, experimentId, plateId, { name, notes, wells }, user) => {
+  const experiment = await loadExperiment(client, experimentId);
+  await assertCanEditLayout(client, experiment, user);
+  const plate = await getPlate(client, experimentId, plateId);
+
+  if (name !== undefined || notes !== undefined) {
+    try {
+      await client.query(
+        `UPDATE experiment_plates
+         SET name = COALESCE($2, name), notes = CASE WHEN $3 THEN $4 ELSE notes END
+         WHERE id = $1`,
+        [plateId, name ?? null, notes !== undefined, notes ?? null]
+      );
+    } catch (err) {
+      if (isDuplicateName(err)) throw duplicateNameError(name);
+      throw err;
+    }
+  }
+
+  if (wells !== undefined) {
+    const layout = JSON.stringify(normalizeWells(plate, wells, experiment.sample_ids || []));
+    await client.query(
+      `DELETE FROM experiment_plate_wells
+       WHERE plate_id = $1
+         AND (well_row, well_column) NOT IN (
+           SELECT w.well_row, w.well_column
+           FROM jsonb_to_recordset($2::jsonb) AS w(well_row INTEGER, well_column INTEGER)
+         )`,
+      [plateId, layout]
+    );
+    await client.query(
+      `INSERT INTO experiment_plate_wells (plate_id, well_row, well_column, well_type, specimen_id, label)
+       SELECT $1, w.well_row, w.well_column, w.well_type, w.specimen_id, w.label
+       FROM jsonb_to_recordset($2::jsonb)
+         AS w(well_row INTEGER, well_column INTEGER, well_type VARCHAR, specimen_id UUID, label VARCHAR)
+       ON CONFLICT (plate_id, well_row, well_column) DO UPDATE
+       SET well_type = EXCLUDED.well_type, specimen_id = EXCLUDED.specimen_id, label = EXCLUDED.label
+       WHERE (experiment_plate_wells.well_type, experiment_plate_wells.specimen_id, experiment_plate_wells.label)
+         IS DISTINCT FROM (EXCLUDED.well_type, EXCLUDED.specimen_id, EXCLUDED.label)`,
+      [plateId, layout]
+    );
+  }
+
+  return getPlate(client, experimentId, plateId);
+};
+
+/**
+ * Remove a plate and its layout from an experiment
+ */
+const deletePlate = async (client, experimentId, plateId, user) => {
+  const experiment = await loadExperiment(client, experimentId);
+  await assertCanEditLayout(client, experiment, user);
+  const result = await client.query(
+    'DELETE FROM experiment_plates WHERE id = $1 AND experiment_id = $2 RETURNING id, name',
+    [plateId, experimentId]
+  );
+  if (result.rows.length === 0) {
+    throw plateError('Plate not found', 404);
+  }
+  return result.rows[0];
+};
+
+/**
+ * Empty the wells of specimens that were taken out of an experiment's samples
+ */
+const clearRemovedSpecimens = (client, experimentId, sampleIds) =>
+  client.query(
+    `DELETE FROM experiment_plate_wells w
+     USING experiment_plates p
+     WHERE w.plate_id = p.id
+       AND p.experiment_id = $1
+       AND w.specimen_id IS NOT NULL
+       AND NOT ($2::jsonb ? w.specimen_id::text)`,
+    [experimentId, JSON.stringify(sampleIds)]
+  );
+
+/**
+ * A plate map as CSV: one line per filled well ('list', what liquid handlers import), or the
+ * plate drawn as rows A.. by columns 1.. ('grid', for printing)
+ */
+const plateMapCsv = (plate, layout = 'list') => {
+  if (layout === 'grid') {
+    const cells = new Map(plate.wells.map(well => [
+      well.well,
+      well.well_type === 'specimen'
+        ? String(well.specimen_number ?? well.tube_id ?? '')
+        : well.label || WELL_TYPE_CODES[well.well_type]
+    ]));
+    const columns = Array.from({ length: plate.num_columns }, (_, i) => i + 1);
+    const rows = Array.from({ length: plate.num_rows }, (_, i) => {
+      const row = String.fromCharCode(65 + i);
+      return [row, ...columns.map(column => cells.get(`${row}${column}`) || '')];
+    });
+    return stringify([['', ...columns], ...rows]);
+  }
+
+  return stringify(plate.wells.map(well => ({
+    well: well.well,
+    row: String.fromCharCode(64 + well.well_row),
+    column: well.well_column,
+    well_type: well.well_type,
+    specimen_number: well.specimen_number ?? '',
+    tube_id: well.tube_id ?? '',
+    label: well.label ?? ''
+  })), {
+    header: true,
+    columns: ['well', 'row', 'column', 'well_type', 'specimen_number', 'tube_id', 'label']
+  });
+};
+
+module.exports = {
+  PLATE_FORMATS,
+  WELL_TYPES,
+  wellLabel,
+  parseWellLabel,
+  normalizeWells,
+  normalizeLayout,
+  fillLayout,
+  listPlates,
+  getPlate,
+  createPlate,
+  updatePlate,
+  deletePlate,
+  createPlateFromLayout,
+  clearRemovedSpecimens,
+  plateMapCsv
+};
@@ -0,0 +1,136 @@
+const { PROJECT_ACCESS } = require('../config/constants');
+const { can } = require('./permissionService');
+
+const accessError = (message, status = 403) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Users with project:view_all work across every project without being members
+ */
+const hasGlobalProjectAccess = (user) => can(user, 'project:view_all');
+
+const roleAtLeast = (role, minRole) =>
+  PROJECT_ACCESS.ROLES.indexOf(role) >= PROJECT_ACCESS.ROLES.indexOf(minRole);
+
+const memberProjects = (paramIndex, minRole = 'viewer') => {
+  const roles = PROJECT_ACCESS.ROLES.slice(PROJECT_ACCESS.ROLES.indexOf(minRole));
+  const roleFilter = roles.length < PROJECT_ACCESS.ROLES.length
+    ? ` AND role IN (${roles.map(role => `'${role}'`).join(', ')})`
+    : '';
+  return `SELECT project_id FROM project_members WHERE user_id = $${paramIndex}${roleFilter}`;
+};
+
+/**
+ * SQL condition limiting a project id column to the projects the user can see,
+ * or holds at least minRole on
+ * @param {Object} user - req.user
+ * @param {string} column - Project id column, e.g. 's.project_id'
+ * @param {number} paramIndex - Placeholder number to use for the user id
+ * @returns {{condition: string, params: Array}} 'TRUE' with no params for global users
+ */
+const projectScope = (user, column, paramIndex, minRole = 'viewer') => (hasGlobalProjectAccess(user)
+  ? { condition: 'TRUE', params: [] }
+  : { condition: `${column} IN (${memberProjects(paramIndex, minRole)})`, params: [user.id] });
+
+/**
+ * SQL condition limiting a patient id column to patients with specimens in the user's
+ * projects. Patients with no specimens yet belong to no project and stay visible, so
+ * specimens can still be registered against them.
+ */
+const patientScope = (user, column, paramIndex) => (hasGlobalProjectAccess(user)
+  ? { condition: 'TRUE', params: [] }
+  : {
+    condition: `(${column} IN (SELECT patient_id FROM specimens WHERE project_id IN (${memberProjects(paramIndex)}))
+      OR NOT EXISTS (SELECT 1 FROM specimens WHERE patient_id = ${column}))`,
+    params: [user.id]
+  });
+
+/**
+ * The user's role on a project; global users count as owners
+ * @returns {Promise<string|null>} null when the user is not a member
+ */
+const getProjectRole = async (client, user, projectId) => {
+  if (hasGlobalProjectAccess(user)) return 'owner';
+
+  const result = await client.query(
+    'SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2',
+    [projectId, user.id]
+  );
+  return result.rows[0]?.role || null;
+};
+
+/**
+ * Throw a 403 unless the user holds at least minRole on every one of the projects
+ * @param {string|string[]} projectIds
+ */
+const assertProjectAccess = async (client, user, projectIds, minRole = 'viewer') => {
+  const ids = [...new Set([].concat(projectIds).filter(Boolean))];
+  if (hasGlobalProjectAccess(user) || ids.length === 0) return;
+
+  const result = await client.query(
+    'SELECT project_id, role FROM project_members WHERE user_id = $1 AND project_id = ANY($2::uuid[])',
+    [user.id, ids]
+  );
+  const roles = new Map(result.rows.map(row => [row.project_id, row.role]));
+
+  if (ids.some(id => !roles.has(id))) {
+    throw accessError('You do not have access to this project');
+  }
+  if (ids.some(id => !roleAtLeast(roles.get(id), minRole))) {
+    throw accessError(`This requires ${minRole} access to the project`);
+  }
+};
+
+/**
+ * Throw a 403 unless the user holds at least minRole on the projects of all the specimens.
+ * Unknown specimen ids are ignored so callers can still answer with their own 404.
+ * @param {string|string[]} specimenIds
+ */
+const assertSpecimenAccess = async (client, user, specimenIds, minRole = 'viewer') => {
+  const ids = [...new Set([].concat(specimenIds).filter(Boolean))];
+  if (hasGlobalProjectAccess(user) || ids.length === 0) return;
+
+  const result = await client.query(
+    'SELECT DISTINCT project_id FROM specimens WHERE id = ANY($1::uuid[])',
+    [ids]
+  );
+  await assertProjectAccess(client, user, result.rows.map(row => row.project_id), minRole);
+};
+
+/**
+ * Throw a 403 unless the user holds at least minRole on one of the projects the patient
+ * has specimens in. Patients without specimens are open to everyone (see patientScope).
+ */
+const assertPatientAccess = async (client, user, patientId, minRole = 'viewer') => {
+  if (hasGlobalProjectAccess(user) || !patientId) return;
+
+  const result = await client.query(
+    `SELECT pm.role
+     FROM (SELECT DISTINCT project_id FROM specimens WHERE patient_id = $1) sp
+     LEFT JOIN project_members pm ON pm.project_id = sp.project_id AND pm.user_id = $2`,
+    [patientId, user.id]
+  );
+  if (result.rows.length === 0) return;
+
+  const roles = result.rows.map(row => row.role).filter(Boolean);
+  if (roles.length === 0) {
+    throw accessError('You do not have access to this patient');
+  }
+  if (!roles.some(role => roleAtLeast(role, minRole))) {
+    throw accessError(`This requires ${minRole} access to one of the patient's projects`);
+  }
+};
+
+module.exports = {
+  hasGlobalProjectAccess,
+  roleAtLeast,
+  projectScope,
+  patientScope,
+  getProjectRole,
+  assertProjectAccess,
+  assertSpecimenAccess,
+  assertPatientAccess
+};
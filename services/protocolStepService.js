@@ -0,0 +1,100 @@
+const stepError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const optionalText = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+/**
+ * Check and tidy a protocol's structured steps
+ * @param {Array<Object>} steps - { title, instructions, duration_minutes, parameters: [{ name, unit, target }] }
+ * @returns {Array<Object>} the steps with blank fields removed
+ */
+const normalizeSteps = (steps) => {
+  if (!Array.isArray(steps)) {
+    throw stepError('Steps must be an array');
+  }
+
+  return steps.map((step, index) => {
+    const label = `Step ${index + 1}`;
+    const title = optionalText(step && step.title);
+    if (!title) {
+      throw stepError(`${label} needs a title`);
+    }
+
+    let duration = null;
+    if (step.duration_minutes !== undefined && step.duration_minutes !== null && step.duration_minutes !== '') {
+      duration = Number(step.duration_minutes);
+      if (!Number.isFinite(duration) || duration <= 0) {
+        throw stepError(`${label}: duration must be a positive number of minutes`);
+      }
+    }
+
+    const parameters = step.parameters || [];
+    if (!Array.isArray(parameters)) {
+      throw stepError(`${label}: parameters must be an array`);
+    }
+    const names = new Set();
+    const normalizedParameters = parameters.map(parameter => {
+      const name = optionalText(parameter && parameter.name);
+      if (!name) {
+        throw stepError(`${label}: every parameter needs a name`);
+      }
+      if (names.has(name.toLowerCase())) {
+        throw stepError(`${label}: parameter "${name}" is listed twice`);
+      }
+      names.add(name.toLowerCase());
+      return { name, unit: optionalText(parameter.unit), target: optionalText(parameter.target) };
+    });
+
+    return {
+      title,
+      instructions: optionalText(step.instructions),
+      duration_minutes: duration,
+      parameters: normalizedParameters
+    };
+  });
+};
+
+/**
+ * Steps for a protocol that only has basic_steps text: one per non-blank line, without
+ * its "1." or "-" prefix
+ */
+const stepsFromText = (text) => (text ? String(text).split(/\r?\n/) : [])
+  .map(line => line.trim().replace(/^(step\s*)?\d+\s*[.):-]\s*|^[-*•]\s*/i, '').trim())
+  .filter(Boolean)
+  .map(title => ({ title, instructions: null, duration_minutes: null, parameters: [] }));
+
+/**
+ * basic_steps text for structured steps, so text search, reports and version diffs cover them
+ */
+const formatStepsText = (steps) => steps.map((step, index) => {
+  const lines = [`${index + 1}. ${step.title}${step.duration_minutes ? ` (${step.duration_minutes} min)` : ''}`];
+  if (step.instructions) {
+    lines.push(...step.instructions.split(/\r?\n/).map(line => `   ${line}`));
+  }
+  step.parameters.forEach(parameter => {
+    const details = [parameter.unit, parameter.target && `target ${parameter.target}`].filter(Boolean).join(', ');
+    lines.push(`   Record: ${parameter.name}${details ? ` (${details})` : ''}`);
+  });
+  return lines.join('\n');
+}).join('\n');
+
+/**
+ * A protocol's (or protocol version's) steps: the structured ones, else its text split up
+ */
+const stepsFor = (protocol) => (Array.isArray(protocol.steps) && protocol.steps.length > 0
+  ? protocol.steps
+  : stepsFromText(protocol.basic_steps));
+
+module.exports = {
+  normalizeSteps,
+  stepsFromText,
+  formatStepsText,
+  stepsFor
+};
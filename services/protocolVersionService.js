@@ -0,0 +1,178 @@
+const versionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Describe the protocol version that the next insert or content change in this transaction
+ * creates. The record_protocol_version trigger reads these settings, which end with the
+ * transaction.
+ * @param {Object} description - { changeSummary, branchedFromVersionId }
+ */
+const describeNextVersion = (client, { changeSummary, branchedFromVersionId } = {}) => client.query(
+  `SELECT set_config('app.protocol_change_summary', $1, true),
+          set_config('app.protocol_branched_from', $2, true)`,
+  [changeSummary || '', branchedFromVersionId || '']
+);
+
+/**
+ * A protocol's versions, newest first, with who made each and how many experiments used it
+ */
+const listVersions = async (client, protocolId) => {
+  const result = await client.query(
+    `SELECT pv.id, pv.version_number, pv.version_label, pv.name, pv.change_summary,
+            pv.created_by, pv.created_at, u.username AS created_by_username,
+            u.first_name AS created_by_first_name, u.last_name AS created_by_last_name,
+            pv.branched_from_version_id, bv.version_number AS branched_from_version_number,
+            bp.id AS branched_from_protocol_id, bp.name AS branched_from_protocol_name,
+            (SELECT COUNT(*) FROM experiments e WHERE e.protocol_version_id = pv.id)::int AS experiment_count
+     FROM protocol_versions pv
+     LEFT JOIN users u ON pv.created_by = u.id
+     LEFT JOIN protocol_versions bv ON pv.branched_from_version_id = bv.id
+     LEFT JOIN protocols bp ON bv.protocol_id = bp.id
+     WHERE pv.protocol_id = $1
+     ORDER BY pv.version_number DESC`,
+    [protocolId]
+  );
+  if (result.rows.length === 0) {
+    throw versionError('Protocol not found', 404);
+  }
+  return result.rows;
+};
+
+/**
+ * One version of a protocol with its full content
+ */
+const getVersion = async (client, protocolId, versionNumber) => {
+  const result = await client.query(
+    `SELECT pv.*, u.username AS created_by_username,
+            u.first_name AS created_by_first_name, u.last_name AS created_by_last_name
+     FROM protocol_versions pv
+     LEFT JOIN users u ON pv.created_by = u.id
+     WHERE pv.protocol_id = $1 AND pv.version_number = $2`,
+    [protocolId, versionNumber]
+  );
+  if (result.rows.length === 0) {
+    throw versionError(`Version ${versionNumber} of this protocol was not found`, 404);
+  }
+  return result.rows[0];
+};
+
+const splitLines = (text) => (text ? String(text).replace(/\r\n?/g, '\n').split('\n') : []);
+
+/**
+ * Line diff of two texts as side-by-side rows. Removed lines followed by added ones are
+ * paired up as changed rows.
+ * @returns {Array<Object>} { type: same|changed|removed|added, left, right }
+ */
+const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Longest common subsequence lengths of every pair of suffixes
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = k < removed.length ? removed[k] : null;
+      const right = k < added.length ? added[k] : null;
+      rows.push({ type: left === null ? 'added' : right === null ? 'removed' : 'changed', left, right });
+    }
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      rows.push({ type: 'same', left: a[i], right: b[j] });
+      i++;
+      j++;
+    } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      removed.push(a[i++]);
+    } else {
+      added.push(b[j++]);
+    }
+  }
+  flush();
+
+  return rows;
+};
+
+const reagentKey = (reagent) => String(reagent.name || '').trim().toLowerCase();
+
+/**
+ * Compare two reagent lists by reagent name
+ * @returns {Array<Object>} { name, status: same|changed|removed|added, before, after, changed_fields }
+ */
+const diffReagents = (before = [], after = []) => {
+  const afterByName = new Map((after || []).map(reagent => [reagentKey(reagent), reagent]));
+  const beforeNames = new Set();
+
+  const rows = (before || []).map(reagent => {
+    const key = reagentKey(reagent);
+    beforeNames.add(key);
+    const match = afterByName.get(key);
+    if (!match) {
+      return { name: reagent.name, status: 'removed', before: reagent, after: null, changed_fields: [] };
+    }
+    const fields = [...new Set([...Object.keys(reagent), ...Object.keys(match)])].filter(field => field !== 'name');
+    const changedFields = fields.filter(field => JSON.stringify(reagent[field] ?? null) !== JSON.stringify(match[field] ?? null));
+    return {
+      name: match.name,
+      status: changedFields.length > 0 ? 'changed' : 'same',
+      before: reagent,
+      after: match,
+      changed_fields: changedFields
+    };
+  });
+
+  (after || []).forEach(reagent => {
+    if (!beforeNames.has(reagentKey(reagent))) {
+      rows.push({ name: reagent.name, status: 'added', before: null, after: reagent, changed_fields: [] });
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Differences between two versions of a protocol
+ * @returns {Promise<Object>} { from, to, fields, steps, reagents }
+ */
+const diffVersions = async (client, protocolId, fromVersion, toVersion) => {
+  const from = await getVersion(client, protocolId, fromVersion);
+  const to = await getVersion(client, protocolId, toVersion);
+
+  const fields = ['name', 'version_label', 'description']
+    .filter(field => (from[field] ?? '') !== (to[field] ?? ''))
+    .map(field => ({ field, before: from[field], after: to[field] }));
+
+  return {
+    from,
+    to,
+    fields,
+    steps: diffLines(from.basic_steps, to.basic_steps),
+    reagents: diffReagents(from.required_reagents, to.required_reagents)
+  };
+};
+
+module.exports = {
+  describeNextVersion,
+  listVersions,
+  getVersion,
+  diffLines,
+  diffReagents,
+  diffVersions
+};
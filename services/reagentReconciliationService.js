@@ -0,0 +1,384 @@
+// Units a reagent quantity can be converted between, scaled to µL or µg
+const UNIT_SCALES = {
+  l: ['volume', 1e6],
+  liter: ['volume', 1e6],
+  liters: ['volume', 1e6],
+  ml: ['volume', 1e3],
+  milliliter: ['volume', 1e3],
+  milliliters: ['volume', 1e3],
+  'µl': ['volume', 1],
+  'μl': ['volume', 1],
+  ul: ['volume', 1],
+  microliter: ['volume', 1],
+  microliters: ['volume', 1],
+  g: ['mass', 1e6],
+  mg: ['mass', 1e3],
+  'µg': ['mass', 1],
+  'μg': ['mass', 1],
+  ug: ['mass', 1]
+};
+
+// Statuses whose inventory has been consumed, and so say how much was really used
+const CONSUMING_STATUSES = ['completed', 'failed'];
+
+// Runs a protocol needs before overage and dead-volume suggestions are made
+const MIN_RUNS = 3;
+
+// Share of runs the suggested overage factor should have covered
+const OVERAGE_PERCENTILE = 0.9;
+
+const reconciliationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round = (value, places = 3) =>
+  (value === null || value === undefined ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+/**
+ * Total of a protocol reagent for a number of samples, as calculate-reagents works it out;
+ * null for "As needed" quantities
+ */
+const reagentTotal = (quantityPerSample, sampleCount) =>
+  (typeof quantityPerSample === 'number' ? round(quantityPerSample * sampleCount) : null);
+
+/**
+ * Convert a quantity between units of the same kind (mL -> µL); null when they cannot be compared.
+ * A quantity is taken as it is for a reagent listed without a unit.
+ */
+const convertQuantity = (quantity, fromUnit, toUnit) => {
+  const value = parseFloat(quantity);
+  if (isNaN(value)) return null;
+  const from = String(fromUnit || '').trim().toLowerCase();
+  const to = String(toUnit || '').trim().toLowerCase();
+  if (!to || from === to) return value;
+
+  const [fromKind, fromScale] = UNIT_SCALES[from] || [];
+  const [toKind, toScale] = UNIT_SCALES[to] || [];
+  if (!fromKind || fromKind !== toKind) return null;
+  return (value * fromScale) / toScale;
+};
+
+/**
+ * Which protocol reagent an inventory transaction drew on: the name recorded with the
+ * experiment's usage for that item, else a reagent whose name the item's name contains
+ */
+const matchReagent = (reagents, transaction, namesByInventory) => {
+  const recorded = (namesByInventory[transaction.inventory_id] || '').toLowerCase();
+  const itemName = (transaction.inventory_name || '').toLowerCase();
+  return reagents.find(reagent => reagent.name.toLowerCase() === recorded)
+    || reagents.find(reagent => itemName.includes(reagent.name.toLowerCase()));
+};
+
+/**
+ * Compare one experiment's calculated reagent requirements with what was reserved and consumed.
+ * Quantities are given in the protocol's unit for each reagent; lots whose unit cannot be
+ * converted are listed with unit_mismatch and left out of the reagent totals.
+ *
+ * @param {Object} experiment - status, sample_ids, required_reagents (of its protocol version), actual_reagents_used
+ * @param {Array} transactions - the experiment's inventory transactions with inventory name and lot
+ */
+const reconcileExperiment = (experiment, transactions) => {
+  const sampleCount = (experiment.sample_ids || []).length;
+  const consumed = CONSUMING_STATUSES.includes(experiment.status);
+
+  const reagents = (experiment.required_reagents || []).map(reagent => ({
+    name: reagent.name,
+    unit: reagent.unit || null,
+    quantity_per_sample: reagent.quantity_per_sample ?? null,
+    calculated: reagentTotal(reagent.quantity_per_sample, sampleCount),
+    reserved: 0,
+    consumed: 0,
+    planned: true,
+    lots: []
+  }));
+
+  const namesByInventory = {};
+  (experiment.actual_reagents_used || []).forEach(usage => {
+    if (usage.inventory_id && usage.reagent_name) namesByInventory[usage.inventory_id] = usage.reagent_name;
+  });
+
+  transactions.forEach(transaction => {
+    let reagent = matchReagent(reagents, transaction, namesByInventory);
+    if (!reagent) {
+      reagent = {
+        name: transaction.inventory_name,
+        unit: transaction.reserved_unit || transaction.transaction_unit || transaction.unit_of_measure,
+        quantity_per_sample: null,
+        calculated: null,
+        reserved: 0,
+        consumed: 0,
+        planned: false,
+        lots: []
+      };
+      reagents.push(reagent);
+    }
+
+    const reservedAmount = transaction.reserved_quantity ?? Math.abs(transaction.quantity_change);
+    const reservedUnit = transaction.reserved_unit || transaction.transaction_unit;
+    const wasConsumed = ['consumed', 'completed'].includes(transaction.transaction_status);
+    const reserved = convertQuantity(reservedAmount, reservedUnit, reagent.unit);
+    const used = wasConsumed
+      ? convertQuantity(Math.abs(transaction.quantity_change), transaction.transaction_unit, reagent.unit)
+      : 0;
+    const unitMismatch = reserved === null || used === null;
+
+    reagent.lots.push({
+      inventory_id: transaction.inventory_id,
+      inventory_number: transaction.inventory_number,
+      name: transaction.inventory_name,
+      lot_number: transaction.lot_number || null,
+      status: transaction.transaction_status,
+      reserved: round(reserved),
+      consumed: round(used),
+      variance: wasConsumed && !unitMismatch ? round(used - reserved) : null,
+      unit_mismatch: unitMismatch
+    });
+    if (!unitMismatch) {
+      reagent.reserved += reserved;
+      reagent.consumed += used;
+    }
+  });
+
+  return {
+    sample_count: sampleCount,
+    consumption_recorded: consumed,
+    reagents: reagents.map(reagent => {
+      const variance = consumed && reagent.calculated !== null ? reagent.consumed - reagent.calculated : null;
+      return {
+        ...reagent,
+        reserved: round(reagent.reserved),
+        consumed: round(reagent.consumed),
+        variance: round(variance),
+        variance_percent: variance !== null && reagent.calculated > 0 ? round((variance / reagent.calculated) * 100, 1) : null
+      };
+    })
+  };
+};
+
+/**
+ * Overage factor and dead volume that would have covered a protocol's past runs of a reagent.
+ * The factor is the consumed/calculated ratio that OVERAGE_PERCENTILE of runs stayed within;
+ * the dead volume is the per-run intercept of consumption against sample count.
+ * @param {Array} runs - { sample_count, calculated, consumed } per experiment
+ */
+const suggestAllowance = (runs) => {
+  const usable = runs.filter(run => run.calculated > 0 && run.consumed > 0);
+  if (usable.length < MIN_RUNS) {
+    return { overage_factor: null, dead_volume: null, runs_needed: MIN_RUNS - usable.length };
+  }
+
+  const ratios = usable.map(run => run.consumed / run.calculated).sort((a, b) => a - b);
+  const index = Math.min(ratios.length - 1, Math.ceil(OVERAGE_PERCENTILE * ratios.length) - 1);
+  const overageFactor = Math.max(1, Math.ceil(ratios[index] * 100) / 100);
+
+  // Least-squares line through consumption by sample count; needs runs of different sizes
+  let deadVolume = null;
+  let perSample = null;
+  const counts = usable.map(run => run.sample_count);
+  if (new Set(counts).size > 1) {
+    const meanCount = counts.reduce((sum, count) => sum + count, 0) / usable.length;
+    const meanConsumed = usable.reduce((sum, run) => sum + run.consumed, 0) / usable.length;
+    const covariance = usable.reduce((sum, run) => sum + (run.sample_count - meanCount) * (run.consumed - meanConsumed), 0);
+    const variance = usable.reduce((sum, run) => sum + (run.sample_count - meanCount) ** 2, 0);
+    perSample = covariance / variance;
+    deadVolume = Math.max(0, meanConsumed - perSample * meanCount);
+  }
+
+  return {
+    overage_factor: overageFactor,
+    dead_volume: round(deadVolume),
+    fitted_quantity_per_sample: round(perSample),
+    runs_needed: 0
+  };
+};
+
+/**
+ * Roll up the reconciliations of a protocol's experiments by reagent and by lot, with the
+ * allowance each reagent's history suggests
+ * @param {Array} protocolReagents - the protocol's current required_reagents
+ * @param {Array} experiments - { experiment, reconciliation } per experiment
+ */
+const summarizeProtocol = (protocolReagents, experiments) => {
+  const byName = new Map();
+  const entryFor = (name, unit) => {
+    const key = name.toLowerCase();
+    if (!byName.has(key)) {
+      const current = (protocolReagents || []).find(reagent => reagent.name.toLowerCase() === key);
+      byName.set(key, {
+        name: current ? current.name : name,
+        unit: current ? current.unit || null : unit,
+        quantity_per_sample: current ? current.quantity_per_sample ?? null : null,
+        in_current_version: Boolean(current),
+        calculated: 0,
+        reserved: 0,
+        consumed: 0,
+        runs: [],
+        lots: new Map()
+      });
+    }
+    return byName.get(key);
+  };
+
+  (protocolReagents || []).forEach(reagent => entryFor(reagent.name, reagent.unit));
+
+  experiments.forEach(({ experiment, reconciliation }) => {
+    reconciliation.reagents.forEach(reagent => {
+      const entry = entryFor(reagent.name, reagent.unit);
+      // Runs logged in another unit than the current protocol's are converted when possible
+      const scale = convertQuantity(1, reagent.unit, entry.unit) ?? (reagent.unit === entry.unit ? 1 : null);
+      if (scale === null) return;
+
+      const calculated = reagent.calculated === null ? null : reagent.calculated * scale;
+      entry.calculated += calculated || 0;
+      entry.reserved += reagent.reserved * scale;
+      entry.consumed += reagent.consumed * scale;
+      entry.runs.push({
+        experiment_id: experiment.id,
+        experiment_number: experiment.experiment_id,
+        sample_count: reconciliation.sample_count,
+        calculated: round(calculated),
+        consumed: round(reagent.consumed * scale)
+      });
+
+      reagent.lots.filter(lot => !lot.unit_mismatch).forEach(lot => {
+        const lotEntry = entry.lots.get(lot.inventory_id) || {
+          inventory_id: lot.inventory_id,
+          inventory_number: lot.inventory_number,
+          name: lot.name,
+          lot_number: lot.lot_number,
+          experiments: 0,
+          reserved: 0,
+          consumed: 0
+        };
+        lotEntry.experiments += 1;
+        lotEntry.reserved += lot.reserved * scale;
+        lotEntry.consumed += lot.consumed * scale;
+        entry.lots.set(lot.inventory_id, lotEntry);
+      });
+    });
+  });
+
+  return Array.from(byName.values()).map(entry => {
+    const variance = entry.calculated > 0 ? entry.consumed - entry.calculated : null;
+    const suggestion = suggestAllowance(entry.runs);
+    return {
+      ...entry,
+      calculated: round(entry.calculated),
+      reserved: round(entry.reserved),
+      consumed: round(entry.consumed),
+      variance: round(variance),
+      variance_percent: variance !== null ? round((variance / entry.calculated) * 100, 1) : null,
+      lots: Array.from(entry.lots.values()).map(lot => ({
+        ...lot,
+        reserved: round(lot.reserved),
+        consumed: round(lot.consumed),
+        variance: round(lot.consumed - lot.reserved)
+      })),
+      suggestion: {
+        ...suggestion,
+        quantity_per_sample: suggestion.overage_factor && typeof entry.quantity_per_sample === 'number'
+          ? round(entry.quantity_per_sample * suggestion.overage_factor)
+          : null
+      }
+    };
+  });
+};
+
+const TRANSACTION_QUERY = `
+  SELECT t.id, t.experiment_id, t.inventory_id, t.transaction_status, t.quantity_change,
+         t.transaction_unit, t.reserved_quantity, t.reserved_unit, t.transaction_date,
+         i.name AS inventory_name, i.inventory_id AS inventory_number, i.lot_number, i.unit_of_measure
+  FROM inventory_transactions t
+  JOIN inventory i ON t.inventory_id = i.id
+  WHERE t.experiment_id = ANY($1::uuid[])
+  ORDER BY t.transaction_date, t.id`;
+
+const EXPERIMENT_QUERY = `
+  SELECT e.id, e.experiment_id, e.status, e.date_performed, e.sample_ids, e.actual_reagents_used,
+         e.protocol_id, p.name AS protocol_name, pv.version_number AS protocol_version_number,
+         COALESCE(pv.required_reagents, p.required_reagents) AS required_reagents
+  FROM experiments e
+  JOIN protocols p ON e.protocol_id = p.id
+  LEFT JOIN protocol_versions pv ON e.protocol_version_id = pv.id`;
+
+/**
+ * Reconciliation report for one experiment
+ */
+const getExperimentReconciliation = async (client, experimentId) => {
+  const result = await client.query(`${EXPERIMENT_QUERY} WHERE e.id = $1`, [experimentId]);
+  if (result.rows.length === 0) {
+    throw reconciliationError('Experiment not found', 404);
+  }
+  const experiment = result.rows[0];
+  const transactions = await client.query(TRANSACTION_QUERY, [[experimentId]]);
+
+  return {
+    experiment: {
+      id: experiment.id,
+      experiment_id: experiment.experiment_id,
+      status: experiment.status,
+      date_performed: experiment.date_performed,
+      protocol_id: experiment.protocol_id,
+      protocol_name: experiment.protocol_name,
+      protocol_version_number: experiment.protocol_version_number
+    },
+    ...reconcileExperiment(experiment, transactions.rows)
+  };
+};
+
+/**
+ * Reconciliation report across a protocol's completed and failed experiments
+ * @param {Object} filters - date_from and date_to on date_performed
+ */
+const getProtocolReconciliation = async (client, protocolId, { dateFrom = null, dateTo = null } = {}) => {
+  const protocol = await client.query(
+    'SELECT id, name, required_reagents, current_version FROM protocols WHERE id = $1',
+    [protocolId]
+  );
+  if (protocol.rows.length === 0) {
+    throw reconciliationError('Protocol not found', 404);
+  }
+
+  const experiments = await client.query(
+    `${EXPERIMENT_QUERY}
+     WHERE e.protocol_id = $1
+       AND e.status = ANY($2::text[])
+       AND ($3::date IS NULL OR e.date_performed >= $3::date)
+       AND ($4::date IS NULL OR e.date_performed <= $4::date)
+     ORDER BY e.date_performed, e.experiment_id`,
+    [protocolId, CONSUMING_STATUSES, dateFrom, dateTo]
+  );
+  const transactions = await client.query(TRANSACTION_QUERY, [experiments.rows.map(e => e.id)]);
+
+  const reconciled = experiments.rows.map(experiment => ({
+    experiment,
+    reconciliation: reconcileExperiment(
+      experiment,
+      transactions.rows.filter(transaction => transaction.experiment_id === experiment.id)
+    )
+  }));
+
+  return {
+    protocol: {
+      id: protocol.rows[0].id,
+      name: protocol.rows[0].name,
+      current_version: protocol.rows[0].current_version
+    },
+    experiment_count: reconciled.length,
+    min_runs_for_suggestions: MIN_RUNS,
+    reagents: summarizeProtocol(protocol.rows[0].required_reagents, reconciled)
+  };
+};
+
+module.exports = {
+  CONSUMING_STATUSES,
+  reagentTotal,
+  convertQuantity,
+  reconcileExperiment,
+  suggestAllowance,
+  summarizeProtocol,
+  getExperimentReconciliation,
+  getProtocolReconciliation
+};
@@ -0,0 +1,283 @@
+const RECEIPT_ITEM_STATUSES = ['expected', 'checked_in', 'missing', 'extra'];
+
+const receivingError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Counts for a receipt's items; a tube is a discrepancy if it is missing, extra or damaged
+ */
+const summarizeItems = (items) => {
+  const summary = {
+    expected: 0,
+    checked_in: 0,
+    outstanding: 0,
+    missing: 0,
+    extra: 0,
+    damaged: 0
+  };
+
+  items.forEach(item => {
+    if (item.status !== 'extra') summary.expected++;
+    if (item.status === 'checked_in') summary.checked_in++;
+    if (item.status === 'expected') summary.outstanding++;
+    if (item.status === 'missing') summary.missing++;
+    if (item.status === 'extra') summary.extra++;
+    if (item.damaged) summary.damaged++;
+  });
+
+  summary.discrepancies = summary.missing + summary.extra + summary.damaged;
+  return summary;
+};
+
+const getReceipt = async (client, receiptId) => {
+  const result = await client.query(
+    `SELECT r.*, p.project_number, p.disease, p.collaborator_id,
+            receiver.username AS received_by_username,
+            committer.username AS committed_by_username
+     FROM specimen_receipts r
+     JOIN projects p ON r.project_id = p.id
+     LEFT JOIN users receiver ON r.received_by = receiver.id
+     LEFT JOIN users committer ON r.committed_by = committer.id
+     WHERE r.id = $1`,
+    [receiptId]
+  );
+  return result.rows[0] || null;
+};
+
+const getReceiptItems = async (client, receiptId) => {
+  const result = await client.query(
+    `SELECT i.*, u.username AS checked_in_by_username, s.specimen_number
+     FROM specimen_receipt_items i
+     LEFT JOIN users u ON i.checked_in_by = u.id
+     LEFT JOIN specimens s ON i.specimen_id = s.id
+     WHERE i.receipt_id = $1
+     ORDER BY i.manifest_row NULLS LAST, i.checked_in_at`,
+    [receiptId]
+  );
+  return result.rows;
+};
+
+const lockOpenReceipt = async (client, receiptId) => {
+  const result = await client.query('SELECT * FROM specimen_receipts WHERE id = $1 FOR UPDATE', [receiptId]);
+  if (result.rows.length === 0) {
+    throw receivingError('Receipt not found', 404);
+  }
+  const receipt = result.rows[0];
+  if (receipt.status !== 'open') {
+    throw receivingError(`Receipt has already been ${receipt.status}`, 409);
+  }
+  return receipt;
+};
+
+/**
+ * Open a receipt from parsed manifest rows ({ tube_id, _rowNumber, ...fields })
+ */
+const createReceipt = async (client, {
+  projectId,
+  dateReceived = null,
+  manifestFilename = null,
+  notes = null,
+  rows,
+  userId
+}) => {
+  const seen = new Set();
+  const repeated = new Set();
+  rows.forEach(row => {
+    if (seen.has(row.tube_id)) repeated.add(row.tube_id);
+    seen.add(row.tube_id);
+  });
+  if (repeated.size > 0) {
+    throw receivingError(`Manifest lists tube IDs more than once: ${[...repeated].join(', ')}`);
+  }
+
+  const tubeIds = rows.map(row => row.tube_id);
+  const existing = await client.query(
+    'SELECT tube_id FROM specimens WHERE project_id = $1 AND tube_id = ANY($2::text[])',
+    [projectId, tubeIds]
+  );
+  if (existing.rows.length > 0) {
+    throw receivingError(
+      `Tubes already exist in this project: ${existing.rows.map(r => r.tube_id).join(', ')}`,
+      409
+    );
+  }
+
+  const result = await client.query(
+    `INSERT INTO specimen_receipts (project_id, date_received, manifest_filename, notes, received_by)
+     VALUES ($1, COALESCE($2::date, CURRENT_DATE), $3, $4, $5)
+     RETURNING *`,
+    [projectId, dateReceived, manifestFilename, notes, userId]
+  );
+  const receipt = result.rows[0];
+
+  await client.query(
+    `INSERT INTO specimen_receipt_items (receipt_id, tube_id, manifest_row, manifest_data)
+     SELECT $1, UNNEST($2::text[]), UNNEST($3::integer[]), UNNEST($4::jsonb[])`,
+    [
+      receipt.id,
+      tubeIds,
+      rows.map(row => row._rowNumber || null),
+      rows.map(({ _rowNumber, ...data }) => JSON.stringify(data))
+    ]
+  );
+
+  return receipt;
+};
+
+/**
+ * Check in a scanned tube; barcodes not on the manifest are recorded as extra
+ */
+const checkInTube = async (client, receiptId, {
+  tubeId,
+  damaged = false,
+  conditionNotes = null,
+  userId
+}) => {
+  const scanned = String(tubeId || '').trim();
+  if (!scanned) {
+    throw receivingError('Tube ID is required');
+  }
+
+  await lockOpenReceipt(client, receiptId);
+
+  const existing = await client.query(
+    'SELECT * FROM specimen_receipt_items WHERE receipt_id = $1 AND tube_id = $2',
+    [receiptId, scanned]
+  );
+
+  if (existing.rows.length === 0) {
+    const extra = await client.query(
+      `INSERT INTO specimen_receipt_items
+      (receipt_id, tube_id, status, damaged, condition_notes, checked_in_by, checked_in_at)
+      VALUES ($1, $2, 'extra', $3, $4, $5, CURRENT_TIMESTAMP)
+      RETURNING *`,
+      [receiptId, scanned, Boolean(damaged), conditionNotes, userId]
+    );
+    return extra.rows[0];
+  }
+
+  if (existing.rows[0].status !== 'expected') {
+    throw receivingError(`Tube ${scanned} has already been checked in`, 409);
+  }
+
+  const result = await client.query(
+    `UPDATE specimen_receipt_items
+     SET status = 'checked_in', damaged = $2, condition_notes = $3,
+         checked_in_by = $4, checked_in_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [existing.rows[0].id, Boolean(damaged), conditionNotes, userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Flag or unflag damage on a tube, or undo its check-in (extra tubes are removed)
+ */
+const updateReceiptItem = async (client, receiptId, itemId, { damaged, conditionNotes, undo = false }) => {
+  await lockOpenReceipt(client, receiptId);
+
+  const existing = await client.query(
+    'SELECT * FROM specimen_receipt_items WHERE id = $1 AND receipt_id = $2',
+    [itemId, receiptId]
+  );
+  if (existing.rows.length === 0) {
+    throw receivingError('Receipt item not found', 404);
+  }
+  const item = existing.rows[0];
+
+  if (undo) {
+    if (item.status === 'extra') {
+      await client.query('DELETE FROM specimen_receipt_items WHERE id = $1', [item.id]);
+      return null;
+    }
+    const result = await client.query(
+      `UPDATE specimen_receipt_items
+       SET status = 'expected', damaged = false, condition_notes = NULL,
+           checked_in_by = NULL, checked_in_at = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [item.id]
+    );
+    return result.rows[0];
+  }
+
+  if (item.status === 'expected' && damaged) {
+    throw receivingError(`Check in tube ${item.tube_id} before flagging it as damaged`);
+  }
+
+  const result = await client.query(
+    `UPDATE specimen_receipt_items
+     SET damaged = COALESCE($2, damaged), condition_notes = COALESCE($3, condition_notes)
+     WHERE id = $1
+     RETURNING *`,
+    [item.id, damaged === undefined ? null : Boolean(damaged), conditionNotes === undefined ? null : conditionNotes]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Close the receipt: tubes never scanned become missing, and each undamaged checked-in
+ * tube is handed to createSpecimen(manifestData, item), which returns the new specimen's id.
+ * The project's date_received is set from the first committed receipt.
+ */
+const commitReceipt = async (client, receiptId, { userId, createSpecimen }) => {
+  const receipt = await lockOpenReceipt(client, receiptId);
+
+  const itemsResult = await client.query(
+    'SELECT * FROM specimen_receipt_items WHERE receipt_id = $1 ORDER BY manifest_row NULLS LAST',
+    [receiptId]
+  );
+  const accepted = itemsResult.rows.filter(item => item.status === 'checked_in' && !item.damaged);
+  if (accepted.length === 0) {
+    throw receivingError('No undamaged tubes have been checked in');
+  }
+
+  await client.query(
+    `UPDATE specimen_receipt_items SET status = 'missing'
+     WHERE receipt_id = $1 AND status = 'expected'`,
+    [receiptId]
+  );
+
+  for (const item of accepted) {
+    const specimenId = await createSpecimen(item.manifest_data || { tube_id: item.tube_id }, item);
+    await client.query(
+      'UPDATE specimen_receipt_items SET specimen_id = $1 WHERE id = $2',
+      [specimenId, item.id]
+    );
+  }
+
+  const result = await client.query(
+    `UPDATE specimen_receipts
+     SET status = 'committed', committed_by = $2, committed_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [receiptId, userId]
+  );
+
+  await client.query(
+    'UPDATE projects SET date_received = COALESCE(date_received, $2) WHERE id = $1',
+    [receipt.project_id, receipt.date_received]
+  );
+
+  const items = await getReceiptItems(client, receiptId);
+  return {
+    receipt: result.rows[0],
+    created: accepted.length,
+    summary: summarizeItems(items)
+  };
+};
+
+module.exports = {
+  RECEIPT_ITEM_STATUSES,
+  summarizeItems,
+  getReceipt,
+  getReceiptItems,
+  createReceipt,
+  checkInTube,
+  updateReceiptItem,
+  commitReceipt
+};
@@ -1,5 +1,6 @@
 const db = require('../db');
 const logger = require('../utils/logger');
+const { hasGlobalProjectAccess, projectScope } = require('./projectAccessService');
 
 /**
  * Extract WUID from facility sample name
@@ -328,9 +329,26 @@ const getSpecimenSequencingData = async (specimenId) => {
 };
 
 /**
- * Get all sequencing runs
+ * SQL condition on a sequencing_runs row (aliased sr). Runs span projects, so users without
+ * global access only see runs holding at least one sample from their projects.
  */
-const getSequencingRuns = async () => {
+const runScope = (user, paramIndex) => {
+  const scope = projectScope(user, 'scoped.project_id', paramIndex);
+  if (hasGlobalProjectAccess(user)) return scope;
+  return {
+    condition: `EXISTS (
+      SELECT 1 FROM sequencing_samples scoped_ss
+      JOIN specimens scoped ON scoped_ss.specimen_id = scoped.id
+      WHERE scoped_ss.sequencing_run_id = sr.id AND ${scope.condition})`,
+    params: scope.params
+  };
+};
+
+/**
+ * Get all sequencing runs visible to the user
+ */
+const getSequencingRuns = async (user) => {
+  const scope = runScope(user, 1);
   const result = await db.query(
     `SELECT sr.*,
        COUNT(ss.id) as sample_count,
@@ -339,17 +357,21 @@ const getSequencingRuns = async () => {
        SUM(CASE WHEN ss.link_status = 'failed' THEN 1 ELSE 0 END) as failed_count
      FROM sequencing_runs sr
      LEFT JOIN sequencing_samples ss ON sr.id = ss.sequencing_run_id
+     WHERE ${scope.condition}
      GROUP BY sr.id
-     ORDER BY sr.run_number DESC`
+     ORDER BY sr.run_number DESC`,
+    scope.params
   );
 
   return result.rows;
 };
 
 /**
- * Get sequencing samples for a run
+ * Get the sequencing samples of a run from the projects the user can see
  */
-const getRunSequencingSamples = async (runId) => {
+const getRunSequencingSamples = async (runId, user) => {
+  // Unlinked samples have no project, so only users with global access see them
+  const scope = projectScope(user, 's.project_id', 2);
   const result = await db.query(
     `SELECT ss.*, s.specimen_number, s.tube_id,
        p.project_number, c.pi_name
@@ -358,17 +380,19 @@ const getRunSequencingSamples = async (runId) => {
      LEFT JOIN projects p ON s.project_id = p.id
      LEFT JOIN collaborators c ON p.collaborator_id = c.id
      WHERE ss.sequencing_run_id = $1
+       AND ${scope.condition}
      ORDER BY ss.wuid`,
-    [runId]
+    [runId, ...scope.params]
   );
 
   return result.rows;
 };
 
 /**
- * Get a single sequencing run by ID
+ * Get a single sequencing run by ID, or null when it doesn't exist or the user can't see it
  */
-const getSequencingRun = async (runId) => {
+const getSequencingRun = async (runId, user) => {
+  const scope = runScope(user, 2);
   const result = await db.query(
     `SELECT sr.*,
        COUNT(ss.id) as sample_count,
@@ -378,8 +402,9 @@ const getSequencingRun = async (runId) => {
      FROM sequencing_runs sr
      LEFT JOIN sequencing_samples ss ON sr.id = ss.sequencing_run_id
      WHERE sr.id = $1
+       AND ${scope.condition}
      GROUP BY sr.id`,
-    [runId]
+    [runId, ...scope.params]
   );
 
   return result.rows.length > 0 ? result.rows[0] : null;
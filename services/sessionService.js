@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const db = require('../db');
+const logger = require('../utils/logger');
+const { SESSIONS } = require('../config/constants');
+
+// A rotated refresh token presented again after this long revokes its session
+const REUSE_GRACE_SECONDS = 30;
+
+// Session columns that are safe to return; never the token hashes
+const SESSION_COLUMNS = 'id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+const sessionError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const audit = (client, userId, action, recordId, changes) => client.query(
+  `INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+   VALUES ($1, $2, $3, $4, $5)`,
+  [userId, action, 'user_sessions', recordId, JSON.stringify(changes)]
+);
+
+/**
+ * Start a session after a successful login
+ * @param {Object} meta - userAgent and ip of the login request
+ * @returns {Promise<Object>} { sessionId, refreshToken }
+ */
+const createSession = async (client, userId, { userAgent, ip } = {}) => {
+  const refreshToken = newRefreshToken();
+  const result = await client.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+     RETURNING id`,
+    [userId, hashToken(refreshToken), (userAgent || '').slice(0, 255) || null, ip || null,
+      SESSIONS.REFRESH_TOKEN_LIFETIME_DAYS]
+  );
+  return { sessionId: result.rows[0].id, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one. Presenting a token that was already rotated
+ * means it was copied, so the whole session is revoked; within a short grace period it is
+ * more likely two browser tabs refreshing at once, and the request is only refused.
+ * @returns {Promise<Object|null>} { sessionId, refreshToken, user } with the user's current
+ *   row, or null when the token is not valid (commit anyway: the session may have been revoked)
+ */
+const refreshSession = async (client, refreshToken, { ip } = {}) => {
+  const tokenHash = hashToken(refreshToken || '');
+
+  const reused = await client.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'token_reuse'
+     WHERE previous_token_hash = $1 AND revoked_at IS NULL
+       AND last_used_at < CURRENT_TIMESTAMP - make_interval(secs => $2)
+     RETURNING id, user_id`,
+    [tokenHash, REUSE_GRACE_SECONDS]
+  );
+  if (reused.rows.length > 0) {
+    const { id, user_id: userId } = reused.rows[0];
+    logger.warn('Refresh token reused; session revoked', { sessionId: id, userId, ip });
+    await audit(client, userId, 'REVOKE_SESSION', id, { reason: 'token_reuse', ip });
+    return null;
+  }
+
+  const result = await client.query(
+    `SELECT s.id AS session_id, u.id, u.username, u.role, u.active, u.totp_enabled
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.refresh_token_hash = $1
+       AND s.revoked_at IS NULL
+       AND s.expires_at > CURRENT_TIMESTAMP
+     FOR UPDATE OF s`,
+    [tokenHash]
+  );
+  const row = result.rows[0];
+  if (!row || !row.active) {
+    return null;
+  }
+
+  const nextToken = newRefreshToken();
+  await client.query(
+    `UPDATE user_sessions
+     SET refresh_token_hash = $1, previous_token_hash = $2, last_used_at = CURRENT_TIMESTAMP,
+         ip_address = COALESCE($3, ip_address)
+     WHERE id = $4`,
+    [hashToken(nextToken), tokenHash, ip || null, row.session_id]
+  );
+
+  const { session_id: sessionId, ...user } = row;
+  return { sessionId, refreshToken: nextToken, user };
+};
+
+/**
+ * Whether an access token's session is still usable. Checked on every request so that
+ * revocation takes effect immediately rather than when the access token expires.
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const result = await db.query(
+    `SELECT 1
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.id = $1 AND s.user_id = $2
+       AND s.revoked_at IS NULL
+       AND s.expires_at > CURRENT_TIMESTAMP
+       AND u.active = TRUE`,
+    [sessionId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * A user's active sessions, most recently used first
+ */
+const listSessions = async (client, userId) => {
+  const result = await client.query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Revoke one of the user's own sessions
+ */
+const revokeSession = async (client, userId, sessionId, reason = 'logout') => {
+  const result = await client.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId, reason]
+  );
+  if (result.rows.length === 0) {
+    throw sessionError('Session not found', 404);
+  }
+  await audit(client, userId, 'REVOKE_SESSION', sessionId, { reason });
+};
+
+/**
+ * Revoke every session of a user, e.g. on deactivation, password or role change
+ * @param {Object} options - exceptSessionId keeps the caller's own session; revokedBy for the audit log
+ * @returns {Promise<number>} sessions revoked
+ */
+const revokeAllSessions = async (client, userId, reason, { exceptSessionId = null, revokedBy = userId } = {}) => {
+  const result = await client.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id <> $3::uuid)
+     RETURNING id`,
+    [userId, reason, exceptSessionId]
+  );
+  if (result.rows.length > 0) {
+    await audit(client, revokedBy, 'REVOKE_ALL_SESSIONS', userId, { reason, count: result.rows.length });
+  }
+  return result.rows.length;
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
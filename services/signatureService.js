@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const logger = require('../utils/logger');
+const { can } = require('./permissionService');
+const oidcService = require('./oidcService');
+const { ESIGNATURES, LOGIN } = require('../config/constants');
+
+// Fields a signature covers. Bookkeeping such as timestamps and is_active is left out, so
+// deactivating a signed protocol doesn't count as changing what was signed.
+const SIGNED_FIELDS = {
+  protocols: ['protocol_id', 'name', 'description', 'version', 'required_reagents', 'basic_steps', 'steps', 'revision'],
+  experiments: [
+    'experiment_id', 'protocol_id', 'user_id', 'date_performed', 'status', 'sample_ids',
+    'actual_reagents_used', 'notes', 'instrument_id', 'revision'
+  ]
+};
+
+const RECORD_NAMES = { protocols: 'protocol', experiments: 'experiment' };
+
+const signatureError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// JSON with object keys sorted, so the same content always gives the same hash
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * SHA-256 of a record's signed content
+ */
+const contentHash = (content) => crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+
+/**
+ * The record and its signed fields. Read as JSON so dates hash the same whatever the
+ * server's time zone.
+ * @returns {Promise<Object>} { row, content }
+ */
+const loadRecord = async (client, table, recordId, { forUpdate = false } = {}) => {
+  if (!SIGNED_FIELDS[table]) {
+    throw signatureError('Records of this kind cannot be signed');
+  }
+  const result = await client.query(
+    `SELECT to_jsonb(t) AS row FROM ${table} t WHERE t.id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [recordId]
+  );
+  if (result.rows.length === 0) {
+    const name = RECORD_NAMES[table];
+    throw signatureError(`${name.charAt(0).toUpperCase()}${name.slice(1)} not found`, 404);
+  }
+  const { row } = result.rows[0];
+  return { row, content: Object.fromEntries(SIGNED_FIELDS[table].map(field => [field, row[field] ?? null])) };
+};
+
+/**
+ * Whether the user may change the record, and so start a new revision or sign as its author
+ */
+const canEdit = (user, table, row) => (table === 'protocols'
+  ? can(user, 'protocol:edit')
+  : row.user_id === user.id || can(user, 'experiment:edit_any'));
+
+const canSign = (user, table, row, meaning) => (meaning === 'authored'
+  ? canEdit(user, table, row)
+  : can(user, ESIGNATURES.MEANING_PERMISSIONS[meaning]));
+
+const audit = (client, userId, action, table, recordId, changes) => client.query(
+  `INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+   VALUES ($1, $2, $3, $4, $5)`,
+  [userId, action, table, recordId, JSON.stringify(changes)]
+);
+
+/**
+ * Check the password a signer re-entered. Wrong passwords count towards the login lockout;
+ * they are written on the pool, outside the caller's transaction, so its rollback keeps them.
+ * @returns {Promise<Object>} the signer's user row
+ */
+const verifySigner = async (userId, password) => {
+  const result = await db.query(
+    `SELECT id, username, first_name, last_name, password, active, locked_until,
+            is_service_account, oidc_subject
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  const signer = result.rows[0];
+
+  if (!signer || !signer.active || signer.is_service_account) {
+    throw signatureError('This account cannot sign records', 403);
+  }
+  if (oidcService.localPasswordDisabled(signer)) {
+    throw signatureError('This account signs in with single sign-on and has no password to sign with', 403);
+  }
+  if (signer.locked_until && new Date(signer.locked_until) > new Date()) {
+    throw signatureError('Account is locked due to multiple failed login attempts', 403);
+  }
+
+  if (!(await bcrypt.compare(password || '', signer.password))) {
+    const attempts = await db.query(
+      `UPDATE users
+       SET failed_login_attempts = failed_login_attempts + 1,
+           locked_until = CASE WHEN failed_login_attempts + 1 >= $2
+                               THEN CURRENT_TIMESTAMP + make_interval(mins => $3)
+                               ELSE locked_until END
+       WHERE id = $1
+       RETURNING failed_login_attempts`,
+      [userId, LOGIN.MAX_FAILED_ATTEMPTS, LOGIN.LOCKOUT_DURATION_MINUTES]
+    );
+    const remaining = LOGIN.MAX_FAILED_ATTEMPTS - attempts.rows[0].failed_login_attempts;
+    logger.warn('Failed signature password', { userId, remaining: Math.max(0, remaining) });
+    throw signatureError(remaining > 0
+      ? `Incorrect password. ${remaining} attempts remaining before account lockout.`
+      : `Account locked due to ${LOGIN.MAX_FAILED_ATTEMPTS} failed login attempts. Try again in ${LOGIN.LOCKOUT_DURATION_MINUTES} minutes.`);
+  }
+
+  return signer;
+};
+
+/**
+ * Sign the record's current revision. The signature holds the signed content and its hash.
+ * @param {Object} signing - { table, recordId, meaning, password, comment, user, ip }
+ * @returns {Promise<Object>} the signature
+ */
+const signRecord = async (client, { table, recordId, meaning, password, comment, user, ip }) => {
+  if (!ESIGNATURES.MEANINGS.includes(meaning)) {
+    throw signatureError(`Signature meaning must be one of: ${ESIGNATURES.MEANINGS.join(', ')}`);
+  }
+
+  const { row, content } = await loadRecord(client, table, recordId, { forUpdate: true });
+  if (!canSign(user, table, row, meaning)) {
+    throw signatureError(`You are not allowed to sign this ${RECORD_NAMES[table]} as ${meaning}`, 403);
+  }
+
+  let signer;
+  try {
+    signer = await verifySigner(user.id, password);
+  } catch (err) {
+    await audit(db, user.id, 'SIGN_FAILED', table, recordId, { meaning, revision: content.revision, reason: err.message });
+    throw err;
+  }
+
+  const existing = await client.query(
+    `SELECT meaning, signed_by FROM electronic_signatures
+     WHERE table_name = $1 AND record_id = $2 AND revision = $3`,
+    [table, recordId, content.revision]
+  );
+  if (existing.rows.some(signature => signature.meaning === meaning && signature.signed_by === user.id)) {
+    throw signatureError(`You have already signed revision ${content.revision} as ${meaning}`, 409);
+  }
+  if (meaning !== 'authored' &&
+      existing.rows.some(signature => signature.meaning === 'authored' && signature.signed_by === user.id)) {
+    throw signatureError('The author of a revision cannot also review or approve it', 403);
+  }
+
+  const hash = contentHash(content);
+  const signerName = [signer.first_name, signer.last_name].filter(Boolean).join(' ') || signer.username;
+  const result = await client.query(
+    `INSERT INTO electronic_signatures
+     (table_name, record_id, revision, meaning, content_hash, signed_content, comment, signed_by, signer_name, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id, table_name, record_id, revision, meaning, content_hash, comment, signed_by, signer_name, signed_at`,
+    [table, recordId, content.revision, meaning, hash, JSON.stringify(content), comment || null, user.id, signerName, ip || null]
+  );
+  const signature = result.rows[0];
+
+  await audit(client, user.id, 'SIGN', table, recordId, {
+    signature_id: signature.id,
+    meaning,
+    revision: content.revision,
+    content_hash: hash
+  });
+
+  return signature;
+};
+
+/**
+ * All signatures on a record. Each says whether its stored content still matches its hash
+ * (intact) and whether it covers the record as it is now (current).
+ * @returns {Promise<Object>} { revision, content_hash, locked, signatures }
+ */
+const getSignatures = async (client, table, recordId) => {
+  const { content } = await loadRecord(client, table, recordId);
+  const hash = contentHash(content);
+  const result = await client.query(
+    `SELECT s.id, s.revision, s.meaning, s.content_hash, s.signed_content, s.comment,
+            s.signed_by, s.signer_name, s.signed_at, u.username
+     FROM electronic_signatures s
+     LEFT JOIN users u ON s.signed_by = u.id
+     WHERE s.table_name = $1 AND s.record_id = $2
+     ORDER BY s.signed_at, s.id`,
+    [table, recordId]
+  );
+
+  const signatures = result.rows.map(({ signed_content: signedContent, ...signature }) => ({
+    ...signature,
+    intact: contentHash(signedContent) === signature.content_hash,
+    current: signature.content_hash === hash
+  }));
+
+  return {
+    revision: content.revision,
+    content_hash: hash,
+    locked: signatures.some(signature => signature.revision === content.revision),
+    signatures
+  };
+};
+
+/**
+ * Refuse changes to a record that is signed at its current revision
+ */
+const assertEditable = async (client, table, recordId) => {
+  const result = await client.query(
+    `SELECT 1 FROM electronic_signatures s
+     JOIN ${table} t ON t.id = s.record_id AND t.revision = s.revision
+     WHERE s.table_name = $1 AND s.record_id = $2
+     LIMIT 1`,
+    [table, recordId]
+  );
+  if (result.rows.length > 0) {
+    throw signatureError(`This ${RECORD_NAMES[table]} is signed. Start a new revision to change it.`, 409);
+  }
+};
+
+/**
+ * Whether the record was ever signed; signed records are kept rather than deleted
+ */
+const hasSignatures = async (client, table, recordId) => {
+  const result = await client.query(
+    'SELECT 1 FROM electronic_signatures WHERE table_name = $1 AND record_id = $2 LIMIT 1',
+    [table, recordId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Unlock a signed record for editing by moving it to a new revision. The earlier revision's
+ * signatures stay, with the content they signed.
+ * @returns {Promise<Object>} { revision }
+ */
+const startRevision = async (client, table, recordId, user, reason) => {
+  const { row } = await loadRecord(client, table, recordId, { forUpdate: true });
+  if (!canEdit(user, table, row)) {
+    throw signatureError(`Not authorized to edit this ${RECORD_NAMES[table]}`, 403);
+  }
+
+  const signed = await client.query(
+    'SELECT 1 FROM electronic_signatures WHERE table_name = $1 AND record_id = $2 AND revision = $3 LIMIT 1',
+    [table, recordId, row.revision]
+  );
+  if (signed.rows.length === 0) {
+    throw signatureError(`Revision ${row.revision} is not signed and can still be edited`);
+  }
+
+  const result = await client.query(
+    `UPDATE ${table} SET revision = revision + 1 WHERE id = $1 RETURNING revision`,
+    [recordId]
+  );
+  const { revision } = result.rows[0];
+
+  await audit(client, user.id, 'START_REVISION', table, recordId, {
+    from_revision: row.revision,
+    to_revision: revision,
+    reason: reason || null
+  });
+
+  return { revision };
+};
+
+module.exports = {
+  SIGNED_FIELDS,
+  contentHash,
+  signRecord,
+  getSignatures,
+  assertEditable,
+  hasSignatures,
+  startRevision
+};
@@ -0,0 +1,187 @@
+const logger = require('../utils/logger');
+
+const TRANSACTION_TYPES = ['withdrawal', 'return', 'aliquot', 'correction'];
+
+const quantityError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const roundQuantity = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Record a change to a specimen's remaining quantity and write it to the ledger.
+ *
+ * withdrawal and aliquot remove `quantity`, return adds it back and correction sets the
+ * remaining amount to `quantity`. Must run inside the caller's transaction; the specimen
+ * row is locked so concurrent withdrawals cannot overdraw it. used_up is flipped by the
+ * specimens trigger once the remainder reaches zero.
+ *
+ * @returns {Promise<{transaction: object, specimen: object}>}
+ */
+const recordSpecimenTransaction = async (client, {
+  specimenId,
+  transactionType,
+  quantity,
+  reason = null,
+  userId = null,
+  experimentId = null,
+  relatedSpecimenId = null
+}) => {
+  if (!TRANSACTION_TYPES.includes(transactionType)) {
+    throw quantityError(`Invalid transaction type: ${transactionType}`);
+  }
+
+  const amount = parseFloat(quantity);
+  if (isNaN(amount) || amount < 0 || (amount === 0 && transactionType !== 'correction')) {
+    throw quantityError('Quantity must be a positive number');
+  }
+
+  const specimenResult = await client.query(
+    'SELECT id, specimen_number, remaining_quantity FROM specimens WHERE id = $1 FOR UPDATE',
+    [specimenId]
+  );
+  if (specimenResult.rows.length === 0) {
+    throw quantityError('Specimen not found', 404);
+  }
+
+  const specimen = specimenResult.rows[0];
+  const current = specimen.remaining_quantity !== null ? parseFloat(specimen.remaining_quantity) : null;
+
+  if (current === null && transactionType !== 'correction') {
+    throw quantityError(
+      `Specimen ${specimen.specimen_number} has no recorded quantity; record a correction to set one first`
+    );
+  }
+
+  let quantityAfter;
+  if (transactionType === 'correction') {
+    quantityAfter = roundQuantity(amount);
+  } else if (transactionType === 'return') {
+    quantityAfter = roundQuantity(current + amount);
+  } else {
+    quantityAfter = roundQuantity(current - amount);
+    if (quantityAfter < 0) {
+      throw quantityError(
+        `Insufficient quantity for specimen ${specimen.specimen_number}. Available: ${current}, Requested: ${amount}`
+      );
+    }
+  }
+
+  const updated = await client.query(
+    'UPDATE specimens SET remaining_quantity = $1 WHERE id = $2 RETURNING *',
+    [quantityAfter, specimenId]
+  );
+
+  const transaction = await client.query(
+    `INSERT INTO specimen_transactions
+    (specimen_id, transaction_type, quantity_change, quantity_after, reason,
+     performed_by, experiment_id, related_specimen_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *`,
+    [
+      specimenId,
+      transactionType,
+      roundQuantity(quantityAfter - (current || 0)),
+      quantityAfter,
+      reason,
+      userId,
+      experimentId,
+      relatedSpecimenId
+    ]
+  );
+
+  return { transaction: transaction.rows[0], specimen: updated.rows[0] };
+};
+
+/**
+ * Net volume an experiment currently holds from each specimen (withdrawals minus returns)
+ */
+const getExperimentVolumes = async (client, experimentId) => {
+  const result = await client.query(
+    `SELECT specimen_id, -SUM(quantity_change) AS volume
+     FROM specimen_transactions
+     WHERE experiment_id = $1 AND transaction_type IN ('withdrawal', 'return')
+     GROUP BY specimen_id
+     HAVING SUM(quantity_change) <> 0`,
+    [experimentId]
+  );
+
+  const volumes = {};
+  result.rows.forEach(row => {
+    volumes[row.specimen_id] = parseFloat(row.volume);
+  });
+  return volumes;
+};
+
+/**
+ * Bring the ledger in line with the volumes an experiment says it used, writing
+ * withdrawals for increases and returns for decreases or removed samples.
+ *
+ * @param {object} client - pg client inside an open transaction
+ * @param {object} options
+ * @param {string} options.experimentId - experiments.id
+ * @param {string|number} options.experimentNumber - shown in ledger reasons
+ * @param {Object<string, number>} options.volumes - specimen id -> total volume used
+ * @param {string} options.userId - user performing the change
+ */
+const syncExperimentVolumes = async (client, { experimentId, experimentNumber, volumes, userId }) => {
+  const recorded = await getExperimentVolumes(client, experimentId);
+  const specimenIds = new Set([...Object.keys(recorded), ...Object.keys(volumes)]);
+  const transactions = [];
+
+  for (const specimenId of specimenIds) {
+    const target = roundQuantity(parseFloat(volumes[specimenId]) || 0);
+    const difference = roundQuantity(target - (recorded[specimenId] || 0));
+    if (difference === 0) continue;
+
+    const { transaction } = await recordSpecimenTransaction(client, {
+      specimenId,
+      transactionType: difference > 0 ? 'withdrawal' : 'return',
+      quantity: Math.abs(difference),
+      reason: `Experiment ${experimentNumber}`,
+      userId,
+      experimentId
+    });
+    transactions.push(transaction);
+  }
+
+  if (transactions.length > 0) {
+    logger.info('Experiment sample volumes recorded', { experimentId, transactions: transactions.length });
+  }
+  return transactions;
+};
+
+/**
+ * Accepts [{ specimen_id, volume }] and returns { specimenId: volume }, checking every
+ * specimen is one of the experiment's samples
+ */
+const normalizeSampleVolumes = (sampleVolumes, sampleIds) => {
+  if (!Array.isArray(sampleVolumes)) {
+    throw quantityError('sample_volumes must be an array');
+  }
+
+  const volumes = {};
+  sampleVolumes.forEach(entry => {
+    if (!entry || entry.volume === undefined || entry.volume === null || entry.volume === '') return;
+
+    const volume = parseFloat(entry.volume);
+    if (isNaN(volume) || volume < 0) {
+      throw quantityError('Sample volumes must be non-negative numbers');
+    }
+    if (!sampleIds.includes(entry.specimen_id)) {
+      throw quantityError('Sample volumes can only be recorded for samples in this experiment');
+    }
+    volumes[entry.specimen_id] = volume;
+  });
+  return volumes;
+};
+
+module.exports = {
+  TRANSACTION_TYPES,
+  recordSpecimenTransaction,
+  getExperimentVolumes,
+  syncExperimentVolumes,
+  normalizeSampleVolumes
+};
@@ -0,0 +1,262 @@
+const db = require('../db');
+const logger = require('../utils/logger');
+
+const DEFAULT_BOX_SIZE = 9;
+const MAX_BOX_ROWS = 26;
+const MAX_BOX_COLUMNS = 48;
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ */
+const storageError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const clean = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value).trim();
+};
+
+/**
+ * Convert a well coordinate to a 1-based index
+ * Example: "A" -> 1, "c" -> 3, "12" -> 12
+ */
+const parseWellCoordinate = (value) => {
+  const cleaned = clean(value).toUpperCase();
+  if (!cleaned) return null;
+
+  if (/^[A-Z]$/.test(cleaned)) {
+    return cleaned.charCodeAt(0) - 64;
+  }
+  if (/^\d{1,3}$/.test(cleaned)) {
+    const parsed = parseInt(cleaned, 10);
+    return parsed > 0 ? parsed : null;
+  }
+  return null;
+};
+
+/**
+ * Row label shown on box grids (1 -> "A")
+ */
+const rowLabel = (row) => String.fromCharCode(64 + row);
+
+/**
+ * Whether a database error is the one-specimen-per-well unique index firing
+ */
+const isWellConflictError = (error) =>
+  !!error && error.code === '23505' && error.constraint === 'idx_specimens_storage_well';
+
+const findOrCreate = async (client, { table, scopeColumn, scopeValue, name, autoCreate, label, insertColumns = {} }) => {
+  const params = [name];
+  let scopeClause = '';
+  if (scopeColumn) {
+    params.push(scopeValue);
+    scopeClause = ` AND ${scopeColumn} = $2`;
+  }
+
+  const existing = await client.query(
+    `SELECT * FROM ${table} WHERE LOWER(TRIM(name)) = LOWER($1)${scopeClause}`,
+    params
+  );
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+
+  if (!autoCreate) {
+    throw storageError(`Unknown ${label} "${name}"`);
+  }
+
+  const columns = { name, ...insertColumns };
+  if (scopeColumn) columns[scopeColumn] = scopeValue;
+  const keys = Object.keys(columns);
+  const created = await client.query(
+    `INSERT INTO ${table} (${keys.join(', ')})
+     VALUES (${keys.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    keys.map(key => columns[key])
+  );
+  logger.info(`Created ${label} during specimen position resolution`, { name, id: created.rows[0].id });
+  return created.rows[0];
+};
+
+/**
+ * Validate a specimen's freezer/rack/box/well against the storage hierarchy.
+ *
+ * Accepts the legacy position_* fields and returns them normalized to the stored
+ * entity names, together with storage_box_id, storage_row and storage_column.
+ * Throws an error with status 400 for unknown or malformed positions and 409 when
+ * the well already holds another specimen.
+ *
+ * @param {object} client - pg client (or the db module) to run queries on
+ * @param {object} fields - position_freezer, position_rack, position_box, position_dimension_one, position_dimension_two
+ * @param {object} options - specimenId to ignore when checking occupancy; autoCreate to create missing
+ *                           freezers, racks and boxes (legacy migrations only)
+ */
+const resolveSpecimenPosition = async (client, fields = {}, { specimenId = null, autoCreate = false } = {}) => {
+  const freezerName = clean(fields.position_freezer);
+  const rackName = clean(fields.position_rack);
+  const boxName = clean(fields.position_box);
+  const rowValue = clean(fields.position_dimension_one);
+  const columnValue = clean(fields.position_dimension_two);
+
+  const resolved = {
+    position_freezer: null,
+    position_rack: null,
+    position_box: null,
+    position_dimension_one: null,
+    position_dimension_two: null,
+    storage_box_id: null,
+    storage_row: null,
+    storage_column: null
+  };
+
+  if (!freezerName && !rackName && !boxName && !rowValue && !columnValue) {
+    return resolved;
+  }
+
+  if (!freezerName) throw storageError('A freezer is required when a storage position is given');
+  if (boxName && !rackName) throw storageError('A rack is required when a box is given');
+  if ((rowValue || columnValue) && !boxName) throw storageError('A box is required when a well position is given');
+  if ((rowValue && !columnValue) || (!rowValue && columnValue)) {
+    throw storageError('Both a row and a column are required for a well position');
+  }
+
+  const row = rowValue ? parseWellCoordinate(rowValue) : null;
+  const column = columnValue ? parseWellCoordinate(columnValue) : null;
+  if (rowValue && !row) throw storageError(`Invalid well row "${rowValue}"`);
+  if (columnValue && !column) throw storageError(`Invalid well column "${columnValue}"`);
+
+  const freezer = await findOrCreate(client, {
+    table: 'storage_freezers',
+    name: freezerName,
+    autoCreate,
+    label: 'freezer'
+  });
+  resolved.position_freezer = freezer.name;
+
+  if (!rackName) return resolved;
+
+  const rack = await findOrCreate(client, {
+    table: 'storage_racks',
+    scopeColumn: 'freezer_id',
+    scopeValue: freezer.id,
+    name: rackName,
+    autoCreate,
+    label: `rack in freezer "${freezer.name}"`
+  });
+  resolved.position_rack = rack.name;
+
+  if (!boxName) return resolved;
+
+  const box = await findOrCreate(client, {
+    table: 'storage_boxes',
+    scopeColumn: 'rack_id',
+    scopeValue: rack.id,
+    name: boxName,
+    autoCreate,
+    label: `box in rack "${rack.name}"`,
+    insertColumns: {
+      num_rows: Math.min(MAX_BOX_ROWS, Math.max(DEFAULT_BOX_SIZE, row || 0)),
+      num_columns: Math.min(MAX_BOX_COLUMNS, Math.max(DEFAULT_BOX_SIZE, column || 0))
+    }
+  });
+  resolved.position_box = box.name;
+  resolved.storage_box_id = box.id;
+
+  if (!row) return resolved;
+
+  if (row > box.num_rows || column > box.num_columns) {
+    throw storageError(
+      `Well ${rowValue.toUpperCase()}${columnValue} is outside box "${box.name}" (${box.num_rows} x ${box.num_columns})`
+    );
+  }
+
+  const occupant = await client.query(
+    `SELECT id, specimen_number, tube_id FROM specimens
+     WHERE storage_box_id = $1 AND storage_row = $2 AND storage_column = $3
+       AND ($4::uuid IS NULL OR id <> $4::uuid)
+     LIMIT 1`,
+    [box.id, row, column, specimenId]
+  );
+  if (occupant.rows.length > 0) {
+    const holder = occupant.rows[0];
+    throw storageError(
+      `Well ${rowValue.toUpperCase()}${columnValue} in box "${box.name}" is already occupied by specimen ${holder.specimen_number || holder.tube_id || holder.id}`,
+      409
+    );
+  }
+
+  resolved.position_dimension_one = rowValue.toUpperCase();
+  resolved.position_dimension_two = columnValue.toUpperCase();
+  resolved.storage_row = row;
+  resolved.storage_column = column;
+  return resolved;
+};
+
+/**
+ * Box with its rack/freezer names and a row-major grid of wells
+ */
+const getBoxGrid = async (boxId) => {
+  const boxResult = await db.query(
+    `SELECT b.*, r.name AS rack_name, r.freezer_id, f.name AS freezer_name,
+            sh.name AS shelf_name
+     FROM storage_boxes b
+     JOIN storage_racks r ON b.rack_id = r.id
+     JOIN storage_freezers f ON r.freezer_id = f.id
+     LEFT JOIN storage_shelves sh ON r.shelf_id = sh.id
+     WHERE b.id = $1`,
+    [boxId]
+  );
+  if (boxResult.rows.length === 0) return null;
+
+  const box = boxResult.rows[0];
+  const specimensResult = await db.query(
+    `SELECT s.id, s.specimen_number, s.tube_id, s.storage_row, s.storage_column,
+            s.activity_status, s.used_up, p.project_number
+     FROM specimens s
+     LEFT JOIN projects p ON s.project_id = p.id
+     WHERE s.storage_box_id = $1
+     ORDER BY s.storage_row NULLS LAST, s.storage_column NULLS LAST`,
+    [boxId]
+  );
+
+  const occupied = new Map();
+  const unplaced = [];
+  specimensResult.rows.forEach(specimen => {
+    if (specimen.storage_row && specimen.storage_column) {
+      occupied.set(`${specimen.storage_row}:${specimen.storage_column}`, specimen);
+    } else {
+      unplaced.push(specimen);
+    }
+  });
+
+  const wells = [];
+  for (let row = 1; row <= box.num_rows; row++) {
+    for (let column = 1; column <= box.num_columns; column++) {
+      wells.push({
+        row,
+        column,
+        label: `${rowLabel(row)}${column}`,
+        specimen: occupied.get(`${row}:${column}`) || null
+      });
+    }
+  }
+
+  return {
+    box,
+    wells,
+    unplaced,
+    capacity: box.num_rows * box.num_columns,
+    occupied: occupied.size
+  };
+};
+
+module.exports = {
+  parseWellCoordinate,
+  rowLabel,
+  isWellConflictError,
+  resolveSpecimenPosition,
+  getBoxGrid
+};
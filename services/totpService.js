@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { TOTP } = require('../config/constants');
+const { ROLES } = require('../config/permissions');
+const { encrypt, decrypt } = require('../utils/phiEncryption');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const totpError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (text) => {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP.STEP_SECONDS);
+
+/**
+ * The code an authenticator app shows for a secret at a time step (RFC 6238, HMAC-SHA1)
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP.DIGITS).padStart(TOTP.DIGITS, '0');
+};
+
+/**
+ * Find the time step a code belongs to, allowing for clock drift. Steps at or before
+ * lastStep are refused so a code can't be used twice.
+ * @returns {number|null} matched step
+ */
+const matchStep = (secret, code, lastStep = null, now = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP.DIGITS}}$`).test(normalized)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -TOTP.DRIFT_STEPS; drift <= TOTP.DRIFT_STEPS; drift++) {
+    const candidate = step + drift;
+    if (lastStep !== null && candidate <= Number(lastStep)) continue;
+    const expected = generateCode(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: TOTP.RECOVERY_CODE_COUNT }, () => {
+  const code = base32Encode(crypto.randomBytes(5));
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+});
+
+/**
+ * Roles that must use two-factor authentication for password logins. TOTP_REQUIRED_ROLES
+ * (comma separated, empty for none) overrides the default of admins and lab managers.
+ */
+const requiredRoles = () => {
+  if (process.env.TOTP_REQUIRED_ROLES === undefined) return TOTP.DEFAULT_REQUIRED_ROLES;
+  return process.env.TOTP_REQUIRED_ROLES.split(',').map(role => role.trim()).filter(role => ROLES.includes(role));
+};
+
+const isRequiredForRole = (role) => requiredRoles().includes(role);
+
+const audit = (client, userId, action, recordId, changes = {}) => client.query(
+  `INSERT INTO audit_log (user_id, action, table_name, record_id, changed_fields)
+   VALUES ($1, $2, $3, $4, $5)`,
+  [userId, action, 'users', recordId, JSON.stringify(changes)]
+);
+
+const loadUser = async (client, userId) => {
+  const result = await client.query(
+    'SELECT id, username, role, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = $1',
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    throw totpError('User not found', 404);
+  }
+  return result.rows[0];
+};
+
+const replaceRecoveryCodes = async (client, userId) => {
+  const codes = generateRecoveryCodes();
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO user_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::text[])`,
+    [userId, codes.map(hashRecoveryCode)]
+  );
+  return codes;
+};
+
+/**
+ * Check a TOTP code, or failing that a recovery code, for a user with 2FA on. A matching
+ * TOTP code advances totp_last_step; a matching recovery code is used up.
+ * @param {Object} user - users row with totp_secret and totp_last_step
+ * @returns {Promise<string|null>} 'totp', 'recovery_code', or null when the code is wrong
+ */
+const verifySecondFactor = async (client, user, code) => {
+  const step = matchStep(decrypt(user.totp_secret), code, user.totp_last_step);
+  if (step !== null) {
+    // The condition makes two concurrent logins with the same code race to a single winner
+    const updated = await client.query(
+      `UPDATE users SET totp_last_step = $1
+       WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)`,
+      [step, user.id]
+    );
+    return updated.rowCount > 0 ? 'totp' : null;
+  }
+
+  const recovery = await client.query(
+    `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [user.id, hashRecoveryCode(code)]
+  );
+  if (recovery.rows.length > 0) {
+    await audit(client, user.id, 'USE_RECOVERY_CODE', user.id);
+    return 'recovery_code';
+  }
+  return null;
+};
+
+/**
+ * Two-factor status for the settings page
+ */
+const getStatus = async (client, userId) => {
+  const user = await loadUser(client, userId);
+  const remaining = await client.query(
+    'SELECT COUNT(*)::int AS count FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return {
+    enabled: Boolean(user.totp_enabled),
+    required: isRequiredForRole(user.role),
+    recovery_codes_remaining: user.totp_enabled ? remaining.rows[0].count : 0
+  };
+};
+
+/**
+ * Start enrollment with a new secret. It isn't active until confirmEnrollment sees a code from it.
+ * @returns {Promise<Object>} secret, otpauth URL and the URL as a QR code image (data URL)
+ */
+const beginEnrollment = async (client, userId) => {
+  const user = await loadUser(client, userId);
+  if (user.totp_enabled) {
+    throw totpError('Two-factor authentication is already on');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await client.query(
+    'UPDATE users SET totp_secret = $1, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [encrypt(secret), userId]
+  );
+
+  const label = encodeURIComponent(`${TOTP.ISSUER}:${user.username}`);
+  const otpauthUrl = `otpauth://totp/${label}?${new URLSearchParams({
+    secret,
+    issuer: TOTP.ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP.DIGITS),
+    period: String(TOTP.STEP_SECONDS)
+  })}`;
+
+  return { secret, otpauth_url: otpauthUrl, qr_code: await QRCode.toDataURL(otpauthUrl) };
+};
+
+/**
+ * Turn 2FA on once the user proves their app has the secret
+ * @returns {Promise<string[]>} recovery codes, shown to the user once
+ */
+const confirmEnrollment = async (client, userId, code) => {
+  const user = await loadUser(client, userId);
+  if (user.totp_enabled) {
+    throw totpError('Two-factor authentication is already on');
+  }
+  if (!user.totp_secret) {
+    throw totpError('Start two-factor setup first');
+  }
+
+  const step = matchStep(decrypt(user.totp_secret), code);
+  if (step === null) {
+    throw totpError('That code is not correct. Check the time on your device and try again.');
+  }
+
+  await client.query(
+    `UPDATE users SET totp_enabled = TRUE, totp_last_step = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [step, userId]
+  );
+  const codes = await replaceRecoveryCodes(client, userId);
+  await audit(client, userId, 'ENABLE_TOTP', userId);
+  return codes;
+};
+
+const requireCurrentCode = async (client, user, code) => {
+  if (!user.totp_enabled) {
+    throw totpError('Two-factor authentication is not on');
+  }
+  if (!await verifySecondFactor(client, user, code)) {
+    throw totpError('That code is not correct');
+  }
+};
+
+/**
+ * Replace all recovery codes; needs a current code
+ */
+const regenerateRecoveryCodes = async (client, userId, code) => {
+  const user = await loadUser(client, userId);
+  await requireCurrentCode(client, user, code);
+  const codes = await replaceRecoveryCodes(client, userId);
+  await audit(client, userId, 'REGENERATE_RECOVERY_CODES', userId);
+  return codes;
+};
+
+const clearTotp = async (client, userId) => {
+  await client.query(
+    `UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId]
+  );
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+/**
+ * Turn off the user's own 2FA; needs a current code, and isn't allowed for roles that require it
+ */
+const disable = async (client, userId, code) => {
+  const user = await loadUser(client, userId);
+  if (isRequiredForRole(user.role)) {
+    throw totpError('Two-factor authentication is required for your role', 403);
+  }
+  await requireCurrentCode(client, user, code);
+  await clearTotp(client, userId);
+  await audit(client, userId, 'DISABLE_TOTP', userId);
+};
+
+/**
+ * Administrator reset for a user who lost their device. Users whose role requires 2FA
+ * are asked to set it up again at their next login.
+ */
+const resetForUser = async (client, userId, resetBy) => {
+  const user = await loadUser(client, userId);
+  if (!user.totp_enabled && !user.totp_secret) {
+    throw totpError('This user has not set up two-factor authentication');
+  }
+  await clearTotp(client, userId);
+  await audit(client, resetBy, 'RESET_TOTP', userId, { username: user.username });
+  return user;
+};
+
+module.exports = {
+  generateCode,
+  currentStep,
+  matchStep,
+  isRequiredForRole,
+  verifySecondFactor,
+  getStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disable,
+  resetForUser
+};
@@ -0,0 +1,75 @@
+const { projectScope } = require('./projectAccessService');
+
+const visitError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Recompute days_from_baseline for every dated visit of a patient.
+ * The baseline is the patient's earliest dated visit, so it moves if an earlier visit is added.
+ */
+const recalculateDaysFromBaseline = (client, patientId) =>
+  client.query(
+    `UPDATE patient_visits v
+     SET days_from_baseline = CASE WHEN v.visit_date IS NULL THEN NULL ELSE v.visit_date - b.baseline_date END
+     FROM (SELECT MIN(visit_date) AS baseline_date FROM patient_visits WHERE patient_id = $1) b
+     WHERE v.patient_id = $1`,
+    [patientId]
+  );
+
+/**
+ * Visits with the specimens collected at each, oldest first; undated visits go last.
+ * Only specimens in projects the user can see are listed.
+ */
+const getPatientVisits = async (client, patientId, user) => {
+  const scope = projectScope(user, 's.project_id', 2);
+  const result = await client.query(
+    `SELECT v.*,
+       COALESCE(
+         json_agg(json_build_object(
+           'id', s.id,
+           'specimen_number', s.specimen_number,
+           'tube_id', s.tube_id,
+           'date_collected', s.date_collected,
+           'specimen_type', proj.specimen_type
+         ) ORDER BY s.specimen_number) FILTER (WHERE s.id IS NOT NULL),
+         '[]'
+       ) AS specimens
+     FROM patient_visits v
+     LEFT JOIN specimens s ON s.visit_id = v.id AND ${scope.condition}
+     LEFT JOIN projects proj ON s.project_id = proj.id
+     WHERE v.patient_id = $1
+     GROUP BY v.id
+     ORDER BY v.visit_date ASC NULLS LAST, v.visit_label ASC`,
+    [patientId, ...scope.params]
+  );
+  return result.rows;
+};
+
+/**
+ * Check that a specimen's visit belongs to the specimen's patient.
+ * @returns {Promise<string|null>} the visit id to store, or null when no visit was given
+ */
+const resolveSpecimenVisit = async (client, visitId, patientId) => {
+  if (!visitId) return null;
+  if (!patientId) {
+    throw visitError('A specimen needs a patient before it can be linked to a visit');
+  }
+
+  const result = await client.query('SELECT patient_id FROM patient_visits WHERE id = $1', [visitId]);
+  if (result.rows.length === 0) {
+    throw visitError('Visit not found');
+  }
+  if (result.rows[0].patient_id !== patientId) {
+    throw visitError("Visit does not belong to the specimen's patient");
+  }
+  return visitId;
+};
+
+module.exports = {
+  recalculateDaysFromBaseline,
+  getPatientVisits,
+  resolveSpecimenVisit
+};
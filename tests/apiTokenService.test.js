@@ -0,0 +1,95 @@
+const db = require('../db');
+const {
+  hashToken,
+  createToken,
+  revokeToken,
+  authenticateToken
+} = require('../services/apiTokenService');
+const { can } = require('../services/permissionService');
+
+jest.mock('../db');
+
+const TECH = { id: 'user-1', role: 'lab_technician' };
+const ADMIN = { id: 'admin-1', role: 'admin' };
+
+const TOKENS = [
+  { id: 'token-1', user_id: 'user-1', name: 'laptop', revoked_at: null, is_service_account: false },
+  { id: 'token-2', user_id: 'pipeline', name: 'nightly', revoked_at: null, is_service_account: true }
+];
+
+const mockClient = () => {
+  const client = { inserted: [], audits: [] };
+  client.query = jest.fn(async (sql, params) => {
+    if (sql.includes('INSERT INTO api_tokens')) {
+      client.inserted.push(params);
+      return { rows: [{ id: 'token-new', user_id: params[0], name: params[1], scopes: params[4] }] };
+    }
+    if (sql.includes('FROM api_tokens t') && sql.includes('WHERE t.id = $1')) {
+      return { rows: TOKENS.filter(token => token.id === params[0]) };
+    }
+    if (sql.startsWith('UPDATE api_tokens SET revoked_at')) {
+      return { rows: [{ id: params[0], revoked_at: new Date() }] };
+    }
+    if (sql.includes('INSERT INTO audit_log')) {
+      client.audits.push(params);
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  return client;
+};
+
+describe('apiTokenService', () => {
+  it('should return the token once and store only its hash', async () => {
+    const client = mockClient();
+    const created = await createToken(client, TECH, { name: ' laptop ' }, TECH.id);
+
+    expect(created.token).toMatch(/^lims_[A-Za-z0-9_-]{43}$/);
+    const [userId, name, prefix, hash, scopes, days] = client.inserted[0];
+    expect([userId, name, scopes, days]).toEqual(['user-1', 'laptop', null, 90]);
+    expect(prefix).toBe(created.token.slice(0, 12));
+    expect(hash).toBe(hashToken(created.token));
+    expect(client.inserted[0]).not.toContain(created.token);
+    expect(client.audits[0][1]).toBe('CREATE_API_TOKEN');
+  });
+
+  it('should limit expiry and scopes to what the owner may have', async () => {
+    const client = mockClient();
+    await expect(createToken(client, TECH, { name: 'x', expiresInDays: 400 }, TECH.id))
+      .rejects.toMatchObject({ status: 400, message: 'Tokens must expire within 1 to 365 days' });
+    await expect(createToken(client, TECH, { name: 'x', scopes: ['specimen:edit', 'patient:delete'] }, TECH.id))
+      .rejects.toMatchObject({ message: 'The account does not hold: patient:delete' });
+    await expect(createToken(client, TECH, { name: 'x', scopes: [] }, TECH.id))
+      .rejects.toMatchObject({ status: 400 });
+
+    const scoped = await createToken(client, TECH, { name: 'x', scopes: ['export:data'] }, TECH.id);
+    expect(scoped.scopes).toEqual(['export:data']);
+  });
+
+  it('should let people revoke their own tokens and managers revoke service account tokens', async () => {
+    const client = mockClient();
+    await expect(revokeToken(client, 'token-1', TECH)).resolves.toMatchObject({ id: 'token-1' });
+    await expect(revokeToken(client, 'token-2', TECH)).rejects.toMatchObject({ status: 404 });
+    await expect(revokeToken(client, 'token-1', ADMIN, { canManageServiceAccounts: true }))
+      .rejects.toMatchObject({ status: 404 });
+    await expect(revokeToken(client, 'token-2', ADMIN, { canManageServiceAccounts: true }))
+      .resolves.toMatchObject({ id: 'token-2' });
+    expect(client.audits.map(audit => audit[1])).toEqual(['REVOKE_API_TOKEN', 'REVOKE_API_TOKEN']);
+  });
+
+  it('should act as the token owner, narrowed to the token scopes', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{ token_id: 'token-1', scopes: ['export:data'], id: 'user-1', username: 'tech', role: 'lab_technician', is_service_account: false }]
+    });
+    const user = await authenticateToken('lims_abc');
+
+    expect(db.query.mock.calls[0][1]).toEqual([hashToken('lims_abc')]);
+    expect(user).toMatchObject({ id: 'user-1', apiTokenId: 'token-1', isServiceAccount: false });
+    expect(can(user, 'export:data')).toBe(true);
+    expect(can(user, 'specimen:edit')).toBe(false);
+    expect(can(TECH, 'specimen:edit')).toBe(true);
+
+    db.query.mockResolvedValueOnce({ rows: [] });
+    await expect(authenticateToken('lims_revoked')).resolves.toBeNull();
+  });
+});
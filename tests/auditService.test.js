@@ -0,0 +1,159 @@
+// Connections that remember what was run on them, so the acting-user handling of db can be checked
+const mockConnection = { query: jest.fn(async () => ({ rows: [] })), release: jest.fn() };
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => ({
+    query: jest.fn(async () => ({ rows: [] })),
+    connect: jest.fn(async () => mockConnection)
+  }))
+}));
+
+const db = require('../db');
+const { runAsUser } = require('../utils/requestContext');
+const { verifyChain, sealEntries, normalizeChange, fieldChanges, reconstructRecord } = require('../services/auditService');
+
+// Answers the queries verifyChain makes with the given problem rows, chain totals and anchor hash
+const mockClient = ({ problems = [], head, anchorHash } = {}) => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('WITH chain AS')) {
+      return { rows: problems.map(row => ({ ...row, problem_count: problems.length })) };
+    }
+    if (sql.includes('AS unsealed')) {
+      return { rows: [head || { entries: 0, unsealed: 0, sequence_number: null, entry_hash: null }] };
+    }
+    if (sql.includes('WHERE sequence_number = $1')) {
+      return { rows: anchorHash ? [{ entry_hash: anchorHash }] : [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  })
+});
+
+describe('auditService.verifyChain', () => {
+  const head = { entries: 3, unsealed: 0, sequence_number: '3', entry_hash: 'c'.repeat(64) };
+
+  it('should report an intact chain with its head', async () => {
+    const result = await verifyChain(mockClient({ head }));
+    expect(result).toEqual({
+      valid: true,
+      entries: 3,
+      unsealed: 0,
+      head: { sequence: 3, hash: 'c'.repeat(64) },
+      problems: [],
+      problem_count: 0,
+      anchor_valid: null
+    });
+  });
+
+  it('should list modified and missing entries', async () => {
+    const problems = [
+      { id: 'a2', sequence_number: '2', problem: 'modified' },
+      { id: 'a5', sequence_number: '5', problem: 'entries_missing' }
+    ];
+    const result = await verifyChain(mockClient({ problems, head }));
+    expect(result.valid).toBe(false);
+    expect(result.problem_count).toBe(2);
+    expect(result.problems).toEqual([
+      { id: 'a2', sequence: 2, problem: 'modified' },
+      { id: 'a5', sequence: 5, problem: 'entries_missing' }
+    ]);
+  });
+
+  it('should fail when a recorded entry is gone or changed', async () => {
+    const anchor = { sequence: 7, hash: 'd'.repeat(64) };
+    expect(await verifyChain(mockClient({ head }), anchor)).toMatchObject({ valid: false, anchor_valid: false });
+    expect(await verifyChain(mockClient({ head, anchorHash: 'e'.repeat(64) }), anchor)).toMatchObject({ valid: false });
+    expect(await verifyChain(mockClient({ head, anchorHash: 'd'.repeat(64) }), anchor)).toMatchObject({ valid: true, anchor_valid: true });
+  });
+
+  it('should count entries not yet sealed without failing the check', async () => {
+    expect(await verifyChain(mockClient({ head: { ...head, unsealed: 2 } }))).toMatchObject({ valid: true, entries: 3, unsealed: 2 });
+    expect(await verifyChain(mockClient({ head: { entries: 0, unsealed: 4, sequence_number: null, entry_hash: null } })))
+      .toMatchObject({ valid: true, entries: 0, unsealed: 4, head: null });
+  });
+});
+
+describe('auditService.sealEntries', () => {
+  it('should seal a batch with the database function and return how many it chained', async () => {
+    const client = { query: jest.fn(async () => ({ rows: [{ sealed: 5 }] })) };
+    expect(await sealEntries(client, 50)).toBe(5);
+    expect(client.query).toHaveBeenCalledWith('SELECT seal_audit_log($1) AS sealed', [50]);
+  });
+});
+
+describe('auditService record history', () => {
+  const update = (before, after) => ({ action: 'UPDATE', changed_fields: { before, after } });
+
+  it('should diff trigger entries and the older route-written formats', () => {
+    expect(fieldChanges(normalizeChange('UPDATE', { before: { status: 'stored' }, after: { status: 'shipped' } })))
+      .toEqual([{ field: 'status', old: 'stored', new: 'shipped' }]);
+    expect(fieldChanges(normalizeChange('UPDATE', {
+      old: { comments: 'a', volume: 2, updated_at: '2026-01-01' },
+      new: { comments: 'b', volume: 2, updated_at: '2026-01-02' }
+    }))).toEqual([{ field: 'comments', old: 'a', new: 'b' }]);
+    expect(fieldChanges(normalizeChange('CREATE', { tube_id: 'T1' }))).toEqual([{ field: 'tube_id', old: null, new: 'T1' }]);
+    expect(normalizeChange('GENERATE_LABELS', { count: 3 })).toBeNull();
+  });
+
+  it('should rebuild a record by undoing later changes', async () => {
+    const later = [
+      update({ comments: 'second' }, { comments: 'third' }),
+      update({ comments: 'first', volume: 5 }, { comments: 'second', volume: 4 })
+    ];
+    const client = {
+      query: jest.fn(async (sql) => (sql.startsWith('SELECT * FROM specimens')
+        ? { rows: [{ id: 's1', comments: 'third', volume: 4 }] }
+        : { rows: later }))
+    };
+
+    const result = await reconstructRecord(client, 'specimens', 's1', '2026-01-01T00:00:00Z', {});
+    expect(result).toEqual({ exists: true, record: { id: 's1', comments: 'first', volume: 5 } });
+  });
+
+  it('should show deleted records as they were and records not yet created as missing', async () => {
+    const deleted = {
+      query: jest.fn(async (sql) => (sql.startsWith('SELECT * FROM')
+        ? { rows: [] }
+        : { rows: [{ action: 'DELETE', changed_fields: { before: { id: 'p1', name: 'Old' } } }] }))
+    };
+    expect(await reconstructRecord(deleted, 'projects', 'p1', '2026-01-01T00:00:00Z', {}))
+      .toEqual({ exists: true, record: { id: 'p1', name: 'Old' } });
+
+    const created = {
+      query: jest.fn(async (sql) => (sql.startsWith('SELECT * FROM')
+        ? { rows: [{ id: 'p2' }] }
+        : { rows: [{ action: 'CREATE', changed_fields: { after: { id: 'p2' } } }] }))
+    };
+    expect(await reconstructRecord(created, 'projects', 'p2', '2026-01-01T00:00:00Z', {}))
+      .toEqual({ exists: false, record: null });
+
+    await expect(reconstructRecord(created, 'pg_authid', 'x', '2026-01-01T00:00:00Z', {}))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('acting user for the audit triggers', () => {
+  beforeEach(() => {
+    mockConnection.query.mockClear();
+  });
+
+  it('should set the request user on the connection and reset it afterwards', async () => {
+    const req = { emit: jest.fn() };
+    await new Promise((resolve, reject) => runAsUser(req, 'user-1', () => {
+      db.query('UPDATE specimens SET comments = $1', ['x']).then(resolve, reject);
+    }));
+
+    const statements = mockConnection.query.mock.calls.map(([sql, params]) => [sql, params]);
+    expect(statements).toEqual([
+      ["SELECT set_config('app.current_user_id', $1, false)", ['user-1']],
+      ['UPDATE specimens SET comments = $1', ['x']],
+      ['RESET app.current_user_id', undefined]
+    ]);
+    expect(mockConnection.release).toHaveBeenCalled();
+  });
+
+  it('should leave connections alone outside a request', async () => {
+    const client = await db.getClient();
+    await client.query('SELECT 1');
+    client.release();
+    expect(mockConnection.query.mock.calls.map(([sql]) => sql)).toEqual(['SELECT 1']);
+  });
+});
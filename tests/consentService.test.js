@@ -0,0 +1,119 @@
+const {
+  getBlockReason,
+  getBlockedUses,
+  assertConsentAllows,
+  filterRowsByConsent
+} = require('../services/consentService');
+
+jest.mock('../db');
+
+const FULL_CONSENT = {
+  patient_id: 'patient-1',
+  consent_form_version: 'v2',
+  consent_date: '2024-01-10',
+  future_research: true,
+  genetic_testing: true,
+  data_sharing: true,
+  withdrawal_date: null
+};
+
+const ADMIN = { id: 'user-1', role: 'admin' };
+const TECH = { id: 'user-2', role: 'lab_technician' };
+
+/**
+ * Fake pg client: specimens map to patients, consents are the current consent per patient
+ */
+const mockClient = ({ specimens = [], consents = [] } = {}) => {
+  const client = { audits: [] };
+  client.query = jest.fn(async (sql, params) => {
+    if (sql.includes('FROM specimens s')) {
+      return { rows: specimens.filter(s => params[0].includes(s.id)) };
+    }
+    if (sql.includes('FROM patient_current_consent')) {
+      return { rows: consents.filter(c => params[0].includes(c.patient_id)) };
+    }
+    if (sql.includes('INSERT INTO audit_log')) {
+      client.audits.push(params);
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  return client;
+};
+
+describe('consentService', () => {
+  it('should not block patients with no consent on file', () => {
+    expect(getBlockReason(null, 'experiment')).toBeNull();
+  });
+
+  it('should block every use once consent is withdrawn', () => {
+    const withdrawn = { ...FULL_CONSENT, withdrawal_date: new Date('2024-05-01') };
+
+    expect(getBlockedUses(withdrawn).map(entry => entry.use)).toEqual(['experiment', 'label', 'export']);
+    expect(getBlockReason(withdrawn, 'label')).toBe('Consent withdrawn on 2024-05-01');
+  });
+
+  it('should block only the uses outside the consent scope', () => {
+    const noSharing = { ...FULL_CONSENT, data_sharing: false };
+
+    expect(getBlockReason(noSharing, 'experiment')).toBeNull();
+    expect(getBlockReason(noSharing, 'export')).toBe('Consent (form v2) does not cover data sharing');
+  });
+
+  it('should refuse blocked specimens and list them', async () => {
+    const client = mockClient({
+      specimens: [
+        { id: 's1', specimen_number: 1, patient_id: 'patient-1' },
+        { id: 's2', specimen_number: 2, patient_id: 'patient-2' }
+      ],
+      consents: [{ ...FULL_CONSENT, patient_id: 'patient-2', genetic_testing: false }]
+    });
+
+    await expect(
+      assertConsentAllows(client, ['s1', 's2'], 'experiment', { user: TECH })
+    ).rejects.toMatchObject({
+      status: 403,
+      consentBlocked: [expect.objectContaining({ specimen_id: 's2' })]
+    });
+  });
+
+  it('should only let admins override, with a reason, and audit it', async () => {
+    const client = mockClient({
+      specimens: [{ id: 's1', specimen_number: 1, patient_id: 'patient-1' }],
+      consents: [{ ...FULL_CONSENT, withdrawal_date: '2024-05-01' }]
+    });
+
+    await expect(
+      assertConsentAllows(client, ['s1'], 'label', { user: TECH, override: true, overrideReason: 'reprint' })
+    ).rejects.toMatchObject({ status: 403 });
+    await expect(
+      assertConsentAllows(client, ['s1'], 'label', { user: ADMIN, override: true, overrideReason: ' ' })
+    ).rejects.toMatchObject({ status: 400 });
+
+    const overridden = await assertConsentAllows(client, ['s1'], 'label', {
+      user: ADMIN,
+      override: true,
+      overrideReason: 'Relabel before destruction'
+    });
+
+    expect(overridden).toHaveLength(1);
+    expect(client.audits).toHaveLength(1);
+    expect(client.audits[0][1]).toBe('CONSENT_OVERRIDE');
+  });
+
+  it('should drop blocked rows from bulk runs and count them', async () => {
+    const client = mockClient({
+      consents: [{ ...FULL_CONSENT, patient_id: 'patient-2', data_sharing: false }]
+    });
+    const rows = [
+      { id: 's1', patient_id: 'patient-1' },
+      { id: 's2', patient_id: 'patient-2' },
+      { id: 's3', patient_id: null }
+    ];
+
+    const result = await filterRowsByConsent(client, rows, 'export', { user: TECH });
+
+    expect(result.rows.map(row => row.id)).toEqual(['s1', 's3']);
+    expect(result.excluded).toBe(1);
+  });
+});
@@ -0,0 +1,66 @@
+const { formatLocation, getThawLimit, checkoutSpecimen, returnSpecimen } = require('../services/custodyService');
+
+jest.mock('../db');
+
+const SPECIMEN = {
+  id: 'spec-1',
+  specimen_number: 101,
+  position_freezer: 'Freezer A',
+  position_rack: 'R1',
+  position_box: 'Box 7',
+  position_dimension_one: 'B',
+  position_dimension_two: '3'
+};
+
+/**
+ * Fake pg client with a fixed custody status; inserted events are echoed back
+ */
+const mockClient = ({ status = null, thawLimit = null } = {}) => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('FOR UPDATE')) return { rows: [SPECIMEN] };
+    if (sql.includes('FROM specimen_custody_status')) return { rows: status ? [status] : [] };
+    if (sql.includes('FROM system_options')) return { rows: thawLimit ? [{ option_value: thawLimit }] : [] };
+    if (sql.includes('INSERT INTO specimen_custody_events')) {
+      return { rows: [{ specimen_id: params[0], event_type: params[1], custodian_id: params[2] }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  })
+});
+
+describe('custodyService', () => {
+  it('should format the storage location with the well', () => {
+    expect(formatLocation(SPECIMEN)).toBe('Freezer A / R1 / Box 7 B3');
+    expect(formatLocation({})).toBeNull();
+  });
+
+  it('should fall back to the default thaw limit when none is configured', async () => {
+    expect(await getThawLimit(mockClient())).toBe(3);
+    expect(await getThawLimit(mockClient({ thawLimit: '5' }))).toBe(5);
+  });
+
+  it('should record a thaw alongside the checkout when asked', async () => {
+    const { events } = await checkoutSpecimen(mockClient(), {
+      specimenId: 'spec-1',
+      custodianId: 'user-1',
+      thawed: true,
+      userId: 'user-1'
+    });
+
+    expect(events.map(e => e.event_type)).toEqual(['checkout', 'thaw']);
+    expect(events[0].custodian_id).toBe('user-1');
+  });
+
+  it('should refuse to check out a specimen someone already holds', async () => {
+    const client = mockClient({ status: { thaw_count: 1, checked_out_to: 'user-2', checked_out_to_username: 'alex' } });
+
+    await expect(
+      checkoutSpecimen(client, { specimenId: 'spec-1', custodianId: 'user-1', userId: 'user-1' })
+    ).rejects.toMatchObject({ status: 409, message: 'Specimen 101 is already checked out to alex' });
+  });
+
+  it('should refuse to return a specimen that is in storage', async () => {
+    await expect(
+      returnSpecimen(mockClient(), { specimenId: 'spec-1', userId: 'user-1' })
+    ).rejects.toMatchObject({ status: 409 });
+  });
+});
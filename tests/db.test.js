@@ -0,0 +1,42 @@
+const mockClient = { query: jest.fn(async () => ({ rows: [] })), release: jest.fn() };
+const mockPool = { query: jest.fn(async () => ({ rows: [] })), connect: jest.fn(async () => mockClient) };
+
+jest.mock('pg', () => ({ Pool: jest.fn(() => mockPool) }));
+
+const db = require('../db');
+const { runAsUser } = require('../utils/requestContext');
+
+const asUser = (fn) => new Promise((resolve, reject) => {
+  runAsUser({ emit: () => {} }, 'user-1', () => fn().then(resolve, reject));
+});
+
+describe('db', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('should run reads on the pool without setting the acting user', async () => {
+    await asUser(() => db.query('SELECT * FROM experiments WHERE updated_at > $1', ['2026-01-01']));
+
+    expect(mockPool.query).toHaveBeenCalledWith('SELECT * FROM experiments WHERE updated_at > $1', ['2026-01-01']);
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+
+  it('should set the acting user around writes for the audit triggers', async () => {
+    await asUser(() => db.query('UPDATE experiments SET notes = $2 WHERE id = $1', ['e1', 'x']));
+
+    expect(mockPool.query).not.toHaveBeenCalled();
+    expect(mockClient.query.mock.calls.map(([sql]) => sql)).toEqual([
+      "SELECT set_config('app.current_user_id', $1, false)",
+      'UPDATE experiments SET notes = $2 WHERE id = $1',
+      'RESET app.current_user_id'
+    ]);
+    expect(mockClient.query.mock.calls[0][1]).toEqual(['user-1']);
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it('should skip the setting outside a request', async () => {
+    await db.query('DELETE FROM user_sessions WHERE expires_at < NOW()');
+
+    expect(mockPool.query).toHaveBeenCalled();
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  pseudonymFor,
+  dateShiftFor,
+  ageBand,
+  getDeidentifiedColumns,
+  deidentifyRows
+} = require('../services/deidentificationService');
+
+jest.mock('../db');
+
+const RECIPIENT_A = { id: 'r1', name: 'Partner Lab', pseudonym_key: 'a'.repeat(64) };
+const RECIPIENT_B = { id: 'r2', name: 'Biobank', pseudonym_key: 'b'.repeat(64) };
+
+const mockClient = (patients = []) => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('FROM patients')) {
+      return { rows: patients.filter(p => params[0].includes(p.id)) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  })
+});
+
+describe('deidentificationService', () => {
+  it('should give each recipient its own stable pseudonyms', () => {
+    expect(pseudonymFor(RECIPIENT_A, 'patient-1')).toBe(pseudonymFor(RECIPIENT_A, 'patient-1'));
+    expect(pseudonymFor(RECIPIENT_A, 'patient-1')).not.toBe(pseudonymFor(RECIPIENT_B, 'patient-1'));
+    expect(pseudonymFor(RECIPIENT_A, 'patient-1')).toMatch(/^SUBJ-[0-9A-F]{10}$/);
+  });
+
+  it('should shift dates by a non-zero amount within bounds', () => {
+    ['patient-1', 'patient-2', 'patient-3', 'patient-4'].forEach(patientId => {
+      const shift = dateShiftFor(RECIPIENT_A, patientId);
+      expect(shift).not.toBe(0);
+      expect(Math.abs(shift)).toBeLessThanOrEqual(180);
+    });
+  });
+
+  it('should band ages at collection and group the oldest together', () => {
+    expect(ageBand('1980-06-15', '2024-06-14')).toBe('40-49');
+    expect(ageBand('1980-06-15', '2020-06-15')).toBe('40-49');
+    expect(ageBand('1980-06-15', '2020-06-14')).toBe('30-39');
+    expect(ageBand('1920-01-01', '2024-01-01')).toBe('90+');
+    expect(ageBand(null, '2024-01-01')).toBe('');
+  });
+
+  it('should replace date of birth with an age band and drop names', () => {
+    expect(getDeidentifiedColumns(['specimen_id', 'patient_name', 'date_of_birth', 'diagnosis']))
+      .toEqual(['specimen_id', 'age_band', 'diagnosis']);
+  });
+
+  it('should pseudonymize rows and keep intervals between a patient\'s dates', async () => {
+    const client = mockClient([{ id: 'patient-1', date_of_birth: '1970-03-01' }]);
+    const rows = [
+      { id: 's1', patient_id: 'patient-1', patient_external_id: 'MRN-1', patient_name: 'Jane Doe', date_collected: new Date(2024, 0, 10) },
+      { id: 's2', patient_id: 'patient-1', patient_external_id: 'MRN-1', patient_name: 'Jane Doe', date_collected: new Date(2024, 0, 20) }
+    ];
+
+    const [first, second] = await deidentifyRows(client, rows, RECIPIENT_A);
+
+    expect(first.patient_external_id).toBe(pseudonymFor(RECIPIENT_A, 'patient-1'));
+    expect(first.patient_name).toBeUndefined();
+    expect(first.age_band).toBe('50-59');
+    expect(first.date_collected.getTime()).not.toBe(rows[0].date_collected.getTime());
+    expect(Math.round((second.date_collected - first.date_collected) / 86400000)).toBe(10);
+    expect(rows[0].patient_external_id).toBe('MRN-1');
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  startExecution,
+  updateStep,
+  completeExecution
+} = require('../services/experimentExecutionService');
+
+const TECH = { id: 'u1', role: 'lab_technician' };
+const OTHER_TECH = { id: 'u3', role: 'lab_technician' };
+
+// In-memory experiment and step records behind the queries the service makes
+const mockClient = ({ basicSteps = '1. Lyse\n2. Elute', started = false } = {}) => {
+  const client = {
+    experiment: {
+      id: 'e1', user_id: 'u1', protocol_id: 'p1', protocol_version_id: 'v1', status: started ? 'in_progress' : 'planned',
+      execution_started_at: started ? '2026-10-18T09:00:00' : null, execution_completed_at: null
+    },
+    steps: started ? [
+      { step_number: 1, title: 'Lyse', parameters: [{ name: 'Temperature' }], status: 'pending', actual_values: {}, deviation: null, notes: null },
+      { step_number: 2, title: 'Elute', parameters: [], status: 'pending', actual_values: {}, deviation: null, notes: null }
+    ] : []
+  };
+  client.query = jest.fn(async (sql, params) => {
+    if (sql.includes('FROM experiments WHERE id = $1')) {
+      return { rows: params[0] === client.experiment.id ? [{ ...client.experiment }] : [] };
+    }
+    if (sql.includes('FROM electronic_signatures')) {
+      return { rows: [] };
+    }
+    if (sql.includes('COALESCE(pv.steps, p.steps)')) {
+      return { rows: [{ steps: [], basic_steps: basicSteps }] };
+    }
+    if (sql.includes('INSERT INTO experiment_step_records')) {
+      client.steps.push({ step_number: params[1], title: params[2], parameters: JSON.parse(params[5]), status: 'pending' });
+      return { rows: [] };
+    }
+    if (sql.includes('SET execution_started_at')) {
+      client.experiment.execution_started_at = 'now';
+      return { rows: [] };
+    }
+    if (sql.includes('SET execution_completed_at')) {
+      client.experiment.execution_completed_at = 'now';
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE experiments SET status')) {
+      client.experiment.status = params[1];
+      return { rows: [] };
+    }
+    if (sql.includes('consume_reserved_inventory') || sql.includes('INSERT INTO audit_log')) {
+      return { rows: [] };
+    }
+    if (sql.includes('SELECT * FROM experiment_step_records')) {
+      return { rows: client.steps.filter(step => step.step_number === params[1]) };
+    }
+    if (sql.includes('UPDATE experiment_step_records')) {
+      const step = client.steps.find(s => s.step_number === params[1]);
+      Object.assign(step, { status: params[2], actual_values: JSON.parse(params[3]), deviation: params[4], notes: params[5] });
+      return { rows: [step] };
+    }
+    if (sql.includes('status <> ALL')) {
+      return { rows: client.steps.filter(step => !params[1].includes(step.status)) };
+    }
+    if (sql.includes('FROM experiment_step_records r')) {
+      return { rows: client.steps };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  return client;
+};
+
+describe('experimentExecutionService', () => {
+  it('should copy the protocol version steps when started', async () => {
+    const client = mockClient();
+    const execution = await startExecution(client, 'e1', TECH);
+
+    expect(execution.steps.map(step => step.title)).toEqual(['Lyse', 'Elute']);
+    expect(client.experiment.status).toBe('in_progress');
+    await expect(startExecution(client, 'e1', TECH)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should refuse to run a protocol without steps or someone else\'s experiment', async () => {
+    await expect(startExecution(mockClient({ basicSteps: '' }), 'e1', TECH)).rejects.toMatchObject({ status: 400 });
+    await expect(startExecution(mockClient(), 'e1', OTHER_TECH)).rejects.toMatchObject({ status: 403 });
+    await expect(updateStep(mockClient(), 'e1', 1, { status: 'done' }, TECH)).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should record values against the step parameters', async () => {
+    const client = mockClient({ started: true });
+    const step = await updateStep(client, 'e1', 1, { status: 'done', actual_values: { Temperature: '56' } }, TECH);
+    expect(step).toMatchObject({ status: 'done', actual_values: { Temperature: '56' } });
+
+    await expect(updateStep(client, 'e1', 1, { actual_values: { Speed: 1 } }, TECH))
+      .rejects.toThrow('has no parameter "Speed"');
+    await expect(updateStep(client, 'e1', 9, { status: 'done' }, TECH)).rejects.toMatchObject({ status: 404 });
+    await expect(updateStep(client, 'e1', 1, { status: 'finished' }, TECH)).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should need a deviation to skip a step and every step finished to complete', async () => {
+    const client = mockClient({ started: true });
+    await updateStep(client, 'e1', 1, { status: 'done' }, TECH);
+    await expect(completeExecution(client, 'e1', TECH)).rejects.toThrow('open: 2');
+
+    await expect(updateStep(client, 'e1', 2, { status: 'skipped' }, TECH)).rejects.toThrow('deviation');
+    await updateStep(client, 'e1', 2, { status: 'skipped', deviation: 'Column clogged' }, TECH);
+
+    await completeExecution(client, 'e1', TECH);
+    expect(client.experiment.status).toBe('completed');
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('consume_reserved_inventory'), expect.any(Array));
+    await expect(updateStep(client, 'e1', 2, { notes: 'late note' }, TECH)).rejects.toMatchObject({ status: 409 });
+  });
+});
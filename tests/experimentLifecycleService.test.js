@@ -0,0 +1,134 @@
+const {
+  pathFromPlanned,
+  reserveInventory,
+  transition
+} = require('../services/experimentLifecycleService');
+
+const TECH = { id: 'u1', role: 'lab_technician' };
+const OTHER_TECH = { id: 'u3', role: 'lab_technician' };
+
+const mockClient = (experiment) => {
+  const client = {
+    experiment: { id: 'e1', user_id: 'u1', actual_reagents_used: [], ...experiment },
+    audit: []
+  };
+  client.query = jest.fn(async (sql, params) => {
+    if (sql.includes('FROM experiments WHERE id = $1 FOR UPDATE')) {
+      return { rows: [{ ...client.experiment }] };
+    }
+    if (sql.includes('FROM electronic_signatures')) {
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE experiments SET actual_reagents_used')) {
+      client.experiment.actual_reagents_used = JSON.parse(params[1]);
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE experiments SET status')) {
+      client.experiment.status = params[1];
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO audit_log')) {
+      client.audit.push({ action: params[1], changes: JSON.parse(params[4]) });
+      return { rows: [] };
+    }
+    if (sql.includes('_reserved_inventory') || sql.includes('reserve_inventory_for_experiment')) {
+      return { rows: [{ result: { warnings: [] } }] };
+    }
+    if (sql.includes('FROM inventory WHERE name ILIKE')) {
+      return { rows: params[0] === 'Buffer AL' ? [{ id: 'i1' }] : [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  return client;
+};
+
+const calledWith = (client, fragment) =>
+  client.query.mock.calls.some(([sql]) => sql.includes(fragment));
+
+describe('experimentLifecycleService', () => {
+  it('should walk a new experiment from planned to its initial status', () => {
+    expect(pathFromPlanned('planned')).toEqual([]);
+    expect(pathFromPlanned('in_progress')).toEqual(['in_progress']);
+    expect(pathFromPlanned('completed')).toEqual(['in_progress', 'completed']);
+    expect(() => pathFromPlanned('cancelled')).toThrow('New experiments can only be');
+  });
+
+  it('should consume reserved inventory on completion and audit the transition', async () => {
+    const client = mockClient({ status: 'in_progress' });
+    const result = await transition(client, 'e1', 'completed', TECH);
+
+    expect(result).toEqual({ from: 'in_progress', to: 'completed', side_effect: 'consume' });
+    expect(client.experiment.status).toBe('completed');
+    expect(calledWith(client, 'consume_reserved_inventory')).toBe(true);
+    expect(client.audit).toEqual([{
+      action: 'TRANSITION',
+      changes: { from: 'in_progress', to: 'completed', reason: null, side_effect: 'consume' }
+    }]);
+  });
+
+  it('should consume the actual usage recorded on completion', async () => {
+    const client = mockClient({
+      status: 'in_progress',
+      actual_reagents_used: [
+        { inventory_id: 'i1', reagent_name: 'Buffer AL', quantity: 400, unit: 'µL' },
+        { inventory_id: 'i2', reagent_name: 'Ethanol', quantity: 1, unit: 'mL' }
+      ]
+    });
+    await transition(client, 'e1', 'completed', TECH, { actualUsage: [{ inventory_id: 'i1', quantity: '450' }] });
+
+    const usage = [
+      { inventory_id: 'i1', reagent_name: 'Buffer AL', quantity: 450, unit: 'µL' },
+      { inventory_id: 'i2', reagent_name: 'Ethanol', quantity: 1, unit: 'mL' }
+    ];
+    expect(client.experiment.actual_reagents_used).toEqual(usage);
+    const consume = client.query.mock.calls.find(([sql]) => sql.includes('consume_reserved_inventory'));
+    expect(JSON.parse(consume[1][1])).toEqual(usage);
+
+    await expect(transition(mockClient({ status: 'in_progress' }), 'e1', 'completed', TECH, { actualUsage: [{ inventory_id: 'i1', quantity: -1 }] }))
+      .rejects.toThrow('Actual reagent 1 needs an inventory item');
+    await expect(transition(mockClient({ status: 'planned' }), 'e1', 'cancelled', TECH, { reason: 'Recalled', actualUsage: [] }))
+      .rejects.toThrow('when an experiment is completed or failed');
+  });
+
+  it('should release reserved inventory on cancel and want a reason for it', async () => {
+    await expect(transition(mockClient({ status: 'planned' }), 'e1', 'cancelled', TECH))
+      .rejects.toThrow('A reason is required');
+
+    const client = mockClient({ status: 'planned' });
+    await transition(client, 'e1', 'cancelled', TECH, { reason: ' Kit recalled ' });
+    expect(calledWith(client, 'cancel_reserved_inventory')).toBe(true);
+    expect(client.audit[0].changes.reason).toBe('Kit recalled');
+  });
+
+  it('should refuse transitions outside the lifecycle or by someone else', async () => {
+    await expect(transition(mockClient({ status: 'planned' }), 'e1', 'completed', TECH))
+      .rejects.toMatchObject({ status: 409, message: 'A planned experiment cannot become completed' });
+    await expect(transition(mockClient({ status: 'completed' }), 'e1', 'in_progress', TECH))
+      .rejects.toMatchObject({ status: 409 });
+    await expect(transition(mockClient({ status: 'planned' }), 'e1', 'in_progress', OTHER_TECH))
+      .rejects.toMatchObject({ status: 403 });
+    await expect(transition(
+      mockClient({ status: 'in_progress', execution_started_at: '2026-10-18T09:00:00', execution_completed_at: null }),
+      'e1', 'completed', TECH
+    )).rejects.toThrow('Finish the bench execution');
+  });
+
+  it('should reserve the protocol reagents per sample when the form sent no requirements', async () => {
+    const client = mockClient({ status: 'planned' });
+    const protocol = {
+      required_reagents: [
+        { name: 'Buffer AL', quantity_per_sample: 0.2 },
+        { name: 'Ethanol', quantity_per_sample: 0.2 },
+        { name: 'Proteinase K' }
+      ]
+    };
+    await reserveInventory(client, { id: 'e1', sample_ids: ['s1', 's2'] }, { protocol, userId: 'u1' });
+
+    const reserve = client.query.mock.calls.find(([sql]) => sql.includes('reserve_inventory_for_experiment'));
+    expect(JSON.parse(reserve[1][1])).toEqual([{ inventory_id: 'i1', quantity: 0.4 }]);
+
+    const empty = mockClient({ status: 'planned' });
+    expect(await reserveInventory(empty, { id: 'e1', sample_ids: [] }, { protocol, userId: 'u1' })).toEqual([]);
+    expect(empty.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  parseRange,
+  normalizeRecurrence,
+  occurrences,
+  describeConflicts
+} = require('../services/experimentScheduleService');
+const { requirementsFor } = require('../services/experimentTemplateService');
+
+describe('experimentScheduleService', () => {
+  it('should validate a weekly recurrence', () => {
+    expect(normalizeRecurrence({ weekdays: ['5', 1, 1], starts_on: '2026-10-07T00:00:00Z' })).toEqual({
+      weekdays: [1, 5],
+      every_weeks: 1,
+      starts_on: '2026-10-07',
+      ends_on: null
+    });
+    expect(normalizeRecurrence(null)).toBeNull();
+    expect(() => normalizeRecurrence({ weekdays: [], starts_on: '2026-10-07' })).toThrow(/weekdays/);
+    expect(() => normalizeRecurrence({ weekdays: [8], starts_on: '2026-10-07' })).toThrow(/weekdays/);
+    expect(() => normalizeRecurrence({ weekdays: [1], every_weeks: 0, starts_on: '2026-10-07' })).toThrow(/1 to 52/);
+    expect(() => normalizeRecurrence({ weekdays: [1], starts_on: '2026-10-07', ends_on: '2026-10-01' })).toThrow(/end/);
+    expect(() => parseRange('2026-01-01', '2027-06-01')).toThrow(/at most/);
+  });
+
+  it('should list the dates a recurrence falls on, counting weeks from the week it starts', () => {
+    // Starts on a Wednesday; Mondays and Thursdays every other week
+    const recurrence = normalizeRecurrence({ weekdays: [1, 4], every_weeks: 2, starts_on: '2026-10-07', ends_on: '2026-11-05' });
+
+    expect(occurrences(recurrence, '2026-10-01', '2026-12-31')).toEqual([
+      '2026-10-08', '2026-10-19', '2026-10-22', '2026-11-02', '2026-11-05'
+    ]);
+    expect(occurrences(recurrence, '2026-10-12', '2026-10-18')).toEqual([]);
+  });
+
+  it('should flag the same person, instrument or specimens booked on the same day', () => {
+    const experiment = {
+      id: 'e1',
+      date_performed: '2026-10-19',
+      user_id: 'u1',
+      instrument_id: 'i1',
+      sample_ids: ['s1', 's2']
+    };
+    const others = [
+      { id: 'e1', experiment_id: 1, date_performed: '2026-10-19', user_id: 'u1', sample_ids: ['s1'] },
+      { id: 'e2', experiment_id: 2, date_performed: '2026-10-19', status: 'planned', user_id: 'u1', instrument_id: 'i1', sample_ids: [] },
+      { id: 'e3', experiment_id: 3, date_performed: new Date(2026, 9, 19), status: 'in_progress', user_id: 'u2', sample_ids: ['s2', 's9'] },
+      { id: 'e4', experiment_id: 4, date_performed: '2026-10-19', status: 'completed', user_id: 'u1', sample_ids: ['s1'] },
+      { id: 'e5', experiment_id: 5, date_performed: '2026-10-20', status: 'planned', user_id: 'u1' }
+    ];
+
+    expect(describeConflicts(experiment, others)).toEqual([
+      { type: 'user', experiment_id: 'e2', experiment_number: 2 },
+      { type: 'instrument', experiment_id: 'e2', experiment_number: 2 },
+      { type: 'specimen', experiment_id: 'e3', experiment_number: 3, specimen_ids: ['s2'] }
+    ]);
+  });
+
+  it('should reserve a template\'s default reagents per sample', () => {
+    const template = { default_reagents: [{ inventory_id: 'i1', quantity_per_sample: 0.1, unit: 'mL' }] };
+
+    expect(requirementsFor(template, 3)).toEqual([{ inventory_id: 'i1', quantity: 0.3, unit: 'mL' }]);
+    expect(requirementsFor(template, 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Minimal OpenID Connect provider for tests: discovery, authorize, token (with PKCE S256
+ * check) and JWKS endpoints on an ephemeral local port. The user that "signs in" at
+ * /authorize is whatever was last passed to setUser().
+ * @returns {Promise<Object>} { issuer, setUser, authorize, close }
+ */
+const startMockOidcProvider = async ({ clientId }) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key-1';
+  const codes = new Map();
+  let user = null;
+  let issuer;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  // Signs the current user in immediately and redirects back with a code
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+    if (client_id !== clientId || code_challenge_method !== 'S256' || !code_challenge) {
+      return res.status(400).send('invalid_request');
+    }
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { redirect_uri, nonce, code_challenge, user });
+    res.redirect(`${redirect_uri}?${new URLSearchParams({ code, state })}`);
+  });
+
+  app.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const challenge = req.body.code_verifier &&
+      crypto.createHash('sha256').update(req.body.code_verifier).digest('base64url');
+
+    if (!grant || grant.redirect_uri !== req.body.redirect_uri || challenge !== grant.code_challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ ...grant.user, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '5m'
+    });
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    setUser: (claims) => { user = claims; },
+    // Follow the authorization URL like a browser would; resolves to the callback query
+    authorize: async (authorizationUrl) => {
+      const response = await axios.get(authorizationUrl, { maxRedirects: 0, validateStatus: status => status === 302 });
+      return Object.fromEntries(new URL(response.headers.location).searchParams);
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { startMockOidcProvider };
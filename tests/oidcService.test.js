@@ -0,0 +1,143 @@
+const { startMockOidcProvider } = require('./helpers/mockOidcProvider');
+
+jest.mock('../db');
+const { mapRole, startLogin, completeLogin, clearCache } = require('../services/oidcService');
+
+const CLIENT_ID = 'lablims-test';
+const ROLE_MAPPING = { 'lims-admins': 'admin', 'lab-staff': 'lab_technician', 'analysts': 'bioinformatician' };
+
+// In-memory users and login states behind the queries oidcService makes
+const mockClient = (users = []) => {
+  const client = { users, states: new Map(), audits: [] };
+  client.query = jest.fn(async (sql, params) => {
+    if (sql.startsWith('DELETE FROM oidc_login_states WHERE created_at')) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO oidc_login_states')) {
+      client.states.set(params[0], { code_verifier: params[1], nonce: params[2] });
+      return { rows: [] };
+    }
+    if (sql.includes('DELETE FROM oidc_login_states')) {
+      const state = client.states.get(params[0]);
+      client.states.delete(params[0]);
+      return { rows: state ? [state] : [] };
+    }
+    if (sql.includes('WHERE oidc_issuer = $1 AND oidc_subject = $2')) {
+      return {
+        rows: client.users
+          .filter(user => user.oidc_issuer === params[0] && user.oidc_subject === params[1])
+          .map(user => ({ ...user }))
+      };
+    }
+    if (sql.includes('UPDATE users SET oidc_issuer')) {
+      const user = client.users.find(u => u.email.toLowerCase() === params[2].toLowerCase() && !u.oidc_subject);
+      if (user) Object.assign(user, { oidc_issuer: params[0], oidc_subject: params[1] });
+      return { rows: user ? [{ ...user }] : [] };
+    }
+    if (sql.includes('SELECT username FROM users')) {
+      return { rows: client.users.filter(user => user.username.startsWith(params[0])) };
+    }
+    if (sql.includes('INSERT INTO users')) {
+      const [username, email, , first_name, last_name, role, oidc_issuer, oidc_subject] = params;
+      const user = { id: `user-${client.users.length + 1}`, username, email, first_name, last_name, role,
+        active: true, oidc_issuer, oidc_subject };
+      client.users.push(user);
+      return { rows: [{ ...user }] };
+    }
+    if (sql.startsWith('UPDATE users SET role')) {
+      client.users.find(user => user.id === params[1]).role = params[0];
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE user_sessions')) {
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO audit_log')) {
+      client.audits.push({ action: params[1], changes: JSON.parse(params[4]) });
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  return client;
+};
+
+describe('oidcService', () => {
+  let provider;
+  const savedEnv = { ...process.env };
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider({ clientId: CLIENT_ID });
+    Object.assign(process.env, {
+      OIDC_ISSUER: provider.issuer,
+      OIDC_CLIENT_ID: CLIENT_ID,
+      OIDC_REDIRECT_URI: 'http://localhost:5000/api/auth/oidc/callback',
+      OIDC_ROLE_MAPPING: JSON.stringify(ROLE_MAPPING)
+    });
+  });
+
+  afterAll(async () => {
+    process.env = savedEnv;
+    clearCache();
+    await provider.close();
+  });
+
+  const signIn = async (client, claims) => {
+    provider.setUser(claims);
+    const url = await startLogin(client);
+    const callback = await provider.authorize(url);
+    return { callback, user: await completeLogin(client, callback) };
+  };
+
+  it('should map groups to the most privileged role, or the default role', () => {
+    expect(mapRole(['analysts', 'lab-staff', 'unknown'])).toBe('lab_technician');
+    expect(mapRole('lims-admins')).toBe('admin');
+    expect(mapRole(['unknown'])).toBeNull();
+
+    process.env.OIDC_DEFAULT_ROLE = 'researcher';
+    expect(mapRole([])).toBe('researcher');
+    delete process.env.OIDC_DEFAULT_ROLE;
+  });
+
+  it('should sign in through the provider with PKCE and provision the user on first login', async () => {
+    const client = mockClient();
+    const { callback, user } = await signIn(client, {
+      sub: 'idp-42', email: 'ada@example.org', preferred_username: 'Ada.L', given_name: 'Ada', groups: ['analysts', 'lab-staff']
+    });
+
+    expect(user).toMatchObject({ username: 'ada.l', role: 'lab_technician', oidc_subject: 'idp-42' });
+    expect(client.audits.map(audit => audit.action)).toEqual(['SSO_PROVISION']);
+
+    // The login state is single use
+    await expect(completeLogin(client, callback)).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should re-sync the role from groups and refuse users without a mapped group', async () => {
+    const client = mockClient([{ id: 'user-1', username: 'ada', email: 'ada@example.org', role: 'lab_technician',
+      active: true, oidc_issuer: provider.issuer, oidc_subject: 'idp-42' }]);
+
+    const { user } = await signIn(client, { sub: 'idp-42', email: 'ada@example.org', groups: ['lims-admins'] });
+    expect(user).toMatchObject({ id: 'user-1', role: 'admin' });
+    expect(client.audits[0]).toEqual({ action: 'SSO_ROLE_SYNC', changes: { role: { old: 'lab_technician', new: 'admin' } } });
+
+    await expect(signIn(client, { sub: 'idp-42', email: 'ada@example.org', groups: ['visitors'] }))
+      .rejects.toMatchObject({ status: 403 });
+  });
+
+  it('should link an existing local account only by verified email', async () => {
+    const local = { id: 'user-7', username: 'grace', email: 'Grace@example.org', role: 'researcher', active: true };
+
+    const unverified = mockClient([{ ...local }]);
+    await expect(signIn(unverified, { sub: 'idp-7', email: 'grace@example.org', groups: ['analysts'] }))
+      .resolves.toMatchObject({ user: { username: 'grace-2' } });
+
+    const verified = mockClient([{ ...local }]);
+    const { user } = await signIn(verified, { sub: 'idp-7', email: 'grace@example.org', email_verified: true, groups: ['analysts'] });
+    expect(user).toMatchObject({ id: 'user-7', oidc_subject: 'idp-7', role: 'bioinformatician' });
+    expect(verified.audits.map(audit => audit.action)).toEqual(['SSO_LINK', 'SSO_ROLE_SYNC']);
+  });
+
+  it('should reject a callback whose state it did not issue', async () => {
+    const client = mockClient();
+    await expect(completeLogin(client, { code: 'abc', state: 'forged' }))
+      .rejects.toMatchObject({ message: 'This sign-in has expired or was already used. Please try again.' });
+  });
+});
@@ -0,0 +1,93 @@
+const {
+  loadPermissions,
+  can,
+  permissionsForRole,
+  updateMatrix
+} = require('../services/permissionService');
+
+jest.mock('../db');
+
+const ADMIN = { id: 'admin-1', role: 'admin' };
+const TECH = { id: 'user-1', role: 'lab_technician' };
+const RESEARCHER = { id: 'user-2', role: 'researcher' };
+
+const mockClient = (rows) => {
+  const client = { rows: [...rows], audits: [] };
+  client.query = jest.fn(async (sql, params) => {
+    if (sql.startsWith('SELECT role, permission FROM role_permissions')) {
+      return { rows: client.rows };
+    }
+    if (sql.startsWith('DELETE FROM role_permissions')) {
+      client.rows = client.rows.filter(row => row.permission !== params[0]);
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO role_permissions')) {
+      client.rows.push({ role: params[0], permission: params[1] });
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO audit_log')) {
+      client.audits.push(params);
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  return client;
+};
+
+describe('permissionService', () => {
+  it('should grant the registry defaults before the matrix is loaded', () => {
+    expect(can(TECH, 'specimen:delete')).toBe(true);
+    expect(can(TECH, 'patient:delete')).toBe(false);
+    expect(can(RESEARCHER, 'specimen:edit')).toBe(false);
+    expect(can(undefined, 'specimen:edit')).toBe(false);
+    expect(() => can(ADMIN, 'specimen:destroy')).toThrow('Unknown permission: specimen:destroy');
+  });
+
+  it('should follow the role_permissions table once loaded', async () => {
+    await loadPermissions(mockClient([
+      { role: 'admin', permission: 'permission:manage' },
+      { role: 'researcher', permission: 'export:data' },
+      { role: 'admin', permission: 'retired:permission' }
+    ]));
+
+    expect(can(RESEARCHER, 'export:data')).toBe(true);
+    expect(can(ADMIN, 'specimen:edit')).toBe(false);
+    expect(permissionsForRole('admin')).toEqual(['permission:manage']);
+  });
+
+  it('should keep the current matrix when the table cannot be read', async () => {
+    const client = { query: jest.fn().mockRejectedValue(new Error('relation does not exist')) };
+    await loadPermissions(client);
+    expect(can(RESEARCHER, 'export:data')).toBe(true);
+  });
+
+  it('should replace the roles of changed permissions and audit the difference', async () => {
+    const client = mockClient([
+      { role: 'admin', permission: 'inventory:adjust' },
+      { role: 'lab_technician', permission: 'inventory:adjust' },
+      { role: 'admin', permission: 'audit:view' }
+    ]);
+
+    const diff = await updateMatrix(client, {
+      'inventory:adjust': ['admin', 'lab_manager'],
+      'audit:view': ['admin']
+    }, ADMIN.id);
+
+    expect(diff).toEqual({ 'inventory:adjust': { added: ['lab_manager'], removed: ['lab_technician'] } });
+    expect(client.rows.filter(row => row.permission === 'inventory:adjust').map(row => row.role))
+      .toEqual(['admin', 'lab_manager']);
+    expect(client.audits).toHaveLength(1);
+    expect(client.audits[0][1]).toBe('UPDATE_PERMISSIONS');
+  });
+
+  it('should reject unknown permissions and roles, and keep admins on permission:manage', async () => {
+    const client = mockClient([]);
+    await expect(updateMatrix(client, { 'specimen:destroy': ['admin'] }, ADMIN.id))
+      .rejects.toMatchObject({ status: 400, message: 'Unknown permission: specimen:destroy' });
+    await expect(updateMatrix(client, { 'specimen:edit': ['editor'] }, ADMIN.id))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(updateMatrix(client, { 'permission:manage': ['lab_manager'] }, ADMIN.id))
+      .rejects.toMatchObject({ message: 'Admins must keep permission:manage' });
+    expect(client.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+process.env.PHI_ENCRYPTION_KEY = 'a'.repeat(64);
+
+const { encrypt, decrypt, blindIndex, isEncrypted } = require('../utils/phiEncryption');
+const { presentPhi, MASK } = require('../services/phiService');
+
+jest.mock('../db');
+
+const ADMIN = { id: 'user-1', role: 'admin' };
+const RESEARCHER = { id: 'user-2', role: 'researcher' };
+
+const mockClient = () => {
+  const client = { audits: [] };
+  client.query = jest.fn(async (sql, params) => {
+    if (sql.includes('INSERT INTO audit_log')) {
+      client.audits.push(params);
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  return client;
+};
+
+const specimenRow = () => ({
+  id: 's1',
+  patient_id: 'patient-1',
+  patient_external_id: 'EXT-1',
+  patient_first_name: encrypt('Jane'),
+  patient_last_name: encrypt('Doe')
+});
+
+describe('phiEncryption', () => {
+  it('should round-trip values and keep legacy plaintext readable', () => {
+    const stored = encrypt('1985-06-15');
+
+    expect(isEncrypted(stored)).toBe(true);
+    expect(stored).not.toContain('1985');
+    expect(decrypt(stored)).toBe('1985-06-15');
+    expect(decrypt('Legacy')).toBe('Legacy');
+    expect(encrypt('')).toBeNull();
+  });
+
+  it('should give the same blind index regardless of case and spacing', () => {
+    expect(blindIndex(' Doe ')).toBe(blindIndex('doe'));
+    expect(blindIndex('Doe')).not.toBe(blindIndex('Roe'));
+  });
+});
+
+describe('presentPhi', () => {
+  it('should mask PHI for researchers without logging a reveal', async () => {
+    const client = mockClient();
+    const [row] = await presentPhi(client, [specimenRow()], RESEARCHER, { context: 'test' });
+
+    expect(row.patient_first_name).toBe(MASK);
+    expect(row.patient_name).toBe(`${MASK} ${MASK}`);
+    expect(row.patient_external_id).toBe('EXT-1');
+    expect(row.phi_masked).toBe(true);
+    expect(client.audits).toHaveLength(0);
+  });
+
+  it('should decrypt PHI for admins and log one reveal per request', async () => {
+    const client = mockClient();
+    const rows = await presentPhi(client, [specimenRow(), { ...specimenRow(), id: 's2' }], ADMIN, { context: 'test' });
+
+    expect(rows[0].patient_name).toBe('Jane Doe');
+    expect(rows[0].phi_masked).toBe(false);
+    expect(client.audits).toHaveLength(1);
+    expect(client.audits[0][1]).toBe('PHI_REVEAL');
+    expect(JSON.parse(client.audits[0][4]).patient_ids).toEqual(['patient-1']);
+  });
+});
@@ -0,0 +1,101 @@
+const {
+  wellLabel,
+  parseWellLabel,
+  normalizeWells,
+  createPlate,
+  plateMapCsv,
+  normalizeLayout,
+  fillLayout
+} = require('../services/plateService');
+
+const PLATE_96 = { plate_format: 96, num_rows: 8, num_columns: 12 };
+const SAMPLES = ['s1', 's2'];
+
+describe('plateService', () => {
+  it('should convert between well names and coordinates', () => {
+    expect(wellLabel(2, 11)).toBe('B11');
+    expect(parseWellLabel('b011')).toEqual({ row: 2, column: 11 });
+    expect(parseWellLabel('P24')).toEqual({ row: 16, column: 24 });
+    expect(parseWellLabel('11B')).toBeNull();
+  });
+
+  it('should turn a layout into well rows', () => {
+    expect(normalizeWells(PLATE_96, [
+      { well: 'a1', well_type: 'specimen', specimen_id: 's1' },
+      { well: 'B1', well_type: 'specimen', specimen_id: 's1' },
+      { well: 'H12', well_type: 'negative_control', specimen_id: 's2', label: ' NTC ' }
+    ], SAMPLES)).toEqual([
+      { well_row: 1, well_column: 1, well_type: 'specimen', specimen_id: 's1', label: null },
+      { well_row: 2, well_column: 1, well_type: 'specimen', specimen_id: 's1', label: null },
+      { well_row: 8, well_column: 12, well_type: 'negative_control', specimen_id: null, label: 'NTC' }
+    ]);
+  });
+
+  it('should refuse wells off the plate, filled twice or holding other specimens', () => {
+    expect(() => normalizeWells(PLATE_96, [{ well: 'I1', well_type: 'blank' }], SAMPLES))
+      .toThrow('not a well on a 96-well plate');
+    expect(() => normalizeWells(PLATE_96, [{ well: 'A13', well_type: 'blank' }], SAMPLES))
+      .toThrow('not a well');
+    expect(() => normalizeWells(PLATE_96, [
+      { well: 'A1', well_type: 'blank' },
+      { well: 'A01', well_type: 'blank' }
+    ], SAMPLES)).toThrow('Well A1 is filled twice');
+    expect(() => normalizeWells(PLATE_96, [{ well: 'A1', well_type: 'specimen', specimen_id: 's9' }], SAMPLES))
+      .toThrow('not one of this experiment\'s samples');
+    expect(() => normalizeWells(PLATE_96, [{ well: 'A1', well_type: 'reagent' }], SAMPLES))
+      .toThrow('unknown type');
+  });
+
+  it('should only let the experiment owner add plates of a known format', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM experiments')) return { rows: [{ id: 'e1', user_id: 'u1', sample_ids: [] }] };
+        if (sql.includes('FROM electronic_signatures')) return { rows: [] };
+        throw new Error(`Unexpected query: ${sql}`);
+      })
+    };
+
+    await expect(createPlate(client, 'e1', { name: 'P1' }, { id: 'u2', role: 'lab_technician' }))
+      .rejects.toMatchObject({ status: 403 });
+    await expect(createPlate(client, 'e1', { name: 'P1', plate_format: 100 }, { id: 'u1', role: 'lab_technician' }))
+      .rejects.toThrow('Plate format must be one of 24, 48, 96, 384 wells');
+  });
+
+  it('should keep a template layout to controls and fill samples around them column by column', () => {
+    const layout = normalizeLayout({
+      plate_format: 24,
+      wells: [{ well: 'b1', well_type: 'negative_control', label: 'NTC' }]
+    });
+    expect(layout).toEqual({
+      name: 'Plate 1',
+      plate_format: 24,
+      wells: [{ well: 'B1', well_type: 'negative_control', label: 'NTC' }]
+    });
+    expect(() => normalizeLayout({ plate_format: 100 })).toThrow(/Plate format/);
+    expect(() => normalizeLayout({ wells: [{ well: 'A1', well_type: 'specimen' }] })).toThrow(/controls and blanks/);
+
+    const { wells, unplaced } = fillLayout(layout, ['s1', 's2', 's3']);
+    expect(wells.filter(well => well.well_type === 'specimen').map(well => [well.specimen_id, well.well_row, well.well_column]))
+      .toEqual([['s1', 1, 1], ['s2', 3, 1], ['s3', 4, 1]]);
+    expect(unplaced).toEqual([]);
+    expect(fillLayout(layout, Array.from({ length: 25 }, (_, i) => `s${i}`)).unplaced).toEqual(['s23', 's24']);
+  });
+
+  it('should export a plate map as a well list or a grid', () => {
+    const plate = {
+      num_rows: 2,
+      num_columns: 3,
+      wells: [
+        { well: 'A1', well_row: 1, well_column: 1, well_type: 'specimen', specimen_number: 101, tube_id: 'T-1', label: null },
+        { well: 'B3', well_row: 2, well_column: 3, well_type: 'blank', specimen_number: null, tube_id: null, label: null }
+      ]
+    };
+
+    expect(plateMapCsv(plate)).toBe(
+      'well,row,column,well_type,specimen_number,tube_id,label\n' +
+      'A1,A,1,specimen,101,T-1,\n' +
+      'B3,B,3,blank,,,\n'
+    );
+    expect(plateMapCsv(plate, 'grid')).toBe(',1,2,3\nA,101,,\nB,,,BLANK\n');
+  });
+});
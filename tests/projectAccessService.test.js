@@ -0,0 +1,87 @@
+const {
+  projectScope,
+  assertProjectAccess,
+  assertSpecimenAccess,
+  assertPatientAccess
+} = require('../services/projectAccessService');
+
+jest.mock('../db');
+
+const ADMIN = { id: 'admin-1', role: 'admin' };
+const RESEARCHER = { id: 'user-1', role: 'researcher' };
+
+// user-1 is an editor on project-a and a viewer on project-b; project-c has no members
+const MEMBERSHIPS = [
+  { project_id: 'project-a', user_id: 'user-1', role: 'editor' },
+  { project_id: 'project-b', user_id: 'user-1', role: 'viewer' }
+];
+const SPECIMENS = [
+  { id: 'specimen-a', project_id: 'project-a', patient_id: 'patient-1' },
+  { id: 'specimen-b', project_id: 'project-b', patient_id: 'patient-2' },
+  { id: 'specimen-c', project_id: 'project-c', patient_id: 'patient-3' }
+];
+
+const mockClient = () => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('FROM specimens WHERE id = ANY')) {
+      const projectIds = SPECIMENS.filter(s => params[0].includes(s.id)).map(s => s.project_id);
+      return { rows: [...new Set(projectIds)].map(project_id => ({ project_id })) };
+    }
+    if (sql.includes('WHERE patient_id = $1')) {
+      const projectIds = [...new Set(SPECIMENS.filter(s => s.patient_id === params[0]).map(s => s.project_id))];
+      return {
+        rows: projectIds.map(projectId => ({
+          role: MEMBERSHIPS.find(m => m.project_id === projectId && m.user_id === params[1])?.role || null
+        }))
+      };
+    }
+    if (sql.includes('FROM project_members')) {
+      return { rows: MEMBERSHIPS.filter(m => m.user_id === params[0] && params[1].includes(m.project_id)) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  })
+});
+
+describe('projectAccessService', () => {
+  it('should not restrict queries for admins and lab managers', () => {
+    expect(projectScope(ADMIN, 's.project_id', 3)).toEqual({ condition: 'TRUE', params: [] });
+    expect(projectScope({ id: 'm', role: 'lab_manager' }, 's.project_id', 1).params).toEqual([]);
+  });
+
+  it('should limit other users to their member projects', () => {
+    const scope = projectScope(RESEARCHER, 's.project_id', 3);
+    expect(scope.condition).toBe('s.project_id IN (SELECT project_id FROM project_members WHERE user_id = $3)');
+    expect(scope.params).toEqual(['user-1']);
+
+    expect(projectScope(RESEARCHER, 'p.id', 1, 'editor').condition)
+      .toContain("AND role IN ('editor', 'owner')");
+  });
+
+  it('should check the project role against the required role', async () => {
+    const client = mockClient();
+    await expect(assertProjectAccess(client, RESEARCHER, 'project-a', 'editor')).resolves.toBeUndefined();
+    await expect(assertProjectAccess(client, RESEARCHER, 'project-b', 'editor'))
+      .rejects.toMatchObject({ status: 403, message: 'This requires editor access to the project' });
+    await expect(assertProjectAccess(client, RESEARCHER, 'project-c'))
+      .rejects.toMatchObject({ status: 403, message: 'You do not have access to this project' });
+    await expect(assertProjectAccess(client, ADMIN, 'project-c', 'owner')).resolves.toBeUndefined();
+    expect(client.query).toHaveBeenCalledTimes(3);
+  });
+
+  it('should require access to every project of a specimen selection', async () => {
+    const client = mockClient();
+    await expect(assertSpecimenAccess(client, RESEARCHER, ['specimen-a', 'specimen-b'])).resolves.toBeUndefined();
+    await expect(assertSpecimenAccess(client, RESEARCHER, ['specimen-a', 'specimen-c']))
+      .rejects.toMatchObject({ status: 403 });
+  });
+
+  it('should allow patients through any of their projects and leave unassigned patients open', async () => {
+    const client = mockClient();
+    await expect(assertPatientAccess(client, RESEARCHER, 'patient-1', 'editor')).resolves.toBeUndefined();
+    await expect(assertPatientAccess(client, RESEARCHER, 'patient-2', 'editor'))
+      .rejects.toMatchObject({ status: 403 });
+    await expect(assertPatientAccess(client, RESEARCHER, 'patient-3'))
+      .rejects.toMatchObject({ message: 'You do not have access to this patient' });
+    await expect(assertPatientAccess(client, RESEARCHER, 'patient-without-specimens')).resolves.toBeUndefined();
+  });
+});
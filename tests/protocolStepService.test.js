@@ -0,0 +1,55 @@
+const {
+  normalizeSteps,
+  stepsFromText,
+  formatStepsText,
+  stepsFor
+} = require('../services/protocolStepService');
+
+describe('protocolStepService', () => {
+  it('should tidy structured steps and drop blank fields', () => {
+    expect(normalizeSteps([
+      {
+        title: '  Lyse ',
+        instructions: '',
+        duration_minutes: '10',
+        parameters: [{ name: 'Temperature', unit: '°C', target: '56' }, { name: 'Volume', unit: ' ' }]
+      }
+    ])).toEqual([{
+      title: 'Lyse',
+      instructions: null,
+      duration_minutes: 10,
+      parameters: [
+        { name: 'Temperature', unit: '°C', target: '56' },
+        { name: 'Volume', unit: null, target: null }
+      ]
+    }]);
+  });
+
+  it('should refuse steps it cannot run', () => {
+    expect(() => normalizeSteps('Lyse')).toThrow('Steps must be an array');
+    expect(() => normalizeSteps([{ title: 'Lyse' }, { title: ' ' }])).toThrow('Step 2 needs a title');
+    expect(() => normalizeSteps([{ title: 'Spin', duration_minutes: -1 }])).toThrow('positive number');
+    expect(() => normalizeSteps([{ title: 'Spin', parameters: [{ name: 'Speed' }, { name: 'speed' }] }]))
+      .toThrow('listed twice');
+  });
+
+  it('should split text steps and strip their numbering', () => {
+    expect(stepsFromText('1. Lyse\n\n2) Bind\n- Wash\nStep 4: Elute').map(step => step.title))
+      .toEqual(['Lyse', 'Bind', 'Wash', 'Elute']);
+    expect(stepsFromText(null)).toEqual([]);
+  });
+
+  it('should write structured steps out as text and prefer them over it', () => {
+    const steps = normalizeSteps([
+      { title: 'Lyse', duration_minutes: 10, instructions: 'Add Buffer AL', parameters: [{ name: 'Temperature', unit: '°C', target: '56' }] },
+      { title: 'Elute' }
+    ]);
+    expect(formatStepsText(steps)).toBe(
+      '1. Lyse (10 min)\n   Add Buffer AL\n   Record: Temperature (°C, target 56)\n2. Elute'
+    );
+    expect(stepsFor({ steps, basic_steps: 'ignored' })).toBe(steps);
+    expect(stepsFor({ steps: [], basic_steps: 'Mix' })).toEqual([
+      { title: 'Mix', instructions: null, duration_minutes: null, parameters: [] }
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+const {
+  describeNextVersion,
+  diffLines,
+  diffReagents,
+  diffVersions
+} = require('../services/protocolVersionService');
+
+const VERSIONS = [
+  {
+    id: 'v1', protocol_id: 'p1', version_number: 1, version_label: '1.0', name: 'DNA extraction', description: null,
+    required_reagents: [
+      { name: 'Buffer AL', quantity_per_sample: 0.2, unit: 'mL' },
+      { name: 'Ethanol', quantity_per_sample: 0.2, unit: 'mL' }
+    ],
+    basic_steps: 'Lyse 10 min\nBind\nWash\nElute'
+  },
+  {
+    id: 'v2', protocol_id: 'p1', version_number: 2, version_label: '1.1', name: 'DNA extraction', description: null,
+    required_reagents: [
+      { name: 'buffer al', quantity_per_sample: 0.25, unit: 'mL' },
+      { name: 'Proteinase K', quantity_per_sample: 20, unit: 'µL' }
+    ],
+    basic_steps: 'Lyse 30 min\nBind\nWash\nWash again\nElute'
+  }
+];
+
+const mockClient = () => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('FROM protocol_versions pv')) {
+      return { rows: VERSIONS.filter(v => v.protocol_id === params[0] && v.version_number === params[1]) };
+    }
+    return { rows: [] };
+  })
+});
+
+describe('protocolVersionService', () => {
+  it('should describe the next version in transaction-local settings', async () => {
+    const client = mockClient();
+    await describeNextVersion(client, { changeSummary: 'Longer lysis', branchedFromVersionId: 'v1' });
+    await describeNextVersion(client);
+
+    expect(client.query.mock.calls[0][0]).toContain("set_config('app.protocol_change_summary', $1, true)");
+    expect(client.query.mock.calls[0][1]).toEqual(['Longer lysis', 'v1']);
+    expect(client.query.mock.calls[1][1]).toEqual(['', '']);
+  });
+
+  it('should diff steps line by line, pairing replaced lines', () => {
+    expect(diffLines(VERSIONS[0].basic_steps, VERSIONS[1].basic_steps)).toEqual([
+      { type: 'changed', left: 'Lyse 10 min', right: 'Lyse 30 min' },
+      { type: 'same', left: 'Bind', right: 'Bind' },
+      { type: 'same', left: 'Wash', right: 'Wash' },
+      { type: 'added', left: null, right: 'Wash again' },
+      { type: 'same', left: 'Elute', right: 'Elute' }
+    ]);
+    expect(diffLines('a\r\nb', null)).toEqual([
+      { type: 'removed', left: 'a', right: null },
+      { type: 'removed', left: 'b', right: null }
+    ]);
+    expect(diffLines('', '')).toEqual([]);
+  });
+
+  it('should match reagents by name and report what changed', () => {
+    const rows = diffReagents(VERSIONS[0].required_reagents, VERSIONS[1].required_reagents);
+    expect(rows.map(({ name, status, changed_fields: changed }) => ({ name, status, changed }))).toEqual([
+      { name: 'buffer al', status: 'changed', changed: ['quantity_per_sample'] },
+      { name: 'Ethanol', status: 'removed', changed: [] },
+      { name: 'Proteinase K', status: 'added', changed: [] }
+    ]);
+    expect(diffReagents(VERSIONS[0].required_reagents, VERSIONS[0].required_reagents)
+      .every(row => row.status === 'same')).toBe(true);
+  });
+
+  it('should diff two stored versions', async () => {
+    const diff = await diffVersions(mockClient(), 'p1', 1, 2);
+    expect(diff.fields).toEqual([{ field: 'version_label', before: '1.0', after: '1.1' }]);
+    expect(diff.steps).toHaveLength(5);
+    expect(diff.reagents).toHaveLength(3);
+
+    await expect(diffVersions(mockClient(), 'p1', 1, 3)).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  reagentTotal,
+  convertQuantity,
+  reconcileExperiment,
+  suggestAllowance,
+  summarizeProtocol
+} = require('../services/reagentReconciliationService');
+
+const REAGENTS = [
+  { name: 'Buffer AL', quantity_per_sample: 200, unit: 'µL' },
+  { name: 'Proteinase K', quantity_per_sample: 'As needed', unit: 'µL' }
+];
+
+const transaction = (overrides) => ({
+  inventory_id: 'i1',
+  inventory_number: 'INV-1',
+  inventory_name: 'Buffer AL (Qiagen)',
+  lot_number: 'L1',
+  transaction_status: 'consumed',
+  quantity_change: -450,
+  transaction_unit: 'µL',
+  reserved_quantity: 400,
+  reserved_unit: 'µL',
+  ...overrides
+});
+
+describe('reagentReconciliationService', () => {
+  it('should total reagents per sample and convert between units of a kind', () => {
+    expect(reagentTotal(0.1, 3)).toBe(0.3);
+    expect(reagentTotal('As needed', 3)).toBeNull();
+    expect(convertQuantity(1.5, 'mL', 'µL')).toBe(1500);
+    expect(convertQuantity('250', 'ul', 'mL')).toBe(0.25);
+    expect(convertQuantity(1, 'mL', 'mg')).toBeNull();
+    expect(convertQuantity(4, 'pieces', null)).toBe(4);
+  });
+
+  it('should compare calculated, reserved and consumed amounts per reagent and lot', () => {
+    const report = reconcileExperiment(
+      { status: 'completed', sample_ids: ['s1', 's2'], required_reagents: REAGENTS, actual_reagents_used: [] },
+      [
+        transaction(),
+        transaction({ inventory_id: 'i2', inventory_number: 'INV-2', lot_number: 'L2', quantity_change: -0.1, transaction_unit: 'mL', reserved_quantity: null, reserved_unit: null }),
+        transaction({ inventory_id: 'i3', inventory_name: 'Ethanol', quantity_change: -1, transaction_unit: 'mL', reserved_quantity: 1, reserved_unit: 'mL' })
+      ]
+    );
+
+    const buffer = report.reagents[0];
+    expect(buffer).toMatchObject({ calculated: 400, reserved: 500, consumed: 550, variance: 150, variance_percent: 37.5 });
+    expect(buffer.lots.map(lot => [lot.lot_number, lot.reserved, lot.consumed, lot.variance])).toEqual([
+      ['L1', 400, 450, 50],
+      ['L2', 100, 100, 0]
+    ]);
+    expect(report.reagents[1]).toMatchObject({ name: 'Proteinase K', calculated: null, variance: null });
+    expect(report.reagents[2]).toMatchObject({ name: 'Ethanol', planned: false, consumed: 1 });
+  });
+
+  it('should not report consumption before the experiment used its reagents', () => {
+    const report = reconcileExperiment(
+      { status: 'planned', sample_ids: ['s1', 's2'], required_reagents: REAGENTS },
+      [transaction({ transaction_status: 'reserved', quantity_change: -400, reserved_quantity: null, reserved_unit: null })]
+    );
+    expect(report.consumption_recorded).toBe(false);
+    expect(report.reagents[0]).toMatchObject({ reserved: 400, consumed: 0, variance: null });
+  });
+
+  it('should suggest an overage factor and dead volume once enough runs are recorded', () => {
+    expect(suggestAllowance([{ sample_count: 2, calculated: 400, consumed: 500 }])).toMatchObject({
+      overage_factor: null,
+      runs_needed: 2
+    });
+
+    // 200 µL per sample plus 100 µL dead volume
+    const runs = [2, 4, 8].map(count => ({ sample_count: count, calculated: 200 * count, consumed: 200 * count + 100 }));
+    expect(suggestAllowance(runs)).toEqual({
+      overage_factor: 1.25,
+      dead_volume: 100,
+      fitted_quantity_per_sample: 200,
+      runs_needed: 0
+    });
+  });
+
+  it('should roll a protocol\'s experiments up by reagent with a suggested quantity per sample', () => {
+    const experiments = [2, 4, 8].map((count, index) => ({
+      experiment: { id: `e${index}`, experiment_id: index + 1 },
+      reconciliation: reconcileExperiment(
+        { status: 'completed', sample_ids: Array(count).fill('s'), required_reagents: [{ name: 'Buffer AL', quantity_per_sample: 0.2, unit: 'mL' }] },
+        [transaction({ quantity_change: -(200 * count + 100), reserved_quantity: 200 * count })]
+      )
+    }));
+
+    const [buffer] = summarizeProtocol([REAGENTS[0]], experiments);
+    expect(buffer).toMatchObject({ unit: 'µL', calculated: 2800, consumed: 3100, variance: 300 });
+    expect(buffer.lots).toEqual([expect.objectContaining({ lot_number: 'L1', experiments: 3, reserved: 2800, consumed: 3100 })]);
+    expect(buffer.suggestion).toMatchObject({ overage_factor: 1.25, dead_volume: 100, quantity_per_sample: 250 });
+  });
+});
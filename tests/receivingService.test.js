@@ -0,0 +1,118 @@
+const { summarizeItems, createReceipt, checkInTube, commitReceipt } = require('../services/receivingService');
+
+jest.mock('../db');
+
+const RECEIPT = { id: 'receipt-1', project_id: 'project-1', status: 'open', date_received: '2024-03-01' };
+
+/**
+ * Fake pg client holding one receipt and its items in memory
+ */
+const mockClient = ({ receipt = RECEIPT, items = [], existingTubes = [] } = {}) => {
+  const state = { items: items.map(item => ({ damaged: false, ...item })), statements: [] };
+
+  state.query = jest.fn(async (sql, params) => {
+    state.statements.push(sql);
+    if (sql.includes('FROM specimen_receipts WHERE id = $1 FOR UPDATE')) return { rows: receipt ? [receipt] : [] };
+    if (sql.includes('FROM specimens WHERE project_id')) {
+      return { rows: existingTubes.map(tube_id => ({ tube_id })) };
+    }
+    if (sql.includes('INSERT INTO specimen_receipts')) return { rows: [{ ...RECEIPT, project_id: params[0] }] };
+    if (sql.includes('INSERT INTO specimen_receipt_items') && sql.includes('UNNEST')) return { rows: [] };
+    if (sql.includes('WHERE receipt_id = $1 AND tube_id = $2')) {
+      return { rows: state.items.filter(item => item.tube_id === params[1]) };
+    }
+    if (sql.includes('INSERT INTO specimen_receipt_items')) {
+      const extra = { id: 'extra-1', tube_id: params[1], status: 'extra', damaged: params[2] };
+      state.items.push(extra);
+      return { rows: [extra] };
+    }
+    if (sql.includes("SET status = 'checked_in'")) {
+      const item = state.items.find(i => i.id === params[0]);
+      Object.assign(item, { status: 'checked_in', damaged: params[1] });
+      return { rows: [item] };
+    }
+    if (sql.includes("SET status = 'missing'")) {
+      state.items.filter(i => i.status === 'expected').forEach(i => { i.status = 'missing'; });
+      return { rows: [] };
+    }
+    if (sql.includes('SET specimen_id')) {
+      state.items.find(i => i.id === params[1]).specimen_id = params[0];
+      return { rows: [] };
+    }
+    if (sql.includes('FROM specimen_receipt_items')) return { rows: state.items };
+    if (sql.includes("SET status = 'committed'")) return { rows: [{ ...receipt, status: 'committed' }] };
+    if (sql.includes('UPDATE projects SET date_received')) return { rows: [] };
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return state;
+};
+
+describe('receivingService', () => {
+  it('should count missing, extra and damaged tubes as discrepancies', () => {
+    const summary = summarizeItems([
+      { status: 'checked_in', damaged: false },
+      { status: 'checked_in', damaged: true },
+      { status: 'missing', damaged: false },
+      { status: 'extra', damaged: false }
+    ]);
+
+    expect(summary).toMatchObject({ expected: 3, checked_in: 2, missing: 1, extra: 1, damaged: 1, discrepancies: 3 });
+  });
+
+  it('should reject a manifest that lists the same tube twice', async () => {
+    await expect(createReceipt(mockClient(), {
+      projectId: 'project-1',
+      rows: [{ tube_id: 'T1' }, { tube_id: 'T1' }],
+      userId: 'user-1'
+    })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should reject manifest tubes that already exist in the project', async () => {
+    await expect(createReceipt(mockClient({ existingTubes: ['T2'] }), {
+      projectId: 'project-1',
+      rows: [{ tube_id: 'T1' }, { tube_id: 'T2' }],
+      userId: 'user-1'
+    })).rejects.toMatchObject({ status: 409, message: 'Tubes already exist in this project: T2' });
+  });
+
+  it('should log an unknown barcode as an extra tube', async () => {
+    const item = await checkInTube(mockClient(), 'receipt-1', { tubeId: ' X9 ', userId: 'user-1' });
+    expect(item).toMatchObject({ tube_id: 'X9', status: 'extra' });
+  });
+
+  it('should refuse to check in the same tube twice', async () => {
+    const client = mockClient({ items: [{ id: 'item-1', tube_id: 'T1', status: 'checked_in' }] });
+
+    await expect(
+      checkInTube(client, 'receipt-1', { tubeId: 'T1', userId: 'user-1' })
+    ).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should only create specimens for undamaged checked-in tubes', async () => {
+    const client = mockClient({
+      items: [
+        { id: 'item-1', tube_id: 'T1', status: 'checked_in', manifest_data: { tube_id: 'T1' } },
+        { id: 'item-2', tube_id: 'T2', status: 'checked_in', damaged: true, manifest_data: { tube_id: 'T2' } },
+        { id: 'item-3', tube_id: 'T3', status: 'expected', manifest_data: { tube_id: 'T3' } },
+        { id: 'item-4', tube_id: 'X9', status: 'extra' }
+      ]
+    });
+    const createSpecimen = jest.fn(async (data) => `specimen-${data.tube_id}`);
+
+    const result = await commitReceipt(client, 'receipt-1', { userId: 'user-1', createSpecimen });
+
+    expect(createSpecimen).toHaveBeenCalledTimes(1);
+    expect(createSpecimen.mock.calls[0][0]).toEqual({ tube_id: 'T1' });
+    expect(result.created).toBe(1);
+    expect(result.summary).toMatchObject({ missing: 1, extra: 1, damaged: 1 });
+  });
+
+  it('should not commit a receipt twice', async () => {
+    const client = mockClient({ receipt: { ...RECEIPT, status: 'committed' } });
+
+    await expect(
+      commitReceipt(client, 'receipt-1', { userId: 'user-1', createSpecimen: jest.fn() })
+    ).rejects.toMatchObject({ status: 409, message: 'Receipt has already been committed' });
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('../db');
+const { createSession, refreshSession, revokeAllSessions } = require('../services/sessionService');
+
+const USER = { id: 'u1', username: 'ada', role: 'researcher', active: true, totp_enabled: false };
+
+// In-memory user_sessions behind the queries sessionService makes
+const mockClient = () => {
+  const client = { sessions: [], audits: [] };
+  client.query = jest.fn(async (sql, params) => {
+    if (sql.includes('INSERT INTO user_sessions')) {
+      const session = { id: `s${client.sessions.length + 1}`, user_id: params[0], refresh_token_hash: params[1], previous_token_hash: null, last_used_at: Date.now(), revoked_reason: null };
+      client.sessions.push(session);
+      return { rows: [{ id: session.id }] };
+    }
+    if (sql.includes("revoked_reason = 'token_reuse'")) {
+      const session = client.sessions.find(s => s.previous_token_hash === params[0] && !s.revoked_reason
+        && s.last_used_at < Date.now() - params[1] * 1000);
+      if (session) session.revoked_reason = 'token_reuse';
+      return { rows: session ? [{ id: session.id, user_id: session.user_id }] : [] };
+    }
+    if (sql.includes('WHERE s.refresh_token_hash = $1')) {
+      const session = client.sessions.find(s => s.refresh_token_hash === params[0] && !s.revoked_reason);
+      return { rows: session ? [{ session_id: session.id, ...USER }] : [] };
+    }
+    if (sql.includes('SET refresh_token_hash')) {
+      const session = client.sessions.find(s => s.id === params[3]);
+      Object.assign(session, { refresh_token_hash: params[0], previous_token_hash: params[1], last_used_at: Date.now() });
+      return { rows: [] };
+    }
+    if (sql.includes('WHERE user_id = $1 AND revoked_at IS NULL AND')) {
+      const revoked = client.sessions.filter(s => s.user_id === params[0] && !s.revoked_reason && s.id !== params[2]);
+      revoked.forEach(s => { s.revoked_reason = params[1]; });
+      return { rows: revoked.map(s => ({ id: s.id })) };
+    }
+    if (sql.includes('INSERT INTO audit_log')) {
+      client.audits.push(params[1]);
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  return client;
+};
+
+describe('sessionService', () => {
+  it('should rotate the refresh token on every use', async () => {
+    const client = mockClient();
+    const { sessionId, refreshToken } = await createSession(client, 'u1', { userAgent: 'jest', ip: '127.0.0.1' });
+
+    const refreshed = await refreshSession(client, refreshToken);
+    expect(refreshed).toMatchObject({ sessionId, user: { id: 'u1', role: 'researcher' } });
+    expect(refreshed.refreshToken).not.toBe(refreshToken);
+    expect(client.sessions[0].refresh_token_hash).not.toContain(refreshed.refreshToken);
+
+    expect(await refreshSession(client, 'not-a-token')).toBeNull();
+  });
+
+  it('should revoke the session when a rotated token is replayed', async () => {
+    const client = mockClient();
+    const { refreshToken } = await createSession(client, 'u1');
+    const { refreshToken: current } = await refreshSession(client, refreshToken);
+
+    // Within the grace period (two tabs refreshing at once) the old token is only refused
+    expect(await refreshSession(client, refreshToken)).toBeNull();
+    expect(client.sessions[0].revoked_reason).toBeNull();
+
+    client.sessions[0].last_used_at -= 60 * 1000;
+    expect(await refreshSession(client, refreshToken)).toBeNull();
+    expect(client.sessions[0].revoked_reason).toBe('token_reuse');
+    expect(client.audits).toEqual(['REVOKE_SESSION']);
+
+    // The legitimate holder is signed out too
+    expect(await refreshSession(client, current)).toBeNull();
+  });
+
+  it('should revoke all other sessions of a user', async () => {
+    const client = mockClient();
+    const { sessionId: keep } = await createSession(client, 'u1');
+    await createSession(client, 'u1');
+    await createSession(client, 'u1');
+
+    expect(await revokeAllSessions(client, 'u1', 'password_change', { exceptSessionId: keep })).toBe(2);
+    expect(client.sessions.map(s => s.revoked_reason)).toEqual([null, 'password_change', 'password_change']);
+    expect(await revokeAllSessions(client, 'u1', 'password_change', { exceptSessionId: keep })).toBe(0);
+    expect(client.audits).toEqual(['REVOKE_ALL_SESSIONS']);
+  });
+});
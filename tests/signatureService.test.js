@@ -0,0 +1,146 @@
+jest.mock('../db');
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const {
+  contentHash,
+  signRecord,
+  getSignatures,
+  assertEditable,
+  startRevision
+} = require('../services/signatureService');
+
+const PASSWORD_HASH = bcrypt.hashSync('Correct-horse1!', 4);
+const TECH = { id: 'u1', role: 'lab_technician' };
+const MANAGER = { id: 'u2', role: 'lab_manager' };
+
+const PROTOCOL = {
+  id: 'p1', protocol_id: 7, name: 'DNA extraction', description: null, version: '1.0',
+  required_reagents: [{ name: 'Buffer AL', unit: 'mL', quantity_per_sample: 0.2 }],
+  basic_steps: 'Lyse, bind, wash, elute', steps: [{ title: 'Lyse', duration_minutes: 10 }], revision: 1, is_active: true, updated_at: '2026-10-01T10:00:00'
+};
+
+// In-memory protocols row and electronic_signatures behind the queries signatureService makes
+const mockClient = (row = { ...PROTOCOL }) => {
+  const client = { row, signatures: [], audits: [] };
+  client.query = jest.fn(async (sql, params) => {
+    if (sql.includes('SELECT to_jsonb(t) AS row')) {
+      return { rows: params[0] === client.row.id ? [{ row: { ...client.row } }] : [] };
+    }
+    if (sql.includes('SELECT meaning, signed_by FROM electronic_signatures')) {
+      return { rows: client.signatures.filter(s => s.revision === params[2]) };
+    }
+    if (sql.includes('INSERT INTO electronic_signatures')) {
+      const [, , revision, meaning, hash, content, comment, signedBy, signerName] = params;
+      const signature = {
+        id: `sig${client.signatures.length + 1}`, revision, meaning, content_hash: hash,
+        signed_content: JSON.parse(content), comment, signed_by: signedBy, signer_name: signerName
+      };
+      client.signatures.push(signature);
+      return { rows: [signature] };
+    }
+    if (sql.includes('LEFT JOIN users u ON s.signed_by')) {
+      return { rows: client.signatures.map(s => ({ ...s })) };
+    }
+    if (sql.includes('JOIN protocols t ON t.id = s.record_id AND t.revision = s.revision')) {
+      return { rows: client.signatures.filter(s => s.revision === client.row.revision) };
+    }
+    if (sql.includes('AND revision = $3 LIMIT 1')) {
+      return { rows: client.signatures.filter(s => s.revision === params[2]) };
+    }
+    if (sql.includes('SET revision = revision + 1')) {
+      client.row.revision += 1;
+      return { rows: [{ revision: client.row.revision }] };
+    }
+    if (sql.includes('INSERT INTO audit_log')) {
+      client.audits.push(params[1]);
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  return client;
+};
+
+const users = {
+  u1: { id: 'u1', username: 'tech', first_name: 'Ada', last_name: 'Byron', password: PASSWORD_HASH, active: true },
+  u2: { id: 'u2', username: 'manager', first_name: 'Grace', last_name: 'Hopper', password: PASSWORD_HASH, active: true }
+};
+
+const sign = (client, user, meaning, password = 'Correct-horse1!') => signRecord(client, {
+  table: 'protocols', recordId: 'p1', meaning, password, user
+});
+
+describe('signatureService', () => {
+  let failedAttempts;
+
+  beforeEach(() => {
+    failedAttempts = [];
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [users[params[0]]] };
+      if (sql.includes('failed_login_attempts + 1')) {
+        failedAttempts.push(params[0]);
+        return { rows: [{ failed_login_attempts: failedAttempts.length }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should hash content the same whatever the key order', () => {
+    expect(contentHash({ a: 1, b: { c: [1, { d: 2, e: 3 }] } }))
+      .toBe(contentHash({ b: { c: [1, { e: 3, d: 2 }] }, a: 1 }));
+    expect(contentHash({ a: 1 })).not.toBe(contentHash({ a: 2 }));
+  });
+
+  it('should bind a signature to the signed content and lock the revision', async () => {
+    const client = mockClient();
+    const signature = await sign(client, TECH, 'authored');
+
+    expect(signature).toMatchObject({ revision: 1, meaning: 'authored', signer_name: 'Ada Byron' });
+    const signedContent = client.signatures[0].signed_content;
+    expect(signedContent).not.toHaveProperty('updated_at');
+    expect(signature.content_hash).toBe(contentHash(signedContent));
+    expect(client.audits).toEqual(['SIGN']);
+
+    const status = await getSignatures(client, 'protocols', 'p1');
+    expect(status.locked).toBe(true);
+    expect(status.signatures[0]).toMatchObject({ intact: true, current: true });
+    await expect(assertEditable(client, 'protocols', 'p1')).rejects.toMatchObject({ status: 409 });
+
+    // The structured steps run at the bench are part of what was signed
+    client.row.steps = [{ title: 'Lyse', duration_minutes: 30 }];
+    expect((await getSignatures(client, 'protocols', 'p1')).signatures[0]).toMatchObject({ intact: true, current: false });
+  });
+
+  it('should refuse a wrong password and count it towards the lockout', async () => {
+    const client = mockClient();
+    await expect(sign(client, TECH, 'authored', 'wrong')).rejects.toMatchObject({ status: 400 });
+    expect(failedAttempts).toEqual(['u1']);
+    expect(client.signatures).toHaveLength(0);
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO audit_log'),
+      expect.arrayContaining(['SIGN_FAILED', 'protocols', 'p1']));
+  });
+
+  it('should check who may sign with which meaning', async () => {
+    const client = mockClient();
+    await sign(client, MANAGER, 'authored');
+
+    await expect(sign(client, TECH, 'approved')).rejects.toMatchObject({ status: 403 });
+    await expect(sign(client, MANAGER, 'approved')).rejects.toMatchObject({ status: 403 });
+    await expect(sign(client, MANAGER, 'authored')).rejects.toMatchObject({ status: 409 });
+    await expect(sign(client, TECH, 'reviewed')).resolves.toMatchObject({ meaning: 'reviewed' });
+  });
+
+  it('should unlock a signed record with a new revision and keep the old signatures', async () => {
+    const client = mockClient();
+    await expect(startRevision(client, 'protocols', 'p1', TECH)).rejects.toMatchObject({ status: 400 });
+
+    await sign(client, TECH, 'authored');
+    expect(await startRevision(client, 'protocols', 'p1', TECH, 'Longer incubation')).toEqual({ revision: 2 });
+    await expect(assertEditable(client, 'protocols', 'p1')).resolves.toBeUndefined();
+
+    client.row.basic_steps = 'Lyse 30 min, bind, wash, elute';
+    client.signatures[0].signed_content.name = 'Tampered';
+    const status = await getSignatures(client, 'protocols', 'p1');
+    expect(status).toMatchObject({ revision: 2, locked: false });
+    expect(status.signatures[0]).toMatchObject({ revision: 1, intact: false, current: false });
+  });
+});
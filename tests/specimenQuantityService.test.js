@@ -0,0 +1,125 @@
+const {
+  recordSpecimenTransaction,
+  syncExperimentVolumes,
+  normalizeSampleVolumes
+} = require('../services/specimenQuantityService');
+
+jest.mock('../db');
+
+/**
+ * Fake pg client holding one specimen's remaining quantity and any prior experiment volumes
+ */
+const mockClient = ({ remaining = 10, experimentVolumes = [] } = {}) => {
+  let current = remaining;
+  return {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FOR UPDATE')) {
+        return { rows: [{ id: params[0], specimen_number: 101, remaining_quantity: current }] };
+      }
+      if (sql.startsWith('UPDATE specimens')) {
+        current = params[0];
+        return { rows: [{ id: params[1], remaining_quantity: current, used_up: current <= 0 }] };
+      }
+      if (sql.includes('INSERT INTO specimen_transactions')) {
+        return { rows: [{ specimen_id: params[0], transaction_type: params[1], quantity_change: params[2], quantity_after: params[3] }] };
+      }
+      if (sql.includes('GROUP BY specimen_id')) {
+        return { rows: experimentVolumes };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    })
+  };
+};
+
+describe('specimenQuantityService', () => {
+  describe('recordSpecimenTransaction', () => {
+    it('should subtract withdrawals and write the new remainder to the ledger', async () => {
+      const result = await recordSpecimenTransaction(mockClient({ remaining: 10 }), {
+        specimenId: 'spec-1',
+        transactionType: 'withdrawal',
+        quantity: 2.5
+      });
+
+      expect(result.transaction.quantity_change).toBe(-2.5);
+      expect(result.transaction.quantity_after).toBe(7.5);
+    });
+
+    it('should reject a withdrawal larger than what is left', async () => {
+      await expect(
+        recordSpecimenTransaction(mockClient({ remaining: 1 }), {
+          specimenId: 'spec-1',
+          transactionType: 'withdrawal',
+          quantity: 2
+        })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should set the remainder outright for corrections', async () => {
+      const result = await recordSpecimenTransaction(mockClient({ remaining: null }), {
+        specimenId: 'spec-1',
+        transactionType: 'correction',
+        quantity: 4
+      });
+
+      expect(result.transaction.quantity_after).toBe(4);
+      expect(result.transaction.quantity_change).toBe(4);
+    });
+
+    it('should report used_up once the remainder reaches zero', async () => {
+      const result = await recordSpecimenTransaction(mockClient({ remaining: 3 }), {
+        specimenId: 'spec-1',
+        transactionType: 'aliquot',
+        quantity: 3
+      });
+
+      expect(result.specimen.used_up).toBe(true);
+    });
+  });
+
+  describe('syncExperimentVolumes', () => {
+    it('should only write the difference from what the experiment already drew', async () => {
+      const client = mockClient({
+        remaining: 5,
+        experimentVolumes: [{ specimen_id: 'spec-1', volume: '2' }]
+      });
+
+      const transactions = await syncExperimentVolumes(client, {
+        experimentId: 'exp-1',
+        experimentNumber: 7,
+        volumes: { 'spec-1': 3 },
+        userId: 'user-1'
+      });
+
+      expect(transactions).toHaveLength(1);
+      expect(transactions[0]).toMatchObject({ transaction_type: 'withdrawal', quantity_change: -1 });
+    });
+
+    it('should return volume for samples dropped from the experiment', async () => {
+      const client = mockClient({
+        remaining: 5,
+        experimentVolumes: [{ specimen_id: 'spec-1', volume: '2' }]
+      });
+
+      const transactions = await syncExperimentVolumes(client, {
+        experimentId: 'exp-1',
+        experimentNumber: 7,
+        volumes: {},
+        userId: 'user-1'
+      });
+
+      expect(transactions[0]).toMatchObject({ transaction_type: 'return', quantity_after: 7 });
+    });
+  });
+
+  describe('normalizeSampleVolumes', () => {
+    it('should skip blank entries and reject specimens outside the experiment', () => {
+      expect(normalizeSampleVolumes(
+        [{ specimen_id: 'a', volume: '1.5' }, { specimen_id: 'b', volume: '' }],
+        ['a', 'b']
+      )).toEqual({ a: 1.5 });
+
+      expect(() => normalizeSampleVolumes([{ specimen_id: 'c', volume: 1 }], ['a']))
+        .toThrow('Sample volumes can only be recorded for samples in this experiment');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { parseWellCoordinate, resolveSpecimenPosition } = require('../services/storageService');
+
+jest.mock('../db');
+
+const FREEZER = { id: 'freezer-1', name: 'Freezer A' };
+const RACK = { id: 'rack-1', name: 'R1' };
+const BOX = { id: 'box-1', name: 'Box 7', num_rows: 9, num_columns: 9 };
+
+/**
+ * Fake pg client answering the lookups resolveSpecimenPosition makes, in order
+ */
+const mockClient = ({ freezer = FREEZER, rack = RACK, box = BOX, occupant = null } = {}) => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FROM storage_freezers')) return { rows: freezer ? [freezer] : [] };
+    if (sql.includes('FROM storage_racks')) return { rows: rack ? [rack] : [] };
+    if (sql.includes('FROM storage_boxes')) return { rows: box ? [box] : [] };
+    if (sql.includes('FROM specimens')) return { rows: occupant ? [occupant] : [] };
+    throw new Error(`Unexpected query: ${sql}`);
+  })
+});
+
+describe('storageService', () => {
+  describe('parseWellCoordinate', () => {
+    it('should convert letters and numbers to 1-based indexes', () => {
+      expect(parseWellCoordinate('A')).toBe(1);
+      expect(parseWellCoordinate(' c ')).toBe(3);
+      expect(parseWellCoordinate('12')).toBe(12);
+    });
+
+    it('should reject blank and malformed coordinates', () => {
+      expect(parseWellCoordinate('')).toBeNull();
+      expect(parseWellCoordinate('0')).toBeNull();
+      expect(parseWellCoordinate('AB')).toBeNull();
+    });
+  });
+
+  describe('resolveSpecimenPosition', () => {
+    it('should return empty storage fields when no position is given', async () => {
+      const client = mockClient();
+      const result = await resolveSpecimenPosition(client, {});
+
+      expect(result.storage_box_id).toBeNull();
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it('should normalize names to the stored entities and resolve the well', async () => {
+      const result = await resolveSpecimenPosition(mockClient(), {
+        position_freezer: 'freezer a ',
+        position_rack: 'r1',
+        position_box: 'box 7',
+        position_dimension_one: 'b',
+        position_dimension_two: '3'
+      });
+
+      expect(result).toEqual({
+        position_freezer: 'Freezer A',
+        position_rack: 'R1',
+        position_box: 'Box 7',
+        position_dimension_one: 'B',
+        position_dimension_two: '3',
+        storage_box_id: 'box-1',
+        storage_row: 2,
+        storage_column: 3
+      });
+    });
+
+    it('should reject unknown freezers with a 400', async () => {
+      await expect(
+        resolveSpecimenPosition(mockClient({ freezer: null }), { position_freezer: 'Freezer-A ' })
+      ).rejects.toMatchObject({ status: 400, message: 'Unknown freezer "Freezer-A"' });
+    });
+
+    it('should reject wells outside the box dimensions', async () => {
+      await expect(
+        resolveSpecimenPosition(mockClient(), {
+          position_freezer: 'Freezer A',
+          position_rack: 'R1',
+          position_box: 'Box 7',
+          position_dimension_one: 'J',
+          position_dimension_two: '1'
+        })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should reject an occupied well with a 409', async () => {
+      const client = mockClient({ occupant: { id: 'other', specimen_number: 42 } });
+
+      await expect(
+        resolveSpecimenPosition(client, {
+          position_freezer: 'Freezer A',
+          position_rack: 'R1',
+          position_box: 'Box 7',
+          position_dimension_one: 'A',
+          position_dimension_two: '1'
+        }, { specimenId: 'self' })
+      ).rejects.toMatchObject({ status: 409 });
+
+      const occupancyCall = client.query.mock.calls.find(([sql]) => sql.includes('FROM specimens'));
+      expect(occupancyCall[1]).toEqual(['box-1', 1, 1, 'self']);
+    });
+
+    it('should require a box before accepting a well position', async () => {
+      await expect(
+        resolveSpecimenPosition(mockClient(), {
+          position_freezer: 'Freezer A',
+          position_rack: 'R1',
+          position_dimension_one: 'A',
+          position_dimension_two: '1'
+        })
+      ).rejects.toMatchObject({ status: 400, message: 'A box is required when a well position is given' });
+    });
+  });
+});
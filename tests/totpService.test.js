@@ -0,0 +1,101 @@
+process.env.PHI_ENCRYPTION_KEY = 'a'.repeat(64);
+
+const {
+  generateCode,
+  currentStep,
+  matchStep,
+  verifySecondFactor,
+  beginEnrollment,
+  confirmEnrollment,
+  disable
+} = require('../services/totpService');
+const { encrypt } = require('../utils/phiEncryption');
+
+// RFC 6238 test secret ("12345678901234567890" in base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// One users row plus its recovery codes, behind the queries totpService makes
+const mockClient = (user) => {
+  const client = { user, recoveryCodes: [], audits: [] };
+  client.query = jest.fn(async (sql, params) => {
+    if (sql.startsWith('SELECT id, username, role, totp_secret')) {
+      return { rows: [{ ...client.user }] };
+    }
+    if (sql.startsWith('UPDATE users SET totp_secret')) {
+      client.user.totp_secret = params[0];
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE users SET totp_enabled = TRUE')) {
+      Object.assign(client.user, { totp_enabled: true, totp_last_step: params[0] });
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE users SET totp_last_step')) {
+      const fresh = client.user.totp_last_step === null || client.user.totp_last_step < params[0];
+      if (fresh) client.user.totp_last_step = params[0];
+      return { rowCount: fresh ? 1 : 0, rows: [] };
+    }
+    if (sql.startsWith('DELETE FROM user_recovery_codes')) {
+      client.recoveryCodes = [];
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO user_recovery_codes')) {
+      client.recoveryCodes = params[1].map(hash => ({ hash, used: false }));
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE user_recovery_codes')) {
+      const match = client.recoveryCodes.find(code => code.hash === params[1] && !code.used);
+      if (match) match.used = true;
+      return { rows: match ? [{ id: 'code' }] : [] };
+    }
+    if (sql.includes('INSERT INTO audit_log')) {
+      client.audits.push(params[1]);
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  return client;
+};
+
+describe('totpService', () => {
+  it('should generate the RFC 6238 reference codes', () => {
+    expect(generateCode(RFC_SECRET, 1)).toBe('287082'); // T = 59s
+    expect(generateCode(RFC_SECRET, 37037036)).toBe('081804'); // T = 1111111109s
+  });
+
+  it('should accept one step of clock drift and refuse replayed steps', () => {
+    const now = 1700000000000;
+    const step = currentStep(now);
+
+    expect(matchStep(RFC_SECRET, generateCode(RFC_SECRET, step - 1), null, now)).toBe(step - 1);
+    expect(matchStep(RFC_SECRET, generateCode(RFC_SECRET, step + 2), null, now)).toBeNull();
+    expect(matchStep(RFC_SECRET, generateCode(RFC_SECRET, step), step, now)).toBeNull();
+    expect(matchStep(RFC_SECRET, 'abc123', null, now)).toBeNull();
+  });
+
+  it('should turn on only after a correct code, and return single-use recovery codes', async () => {
+    const client = mockClient({ id: 'u1', username: 'ada', role: 'researcher', totp_secret: null, totp_enabled: false, totp_last_step: null });
+    const { secret, otpauth_url: url, qr_code: qrCode } = await beginEnrollment(client, 'u1');
+
+    expect(url).toContain(`secret=${secret}`);
+    expect(qrCode).toMatch(/^data:image\/png;base64,/);
+    expect(client.user.totp_secret).toMatch(/^enc:v1:/);
+
+    await expect(confirmEnrollment(client, 'u1', generateCode(secret, currentStep() + 5))).rejects.toMatchObject({ status: 400 });
+    const step = currentStep();
+    const codes = await confirmEnrollment(client, 'u1', generateCode(secret, step));
+    expect(codes).toHaveLength(10);
+    expect(client.user.totp_enabled).toBe(true);
+
+    // The code used to confirm can't be used again, but a recovery code works once
+    expect(await verifySecondFactor(client, client.user, generateCode(secret, step))).toBeNull();
+    expect(await verifySecondFactor(client, client.user, codes[0].toLowerCase())).toBe('recovery_code');
+    expect(await verifySecondFactor(client, client.user, codes[0])).toBeNull();
+    expect(client.audits).toEqual(['ENABLE_TOTP', 'USE_RECOVERY_CODE']);
+  });
+
+  it('should not let roles that require two-factor turn it off', async () => {
+    const user = { id: 'u2', username: 'boss', role: 'lab_manager', totp_secret: encrypt(RFC_SECRET), totp_enabled: true, totp_last_step: null };
+    await expect(disable(mockClient(user), 'u2', generateCode(RFC_SECRET, currentStep())))
+      .rejects.toMatchObject({ status: 403 });
+  });
+});
@@ -3,7 +3,13 @@
  * Proves that both migration and project imports result in identical database structure
  */
 
+process.env.PHI_ENCRYPTION_KEY = 'a'.repeat(64);
+
+const db = require('../db');
 const { parseEntityData, importEntities, validateEntity } = require('../utils/unifiedImportLogic');
+const { isEncrypted, decrypt, blindIndex } = require('../utils/phiEncryption');
+
+jest.mock('../db');
 
 // ================================================================================
 // TEST DATA
@@ -168,6 +174,58 @@ describe('Validation Consistency', () => {
   });
 });
 
+// ================================================================================
+// PHI ENCRYPTION
+// ================================================================================
+
+describe('Patient PHI', () => {
+  const SAMPLE_PATIENT_CSV = [
+    ['ID', 'External_ID', 'First_Name', 'Last_Name', 'Date_of_Birth', 'Diagnosis'],
+    ['12', 'EXT-12', 'Ada', 'Lovelace', '1815-12-10', 'Healthy'],
+    ['13', 'EXT-13', '', 'Byron', '', '']
+  ];
+
+  const mockClient = (existingNumbers = []) => {
+    const client = { writes: [], release: jest.fn() };
+    client.query = jest.fn(async (sql, params = []) => {
+      if (sql.includes('SELECT id FROM patients')) {
+        return { rows: existingNumbers.includes(params[0]) ? [{ id: `patient-${params[0]}` }] : [] };
+      }
+      if (sql.includes('INSERT INTO patients') || sql.includes('UPDATE patients')) {
+        const columns = sql.includes('INSERT')
+          ? sql.match(/\(([^)]*), created_at/)[1].split(', ')
+          : [...sql.matchAll(/(\w+) = \$\d+/g)].map(match => match[1]);
+        const values = sql.includes('INSERT') ? params : params.slice(1);
+        client.writes.push(Object.fromEntries(columns.map((column, i) => [column, values[i]])));
+        return { rows: [{ id: 'patient-new', patient_number: params[0] }] };
+      }
+      return { rows: [] };
+    });
+    return client;
+  };
+
+  test('Imported names and dates of birth are stored encrypted with search indexes', async () => {
+    const client = mockClient([13]);
+    db.getClient.mockResolvedValue(client);
+
+    const { entities } = parseEntityData(SAMPLE_PATIENT_CSV, 'patients', true);
+    const results = await importEntities(entities, 'patients');
+
+    expect(results).toMatchObject({ created: 1, updated: 1, errors: [] });
+    const [created, updated] = client.writes;
+    ['first_name', 'last_name', 'date_of_birth'].forEach(field => expect(isEncrypted(created[field])).toBe(true));
+    expect(decrypt(created.first_name)).toBe('Ada');
+    expect(created.last_name_index).toBe(blindIndex('lovelace'));
+    expect(created.diagnosis).toBe('Healthy');
+
+    // Fields missing from the row are not overwritten
+    expect(isEncrypted(updated.last_name)).toBe(true);
+    expect(updated).not.toHaveProperty('first_name');
+    expect(updated).not.toHaveProperty('first_name_index');
+    expect(updated).not.toHaveProperty('date_of_birth');
+  });
+});
+
 // ================================================================================
 // FINAL STRUCTURE VERIFICATION
 // ================================================================================
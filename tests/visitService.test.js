@@ -0,0 +1,31 @@
+const { resolveSpecimenVisit } = require('../services/visitService');
+
+jest.mock('../db');
+
+const mockClient = (visits = {}) => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('FROM patient_visits WHERE id = $1')) {
+      return { rows: visits[params[0]] ? [visits[params[0]]] : [] };
+    }
+    return { rows: [] };
+  })
+});
+
+describe('visitService', () => {
+  it('should allow a specimen without a visit', async () => {
+    await expect(resolveSpecimenVisit(mockClient(), '', 'patient-1')).resolves.toBeNull();
+  });
+
+  it('should refuse a visit that belongs to another patient', async () => {
+    const client = mockClient({ 'visit-1': { patient_id: 'patient-2' } });
+
+    await expect(resolveSpecimenVisit(client, 'visit-1', 'patient-1')).rejects.toMatchObject({
+      status: 400,
+      message: "Visit does not belong to the specimen's patient"
+    });
+  });
+
+  it('should refuse a visit for a specimen with no patient', async () => {
+    await expect(resolveSpecimenVisit(mockClient(), 'visit-1', null)).rejects.toMatchObject({ status: 400 });
+  });
+});
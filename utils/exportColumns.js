@@ -26,7 +26,7 @@ const EXPORT_COLUMNS = {
   project_number: {
     label: 'Project #',
     group: 'id',
-    dbField: 'p.project_id',
+    dbField: 'proj.project_number',
     csvKey: 'project_number',
     excelKey: 'project_number',
     width: 15,
@@ -208,7 +208,7 @@ const EXPORT_COLUMNS = {
   patient_external_id: {
     label: 'Patient ID',
     group: 'patient',
-    dbField: 'pat.external_id',
+    dbField: 'p.external_id',
     csvKey: 'patient_external_id',
     excelKey: 'patient_external_id',
     width: 15
@@ -216,7 +216,7 @@ const EXPORT_COLUMNS = {
   patient_first_name: {
     label: 'Patient First Name',
     group: 'patient',
-    dbField: 'pat.first_name',
+    dbField: 'p.first_name',
     csvKey: 'patient_first_name',
     excelKey: 'patient_first_name',
     width: 20
@@ -224,7 +224,7 @@ const EXPORT_COLUMNS = {
   patient_last_name: {
     label: 'Patient Last Name',
     group: 'patient',
-    dbField: 'pat.last_name',
+    dbField: 'p.last_name',
     csvKey: 'patient_last_name',
     excelKey: 'patient_last_name',
     width: 20
@@ -241,26 +241,63 @@ const EXPORT_COLUMNS = {
   date_of_birth: {
     label: 'Date of Birth',
     group: 'patient',
-    dbField: 'pat.date_of_birth',
+    dbField: 'p.date_of_birth',
     csvKey: 'date_of_birth',
     excelKey: 'date_of_birth',
     width: 15,
     type: 'date'
   },
+  age_band: {
+    label: 'Age Band',
+    group: 'patient',
+    dbField: null, // Computed from date of birth in de-identified exports
+    csvKey: 'age_band',
+    excelKey: 'age_band',
+    width: 12,
+    computed: true,
+    deidentifiedOnly: true
+  },
   diagnosis: {
     label: 'Diagnosis',
     group: 'patient',
-    dbField: 'pat.diagnosis',
+    dbField: 'p.diagnosis',
     csvKey: 'diagnosis',
     excelKey: 'diagnosis',
     width: 25
   },
 
+  // Visit / Timepoint Group
+  visit_label: {
+    label: 'Visit',
+    group: 'visit',
+    dbField: 'v.visit_label',
+    csvKey: 'visit_label',
+    excelKey: 'visit_label',
+    width: 15
+  },
+  visit_date: {
+    label: 'Visit Date',
+    group: 'visit',
+    dbField: 'v.visit_date',
+    csvKey: 'visit_date',
+    excelKey: 'visit_date',
+    width: 15,
+    type: 'date'
+  },
+  days_from_baseline: {
+    label: 'Days From Baseline',
+    group: 'visit',
+    dbField: 'v.days_from_baseline',
+    csvKey: 'days_from_baseline',
+    excelKey: 'days_from_baseline',
+    width: 18
+  },
+
   // Project Info Group
   project_id: {
     label: 'Project ID',
     group: 'project',
-    dbField: 'p.id',
+    dbField: 'proj.id',
     csvKey: 'project_id',
     excelKey: 'project_id',
     width: 20
@@ -268,7 +305,7 @@ const EXPORT_COLUMNS = {
   disease: {
     label: 'Disease',
     group: 'project',
-    dbField: 'p.disease',
+    dbField: 'proj.disease',
     csvKey: 'disease',
     excelKey: 'disease',
     width: 20
@@ -276,7 +313,7 @@ const EXPORT_COLUMNS = {
   specimen_type: {
     label: 'Specimen Type',
     group: 'project',
-    dbField: 'p.specimen_type',
+    dbField: 'proj.specimen_type',
     csvKey: 'specimen_type',
     excelKey: 'specimen_type',
     width: 15
@@ -284,7 +321,7 @@ const EXPORT_COLUMNS = {
   project_source: {
     label: 'Project Source',
     group: 'project',
-    dbField: 'p.source',
+    dbField: 'proj.source',
     csvKey: 'project_source',
     excelKey: 'project_source',
     width: 20
@@ -292,7 +329,7 @@ const EXPORT_COLUMNS = {
   date_received: {
     label: 'Date Received',
     group: 'project',
-    dbField: 'p.date_received',
+    dbField: 'proj.date_received',
     csvKey: 'date_received',
     excelKey: 'date_received',
     width: 15,
@@ -301,7 +338,7 @@ const EXPORT_COLUMNS = {
   feedback_date: {
     label: 'Feedback Date',
     group: 'project',
-    dbField: 'p.feedback_date',
+    dbField: 'proj.feedback_date',
     csvKey: 'feedback_date',
     excelKey: 'feedback_date',
     width: 15,
@@ -310,7 +347,7 @@ const EXPORT_COLUMNS = {
   project_comments: {
     label: 'Project Comments',
     group: 'project',
-    dbField: 'p.comments',
+    dbField: 'proj.comments',
     csvKey: 'project_comments',
     excelKey: 'project_comments',
     width: 30
@@ -403,6 +440,11 @@ const COLUMN_GROUPS = {
     description: 'Patient demographics and clinical data',
     defaultSelected: false
   },
+  visit: {
+    label: 'Visit / Timepoint',
+    description: 'Longitudinal visit the specimen was collected at',
+    defaultSelected: false
+  },
   project: {
     label: 'Project Information',
     description: 'Research project and study details',
@@ -433,12 +475,12 @@ const getColumnsByGroup = (groupName) => {
 
 const getDefaultSelectedColumns = () => {
   return Object.entries(EXPORT_COLUMNS)
-    .filter(([key, config]) => COLUMN_GROUPS[config.group].defaultSelected)
+    .filter(([key, config]) => COLUMN_GROUPS[config.group].defaultSelected && !config.deidentifiedOnly)
     .map(([key, config]) => key);
 };
 
 const getAllColumnKeys = () => {
-  return Object.keys(EXPORT_COLUMNS);
+  return Object.keys(EXPORT_COLUMNS).filter(key => !EXPORT_COLUMNS[key].deidentifiedOnly);
 };
 
 const getColumnConfig = (columnKey) => {
@@ -457,7 +499,7 @@ const buildSelectClause = (selectedColumns) => {
   const requiredFields = [
     's.id', 's.tube_id', 's.date_collected', 's.position_freezer', 's.position_rack',
     's.position_box', 's.position_dimension_one', 's.position_dimension_two',
-    'pat.first_name', 'pat.last_name', 'pat.external_id'
+    'p.external_id'
   ];
   
   Object.entries(EXPORT_COLUMNS).forEach(([key, config]) => {
@@ -475,6 +517,15 @@ const buildSelectClause = (selectedColumns) => {
       selectFields.push(`${field} as ${alias}`);
     }
   });
+
+  // The combined patient name is built from the (encrypted) name parts after decryption
+  if (selectedSet.has('patient_name')) {
+    ['first_name', 'last_name'].forEach(part => {
+      if (!selectedSet.has(`patient_${part}`)) {
+        selectFields.push(`p.${part} as patient_${part}`);
+      }
+    });
+  }
   
   return selectFields;
 };
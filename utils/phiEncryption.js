@@ -0,0 +1,104 @@
+/**
+ * Field-level encryption for patient PHI (first/last name, date of birth)
+ * AES-256-GCM with the application key in PHI_ENCRYPTION_KEY (64 hex characters).
+ * Stored values look like enc:v1:<iv>:<tag>:<ciphertext>; anything else is treated as
+ * legacy plaintext so rows written before encryption was enabled still read back.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const PHI_FIELDS = ['first_name', 'last_name', 'date_of_birth'];
+
+let cachedKey = null;
+
+/**
+ * Load and validate the encryption key
+ * @returns {Buffer} 32-byte key
+ */
+function getKey() {
+  if (cachedKey) return cachedKey;
+
+  const hex = process.env.PHI_ENCRYPTION_KEY;
+  if (!hex || !/^[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error('PHI_ENCRYPTION_KEY must be set to 64 hex characters to store patient identifiers');
+  }
+  cachedKey = Buffer.from(hex, 'hex');
+  return cachedKey;
+}
+
+/**
+ * Check whether a stored value is ciphertext
+ * @param {*} value - Stored column value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a PHI value; empty values stay null so "not recorded" is still visible
+ * @param {*} value - Cleartext value
+ * @returns {string|null} Ciphertext
+ */
+function encrypt(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (isEncrypted(value)) return value;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * Decrypt a stored PHI value
+ * @param {*} value - Stored column value
+ * @returns {string|null} Cleartext
+ */
+function decrypt(value) {
+  if (!isEncrypted(value)) return value ?? null;
+
+  const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Keyed hash of a name for exact-match search on encrypted columns
+ * @param {*} value - Cleartext value
+ * @returns {string|null} Hex HMAC of the trimmed, lower-cased value
+ */
+function blindIndex(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+
+  const indexKey = crypto.createHmac('sha256', getKey()).update('phi-blind-index').digest();
+  return crypto.createHmac('sha256', indexKey).update(String(value).trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Column values to store for a patient's PHI, including the search indexes
+ * @param {Object} data - { first_name, last_name, date_of_birth }
+ * @returns {Object} Encrypted columns plus first_name_index/last_name_index
+ */
+function encryptPatientFields({ first_name, last_name, date_of_birth }) {
+  return {
+    first_name: encrypt(first_name),
+    last_name: encrypt(last_name),
+    date_of_birth: encrypt(date_of_birth),
+    first_name_index: blindIndex(first_name),
+    last_name_index: blindIndex(last_name)
+  };
+}
+
+module.exports = {
+  PHI_FIELDS,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  blindIndex,
+  encryptPatientFields
+};
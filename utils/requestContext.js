@@ -0,0 +1,32 @@
+/**
+ * Who a request is acting for, available to code that has no `req` (the db module passes it
+ * to the audit triggers)
+ */
+
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Continue the request as the given user
+ */
+function runAsUser(req, userId, next) {
+  storage.run({ userId }, () => {
+    // Body streams (multer uploads) emit from the socket's context; bind them to this one so
+    // handlers that run after an upload still see the user
+    req.emit = AsyncResource.bind(req.emit, 'RequestContext', req);
+    next();
+  });
+}
+
+/**
+ * User ID of the current request, or null outside one (startup, background jobs)
+ */
+function currentUserId() {
+  return storage.getStore()?.userId || null;
+}
+
+module.exports = {
+  runAsUser,
+  currentUserId
+};
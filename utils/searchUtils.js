@@ -3,6 +3,8 @@
  * Provides smart matching logic: exact matching for IDs, substring matching for text fields
  */
 
+const { blindIndex } = require('./phiEncryption');
+
 /**
  * Determines if a search term looks like an ID (numeric) vs text
  * @param {string} searchTerm - The search term to analyze
@@ -18,12 +20,19 @@ function isNumericId(searchTerm) {
  * @param {string} fieldName - Database column name
  * @param {string} searchTerm - Search term
  * @param {boolean} isIdField - Whether this is an ID field (uses exact matching)
+ * @param {boolean} isHashed - Whether this is a blind index of an encrypted field (exact match on the hash)
  * @returns {object} - {condition, parameter}
  */
-function getSearchCondition(fieldName, searchTerm, isIdField = false) {
+function getSearchCondition(fieldName, searchTerm, isIdField = false, isHashed = false) {
   const trimmedTerm = searchTerm.trim();
   
-  if (isIdField && isNumericId(trimmedTerm)) {
+  if (isHashed) {
+    // Encrypted fields can only be matched whole, through their keyed hash
+    return {
+      condition: `${fieldName} = `,
+      parameter: blindIndex(trimmedTerm)
+    };
+  } else if (isIdField && isNumericId(trimmedTerm)) {
     // For ID fields with numeric search terms, use exact matching
     return {
       condition: `${fieldName} = `,
@@ -46,7 +55,7 @@ function getSearchCondition(fieldName, searchTerm, isIdField = false) {
 
 /**
  * Builds a search WHERE clause with smart ID vs text field handling
- * @param {Array} fieldConfigs - Array of {field, isId} objects
+ * @param {Array} fieldConfigs - Array of {field, isId, hashed} objects
  * @param {string} searchTerm - Search term
  * @param {number} paramIndex - Starting parameter index for SQL query
  * @returns {object} - {whereClause, parameters, nextParamIndex}
@@ -69,8 +78,8 @@ function buildSearchClause(fieldConfigs, searchTerm, paramIndex = 1) {
   }
   
   fieldsToSearch.forEach(config => {
-    const { field, isId = false } = config;
-    const searchCondition = getSearchCondition(field, searchTerm, isId);
+    const { field, isId = false, hashed = false } = config;
+    const searchCondition = getSearchCondition(field, searchTerm, isId, hashed);
     
     conditions.push(searchCondition.condition + '$' + currentParamIndex);
     parameters.push(searchCondition.parameter);
@@ -0,0 +1,59 @@
+/**
+ * Signed JWTs: short-lived access tokens for a login session (see sessionService), and
+ * the pending second step of a login
+ */
+
+const jwt = require('jsonwebtoken');
+const { SESSIONS, TOTP } = require('../config/constants');
+
+const sign = (payload, expiresIn) => new Promise((resolve, reject) => {
+  jwt.sign(payload, process.env.JWT_SECRET, { expiresIn }, (err, token) => (err ? reject(err) : resolve(token)));
+});
+
+/**
+ * Access token for a signed-in user
+ * @param {Object} user - users row (id, username, role)
+ * @param {Object} options - sessionId of the user_sessions row; totpSetupOnly limits the
+ *   token to /api/auth until 2FA is set up
+ * @returns {Promise<string>}
+ */
+function signSessionToken(user, { sessionId, totpSetupOnly = false }) {
+  const payload = {
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      sid: sessionId
+    }
+  };
+  if (totpSetupOnly) {
+    payload.user.totp_setup_only = true;
+  }
+  return sign(payload, SESSIONS.ACCESS_TOKEN_LIFETIME);
+}
+
+/**
+ * Short-lived token proving the password step succeeded; exchanged for a session with a TOTP code.
+ * It has no user claim, so the auth middleware never accepts it as a session.
+ * @returns {Promise<string>}
+ */
+function signTotpChallenge(userId) {
+  return sign({ totp_challenge: { id: userId } }, `${TOTP.LOGIN_CHALLENGE_MINUTES}m`);
+}
+
+/**
+ * User ID from a TOTP challenge token, or null if it is invalid or expired
+ */
+function verifyTotpChallenge(token) {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).totp_challenge?.id || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  signSessionToken,
+  signTotpChallenge,
+  verifyTotpChallenge
+};
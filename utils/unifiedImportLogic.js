@@ -5,6 +5,8 @@
  */
 
 const db = require('../db');
+const { resolveSpecimenPosition } = require('../services/storageService');
+const { encryptPatientFields } = require('./phiEncryption');
 
 // ================================================================================
 // MIGRATION IMPORT CSV MAPPINGS
@@ -273,6 +275,19 @@ async function processEntity(client, entity, entityType, validateOnly) {
     existingEntity = checkResult.rows[0] || null;
   }
   
+  // Specimen positions must resolve to a free well; legacy migrations may create missing storage
+  if (tableName === 'specimens') {
+    const position = await resolveSpecimenPosition(client, dbEntity, {
+      specimenId: existingEntity ? existingEntity.id : null,
+      autoCreate: isMigration
+    });
+    Object.assign(dbEntity, position);
+  }
+  
+  if (tableName === 'patients') {
+    Object.assign(dbEntity, encryptImportedPhi(dbEntity));
+  }
+  
   if (existingEntity) {
     // Update existing entity
     const updateFields = Object.keys(dbEntity).filter(key => key !== 'id' && dbEntity[key] !== undefined);
@@ -306,6 +321,19 @@ async function processEntity(client, entity, entityType, validateOnly) {
   }
 }
 
+/**
+ * Encrypted PHI columns and search indexes for the patient fields present in an imported row;
+ * fields the CSV left out stay untouched on update
+ * @param {Object} patient - Mapped patient fields
+ * @returns {Object} Columns to store
+ */
+function encryptImportedPhi(patient) {
+  const phi = encryptPatientFields(patient);
+  return Object.fromEntries(
+    Object.entries(phi).filter(([column]) => patient[column.replace(/_index$/, '')] !== undefined)
+  );
+}
+
 // ================================================================================
 // VALIDATION FUNCTIONS
 // ================================================================================